@@ -0,0 +1,90 @@
+/**
+ * Integration test: archiving new bookmarks in the REAL background module, with
+ * mocked browser.* and fetch APIs.
+ *
+ * With the archiveNewBookmarks setting on, pages the user bookmarks are submitted
+ * to the Wayback Machine so a copy exists if the link later dies.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  storageData,
+  fetchHandlers,
+  mockBrowser,
+  setStorage,
+  setBookmarkTree,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  setStorage({
+    session: {
+      access_token: 'test-token-valid',
+      access_token_expires_at: new Date(Date.now() + 3600000).toISOString(),
+      extension_token: 'ext-token-valid',
+    },
+  });
+  setBookmarkTree([{ id: '0', title: '', children: [] }]);
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const submissions = () =>
+  global.fetch.mock.calls
+    .map(([url]) => url)
+    .filter((url) => url.startsWith('https://web.archive.org/save/'));
+
+function serveWayback() {
+  fetchHandlers['web.archive.org/save/'] = async (url) => ({
+    ok: true,
+    status: 200,
+    headers: new Headers({
+      'content-location': `/web/20240506070809/${url.replace('https://web.archive.org/save/', '')}`,
+    }),
+  });
+}
+
+describe('Archiving new bookmarks (background)', () => {
+  it('should submit new bookmarks when the setting is on', async () => {
+    storageData.settings = { archiveNewBookmarks: true };
+    serveWayback();
+
+    expect(await __test__.archiveNewBookmark('https://example.com/article')).toBe(true);
+    expect(submissions()).toEqual(['https://web.archive.org/save/https://example.com/article']);
+  });
+
+  it('should not submit anything when the setting is off', async () => {
+    storageData.settings = { archiveNewBookmarks: false };
+    serveWayback();
+
+    expect(await __test__.archiveNewBookmark('https://example.com/article')).toBe(false);
+    expect(submissions()).toEqual([]);
+  });
+
+  it('should skip archived copies and non-web URLs', async () => {
+    storageData.settings = { archiveNewBookmarks: true };
+    serveWayback();
+
+    expect(
+      await __test__.archiveNewBookmark('https://web.archive.org/web/2019/https://a.com/')
+    ).toBe(false);
+    expect(await __test__.archiveNewBookmark('javascript:alert(1)')).toBe(false);
+    expect(submissions()).toEqual([]);
+  });
+
+  it('should ignore archive errors', async () => {
+    storageData.settings = { archiveNewBookmarks: true };
+    fetchHandlers['web.archive.org/save/'] = async () => ({ ok: false, status: 429 });
+
+    expect(await __test__.archiveNewBookmark('https://example.com/article')).toBe(false);
+  });
+});
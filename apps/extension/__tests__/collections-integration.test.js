@@ -0,0 +1,153 @@
+/**
+ * Integration test: bookmark collections in the REAL background module, with
+ * mocked browser.* and fetch APIs.
+ *
+ * Requests name the collection this browser syncs with, and switching collections
+ * forgets the sync state of the previous one so the next sync starts afresh.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  storageData,
+  fetchHandlers,
+  capturedListeners,
+  mockBrowser,
+  setStorage,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+mockBrowser.bookmarks.get = vi.fn(async () => []);
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const WORK_ID = '7d444840-9dc0-11d1-b245-5ffdce74fad2';
+
+const COLLECTIONS = [
+  { id: 'user-123', name: 'Default', isDefault: true, createdAt: '2024-01-01T00:00:00Z' },
+  { id: WORK_ID, name: 'Work', isDefault: false, createdAt: '2024-02-01T00:00:00Z' },
+];
+
+function setupSignedIn(extra = {}) {
+  setStorage({
+    session: {
+      access_token: 'test-token-valid',
+      access_token_expires_at: new Date(Date.now() + 3600000).toISOString(),
+      extension_token: 'ext-token-valid',
+    },
+    deviceId: 'chrome-device-1',
+    'marksyncr-tombstones': [{ url: 'https://gone.com', deletedAt: 1000 }],
+    'marksyncr-last-sync-time': Date.now() - 300000,
+    'marksyncr-last-cloud-checksum': 'checksum-of-default',
+    'marksyncr-sync-base': [{ url: 'https://a.com' }],
+    'marksyncr-cloud-snapshot': { cursor: 7, items: [] },
+    ...extra,
+  });
+}
+
+const deviceRequests = () =>
+  global.fetch.mock.calls.filter(([url]) => url.includes('/api/devices'));
+
+describe('Collections (background)', () => {
+  beforeEach(() => {
+    fetchHandlers['/api/collections'] = async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ collections: COLLECTIONS }),
+    });
+    fetchHandlers['/api/devices'] = async (_url, opts) => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ device: { ...JSON.parse(opts.body), sync_profile: null } }),
+    });
+  });
+
+  it('should list the collections with the one this browser syncs with', async () => {
+    setupSignedIn({ 'marksyncr-collection': WORK_ID });
+
+    const result = await __test__.getCollections();
+
+    expect(result).toEqual({ success: true, collections: COLLECTIONS, selectedId: WORK_ID });
+  });
+
+  it('should fall back to the default collection when the selected one is gone', async () => {
+    setupSignedIn({ 'marksyncr-collection': '00000000-0000-4000-8000-000000000000' });
+
+    const result = await __test__.getCollections();
+
+    expect(result.selectedId).toBeNull();
+    expect(storageData['marksyncr-collection']).toBeNull();
+    expect(storageData['marksyncr-last-sync-time']).toBeUndefined();
+  });
+
+  it("should forget the previous collection's sync state when switching", async () => {
+    setupSignedIn();
+
+    const result = await __test__.selectCollection(WORK_ID);
+
+    expect(result).toEqual({ success: true, collectionId: WORK_ID });
+    expect(storageData['marksyncr-collection']).toBe(WORK_ID);
+    for (const key of [
+      'marksyncr-tombstones',
+      'marksyncr-last-sync-time',
+      'marksyncr-last-cloud-checksum',
+      'marksyncr-sync-base',
+      'marksyncr-cloud-snapshot',
+    ]) {
+      expect(storageData[key]).toBeUndefined();
+    }
+  });
+
+  it('should register the device with the new collection', async () => {
+    setupSignedIn();
+
+    await __test__.selectCollection(WORK_ID);
+
+    const [[, opts]] = deviceRequests();
+    expect(opts.method).toBe('POST');
+    expect(opts.headers['X-MarkSyncr-Collection']).toBe(WORK_ID);
+  });
+
+  it('should name no collection for the default one', async () => {
+    setupSignedIn({ 'marksyncr-collection': WORK_ID });
+
+    const result = await __test__.selectCollection(null);
+
+    expect(result.success).toBe(true);
+    const [[, opts]] = deviceRequests();
+    expect(opts.headers).not.toHaveProperty('X-MarkSyncr-Collection');
+  });
+
+  it('should keep the sync state when the collection does not change', async () => {
+    setupSignedIn({ 'marksyncr-collection': WORK_ID });
+
+    const result = await __test__.selectCollection(WORK_ID);
+
+    expect(result.success).toBe(true);
+    expect(storageData['marksyncr-last-cloud-checksum']).toBe('checksum-of-default');
+    expect(deviceRequests()).toHaveLength(0);
+  });
+
+  it('should switch collections through the SET_COLLECTION message', async () => {
+    setupSignedIn();
+
+    const result = await capturedListeners.onMessage({
+      type: 'SET_COLLECTION',
+      payload: { collectionId: WORK_ID },
+    });
+
+    expect(result.success).toBe(true);
+    expect(storageData['marksyncr-collection']).toBe(WORK_ID);
+  });
+});
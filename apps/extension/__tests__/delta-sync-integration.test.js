@@ -0,0 +1,214 @@
+/**
+ * Integration test: cursor-based delta sync in the REAL background module,
+ * with mocked browser.* and fetch APIs.
+ *
+ * With a stored cloud snapshot, the extension fetches only the operations since
+ * its cursor and rebuilds the cloud list locally, checking the result against the
+ * server checksum. Pushes send operations against the fetched cloud state instead
+ * of the full bookmark array.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  storageData,
+  fetchHandlers,
+  mockBrowser,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const SNAPSHOT_KEY = 'marksyncr-cloud-snapshot';
+
+const cloudA = {
+  type: 'bookmark',
+  url: 'https://a.com',
+  title: 'A',
+  folderPath: 'Bookmarks Bar',
+  index: 0,
+  dateAdded: 1000,
+};
+const cloudB = {
+  type: 'bookmark',
+  url: 'https://b.com',
+  title: 'B',
+  folderPath: 'Bookmarks Bar',
+  index: 1,
+  dateAdded: 1000,
+};
+
+function setupSession() {
+  storageData.session = {
+    access_token: 'test-token-valid',
+    access_token_expires_at: new Date(Date.now() + 3600000).toISOString(),
+    extension_token: 'ext-token-valid',
+  };
+}
+
+// ===========================================================================
+// Tests
+// ===========================================================================
+
+describe('Integration: delta sync', () => {
+  describe('fetchCloudBookmarks', () => {
+    it('should do a full fetch and store a snapshot when there is no cursor yet', async () => {
+      setupSession();
+      const requestedUrls = [];
+      fetchHandlers['/api/bookmarks'] = async (url) => {
+        requestedUrls.push(url);
+        return {
+          ok: true,
+          json: async () => ({ bookmarks: [cloudA, cloudB], tombstones: [], cursor: 7 }),
+        };
+      };
+
+      const data = await __test__.fetchCloudBookmarks();
+
+      expect(requestedUrls).toHaveLength(1);
+      expect(requestedUrls[0]).not.toContain('since=');
+      expect(data.bookmarks).toHaveLength(2);
+      expect(storageData[SNAPSHOT_KEY]).toEqual({ cursor: 7, items: [cloudA, cloudB] });
+    });
+
+    it('should rebuild the cloud list from operations since the cursor', async () => {
+      setupSession();
+      storageData[SNAPSHOT_KEY] = { cursor: 7, items: [cloudA, cloudB] };
+      const renamedA = { ...cloudA, title: 'A renamed' };
+      const expectedChecksum = await __test__.generateChecksum([renamedA]);
+      const requestedUrls = [];
+      fetchHandlers['/api/bookmarks'] = async (url) => {
+        requestedUrls.push(url);
+        return {
+          ok: true,
+          json: async () => ({
+            operations: [
+              { op: 'delete', key: 'https://b.com' },
+              { op: 'update', key: 'https://a.com', item: renamedA },
+            ],
+            tombstones: [{ url: 'https://b.com', deletedAt: 2000 }],
+            checksum: expectedChecksum,
+            cursor: 9,
+          }),
+        };
+      };
+
+      const data = await __test__.fetchCloudBookmarks();
+
+      expect(requestedUrls).toEqual([expect.stringContaining('/api/bookmarks?since=7')]);
+      expect(data.bookmarks).toEqual([renamedA]);
+      expect(data.tombstones).toHaveLength(1);
+      expect(storageData[SNAPSHOT_KEY]).toEqual({ cursor: 9, items: [renamedA] });
+    });
+
+    it('should fall back to a full fetch when the rebuilt list does not match the checksum', async () => {
+      setupSession();
+      storageData[SNAPSHOT_KEY] = { cursor: 7, items: [cloudA] };
+      const requestedUrls = [];
+      fetchHandlers['/api/bookmarks'] = async (url) => {
+        requestedUrls.push(url);
+        if (url.includes('since=')) {
+          return {
+            ok: true,
+            json: async () => ({ operations: [], checksum: 'other-checksum', cursor: 8 }),
+          };
+        }
+        return {
+          ok: true,
+          json: async () => ({
+            bookmarks: [cloudA, cloudB],
+            checksum: 'other-checksum',
+            cursor: 8,
+          }),
+        };
+      };
+
+      const data = await __test__.fetchCloudBookmarks();
+
+      expect(requestedUrls).toHaveLength(2);
+      expect(data.bookmarks).toEqual([cloudA, cloudB]);
+      expect(storageData[SNAPSHOT_KEY].cursor).toBe(8);
+    });
+
+    it('should use the full state the server returns on a reset', async () => {
+      setupSession();
+      storageData[SNAPSHOT_KEY] = { cursor: 2, items: [] };
+      fetchHandlers['/api/bookmarks'] = async () => ({
+        ok: true,
+        json: async () => ({ bookmarks: [cloudB], cursor: 40, reset: true }),
+      });
+
+      const data = await __test__.fetchCloudBookmarks();
+
+      expect(data.bookmarks).toEqual([cloudB]);
+      expect(storageData[SNAPSHOT_KEY]).toEqual({ cursor: 40, items: [cloudB] });
+    });
+  });
+
+  describe('pushBookmarksToCloud', () => {
+    it('should send operations against the fetched cloud state', async () => {
+      setupSession();
+      const local = [cloudA, { ...cloudB, title: 'B renamed' }];
+      const localChecksum = await __test__.generateChecksum(local);
+      let pushedBody = null;
+      fetchHandlers['/api/bookmarks'] = async (_url, opts) => {
+        pushedBody = JSON.parse(opts.body);
+        return { ok: true, json: async () => ({ checksum: localChecksum, cursor: 8 }) };
+      };
+
+      await __test__.pushBookmarksToCloud(local, 'chrome', [], {
+        bookmarks: [cloudA, cloudB],
+        cursor: 7,
+      });
+
+      expect(pushedBody.bookmarks).toBeUndefined();
+      expect(pushedBody).toMatchObject({
+        cursor: 7,
+        source: 'chrome',
+        operations: [{ op: 'update', key: 'https://b.com', item: local[1] }],
+      });
+      expect(storageData[SNAPSHOT_KEY]).toEqual({ cursor: 8, items: local });
+    });
+
+    it('should drop the snapshot when the server state differs from what was pushed', async () => {
+      setupSession();
+      storageData[SNAPSHOT_KEY] = { cursor: 7, items: [cloudA] };
+      fetchHandlers['/api/bookmarks'] = async () => ({
+        ok: true,
+        json: async () => ({ checksum: 'merged-with-other-device', cursor: 9 }),
+      });
+
+      await __test__.pushBookmarksToCloud([cloudA, cloudB], 'chrome', [], {
+        bookmarks: [cloudA],
+        cursor: 7,
+      });
+
+      expect(storageData[SNAPSHOT_KEY]).toBeUndefined();
+    });
+
+    it('should upload the full list when the cloud state has no cursor', async () => {
+      setupSession();
+      let pushedBody = null;
+      fetchHandlers['/api/bookmarks'] = async (_url, opts) => {
+        pushedBody = JSON.parse(opts.body);
+        return { ok: true, json: async () => ({ checksum: 'checksum' }) };
+      };
+
+      await __test__.pushBookmarksToCloud([cloudA], 'chrome', [], { bookmarks: [] });
+
+      expect(pushedBody).toMatchObject({ bookmarks: [cloudA], replace: true });
+      expect(pushedBody.operations).toBeUndefined();
+    });
+  });
+});
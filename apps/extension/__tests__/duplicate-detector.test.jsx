@@ -0,0 +1,66 @@
+/**
+ * Tests for the DuplicateDetector component's clusters and one-click merge
+ * @module __tests__/duplicate-detector.test
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { DuplicateDetector } from '../src/popup/components/DuplicateDetector.jsx';
+
+const bookmarks = [
+  {
+    id: '1',
+    title: 'Vite guide',
+    url: 'https://vitejs.dev/guide/?utm_source=newsletter',
+    dateAdded: 1,
+  },
+  {
+    id: '2',
+    title: 'Vite guide',
+    url: 'http://m.vitejs.dev/guide',
+    dateAdded: 2,
+    tags: [{ id: 't1', name: 'dev' }],
+  },
+  { id: '3', title: 'Recipes', url: 'https://example.com/recipes', dateAdded: 3 },
+];
+
+describe('DuplicateDetector', () => {
+  it('should cluster URL variants of a page', () => {
+    render(<DuplicateDetector bookmarks={bookmarks} onMerge={vi.fn()} onDelete={vi.fn()} isPro />);
+
+    expect(screen.getByText('Found 1 duplicate groups')).toBeTruthy();
+    expect(screen.getByText('Same page, different URL')).toBeTruthy();
+  });
+
+  it('should merge a cluster into its suggested bookmark in one click', async () => {
+    const onMerge = vi.fn().mockResolvedValue();
+    render(<DuplicateDetector bookmarks={bookmarks} onMerge={onMerge} onDelete={vi.fn()} isPro />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Merge' }));
+
+    await waitFor(() => {
+      expect(onMerge).toHaveBeenCalledWith({
+        keepBookmark: bookmarks[1],
+        deleteBookmarks: [bookmarks[0]],
+        mergeTags: true,
+        mergeNotes: true,
+      });
+    });
+  });
+
+  it('should load saved pages to compare their text', () => {
+    const onLoadPages = vi.fn();
+    render(
+      <DuplicateDetector
+        bookmarks={bookmarks}
+        onLoadPages={onLoadPages}
+        onMerge={vi.fn()}
+        onDelete={vi.fn()}
+        isPro
+      />
+    );
+
+    expect(onLoadPages).toHaveBeenCalled();
+  });
+});
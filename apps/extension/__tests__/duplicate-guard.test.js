@@ -0,0 +1,198 @@
+/**
+ * Integration test: the duplicate guard in the REAL background module, with mocked
+ * browser.* APIs.
+ *
+ * With the duplicateGuard setting on, a new bookmark is checked against the user's
+ * bookmarks here and, for folders this browser doesn't sync, in the cloud. A warning
+ * says where the existing copy lives and lets the user open it, move it or keep both.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  storageData,
+  capturedListeners,
+  mockBrowser,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+const listener = () => ({ addListener: vi.fn() });
+
+let bookmarkTree = [];
+
+Object.assign(mockBrowser.bookmarks, {
+  getTree: vi.fn(async () => bookmarkTree),
+  get: vi.fn(async (id) => {
+    const nodes = {
+      new: { id: 'new', parentId: 'reading', index: 4 },
+      old: { id: 'old', parentId: 'work' },
+    };
+    return [nodes[id]];
+  }),
+});
+mockBrowser.action = {
+  setBadgeText: vi.fn(async () => {}),
+  setBadgeBackgroundColor: vi.fn(async () => {}),
+};
+mockBrowser.notifications = {
+  create: vi.fn(async (id) => id),
+  clear: vi.fn(async () => true),
+  onClicked: listener(),
+  onButtonClicked: listener(),
+};
+mockBrowser.tabs = {
+  create: vi.fn(async () => ({})),
+};
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  bookmarkTree = [
+    {
+      id: '0',
+      title: '',
+      children: [
+        {
+          id: '1',
+          title: 'Bookmarks Bar',
+          children: [
+            {
+              id: 'work',
+              title: 'Work',
+              children: [{ id: 'old', title: 'Vite', url: 'https://vitejs.dev/guide/' }],
+            },
+            {
+              id: 'reading',
+              title: 'Reading',
+              children: [
+                { id: 'new', title: 'Vite guide', url: 'http://vitejs.dev/guide?utm_source=x' },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+  ];
+  vi.clearAllMocks();
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const newBookmark = { id: 'new', title: 'Vite guide', url: 'http://vitejs.dev/guide?utm_source=x' };
+
+describe('Duplicate guard (background)', () => {
+  it('should do nothing unless the setting is on', async () => {
+    expect(await __test__.guardAgainstDuplicate('new', newBookmark)).toBeNull();
+    expect(storageData['marksyncr-duplicate-warnings']).toBeUndefined();
+  });
+
+  it('should warn where the existing copy lives', async () => {
+    storageData.settings = { duplicateGuard: 'notification' };
+
+    const warning = await __test__.guardAgainstDuplicate('new', newBookmark);
+
+    expect(warning).toMatchObject({
+      id: 'duplicate-new',
+      bookmarkId: 'new',
+      canJump: true,
+      canMove: true,
+      copies: [{ id: 'old', folderPath: 'Bookmarks Bar/Work', location: 'local' }],
+    });
+    expect(storageData['marksyncr-duplicate-warnings']).toEqual([warning]);
+    expect(mockBrowser.action.setBadgeText).toHaveBeenCalledWith({ text: '1' });
+    expect(mockBrowser.notifications.create).toHaveBeenCalledWith(
+      'duplicate-new',
+      expect.objectContaining({
+        message: 'Vite guide is already bookmarked in Bookmarks Bar/Work',
+        buttons: [{ title: 'Move it here' }, { title: 'Keep both' }],
+      })
+    );
+  });
+
+  it('should only count the warning on the badge in badge mode', async () => {
+    storageData.settings = { duplicateGuard: 'badge' };
+
+    expect(await __test__.guardAgainstDuplicate('new', newBookmark)).not.toBeNull();
+    expect(mockBrowser.action.setBadgeText).toHaveBeenCalledWith({ text: '1' });
+    expect(mockBrowser.notifications.create).not.toHaveBeenCalled();
+  });
+
+  it('should find copies in folders only other devices sync', async () => {
+    storageData.settings = { duplicateGuard: 'badge' };
+    bookmarkTree[0].children[0].children[0].children = [];
+    const syncFilter = { active: true, isItemSynced: (item) => item.folderPath !== 'Archive' };
+    await __test__.storeCloudUrlIndex(
+      [
+        { type: 'bookmark', url: 'https://vitejs.dev/guide', title: 'Vite', folderPath: 'Archive' },
+        { type: 'bookmark', url: 'https://vitejs.dev/', title: 'Vite', folderPath: 'Work' },
+      ],
+      syncFilter
+    );
+
+    const warning = await __test__.guardAgainstDuplicate('new', newBookmark);
+
+    expect(warning).toMatchObject({
+      canJump: false,
+      canMove: false,
+      copies: [{ id: null, folderPath: 'Archive', location: 'cloud' }],
+    });
+  });
+
+  it('should open the bookmark manager at the existing copy', async () => {
+    storageData.settings = { duplicateGuard: 'badge' };
+    await __test__.guardAgainstDuplicate('new', newBookmark);
+
+    const result = await __test__.resolveDuplicateWarning({
+      warningId: 'duplicate-new',
+      action: 'jump',
+    });
+
+    expect(result).toEqual({ success: true });
+    expect(mockBrowser.tabs.create).toHaveBeenCalledWith({ url: 'chrome://bookmarks/?id=work' });
+    expect(storageData['marksyncr-duplicate-warnings']).toHaveLength(1);
+  });
+
+  it('should move the existing copy here without a tombstone for its URL', async () => {
+    storageData.settings = { duplicateGuard: 'badge' };
+    __test__.setupBookmarkListeners();
+    const onRemoved = capturedListeners.onRemoved;
+    await __test__.guardAgainstDuplicate('new', newBookmark);
+
+    const result = await __test__.resolveDuplicateWarning({
+      warningId: 'duplicate-new',
+      action: 'move',
+    });
+    await onRemoved('new', { parentId: 'reading', node: { id: 'new', url: newBookmark.url } });
+
+    expect(result).toEqual({ success: true });
+    expect(mockBrowser.bookmarks.move).toHaveBeenCalledWith('old', {
+      parentId: 'reading',
+      index: 4,
+    });
+    expect(mockBrowser.bookmarks.remove).toHaveBeenCalledWith('new');
+    expect(await __test__.getTombstones()).toEqual([]);
+    expect(storageData['marksyncr-duplicate-warnings']).toEqual([]);
+    expect(mockBrowser.action.setBadgeText).toHaveBeenLastCalledWith({ text: '' });
+  });
+
+  it('should keep both', async () => {
+    storageData.settings = { duplicateGuard: 'notification' };
+    await __test__.guardAgainstDuplicate('new', newBookmark);
+
+    const result = await __test__.resolveDuplicateWarning({
+      warningId: 'duplicate-new',
+      action: 'keep',
+    });
+
+    expect(result).toEqual({ success: true });
+    expect(mockBrowser.bookmarks.move).not.toHaveBeenCalled();
+    expect(mockBrowser.notifications.clear).toHaveBeenCalledWith('duplicate-new');
+    expect(storageData['marksyncr-duplicate-warnings']).toEqual([]);
+  });
+});
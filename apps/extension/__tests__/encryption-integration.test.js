@@ -0,0 +1,198 @@
+/**
+ * Integration test: end-to-end encryption in the REAL background module,
+ * with mocked browser.* and fetch APIs and real Web Crypto.
+ *
+ * With encryption on, only ciphertext and tokens reach /api/bookmarks and
+ * /api/versions, other browsers need the passphrase to read the cloud data,
+ * and turning encryption on or off re-uploads the bookmarks right away.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  storageData,
+  capturedListeners,
+  mockBrowser,
+  setFetchHandlers,
+  setBookmarkTree,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const ENCRYPTION_KEY = 'marksyncr-encryption-key';
+const PASSPHRASE = 'correct horse battery';
+
+function buildBookmarkTree(toolbarBookmarks = []) {
+  return [
+    {
+      id: '0',
+      title: '',
+      children: [
+        {
+          id: '1',
+          title: 'Bookmarks Bar',
+          children: toolbarBookmarks.map((bm, i) => ({
+            id: bm.id || `tb-${i}`,
+            parentId: '1',
+            title: bm.title,
+            url: bm.url,
+            index: i,
+            dateAdded: 1000,
+          })),
+        },
+        { id: '2', title: 'Other Bookmarks', children: [] },
+      ],
+    },
+  ];
+}
+
+/**
+ * A browser in sync with a cloud that stores what it's sent, like the server does
+ */
+async function setupServer() {
+  storageData.session = {
+    access_token: 'test-token-valid',
+    access_token_expires_at: new Date(Date.now() + 3600000).toISOString(),
+    extension_token: 'ext-token-valid',
+  };
+
+  const tree = buildBookmarkTree([
+    { id: 'tb-a', title: 'Private bank', url: 'https://bank.example/login' },
+  ]);
+  setBookmarkTree(tree);
+  const localFlat = __test__.flattenBookmarkTree(tree);
+  const checksum = await __test__.generateChecksum(localFlat);
+
+  Object.assign(storageData, {
+    sources: [{ id: 'browser-bookmarks', connected: true }],
+    selectedSource: 'browser-bookmarks',
+    deviceId: 'chrome-device-1',
+    'marksyncr-tombstones': [],
+    'marksyncr-last-sync-time': Date.now() - 300000,
+    'marksyncr-last-cloud-checksum': checksum,
+  });
+
+  const server = {
+    keyring: null,
+    cloud: { bookmarks: localFlat, tombstones: [], checksum, version: 1, encryptionKeyId: null },
+    pushes: [],
+    versions: [],
+  };
+
+  setFetchHandlers({
+    '/api/devices': async () => ({ ok: true, json: async () => ({ device: { id: 'dev-1' } }) }),
+    '/api/versions': async (_url, opts) => {
+      server.versions.push(JSON.parse(opts.body));
+      return { ok: true, json: async () => ({ version: { id: 'v1' } }) };
+    },
+    '/api/encryption': async (_url, opts) => {
+      if (opts?.method === 'PUT') {
+        server.keyring = JSON.parse(opts.body).keyring;
+      } else if (opts?.method === 'DELETE') {
+        server.keyring = null;
+      }
+      return {
+        ok: true,
+        json: async () => ({ enabled: !!server.keyring, keyring: server.keyring }),
+      };
+    },
+    '/api/bookmarks': async (_url, opts) => {
+      if (opts?.method === 'GET' || !opts?.method) {
+        return { ok: true, json: async () => server.cloud };
+      }
+
+      const body = JSON.parse(opts.body);
+      server.pushes.push(body);
+      server.cloud = {
+        bookmarks: body.bookmarks,
+        tombstones: body.tombstones,
+        checksum: await __test__.generateChecksum(body.bookmarks),
+        version: server.cloud.version + 1,
+        encryptionKeyId: body.encryptionKeyId ?? null,
+      };
+      return {
+        ok: true,
+        json: async () => ({ checksum: server.cloud.checksum, version: server.cloud.version }),
+      };
+    },
+  });
+
+  return server;
+}
+
+const sendMessage = (type, payload) => capturedListeners.onMessage({ type, payload }, {});
+
+// ===========================================================================
+// Tests
+// ===========================================================================
+
+describe('Integration: end-to-end encryption', () => {
+  it('should re-upload the bookmarks encrypted when encryption is turned on', async () => {
+    const server = await setupServer();
+
+    const result = await sendMessage('ENABLE_ENCRYPTION', { passphrase: PASSPHRASE });
+
+    expect(result).toMatchObject({ success: true, resealed: true });
+    expect(result.recoveryKey).toMatch(/^([0-9A-Z]{4}-){12}[0-9A-Z]{4}$/);
+    expect(server.keyring.keyId).toBe(result.keyId);
+    expect(JSON.stringify(server.keyring)).not.toContain(PASSPHRASE);
+
+    expect(server.pushes).toHaveLength(1);
+    expect(server.pushes[0].encryptionKeyId).toBe(result.keyId);
+    expect(JSON.stringify(server.pushes)).not.toContain('bank.example');
+    expect(JSON.stringify(server.pushes)).not.toContain('Private bank');
+    expect(JSON.stringify(server.versions)).not.toContain('bank.example');
+
+    // This browser still reads the cloud data
+    const opened = await __test__.openCloudData(server.cloud);
+    expect(opened.bookmarks.find((b) => b.url)).toMatchObject({
+      url: 'https://bank.example/login',
+      title: 'Private bank',
+    });
+  });
+
+  it('should pause sync on a browser without the key until it is unlocked', async () => {
+    const server = await setupServer();
+    await sendMessage('ENABLE_ENCRYPTION', { passphrase: PASSPHRASE });
+
+    // Another browser: signed in, but the key was never unlocked there
+    delete storageData[ENCRYPTION_KEY];
+    server.pushes = [];
+
+    const locked = await __test__.performSync();
+    expect(locked).toMatchObject({ success: false, encryptionLocked: true });
+    expect(__test__.getState().consecutiveSyncFailures).toBe(0);
+    expect(server.pushes).toHaveLength(0);
+
+    const wrong = await sendMessage('UNLOCK_ENCRYPTION', { passphrase: 'wrong passphrase' });
+    expect(wrong).toMatchObject({ success: false, code: 'INVALID_PASSPHRASE' });
+
+    const unlocked = await sendMessage('UNLOCK_ENCRYPTION', { passphrase: PASSPHRASE });
+    expect(unlocked).toMatchObject({ success: true, resealed: true });
+  });
+
+  it('should upload plaintext again and forget the key when encryption is turned off', async () => {
+    const server = await setupServer();
+    await sendMessage('ENABLE_ENCRYPTION', { passphrase: PASSPHRASE });
+
+    const result = await sendMessage('DISABLE_ENCRYPTION');
+
+    expect(result).toMatchObject({ success: true, resealed: true });
+    expect(server.keyring).toBeNull();
+    expect(server.cloud.encryptionKeyId).toBeNull();
+    expect(server.cloud.bookmarks.find((b) => b.url).url).toBe('https://bank.example/login');
+    expect(storageData[ENCRYPTION_KEY]).toBeUndefined();
+  });
+});
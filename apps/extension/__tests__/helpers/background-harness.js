@@ -0,0 +1,214 @@
+/**
+ * Shared setup for tests that run the REAL background module with mocked
+ * browser.* and fetch APIs.
+ *
+ * The browser mock has to be registered from the test file, where vi.mock is
+ * hoisted above the import of the background module:
+ *
+ *   import { mockBrowser, resetHarness, loadBackground } from './helpers/background-harness.js';
+ *
+ *   vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+ *
+ *   beforeEach(async () => {
+ *     resetHarness();
+ *     __test__ = await loadBackground();
+ *   });
+ *
+ * Test files add the browser APIs only they use by assigning them on mockBrowser
+ * (e.g. mockBrowser.notifications = {...}), and replace a default the same way
+ * (mockBrowser.bookmarks.get = vi.fn(...)) so vi.restoreAllMocks() keeps it.
+ */
+
+import { vi } from 'vitest';
+
+// In-memory storage backing (survives across async ticks within a test)
+export const storageData = {};
+
+// Request handlers by URL substring, used by the fetch router
+export const fetchHandlers = {};
+
+// Captured listener callbacks — set by addListener mocks
+export const capturedListeners = {
+  onCreated: null,
+  onRemoved: null,
+  onChanged: null,
+  onMoved: null,
+  onAlarm: null,
+  onMessage: null,
+  onInstalled: null,
+  onStartup: null,
+};
+
+// The bookmark tree returned by browser.bookmarks.getTree()
+let bookmarkTree = [];
+
+const capture = (name) => ({
+  addListener: vi.fn((cb) => {
+    capturedListeners[name] = cb;
+  }),
+});
+
+export const mockBrowser = {
+  storage: {
+    local: {
+      get: vi.fn(async (keys) => {
+        if (typeof keys === 'string') {
+          return { [keys]: storageData[keys] };
+        }
+        if (Array.isArray(keys)) {
+          const result = {};
+          for (const k of keys) result[k] = storageData[k];
+          return result;
+        }
+        // Object with defaults
+        if (typeof keys === 'object' && keys !== null) {
+          const result = {};
+          for (const k of Object.keys(keys)) {
+            result[k] = storageData[k] !== undefined ? storageData[k] : keys[k];
+          }
+          return result;
+        }
+        return { ...storageData };
+      }),
+      set: vi.fn(async (obj) => {
+        Object.assign(storageData, obj);
+      }),
+      remove: vi.fn(async (keys) => {
+        const arr = Array.isArray(keys) ? keys : [keys];
+        for (const k of arr) delete storageData[k];
+      }),
+    },
+  },
+  bookmarks: {
+    getTree: vi.fn(async () => bookmarkTree),
+    create: vi.fn(async (props) => {
+      return { id: `created-${Date.now()}-${Math.random()}`, ...props };
+    }),
+    remove: vi.fn(async () => {}),
+    update: vi.fn(async (id, changes) => ({ id, ...changes })),
+    move: vi.fn(async (id, dest) => ({ id, ...dest })),
+    getChildren: vi.fn(async () => []),
+    search: vi.fn(async () => []),
+    onCreated: capture('onCreated'),
+    onRemoved: capture('onRemoved'),
+    onChanged: capture('onChanged'),
+    onMoved: capture('onMoved'),
+  },
+  alarms: {
+    clear: vi.fn(async () => true),
+    create: vi.fn(),
+    get: vi.fn(async () => null),
+    onAlarm: capture('onAlarm'),
+  },
+  runtime: {
+    getURL: vi.fn((path) => `chrome-extension://test-extension-id/${path}`),
+    onMessage: capture('onMessage'),
+    onInstalled: capture('onInstalled'),
+    onStartup: capture('onStartup'),
+    id: 'test-extension-id',
+  },
+};
+
+/**
+ * Replace the stored data
+ * @param {Object} [data]
+ */
+export function setStorage(data = {}) {
+  for (const key of Object.keys(storageData)) delete storageData[key];
+  Object.assign(storageData, data);
+}
+
+/**
+ * Replace the request handlers
+ * @param {Object<string, Function>} [handlers] - Handlers by URL substring
+ */
+export function setFetchHandlers(handlers = {}) {
+  for (const key of Object.keys(fetchHandlers)) delete fetchHandlers[key];
+  Object.assign(fetchHandlers, handlers);
+}
+
+/**
+ * Replace the bookmark tree returned by browser.bookmarks.getTree()
+ * @param {Array} tree
+ */
+export function setBookmarkTree(tree) {
+  bookmarkTree = tree;
+}
+
+/**
+ * Route global.fetch to fetchHandlers (again after any mockReset)
+ */
+export function installFetchRouter() {
+  global.fetch = vi.fn(async (url, opts) => {
+    for (const [pattern, handler] of Object.entries(fetchHandlers)) {
+      if (url.includes(pattern)) {
+        return handler(url, opts);
+      }
+    }
+    // Default: 404
+    return {
+      ok: false,
+      status: 404,
+      json: async () => ({ error: 'Not found' }),
+    };
+  });
+}
+
+/**
+ * Clear storage, the bookmark tree and request handlers between tests
+ */
+export function resetHarness() {
+  setStorage();
+  setBookmarkTree([]);
+  setFetchHandlers();
+  installFetchRouter();
+}
+
+/**
+ * Import the background module and reset its module-level state
+ * (isSyncInProgress, consecutiveSyncFailures, etc.). The module is cached after
+ * the first import, so initialize() only runs once per test file.
+ * @returns {Promise<Object>} The module's __test__ exports
+ */
+export async function loadBackground() {
+  const { __test__ } = await import('../../src/background/index.js');
+
+  if (!__test__) {
+    throw new Error(
+      '__test__ exports not available — ensure VITEST env var is set (vitest does this automatically)'
+    );
+  }
+
+  __test__.resetState();
+  return __test__;
+}
+
+// Install the router now so initialize() on first import can use fetch
+installFetchRouter();
+
+// detectBrowser() reads the user agent
+Object.defineProperty(global, 'navigator', {
+  value: {
+    userAgent:
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36',
+  },
+  writable: true,
+  configurable: true,
+});
+
+// Deterministic stand-in for SHA-256 in generateChecksum() (doesn't need to be
+// real, just stable for the same input)
+global.crypto.subtle.digest = vi.fn(async (_algo, data) => {
+  let hash = 0;
+  const bytes = new Uint8Array(data);
+  for (let i = 0; i < bytes.length; i++) {
+    hash = (hash * 31 + bytes[i]) | 0;
+  }
+  const buf = new ArrayBuffer(32);
+  const view = new DataView(buf);
+  view.setInt32(0, hash);
+  view.setInt32(4, hash ^ 0x12345678);
+  view.setInt32(8, hash ^ 0x9abcdef0);
+  view.setInt32(12, hash ^ 0xdeadbeef);
+  return buf;
+});
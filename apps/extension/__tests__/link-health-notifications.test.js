@@ -0,0 +1,127 @@
+/**
+ * Integration test: broken link notifications in the REAL background module, with
+ * mocked browser.* and fetch APIs.
+ *
+ * After a periodic sync the background asks the server for links its scheduled
+ * link health scans found broken, shows one notification for them and marks the
+ * alerts as shown.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  fetchHandlers,
+  mockBrowser,
+  setStorage,
+  setBookmarkTree,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+mockBrowser.notifications = {
+  create: vi.fn(async () => 'broken-links'),
+};
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  setStorage({
+    session: {
+      access_token: 'test-token-valid',
+      access_token_expires_at: new Date(Date.now() + 3600000).toISOString(),
+      extension_token: 'ext-token-valid',
+    },
+  });
+  setBookmarkTree([{ id: '0', title: '', children: [] }]);
+  mockBrowser.notifications.create.mockClear();
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+function serveAlerts(alerts) {
+  fetchHandlers['/api/link-health/alerts'] = async (url, opts) => {
+    if (opts?.method === 'POST') {
+      return { ok: true, status: 200, json: async () => ({ success: true }) };
+    }
+    return { ok: true, status: 200, json: async () => ({ alerts }) };
+  };
+}
+
+const acknowledgements = () =>
+  global.fetch.mock.calls
+    .filter(([url, opts]) => url.includes('/api/link-health/alerts') && opts?.method === 'POST')
+    .map(([, opts]) => JSON.parse(opts.body));
+
+describe('Broken link notifications (background)', () => {
+  it('should notify about newly broken links and acknowledge the alerts', async () => {
+    serveAlerts([
+      {
+        runId: 'run-1',
+        newlyBroken: 2,
+        links: [
+          { url: 'https://a.example/gone', status: 'broken', statusCode: 404 },
+          { url: 'https://b.example/slow', status: 'timeout', statusCode: null },
+        ],
+      },
+      {
+        runId: 'run-2',
+        newlyBroken: 3,
+        links: [
+          { url: 'https://c.example/1', status: 'broken', statusCode: 500 },
+          { url: 'https://c.example/2', status: 'broken', statusCode: 500 },
+          { url: 'https://c.example/3', status: 'broken', statusCode: 500 },
+        ],
+      },
+    ]);
+
+    const count = await __test__.notifyBrokenLinks();
+
+    expect(count).toBe(5);
+    expect(mockBrowser.notifications.create).toHaveBeenCalledTimes(1);
+    const [id, notification] = mockBrowser.notifications.create.mock.calls[0];
+    expect(id).toBe('broken-links');
+    expect(notification.title).toBe('MarkSyncr: 5 bookmark links broke');
+    expect(notification.message).toBe(
+      'https://a.example/gone\nhttps://b.example/slow\nhttps://c.example/1\n…and 2 more'
+    );
+    expect(acknowledgements()).toEqual([{ runIds: ['run-1', 'run-2'] }]);
+  });
+
+  it('should do nothing when there are no alerts', async () => {
+    serveAlerts([]);
+
+    expect(await __test__.notifyBrokenLinks()).toBe(0);
+    expect(mockBrowser.notifications.create).not.toHaveBeenCalled();
+    expect(acknowledgements()).toEqual([]);
+  });
+
+  it('should keep alerts for later when the notification cannot be shown', async () => {
+    serveAlerts([
+      {
+        runId: 'run-1',
+        newlyBroken: 1,
+        links: [{ url: 'https://a.example/gone', status: 'broken', statusCode: 404 }],
+      },
+    ]);
+    mockBrowser.notifications.create.mockRejectedValueOnce(new Error('Not allowed'));
+
+    expect(await __test__.notifyBrokenLinks()).toBe(0);
+    expect(acknowledgements()).toEqual([]);
+  });
+
+  it('should ignore server errors', async () => {
+    fetchHandlers['/api/link-health/alerts'] = async () => ({
+      ok: false,
+      status: 500,
+      json: async () => ({ error: 'Internal server error' }),
+    });
+
+    expect(await __test__.notifyBrokenLinks()).toBe(0);
+    expect(mockBrowser.notifications.create).not.toHaveBeenCalled();
+  });
+});
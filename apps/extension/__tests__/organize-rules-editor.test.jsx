@@ -0,0 +1,98 @@
+/**
+ * Tests for the OrganizeRules editor's save, preview and run
+ * @module __tests__/organize-rules-editor.test
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { OrganizeRules } from '../src/popup/components/OrganizeRules.jsx';
+
+const rules = [
+  {
+    id: 'github',
+    name: 'GitHub',
+    enabled: true,
+    match: 'all',
+    conditions: [{ field: 'domain', operator: 'is', value: 'github.com' }],
+    actions: [{ type: 'move', value: 'Dev/GitHub' }],
+    stop: false,
+  },
+];
+
+const preview = {
+  success: true,
+  summary: { added: 0, modified: 0, deleted: 0, moved: 1, total: 1 },
+  changes: [
+    {
+      id: 'b1',
+      url: 'https://github.com/vitest-dev/vitest',
+      title: 'Vitest',
+      previousTitle: null,
+      folder: 'Bookmarks Bar/Reading',
+      newFolder: 'Bookmarks Bar/Dev/GitHub',
+      addedTags: [],
+      removedTags: [],
+      ruleIds: ['github'],
+    },
+  ],
+  archive: [],
+  newFolders: ['Bookmarks Bar/Dev'],
+};
+
+describe('OrganizeRules', () => {
+  it('should preview the rules being edited', async () => {
+    const onRun = vi.fn().mockResolvedValue(preview);
+    render(<OrganizeRules rules={rules} onSave={vi.fn()} onRun={onRun} />);
+
+    fireEvent.change(screen.getByLabelText('Value'), { target: { value: 'gist.github.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Preview on all bookmarks' }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/1 bookmark would change/)).toBeTruthy();
+    });
+    expect(onRun).toHaveBeenCalledWith({
+      dryRun: true,
+      rules: [
+        {
+          ...rules[0],
+          conditions: [{ field: 'domain', operator: 'is', value: 'gist.github.com' }],
+        },
+      ],
+    });
+    expect(screen.getByText('New folders: Bookmarks Bar/Dev')).toBeTruthy();
+  });
+
+  it('should save edits before running the rules', async () => {
+    const onSave = vi.fn().mockResolvedValue({ success: true, synced: true });
+    render(<OrganizeRules rules={rules} onSave={onSave} onRun={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Operator'), { target: { value: 'not-contains' } });
+
+    expect(screen.getByRole('button', { name: 'Run on all bookmarks' }).disabled).toBe(true);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save rules' }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/other devices get these rules/)).toBeTruthy();
+    });
+    expect(onSave).toHaveBeenCalledWith([
+      {
+        ...rules[0],
+        conditions: [{ field: 'domain', operator: 'contains', value: 'github.com', negate: true }],
+      },
+    ]);
+  });
+
+  it('should report how many bookmarks a run organized', async () => {
+    const onRun = vi.fn().mockResolvedValue({ success: true, applied: 3, failed: 0, archived: 0 });
+    render(<OrganizeRules rules={rules} onSave={vi.fn()} onRun={onRun} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Run on all bookmarks' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Organized 3 bookmarks.')).toBeTruthy();
+    });
+    expect(onRun).toHaveBeenCalledWith({ dryRun: false });
+  });
+});
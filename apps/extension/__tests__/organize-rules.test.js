@@ -0,0 +1,362 @@
+/**
+ * Integration test: auto-organize rules in the REAL background module, with mocked
+ * browser.* and fetch APIs.
+ *
+ * Rules are saved in the browser and in the account's settings, run on each new
+ * bookmark, and run on demand over the whole library after a dry-run preview. Rules
+ * match on tags kept per URL, which the popup also sets one at a time or in bulk. Tag
+ * renames made in the account are replayed over those tags and the rules on sync.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  storageData,
+  mockBrowser,
+  setStorage,
+  setFetchHandlers,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+let bookmarkTree = [];
+let createdFolders = 0;
+
+// Find a node and its parent in the mock tree
+const findNode = (id, nodes = bookmarkTree, parent = null) => {
+  for (const node of nodes) {
+    if (node.id === id) return { node, parent };
+    const found = findNode(id, node.children || [], node);
+    if (found) return found;
+  }
+  return null;
+};
+
+Object.assign(mockBrowser.bookmarks, {
+  getTree: vi.fn(async () => bookmarkTree),
+  get: vi.fn(async (id) => {
+    const found = findNode(id);
+    return [found && { ...found.node, parentId: found.parent?.id }];
+  }),
+  getChildren: vi.fn(async (id) => findNode(id)?.node.children || []),
+  create: vi.fn(async ({ parentId, title }) => {
+    const folder = { id: `folder-${++createdFolders}`, title, children: [] };
+    findNode(parentId).node.children.push(folder);
+    return folder;
+  }),
+});
+
+// The account's settings and tag sync state, as /api/settings and /api/tags/sync serve them
+let cloudSettings = null;
+let cloudTagSync = null;
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  setStorage({
+    session: {
+      access_token: 'test-token-valid',
+      access_token_expires_at: new Date(Date.now() + 3600000).toISOString(),
+    },
+  });
+  cloudSettings = { theme: 'dark' };
+  cloudTagSync = { tags: [], renames: [], cursor: 0 };
+  createdFolders = 0;
+  bookmarkTree = [
+    {
+      id: '0',
+      title: '',
+      children: [
+        {
+          id: '1',
+          title: 'Bookmarks Bar',
+          children: [
+            {
+              id: 'reading',
+              title: 'Reading',
+              children: [
+                { id: 'b1', title: 'Vitest', url: 'https://github.com/vitest-dev/vitest' },
+                { id: 'b2', title: 'Recipes', url: 'https://example.com/recipes' },
+              ],
+            },
+          ],
+        },
+        {
+          id: '2',
+          title: 'Other Bookmarks',
+          children: [{ id: 'b3', title: 'March Invoice', url: 'https://billing.example.com/3' }],
+        },
+      ],
+    },
+  ];
+  vi.clearAllMocks();
+  setFetchHandlers({
+    '/api/settings': async (_url, opts) => {
+      if (opts?.method === 'PUT') {
+        cloudSettings = JSON.parse(opts.body).settings;
+      }
+      return { ok: true, status: 200, json: async () => ({ settings: cloudSettings }) };
+    },
+    '/api/tags/sync': async () => ({ ok: true, status: 200, json: async () => cloudTagSync }),
+  });
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const githubRule = {
+  id: 'github',
+  name: 'GitHub',
+  conditions: [{ field: 'domain', operator: 'is', value: 'github.com' }],
+  actions: [
+    { type: 'tag', value: 'code' },
+    { type: 'move', value: 'Dev/GitHub' },
+  ],
+};
+
+const invoiceRule = {
+  id: 'invoices',
+  name: 'Invoices',
+  conditions: [{ field: 'title', operator: 'matches', value: '/invoice/i' }],
+  actions: [{ type: 'move', value: 'Finance' }],
+};
+
+describe('Organize rules (background)', () => {
+  it('should save rules here and in the account settings', async () => {
+    const result = await __test__.saveOrganizeRules({ rules: [githubRule] });
+
+    expect(result).toEqual({ success: true, rules: [githubRule], synced: true });
+    expect(storageData['marksyncr-organize-rules'].rules).toEqual([githubRule]);
+    expect(cloudSettings).toEqual({
+      theme: 'dark',
+      rules: [githubRule],
+      rulesUpdatedAt: storageData['marksyncr-organize-rules'].updatedAt,
+    });
+  });
+
+  it('should refuse invalid rules', async () => {
+    const result = await __test__.saveOrganizeRules({
+      rules: [{ conditions: [{ field: 'title', value: 'x' }], actions: [] }],
+    });
+
+    expect(result).toEqual({ success: false, error: 'rules[0] needs at least one action' });
+    expect(storageData['marksyncr-organize-rules']).toBeUndefined();
+  });
+
+  it('should take rules saved later on another device', async () => {
+    storageData['marksyncr-organize-rules'] = { rules: [githubRule], updatedAt: 1000 };
+    cloudSettings = { rules: [invoiceRule], rulesUpdatedAt: 2000 };
+
+    const result = await __test__.syncOrganizeRulesFromCloud();
+
+    expect(result).toEqual({ success: true, rules: [invoiceRule] });
+    expect(storageData['marksyncr-organize-rules']).toEqual({
+      rules: [invoiceRule],
+      updatedAt: 2000,
+    });
+  });
+
+  it('should push rules saved here later than the account has them', async () => {
+    storageData['marksyncr-organize-rules'] = { rules: [githubRule], updatedAt: 3000 };
+    cloudSettings = { theme: 'dark', rules: [invoiceRule], rulesUpdatedAt: 2000 };
+
+    await __test__.syncOrganizeRulesFromCloud();
+
+    expect(cloudSettings).toEqual({ theme: 'dark', rules: [githubRule], rulesUpdatedAt: 3000 });
+  });
+
+  it('should preview the rules over the library without changing it', async () => {
+    const preview = await __test__.runOrganizeRules({
+      dryRun: true,
+      rules: [githubRule, invoiceRule],
+    });
+
+    expect(preview).toMatchObject({
+      success: true,
+      summary: { moved: 2, modified: 0, total: 2 },
+      newFolders: ['Bookmarks Bar/Dev', 'Bookmarks Bar/Dev/GitHub', 'Other Bookmarks/Finance'],
+      archive: [],
+    });
+    expect(preview.changes[0]).toEqual({
+      id: 'b1',
+      url: 'https://github.com/vitest-dev/vitest',
+      title: 'Vitest',
+      previousTitle: null,
+      folder: 'Bookmarks Bar/Reading',
+      newFolder: 'Bookmarks Bar/Dev/GitHub',
+      addedTags: ['code'],
+      removedTags: [],
+      ruleIds: ['github'],
+    });
+    expect(mockBrowser.bookmarks.move).not.toHaveBeenCalled();
+    expect(mockBrowser.bookmarks.create).not.toHaveBeenCalled();
+  });
+
+  it('should run the saved rules over the library', async () => {
+    storageData['marksyncr-organize-rules'] = { rules: [githubRule, invoiceRule], updatedAt: 1 };
+
+    const result = await __test__.runOrganizeRules();
+
+    expect(result).toMatchObject({ success: true, applied: 2, failed: 0, archived: 0 });
+    expect(mockBrowser.bookmarks.create).toHaveBeenCalledWith({ parentId: '1', title: 'Dev' });
+    expect(mockBrowser.bookmarks.move).toHaveBeenCalledWith('b1', { parentId: 'folder-2' });
+    expect(mockBrowser.bookmarks.move).toHaveBeenCalledWith('b3', { parentId: 'folder-3' });
+    expect(storageData['marksyncr-bookmark-tags']).toEqual({
+      'https://github.com/vitest-dev/vitest': ['code'],
+    });
+  });
+
+  it('should organize a new bookmark', async () => {
+    storageData['marksyncr-organize-rules'] = {
+      rules: [
+        {
+          ...invoiceRule,
+          actions: [...invoiceRule.actions, { type: 'rename', value: 'Invoice: {domain}' }],
+        },
+      ],
+      updatedAt: 1,
+    };
+
+    const result = await __test__.organizeNewBookmark('b3', {
+      parentId: '2',
+      title: 'March Invoice',
+      url: 'https://billing.example.com/3',
+    });
+
+    expect(result.ruleIds).toEqual(['invoices']);
+    expect(mockBrowser.bookmarks.move).toHaveBeenCalledWith('b3', { parentId: 'folder-1' });
+    expect(mockBrowser.bookmarks.update).toHaveBeenCalledWith('b3', {
+      title: 'Invoice: billing.example.com',
+    });
+  });
+
+  it('should match rules on tags the user gave a bookmark', async () => {
+    await __test__.updateBookmarkTags({ bookmarkId: 'b2', tags: [{ id: 't1', name: 'food' }] });
+    storageData['marksyncr-organize-rules'] = {
+      rules: [
+        {
+          id: 'food',
+          conditions: [{ field: 'tags', operator: 'is', value: 'food' }],
+          actions: [{ type: 'move', value: 'Kitchen' }],
+        },
+      ],
+      updatedAt: 1,
+    };
+
+    const result = await __test__.organizeNewBookmark('b2', {
+      parentId: 'reading',
+      title: 'Recipes',
+      url: 'https://example.com/recipes',
+    });
+
+    expect(result.ruleIds).toEqual(['food']);
+    expect(mockBrowser.bookmarks.create).toHaveBeenCalledWith({ parentId: '1', title: 'Kitchen' });
+  });
+
+  it('should leave a new bookmark alone without rules', async () => {
+    expect(
+      await __test__.organizeNewBookmark('b1', {
+        parentId: 'reading',
+        title: 'Vitest',
+        url: 'https://github.com/vitest-dev/vitest',
+      })
+    ).toBeNull();
+    expect(mockBrowser.bookmarks.move).not.toHaveBeenCalled();
+  });
+});
+
+describe('Bookmark tags (background)', () => {
+  it('should tag a page by URL before it is bookmarked', async () => {
+    const result = await __test__.updateBookmarkTags({
+      url: 'https://deno.com/',
+      tags: ['javascript'],
+    });
+
+    expect(result).toEqual({ success: true });
+    expect(storageData['marksyncr-bookmark-tags']).toEqual({ 'https://deno.com/': ['javascript'] });
+  });
+
+  it('should add tags to many bookmarks, keeping the tags they have', async () => {
+    storageData['marksyncr-bookmark-tags'] = { 'https://example.com/recipes': ['food'] };
+
+    const result = await __test__.tagBookmarks({
+      assignments: [
+        { url: 'https://example.com/recipes', tags: ['food', 'soup'] },
+        { url: 'https://github.com/vitest-dev/vitest', tags: ['testing'] },
+        { url: 'https://billing.example.com/3', tags: [] },
+      ],
+    });
+
+    expect(result).toEqual({ success: true, tagged: 2 });
+    expect(storageData['marksyncr-bookmark-tags']).toEqual({
+      'https://example.com/recipes': ['food', 'soup'],
+      'https://github.com/vitest-dev/vitest': ['testing'],
+    });
+  });
+});
+
+describe('Tag renames (background)', () => {
+  beforeEach(() => {
+    cloudTagSync = {
+      tags: [{ name: 'javascript', color: '#3B82F6', aliases: ['js'] }],
+      renames: [{ id: 4, from: 'js', to: 'javascript' }],
+      cursor: 4,
+    };
+  });
+
+  it('should replay renames over bookmark tags and rules, and keep the cursor', async () => {
+    storageData['marksyncr-tag-sync'] = { tags: [], cursor: 3 };
+    storageData['marksyncr-bookmark-tags'] = {
+      'https://react.dev/': ['js/react', 'docs'],
+      'https://example.com/recipes': ['food'],
+    };
+    storageData['marksyncr-organize-rules'] = {
+      rules: [{ ...githubRule, actions: [{ type: 'tag', value: 'js' }] }],
+      updatedAt: 1,
+    };
+
+    const result = await __test__.syncTagRenamesFromCloud();
+
+    expect(result).toEqual({ success: true, renamed: 1 });
+    expect(global.fetch.mock.calls[0][0]).toContain('/api/tags/sync?after=3');
+    expect(storageData['marksyncr-bookmark-tags']).toEqual({
+      'https://react.dev/': ['javascript/react', 'docs'],
+      'https://example.com/recipes': ['food'],
+    });
+    expect(storageData['marksyncr-organize-rules'].rules[0].actions).toEqual([
+      { type: 'tag', value: 'javascript' },
+    ]);
+    expect(cloudSettings.rules[0].actions).toEqual([{ type: 'tag', value: 'javascript' }]);
+    expect(storageData['marksyncr-tag-sync']).toEqual({
+      tags: cloudTagSync.tags,
+      cursor: 4,
+    });
+  });
+
+  it('should tag with the renamed tag when given an alias', async () => {
+    await __test__.syncTagRenamesFromCloud();
+
+    await __test__.updateBookmarkTags({ url: 'https://deno.com/', tags: ['JS/runtimes', 'deno'] });
+    await __test__.tagBookmarks({
+      assignments: [{ url: 'https://nodejs.org/', tags: ['js', 'javascript'] }],
+    });
+
+    expect(storageData['marksyncr-bookmark-tags']).toEqual({
+      'https://deno.com/': ['javascript/runtimes', 'deno'],
+      'https://nodejs.org/': ['javascript'],
+    });
+  });
+
+  it('should skip the server when signed out', async () => {
+    delete storageData.session;
+
+    const result = await __test__.syncTagRenamesFromCloud();
+
+    expect(result).toEqual({ success: true, renamed: 0 });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
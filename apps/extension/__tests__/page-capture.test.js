@@ -0,0 +1,175 @@
+/**
+ * Integration test: capturing new bookmarks for offline reading in the REAL
+ * background module, with mocked browser.* and fetch APIs.
+ *
+ * With the capturePages setting on, the server takes a readable copy of each page the
+ * user bookmarks, and the background keeps the latest copies in the browser. The page
+ * source is sent from the user's tab when the extension can read it.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  storageData,
+  fetchHandlers,
+  mockBrowser,
+  setStorage,
+  setBookmarkTree,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+mockBrowser.tabs = {
+  query: vi.fn(async () => []),
+};
+mockBrowser.scripting = {
+  executeScript: vi.fn(),
+};
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  setStorage({
+    session: {
+      access_token: 'test-token-valid',
+      access_token_expires_at: new Date(Date.now() + 3600000).toISOString(),
+      extension_token: 'ext-token-valid',
+    },
+  });
+  setBookmarkTree([{ id: '0', title: '', children: [] }]);
+  mockBrowser.tabs.query.mockResolvedValue([]);
+  mockBrowser.scripting.executeScript.mockReset();
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const snapshot = (url, title = 'Post') => ({
+  id: `snap-${url}`,
+  url,
+  title,
+  siteName: 'example.com',
+  content: '<p>Worth reading.</p>',
+  textContent: 'Worth reading.',
+  wordCount: 2,
+  capturedAt: '2024-01-01T00:00:00.000Z',
+});
+
+const captures = () =>
+  global.fetch.mock.calls
+    .filter(([url, opts]) => url.includes('/api/snapshots') && opts?.method === 'POST')
+    .map(([, opts]) => JSON.parse(opts.body));
+
+function serveSnapshots() {
+  fetchHandlers['/api/snapshots'] = async (url, opts) => {
+    const { url: pageUrl } = JSON.parse(opts.body);
+    return { ok: true, status: 201, json: async () => ({ snapshot: snapshot(pageUrl) }) };
+  };
+}
+
+describe('Capturing new bookmarks (background)', () => {
+  it('should capture new bookmarks and keep them for offline reading', async () => {
+    storageData.settings = { capturePages: true };
+    storageData.pageSnapshots = [snapshot('https://example.com/older', 'Older')];
+    serveSnapshots();
+
+    const captured = await __test__.captureNewBookmark('https://example.com/post');
+
+    expect(captured.url).toBe('https://example.com/post');
+    expect(captures()).toEqual([{ url: 'https://example.com/post' }]);
+    expect(storageData.pageSnapshots.map((page) => page.url)).toEqual([
+      'https://example.com/post',
+      'https://example.com/older',
+    ]);
+  });
+
+  it('should send the page as the user sees it when its tab can be read', async () => {
+    storageData.settings = { capturePages: true };
+    mockBrowser.tabs.query.mockResolvedValue([{ id: 7, url: 'https://example.com/post' }]);
+    mockBrowser.scripting.executeScript.mockResolvedValue([
+      { result: '<html><body><p>Members only</p></body></html>' },
+    ]);
+    serveSnapshots();
+
+    await __test__.captureNewBookmark('https://example.com/post');
+
+    expect(mockBrowser.scripting.executeScript).toHaveBeenCalledWith(
+      expect.objectContaining({ target: { tabId: 7 } })
+    );
+    expect(captures()).toEqual([
+      {
+        url: 'https://example.com/post',
+        html: '<html><body><p>Members only</p></body></html>',
+      },
+    ]);
+  });
+
+  it('should leave the page to the server when its tab is not open or readable', async () => {
+    storageData.settings = { capturePages: true };
+    mockBrowser.tabs.query.mockResolvedValue([{ id: 7, url: 'https://example.com/other' }]);
+    serveSnapshots();
+
+    await __test__.captureNewBookmark('https://example.com/post');
+
+    mockBrowser.tabs.query.mockResolvedValue([{ id: 7, url: 'https://example.com/post' }]);
+    mockBrowser.scripting.executeScript.mockRejectedValue(
+      new Error('Missing host permission for the tab')
+    );
+    await __test__.captureNewBookmark('https://example.com/post');
+
+    expect(mockBrowser.scripting.executeScript).toHaveBeenCalledTimes(1);
+    expect(captures()).toEqual([
+      { url: 'https://example.com/post' },
+      { url: 'https://example.com/post' },
+    ]);
+  });
+
+  it('should replace the saved copy of a page captured again', async () => {
+    storageData.settings = { capturePages: true };
+    storageData.pageSnapshots = [snapshot('https://example.com/post', 'Old title')];
+    serveSnapshots();
+
+    await __test__.captureNewBookmark('https://example.com/post');
+
+    expect(storageData.pageSnapshots).toHaveLength(1);
+    expect(storageData.pageSnapshots[0].title).toBe('Post');
+  });
+
+  it('should keep only the latest copies in the browser', async () => {
+    storageData.settings = { capturePages: true };
+    storageData.pageSnapshots = Array.from({ length: 50 }, (_, i) =>
+      snapshot(`https://example.com/${i}`)
+    );
+    serveSnapshots();
+
+    await __test__.captureNewBookmark('https://example.com/post');
+
+    expect(storageData.pageSnapshots).toHaveLength(50);
+    expect(storageData.pageSnapshots[0].url).toBe('https://example.com/post');
+    expect(storageData.pageSnapshots.at(-1).url).toBe('https://example.com/48');
+  });
+
+  it('should not capture anything when the setting is off', async () => {
+    storageData.settings = { capturePages: false };
+    serveSnapshots();
+
+    expect(await __test__.captureNewBookmark('https://example.com/post')).toBeNull();
+    expect(captures()).toEqual([]);
+  });
+
+  it('should keep nothing when the server refuses the page', async () => {
+    storageData.settings = { capturePages: true };
+    fetchHandlers['/api/snapshots'] = async () => ({
+      ok: false,
+      status: 403,
+      json: async () => ({ error: 'Snapshot limit reached (25)', code: 'SNAPSHOT_QUOTA_EXCEEDED' }),
+    });
+
+    expect(await __test__.captureNewBookmark('https://example.com/post')).toBeNull();
+    expect(storageData.pageSnapshots).toBeUndefined();
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Integration test: per-device selective sync in the REAL background module,
+ * with mocked browser.* and fetch APIs.
+ *
+ * A device whose profile (from /api/devices) excludes a folder neither pushes
+ * that folder nor deletes or recreates it locally, and keeps the cloud's copy of
+ * it intact when it pushes its own changes.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSyncFilter, getSyncView } from '@marksyncr/core/selective-sync';
+
+import {
+  storageData,
+  capturedListeners,
+  mockBrowser,
+  setStorage,
+  setFetchHandlers,
+  setBookmarkTree,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+// Nodes of the bookmark tree by ID, for browser.bookmarks.get()
+let bookmarkNodesById = new Map();
+mockBrowser.bookmarks.get = vi.fn(async (id) => [bookmarkNodesById.get(id)].filter(Boolean));
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const PROFILE = { include: [], exclude: ['Work'] };
+
+const bookmarkNode = (id, parentId, url, index) => ({
+  id,
+  parentId,
+  title: url.replace('https://', ''),
+  url,
+  index,
+  dateAdded: 1000,
+});
+
+// Toolbar with a.com and a Work folder holding a local-only bookmark
+function buildBookmarkTree() {
+  const work = {
+    id: 'work',
+    parentId: '1',
+    title: 'Work',
+    index: 1,
+    dateAdded: 1000,
+    children: [bookmarkNode('w1', 'work', 'https://w1.com', 0)],
+  };
+  const toolbar = {
+    id: '1',
+    parentId: '0',
+    title: 'Bookmarks Bar',
+    children: [bookmarkNode('a', '1', 'https://a.com', 0), work],
+  };
+  const tree = [
+    {
+      id: '0',
+      title: '',
+      children: [toolbar, { id: '2', parentId: '0', title: 'Other Bookmarks', children: [] }],
+    },
+  ];
+
+  bookmarkNodesById = new Map();
+  const index = (node) => {
+    bookmarkNodesById.set(node.id, node);
+    (node.children || []).forEach(index);
+  };
+  tree.forEach(index);
+  return tree;
+}
+
+const cloudItem = (url, folderPath, index) => ({
+  type: 'bookmark',
+  url,
+  title: url.replace('https://', ''),
+  folderPath,
+  index,
+});
+
+// The cloud holds the Work folder with another bookmark than this device has
+const CLOUD_WORK = [
+  { type: 'folder', title: 'Work', folderPath: 'Bookmarks Bar', index: 1 },
+  cloudItem('https://w2.com', 'Bookmarks Bar/Work', 0),
+];
+
+async function localViewChecksum() {
+  const filter = createSyncFilter(PROFILE);
+  const tree = await mockBrowser.bookmarks.getTree();
+  return __test__.generateChecksum(getSyncView(__test__.flattenBookmarkTree(tree), filter));
+}
+
+function setupScenario({ cloudBookmarks, cloudTombstones = [], deviceProfile = PROFILE }) {
+  setStorage({
+    session: {
+      access_token: 'test-token-valid',
+      access_token_expires_at: new Date(Date.now() + 3600000).toISOString(),
+      extension_token: 'ext-token-valid',
+    },
+    sources: [{ id: 'browser-bookmarks', connected: true }],
+    selectedSource: 'browser-bookmarks',
+    deviceId: 'chrome-device-1',
+    'marksyncr-tombstones': [],
+    'marksyncr-last-sync-time': Date.now() - 300000,
+    'marksyncr-sync-profile': PROFILE,
+  });
+  setBookmarkTree(buildBookmarkTree());
+  mockBrowser.bookmarks.create.mockClear();
+  mockBrowser.bookmarks.remove.mockClear();
+
+  const pushes = [];
+  setFetchHandlers({
+    '/api/devices': async () => ({
+      ok: true,
+      json: async () => ({ device: { id: 'dev-1', sync_profile: deviceProfile } }),
+    }),
+    '/api/bookmarks': async (_url, opts) => {
+      if (opts?.method === 'GET' || !opts?.method) {
+        return {
+          ok: true,
+          json: async () => ({
+            bookmarks: cloudBookmarks,
+            tombstones: cloudTombstones,
+            checksum: 'cloud-checksum',
+            version: 2,
+          }),
+        };
+      }
+      pushes.push(JSON.parse(opts.body));
+      return { ok: true, json: async () => ({ checksum: 'pushed-checksum' }) };
+    },
+    '/api/versions': async () => ({ ok: true, json: async () => ({ version: { id: 'v1' } }) }),
+  });
+
+  return { pushes };
+}
+
+describe('Integration: selective sync', () => {
+  it('should push local changes without the excluded folder and keep the cloud copy of it', async () => {
+    const { pushes } = setupScenario({
+      cloudBookmarks: [cloudItem('https://a.com', 'Bookmarks Bar', 0), ...CLOUD_WORK],
+    });
+    storageData['marksyncr-last-cloud-checksum'] = 'checksum-before-local-edit';
+
+    const result = await __test__.performSync();
+
+    expect(result.success).toBe(true);
+    expect(pushes).toHaveLength(1);
+    const pushedUrls = pushes[0].bookmarks.map((b) => b.url ?? `folder:${b.title}`);
+    expect(pushedUrls).toEqual(
+      expect.arrayContaining(['https://a.com', 'folder:Work', 'https://w2.com'])
+    );
+    expect(pushedUrls).not.toContain('https://w1.com');
+    // The view checksum is stored, so the next sync sees no local change
+    expect(storageData['marksyncr-last-cloud-checksum']).toBe(await localViewChecksum());
+  });
+
+  it('should not recreate or delete bookmarks of the excluded folder when pulling', async () => {
+    const { pushes } = setupScenario({
+      cloudBookmarks: [
+        cloudItem('https://a.com', 'Bookmarks Bar', 0),
+        ...CLOUD_WORK,
+        cloudItem('https://c.com', 'Bookmarks Bar', 2),
+      ],
+      cloudTombstones: [{ url: 'https://w1.com', deletedAt: Date.now() }],
+    });
+    storageData['marksyncr-last-cloud-checksum'] = await localViewChecksum();
+
+    const result = await __test__.performSync();
+
+    expect(result.success).toBe(true);
+    const createdUrls = mockBrowser.bookmarks.create.mock.calls.map(([props]) => props.url);
+    expect(createdUrls).toContain('https://c.com');
+    expect(createdUrls).not.toContain('https://w2.com');
+    expect(mockBrowser.bookmarks.remove).not.toHaveBeenCalledWith('w1');
+    for (const push of pushes) {
+      expect(push.bookmarks.map((b) => b.url)).toContain('https://w2.com');
+    }
+  });
+
+  it('should pull instead of push after the device rules change', async () => {
+    setupScenario({
+      cloudBookmarks: [cloudItem('https://a.com', 'Bookmarks Bar', 0), ...CLOUD_WORK],
+      deviceProfile: null,
+    });
+    storageData['marksyncr-last-cloud-checksum'] = await localViewChecksum();
+
+    const result = await __test__.performSync();
+
+    expect(result.success).toBe(true);
+    expect(storageData['marksyncr-sync-profile']).toBeNull();
+    // The Work folder is synced now: its cloud bookmark is added, not deleted from the cloud
+    const createdUrls = mockBrowser.bookmarks.create.mock.calls.map(([props]) => props.url);
+    expect(createdUrls).toContain('https://w2.com');
+    expect(result.message).not.toBe('Local changes pushed to server master');
+  });
+
+  it('should not add tombstones for bookmarks removed from an excluded folder', async () => {
+    setupScenario({ cloudBookmarks: [] });
+
+    await capturedListeners.onRemoved('w1', {
+      parentId: 'work',
+      index: 0,
+      node: { id: 'w1', title: 'w1.com', url: 'https://w1.com' },
+    });
+    await capturedListeners.onRemoved('a', {
+      parentId: '1',
+      index: 0,
+      node: { id: 'a', title: 'a.com', url: 'https://a.com' },
+    });
+
+    const tombstones = await __test__.getTombstones();
+    expect(tombstones.map((t) => t.url)).toEqual(['https://a.com']);
+  });
+
+  it('should only add tombstones for the synced part of a removed folder', async () => {
+    setupScenario({ cloudBookmarks: [] });
+
+    await capturedListeners.onRemoved('1', {
+      parentId: '0',
+      index: 0,
+      node: bookmarkNodesById.get('1'),
+    });
+
+    const tombstones = await __test__.getTombstones();
+    expect(tombstones.map((t) => t.url)).toEqual(['https://a.com']);
+  });
+});
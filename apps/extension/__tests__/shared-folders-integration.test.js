@@ -0,0 +1,252 @@
+/**
+ * Integration test: team shared folders in the REAL background module, with
+ * mocked browser.* and fetch APIs.
+ *
+ * Shared folders are mounted under Other Bookmarks/Team Folders. Editors' local
+ * edits are pushed as operations and the mount is rewritten with the merged
+ * folder; viewers' edits are undone; folders the user lost access to are
+ * unmounted.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  storageData,
+  fetchHandlers,
+  mockBrowser,
+  setStorage,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+// In-memory bookmark tree: nodes by ID, each folder with its children
+let nodes = new Map();
+let nextNodeId = 100;
+
+function resetTree() {
+  nodes = new Map();
+  const bar = { id: '1', parentId: '0', title: 'Bookmarks Bar', children: [] };
+  const other = { id: '2', parentId: '0', title: 'Other Bookmarks', children: [] };
+  nodes.set('0', { id: '0', title: '', children: [bar, other] });
+  nodes.set('1', bar);
+  nodes.set('2', other);
+}
+
+function addNode(parentId, title, url) {
+  const parent = nodes.get(parentId);
+  const node = { id: String(nextNodeId++), parentId, title, index: parent.children.length };
+  if (url) node.url = url;
+  else node.children = [];
+  parent.children.push(node);
+  nodes.set(node.id, node);
+  return node;
+}
+
+function removeNode(id) {
+  const node = nodes.get(id);
+  if (!node) throw new Error(`Bookmark ${id} not found`);
+  const siblings = nodes.get(node.parentId).children;
+  siblings.splice(siblings.indexOf(node), 1);
+  siblings.forEach((sibling, i) => (sibling.index = i));
+  const forget = (n) => {
+    nodes.delete(n.id);
+    (n.children ?? []).forEach(forget);
+  };
+  forget(node);
+}
+
+// Titles and URLs of a folder's contents, for assertions
+function describeFolder(id) {
+  return nodes.get(id).children.map((n) => (n.url ? n.url : { [n.title]: describeFolder(n.id) }));
+}
+
+function findFolder(...titles) {
+  let node = nodes.get('2');
+  for (const title of titles) {
+    node = node?.children.find((child) => !child.url && child.title === title);
+  }
+  return node;
+}
+
+Object.assign(mockBrowser.bookmarks, {
+  getTree: vi.fn(async () => [nodes.get('0')]),
+  getSubTree: vi.fn(async (id) => [nodes.get(id)]),
+  get: vi.fn(async (id) => {
+    if (!nodes.has(id)) throw new Error(`Bookmark ${id} not found`);
+    return [nodes.get(id)];
+  }),
+  getChildren: vi.fn(async (id) => [...(nodes.get(id)?.children ?? [])]),
+  create: vi.fn(async ({ parentId, title, url }) => addNode(parentId, title, url)),
+  remove: vi.fn(async (id) => removeNode(id)),
+  removeTree: vi.fn(async (id) => removeNode(id)),
+});
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  resetTree();
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const FOLDER_ID = '8e555951-9dc0-11d1-b245-5ffdce74fad2';
+
+const bookmark = (url, folderPath = '', index = 0) => ({
+  type: 'bookmark',
+  url,
+  title: url,
+  folderPath,
+  index,
+});
+
+const sharedFolder = (role, items, version = 1) => ({
+  id: FOLDER_ID,
+  teamId: 'team-1',
+  teamName: 'Design',
+  name: 'References',
+  role,
+  version,
+  items,
+});
+
+function setupSignedIn(extra = {}) {
+  setStorage({
+    session: {
+      access_token: 'test-token-valid',
+      access_token_expires_at: new Date(Date.now() + 3600000).toISOString(),
+      extension_token: 'ext-token-valid',
+    },
+    ...extra,
+  });
+}
+
+function serveSharedFolders(folders) {
+  fetchHandlers['/api/shared-folders'] = async (url, opts) => {
+    if (opts?.method === 'POST') {
+      return { ok: false, status: 500, json: async () => ({ error: 'Unexpected push' }) };
+    }
+    return { ok: true, status: 200, json: async () => ({ folders }) };
+  };
+}
+
+const pushRequests = () => global.fetch.mock.calls.filter(([, opts]) => opts?.method === 'POST');
+
+describe('Shared folders (background)', () => {
+  it('should mount shared folders under Team Folders and keep them out of personal sync', async () => {
+    setupSignedIn();
+    serveSharedFolders([
+      sharedFolder('viewer', [
+        bookmark('https://a.com'),
+        { type: 'folder', title: 'Docs', folderPath: '', index: 1 },
+        bookmark('https://b.com', 'Docs', 0),
+      ]),
+    ]);
+
+    const result = await __test__.syncSharedFolders();
+
+    expect(result).toEqual({ success: true, mounted: 1, pushed: 0 });
+    const mount = findFolder('Team Folders', 'Design', 'References');
+    expect(describeFolder(mount.id)).toEqual(['https://a.com', { Docs: ['https://b.com'] }]);
+    expect(storageData['marksyncr-shared-folders'][FOLDER_ID]).toMatchObject({
+      localId: mount.id,
+      role: 'viewer',
+      version: 1,
+    });
+
+    const filter = await __test__.getSyncFilter();
+    expect(
+      filter.isItemSynced(bookmark('https://a.com', 'Other Bookmarks/Team Folders/Design'))
+    ).toBe(false);
+    expect(filter.isItemSynced(bookmark('https://c.com', 'Other Bookmarks/Personal'))).toBe(true);
+  });
+
+  it("should push an editor's edits and rewrite the mount with the merged folder", async () => {
+    setupSignedIn();
+    serveSharedFolders([sharedFolder('editor', [bookmark('https://a.com')])]);
+    await __test__.syncSharedFolders();
+
+    const mount = findFolder('Team Folders', 'Design', 'References');
+    addNode(mount.id, 'https://mine.com', 'https://mine.com');
+
+    let pushed;
+    fetchHandlers['/api/shared-folders'] = async (url, opts) => {
+      if (opts?.method === 'POST') {
+        pushed = JSON.parse(opts.body);
+        return {
+          ok: true,
+          status: 200,
+          json: async () => ({
+            folder: sharedFolder(
+              'editor',
+              [
+                bookmark('https://a.com'),
+                bookmark('https://theirs.com', '', 1),
+                bookmark('https://mine.com', '', 2),
+              ],
+              3
+            ),
+          }),
+        };
+      }
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({
+          folders: [
+            sharedFolder(
+              'editor',
+              [bookmark('https://a.com'), bookmark('https://theirs.com', '', 1)],
+              2
+            ),
+          ],
+        }),
+      };
+    };
+
+    const result = await __test__.syncSharedFolders();
+
+    expect(result.pushed).toBe(1);
+    expect(pushed.operations).toEqual([
+      { op: 'add', key: 'https://mine.com', item: bookmark('https://mine.com', '', 1) },
+    ]);
+    expect(describeFolder(mount.id)).toEqual([
+      'https://a.com',
+      'https://theirs.com',
+      'https://mine.com',
+    ]);
+    expect(storageData['marksyncr-shared-folders'][FOLDER_ID].version).toBe(3);
+  });
+
+  it("should undo a viewer's edits instead of pushing them", async () => {
+    setupSignedIn();
+    serveSharedFolders([sharedFolder('viewer', [bookmark('https://a.com')])]);
+    await __test__.syncSharedFolders();
+
+    const mount = findFolder('Team Folders', 'Design', 'References');
+    removeNode(mount.children[0].id);
+
+    await __test__.syncSharedFolders();
+
+    expect(pushRequests()).toHaveLength(0);
+    expect(describeFolder(mount.id)).toEqual(['https://a.com']);
+  });
+
+  it('should unmount folders the user no longer has access to', async () => {
+    setupSignedIn();
+    serveSharedFolders([sharedFolder('editor', [bookmark('https://a.com')])]);
+    await __test__.syncSharedFolders();
+    expect(findFolder('Team Folders')).toBeDefined();
+
+    serveSharedFolders([]);
+    const result = await __test__.syncSharedFolders();
+
+    expect(result).toEqual({ success: true, mounted: 0, pushed: 0 });
+    expect(findFolder('Team Folders')).toBeUndefined();
+    expect(storageData['marksyncr-shared-folders']).toEqual({});
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for the SmartSearch component's query operators and autocomplete
+ * @module __tests__/smart-search.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { SmartSearch } from '../src/popup/components/SmartSearch.jsx';
+
+const bookmarks = [
+  {
+    id: '1',
+    title: 'Vitest guide',
+    url: 'https://github.com/vitest-dev/vitest',
+    parentPath: 'Bookmarks Bar/Dev',
+    tags: [{ id: 't1', name: 'dev' }],
+  },
+  {
+    id: '2',
+    title: 'Vite docs',
+    url: 'https://vitejs.dev/guide',
+    parentPath: 'Bookmarks Bar/Dev',
+    tags: [{ id: 't1', name: 'dev' }],
+    linkStatus: 'broken',
+  },
+  {
+    id: '3',
+    title: 'Recipes',
+    url: 'https://example.com/recipes',
+    parentPath: 'Bookmarks Bar/Home',
+    tags: [],
+  },
+];
+
+// Titles of the listed results, once the debounced search has run
+const resultTitles = () =>
+  screen.getAllByRole('heading', { level: 4 }).map((heading) => heading.textContent);
+
+const renderSearch = () => render(<SmartSearch bookmarks={bookmarks} isPro />);
+
+const typeQuery = (value) => {
+  const input = screen.getByRole('combobox');
+  fireEvent.focus(input);
+  fireEvent.change(input, { target: { value } });
+  return input;
+};
+
+describe('SmartSearch', () => {
+  it('should narrow results with operators and search the remaining words', async () => {
+    renderSearch();
+
+    typeQuery('tag:dev vite -domain:github.com');
+
+    await waitFor(() => {
+      expect(resultTitles()).toEqual(['Vite docs']);
+    });
+  });
+
+  it('should filter by link status', async () => {
+    renderSearch();
+
+    typeQuery('is:broken');
+
+    await waitFor(() => {
+      expect(resultTitles()).toEqual(['Vite docs']);
+    });
+  });
+
+  it('should mention operators it ignores', () => {
+    renderSearch();
+
+    typeQuery('is:lost');
+
+    expect(screen.getByText(/Ignored:/)).toBeTruthy();
+  });
+
+  it('should complete operator values from bookmark tags and domains', () => {
+    renderSearch();
+
+    typeQuery('domain:vite');
+
+    const options = screen.getAllByRole('option');
+    expect(options.map((option) => option.textContent)).toEqual([
+      expect.stringContaining('domain:vitejs.dev'),
+    ]);
+
+    fireEvent.mouseDown(options[0]);
+
+    expect(screen.getByRole('combobox').value).toBe('domain:vitejs.dev ');
+  });
+
+  it('should accept the highlighted suggestion from the keyboard', () => {
+    renderSearch();
+
+    const input = typeQuery('ta');
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(input.value).toBe('tag:');
+  });
+});
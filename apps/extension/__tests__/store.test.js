@@ -13,6 +13,10 @@ const mockStorageRemove = vi.fn();
 const mockBookmarksGetTree = vi.fn();
 const mockBookmarksRemove = vi.fn();
 const mockBookmarksUpdate = vi.fn();
+const mockBookmarksCreate = vi.fn();
+const mockBookmarksSearch = vi.fn();
+const mockTabsQuery = vi.fn();
+const mockExecuteScript = vi.fn();
 const mockRuntimeSendMessage = vi.fn();
 
 // Mock browser API
@@ -28,6 +32,14 @@ const mockBrowserAPI = {
     getTree: mockBookmarksGetTree,
     remove: mockBookmarksRemove,
     update: mockBookmarksUpdate,
+    create: mockBookmarksCreate,
+    search: mockBookmarksSearch,
+  },
+  tabs: {
+    query: mockTabsQuery,
+  },
+  scripting: {
+    executeScript: mockExecuteScript,
   },
   runtime: {
     sendMessage: mockRuntimeSendMessage,
@@ -113,6 +125,8 @@ describe('Extension Store', () => {
       linkScanResults: [],
       isScanning: false,
       duplicateGroups: [],
+      conflicts: [],
+      isLoadingConflicts: false,
     });
   });
 
@@ -536,6 +550,56 @@ describe('Extension Store', () => {
     });
   });
 
+  describe('Sync Conflict Actions', () => {
+    const conflict = {
+      id: 'conflict-1',
+      bookmarkId: 'https://example.com',
+      field: 'title',
+      localValue: 'Local',
+      remoteValue: 'Remote',
+    };
+
+    describe('fetchConflicts', () => {
+      it('should load pending conflicts from the background script', async () => {
+        mockRuntimeSendMessage.mockResolvedValue({ success: true, conflicts: [conflict] });
+
+        await useStore.getState().fetchConflicts();
+
+        expect(mockRuntimeSendMessage).toHaveBeenCalledWith({ type: 'GET_CONFLICTS' });
+        expect(useStore.getState().conflicts).toEqual([conflict]);
+        expect(useStore.getState().isLoadingConflicts).toBe(false);
+      });
+    });
+
+    describe('resolveConflict', () => {
+      it('should send the resolution and drop the conflict from the queue', async () => {
+        useStore.setState({ conflicts: [conflict] });
+        mockRuntimeSendMessage.mockResolvedValue({ success: true });
+
+        const result = await useStore
+          .getState()
+          .resolveConflict('conflict-1', 'merged', 'Merged title');
+
+        expect(mockRuntimeSendMessage).toHaveBeenCalledWith({
+          type: 'RESOLVE_CONFLICT',
+          payload: { id: 'conflict-1', resolution: 'merged', value: 'Merged title' },
+        });
+        expect(result.success).toBe(true);
+        expect(useStore.getState().conflicts).toEqual([]);
+      });
+
+      it('should keep the conflict when resolving fails', async () => {
+        useStore.setState({ conflicts: [conflict] });
+        mockRuntimeSendMessage.mockResolvedValue({ success: false, error: 'Network error' });
+
+        const result = await useStore.getState().resolveConflict('conflict-1', 'local');
+
+        expect(result).toEqual({ success: false, error: 'Network error' });
+        expect(useStore.getState().conflicts).toEqual([conflict]);
+      });
+    });
+  });
+
   describe('Pro Features Actions', () => {
     describe('isPro', () => {
       it('should return true for active pro subscription', () => {
@@ -623,6 +687,23 @@ describe('Extension Store', () => {
         expect(useStore.getState().bookmarks).toHaveLength(1);
       });
 
+      it('should attach the tags saved for each bookmark', async () => {
+        useStore.setState({ tags: [{ id: 't1', name: 'Docs', color: '#10B981' }] });
+        mockStorageGet.mockResolvedValue({
+          'marksyncr-bookmark-tags': { 'https://example.com': ['docs', 'reference'] },
+        });
+        mockBookmarksGetTree.mockResolvedValue([
+          { id: 'root', children: [{ id: '1', url: 'https://example.com', title: 'Example' }] },
+        ]);
+
+        const [bookmark] = await useStore.getState().fetchBookmarks();
+
+        expect(bookmark.tags).toEqual([
+          { id: 't1', name: 'Docs', color: '#10B981' },
+          { id: 'reference', name: 'reference', color: '#3B82F6' },
+        ]);
+      });
+
       it('should set loading state during fetch', async () => {
         mockBookmarksGetTree.mockImplementation(
           () => new Promise((resolve) => setTimeout(() => resolve([]), 100))
@@ -881,6 +962,212 @@ describe('Extension Store', () => {
     });
   });
 
+  describe('Full-text Search Actions', () => {
+    const bookmarks = [
+      { id: '1', title: 'Tokio', url: 'https://tokio.rs', dateAdded: Date.now(), tags: [] },
+      { id: '2', title: 'Serde', url: 'https://serde.rs', dateAdded: Date.now(), tags: [] },
+    ];
+
+    beforeEach(() => {
+      useStore.setState({ bookmarks });
+    });
+
+    it('should find bookmarks by the text of their saved pages', async () => {
+      mockStorageGet.mockResolvedValue({
+        pageSnapshots: [
+          {
+            url: 'https://tokio.rs',
+            description: 'Build reliable network applications',
+            textContent: 'Tokio is an asynchronous runtime for the Rust programming language.',
+          },
+        ],
+      });
+
+      await useStore.getState().syncSearchIndex();
+      const results = await useStore.getState().searchFullText('asynchronous run');
+
+      expect(results.map((result) => result.item)).toEqual([bookmarks[0]]);
+      expect(results[0].snippet.text).toContain('asynchronous runtime');
+      expect(results[0].snippet.highlights).toHaveLength(2);
+      expect(useStore.getState().isIndexingSearch).toBe(false);
+    });
+
+    it('should drop bookmarks that are gone from the index', async () => {
+      mockStorageGet.mockResolvedValue({});
+      await useStore.getState().syncSearchIndex();
+
+      useStore.setState({ bookmarks: [bookmarks[1]] });
+      const result = await useStore.getState().syncSearchIndex();
+
+      expect(result.removed).toBe(1);
+      expect(await useStore.getState().searchFullText('tokio')).toEqual([]);
+    });
+
+    it('should open bookmarks and count the visit', async () => {
+      const mockOpen = vi.fn();
+      global.window = { open: mockOpen };
+      mockStorageGet.mockResolvedValue({
+        bookmarkVisits: { 'https://tokio.rs': { count: 2, lastVisited: 1 } },
+      });
+
+      await useStore.getState().openBookmark(bookmarks[0]);
+
+      expect(mockOpen).toHaveBeenCalledWith('https://tokio.rs', '_blank');
+      expect(mockStorageSet).toHaveBeenCalledWith({
+        bookmarkVisits: {
+          'https://tokio.rs': { count: 3, lastVisited: expect.any(Number) },
+        },
+      });
+    });
+  });
+
+  describe('Tag Suggestion Actions', () => {
+    const bookmarks = [
+      {
+        id: '1',
+        url: 'https://github.com/facebook/react',
+        title: 'facebook/react',
+        tags: [{ id: 't1', name: 'javascript', color: '#3B82F6' }],
+      },
+      {
+        id: '2',
+        url: 'https://github.com/vuejs/core',
+        title: 'vuejs/core',
+        tags: [{ id: 't1', name: 'javascript', color: '#3B82F6' }],
+      },
+      { id: '3', url: 'https://github.com/nodejs/node', title: 'nodejs/node', tags: [] },
+    ];
+
+    beforeEach(() => {
+      useStore.setState({ bookmarks, tags: [{ id: 't1', name: 'javascript', color: '#3B82F6' }] });
+    });
+
+    it('should suggest tags learned from the tagged bookmarks', () => {
+      const suggestions = useStore.getState().suggestBookmarkTags({
+        url: 'https://github.com/denoland/deno',
+        title: 'denoland/deno',
+      });
+
+      expect(suggestions[0]).toMatchObject({ name: 'javascript', isNew: false });
+    });
+
+    it('should pick confident suggestions for untagged bookmarks', () => {
+      const [result] = useStore.getState().suggestUntaggedBookmarkTags();
+
+      expect(result).toMatchObject({ id: '3', picked: ['javascript'] });
+    });
+
+    it('should tag many bookmarks and create the new tags', async () => {
+      mockRuntimeSendMessage.mockResolvedValue({ success: true, tagged: 1 });
+      const createTag = vi.fn().mockResolvedValue({});
+      useStore.setState({ createTag });
+
+      const result = await useStore
+        .getState()
+        .tagBookmarks([
+          { id: '3', url: 'https://github.com/nodejs/node', tags: ['javascript', 'runtime'] },
+        ]);
+
+      expect(result).toEqual({ success: true, tagged: 1 });
+      expect(mockRuntimeSendMessage).toHaveBeenCalledWith({
+        type: 'TAG_BOOKMARKS',
+        payload: {
+          assignments: [
+            { id: '3', url: 'https://github.com/nodejs/node', tags: ['javascript', 'runtime'] },
+          ],
+        },
+      });
+      expect(useStore.getState().bookmarks[2].tags.map((tag) => tag.name)).toEqual([
+        'javascript',
+        'runtime',
+      ]);
+      expect(createTag).toHaveBeenCalledTimes(1);
+      expect(createTag).toHaveBeenCalledWith({ name: 'runtime', color: '#3B82F6' });
+    });
+
+    it('should read the current page and its meta tags', async () => {
+      mockTabsQuery.mockResolvedValue([
+        { id: 7, url: 'https://deno.com/blog', title: 'Deno Blog' },
+      ]);
+      mockExecuteScript.mockResolvedValue([{ result: [['keywords', 'deno, typescript']] }]);
+      mockBookmarksSearch.mockResolvedValue([]);
+
+      const page = await useStore.getState().getCurrentPage();
+
+      expect(page).toEqual({
+        url: 'https://deno.com/blog',
+        title: 'Deno Blog',
+        meta: [['keywords', 'deno, typescript']],
+        bookmark: null,
+      });
+      expect(mockExecuteScript).toHaveBeenCalledWith({
+        target: { tabId: 7 },
+        func: expect.any(Function),
+      });
+    });
+
+    it('should not offer to bookmark browser pages', async () => {
+      mockTabsQuery.mockResolvedValue([
+        { id: 7, url: 'chrome://extensions/', title: 'Extensions' },
+      ]);
+
+      expect(await useStore.getState().getCurrentPage()).toBeNull();
+      expect(mockExecuteScript).not.toHaveBeenCalled();
+    });
+
+    it('should save the tags of a page before bookmarking it', async () => {
+      mockRuntimeSendMessage.mockResolvedValue({ success: true });
+      mockBookmarksCreate.mockResolvedValue({ id: '9', dateAdded: 1 });
+      useStore.setState({ createTag: vi.fn() });
+
+      const result = await useStore.getState().saveCurrentPage({
+        url: 'https://deno.com/blog',
+        title: 'Deno Blog',
+        tags: ['javascript'],
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockRuntimeSendMessage).toHaveBeenCalledWith({
+        type: 'UPDATE_BOOKMARK_TAGS',
+        payload: { url: 'https://deno.com/blog', tags: ['javascript'] },
+      });
+      expect(mockRuntimeSendMessage.mock.invocationCallOrder[0]).toBeLessThan(
+        mockBookmarksCreate.mock.invocationCallOrder[0]
+      );
+      expect(mockBookmarksCreate).toHaveBeenCalledWith({
+        title: 'Deno Blog',
+        url: 'https://deno.com/blog',
+      });
+      expect(useStore.getState().bookmarks).toHaveLength(4);
+    });
+  });
+
+  describe('Tag Actions', () => {
+    it('should replay a rename here and reload tags and bookmarks', async () => {
+      const renamed = { id: 't1', name: 'dev/javascript', color: '#3B82F6', aliases: ['js'] };
+      mockStorageGet.mockResolvedValue({ authToken: 'token' });
+      mockRuntimeSendMessage.mockResolvedValue({ success: true, renamed: 2 });
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ tag: renamed }),
+      });
+      const fetchTags = vi.fn().mockResolvedValue();
+      const fetchBookmarks = vi.fn().mockResolvedValue();
+      useStore.setState({ fetchTags, fetchBookmarks });
+
+      const result = await useStore.getState().updateTag('t1', { name: 'dev/javascript' });
+
+      expect(result).toEqual(renamed);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/tags/t1'),
+        expect.objectContaining({ method: 'PATCH' })
+      );
+      expect(mockRuntimeSendMessage).toHaveBeenCalledWith({ type: 'SYNC_TAG_RENAMES' });
+      expect(fetchTags).toHaveBeenCalled();
+      expect(fetchBookmarks).toHaveBeenCalled();
+    });
+  });
+
   describe('openUpgradePage', () => {
     it('should open pricing page in new tab', () => {
       const mockOpen = vi.fn();
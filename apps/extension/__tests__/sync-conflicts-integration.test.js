@@ -0,0 +1,315 @@
+/**
+ * Integration test: per-field conflict recording and resolution in the REAL
+ * background module, with mocked browser.* and fetch APIs.
+ *
+ * When both this browser and the cloud changed since the last sync, performSync
+ * merges the two against the bookmarks as of that sync, and records fields both
+ * sides changed in /api/conflicts. Those keep the cloud value until the user
+ * resolves them. Resolving a conflict from the popup PATCHes the record and
+ * applies the chosen value to the local bookmark.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  storageData,
+  fetchHandlers,
+  mockBrowser,
+  setStorage,
+  setFetchHandlers,
+  setBookmarkTree,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// ===========================================================================
+// Helper: Chrome bookmark tree with toolbar bookmarks
+// ===========================================================================
+function buildBookmarkTree(toolbarBookmarks = []) {
+  return [
+    {
+      id: '0',
+      title: '',
+      children: [
+        {
+          id: '1',
+          title: 'Bookmarks Bar',
+          children: toolbarBookmarks.map((bm, i) => ({
+            id: bm.id || `tb-${i}`,
+            parentId: '1',
+            title: bm.title,
+            url: bm.url,
+            index: i,
+            dateAdded: Date.now() - 86400000,
+          })),
+        },
+        { id: '2', title: 'Other Bookmarks', children: [] },
+      ],
+    },
+  ];
+}
+
+// ===========================================================================
+// Helper: local and cloud both changed since the last sync
+// (a null cloudTitle means the cloud deleted a.com)
+// ===========================================================================
+function setupDivergedScenario({
+  localTitle,
+  cloudTitle,
+  cloudTitleB = 'B',
+  cloudChecksum = 'cloud-checksum-new',
+}) {
+  setStorage({
+    session: {
+      access_token: 'test-token-valid',
+      access_token_expires_at: new Date(Date.now() + 3600000).toISOString(),
+      extension_token: 'ext-token-valid',
+    },
+    sources: [{ id: 'browser-bookmarks', connected: true }],
+    selectedSource: 'browser-bookmarks',
+    deviceId: 'chrome-device-1',
+    'marksyncr-tombstones': [],
+    'marksyncr-last-sync-time': Date.now() - 300000,
+    'marksyncr-last-cloud-checksum': 'cloud-checksum-old',
+    'marksyncr-sync-base': [
+      { type: 'bookmark', url: 'https://a.com', title: 'A', folderPath: 'Bookmarks Bar', index: 0 },
+      { type: 'bookmark', url: 'https://b.com', title: 'B', folderPath: 'Bookmarks Bar', index: 1 },
+    ],
+  });
+
+  const tree = buildBookmarkTree([
+    { id: 'tb-a', title: localTitle, url: 'https://a.com' },
+    { id: 'tb-b', title: 'B', url: 'https://b.com' },
+  ]);
+  setBookmarkTree(tree);
+
+  // Titles the sync applies show up in the next getTree()
+  mockBrowser.bookmarks.update.mockImplementation(async (id, changes) => {
+    const node = tree[0].children[0].children.find((child) => child.id === id);
+    Object.assign(node, changes);
+    return node;
+  });
+
+  const postedConflicts = [];
+  const pushedBookmarks = [];
+
+  setFetchHandlers({
+    '/api/devices': async () => ({ ok: true, json: async () => ({ device: { id: 'dev-1' } }) }),
+    '/api/bookmarks': async (_url, opts) => {
+      if (opts?.method === 'GET' || !opts?.method) {
+        return {
+          ok: true,
+          json: async () => ({
+            bookmarks: [
+              cloudTitle !== null && {
+                url: 'https://a.com',
+                title: cloudTitle,
+                folderPath: 'Bookmarks Bar',
+                index: 0,
+              },
+              {
+                url: 'https://b.com',
+                title: cloudTitleB,
+                folderPath: 'Bookmarks Bar',
+                index: cloudTitle !== null ? 1 : 0,
+              },
+            ].filter(Boolean),
+            tombstones:
+              cloudTitle !== null ? [] : [{ url: 'https://a.com', deletedAt: Date.now() - 60000 }],
+            checksum: cloudChecksum,
+            version: 2,
+          }),
+        };
+      }
+      pushedBookmarks.push(...JSON.parse(opts.body).bookmarks);
+      return { ok: true, json: async () => ({ checksum: 'pushed-checksum' }) };
+    },
+    '/api/conflicts': async (_url, opts) => {
+      const body = JSON.parse(opts.body);
+      postedConflicts.push(...body.conflicts);
+      return { ok: true, json: async () => ({ conflicts: body.conflicts }) };
+    },
+    '/api/versions': async () => ({ ok: true, json: async () => ({ version: { id: 'v1' } }) }),
+  });
+
+  return { postedConflicts, pushedBookmarks };
+}
+
+// ===========================================================================
+// Tests
+// ===========================================================================
+
+describe('Integration: sync conflict queue', () => {
+  it('should record a field changed on both sides and keep the cloud value until resolved', async () => {
+    const { postedConflicts, pushedBookmarks } = setupDivergedScenario({
+      localTitle: 'Local A',
+      cloudTitle: 'Remote A',
+    });
+
+    const result = await __test__.performSync();
+
+    expect(result.success).toBe(true);
+    expect(result.conflicts).toBe(1);
+    expect(postedConflicts).toEqual([
+      expect.objectContaining({
+        bookmarkId: 'https://a.com',
+        field: 'title',
+        baseValue: 'A',
+        localValue: 'Local A',
+        remoteValue: 'Remote A',
+        deviceId: 'chrome-device-1',
+      }),
+    ]);
+    expect(mockBrowser.bookmarks.update).toHaveBeenCalledWith('tb-a', { title: 'Remote A' });
+    expect(pushedBookmarks.find((b) => b.url === 'https://a.com').title).toBe('Remote A');
+    expect(storageData['marksyncr-sync-base']).toContainEqual({
+      type: 'bookmark',
+      url: 'https://a.com',
+      title: 'Remote A',
+      folderPath: 'Bookmarks Bar',
+      index: 0,
+    });
+  });
+
+  it('should keep a bookmark edited here and deleted in the cloud until resolved', async () => {
+    const { postedConflicts, pushedBookmarks } = setupDivergedScenario({
+      localTitle: 'Local A',
+      cloudTitle: null,
+    });
+
+    const result = await __test__.performSync();
+
+    expect(result.success).toBe(true);
+    expect(postedConflicts).toEqual([
+      expect.objectContaining({
+        bookmarkId: 'https://a.com',
+        field: 'deleted',
+        baseValue: false,
+        localValue: false,
+        remoteValue: true,
+      }),
+    ]);
+    expect(mockBrowser.bookmarks.remove).not.toHaveBeenCalled();
+    expect(pushedBookmarks.find((b) => b.url === 'https://a.com').title).toBe('Local A');
+  });
+
+  it('should keep changes made to different bookmarks on both sides', async () => {
+    const { postedConflicts, pushedBookmarks } = setupDivergedScenario({
+      localTitle: 'Local A',
+      cloudTitle: 'A',
+      cloudTitleB: 'Remote B',
+    });
+
+    const result = await __test__.performSync();
+
+    expect(result.success).toBe(true);
+    expect(postedConflicts).toEqual([]);
+    expect(mockBrowser.bookmarks.update).toHaveBeenCalledWith('tb-b', { title: 'Remote B' });
+    expect(mockBrowser.bookmarks.update).not.toHaveBeenCalledWith('tb-a', expect.anything());
+    expect(pushedBookmarks.find((b) => b.url === 'https://a.com').title).toBe('Local A');
+  });
+
+  it('should not record conflicts when only this browser changed the field', async () => {
+    const { postedConflicts } = setupDivergedScenario({
+      localTitle: 'Local A',
+      cloudTitle: 'A',
+    });
+
+    const result = await __test__.performSync();
+
+    expect(result.success).toBe(true);
+    expect(result.conflicts).toBe(0);
+    expect(postedConflicts).toEqual([]);
+  });
+
+  it('should skip conflict detection when the cloud has not changed since the last sync', async () => {
+    const { postedConflicts } = setupDivergedScenario({
+      localTitle: 'Local A',
+      cloudTitle: 'Remote A',
+      cloudChecksum: 'cloud-checksum-old',
+    });
+
+    await __test__.performSync();
+
+    expect(postedConflicts).toEqual([]);
+  });
+
+  it('should apply the remote value to the local bookmark when resolving as remote', async () => {
+    setBookmarkTree(buildBookmarkTree([{ id: 'tb-a', title: 'Local A', url: 'https://a.com' }]));
+    let patchBody = null;
+    fetchHandlers['/api/conflicts'] = async (_url, opts) => {
+      patchBody = JSON.parse(opts.body);
+      return {
+        ok: true,
+        json: async () => ({
+          conflict: {
+            id: 'conflict-1',
+            bookmarkId: 'https://a.com',
+            field: 'title',
+            status: 'resolved',
+            resolution: 'remote',
+            resolvedValue: 'Remote A',
+          },
+        }),
+      };
+    };
+
+    const result = await __test__.resolveSyncConflict({ id: 'conflict-1', resolution: 'remote' });
+
+    expect(patchBody).toEqual({ id: 'conflict-1', resolution: 'remote' });
+    expect(result).toMatchObject({ success: true, applied: true });
+    expect(mockBrowser.bookmarks.update).toHaveBeenCalledWith('tb-a', { title: 'Remote A' });
+  });
+
+  it('should delete the local bookmark when resolving a deletion conflict as deleted', async () => {
+    setBookmarkTree(
+      buildBookmarkTree([
+        { id: 'tb-a', title: 'Local A', url: 'https://a.com' },
+        { id: 'tb-b', title: 'B', url: 'https://b.com' },
+      ])
+    );
+    fetchHandlers['/api/conflicts'] = async () => ({
+      ok: true,
+      json: async () => ({
+        conflict: {
+          id: 'conflict-2',
+          bookmarkId: 'https://a.com',
+          field: 'deleted',
+          status: 'resolved',
+          resolution: 'remote',
+          resolvedValue: true,
+        },
+      }),
+    });
+
+    const result = await __test__.resolveSyncConflict({ id: 'conflict-2', resolution: 'remote' });
+
+    expect(result).toMatchObject({ success: true, applied: true });
+    expect(mockBrowser.bookmarks.remove).toHaveBeenCalledWith('tb-a');
+  });
+
+  it('should report API errors when resolving fails', async () => {
+    fetchHandlers['/api/conflicts'] = async () => ({
+      ok: false,
+      status: 409,
+      json: async () => ({ error: 'Conflict is already resolved' }),
+    });
+
+    const result = await __test__.resolveSyncConflict({ id: 'conflict-1', resolution: 'local' });
+
+    expect(result).toEqual({ success: false, error: 'Conflict is already resolved' });
+    expect(mockBrowser.bookmarks.update).not.toHaveBeenCalled();
+  });
+});
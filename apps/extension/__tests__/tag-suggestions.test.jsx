@@ -0,0 +1,133 @@
+/**
+ * Tests for bookmarking the current page with suggested tags, and for bulk tagging
+ * @module __tests__/tag-suggestions.test
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { SaveCurrentPage, BulkTagger } from '../src/popup/components/TagSuggestions.jsx';
+
+const page = {
+  url: 'https://deno.com/blog/v2',
+  title: 'Deno 2 is here',
+  meta: [['keywords', 'deno, typescript']],
+  bookmark: null,
+};
+
+describe('SaveCurrentPage', () => {
+  it('should bookmark the page with a suggested tag', async () => {
+    const onSuggest = vi.fn(() => [
+      { name: 'typescript', score: 0.7, reasons: ['metadata'], isNew: true },
+    ]);
+    const onSave = vi.fn().mockResolvedValue({ success: true, bookmark: { id: '9' } });
+    render(
+      <SaveCurrentPage onLoad={() => Promise.resolve(page)} onSuggest={onSuggest} onSave={onSave} />
+    );
+
+    fireEvent.click(await screen.findByRole('button', { name: '+ typescript' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Bookmark this page' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Bookmarked.')).toBeTruthy();
+    });
+    expect(onSave).toHaveBeenCalledWith({
+      url: 'https://deno.com/blog/v2',
+      title: 'Deno 2 is here',
+      tags: ['typescript'],
+      bookmarkId: undefined,
+    });
+    expect(onSuggest).toHaveBeenLastCalledWith(
+      { url: 'https://deno.com/blog/v2', title: 'Deno 2 is here' },
+      { meta: page.meta, selectedTags: ['typescript'] }
+    );
+  });
+
+  it('should retag a page that is bookmarked already', async () => {
+    const onSave = vi.fn().mockResolvedValue({ success: true, bookmark: { id: '4' } });
+    render(
+      <SaveCurrentPage
+        onLoad={() =>
+          Promise.resolve({
+            ...page,
+            bookmark: { id: '4', title: 'Deno 2', tags: [{ id: 't1', name: 'deno' }] },
+          })
+        }
+        onSuggest={() => []}
+        onSave={onSave}
+      />
+    );
+
+    fireEvent.click(await screen.findByRole('button', { name: 'deno ×' }));
+    fireEvent.change(screen.getByLabelText('Add a tag'), { target: { value: 'runtime' } });
+    fireEvent.keyDown(screen.getByLabelText('Add a tag'), { key: 'Enter' });
+    fireEvent.click(screen.getByRole('button', { name: 'Save tags' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Tags saved.')).toBeTruthy();
+    });
+    expect(onSave).toHaveBeenCalledWith({
+      url: 'https://deno.com/blog/v2',
+      title: 'Deno 2',
+      tags: ['runtime'],
+      bookmarkId: '4',
+    });
+  });
+
+  it('should explain when the tab has no page to bookmark', async () => {
+    render(
+      <SaveCurrentPage onLoad={() => Promise.resolve(null)} onSuggest={vi.fn()} onSave={vi.fn()} />
+    );
+
+    expect(await screen.findByText('This tab has no web page to bookmark.')).toBeTruthy();
+  });
+});
+
+describe('BulkTagger', () => {
+  const results = [
+    {
+      id: '3',
+      url: 'https://github.com/nodejs/node',
+      title: 'nodejs/node',
+      suggestions: [
+        { name: 'javascript', score: 0.53, reasons: ['history'], isNew: false },
+        { name: 'nodejs', score: 0.51, reasons: ['path', 'title'], isNew: true },
+      ],
+      picked: ['javascript'],
+    },
+    {
+      id: '5',
+      url: 'https://example.com/recipes/soup',
+      title: 'Soup',
+      suggestions: [{ name: 'recipes', score: 0.6, reasons: ['path'], isNew: false }],
+      picked: ['recipes'],
+    },
+  ];
+
+  it('should apply the picked tags to untagged bookmarks', async () => {
+    const onApply = vi.fn().mockResolvedValue({ success: true, tagged: 1 });
+    render(<BulkTagger onFind={() => results} onApply={onApply} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Find untagged bookmarks' }));
+    fireEvent.click(screen.getByRole('button', { name: 'nodejs' }));
+    fireEvent.click(screen.getByRole('button', { name: 'recipes' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Tag 1 bookmark' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Tagged 1 bookmark.')).toBeTruthy();
+    });
+    expect(onApply).toHaveBeenCalledWith([
+      { id: '3', url: 'https://github.com/nodejs/node', tags: ['javascript', 'nodejs'] },
+    ]);
+    expect(screen.queryByText('nodejs/node')).toBeNull();
+    expect(screen.getByText('Soup')).toBeTruthy();
+  });
+
+  it('should say when there is nothing to suggest', () => {
+    render(<BulkTagger onFind={() => []} onApply={vi.fn()} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Find untagged bookmarks' }));
+
+    expect(screen.getByText('No suggestions for untagged bookmarks.')).toBeTruthy();
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Integration test: write preconditions in the REAL background module,
+ * with mocked browser.* and fetch APIs.
+ *
+ * Pushes carry the cloud version they were merged against. When another browser
+ * pushed in between, the server answers 409 with its current state and
+ * performSync merges again and retries.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  storageData,
+  fetchHandlers,
+  mockBrowser,
+  setFetchHandlers,
+  setBookmarkTree,
+  resetHarness,
+  loadBackground,
+} from './helpers/background-harness.js';
+
+vi.mock('webextension-polyfill', () => ({ default: mockBrowser }));
+
+let __test__;
+
+beforeEach(async () => {
+  resetHarness();
+  __test__ = await loadBackground();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const SNAPSHOT_KEY = 'marksyncr-cloud-snapshot';
+
+function buildBookmarkTree(toolbarBookmarks = []) {
+  return [
+    {
+      id: '0',
+      title: '',
+      children: [
+        {
+          id: '1',
+          title: 'Bookmarks Bar',
+          children: toolbarBookmarks.map((bm, i) => ({
+            id: bm.id || `tb-${i}`,
+            parentId: '1',
+            title: bm.title,
+            url: bm.url,
+            index: i,
+            dateAdded: Date.now() - 86400000,
+          })),
+        },
+        { id: '2', title: 'Other Bookmarks', children: [] },
+      ],
+    },
+  ];
+}
+
+function setupSession() {
+  storageData.session = {
+    access_token: 'test-token-valid',
+    access_token_expires_at: new Date(Date.now() + 3600000).toISOString(),
+    extension_token: 'ext-token-valid',
+  };
+}
+
+/**
+ * Local changes to push, and a cloud that another browser writes to after every
+ * fetch for the first `racingPushes` pushes
+ */
+function setupRacingScenario({ racingPushes }) {
+  setupSession();
+  Object.assign(storageData, {
+    sources: [{ id: 'browser-bookmarks', connected: true }],
+    selectedSource: 'browser-bookmarks',
+    deviceId: 'chrome-device-1',
+    'marksyncr-tombstones': [],
+    'marksyncr-last-sync-time': Date.now() - 300000,
+    'marksyncr-last-cloud-checksum': 'cloud-checksum-old',
+  });
+
+  setBookmarkTree(buildBookmarkTree([{ id: 'tb-a', title: 'Local A', url: 'https://a.com' }]));
+
+  let cloud = {
+    bookmarks: [{ url: 'https://a.com', title: 'A', folderPath: 'Bookmarks Bar', index: 0 }],
+    tombstones: [],
+    checksum: 'cloud-checksum-1',
+    version: 1,
+  };
+  const expectedVersions = [];
+
+  setFetchHandlers({
+    '/api/devices': async () => ({ ok: true, json: async () => ({ device: { id: 'dev-1' } }) }),
+    '/api/conflicts': async (_url, opts) => ({
+      ok: true,
+      json: async () => ({ conflicts: JSON.parse(opts.body).conflicts }),
+    }),
+    '/api/versions': async () => ({ ok: true, json: async () => ({ version: { id: 'v1' } }) }),
+    '/api/bookmarks': async (_url, opts) => {
+      if (opts?.method === 'GET' || !opts?.method) {
+        return { ok: true, json: async () => cloud };
+      }
+
+      const body = JSON.parse(opts.body);
+      expectedVersions.push(body.expectedVersion);
+
+      if (expectedVersions.length <= racingPushes) {
+        const version = cloud.version + 1;
+        cloud = { ...cloud, version, checksum: `cloud-checksum-${version}` };
+        return {
+          ok: false,
+          status: 409,
+          json: async () => ({ error: 'Bookmarks were changed', conflict: true, current: cloud }),
+        };
+      }
+
+      return {
+        ok: true,
+        json: async () => ({ checksum: 'pushed-checksum', version: cloud.version + 1 }),
+      };
+    },
+  });
+
+  return { expectedVersions };
+}
+
+// ===========================================================================
+// Tests
+// ===========================================================================
+
+describe('Integration: write preconditions', () => {
+  describe('pushBookmarksToCloud', () => {
+    const cloudA = {
+      type: 'bookmark',
+      url: 'https://a.com',
+      title: 'A',
+      folderPath: 'Bookmarks Bar',
+      index: 0,
+      dateAdded: 1000,
+    };
+
+    it('should send the version the push was merged against', async () => {
+      setupSession();
+      const pushedBodies = [];
+      fetchHandlers['/api/bookmarks'] = async (_url, opts) => {
+        pushedBodies.push(JSON.parse(opts.body));
+        return { ok: true, json: async () => ({ checksum: 'checksum' }) };
+      };
+
+      await __test__.pushBookmarksToCloud([cloudA], 'chrome', [], {
+        bookmarks: [],
+        version: 4,
+      });
+      await __test__.pushBookmarksToCloud([cloudA], 'chrome', [], {
+        bookmarks: [],
+        cursor: 7,
+        version: 5,
+      });
+
+      expect(pushedBodies[0]).toMatchObject({ replace: true, expectedVersion: 4 });
+      expect(pushedBodies[1]).toMatchObject({ cursor: 7, expectedVersion: 5 });
+    });
+
+    it('should throw a version conflict and keep the current cloud state as snapshot', async () => {
+      setupSession();
+      const current = { bookmarks: [cloudA], tombstones: [], version: 6, checksum: 'c', cursor: 9 };
+      fetchHandlers['/api/bookmarks'] = async () => ({
+        ok: false,
+        status: 409,
+        json: async () => ({ error: 'Bookmarks were changed', conflict: true, current }),
+      });
+
+      const error = await __test__
+        .pushBookmarksToCloud([], 'chrome', [], { bookmarks: [], cursor: 7, version: 5 })
+        .catch((err) => err);
+
+      expect(error.name).toBe('CloudVersionConflictError');
+      expect(error.current).toEqual(current);
+      expect(storageData[SNAPSHOT_KEY]).toEqual({ cursor: 9, items: [cloudA] });
+    });
+  });
+
+  describe('performSync', () => {
+    it('should merge with the newer cloud state and retry after a 409', async () => {
+      const { expectedVersions } = setupRacingScenario({ racingPushes: 1 });
+
+      const result = await __test__.performSync();
+
+      expect(result.success).toBe(true);
+      expect(expectedVersions).toEqual([1, 2]);
+      expect(__test__.getState().consecutiveSyncFailures).toBe(0);
+    });
+
+    it('should give up after repeated conflicts without counting them as failures', async () => {
+      const { expectedVersions } = setupRacingScenario({ racingPushes: 10 });
+
+      const result = await __test__.performSync();
+
+      expect(result).toMatchObject({ success: false, versionConflict: true });
+      expect(expectedVersions).toEqual([1, 2, 3]);
+      expect(__test__.getState().consecutiveSyncFailures).toBe(0);
+      expect(__test__.getState().isSyncInProgress).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * MarkSyncr End-to-End Encryption
+ *
+ * Keeps the bookmark data key for the background script and runs the keyring flows
+ * behind the options page: turning encryption on, unlocking on a new device,
+ * changing the passphrase, rotating the key, exporting a recovery key and
+ * recovering with one. Encrypting the synced bookmarks themselves happens in
+ * index.js around the cloud requests.
+ *
+ * The unlocked data key is stored in browser.storage.local so syncs can run
+ * without the passphrase. While the cloud data is moved to another key (turning
+ * encryption on or off, rotating), the key it is still encrypted with is kept as
+ * the previous key, so a sync that fails halfway can still read it.
+ */
+
+import browser from 'webextension-polyfill';
+import {
+  createKeyring,
+  deriveItemKeys,
+  formatRecoveryKey,
+  unlockKeyring,
+  unlockWithRecoveryKey,
+  wrapDataKey,
+} from '@marksyncr/core/encryption';
+import {
+  fetchEncryptionKeyring,
+  saveEncryptionKeyring,
+  deleteEncryptionKeyring,
+} from '../lib/api.js';
+
+const ENCRYPTION_KEY_STORAGE_KEY = 'marksyncr-encryption-key';
+
+/**
+ * @typedef {Object} StoredKey
+ * @property {string} keyId
+ * @property {string} dataKey - Data key, base64
+ */
+
+/**
+ * @typedef {Object} StoredKeys
+ * @property {StoredKey|null} current - Key new data is encrypted with; null to stop encrypting
+ * @property {StoredKey|null} previous - Key the cloud data may still be encrypted with
+ */
+
+/**
+ * Thrown when the cloud bookmarks can't be read or written with the keys this browser has
+ */
+export class EncryptionLockedError extends Error {
+  constructor(message) {
+    super(message || 'Bookmarks are encrypted. Enter your passphrase to unlock sync.');
+    this.name = 'EncryptionLockedError';
+  }
+}
+
+// Item keys by key ID; deriving them takes a few milliseconds per sync otherwise
+const itemKeysCache = new Map();
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+/**
+ * @returns {Promise<StoredKeys|null>}
+ */
+async function getStoredKeys() {
+  const result = await browser.storage.local.get(ENCRYPTION_KEY_STORAGE_KEY);
+  return result[ENCRYPTION_KEY_STORAGE_KEY] || null;
+}
+
+/**
+ * @param {StoredKeys} keys
+ */
+async function storeKeys({ current, previous }) {
+  if (!current && !previous) {
+    await browser.storage.local.remove(ENCRYPTION_KEY_STORAGE_KEY);
+    return;
+  }
+  await browser.storage.local.set({
+    [ENCRYPTION_KEY_STORAGE_KEY]: { current: current || null, previous: previous || null },
+  });
+}
+
+/**
+ * Make a data key the current key. The key it replaces is kept as the previous key.
+ * @param {string} keyId
+ * @param {Uint8Array} dataKey
+ */
+async function storeCurrentKey(keyId, dataKey) {
+  const stored = await getStoredKeys();
+  const replaced = stored?.current?.keyId === keyId ? stored.previous : stored?.current;
+  await storeKeys({ current: { keyId, dataKey: toBase64(dataKey) }, previous: replaced });
+}
+
+/**
+ * @param {StoredKey} entry
+ * @returns {Promise<import('@marksyncr/core/encryption').ItemKeys>}
+ */
+async function toItemKeys(entry) {
+  if (!itemKeysCache.has(entry.keyId)) {
+    itemKeysCache.set(entry.keyId, await deriveItemKeys(fromBase64(entry.dataKey)));
+  }
+  return itemKeysCache.get(entry.keyId);
+}
+
+/**
+ * Get the item keys to encrypt new data with
+ * @returns {Promise<import('@marksyncr/core/encryption').ItemKeys|null>} null when
+ *   bookmarks are synced in plaintext
+ */
+export async function getEncryptionKeys() {
+  const stored = await getStoredKeys();
+  return stored?.current ? toItemKeys(stored.current) : null;
+}
+
+/**
+ * Get the item keys for data encrypted with a key ID, if this browser has that key
+ * @param {string} keyId
+ * @returns {Promise<import('@marksyncr/core/encryption').ItemKeys|null>}
+ */
+export async function getDecryptionKeys(keyId) {
+  const stored = await getStoredKeys();
+  const entry = [stored?.current, stored?.previous].find((key) => key?.keyId === keyId);
+  return entry ? toItemKeys(entry) : null;
+}
+
+/**
+ * Drop the previous key once the cloud data no longer needs it
+ */
+export async function forgetPreviousKey() {
+  const stored = await getStoredKeys();
+  if (stored?.previous) {
+    await storeKeys({ current: stored.current, previous: null });
+  }
+}
+
+/**
+ * Stop encrypting with the current key. It's kept as the previous key until the
+ * plaintext push succeeds.
+ */
+export async function stopEncrypting() {
+  const stored = await getStoredKeys();
+  if (stored?.current) {
+    await storeKeys({ current: null, previous: stored.current });
+  }
+}
+
+/**
+ * Forget all keys, e.g. after encryption was turned off on another device
+ */
+export async function clearEncryptionKeys() {
+  itemKeysCache.clear();
+  await browser.storage.local.remove(ENCRYPTION_KEY_STORAGE_KEY);
+}
+
+/**
+ * Fetch the keyring, failing when encryption is off
+ * @returns {Promise<Object>}
+ */
+async function requireKeyring() {
+  const { keyring } = await fetchEncryptionKeyring();
+  if (!keyring) {
+    throw new Error('Encryption is not turned on for this account');
+  }
+  return keyring;
+}
+
+/**
+ * Get the encryption state of the account and this browser
+ * @returns {Promise<{enabled: boolean, unlocked: boolean, keyId: string|null, createdAt: string|null}>}
+ */
+export async function getEncryptionStatus() {
+  const [{ keyring }, stored] = await Promise.all([fetchEncryptionKeyring(), getStoredKeys()]);
+  return {
+    enabled: !!keyring,
+    unlocked: !!keyring && stored?.current?.keyId === keyring.keyId,
+    keyId: keyring?.keyId ?? null,
+    createdAt: keyring?.createdAt ?? null,
+  };
+}
+
+/**
+ * Check whether encryption was turned off for the account
+ * @returns {Promise<boolean>}
+ */
+export async function isEncryptionDisabledInCloud() {
+  const { keyring } = await fetchEncryptionKeyring();
+  return !keyring;
+}
+
+/**
+ * Create a keyring with a new data key and make it the current key
+ * Used both to turn encryption on and to rotate the key; the caller re-encrypts the
+ * cloud data afterwards.
+ * @param {string} passphrase - Passphrase for the new keyring
+ * @param {string|null} previousKeyId - Key ID of the keyring being replaced
+ * @returns {Promise<{keyId: string, recoveryKey: string}>}
+ */
+async function createCurrentKey(passphrase, previousKeyId) {
+  const { keyring, dataKey } = await createKeyring(passphrase);
+  await saveEncryptionKeyring(keyring, previousKeyId);
+  await storeCurrentKey(keyring.keyId, dataKey);
+  return { keyId: keyring.keyId, recoveryKey: formatRecoveryKey(dataKey) };
+}
+
+/**
+ * Turn encryption on with a new key
+ * @param {string} passphrase
+ * @returns {Promise<{keyId: string, recoveryKey: string}>}
+ */
+export async function createEncryptionKey(passphrase) {
+  return createCurrentKey(passphrase, null);
+}
+
+/**
+ * Replace the data key with a new one. The passphrase must unlock the current keyring
+ * and also protects the new one.
+ * @param {string} passphrase
+ * @returns {Promise<{keyId: string, recoveryKey: string}>}
+ */
+export async function rotateEncryptionKey(passphrase) {
+  const keyring = await requireKeyring();
+  await unlockKeyring(keyring, passphrase);
+  return createCurrentKey(passphrase, keyring.keyId);
+}
+
+/**
+ * Unlock the account's keyring on this browser
+ * @param {string} passphrase
+ * @returns {Promise<{keyId: string}>}
+ */
+export async function unlockEncryption(passphrase) {
+  const keyring = await requireKeyring();
+  const dataKey = await unlockKeyring(keyring, passphrase);
+  await storeCurrentKey(keyring.keyId, dataKey);
+  return { keyId: keyring.keyId };
+}
+
+/**
+ * Change the passphrase. The data key stays the same, so nothing is re-encrypted.
+ * @param {string} currentPassphrase
+ * @param {string} newPassphrase
+ */
+export async function changeEncryptionPassphrase(currentPassphrase, newPassphrase) {
+  const keyring = await requireKeyring();
+  const dataKey = await unlockKeyring(keyring, currentPassphrase);
+  await saveEncryptionKeyring(await wrapDataKey(dataKey, newPassphrase), keyring.keyId);
+  await storeCurrentKey(keyring.keyId, dataKey);
+  return { keyId: keyring.keyId };
+}
+
+/**
+ * Get the recovery key for the current data key
+ * @param {string} passphrase - Asked again so an unlocked browser alone can't export it
+ * @returns {Promise<string>}
+ */
+export async function exportRecoveryKey(passphrase) {
+  const keyring = await requireKeyring();
+  return formatRecoveryKey(await unlockKeyring(keyring, passphrase));
+}
+
+/**
+ * Unlock with a recovery key after the passphrase was forgotten, and set a new passphrase
+ * @param {string} recoveryKey
+ * @param {string} newPassphrase
+ * @returns {Promise<{keyId: string}>}
+ */
+export async function recoverEncryption(recoveryKey, newPassphrase) {
+  const keyring = await requireKeyring();
+  const dataKey = await unlockWithRecoveryKey(keyring, recoveryKey);
+  await saveEncryptionKeyring(await wrapDataKey(dataKey, newPassphrase), keyring.keyId);
+  await storeCurrentKey(keyring.keyId, dataKey);
+  return { keyId: keyring.keyId };
+}
+
+/**
+ * Delete the account's keyring. The caller pushes the bookmarks in plaintext afterwards.
+ */
+export async function removeEncryptionKeyring() {
+  await deleteEncryptionKeyring();
+  await stopEncrypting();
+}
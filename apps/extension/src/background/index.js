@@ -18,6 +18,52 @@ import {
   removeAllowlistDomain,
   syncAdblockFromCloud,
 } from './adblock.js';
+import {
+  EncryptionLockedError,
+  getEncryptionKeys,
+  getDecryptionKeys,
+  forgetPreviousKey,
+  clearEncryptionKeys,
+  getEncryptionStatus,
+  isEncryptionDisabledInCloud,
+  createEncryptionKey,
+  rotateEncryptionKey,
+  unlockEncryption,
+  changeEncryptionPassphrase,
+  exportRecoveryKey,
+  recoverEncryption,
+  removeEncryptionKeyring,
+} from './encryption.js';
+import { createConflictRecord } from '@marksyncr/core/conflict';
+import {
+  applyFlatOperations,
+  diffFlatItems,
+  indexFlatItems,
+  normalizeRootPath,
+} from '@marksyncr/core/delta';
+import { mergeFlatItems } from '@marksyncr/core/merge';
+import { createSyncFilter, getSyncView, mergeSyncView } from '@marksyncr/core/selective-sync';
+import {
+  canEditSharedFolders,
+  diffSharedFolder,
+  toSharedItem,
+} from '@marksyncr/core/shared-folders';
+import {
+  encryptFlatItems,
+  decryptFlatItems,
+  encryptTombstones,
+  decryptTombstones,
+} from '@marksyncr/core/encryption';
+import { WaybackArchiveProvider, isArchivedUrl } from '@marksyncr/core/archive';
+import { getUrlVariantKey } from '@marksyncr/core/duplicate-detector';
+import {
+  applyRulesToBookmark,
+  previewRules,
+  renameRuleTags,
+  validateRules,
+} from '@marksyncr/core/organize-rules';
+import { applyTagRenames, resolveTagAliases } from '@marksyncr/core/tag-hierarchy';
+import { CONFLICT_RESOLUTION, MERGE_FIELD } from '@marksyncr/types';
 
 // Constants
 const SYNC_ALARM_NAME = 'marksyncr-auto-sync';
@@ -28,6 +74,18 @@ const TOMBSTONES_STORAGE_KEY = 'marksyncr-tombstones';
 const LAST_CLOUD_CHECKSUM_KEY = 'marksyncr-last-cloud-checksum';
 const LAST_SYNC_TIME_KEY = 'marksyncr-last-sync-time';
 const LOCALLY_MODIFIED_IDS_KEY = 'marksyncr-locally-modified-ids';
+const SYNC_BASE_STORAGE_KEY = 'marksyncr-sync-base';
+const CLOUD_SNAPSHOT_STORAGE_KEY = 'marksyncr-cloud-snapshot';
+const CLOUD_URL_INDEX_STORAGE_KEY = 'marksyncr-cloud-url-index';
+const DUPLICATE_WARNINGS_STORAGE_KEY = 'marksyncr-duplicate-warnings';
+const ORGANIZE_RULES_STORAGE_KEY = 'marksyncr-organize-rules';
+const BOOKMARK_TAGS_STORAGE_KEY = 'marksyncr-bookmark-tags';
+const TAG_SYNC_STORAGE_KEY = 'marksyncr-tag-sync';
+const SYNC_PROFILE_STORAGE_KEY = 'marksyncr-sync-profile';
+const COLLECTION_STORAGE_KEY = 'marksyncr-collection';
+const SHARED_FOLDERS_STORAGE_KEY = 'marksyncr-shared-folders';
+// Team shared folders are mounted here, one subfolder per team
+const SHARED_FOLDERS_ROOT_PATH = 'Other Bookmarks/Team Folders';
 
 // Flag to disable tombstone creation during Force Pull operations
 let isForcePullInProgress = false;
@@ -47,11 +105,17 @@ let locallyModifiedBookmarkIds = new Set();
 // are NOT tracked as "locally modified" because they are cloud-driven, not user-driven.
 let isSyncDrivenChange = false;
 
+// Flag to prevent overlapping shared folder syncs
+let isSharedFolderSyncInProgress = false;
+
 // Retry limiting for failed syncs
 const MAX_CONSECUTIVE_FAILURES = 3;
 let consecutiveSyncFailures = 0;
 let lastSyncError = null;
 
+// Sync attempts per performSync call when another browser writes to the cloud in between
+const MAX_VERSION_CONFLICT_ATTEMPTS = 3;
+
 /**
  * Get API base URL - uses VITE_APP_URL from build config or falls back to production URL
  */
@@ -91,6 +155,7 @@ async function storeSession(session) {
  */
 async function clearSession() {
   await browser.storage.local.remove(['session', 'user', 'isLoggedIn']);
+  await clearEncryptionKeys();
 }
 
 /**
@@ -909,6 +974,12 @@ async function apiRequest(endpoint, options = {}) {
     headers['Authorization'] = `Bearer ${token}`;
   }
 
+  // The server uses the account's default collection when none is named
+  const collectionId = await getSelectedCollection();
+  if (collectionId) {
+    headers['X-MarkSyncr-Collection'] = collectionId;
+  }
+
   const response = await fetch(`${baseUrl}${endpoint}`, {
     ...options,
     headers,
@@ -936,25 +1007,150 @@ async function apiRequest(endpoint, options = {}) {
   return response;
 }
 
+/**
+ * Thrown when the server rejects a push because the cloud bookmarks changed since
+ * they were fetched (409 from POST /api/bookmarks)
+ */
+class CloudVersionConflictError extends Error {
+  /**
+   * @param {string} message - Error message from the server
+   * @param {Object} [current] - Current cloud state: bookmarks, tombstones, version, checksum, cursor
+   */
+  constructor(message, current) {
+    super(message || 'Cloud bookmarks changed during sync');
+    this.name = 'CloudVersionConflictError';
+    this.current = current || null;
+  }
+}
+
+/**
+ * Throw a CloudVersionConflictError for a 409 response. The current cloud state it
+ * carries becomes the delta snapshot, so the retry's fetch has nothing to download.
+ * @param {Object} data - 409 response body
+ */
+async function throwVersionConflict(data) {
+  if (data.current) {
+    await storeCloudSnapshot(data.current.cursor, data.current.bookmarks || []);
+  }
+  throw new CloudVersionConflictError(data.error, data.current);
+}
+
+/**
+ * Throw for a 409 from POST /api/bookmarks: either the cloud changed since it was
+ * fetched, or the write used a different encryption key than the account's keyring
+ * @param {Object} data - 409 response body
+ */
+async function throwWriteConflict(data) {
+  if (data.code === 'ENCRYPTION_KEY_MISMATCH') {
+    throw new EncryptionLockedError(
+      'The encryption key was changed on another device. Enter your passphrase to unlock sync.'
+    );
+  }
+  await throwVersionConflict(data);
+}
+
+/**
+ * Encrypt bookmarks and tombstones for the cloud when encryption is on
+ * @param {Array} bookmarks - Flat bookmark list
+ * @param {Array} tombstones - Tombstones for deleted bookmarks
+ * @returns {Promise<{bookmarks: Array, tombstones: Array, encryptionKeyId: string|null}>}
+ */
+async function sealForCloud(bookmarks, tombstones = []) {
+  const keys = await getEncryptionKeys();
+  if (!keys) return { bookmarks, tombstones, encryptionKeyId: null };
+
+  return {
+    bookmarks: await encryptFlatItems(keys, bookmarks),
+    tombstones: await encryptTombstones(keys, tombstones),
+    encryptionKeyId: keys.keyId,
+  };
+}
+
+/**
+ * Decrypt cloud data from GET /api/bookmarks. The encrypted list is kept as
+ * sealedBookmarks for delta pushes, and the checksum is replaced by the checksum of
+ * the decrypted list so it compares with local checksums.
+ * @param {Object} data - Cloud data
+ * @returns {Promise<Object>}
+ * @throws {EncryptionLockedError} When the data is encrypted with a key this browser lacks
+ */
+async function openCloudData(data) {
+  const encryptionKeyId = data?.encryptionKeyId ?? null;
+
+  if (!encryptionKeyId) {
+    // Plaintext cloud data while this browser still encrypts: either encryption was just
+    // turned on here and the data isn't re-encrypted yet, or it was turned off elsewhere
+    if ((await getEncryptionKeys()) && (await isEncryptionDisabledInCloud())) {
+      console.log('[MarkSyncr] Encryption was turned off on another device');
+      await clearEncryptionKeys();
+    }
+    return data;
+  }
+
+  const keys = await getDecryptionKeys(encryptionKeyId);
+  if (!keys) throw new EncryptionLockedError();
+
+  const bookmarks = await decryptFlatItems(keys, data.bookmarks || []);
+  return {
+    ...data,
+    bookmarks,
+    tombstones: await decryptTombstones(keys, data.tombstones || []),
+    sealedBookmarks: data.bookmarks || [],
+    checksum: data.checksum ? await generateChecksum(bookmarks) : data.checksum,
+  };
+}
+
+/**
+ * Report a push result's checksum in plaintext terms. When the server stored exactly
+ * the sealed list, its checksum stands for the plaintext list; otherwise it's unknown.
+ * @param {Object} result - POST /api/bookmarks response
+ * @param {Object} sealed - Output of sealForCloud
+ * @param {Array} bookmarks - Plaintext list that was sealed
+ */
+async function openPushResult(result, sealed, bookmarks) {
+  if (!sealed.encryptionKeyId || !result?.checksum) return result;
+
+  const matches = result.checksum === (await generateChecksum(sealed.bookmarks));
+  return { ...result, checksum: matches ? await generateChecksum(bookmarks) : null };
+}
+
 /**
  * Sync bookmarks to cloud (with tombstones for deletion sync)
  * @param {Array} bookmarks - Bookmarks to sync
  * @param {string} source - Source identifier (browser type)
  * @param {Array} tombstones - Tombstones for deleted bookmarks
+ * @param {number} [expectedVersion] - Only write if the cloud is still at this version
  */
-async function syncBookmarksToCloud(bookmarks, source = 'browser', tombstones = []) {
+async function syncBookmarksToCloud(
+  bookmarks,
+  source = 'browser',
+  tombstones = [],
+  expectedVersion
+) {
   try {
+    const sealed = await sealForCloud(bookmarks, tombstones);
     const response = await apiRequest('/api/bookmarks', {
       method: 'POST',
-      body: JSON.stringify({ bookmarks, source, tombstones, replace: true }),
+      body: JSON.stringify({
+        bookmarks: sealed.bookmarks,
+        source,
+        tombstones: sealed.tombstones,
+        replace: true,
+        expectedVersion,
+        encryptionKeyId: sealed.encryptionKeyId,
+      }),
     });
 
     if (!response.ok) {
       const data = await response.json();
+      if (response.status === 409) await throwWriteConflict(data);
       throw new Error(data.error || 'Failed to sync bookmarks');
     }
 
-    return await response.json();
+    // A full replace moves the cloud data to the current key
+    await forgetPreviousKey();
+
+    return openPushResult(await response.json(), sealed, bookmarks);
   } catch (err) {
     console.error('[MarkSyncr] Failed to sync bookmarks to cloud:', err);
     throw err;
@@ -963,13 +1159,26 @@ async function syncBookmarksToCloud(bookmarks, source = 'browser', tombstones =
 
 /**
  * Save bookmark version to cloud
+ * With encryption on, the version stores the encrypted flat list instead of bookmarkData.
+ * @param {Object} bookmarkData - Bookmark tree from convertBrowserBookmarks
+ * @param {string} sourceType
+ * @param {string} deviceName
+ * @param {Object} [changeSummary]
+ * @param {Array} [flatItems] - Flat list of the same bookmarks
  */
-async function saveVersionToCloud(bookmarkData, sourceType, deviceName, changeSummary = {}) {
+async function saveVersionToCloud(
+  bookmarkData,
+  sourceType,
+  deviceName,
+  changeSummary = {},
+  flatItems = []
+) {
   try {
+    const keys = await getEncryptionKeys();
     const response = await apiRequest('/api/versions', {
       method: 'POST',
       body: JSON.stringify({
-        bookmarkData,
+        bookmarkData: keys ? await encryptFlatItems(keys, flatItems) : bookmarkData,
         sourceType,
         deviceName,
         changeSummary,
@@ -1020,9 +1229,10 @@ function detectOS() {
 
 /**
  * Register this device with the server
+ * @param {object} [updates] - Extra device fields to save, e.g. { syncProfile }
  * @returns {Promise<{success: boolean, device?: object, error?: string}>}
  */
-async function registerDevice() {
+async function registerDevice(updates = {}) {
   try {
     const deviceId = await getDeviceId();
     const browserName = detectBrowser();
@@ -1035,6 +1245,7 @@ async function registerDevice() {
         name: `${browserName.charAt(0).toUpperCase() + browserName.slice(1)} on ${os}`,
         browser: browserName,
         os,
+        ...updates,
       }),
     });
 
@@ -1046,6 +1257,10 @@ async function registerDevice() {
 
     const data = await response.json();
     console.log('[MarkSyncr] Device registered:', data.device);
+    // Servers without selective sync don't return the column; keep what we have
+    if (data.device && 'sync_profile' in data.device) {
+      await storeSyncProfile(data.device.sync_profile);
+    }
     return { success: true, device: data.device };
   } catch (err) {
     console.warn('[MarkSyncr] Device registration error:', err);
@@ -1054,152 +1269,703 @@ async function registerDevice() {
 }
 
 /**
- * Get bookmarks from cloud
+ * Get this device's selective sync profile, as last returned by /api/devices
+ * @returns {Promise<{include: string[], exclude: string[]}|null>}
  */
-async function getBookmarksFromCloud() {
-  try {
-    const response = await apiRequest('/api/bookmarks', {
-      method: 'GET',
-    });
+async function getSyncProfile() {
+  const data = await browser.storage.local.get(SYNC_PROFILE_STORAGE_KEY);
+  return data[SYNC_PROFILE_STORAGE_KEY] || null;
+}
 
-    if (!response.ok) {
-      const data = await response.json();
-      throw new Error(data.error || 'Failed to get bookmarks from cloud');
-    }
+/**
+ * Get the filter that limits syncing to the folders of this device's profile
+ * @returns {Promise<ReturnType<typeof createSyncFilter>>}
+ */
+async function getSyncFilter() {
+  const profile = await getSyncProfile();
+  if (Object.keys(await getSharedFolderMounts()).length === 0) {
+    return createSyncFilter(profile);
+  }
 
-    return await response.json();
-  } catch (err) {
-    console.error('[MarkSyncr] Failed to get bookmarks from cloud:', err);
-    throw err;
+  // Mounted team folders sync with their team, never with the personal bookmarks
+  return createSyncFilter({
+    include: profile?.include ?? [],
+    exclude: [...(profile?.exclude ?? []), SHARED_FOLDERS_ROOT_PATH],
+  });
+}
+
+/**
+ * Store this device's selective sync profile
+ *
+ * When the rules change, the last cloud checksum (a checksum of the old view) is
+ * dropped so the next sync pulls: a folder that was just included only exists in
+ * the cloud, and pushing the local view first would delete it there.
+ *
+ * @param {{include: string[], exclude: string[]}|null} profile
+ */
+async function storeSyncProfile(profile) {
+  const previous = await getSyncProfile();
+  if (JSON.stringify(previous) === JSON.stringify(profile ?? null)) return;
+
+  await browser.storage.local.set({ [SYNC_PROFILE_STORAGE_KEY]: profile ?? null });
+  await browser.storage.local.remove(LAST_CLOUD_CHECKSUM_KEY);
+  console.log('[MarkSyncr] Selective sync profile changed:', profile);
+}
+
+/**
+ * Save this device's selective sync rules on the server
+ * @param {{include: string[], exclude: string[]}|null} profile - null syncs everything
+ * @returns {Promise<{success: boolean, syncProfile?: object|null, error?: string}>}
+ */
+async function updateSyncProfile(profile) {
+  const hasValidToken = await ensureValidToken();
+  if (!hasValidToken) {
+    return {
+      success: false,
+      error: 'Please log in to change which folders sync',
+      requiresAuth: true,
+    };
+  }
+
+  const result = await registerDevice({ syncProfile: profile });
+  if (!result.success) {
+    return { success: false, error: result.error || 'Failed to save sync rules' };
   }
+  return { success: true, syncProfile: result.device?.sync_profile ?? null };
 }
 
 /**
- * Get latest version data from cloud
+ * Get the collection this browser syncs with
+ * @returns {Promise<string|null>} Collection id, or null for the account's default collection
  */
-async function getLatestVersionFromCloud() {
-  try {
-    const response = await apiRequest('/api/versions?limit=1', {
-      method: 'GET',
-    });
+async function getSelectedCollection() {
+  const data = await browser.storage.local.get(COLLECTION_STORAGE_KEY);
+  return data[COLLECTION_STORAGE_KEY] || null;
+}
+
+/**
+ * List the account's collections, marking the one this browser syncs with
+ *
+ * A selected collection that no longer exists (deleted from another browser or the
+ * dashboard) falls back to the default one, like the server does for its devices.
+ *
+ * @returns {Promise<{success: boolean, collections?: Array, selectedId?: string|null, error?: string}>}
+ */
+async function getCollections() {
+  const hasValidToken = await ensureValidToken();
+  if (!hasValidToken) {
+    return { success: false, error: 'Please log in to manage collections', requiresAuth: true };
+  }
 
+  try {
+    let selectedId = await getSelectedCollection();
+    const response = await apiRequest('/api/collections', { method: 'GET' });
+    const data = await response.json();
     if (!response.ok) {
-      const data = await response.json();
-      throw new Error(data.error || 'Failed to get latest version');
+      return { success: false, error: data.error || 'Failed to load collections' };
     }
 
-    const data = await response.json();
-    if (!data.versions || data.versions.length === 0) {
-      return null;
+    const collections = data.collections || [];
+    if (selectedId && !collections.some((c) => c.id === selectedId)) {
+      console.log('[MarkSyncr] Selected collection no longer exists, using the default one');
+      await resetCollectionSyncState(null);
+      selectedId = null;
     }
 
-    // Get full version data
-    const versionResponse = await apiRequest(`/api/versions/${data.versions[0].version}`, {
-      method: 'GET',
-    });
+    return { success: true, collections, selectedId };
+  } catch (err) {
+    console.error('[MarkSyncr] Failed to load collections:', err);
+    return { success: false, error: err.message };
+  }
+}
 
-    if (!versionResponse.ok) {
-      const errorData = await versionResponse.json();
-      throw new Error(errorData.error || 'Failed to get version data');
-    }
+/**
+ * Create a collection; the browser keeps syncing with its current one
+ * @param {string} name
+ * @returns {Promise<{success: boolean, collection?: Object, error?: string}>}
+ */
+async function createCollection(name) {
+  const hasValidToken = await ensureValidToken();
+  if (!hasValidToken) {
+    return { success: false, error: 'Please log in to manage collections', requiresAuth: true };
+  }
 
-    return await versionResponse.json();
+  try {
+    const response = await apiRequest('/api/collections', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      return { success: false, error: data.error || 'Failed to create collection' };
+    }
+    return { success: true, collection: data.collection };
   } catch (err) {
-    console.error('[MarkSyncr] Failed to get latest version from cloud:', err);
-    throw err;
+    console.error('[MarkSyncr] Failed to create collection:', err);
+    return { success: false, error: err.message };
   }
 }
 
 /**
- * Initialize the background script
- * Note: Firefox MV3 uses persistent background scripts, not service workers
- * Chrome MV3 uses service workers
+ * Store the selected collection and forget the sync state of the previous one
+ *
+ * Checksums, snapshots, the merge base, tombstones and the last sync time all
+ * describe the previous collection's cloud data. Without them the next sync is a
+ * first sync: it merges the browser's bookmarks with the collection and deletes
+ * nothing on either side.
+ *
+ * @param {string|null} collectionId - null for the default collection
  */
-async function initialize() {
-  const browserInfo = detectBrowser();
-  const isFirefox = browserInfo === 'firefox';
+async function resetCollectionSyncState(collectionId) {
+  await browser.storage.local.set({ [COLLECTION_STORAGE_KEY]: collectionId });
+  await browser.storage.local.remove([
+    LAST_CLOUD_CHECKSUM_KEY,
+    LAST_SYNC_TIME_KEY,
+    TOMBSTONES_STORAGE_KEY,
+    LOCALLY_MODIFIED_IDS_KEY,
+    SYNC_BASE_STORAGE_KEY,
+    CLOUD_SNAPSHOT_STORAGE_KEY,
+  ]);
+  locallyModifiedBookmarkIds = new Set();
+}
 
-  console.log(`[MarkSyncr] Background script initialized (${browserInfo})`);
-  console.log(`[MarkSyncr] User agent: ${navigator.userAgent}`);
-  console.log(
-    `[MarkSyncr] Script type: ${isFirefox ? 'persistent background script' : 'service worker'}`
-  );
+/**
+ * Switch the collection this browser syncs with
+ * @param {string|null} collectionId - Collection id; null for the default collection
+ * @returns {Promise<{success: boolean, collectionId?: string|null, error?: string}>}
+ */
+async function selectCollection(collectionId) {
+  if (isSyncInProgress) {
+    return { success: false, error: 'Wait for the current sync to finish' };
+  }
+  if ((collectionId ?? null) === (await getSelectedCollection())) {
+    return { success: true, collectionId: collectionId ?? null };
+  }
 
-  // Set up alarm for automatic sync
-  await setupAutoSync();
+  const hasValidToken = await ensureValidToken();
+  if (!hasValidToken) {
+    return { success: false, error: 'Please log in to manage collections', requiresAuth: true };
+  }
 
-  // Set up alarm for proactive token refresh (keeps session alive independent of sync)
-  await setupTokenRefreshAlarm();
+  await resetCollectionSyncState(collectionId ?? null);
+  console.log('[MarkSyncr] Syncing with collection:', collectionId ?? 'default');
 
-  // Ensure adblock rulesets match the stored preference on every boot
-  await initAdblock().catch((err) =>
-    console.error('[MarkSyncr] Failed to init adblock on boot:', err)
-  );
+  // The device record moves to the new collection, so the dashboard lists it there
+  const result = await registerDevice();
+  if (!result.success) {
+    return { success: false, error: result.error || 'Failed to switch collection' };
+  }
+  return { success: true, collectionId: collectionId ?? null };
+}
 
-  // Restore locally modified bookmark IDs from storage (survives service worker restarts)
-  locallyModifiedBookmarkIds = await loadLocallyModifiedIds();
-  console.log(
-    `[MarkSyncr] Restored ${locallyModifiedBookmarkIds.size} locally modified bookmark IDs from storage`
-  );
+/**
+ * Get the team shared folders mounted in this browser
+ * @returns {Promise<Record<string, {localId: string, name: string, teamName: string|null,
+ *   role: string, version: number, base: Array<Object>}>>} Mounts by shared folder id;
+ *   base is the folder's bookmarks as last synced
+ */
+async function getSharedFolderMounts() {
+  const data = await browser.storage.local.get(SHARED_FOLDERS_STORAGE_KEY);
+  return data[SHARED_FOLDERS_STORAGE_KEY] || {};
+}
 
-  // Listen for bookmark changes
-  setupBookmarkListeners();
+/**
+ * Flatten the contents of a mounted shared folder, with folder paths relative to it
+ * @param {Array<Object>} nodes - Children of the mount folder
+ * @param {string} [parentPath]
+ * @returns {Array<Object>}
+ */
+function flattenSharedFolder(nodes = [], parentPath = '') {
+  const items = [];
+  nodes.forEach((node, i) => {
+    const index = node.index ?? i;
+    if (node.url) {
+      items.push({
+        type: 'bookmark',
+        url: node.url,
+        title: node.title ?? '',
+        folderPath: parentPath,
+        index,
+      });
+      return;
+    }
+    items.push({ type: 'folder', title: node.title ?? '', folderPath: parentPath, index });
+    const folderPath = parentPath ? `${parentPath}/${node.title}` : node.title;
+    items.push(...flattenSharedFolder(node.children, folderPath));
+  });
+  return items;
+}
 
-  // For Firefox, set up a periodic check to ensure alarm is still active
-  // Firefox background scripts are persistent, so we can use setInterval
-  if (isFirefox) {
-    console.log('[MarkSyncr] Firefox detected - setting up alarm health check');
+/**
+ * Replace the contents of a mounted shared folder with the team's bookmarks
+ * @param {string} mountId - Browser id of the mount folder
+ * @param {Array<Object>} items - Shared items, folder paths relative to the mount
+ */
+async function writeSharedFolder(mountId, items) {
+  isSyncDrivenChange = true;
+  try {
+    for (const child of await browser.bookmarks.getChildren(mountId)) {
+      await browser.bookmarks.removeTree(child.id);
+    }
 
-    // Check alarm health every 2 minutes
-    setInterval(
-      async () => {
-        const { settings } = await browser.storage.local.get('settings');
-        const expectedInterval = settings?.syncInterval || DEFAULT_SYNC_INTERVAL;
+    // Parents before children; siblings in their shared order
+    const depth = (item) => (item.folderPath ? item.folderPath.split('/').length : 0);
+    const ordered = [...items].sort(
+      (a, b) => depth(a) - depth(b) || (a.index ?? 0) - (b.index ?? 0)
+    );
+    const folderIds = new Map([['', mountId]]);
+
+    const ensureFolder = async (path) => {
+      if (folderIds.has(path)) return folderIds.get(path);
+      const slash = path.lastIndexOf('/');
+      const parentId = await ensureFolder(slash === -1 ? '' : path.slice(0, slash));
+      const folder = await browser.bookmarks.create({ parentId, title: path.slice(slash + 1) });
+      folderIds.set(path, folder.id);
+      return folder.id;
+    };
 
-        const alarm = await browser.alarms.get(SYNC_ALARM_NAME);
-        if (!alarm) {
-          console.warn('[MarkSyncr] Firefox: Alarm not found, recreating...');
-          await setupAutoSync();
-        } else {
-          const nextFire = new Date(alarm.scheduledTime);
-          const now = new Date();
-          const minutesUntilFire = Math.round((nextFire - now) / 60000);
+    for (const item of ordered) {
+      const parentId = await ensureFolder(item.folderPath || '');
+      if (item.type === 'folder') {
+        const path = item.folderPath ? `${item.folderPath}/${item.title}` : item.title;
+        if (folderIds.has(path)) continue;
+        const folder = await browser.bookmarks.create({ parentId, title: item.title });
+        folderIds.set(path, folder.id);
+      } else if (item.url) {
+        await browser.bookmarks.create({ parentId, title: item.title ?? '', url: item.url });
+      }
+    }
+  } finally {
+    isSyncDrivenChange = false;
+  }
+}
 
-          // Check if alarm interval matches expected interval OR if alarm is stale
-          if (alarm.periodInMinutes !== expectedInterval) {
-            console.warn(
-              `[MarkSyncr] Firefox: Alarm interval mismatch (${alarm.periodInMinutes} vs ${expectedInterval}), recreating...`
-            );
-            await browser.alarms.clear(SYNC_ALARM_NAME);
-            await setupAutoSync();
-          } else if (nextFire <= now) {
-            // Alarm is stale (scheduled time in past) - recreate it
-            console.warn(
-              `[MarkSyncr] Firefox: Alarm is stale (scheduled for ${nextFire.toISOString()}), recreating...`
-            );
-            await browser.alarms.clear(SYNC_ALARM_NAME);
-            await setupAutoSync();
-          } else {
-            console.log(
-              `[MarkSyncr] Firefox: Alarm health check OK - next fire in ${minutesUntilFire} minutes (interval: ${alarm.periodInMinutes})`
-            );
-          }
-        }
-      },
-      2 * 60 * 1000
-    ); // Every 2 minutes
+/**
+ * Find the mount folder of a shared folder, creating it when it is missing
+ * @param {Object} folder - Shared folder from /api/shared-folders
+ * @param {Object} [mount] - Stored mount, if the folder was mounted before
+ * @returns {Promise<string>} Browser id of the mount folder
+ */
+async function getSharedFolderMountId(folder, mount) {
+  if (mount?.localId) {
+    try {
+      const [node] = await browser.bookmarks.get(mount.localId);
+      if (node) return mount.localId;
+    } catch {
+      // Removed by the user; mounted again below
+    }
   }
 
-  // Log that initialization is complete
-  console.log('[MarkSyncr] Initialization complete');
+  isSyncDrivenChange = true;
+  try {
+    return await findOrCreateFolderForBookmark(
+      `${SHARED_FOLDERS_ROOT_PATH}/${folder.teamName || 'Team'}/${folder.name}`
+    );
+  } finally {
+    isSyncDrivenChange = false;
+  }
 }
 
 /**
- * Set up automatic sync alarm
+ * Remove team folders, and the Team Folders root, once they hold nothing
  */
-async function setupAutoSync() {
+async function removeEmptySharedFolderRoots() {
+  isSyncDrivenChange = true;
   try {
-    const browserInfo = detectBrowser();
+    const rootId = await findOrCreateFolderForBookmark(SHARED_FOLDERS_ROOT_PATH);
+    for (const team of await browser.bookmarks.getChildren(rootId)) {
+      if (!team.url && (await browser.bookmarks.getChildren(team.id)).length === 0) {
+        await browser.bookmarks.remove(team.id);
+      }
+    }
+    if ((await browser.bookmarks.getChildren(rootId)).length === 0) {
+      await browser.bookmarks.remove(rootId);
+    }
+  } finally {
+    isSyncDrivenChange = false;
+  }
+}
+
+/**
+ * Sync the team shared folders mounted under Other Bookmarks/Team Folders
+ *
+ * Each shared folder is a subtree of the browser. Edits made here since the last
+ * sync are sent to the server as operations against the copy last received, where
+ * they merge with other members' edits; the subtree is then rewritten with the
+ * merged folder. Viewers can't send edits, so their local changes are undone.
+ * Folders of teams the user left, or that were deleted, are unmounted.
+ *
+ * @returns {Promise<{success: boolean, mounted?: number, pushed?: number, error?: string}>}
+ */
+async function syncSharedFolders() {
+  if (isSharedFolderSyncInProgress) {
+    return { success: false, error: 'Shared folder sync already in progress' };
+  }
+  isSharedFolderSyncInProgress = true;
+
+  try {
+    const response = await apiRequest('/api/shared-folders', { method: 'GET' });
+    const data = await response.json();
+    if (!response.ok) {
+      return { success: false, error: data.error || 'Failed to load shared folders' };
+    }
+
+    const mounts = await getSharedFolderMounts();
+    const folders = data.folders || [];
+    const nextMounts = {};
+    let pushed = 0;
+
+    for (let folder of folders) {
+      const mount = mounts[folder.id];
+      const localId = await getSharedFolderMountId(folder, mount);
+      const [subtree] = await browser.bookmarks.getSubTree(localId);
+      const local = flattenSharedFolder(subtree.children);
+
+      // A folder seen for the first time has no local edits to send
+      const operations = mount ? diffSharedFolder(mount.base, local) : [];
+      if (operations.length > 0 && canEditSharedFolders(folder.role)) {
+        const pushResponse = await apiRequest(`/api/shared-folders/${folder.id}`, {
+          method: 'POST',
+          body: JSON.stringify({ operations }),
+        });
+        const pushData = await pushResponse.json();
+        if (pushResponse.ok) {
+          folder = { ...folder, ...pushData.folder };
+          pushed += operations.length;
+        } else {
+          // Local edits stay and are sent again on the next sync
+          console.warn('[MarkSyncr] Failed to push shared folder edits:', pushData.error);
+          nextMounts[folder.id] = { ...mount, localId };
+          continue;
+        }
+      } else if (operations.length > 0) {
+        console.log(`[MarkSyncr] Undoing edits to read-only shared folder "${folder.name}"`);
+      }
+
+      const items = (folder.items || []).map(toSharedItem);
+      if (diffSharedFolder(items, local).length > 0) {
+        await writeSharedFolder(localId, items);
+      }
+
+      nextMounts[folder.id] = {
+        localId,
+        name: folder.name,
+        teamName: folder.teamName ?? null,
+        role: folder.role,
+        version: folder.version,
+        base: items,
+      };
+    }
+
+    const removed = Object.keys(mounts).filter((id) => !nextMounts[id]);
+    for (const id of removed) {
+      console.log(`[MarkSyncr] Unmounting shared folder "${mounts[id].name}"`);
+      isSyncDrivenChange = true;
+      try {
+        await browser.bookmarks.removeTree(mounts[id].localId);
+      } catch {
+        // Already removed
+      } finally {
+        isSyncDrivenChange = false;
+      }
+    }
+    if (removed.length > 0) {
+      await removeEmptySharedFolderRoots();
+    }
+
+    await browser.storage.local.set({ [SHARED_FOLDERS_STORAGE_KEY]: nextMounts });
+    return { success: true, mounted: folders.length, pushed };
+  } catch (err) {
+    console.error('[MarkSyncr] Shared folder sync failed:', err);
+    return { success: false, error: err.message };
+  } finally {
+    isSharedFolderSyncInProgress = false;
+  }
+}
+
+/**
+ * Get bookmarks from cloud
+ */
+async function getBookmarksFromCloud() {
+  try {
+    const response = await apiRequest('/api/bookmarks', {
+      method: 'GET',
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to get bookmarks from cloud');
+    }
+
+    return await response.json();
+  } catch (err) {
+    console.error('[MarkSyncr] Failed to get bookmarks from cloud:', err);
+    throw err;
+  }
+}
+
+/**
+ * Get the cloud bookmark list as of the last delta sync cursor
+ * @returns {Promise<{cursor: number, items: Array}|null>}
+ */
+async function getCloudSnapshot() {
+  const result = await browser.storage.local.get(CLOUD_SNAPSHOT_STORAGE_KEY);
+  return result[CLOUD_SNAPSHOT_STORAGE_KEY] || null;
+}
+
+/**
+ * Store the cloud bookmark list at a cursor, or clear it when there is no cursor
+ * @param {number|null|undefined} cursor - Server change sequence number
+ * @param {Array} items - Flat cloud bookmark list at that cursor
+ */
+async function storeCloudSnapshot(cursor, items) {
+  if (typeof cursor !== 'number') {
+    await browser.storage.local.remove(CLOUD_SNAPSHOT_STORAGE_KEY);
+    return;
+  }
+  await browser.storage.local.set({ [CLOUD_SNAPSHOT_STORAGE_KEY]: { cursor, items } });
+}
+
+/**
+ * Get bookmarks from cloud, downloading only the changes since the last cursor
+ * when a snapshot is available. The rebuilt list is checked against the server
+ * checksum; any mismatch or a reset from the server falls back to a full fetch.
+ * The snapshot holds the list as stored (encrypted, with encryption on); the
+ * returned data is decrypted.
+ * @returns {Promise<Object>} Same shape as getBookmarksFromCloud, after openCloudData
+ */
+async function fetchCloudBookmarks() {
+  const snapshot = await getCloudSnapshot();
+
+  if (snapshot) {
+    try {
+      const response = await apiRequest(`/api/bookmarks?since=${snapshot.cursor}`, {
+        method: 'GET',
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to get bookmark changes from cloud');
+      }
+
+      const data = await response.json();
+
+      if (Array.isArray(data.operations)) {
+        const bookmarks = applyFlatOperations(snapshot.items, data.operations);
+        const matches = data.checksum
+          ? (await generateChecksum(bookmarks)) === data.checksum
+          : bookmarks.length === 0;
+
+        if (matches) {
+          console.log(
+            `[MarkSyncr] Delta fetch: ${data.operations.length} operations since cursor ${snapshot.cursor}`
+          );
+          await storeCloudSnapshot(data.cursor, bookmarks);
+          return openCloudData({ ...data, bookmarks, count: bookmarks.length });
+        }
+
+        console.warn('[MarkSyncr] Delta fetch checksum mismatch, fetching full bookmark list');
+      } else if (Array.isArray(data.bookmarks)) {
+        await storeCloudSnapshot(data.cursor, data.bookmarks);
+        return openCloudData(data);
+      }
+    } catch (err) {
+      console.warn('[MarkSyncr] Delta fetch failed, fetching full bookmark list:', err.message);
+    }
+  }
+
+  const data = await getBookmarksFromCloud();
+  await storeCloudSnapshot(data.cursor, data.bookmarks || []);
+  return openCloudData(data);
+}
+
+/**
+ * Push bookmarks to cloud. When the cloud state came with a cursor, only the
+ * operations against it are sent; otherwise the full list is uploaded. Either way
+ * the write only goes through if the cloud is still at cloudData.version.
+ * @param {Array} bookmarks - Flat bookmark list to store
+ * @param {string} source - Source identifier (browser type)
+ * @param {Array} tombstones - Tombstones for deleted bookmarks
+ * @param {Object} cloudData - Cloud state from fetchCloudBookmarks
+ * @throws {CloudVersionConflictError} When another browser wrote in between
+ */
+async function pushBookmarksToCloud(bookmarks, source, tombstones, cloudData) {
+  const expectedVersion = typeof cloudData?.version === 'number' ? cloudData.version : undefined;
+  const sealed = await sealForCloud(bookmarks, tombstones);
+  let result;
+
+  // Operations only apply to a list encrypted with the same key (or both in plaintext)
+  const sameKey = (cloudData?.encryptionKeyId ?? null) === sealed.encryptionKeyId;
+
+  if (typeof cloudData?.cursor === 'number' && sameKey) {
+    const operations = diffFlatItems(
+      cloudData.sealedBookmarks || cloudData.bookmarks || [],
+      sealed.bookmarks
+    );
+    console.log(
+      `[MarkSyncr] Delta push: ${operations.length} operations against cursor ${cloudData.cursor}`
+    );
+
+    const response = await apiRequest('/api/bookmarks', {
+      method: 'POST',
+      body: JSON.stringify({
+        operations,
+        cursor: cloudData.cursor,
+        source,
+        tombstones: sealed.tombstones,
+        expectedVersion,
+        encryptionKeyId: sealed.encryptionKeyId,
+      }),
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      if (response.status === 409) await throwWriteConflict(data);
+      throw new Error(data.error || 'Failed to sync bookmarks');
+    }
+
+    result = await openPushResult(await response.json(), sealed, bookmarks);
+  } else {
+    result = await syncBookmarksToCloud(bookmarks, source, tombstones, expectedVersion);
+  }
+
+  // Keep the snapshot only if the server ended up with exactly what was pushed;
+  // otherwise the next fetch downloads the full list.
+  const pushedChecksum = await generateChecksum(bookmarks);
+  await storeCloudSnapshot(
+    result?.checksum === pushedChecksum ? result.cursor : null,
+    sealed.bookmarks
+  );
+
+  return result;
+}
+
+/**
+ * Get latest version data from cloud
+ */
+async function getLatestVersionFromCloud() {
+  try {
+    const response = await apiRequest('/api/versions?limit=1', {
+      method: 'GET',
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to get latest version');
+    }
+
+    const data = await response.json();
+    if (!data.versions || data.versions.length === 0) {
+      return null;
+    }
+
+    // Get full version data
+    const versionResponse = await apiRequest(`/api/versions/${data.versions[0].version}`, {
+      method: 'GET',
+    });
+
+    if (!versionResponse.ok) {
+      const errorData = await versionResponse.json();
+      throw new Error(errorData.error || 'Failed to get version data');
+    }
+
+    return await versionResponse.json();
+  } catch (err) {
+    console.error('[MarkSyncr] Failed to get latest version from cloud:', err);
+    throw err;
+  }
+}
+
+/**
+ * Initialize the background script
+ * Note: Firefox MV3 uses persistent background scripts, not service workers
+ * Chrome MV3 uses service workers
+ */
+async function initialize() {
+  const browserInfo = detectBrowser();
+  const isFirefox = browserInfo === 'firefox';
+
+  console.log(`[MarkSyncr] Background script initialized (${browserInfo})`);
+  console.log(`[MarkSyncr] User agent: ${navigator.userAgent}`);
+  console.log(
+    `[MarkSyncr] Script type: ${isFirefox ? 'persistent background script' : 'service worker'}`
+  );
+
+  // Set up alarm for automatic sync
+  await setupAutoSync();
+
+  // Set up alarm for proactive token refresh (keeps session alive independent of sync)
+  await setupTokenRefreshAlarm();
+
+  // Ensure adblock rulesets match the stored preference on every boot
+  await initAdblock().catch((err) =>
+    console.error('[MarkSyncr] Failed to init adblock on boot:', err)
+  );
+
+  // Restore locally modified bookmark IDs from storage (survives service worker restarts)
+  locallyModifiedBookmarkIds = await loadLocallyModifiedIds();
+  console.log(
+    `[MarkSyncr] Restored ${locallyModifiedBookmarkIds.size} locally modified bookmark IDs from storage`
+  );
+
+  // Listen for bookmark changes
+  setupBookmarkListeners();
+
+  // For Firefox, set up a periodic check to ensure alarm is still active
+  // Firefox background scripts are persistent, so we can use setInterval
+  if (isFirefox) {
+    console.log('[MarkSyncr] Firefox detected - setting up alarm health check');
+
+    // Check alarm health every 2 minutes
+    setInterval(
+      async () => {
+        const { settings } = await browser.storage.local.get('settings');
+        const expectedInterval = settings?.syncInterval || DEFAULT_SYNC_INTERVAL;
+
+        const alarm = await browser.alarms.get(SYNC_ALARM_NAME);
+        if (!alarm) {
+          console.warn('[MarkSyncr] Firefox: Alarm not found, recreating...');
+          await setupAutoSync();
+        } else {
+          const nextFire = new Date(alarm.scheduledTime);
+          const now = new Date();
+          const minutesUntilFire = Math.round((nextFire - now) / 60000);
+
+          // Check if alarm interval matches expected interval OR if alarm is stale
+          if (alarm.periodInMinutes !== expectedInterval) {
+            console.warn(
+              `[MarkSyncr] Firefox: Alarm interval mismatch (${alarm.periodInMinutes} vs ${expectedInterval}), recreating...`
+            );
+            await browser.alarms.clear(SYNC_ALARM_NAME);
+            await setupAutoSync();
+          } else if (nextFire <= now) {
+            // Alarm is stale (scheduled time in past) - recreate it
+            console.warn(
+              `[MarkSyncr] Firefox: Alarm is stale (scheduled for ${nextFire.toISOString()}), recreating...`
+            );
+            await browser.alarms.clear(SYNC_ALARM_NAME);
+            await setupAutoSync();
+          } else {
+            console.log(
+              `[MarkSyncr] Firefox: Alarm health check OK - next fire in ${minutesUntilFire} minutes (interval: ${alarm.periodInMinutes})`
+            );
+          }
+        }
+      },
+      2 * 60 * 1000
+    ); // Every 2 minutes
+  }
+
+  // Log that initialization is complete
+  console.log('[MarkSyncr] Initialization complete');
+}
+
+/**
+ * Set up automatic sync alarm
+ */
+async function setupAutoSync() {
+  try {
+    const browserInfo = detectBrowser();
     const { settings } = await browser.storage.local.get('settings');
     const interval = settings?.syncInterval || DEFAULT_SYNC_INTERVAL;
 
@@ -1355,6 +2121,14 @@ function setupBookmarkListeners() {
       }
       // Tombstone is old or doesn't exist — this is a genuine user re-creation
       await removeTombstone(bookmark.url);
+
+      // Archiving and capturing can take a while; don't hold up the listener for them
+      if (!isSyncDrivenChange) {
+        archiveNewBookmark(bookmark.url);
+        captureNewBookmark(bookmark.url);
+        guardAgainstDuplicate(id, bookmark);
+        organizeNewBookmark(id, bookmark);
+      }
     }
 
     console.log(`[MarkSyncr] Tracked locally created bookmark: ${id}`);
@@ -1378,15 +2152,29 @@ function setupBookmarkListeners() {
       debouncedSaveLocallyModifiedIds();
     }
 
+    // A duplicate removed in favour of an existing copy: its URL is still bookmarked
+    if (removedDuplicateIds.delete(id)) {
+      console.log('[MarkSyncr] Skipping tombstone (duplicate of a kept bookmark):', id);
+      return;
+    }
+
     // ALWAYS create tombstones for deleted bookmarks, even during sync.
     // Without a tombstone, the next sync will re-add the bookmark from cloud.
     // The tombstone is the only way to signal "this bookmark was intentionally deleted."
+    // Bookmarks in folders this device doesn't sync are the exception: deleting them
+    // here must not delete them on the devices that do sync them.
+    const syncFilter = await getSyncFilter();
+    const parentPath = syncFilter.active ? await getBookmarkFolderPath(removeInfo.parentId) : '';
     if (removeInfo.node?.url) {
-      await addTombstone(removeInfo.node.url);
-      console.log('[MarkSyncr] Added tombstone for deleted bookmark:', removeInfo.node.url);
+      if (syncFilter.isFolderContentSynced(parentPath)) {
+        await addTombstone(removeInfo.node.url);
+        console.log('[MarkSyncr] Added tombstone for deleted bookmark:', removeInfo.node.url);
+      } else {
+        console.log('[MarkSyncr] Skipping tombstone (folder not synced):', removeInfo.node.url);
+      }
     } else if (removeInfo.node?.children) {
       // It's a folder - add tombstones for all bookmarks in the folder
-      await addTombstonesForFolder(removeInfo.node);
+      await addTombstonesForFolder(removeInfo.node, parentPath, syncFilter);
     }
 
     if (isSyncInProgress) {
@@ -1434,153 +2222,1252 @@ function setupBookmarkListeners() {
       // Track the moved bookmark itself
       locallyModifiedBookmarkIds.add(id);
 
-      // CRITICAL: When a bookmark is moved, all siblings in the affected folder(s)
-      // have their indices shifted implicitly by the browser. We must mark them all
-      // as locally modified so the sync doesn't override their new positions with
-      // stale cloud indices. Without this, reordering a single bookmark causes the
-      // cloud's old order to be re-applied to all the un-tracked siblings.
+      // CRITICAL: When a bookmark is moved, all siblings in the affected folder(s)
+      // have their indices shifted implicitly by the browser. We must mark them all
+      // as locally modified so the sync doesn't override their new positions with
+      // stale cloud indices. Without this, reordering a single bookmark causes the
+      // cloud's old order to be re-applied to all the un-tracked siblings.
+      try {
+        const foldersToMark = new Set([moveInfo.parentId]);
+        if (moveInfo.oldParentId && moveInfo.oldParentId !== moveInfo.parentId) {
+          foldersToMark.add(moveInfo.oldParentId);
+        }
+        for (const folderId of foldersToMark) {
+          const children = await browser.bookmarks.getChildren(folderId);
+          for (const child of children) {
+            locallyModifiedBookmarkIds.add(child.id);
+          }
+        }
+        console.log(
+          `[MarkSyncr] Tracked ${foldersToMark.size} folder(s) with all siblings as locally modified`
+        );
+
+        // CRITICAL: When a FOLDER is moved, the bookmarks inside it change their
+        // effective folderPath, but don't fire individual onMoved events. We must
+        // recursively mark all descendants as locally modified so the sync doesn't
+        // move them back to the cloud's old folder path.
+        const movedNodes = await browser.bookmarks.getSubTree(id);
+        if (movedNodes[0]?.children) {
+          let descendantCount = 0;
+          const markDescendants = (nodes) => {
+            for (const node of nodes) {
+              locallyModifiedBookmarkIds.add(node.id);
+              descendantCount++;
+              if (node.children) {
+                markDescendants(node.children);
+              }
+            }
+          };
+          markDescendants(movedNodes[0].children);
+          if (descendantCount > 0) {
+            console.log(
+              `[MarkSyncr] Tracked ${descendantCount} descendants of moved folder as locally modified`
+            );
+          }
+        }
+      } catch (err) {
+        console.warn('[MarkSyncr] Failed to mark siblings as modified:', err.message);
+      }
+
+      debouncedSaveLocallyModifiedIds();
+    }
+
+    // Skip during sync operations to prevent sync loops
+    // BUT mark that we need a follow-up sync after current sync completes
+    if (isSyncInProgress || isForcePullInProgress) {
+      console.log('[MarkSyncr] Queuing pending sync (bookmark moved during sync)');
+      pendingSyncNeeded = true;
+      pendingSyncReasons.push('bookmark-moved-during-sync');
+      return;
+    }
+
+    console.log(`[MarkSyncr] Tracked locally moved bookmark: ${id}`);
+  });
+}
+
+/**
+ * Add tombstones for all bookmarks in a folder (recursive)
+ * @param {object} folder - Folder node with children
+ * @param {string} [parentPath] - Path of the folder's parent, e.g. "Bookmarks Bar/Work"
+ * @param {object} [syncFilter] - Selective sync filter; bookmarks in folders it
+ *   doesn't sync get no tombstone
+ */
+async function addTombstonesForFolder(folder, parentPath = '', syncFilter = null) {
+  if (!folder.children) return;
+
+  const folderPath = parentPath ? `${parentPath}/${folder.title}` : folder.title;
+  for (const child of folder.children) {
+    if (child.url) {
+      if (!syncFilter || syncFilter.isFolderContentSynced(folderPath)) {
+        await addTombstone(child.url);
+      }
+    } else if (child.children) {
+      await addTombstonesForFolder(child, folderPath, syncFilter);
+    }
+  }
+}
+
+/**
+ * Get the folder path of a bookmark folder, in the format flattenBookmarkTree uses
+ * @param {string} folderId - Browser folder ID
+ * @returns {Promise<string>} Path like "Bookmarks Bar/Work"; empty for the root
+ */
+async function getBookmarkFolderPath(folderId) {
+  const titles = [];
+  let id = folderId;
+  try {
+    while (id) {
+      const [node] = await browser.bookmarks.get(id);
+      if (!node?.parentId) break;
+      titles.unshift(node.title);
+      id = node.parentId;
+    }
+  } catch (err) {
+    console.warn('[MarkSyncr] Failed to resolve folder path:', err.message);
+  }
+  return titles.join('/');
+}
+
+/**
+ * Flatten bookmark tree to array for API sync
+ * Now includes BOTH bookmarks AND folders with their index for complete ordering
+ *
+ * @param {Array} tree - Browser bookmark tree
+ * @returns {Array} - Flat array of bookmarks AND folders with ordering information
+ */
+function flattenBookmarkTree(tree) {
+  const items = [];
+
+  function traverse(nodes, parentPath = '') {
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+      const nodeIndex = node.index ?? i;
+
+      if (node.url) {
+        // It's a bookmark
+        items.push({
+          type: 'bookmark',
+          id: node.id,
+          url: node.url,
+          // Preserve empty titles - don't replace with URL
+          title: node.title ?? '',
+          folderPath: parentPath,
+          dateAdded: node.dateAdded,
+          // Track the index within the parent folder for ordering
+          index: nodeIndex,
+        });
+      } else if (node.children) {
+        // It's a folder - add folder metadata
+        const folderPath = node.title
+          ? parentPath
+            ? `${parentPath}/${node.title}`
+            : node.title
+          : parentPath;
+
+        // Only add folder entry if:
+        // 1. It has a title (skip root nodes without titles)
+        // 2. It's NOT a root-level folder (parentPath is not empty)
+        // Root folders like "Bookmarks Bar", "Other Bookmarks" already exist in the browser
+        // and shouldn't be recreated during sync
+        if (node.title && parentPath) {
+          items.push({
+            type: 'folder',
+            id: node.id,
+            title: node.title,
+            folderPath: parentPath, // Parent path (where this folder lives)
+            dateAdded: node.dateAdded,
+            index: nodeIndex,
+          });
+        }
+
+        // Recurse into children
+        traverse(node.children, folderPath);
+      }
+    }
+  }
+
+  traverse(tree);
+  return items;
+}
+
+/**
+ * Get the bookmark list recorded at the end of the last successful sync.
+ * It is the common ancestor that tells edits made on both sides apart from
+ * edits made on one side only.
+ * @returns {Promise<Array<{type: string, url?: string, title: string, folderPath: string, index: number}>>}
+ */
+async function getSyncBase() {
+  const result = await browser.storage.local.get(SYNC_BASE_STORAGE_KEY);
+  return result[SYNC_BASE_STORAGE_KEY] || [];
+}
+
+/**
+ * Store the bookmarks and folders as of a successful sync. Only the fields that
+ * take part in merging are kept to limit storage use.
+ * @param {Array} items - Flat bookmark list
+ */
+async function storeSyncBase(items) {
+  const base = items.map(({ type, url, title, folderPath, index }) =>
+    type === 'folder' ? { type, title, folderPath, index } : { type, url, title, folderPath, index }
+  );
+  await browser.storage.local.set({ [SYNC_BASE_STORAGE_KEY]: base });
+}
+
+/**
+ * Record the fields a sync merge found changed both locally and in the cloud.
+ * The cloud value stays on both sides until the user picks the final value from
+ * the conflict queue. Failures are logged and never fail the sync.
+ *
+ * @param {Array<Object>} conflicts - Conflicts from mergeFlatItems, keyed by item key
+ * @param {Array} localItems - Current local flat bookmarks
+ * @returns {Promise<number>} - Number of conflicts recorded
+ */
+async function reportSyncConflicts(conflicts, localItems) {
+  try {
+    if (conflicts.length === 0) return 0;
+
+    // Conflict records hold titles and URLs in plaintext
+    if (await getEncryptionKeys()) return 0;
+
+    const deviceId = await getDeviceId();
+    const localByKey = indexFlatItems(localItems);
+    const records = conflicts.map((conflict) =>
+      createConflictRecord(conflict, { title: localByKey.get(conflict.id)?.title, deviceId })
+    );
+
+    const response = await apiRequest('/api/conflicts', {
+      method: 'POST',
+      body: JSON.stringify({ conflicts: records, deviceId }),
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      console.warn('[MarkSyncr] Failed to record conflicts:', data.error);
+      return 0;
+    }
+
+    console.log(`[MarkSyncr] Recorded ${records.length} conflicts for manual resolution`);
+    return records.length;
+  } catch (err) {
+    console.warn('[MarkSyncr] Conflict detection failed (sync will continue):', err.message);
+    return 0;
+  }
+}
+
+/**
+ * Get pending sync conflicts from the cloud
+ * @returns {Promise<{success: boolean, conflicts?: Array, error?: string}>}
+ */
+async function getConflicts() {
+  try {
+    const response = await apiRequest('/api/conflicts', { method: 'GET' });
+    const data = await response.json();
+
+    if (!response.ok) {
+      return { success: false, error: data.error || 'Failed to load conflicts' };
+    }
+
+    return { success: true, conflicts: data.conflicts || [] };
+  } catch (err) {
+    console.error('[MarkSyncr] Failed to load conflicts:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Links listed in the broken links notification
+ */
+const BROKEN_LINKS_NOTIFICATION_LINKS = 3;
+
+/**
+ * Tell the user about links the server's scheduled link health scans found broken
+ * since they last heard. The server only reports them with the
+ * notifications.brokenLinks setting on; shown alerts are acknowledged so they
+ * appear once across the user's browsers.
+ *
+ * @returns {Promise<number>} - Number of newly broken links notified about
+ */
+async function notifyBrokenLinks() {
+  try {
+    const response = await apiRequest('/api/link-health/alerts', { method: 'GET' });
+    if (!response.ok) return 0;
+
+    const { alerts = [] } = await response.json();
+    if (alerts.length === 0) return 0;
+
+    const count = alerts.reduce((sum, alert) => sum + (alert.newlyBroken || 0), 0);
+    const urls = alerts.flatMap((alert) => alert.links.map((link) => link.url));
+    const listed = urls.slice(0, BROKEN_LINKS_NOTIFICATION_LINKS);
+    const more = count > listed.length ? `\n…and ${count - listed.length} more` : '';
+
+    try {
+      await browser.notifications.create('broken-links', {
+        type: 'basic',
+        iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+        title: `MarkSyncr: ${count} ${count === 1 ? 'bookmark link' : 'bookmark links'} broke`,
+        message: `${listed.join('\n')}${more}`,
+      });
+    } catch (notifErr) {
+      // Notifications may not be available in all contexts
+      console.warn('[MarkSyncr] Could not show notification:', notifErr);
+      return 0;
+    }
+
+    await apiRequest('/api/link-health/alerts', {
+      method: 'POST',
+      body: JSON.stringify({ runIds: alerts.map((alert) => alert.runId) }),
+    });
+
+    return count;
+  } catch (err) {
+    console.warn('[MarkSyncr] Failed to check broken link alerts:', err);
+    return 0;
+  }
+}
+
+/**
+ * Ask the Wayback Machine to keep a copy of a page the user just bookmarked, so there
+ * is something to fall back on if the link dies. Opt-in via settings.archiveNewBookmarks.
+ *
+ * @param {string} url - The new bookmark's URL
+ * @returns {Promise<boolean>} - True if the page was submitted
+ */
+async function archiveNewBookmark(url) {
+  try {
+    const { settings } = await browser.storage.local.get('settings');
+    if (!settings?.archiveNewBookmarks || !/^https?:/.test(url) || isArchivedUrl(url)) {
+      return false;
+    }
+
+    await new WaybackArchiveProvider().submit(url);
+    console.log(`[MarkSyncr] Submitted new bookmark for archiving: ${url}`);
+    return true;
+  } catch (err) {
+    console.warn('[MarkSyncr] Failed to archive new bookmark:', err);
+    return false;
+  }
+}
+
+/**
+ * Page snapshots kept in the browser for reading offline; older ones are on the server
+ */
+const OFFLINE_SNAPSHOT_LIMIT = 50;
+
+/**
+ * Longest page source sent from a tab, in characters; the server reads no more of a
+ * page it loads itself
+ */
+const MAX_CAPTURED_PAGE_LENGTH = 2 * 1024 * 1024;
+
+/**
+ * Read the source of a page as the user sees it in their current tab, including what
+ * only shows when they're logged in or subscribed
+ * Reading a tab needs activeTab, which the extension only has while the user is using
+ * it, e.g. bookmarking from the popup. Bookmarks made with the browser's own star
+ * don't grant it, so those pages are left to the server to load.
+ *
+ * @param {string} url - The new bookmark's URL
+ * @returns {Promise<string|null>} - The page source, or null if the tab can't be read
+ */
+async function readOpenPage(url) {
+  if (!browser.tabs?.query || !browser.scripting?.executeScript) {
+    return null;
+  }
+
+  try {
+    const [tab] = await browser.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!tab?.id || tab.url !== url) {
+      return null;
+    }
+
+    const [injection] = await browser.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => document.documentElement.outerHTML,
+    });
+    const html = injection?.result;
+    return typeof html === 'string' && html ? html.slice(0, MAX_CAPTURED_PAGE_LENGTH) : null;
+  } catch (err) {
+    console.log('[MarkSyncr] Page not readable in its tab, the server will load it:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Save a readable copy of a page the user just bookmarked to their account, and keep
+ * it in the browser for reading offline. Opt-in via settings.capturePages; the server
+ * refuses new pages once the plan's snapshot quota is used up.
+ *
+ * The copy is taken from the user's tab when the extension can read it (see
+ * readOpenPage), so it has what they saw. Otherwise the server loads the page, which
+ * only gets what anyone logged out would.
+ *
+ * @param {string} url - The new bookmark's URL
+ * @returns {Promise<Object|null>} - The snapshot, or null if none was taken
+ */
+async function captureNewBookmark(url) {
+  try {
+    const { settings } = await browser.storage.local.get('settings');
+    if (!settings?.capturePages || !/^https?:/.test(url) || isArchivedUrl(url)) {
+      return null;
+    }
+
+    const html = await readOpenPage(url);
+    const response = await apiRequest('/api/snapshots', {
+      method: 'POST',
+      body: JSON.stringify(html ? { url, html } : { url }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      console.warn(`[MarkSyncr] Page not captured (${response.status}):`, data.error);
+      return null;
+    }
+
+    const { pageSnapshots = [] } = await browser.storage.local.get('pageSnapshots');
+    await browser.storage.local.set({
+      pageSnapshots: [
+        data.snapshot,
+        ...pageSnapshots.filter((snapshot) => snapshot.url !== url),
+      ].slice(0, OFFLINE_SNAPSHOT_LIMIT),
+    });
+    console.log(`[MarkSyncr] Captured new bookmark for offline reading: ${url}`);
+    return data.snapshot;
+  } catch (err) {
+    console.warn('[MarkSyncr] Failed to capture new bookmark:', err);
+    return null;
+  }
+}
+
+/**
+ * Duplicate warnings kept for the popup; older ones are dropped
+ */
+const DUPLICATE_WARNING_LIMIT = 10;
+
+/**
+ * Bookmarks the duplicate guard removes because the user moved an existing copy to
+ * where they bookmarked the page. The copy is kept, so no tombstone may delete its URL.
+ */
+const removedDuplicateIds = new Set();
+
+/**
+ * Keep the URLs of the cloud bookmarks this browser doesn't sync (folders selective
+ * sync leaves out), so the duplicate guard knows copies that only live on the user's
+ * other devices. Every other cloud bookmark is in the local tree after a sync.
+ *
+ * @param {Array} allCloudBookmarks - The whole cloud list, decrypted
+ * @param {Object} syncFilter - This browser's selective sync filter
+ */
+async function storeCloudUrlIndex(allCloudBookmarks, syncFilter) {
+  const entries = syncFilter.active
+    ? allCloudBookmarks
+        .filter((item) => item.url && !syncFilter.isItemSynced(item))
+        .map(({ url, title, folderPath }) => ({ url, title: title ?? '', folderPath }))
+    : [];
+  await browser.storage.local.set({ [CLOUD_URL_INDEX_STORAGE_KEY]: entries });
+}
+
+/**
+ * Copies of a page already bookmarked, in this browser or on another device. URLs
+ * match by getUrlVariantKey, so tracking parameters, http/https and AMP or mobile
+ * versions don't hide a copy.
+ *
+ * @param {string} url
+ * @param {string} [excludeId] - Browser ID of the bookmark being checked
+ * @returns {Promise<Array<{id: string|null, title: string, url: string, folderPath: string,
+ *   location: 'local'|'cloud'}>>}
+ */
+async function findBookmarkCopies(url, excludeId) {
+  const key = getUrlVariantKey(url);
+  const tree = await browser.bookmarks.getTree();
+  const local = flattenBookmarkTree(tree)
+    .filter(
+      (item) =>
+        item.type === 'bookmark' && item.id !== excludeId && getUrlVariantKey(item.url) === key
+    )
+    .map((item) => ({
+      id: item.id,
+      title: item.title,
+      url: item.url,
+      folderPath: item.folderPath,
+      location: 'local',
+    }));
+
+  const { [CLOUD_URL_INDEX_STORAGE_KEY]: cloudOnly = [] } = await browser.storage.local.get(
+    CLOUD_URL_INDEX_STORAGE_KEY
+  );
+  const cloud = cloudOnly
+    .filter((entry) => getUrlVariantKey(entry.url) === key)
+    .map((entry) => ({ id: null, ...entry, location: 'cloud' }));
+
+  return [...local, ...cloud];
+}
+
+/**
+ * Get the duplicate warnings the user hasn't acted on, newest first
+ * @returns {Promise<Array>}
+ */
+async function getDuplicateWarnings() {
+  const result = await browser.storage.local.get(DUPLICATE_WARNINGS_STORAGE_KEY);
+  return result[DUPLICATE_WARNINGS_STORAGE_KEY] || [];
+}
+
+/**
+ * Store duplicate warnings and count them on the toolbar badge
+ * @param {Array} warnings
+ */
+async function storeDuplicateWarnings(warnings) {
+  await browser.storage.local.set({ [DUPLICATE_WARNINGS_STORAGE_KEY]: warnings });
+  try {
+    await browser.action?.setBadgeBackgroundColor({ color: '#d97706' });
+    await browser.action?.setBadgeText({ text: warnings.length ? String(warnings.length) : '' });
+  } catch (err) {
+    console.warn('[MarkSyncr] Could not update badge:', err);
+  }
+}
+
+/**
+ * Where a copy of a bookmark lives, for warnings
+ * @param {Object} copy - From findBookmarkCopies
+ * @returns {string}
+ */
+function describeBookmarkCopy(copy) {
+  const folder = copy.folderPath ? `in ${copy.folderPath}` : 'in your bookmarks';
+  return copy.location === 'cloud' ? `${folder} on another device` : folder;
+}
+
+/**
+ * Warn when the user bookmarks a page they have already bookmarked, here or on another
+ * device. Opt-in via settings.duplicateGuard: 'badge' counts warnings on the toolbar
+ * icon, 'notification' also shows a notification. The popup lists the warnings with
+ * the actions resolveDuplicateWarning takes.
+ *
+ * @param {string} id - The new bookmark's browser ID
+ * @param {Object} bookmark - The new bookmark
+ * @returns {Promise<Object|null>} - The warning, or null if there was nothing to warn about
+ */
+async function guardAgainstDuplicate(id, bookmark) {
+  try {
+    const { settings } = await browser.storage.local.get('settings');
+    const mode = settings?.duplicateGuard ?? 'off';
+    if (mode === 'off' || !/^https?:/.test(bookmark.url)) {
+      return null;
+    }
+
+    const copies = await findBookmarkCopies(bookmark.url, id);
+    if (copies.length === 0) return null;
+
+    const hasLocalCopy = copies.some((copy) => copy.location === 'local');
+    const browserName = detectBrowser();
+    const warning = {
+      id: `duplicate-${id}`,
+      bookmarkId: id,
+      title: bookmark.title ?? '',
+      url: bookmark.url,
+      copies,
+      // Only Chromium browsers let extensions open their bookmark manager
+      canJump: hasLocalCopy && browserName !== 'firefox' && browserName !== 'safari',
+      canMove: hasLocalCopy,
+      createdAt: Date.now(),
+    };
+
+    const warnings = await getDuplicateWarnings();
+    await storeDuplicateWarnings(
+      [warning, ...warnings.filter((w) => w.bookmarkId !== id)].slice(0, DUPLICATE_WARNING_LIMIT)
+    );
+    console.log(`[MarkSyncr] New bookmark already exists ${describeBookmarkCopy(copies[0])}`);
+
+    if (mode === 'notification') {
+      try {
+        await browser.notifications.create(warning.id, {
+          type: 'basic',
+          iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+          title: 'MarkSyncr: Already bookmarked',
+          message: `${warning.title || warning.url} is already bookmarked ${describeBookmarkCopy(copies[0])}`,
+          // Firefox doesn't support notification buttons; the popup offers the same
+          ...(warning.canMove && browserName !== 'firefox'
+            ? { buttons: [{ title: 'Move it here' }, { title: 'Keep both' }] }
+            : {}),
+        });
+      } catch (notifErr) {
+        console.warn('[MarkSyncr] Could not show notification:', notifErr);
+      }
+    }
+
+    return warning;
+  } catch (err) {
+    console.warn('[MarkSyncr] Failed to check new bookmark for duplicates:', err);
+    return null;
+  }
+}
+
+/**
+ * Act on a duplicate warning:
+ * - 'jump' opens the browser's bookmark manager at the existing copy
+ * - 'move' moves the existing copy to where the new bookmark is, and removes the new one
+ * - 'keep' keeps both
+ * Moving and keeping settle the warning.
+ *
+ * @param {Object} payload
+ * @param {string} payload.warningId
+ * @param {'jump'|'move'|'keep'} payload.action
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function resolveDuplicateWarning({ warningId, action } = {}) {
+  try {
+    const warnings = await getDuplicateWarnings();
+    const warning = warnings.find((w) => w.id === warningId);
+    if (!warning) {
+      return { success: false, error: 'Duplicate warning not found' };
+    }
+    const copy = warning.copies.find((c) => c.location === 'local');
+
+    if (action === 'jump') {
+      if (!warning.canJump) {
+        return { success: false, error: 'This browser cannot open its bookmarks from here' };
+      }
+      const [node] = await browser.bookmarks.get(copy.id);
+      await browser.tabs.create({ url: `chrome://bookmarks/?id=${node.parentId}` });
+      return { success: true };
+    }
+
+    if (action === 'move') {
+      if (!warning.canMove) {
+        return { success: false, error: 'The other copy is on another device' };
+      }
+      const [created] = await browser.bookmarks.get(warning.bookmarkId);
+      await browser.bookmarks.move(copy.id, {
+        parentId: created.parentId,
+        index: created.index,
+      });
+      removedDuplicateIds.add(warning.bookmarkId);
+      await browser.bookmarks.remove(warning.bookmarkId);
+      console.log(`[MarkSyncr] Moved existing bookmark to ${created.parentId}: ${copy.url}`);
+    } else if (action !== 'keep') {
+      return { success: false, error: `Unknown action: ${action}` };
+    }
+
+    await storeDuplicateWarnings(warnings.filter((w) => w.id !== warningId));
+    await browser.notifications?.clear(warningId).catch(() => {});
+    return { success: true };
+  } catch (err) {
+    console.error('[MarkSyncr] Failed to resolve duplicate warning:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Tag names the user gave each bookmark, by URL
+ * @returns {Promise<Object<string, string[]>>}
+ */
+async function getBookmarkTags() {
+  const result = await browser.storage.local.get(BOOKMARK_TAGS_STORAGE_KEY);
+  return result[BOOKMARK_TAGS_STORAGE_KEY] || {};
+}
+
+/**
+ * The account's tags with their aliases, and the last tag rename this browser applied
+ * @returns {Promise<{tags: Array<{name: string, aliases: string[]}>, cursor: number}>}
+ */
+async function getTagSyncState() {
+  const result = await browser.storage.local.get(TAG_SYNC_STORAGE_KEY);
+  return result[TAG_SYNC_STORAGE_KEY] || { tags: [], cursor: 0 };
+}
+
+/**
+ * Tag names with aliases replaced by the tags they stand for, so tagging "js"
+ * after js was renamed to javascript tags "javascript"
+ * @param {Array<string|{name: string}>} tags - Tag names or tag objects
+ * @returns {Promise<string[]>}
+ */
+async function resolveTagNames(tags) {
+  const { tags: known } = await getTagSyncState();
+  return resolveTagAliases(tags, known);
+}
+
+/**
+ * Set the tags of the bookmarks with a URL; no tags forgets the URL
+ * @param {string} url
+ * @param {Array<string|{name: string}>} tags - Tag names or tag objects
+ */
+async function setBookmarkTags(url, tags) {
+  const tagsByUrl = await getBookmarkTags();
+  const names = await resolveTagNames(tags);
+  if (names.length > 0) {
+    tagsByUrl[url] = names;
+  } else {
+    delete tagsByUrl[url];
+  }
+  await browser.storage.local.set({ [BOOKMARK_TAGS_STORAGE_KEY]: tagsByUrl });
+}
+
+/**
+ * Save the tags the user picked for a bookmark
+ * @param {Object} payload
+ * @param {string} [payload.bookmarkId] - Browser ID
+ * @param {string} [payload.url] - Instead of an ID, for a page about to be bookmarked,
+ *   so rules that match on tags see them when the bookmark is created
+ * @param {Array<string|{name: string}>} payload.tags
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function updateBookmarkTags({ bookmarkId, url, tags } = {}) {
+  try {
+    if (!bookmarkId && url) {
+      await setBookmarkTags(url, tags);
+      return { success: true };
+    }
+    const [node] = await browser.bookmarks.get(bookmarkId);
+    if (!node?.url) {
+      return { success: false, error: 'Bookmark not found' };
+    }
+    await setBookmarkTags(node.url, tags);
+    return { success: true };
+  } catch (err) {
+    console.error('[MarkSyncr] Failed to save bookmark tags:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Add tags to many bookmarks at once, keeping the tags they already have
+ * @param {Object} payload
+ * @param {Array<{url: string, tags: string[]}>} payload.assignments
+ * @returns {Promise<{success: boolean, tagged?: number, error?: string}>}
+ */
+async function tagBookmarks({ assignments } = {}) {
+  try {
+    const tagsByUrl = await getBookmarkTags();
+    let tagged = 0;
+    for (const { url, tags } of assignments || []) {
+      const names = await resolveTagNames(
+        (tags || []).filter((name) => typeof name === 'string' && name.trim())
+      );
+      if (!url || names.length === 0) continue;
+      tagsByUrl[url] = [...new Set([...(tagsByUrl[url] || []), ...names])];
+      tagged++;
+    }
+    await browser.storage.local.set({ [BOOKMARK_TAGS_STORAGE_KEY]: tagsByUrl });
+    return { success: true, tagged };
+  } catch (err) {
+    console.error('[MarkSyncr] Failed to tag bookmarks:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Replay the tag renames made in the account since this browser last synced (see
+ * PATCH /api/tags/[tagId]) over its bookmark tags and organize rules, and keep the
+ * account's tags for resolving aliases
+ * @returns {Promise<{success: boolean, renamed?: number, error?: string}>} - renamed
+ *   counts the bookmarks whose tags changed
+ */
+async function syncTagRenamesFromCloud() {
+  try {
+    if (!(await getAccessToken())) {
+      return { success: true, renamed: 0 };
+    }
+
+    const state = await getTagSyncState();
+    const response = await apiRequest(`/api/tags/sync?after=${state.cursor}`);
+    if (!response.ok) {
+      return { success: false, error: 'Failed to fetch tag renames' };
+    }
+    const { tags = [], renames = [], cursor = state.cursor } = await response.json();
+
+    let renamed = 0;
+    if (renames.length > 0) {
+      const result = applyTagRenames(await getBookmarkTags(), renames);
+      renamed = result.changed;
+      if (renamed > 0) {
+        await browser.storage.local.set({ [BOOKMARK_TAGS_STORAGE_KEY]: result.tagsByUrl });
+      }
+
+      const local = await getOrganizeRules();
+      const { rules, changed } = renameRuleTags(local.rules, renames);
+      if (changed) {
+        const stored = { rules, updatedAt: Date.now() };
+        await browser.storage.local.set({ [ORGANIZE_RULES_STORAGE_KEY]: stored });
+        await pushOrganizeRulesToCloud(stored);
+      }
+    }
+
+    await browser.storage.local.set({ [TAG_SYNC_STORAGE_KEY]: { tags, cursor } });
+    return { success: true, renamed };
+  } catch (err) {
+    console.warn('[MarkSyncr] Failed to sync tag renames:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get the user's auto-organize rules
+ * @returns {Promise<{rules: Array, updatedAt: number}>}
+ */
+async function getOrganizeRules() {
+  const result = await browser.storage.local.get(ORGANIZE_RULES_STORAGE_KEY);
+  return result[ORGANIZE_RULES_STORAGE_KEY] || { rules: [], updatedAt: 0 };
+}
+
+/**
+ * Write the rules into the user's settings on the server, keeping their other settings
+ * @param {{rules: Array, updatedAt: number}} stored
+ * @returns {Promise<boolean>} - True if the server has them
+ */
+async function pushOrganizeRulesToCloud({ rules, updatedAt }) {
+  try {
+    if (!(await getAccessToken())) return false;
+
+    const response = await apiRequest('/api/settings');
+    if (!response.ok) return false;
+    const { settings } = await response.json();
+
+    const saved = await apiRequest('/api/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ settings: { ...settings, rules, rulesUpdatedAt: updatedAt } }),
+    });
+    return saved.ok;
+  } catch (err) {
+    console.warn('[MarkSyncr] Failed to save organize rules to the cloud:', err);
+    return false;
+  }
+}
+
+/**
+ * Bring this browser's rules and the account's in line: whichever were saved last
+ * win, so rules edited on one device reach the others on their next sync.
+ * @returns {Promise<{success: boolean, rules?: Array, error?: string}>}
+ */
+async function syncOrganizeRulesFromCloud() {
+  try {
+    const local = await getOrganizeRules();
+    if (!(await getAccessToken())) {
+      return { success: true, rules: local.rules };
+    }
+
+    const response = await apiRequest('/api/settings');
+    if (!response.ok) {
+      return { success: false, error: 'Failed to fetch settings' };
+    }
+    const { settings } = await response.json();
+    const cloudUpdatedAt = settings?.rulesUpdatedAt ?? 0;
+
+    if (Array.isArray(settings?.rules) && cloudUpdatedAt > local.updatedAt) {
+      const { valid, errors } = validateRules(settings.rules);
+      if (!valid) {
+        return { success: false, error: `Invalid rules in the cloud: ${errors.join(', ')}` };
+      }
+      const stored = { rules: settings.rules, updatedAt: cloudUpdatedAt };
+      await browser.storage.local.set({ [ORGANIZE_RULES_STORAGE_KEY]: stored });
+      return { success: true, rules: stored.rules };
+    }
+
+    if (local.updatedAt > cloudUpdatedAt) {
+      await pushOrganizeRulesToCloud(local);
+    }
+    return { success: true, rules: local.rules };
+  } catch (err) {
+    console.warn('[MarkSyncr] Failed to sync organize rules:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Save the user's auto-organize rules, here and in their account
+ * @param {Object} payload
+ * @param {Array} payload.rules
+ * @returns {Promise<{success: boolean, rules?: Array, synced?: boolean, error?: string}>}
+ */
+async function saveOrganizeRules({ rules } = {}) {
+  const { valid, errors } = validateRules(rules);
+  if (!valid) {
+    return { success: false, error: errors.join(', ') };
+  }
+
+  const stored = { rules, updatedAt: Date.now() };
+  await browser.storage.local.set({ [ORGANIZE_RULES_STORAGE_KEY]: stored });
+  const synced = await pushOrganizeRulesToCloud(stored);
+  return { success: true, rules, synced };
+}
+
+/**
+ * The browser's bookmarks as a BookmarkData tree, with browser IDs and the user's tags,
+ * for running rules over the whole library. Mobile bookmarks are left out, as in sync.
+ * @returns {Promise<{library: Object, rootTitles: Object<string, string>}>} The tree,
+ *   and the browser's name for each root
+ */
+async function getRulesLibrary() {
+  const tree = await browser.bookmarks.getTree();
+  const tagsByUrl = await getBookmarkTags();
+  const library = {};
+  const rootTitles = {};
+
+  const convert = (node) =>
+    node.url
+      ? {
+          id: node.id,
+          type: 'bookmark',
+          title: node.title ?? '',
+          url: node.url,
+          tags: tagsByUrl[node.url] || [],
+        }
+      : {
+          id: node.id,
+          type: 'folder',
+          title: node.title ?? '',
+          children: (node.children || []).map(convert),
+        };
+
+  for (const root of tree[0]?.children || []) {
+    const [key] = normalizeRootPath(root.title).split('/');
+    if (!['toolbar', 'menu', 'other'].includes(key) || library[key]) continue;
+    library[key] = { ...convert(root), title: key };
+    rootTitles[key] = root.title;
+  }
+
+  return { library, rootTitles };
+}
+
+/**
+ * Turn a rules folder path (toolbar/Dev) into one the browser shows (Bookmarks Bar/Dev)
+ * @param {string} folderPath
+ * @param {Object<string, string>} rootTitles - From getRulesLibrary
+ * @returns {string}
+ */
+function toBrowserFolderPath(folderPath, rootTitles = {}) {
+  const [root, ...rest] = folderPath.split('/');
+  const names = { toolbar: 'Bookmarks Bar', menu: 'Bookmarks Menu', other: 'Other Bookmarks' };
+  return [rootTitles[root] || names[root] || root, ...rest].join('/');
+}
+
+/**
+ * The folder part of a change path, whose last segment is the bookmark's title
+ * @param {string} path
+ * @param {string} title
+ * @returns {string}
+ */
+function getChangeFolder(path, title) {
+  return path.slice(0, path.length - title.length - 1);
+}
+
+/**
+ * Carry out a change planned by the rules: move the bookmark, rename it and set its tags.
+ * The browser reports the move and rename to the bookmark listeners, so the next sync
+ * pushes them.
+ * @param {Object} change - SyncChange with the browser ID in before.id
+ * @param {Object<string, string>} rootTitles
+ */
+async function applyRuleChange({ newPath, before, after }, rootTitles) {
+  if (newPath) {
+    const folder = toBrowserFolderPath(getChangeFolder(newPath, after.title), rootTitles);
+    const parentId = await findOrCreateFolderForBookmark(folder);
+    if (parentId) {
+      await browser.bookmarks.move(before.id, { parentId });
+    }
+  }
+  if (after.title !== before.title) {
+    await browser.bookmarks.update(before.id, { title: after.title });
+  }
+  if (after.tags.join('\n') !== (before.tags || []).join('\n')) {
+    await setBookmarkTags(after.url, after.tags);
+  }
+}
+
+/**
+ * Save a page to the web archive because a rule said so
+ * @param {string} url
+ * @returns {Promise<boolean>} - True if the page was submitted
+ */
+async function archiveRuleBookmark(url) {
+  if (!/^https?:/.test(url) || isArchivedUrl(url)) return false;
+  try {
+    await new WaybackArchiveProvider().submit(url);
+    return true;
+  } catch (err) {
+    console.warn(`[MarkSyncr] Failed to archive ${url}:`, err);
+    return false;
+  }
+}
+
+/**
+ * Describe a planned change for the preview
+ * @param {Object} change - SyncChange from previewRules
+ * @param {Object<string, string>} rootTitles
+ * @returns {Object}
+ */
+function describeRuleChange({ path, newPath, before, after, ruleIds }, rootTitles) {
+  const beforeTags = before.tags || [];
+  return {
+    id: before.id,
+    url: before.url,
+    title: after.title,
+    previousTitle: after.title !== before.title ? before.title : null,
+    folder: toBrowserFolderPath(getChangeFolder(path, before.title), rootTitles),
+    newFolder: newPath
+      ? toBrowserFolderPath(getChangeFolder(newPath, after.title), rootTitles)
+      : null,
+    addedTags: after.tags.filter((tag) => !beforeTags.includes(tag)),
+    removedTags: beforeTags.filter((tag) => !after.tags.includes(tag)),
+    ruleIds,
+  };
+}
+
+/**
+ * Run auto-organize rules over the whole library. A dry run only previews what the
+ * rules would do; the preview is the library after applyChanges, so it shows the
+ * folders the moves would create as well.
+ *
+ * @param {Object} [payload]
+ * @param {boolean} [payload.dryRun] - Preview without changing anything
+ * @param {Array} [payload.rules] - Rules to run instead of the saved ones, e.g. to
+ *   preview rules before saving them
+ * @returns {Promise<Object>} - {success, summary, changes, archive, newFolders} for a
+ *   dry run; {success, summary, applied, failed, archived} otherwise
+ */
+async function runOrganizeRules({ dryRun = false, rules } = {}) {
+  try {
+    if (rules !== undefined) {
+      const { valid, errors } = validateRules(rules);
+      if (!valid) {
+        return { success: false, error: errors.join(', ') };
+      }
+    }
+    const activeRules = rules ?? (await getOrganizeRules()).rules;
+    const { library, rootTitles } = await getRulesLibrary();
+    const { changes, archive, summary, newFolders } = previewRules(library, activeRules);
+
+    if (dryRun) {
+      return {
+        success: true,
+        summary,
+        changes: changes.map((change) => describeRuleChange(change, rootTitles)),
+        archive: archive.map(({ id, title, url }) => ({ id, title, url })),
+        newFolders: newFolders.map((folder) => toBrowserFolderPath(folder, rootTitles)),
+      };
+    }
+
+    let applied = 0;
+    let failed = 0;
+    for (const change of changes) {
       try {
-        const foldersToMark = new Set([moveInfo.parentId]);
-        if (moveInfo.oldParentId && moveInfo.oldParentId !== moveInfo.parentId) {
-          foldersToMark.add(moveInfo.oldParentId);
-        }
-        for (const folderId of foldersToMark) {
-          const children = await browser.bookmarks.getChildren(folderId);
-          for (const child of children) {
-            locallyModifiedBookmarkIds.add(child.id);
-          }
-        }
-        console.log(
-          `[MarkSyncr] Tracked ${foldersToMark.size} folder(s) with all siblings as locally modified`
-        );
-
-        // CRITICAL: When a FOLDER is moved, the bookmarks inside it change their
-        // effective folderPath, but don't fire individual onMoved events. We must
-        // recursively mark all descendants as locally modified so the sync doesn't
-        // move them back to the cloud's old folder path.
-        const movedNodes = await browser.bookmarks.getSubTree(id);
-        if (movedNodes[0]?.children) {
-          let descendantCount = 0;
-          const markDescendants = (nodes) => {
-            for (const node of nodes) {
-              locallyModifiedBookmarkIds.add(node.id);
-              descendantCount++;
-              if (node.children) {
-                markDescendants(node.children);
-              }
-            }
-          };
-          markDescendants(movedNodes[0].children);
-          if (descendantCount > 0) {
-            console.log(
-              `[MarkSyncr] Tracked ${descendantCount} descendants of moved folder as locally modified`
-            );
-          }
-        }
+        await applyRuleChange(change, rootTitles);
+        applied++;
       } catch (err) {
-        console.warn('[MarkSyncr] Failed to mark siblings as modified:', err.message);
+        console.warn(`[MarkSyncr] Failed to organize ${change.before.url}:`, err);
+        failed++;
       }
-
-      debouncedSaveLocallyModifiedIds();
     }
 
-    // Skip during sync operations to prevent sync loops
-    // BUT mark that we need a follow-up sync after current sync completes
-    if (isSyncInProgress || isForcePullInProgress) {
-      console.log('[MarkSyncr] Queuing pending sync (bookmark moved during sync)');
-      pendingSyncNeeded = true;
-      pendingSyncReasons.push('bookmark-moved-during-sync');
-      return;
+    let archived = 0;
+    for (const item of archive) {
+      if (await archiveRuleBookmark(item.url)) archived++;
     }
 
-    console.log(`[MarkSyncr] Tracked locally moved bookmark: ${id}`);
-  });
+    console.log(
+      `[MarkSyncr] Organize rules: ${applied} changed, ${failed} failed, ${archived} archived`
+    );
+    return { success: true, summary, applied, failed, archived };
+  } catch (err) {
+    console.error('[MarkSyncr] Failed to run organize rules:', err);
+    return { success: false, error: err.message };
+  }
 }
 
 /**
- * Add tombstones for all bookmarks in a folder (recursive)
- * @param {object} folder - Folder node with children
+ * Run the user's auto-organize rules on a bookmark they just created
+ * @param {string} id - The new bookmark's browser ID
+ * @param {Object} bookmark - The new bookmark
+ * @returns {Promise<Object|null>} - What the rules did, or null if none matched
  */
-async function addTombstonesForFolder(folder) {
-  if (!folder.children) return;
-
-  for (const child of folder.children) {
-    if (child.url) {
-      await addTombstone(child.url);
-    } else if (child.children) {
-      await addTombstonesForFolder(child);
+async function organizeNewBookmark(id, bookmark) {
+  try {
+    const { rules } = await getOrganizeRules();
+    if (!rules.some((rule) => rule.enabled !== false)) return null;
+
+    const folderPath = normalizeRootPath(await getBookmarkFolderPath(bookmark.parentId));
+    const title = bookmark.title ?? '';
+    const tags = (await getBookmarkTags())[bookmark.url] || [];
+    const result = applyRulesToBookmark({ url: bookmark.url, title, folderPath, tags }, rules);
+    if (result.ruleIds.length === 0) return null;
+
+    if (result.changed) {
+      const { folderPath: newFolder, title: newTitle } = result.bookmark;
+      await applyRuleChange({
+        newPath: newFolder !== folderPath ? `${newFolder}/${newTitle}` : undefined,
+        before: { id, url: bookmark.url, title, tags },
+        after: { id, url: bookmark.url, title: newTitle, tags: result.bookmark.tags },
+      });
+    }
+    if (result.archive) {
+      await archiveRuleBookmark(bookmark.url);
     }
+
+    console.log(`[MarkSyncr] Organized new bookmark by rules ${result.ruleIds.join(', ')}`);
+    return result;
+  } catch (err) {
+    console.warn('[MarkSyncr] Failed to organize new bookmark:', err);
+    return null;
   }
 }
 
 /**
- * Flatten bookmark tree to array for API sync
- * Now includes BOTH bookmarks AND folders with their index for complete ordering
+ * Apply the value chosen for a conflict to the local bookmark or folder.
+ * The change goes through the regular bookmark listeners, so it is tracked as a
+ * local modification and pushed by the next sync.
  *
- * @param {Array} tree - Browser bookmark tree
- * @returns {Array} - Flat array of bookmarks AND folders with ordering information
+ * @param {Object} conflict - Resolved conflict record, keyed by flat item key
+ * @returns {Promise<boolean>} - True if the local bookmark was changed
  */
-function flattenBookmarkTree(tree) {
-  const items = [];
+async function applyResolvedConflict(conflict) {
+  const localByKey = indexFlatItems(flattenBookmarkTree(await browser.bookmarks.getTree()));
+  const item = localByKey.get(conflict.bookmarkId);
+  if (!item) return false;
+
+  if (conflict.field === MERGE_FIELD.TITLE) {
+    if (item.title === conflict.resolvedValue) return false;
+    await browser.bookmarks.update(item.id, { title: conflict.resolvedValue ?? '' });
+    return true;
+  }
 
-  function traverse(nodes, parentPath = '') {
-    for (let i = 0; i < nodes.length; i++) {
-      const node = nodes[i];
-      const nodeIndex = node.index ?? i;
+  if (conflict.field === MERGE_FIELD.PARENT) {
+    if (normalizeFolderPath(item.folderPath) === normalizeFolderPath(conflict.resolvedValue)) {
+      return false;
+    }
+    const parentId = await findOrCreateFolderForBookmark(conflict.resolvedValue);
+    if (!parentId) return false;
+    await browser.bookmarks.move(item.id, { parentId });
+    return true;
+  }
 
-      if (node.url) {
-        // It's a bookmark
-        items.push({
-          type: 'bookmark',
-          id: node.id,
-          url: node.url,
-          // Preserve empty titles - don't replace with URL
-          title: node.title ?? '',
-          folderPath: parentPath,
-          dateAdded: node.dateAdded,
-          // Track the index within the parent folder for ordering
-          index: nodeIndex,
-        });
-      } else if (node.children) {
-        // It's a folder - add folder metadata
-        const folderPath = node.title
-          ? parentPath
-            ? `${parentPath}/${node.title}`
-            : node.title
-          : parentPath;
+  if (conflict.field === MERGE_FIELD.POSITION) {
+    // The value is the sibling the item comes after, or null for the first place
+    const anchor = conflict.resolvedValue ? localByKey.get(conflict.resolvedValue) : null;
+    if (conflict.resolvedValue && anchor?.folderPath !== item.folderPath) return false;
+    const index = anchor ? anchor.index + 1 : 0;
+    if (index === item.index) return false;
+    await browser.bookmarks.move(item.id, { index });
+    return true;
+  }
 
-        // Only add folder entry if:
-        // 1. It has a title (skip root nodes without titles)
-        // 2. It's NOT a root-level folder (parentPath is not empty)
-        // Root folders like "Bookmarks Bar", "Other Bookmarks" already exist in the browser
-        // and shouldn't be recreated during sync
-        if (node.title && parentPath) {
-          items.push({
-            type: 'folder',
-            id: node.id,
-            title: node.title,
-            folderPath: parentPath, // Parent path (where this folder lives)
-            dateAdded: node.dateAdded,
-            index: nodeIndex,
-          });
-        }
+  if (conflict.field === MERGE_FIELD.DELETED) {
+    if (conflict.resolvedValue !== true) return false;
+    if (item.type === 'folder') {
+      await browser.bookmarks.removeTree(item.id);
+    } else {
+      await browser.bookmarks.remove(item.id);
+    }
+    return true;
+  }
 
-        // Recurse into children
-        traverse(node.children, folderPath);
-      }
+  return false;
+}
+
+/**
+ * Resolve a sync conflict with the local, remote or an edited value
+ * @param {Object} params
+ * @param {string} params.id - Conflict record ID
+ * @param {string} params.resolution - 'local', 'remote' or 'merged'
+ * @param {*} [params.value] - Edited value for a merged resolution
+ * @returns {Promise<{success: boolean, conflict?: Object, error?: string}>}
+ */
+async function resolveSyncConflict({ id, resolution, value } = {}) {
+  try {
+    const response = await apiRequest('/api/conflicts', {
+      method: 'PATCH',
+      body: JSON.stringify({ id, resolution, value }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      return { success: false, error: data.error || 'Failed to resolve conflict' };
+    }
+
+    const applied = await applyResolvedConflict(data.conflict);
+    if (applied) {
+      console.log(`[MarkSyncr] Applied ${resolution} value for conflict ${id}, syncing...`);
+      performSync().catch((err) => console.error('[MarkSyncr] Post-resolution sync failed:', err));
     }
+
+    return { success: true, conflict: data.conflict, applied };
+  } catch (err) {
+    console.error('[MarkSyncr] Failed to resolve conflict:', err);
+    return { success: false, error: err.message };
   }
+}
 
-  traverse(tree);
-  return items;
+/**
+ * Run an encryption action from the options page. When the action changes the key the
+ * cloud bookmarks should be encrypted with, a sync follows to re-encrypt them; if that
+ * sync fails, later syncs retry it.
+ * @param {Function} action - Does the keyring work and returns extra response fields
+ * @param {Object} [options]
+ * @param {boolean} [options.reseal] - Whether the action changed the key
+ * @returns {Promise<{success: boolean, error?: string, code?: string, resealed?: boolean}>}
+ */
+async function runEncryptionAction(action, { reseal = false } = {}) {
+  if (reseal && isSyncInProgress) {
+    return {
+      success: false,
+      error: 'Another sync operation is in progress. Please wait and try again.',
+    };
+  }
+
+  let result;
+  try {
+    result = await action();
+  } catch (err) {
+    console.error('[MarkSyncr] Encryption action failed:', err);
+    return { success: false, error: err.message, code: err.code };
+  }
+
+  if (!reseal) return { success: true, ...result };
+
+  const syncResult = await performSync();
+  if (!syncResult.success) {
+    console.warn('[MarkSyncr] Re-encrypting cloud bookmarks failed:', syncResult.error);
+  }
+  return {
+    success: true,
+    ...result,
+    resealed: syncResult.success,
+    ...(!syncResult.success && { warning: syncResult.error }),
+  };
 }
 
 /**
  * Perform bookmark sync (two-way: pull from cloud, merge, push back, with tombstone support)
+ *
+ * If another browser pushes between our fetch and our push, the server rejects the
+ * push and the sync runs again against the new cloud state, up to
+ * MAX_VERSION_CONFLICT_ATTEMPTS times. Team shared folders, organize rules and tag
+ * renames sync after a successful pass.
  * @param {string} [sourceId] - Optional specific source to sync with
  * @returns {Promise<{success: boolean, stats?: object, error?: string}>}
  */
 async function performSync(sourceId) {
+  let result;
+
+  for (let attempt = 1; attempt <= MAX_VERSION_CONFLICT_ATTEMPTS; attempt++) {
+    result = await performSyncAttempt(sourceId);
+    if (!result.versionConflict) break;
+
+    console.log(
+      `[MarkSyncr] Cloud changed during sync (attempt ${attempt}/${MAX_VERSION_CONFLICT_ATTEMPTS}), merging again`
+    );
+  }
+
+  if (result.success) {
+    result.sharedFolders = await syncSharedFolders();
+    result.organizeRules = await syncOrganizeRulesFromCloud();
+    // After the rules, so renamed rules are written over the latest ones
+    result.tagRenames = await syncTagRenamesFromCloud();
+  }
+  return result;
+}
+
+/**
+ * Run one sync pass
+ * @param {string} [sourceId] - Optional specific source to sync with
+ * @returns {Promise<{success: boolean, stats?: object, error?: string, versionConflict?: boolean}>}
+ */
+async function performSyncAttempt(sourceId) {
   console.log('[MarkSyncr] performSync called with sourceId:', sourceId);
 
   // Prevent concurrent syncs and sync loops
@@ -1671,8 +3558,11 @@ async function performSync(sourceId) {
       const userModifiedIdsSnapshot = new Set(locallyModifiedBookmarkIds);
 
       // Step 1: Get current local bookmarks and tombstones
+      // With selective sync rules, everything below works on this device's view:
+      // folders it doesn't sync are never pushed, deleted or recreated here.
+      const syncFilter = await getSyncFilter();
       const bookmarkTree = await browser.bookmarks.getTree();
-      const localFlat = flattenBookmarkTree(bookmarkTree);
+      const localFlat = getSyncView(flattenBookmarkTree(bookmarkTree), syncFilter);
       const localTombstones = await getTombstones();
       console.log(`[MarkSyncr] Local bookmarks: ${localFlat.length}`);
       console.log(`[MarkSyncr] Local tombstones: ${localTombstones.length}`);
@@ -1687,9 +3577,15 @@ async function performSync(sourceId) {
 
       // Step 2: Get bookmarks and tombstones from cloud
       console.log('[MarkSyncr] 📥 Fetching cloud bookmarks...');
-      const cloudData = await getBookmarksFromCloud();
-      const cloudBookmarks = cloudData.bookmarks || [];
+      const cloudData = await fetchCloudBookmarks();
+      const allCloudBookmarks = cloudData.bookmarks || [];
+      const cloudBookmarks = getSyncView(allCloudBookmarks, syncFilter);
       const cloudTombstones = cloudData.tombstones || [];
+      await storeCloudUrlIndex(allCloudBookmarks, syncFilter);
+      // Stored checksums are of the view too, so they compare with the local view
+      const cloudChecksum = syncFilter.active
+        ? await generateChecksum(cloudBookmarks)
+        : cloudData.checksum;
       console.log(`[MarkSyncr] 📥 Cloud data received:`);
       console.log(`  - Bookmarks: ${cloudBookmarks.length}`);
       console.log(`  - Tombstones: ${cloudTombstones.length}`);
@@ -1711,14 +3607,38 @@ async function performSync(sourceId) {
       console.log(`[MarkSyncr] Local checksum before pull: ${localChecksumBeforePull}`);
       console.log(`[MarkSyncr] Local changed since last sync: ${localChangedSinceLastSync}`);
 
-      // Simple master-record rule:
+      // If both this browser and the cloud changed since the last successful sync,
+      // merge the two against the bookmarks as of that sync, so changes made on
+      // either side are kept. The merged list is then pulled like the server master.
+      const cloudChangedSinceLastSync =
+        !!cloudChecksum && cloudChecksum !== lastSyncedCloudChecksum;
+      const syncBase =
+        localChangedSinceLastSync && cloudChangedSinceLastSync ? await getSyncBase() : [];
+      // Fields changed on both sides keep the cloud value until the user resolves
+      // them, so nothing is pushed over the other side's edit in the meantime.
+      // Items deleted on one side and edited on the other keep the edited copy.
+      const merge =
+        syncBase.length > 0
+          ? mergeFlatItems(syncBase, localFlat, cloudBookmarks, {
+              strategy: CONFLICT_RESOLUTION.REMOTE,
+            })
+          : null;
+      const conflictCount = merge ? await reportSyncConflicts(merge.conflicts, localFlat) : 0;
+
+      // The merge already holds the local changes, so none of them are protected
+      // from the merged list below
+      const pullTarget = merge ? merge.merged : cloudBookmarks;
+      const protectedIds = merge ? new Set() : userModifiedIdsSnapshot;
+      const mergedUrls = new Set(merge ? merge.merged.filter((b) => b.url).map((b) => b.url) : []);
+
+      // Otherwise, simple master-record rule:
       // - If this browser changed locally since its last successful sync, push the
       //   full local snapshot as the new server master.
       // - Otherwise, pull the server master below.
       //
       // This prevents stale cloud/external copies from being pulled first and
       // resurrecting bookmarks the user just deleted locally.
-      if (localChangedSinceLastSync) {
+      if (localChangedSinceLastSync && !merge) {
         const tombstonesToPush = pruneTombstonesSupersededByBookmarks(
           mergeTombstonesLocal(localTombstones, cloudTombstones),
           localFlat
@@ -1728,10 +3648,16 @@ async function performSync(sourceId) {
         console.log(
           `[MarkSyncr] Local changes detected - pushing ${localFlat.length} bookmarks and ${tombstonesToPush.length} tombstones as server master`
         );
-        const syncResult = await syncBookmarksToCloud(localFlat, detectBrowser(), tombstonesToPush);
+        const pushedFlat = mergeSyncView(localFlat, allCloudBookmarks, syncFilter);
+        const syncResult = await pushBookmarksToCloud(
+          pushedFlat,
+          detectBrowser(),
+          tombstonesToPush,
+          cloudData
+        );
         console.log('[MarkSyncr] Master push result:', syncResult);
 
-        const mergedData = convertBrowserBookmarks(bookmarkTree);
+        const mergedData = syncFilter.active ? pushedFlat : convertBrowserBookmarks(bookmarkTree);
         const stats = countBookmarks(bookmarkTree, localFlat.filter((b) => b.url).length);
 
         try {
@@ -1743,7 +3669,8 @@ async function performSync(sourceId) {
               type: 'master_snapshot_push',
               pushedToCloud: localFlat.filter((b) => b.url).length,
               tombstones: tombstonesToPush.length,
-            }
+            },
+            pushedFlat
           );
           console.log('[MarkSyncr] Version saved:', versionResult);
         } catch (versionErr) {
@@ -1755,7 +3682,10 @@ async function performSync(sourceId) {
           lastSync: new Date(syncTimestamp).toISOString(),
         });
         await storeLastSyncTime(syncTimestamp);
-        await storeLastCloudChecksum(syncResult?.checksum || localChecksumBeforePull);
+        await storeLastCloudChecksum(
+          (!syncFilter.active && syncResult?.checksum) || localChecksumBeforePull
+        );
+        await storeSyncBase(localFlat);
 
         consecutiveSyncFailures = 0;
         lastSyncError = null;
@@ -1785,12 +3715,12 @@ async function performSync(sourceId) {
       // when local storage was cleared but cloud still has old tombstones
       let deletedLocally = 0;
       if (cloudTombstones.length > 0) {
-        // Filter tombstones using the safeguard
+        // Filter tombstones using the safeguard. Bookmarks the merge kept stay.
         const tombstonesToApply = filterTombstonesToApply(
           cloudTombstones,
           localTombstones,
           lastSyncTime
-        );
+        ).filter((tombstone) => !mergedUrls.has(tombstone.url));
 
         if (tombstonesToApply.length > 0) {
           deletedLocally = await applyTombstonesToLocal(tombstonesToApply, localFlat);
@@ -1809,7 +3739,7 @@ async function performSync(sourceId) {
       // onRemoved writes a new tombstone to storage. If we blindly overwrite with
       // mergedTombstones (computed from the old localTombstones read at step 1),
       // the new tombstone is lost and the deletion gets reverted on the next sync.
-      const bookmarkStateForTombstones = [...localFlat, ...cloudBookmarks];
+      const bookmarkStateForTombstones = merge ? merge.merged : [...localFlat, ...cloudBookmarks];
       const mergedTombstones = pruneTombstonesSupersededByBookmarks(
         mergeTombstonesLocal(localTombstones, cloudTombstones),
         bookmarkStateForTombstones
@@ -1824,7 +3754,7 @@ async function performSync(sourceId) {
 
       // Step 5: Get updated local bookmarks after applying tombstones
       const updatedTree = await browser.bookmarks.getTree();
-      const updatedLocalFlat = flattenBookmarkTree(updatedTree);
+      const updatedLocalFlat = getSyncView(flattenBookmarkTree(updatedTree), syncFilter);
 
       // Step 6: Categorize cloud bookmarks into those to add vs update
       // This uses the new categorizeCloudBookmarks function that properly handles:
@@ -1834,10 +3764,10 @@ async function performSync(sourceId) {
       // IMPORTANT: Pass the pre-sync snapshot of locally modified IDs so that
       // sync-driven changes during steps 3-5 don't pollute the check.
       const { toAdd: newFromCloud, toUpdate: bookmarksToUpdate } = categorizeCloudBookmarks(
-        cloudBookmarks,
+        pullTarget,
         updatedLocalFlat,
         safeMergedTombstones,
-        userModifiedIdsSnapshot
+        protectedIds
       );
 
       console.log(`[MarkSyncr] 🔍 New bookmarks from cloud: ${newFromCloud.length}`);
@@ -1898,10 +3828,7 @@ async function performSync(sourceId) {
           console.log(
             `[MarkSyncr] Found ${bookmarksToUpdate.length} bookmarks to update from cloud`
           );
-          updatedLocally = await updateLocalBookmarksFromCloud(
-            bookmarksToUpdate,
-            userModifiedIdsSnapshot
-          );
+          updatedLocally = await updateLocalBookmarksFromCloud(bookmarksToUpdate, protectedIds);
           console.log(`[MarkSyncr] Updated ${updatedLocally} local bookmarks from cloud`);
         }
       } finally {
@@ -1916,7 +3843,7 @@ async function performSync(sourceId) {
       // so earlier moves don't shift later targets).
       isSyncDrivenChange = true;
       try {
-        await reorderLocalToMatchCloud(cloudBookmarks, userModifiedIdsSnapshot);
+        await reorderLocalToMatchCloud(pullTarget, protectedIds);
       } catch (reorderErr) {
         console.warn('[MarkSyncr] Reorder pass failed (non-fatal):', reorderErr.message);
       } finally {
@@ -1925,20 +3852,20 @@ async function performSync(sourceId) {
 
       // Step 8: Get final local bookmarks after all merges
       const finalTree = await browser.bookmarks.getTree();
-      const mergedFlat = flattenBookmarkTree(finalTree);
+      const mergedFlat = getSyncView(flattenBookmarkTree(finalTree), syncFilter);
       safeMergedTombstones = pruneTombstonesSupersededByBookmarks(
         safeMergedTombstones,
         mergedFlat
       );
       await storeTombstones(safeMergedTombstones);
-      const mergedData = convertBrowserBookmarks(finalTree);
+      const pushedFlat = mergeSyncView(mergedFlat, allCloudBookmarks, syncFilter);
+      const mergedData = syncFilter.active ? pushedFlat : convertBrowserBookmarks(finalTree);
       // Pass the merged bookmark count as synced count since we're syncing to cloud
       const stats = countBookmarks(finalTree, mergedFlat.filter((b) => b.url).length);
 
       // Step 8.5: Check if there are any actual changes by comparing checksums
       // Generate checksum of merged bookmarks (same algorithm as server)
       const localChecksum = await generateChecksum(mergedFlat);
-      const cloudChecksum = cloudData.checksum;
 
       console.log(`[MarkSyncr] Local checksum: ${localChecksum}`);
       console.log(`[MarkSyncr] Cloud checksum: ${cloudChecksum}`);
@@ -1947,11 +3874,18 @@ async function performSync(sourceId) {
       // The pushing browser's order is truth. After pull+reorder, if our local
       // state differs from cloud (new local bookmarks, tombstone deletions, etc.),
       // push the current state. Checksum comparison handles this cleanly.
-      const hasLocalChangesToPush = localChecksum !== cloudChecksum;
+      // Cloud data not yet encrypted with this browser's key (encryption turned on, off
+      // or rotated and the re-encrypting push didn't finish) is pushed again as well.
+      const cloudNeedsReseal =
+        (cloudData.encryptionKeyId ?? null) !== ((await getEncryptionKeys())?.keyId ?? null);
+      const hasLocalChangesToPush = localChecksum !== cloudChecksum || cloudNeedsReseal;
 
       // Check if there were any changes during this sync
       const hasChanges =
-        newFromCloud.length > 0 || deletedLocally > 0 || localChecksum !== cloudChecksum;
+        newFromCloud.length > 0 ||
+        deletedLocally > 0 ||
+        localChecksum !== cloudChecksum ||
+        cloudNeedsReseal;
 
       console.log(
         `[MarkSyncr] Has changes: ${hasChanges}, Has local changes to push: ${hasLocalChangesToPush}`
@@ -1969,6 +3903,7 @@ async function performSync(sourceId) {
 
         // Store the cloud checksum for future reference
         await storeLastCloudChecksum(cloudChecksum);
+        await storeSyncBase(mergedFlat);
 
         // Reset failure count on success (even skipped syncs are successful)
         consecutiveSyncFailures = 0;
@@ -2010,7 +3945,12 @@ async function performSync(sourceId) {
         console.log(
           `[MarkSyncr] Pushing ${mergedFlat.length} merged bookmarks and ${safeMergedTombstones.length} tombstones to cloud...`
         );
-        syncResult = await syncBookmarksToCloud(mergedFlat, detectBrowser(), safeMergedTombstones);
+        syncResult = await pushBookmarksToCloud(
+          pushedFlat,
+          detectBrowser(),
+          safeMergedTombstones,
+          cloudData
+        );
         console.log('[MarkSyncr] Cloud sync result:', syncResult);
       } else {
         console.log(
@@ -2020,11 +3960,12 @@ async function performSync(sourceId) {
 
       // Store the new checksum
       if (syncResult?.checksum) {
-        await storeLastCloudChecksum(syncResult.checksum);
+        await storeLastCloudChecksum(syncFilter.active ? localChecksum : syncResult.checksum);
       } else if (cloudChecksum) {
         // Pull-only: store the cloud checksum so next sync knows we're in sync
         await storeLastCloudChecksum(cloudChecksum);
       }
+      await storeSyncBase(mergedFlat);
 
       // Step 10: Save version history ONLY when we have local changes being pushed to cloud
       // This prevents version history from being cluttered with "pull-only" syncs
@@ -2043,7 +3984,8 @@ async function performSync(sourceId) {
               deletedLocally,
               pushedToCloud: localAdditions.length,
               tombstones: safeMergedTombstones.length,
-            }
+            },
+            pushedFlat
           );
           console.log('[MarkSyncr] Version saved:', versionResult);
         } catch (versionErr) {
@@ -2091,8 +4033,22 @@ async function performSync(sourceId) {
         updatedLocally,
         deletedLocally,
         pushedToCloud: localAdditions.length,
+        conflicts: conflictCount,
       };
     } catch (cloudErr) {
+      // Not a failure: the caller merges with the newer cloud state and retries
+      if (cloudErr instanceof CloudVersionConflictError) {
+        console.warn('[MarkSyncr] Push rejected, cloud changed since fetch:', cloudErr.message);
+        return { success: false, error: cloudErr.message, versionConflict: true };
+      }
+
+      // Not a failure either: syncing resumes once the user unlocks encryption
+      if (cloudErr instanceof EncryptionLockedError) {
+        console.warn('[MarkSyncr] Sync paused:', cloudErr.message);
+        lastSyncError = cloudErr.message;
+        return { success: false, error: cloudErr.message, encryptionLocked: true };
+      }
+
       console.error('[MarkSyncr] Cloud sync failed:', cloudErr);
       consecutiveSyncFailures++;
       lastSyncError = cloudErr.message;
@@ -3059,11 +5015,20 @@ async function forcePush() {
     }
 
     // Get current bookmarks from browser
+    const syncFilter = await getSyncFilter();
     const bookmarkTree = await browser.bookmarks.getTree();
-    const bookmarkData = convertBrowserBookmarks(bookmarkTree);
-    const flatBookmarks = flattenBookmarkTree(bookmarkTree);
+    const localView = getSyncView(flattenBookmarkTree(bookmarkTree), syncFilter);
+    // Folders this device doesn't sync are overwritten with themselves, not dropped
+    const flatBookmarks = syncFilter.active
+      ? mergeSyncView(
+          localView,
+          (await openCloudData(await getBookmarksFromCloud())).bookmarks || [],
+          syncFilter
+        )
+      : localView;
+    const bookmarkData = syncFilter.active ? flatBookmarks : convertBrowserBookmarks(bookmarkTree);
     // Pass the bookmark count as synced count since we're pushing all to cloud
-    const stats = countBookmarks(bookmarkTree, flatBookmarks.filter((b) => b.url).length);
+    const stats = countBookmarks(bookmarkTree, localView.filter((b) => b.url).length);
 
     // Get current local tombstones to push alongside bookmarks
     // Force push should include tombstones so the cloud knows about deletions
@@ -3080,7 +5045,8 @@ async function forcePush() {
         bookmarkData,
         detectBrowser(),
         `${detectBrowser()}-extension`,
-        { type: 'force_push', description: 'Force pushed from browser' }
+        { type: 'force_push', description: 'Force pushed from browser' },
+        flatBookmarks
       );
       console.log('[MarkSyncr] Force push version saved:', versionResult);
     } catch (versionErr) {
@@ -3097,7 +5063,9 @@ async function forcePush() {
 
     // Store the cloud checksum so the next performSync knows the baseline
     if (syncResult?.checksum) {
-      await storeLastCloudChecksum(syncResult.checksum);
+      await storeLastCloudChecksum(
+        syncFilter.active ? await generateChecksum(localView) : syncResult.checksum
+      );
     }
 
     // Clear locally modified tracking — force push overwrites cloud, so everything is in sync
@@ -3157,7 +5125,7 @@ async function forcePull() {
     // Get bookmarks from cloud_bookmarks (the authoritative source)
     // NOT from version history, which might have older data
     console.log('[MarkSyncr] Force Pull: Fetching bookmarks from cloud_bookmarks...');
-    const cloudData = await getBookmarksFromCloud();
+    const cloudData = await openCloudData(await getBookmarksFromCloud());
 
     if (!cloudData || !cloudData.bookmarks || cloudData.bookmarks.length === 0) {
       return {
@@ -3166,7 +5134,8 @@ async function forcePull() {
       };
     }
 
-    const cloudBookmarksFlat = cloudData.bookmarks;
+    const syncFilter = await getSyncFilter();
+    const cloudBookmarksFlat = getSyncView(cloudData.bookmarks, syncFilter);
     const browserType = detectBrowser();
     console.log(`[MarkSyncr] Force Pull: browser=${browserType}`);
     console.log(
@@ -3231,6 +5200,12 @@ async function forcePull() {
             `[MarkSyncr] Force Pull: Clearing ${children.length} items from ${rootKey} (${rootFolder.title})`
           );
 
+          if (syncFilter.active) {
+            // Leave the folders this device doesn't sync in place
+            await removeSyncedBookmarks(rootFolder.id, rootFolder.title, syncFilter);
+            continue;
+          }
+
           for (const child of children) {
             try {
               await browser.bookmarks.removeTree(child.id);
@@ -3298,17 +5273,23 @@ async function forcePull() {
       try {
         console.log('[MarkSyncr] Force Pull: Syncing pulled bookmarks to cloud_bookmarks...');
         const finalTree = await browser.bookmarks.getTree();
-        const finalFlat = flattenBookmarkTree(finalTree);
+        const finalFlat = getSyncView(flattenBookmarkTree(finalTree), syncFilter);
 
         // Clear tombstones since we just did a full replacement
         const emptyTombstones = [];
 
-        const syncResult = await syncBookmarksToCloud(finalFlat, detectBrowser(), emptyTombstones);
+        const syncResult = await syncBookmarksToCloud(
+          mergeSyncView(finalFlat, cloudData.bookmarks, syncFilter),
+          detectBrowser(),
+          emptyTombstones
+        );
         console.log('[MarkSyncr] Force Pull: cloud_bookmarks updated:', syncResult);
 
         // Store the new checksum so next sync knows we're in sync
         if (syncResult.checksum) {
-          await storeLastCloudChecksum(syncResult.checksum);
+          await storeLastCloudChecksum(
+            syncFilter.active ? await generateChecksum(finalFlat) : syncResult.checksum
+          );
           console.log('[MarkSyncr] Force Pull: Stored cloud checksum:', syncResult.checksum);
         }
 
@@ -3340,6 +5321,36 @@ async function forcePull() {
   }
 }
 
+/**
+ * Remove the bookmarks and folders of a folder that this device syncs, keeping the
+ * ones it doesn't (and the folders leading to them)
+ * @param {string} parentId - Browser folder ID
+ * @param {string} parentPath - Path of the folder, e.g. "Bookmarks Bar/Work"
+ * @param {object} syncFilter - Selective sync filter
+ */
+async function removeSyncedBookmarks(parentId, parentPath, syncFilter) {
+  for (const child of await browser.bookmarks.getChildren(parentId)) {
+    const item = child.url
+      ? { type: 'bookmark', folderPath: parentPath }
+      : { type: 'folder', folderPath: parentPath, title: child.title };
+    if (!syncFilter.isItemSynced(item)) continue;
+
+    try {
+      if (child.url) {
+        await browser.bookmarks.remove(child.id);
+        continue;
+      }
+      const folderPath = `${parentPath}/${child.title}`;
+      await removeSyncedBookmarks(child.id, folderPath, syncFilter);
+      if ((await browser.bookmarks.getChildren(child.id)).length === 0) {
+        await browser.bookmarks.remove(child.id);
+      }
+    } catch (err) {
+      console.warn('[MarkSyncr] Failed to remove bookmark:', child.id, err);
+    }
+  }
+}
+
 /**
  * Recreate bookmarks from cloud data
  * @param {string} parentId - Parent folder ID
@@ -3402,8 +5413,8 @@ async function connectSource(sourceId) {
   try {
     console.log(`[MarkSyncr] Connecting to source: ${sourceId}`);
 
-    // 3rd party OAuth sources must be connected via the web app dashboard
-    const oauthSources = ['github', 'dropbox', 'google-drive'];
+    // 3rd party sources (OAuth, or credentials for WebDAV, S3 and git forges) are connected via the web dashboard
+    const oauthSources = ['github', 'dropbox', 'google-drive', 'webdav', 's3', 'git-forge'];
 
     if (oauthSources.includes(sourceId)) {
       // Direct user to web app dashboard to connect
@@ -3455,10 +5466,12 @@ async function refreshConnectedSources() {
       return { success: false, error: 'Not authenticated' };
     }
 
+    const collectionId = await getSelectedCollection();
     const response = await fetch(`${baseUrl}/api/sources`, {
       headers: {
         Authorization: `Bearer ${token}`,
         Accept: 'application/json',
+        ...(collectionId && { 'X-MarkSyncr-Collection': collectionId }),
       },
     });
 
@@ -3615,6 +5628,91 @@ browser.runtime.onMessage.addListener((message, sender) => {
       lastSyncError = null;
       return Promise.resolve({ success: true, message: 'Sync state force reset' });
 
+    case 'GET_SYNC_PROFILE':
+      return getSyncProfile().then((syncProfile) => ({ success: true, syncProfile }));
+
+    case 'SET_SYNC_PROFILE':
+      return updateSyncProfile(message.payload?.syncProfile ?? null);
+
+    case 'GET_COLLECTIONS':
+      return getCollections();
+
+    case 'CREATE_COLLECTION':
+      return createCollection(message.payload?.name);
+
+    case 'SET_COLLECTION':
+      return selectCollection(message.payload?.collectionId ?? null);
+
+    case 'GET_CONFLICTS':
+      return getConflicts();
+
+    case 'RESOLVE_CONFLICT':
+      return resolveSyncConflict(message.payload);
+
+    case 'GET_DUPLICATE_WARNINGS':
+      return getDuplicateWarnings().then((warnings) => ({ success: true, warnings }));
+
+    case 'RESOLVE_DUPLICATE_WARNING':
+      return resolveDuplicateWarning(message.payload);
+
+    case 'GET_ORGANIZE_RULES':
+      return syncOrganizeRulesFromCloud();
+
+    case 'SAVE_ORGANIZE_RULES':
+      return saveOrganizeRules(message.payload);
+
+    case 'RUN_ORGANIZE_RULES':
+      return runOrganizeRules(message.payload);
+
+    case 'UPDATE_BOOKMARK_TAGS':
+      return updateBookmarkTags(message.payload);
+
+    case 'TAG_BOOKMARKS':
+      return tagBookmarks(message.payload);
+
+    case 'SYNC_TAG_RENAMES':
+      return syncTagRenamesFromCloud();
+
+    case 'GET_ENCRYPTION_STATUS':
+      return runEncryptionAction(getEncryptionStatus);
+
+    case 'ENABLE_ENCRYPTION':
+      return runEncryptionAction(() => createEncryptionKey(message.payload?.passphrase), {
+        reseal: true,
+      });
+
+    case 'UNLOCK_ENCRYPTION':
+      return runEncryptionAction(() => unlockEncryption(message.payload?.passphrase), {
+        reseal: true,
+      });
+
+    case 'CHANGE_ENCRYPTION_PASSPHRASE':
+      return runEncryptionAction(() =>
+        changeEncryptionPassphrase(
+          message.payload?.currentPassphrase,
+          message.payload?.newPassphrase
+        )
+      );
+
+    case 'ROTATE_ENCRYPTION_KEY':
+      return runEncryptionAction(() => rotateEncryptionKey(message.payload?.passphrase), {
+        reseal: true,
+      });
+
+    case 'EXPORT_RECOVERY_KEY':
+      return runEncryptionAction(async () => ({
+        recoveryKey: await exportRecoveryKey(message.payload?.passphrase),
+      }));
+
+    case 'RECOVER_ENCRYPTION':
+      return runEncryptionAction(
+        () => recoverEncryption(message.payload?.recoveryKey, message.payload?.newPassphrase),
+        { reseal: true }
+      );
+
+    case 'DISABLE_ENCRYPTION':
+      return runEncryptionAction(removeEncryptionKeyring, { reseal: true });
+
     case 'GET_ADBLOCK_STATUS':
       return getAdblockStatus();
 
@@ -3644,6 +5742,21 @@ browser.runtime.onMessage.addListener((message, sender) => {
 // This is critical for Firefox MV3 where background scripts are event-driven
 // ==========================================
 
+// Duplicate warning notifications (Safari has no notifications API)
+browser.notifications?.onClicked?.addListener((notificationId) => {
+  if (notificationId.startsWith('duplicate-')) {
+    resolveDuplicateWarning({ warningId: notificationId, action: 'jump' });
+  }
+});
+browser.notifications?.onButtonClicked?.addListener((notificationId, buttonIndex) => {
+  if (notificationId.startsWith('duplicate-')) {
+    resolveDuplicateWarning({
+      warningId: notificationId,
+      action: buttonIndex === 0 ? 'move' : 'keep',
+    });
+  }
+});
+
 // Alarm handler - registered synchronously for Firefox MV3 compatibility
 browser.alarms.onAlarm.addListener(async (alarm) => {
   const browserInfo = detectBrowser();
@@ -3676,6 +5789,8 @@ browser.alarms.onAlarm.addListener(async (alarm) => {
           console.log(`  - Pushed to cloud: ${result.pushedToCloud || 0}`);
           console.log(`  - Total bookmarks: ${result.stats?.total || 'unknown'}`);
         }
+
+        await notifyBrokenLinks();
       } else {
         console.warn('[MarkSyncr] ⏰ Periodic sync failed:', result.error);
 
@@ -3771,6 +5886,27 @@ browser.runtime.onInstalled.addListener((details) => {
           connected: false,
           description: 'Sync to Google Drive',
         },
+        {
+          id: 'webdav',
+          name: 'WebDAV',
+          type: 'webdav',
+          connected: false,
+          description: 'Sync to a WebDAV server such as Nextcloud',
+        },
+        {
+          id: 's3',
+          name: 'S3 Storage',
+          type: 's3',
+          connected: false,
+          description: 'Sync to an S3-compatible bucket such as MinIO or R2',
+        },
+        {
+          id: 'git-forge',
+          name: 'Git Repository',
+          type: 'git-forge',
+          connected: false,
+          description: 'Commit every sync to a GitHub, GitLab, Gitea or Forgejo repository',
+        },
       ],
       // Auto-select browser bookmarks as default source
       selectedSource: 'browser-bookmarks',
@@ -3839,8 +5975,31 @@ export const __test__ = import.meta.env?.VITEST
       addCloudBookmarksToLocal,
       applyTombstonesToLocal,
       filterTombstonesToApply,
+      reportSyncConflicts,
+      resolveSyncConflict,
+      fetchCloudBookmarks,
+      pushBookmarksToCloud,
+      openCloudData,
+      generateChecksum,
       setupBookmarkListeners,
       initialize,
+      getCollections,
+      selectCollection,
+      syncSharedFolders,
+      getSyncFilter,
+      notifyBrokenLinks,
+      archiveNewBookmark,
+      captureNewBookmark,
+      storeCloudUrlIndex,
+      guardAgainstDuplicate,
+      resolveDuplicateWarning,
+      saveOrganizeRules,
+      syncOrganizeRulesFromCloud,
+      syncTagRenamesFromCloud,
+      runOrganizeRules,
+      organizeNewBookmark,
+      updateBookmarkTags,
+      tagBookmarks,
       // State accessors (module-level let variables are not directly exportable)
       getState: () => ({
         isSyncInProgress,
@@ -70,6 +70,8 @@ async function clearUserData() {
   if (!browserAPI) return;
 
   await browserAPI.storage.local.remove(['user', 'isLoggedIn', 'session']);
+  // The unlocked bookmark encryption key (see background/encryption.js) belongs to the user too
+  await browserAPI.storage.local.remove('marksyncr-encryption-key');
 }
 
 /**
@@ -660,6 +662,65 @@ export async function deleteCloudData() {
   }
 }
 
+/**
+ * Throw the error from a failed encryption API response, keeping its code
+ * @param {Response} response
+ * @param {string} fallback - Message when the response has none
+ */
+async function throwEncryptionApiError(response, fallback) {
+  const data = await response.json().catch(() => ({}));
+  const error = new Error(data.error || fallback);
+  if (data.code) error.code = data.code;
+  throw error;
+}
+
+/**
+ * Fetch the user's encryption keyring
+ * @returns {Promise<{enabled: boolean, keyring: Object|null}>}
+ */
+export async function fetchEncryptionKeyring() {
+  const response = await apiRequest('/api/encryption');
+
+  if (!response.ok) {
+    await throwEncryptionApiError(response, 'Failed to fetch encryption keyring');
+  }
+
+  return await response.json();
+}
+
+/**
+ * Store an encryption keyring
+ * @param {Object} keyring - Keyring from @marksyncr/core/encryption
+ * @param {string|null} previousKeyId - Key ID of the keyring being replaced, if any
+ */
+export async function saveEncryptionKeyring(keyring, previousKeyId = null) {
+  const response = await apiRequest('/api/encryption', {
+    method: 'PUT',
+    body: JSON.stringify({ keyring, previousKeyId }),
+  });
+
+  if (!response.ok) {
+    await throwEncryptionApiError(response, 'Failed to save encryption keyring');
+  }
+
+  return await response.json();
+}
+
+/**
+ * Delete the user's encryption keyring (turns encryption off)
+ */
+export async function deleteEncryptionKeyring() {
+  const response = await apiRequest('/api/encryption', {
+    method: 'DELETE',
+  });
+
+  if (!response.ok) {
+    await throwEncryptionApiError(response, 'Failed to turn off encryption');
+  }
+
+  return await response.json();
+}
+
 /**
  * Get browser bookmarks using the browser API
  */
@@ -723,5 +784,8 @@ export default {
   syncBookmarks,
   deleteBookmark,
   deleteCloudData,
+  fetchEncryptionKeyring,
+  saveEncryptionKeyring,
+  deleteEncryptionKeyring,
   getBrowserBookmarks,
 };
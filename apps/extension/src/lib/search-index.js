@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Persistent full-text search index for the extension
+ * Keeps the full-text index from @marksyncr/core in IndexedDB, so bookmarks and saved
+ * pages are only indexed again when they change. The popup and options page share
+ * the extension's origin, and with it the index.
+ */
+
+import { FullTextIndex, MemoryIndexStore } from '@marksyncr/core/full-text-search';
+
+const DB_NAME = 'marksyncr-search';
+const DB_VERSION = 1;
+
+const DOCUMENTS = 'documents';
+const POSTINGS = 'postings';
+const META = 'meta';
+
+/**
+ * Resolve with the result of an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Resolve once a transaction has committed
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+
+/**
+ * Open the search database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    const documents = db.createObjectStore(DOCUMENTS, { keyPath: 'id' });
+    // Lets sync read every signature without loading document text
+    documents.createIndex('signature', 'signature');
+    db.createObjectStore(POSTINGS, { keyPath: 'term' });
+    db.createObjectStore(META, { keyPath: 'key' });
+  };
+  return requestResult(request);
+};
+
+/**
+ * Index store backed by IndexedDB; see MemoryIndexStore in @marksyncr/core for the
+ * methods every store implements
+ */
+export class IndexedDbIndexStore {
+  /**
+   * @param {IDBDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getStats() {
+    const transaction = this.db.transaction(META, 'readonly');
+    const record = await requestResult(transaction.objectStore(META).get('stats'));
+    return record?.value ?? null;
+  }
+
+  async getSignatures() {
+    const transaction = this.db.transaction(DOCUMENTS, 'readonly');
+    const cursorRequest = transaction.objectStore(DOCUMENTS).index('signature').openKeyCursor();
+    const signatures = new Map();
+
+    return new Promise((resolve, reject) => {
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve(signatures);
+          return;
+        }
+        signatures.set(cursor.primaryKey, cursor.key);
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  async getDocuments(ids) {
+    const store = this.db.transaction(DOCUMENTS, 'readonly').objectStore(DOCUMENTS);
+    const documents = await Promise.all(ids.map((id) => requestResult(store.get(id))));
+    return documents.filter(Boolean);
+  }
+
+  async getPostings(terms) {
+    const store = this.db.transaction(POSTINGS, 'readonly').objectStore(POSTINGS);
+    const records = await Promise.all(terms.map((term) => requestResult(store.get(term))));
+    return new Map(records.filter(Boolean).map((record) => [record.term, record.docs]));
+  }
+
+  async findTerms(prefix, limit) {
+    const store = this.db.transaction(POSTINGS, 'readonly').objectStore(POSTINGS);
+    return requestResult(store.getAllKeys(IDBKeyRange.bound(prefix, `${prefix}\uffff`), limit));
+  }
+
+  async write({ documents = [], removedIds = [], postings = new Map(), stats }) {
+    const transaction = this.db.transaction([DOCUMENTS, POSTINGS, META], 'readwrite');
+    const documentStore = transaction.objectStore(DOCUMENTS);
+    const postingStore = transaction.objectStore(POSTINGS);
+
+    for (const id of removedIds) documentStore.delete(id);
+    for (const doc of documents) documentStore.put(doc);
+    for (const [term, docs] of postings) {
+      if (Object.keys(docs).length === 0) {
+        postingStore.delete(term);
+      } else {
+        postingStore.put({ term, docs });
+      }
+    }
+    if (stats) transaction.objectStore(META).put({ key: 'stats', value: stats });
+
+    return transactionDone(transaction);
+  }
+
+  async clear() {
+    const transaction = this.db.transaction([DOCUMENTS, POSTINGS, META], 'readwrite');
+    for (const name of [DOCUMENTS, POSTINGS, META]) transaction.objectStore(name).clear();
+    return transactionDone(transaction);
+  }
+}
+
+let searchIndexPromise = null;
+
+/**
+ * The extension's full-text index. Falls back to an in-memory index where
+ * IndexedDB can't be opened (private windows in some browsers).
+ * @returns {Promise<FullTextIndex>}
+ */
+export function getSearchIndex() {
+  if (!searchIndexPromise) {
+    searchIndexPromise = (
+      typeof indexedDB === 'undefined' ? Promise.reject(new Error('No IndexedDB')) : openDatabase()
+    )
+      .then((db) => new FullTextIndex({ store: new IndexedDbIndexStore(db) }))
+      .catch((err) => {
+        console.warn('[MarkSyncr] Search index not persisted:', err.message);
+        return new FullTextIndex({ store: new MemoryIndexStore() });
+      });
+  }
+  return searchIndexPromise;
+}
@@ -7,6 +7,7 @@ import {
   detectImportFormat,
 } from '@marksyncr/core';
 import { deleteCloudData } from '../lib/api.js';
+import { OrganizeRules } from '../popup/components/OrganizeRules.jsx';
 
 // Service icons
 const GitHubIcon = ({ className = '' }) => (
@@ -154,7 +155,15 @@ function ConnectedServices({ sources, isAuthenticated }) {
   };
 
   // Filter to only external services (not browser-bookmarks)
-  const externalServices = ['github', 'dropbox', 'google-drive', 'google_drive'];
+  const externalServices = [
+    'github',
+    'dropbox',
+    'google-drive',
+    'google_drive',
+    'webdav',
+    's3',
+    'git-forge',
+  ];
   const connectedSources = sources.filter(
     (s) => s.connected && externalServices.includes(getSourceType(s))
   );
@@ -241,6 +250,375 @@ function ConnectedServices({ sources, isAuthenticated }) {
   );
 }
 
+// Passphrase form fields used by the encryption actions
+const ENCRYPTION_FIELDS = {
+  passphrase: { label: 'Passphrase', type: 'password' },
+  newPassphrase: { label: 'New passphrase', type: 'password' },
+  confirmPassphrase: { label: 'Confirm new passphrase', type: 'password' },
+  recoveryKey: { label: 'Recovery key', type: 'text' },
+};
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Encryption actions: what they ask for and which store action runs them
+const ENCRYPTION_ACTIONS = {
+  enable: {
+    label: 'Turn on encryption',
+    description:
+      'Bookmarks are encrypted in this browser before they are uploaded. Other browsers need the passphrase to sync. Existing version history is deleted.',
+    fields: ['newPassphrase', 'confirmPassphrase'],
+    run: (store, f) => store.enableEncryption(f.newPassphrase),
+  },
+  unlock: {
+    label: 'Unlock',
+    description: 'Enter the passphrase set on another browser to sync encrypted bookmarks here.',
+    fields: ['passphrase'],
+    run: (store, f) => store.unlockEncryption(f.passphrase),
+  },
+  recover: {
+    label: 'Use recovery key',
+    description: 'Forgot the passphrase? Unlock with your recovery key and choose a new one.',
+    fields: ['recoveryKey', 'newPassphrase', 'confirmPassphrase'],
+    run: (store, f) => store.recoverEncryption(f.recoveryKey, f.newPassphrase),
+  },
+  change: {
+    label: 'Change passphrase',
+    description: 'Other browsers stay unlocked; new browsers need the new passphrase.',
+    fields: ['passphrase', 'newPassphrase', 'confirmPassphrase'],
+    run: (store, f) => store.changeEncryptionPassphrase(f.passphrase, f.newPassphrase),
+  },
+  rotate: {
+    label: 'Rotate key',
+    description:
+      'Re-encrypts your bookmarks with a new key. Other browsers must unlock again, the old recovery key stops working and version history is deleted.',
+    fields: ['passphrase'],
+    run: (store, f) => store.rotateEncryptionKey(f.passphrase),
+  },
+  export: {
+    label: 'Show recovery key',
+    description: 'The recovery key unlocks your bookmarks if you forget the passphrase.',
+    fields: ['passphrase'],
+    run: (store, f) => store.exportRecoveryKey(f.passphrase),
+  },
+  disable: {
+    label: 'Turn off encryption',
+    description:
+      'Your bookmarks are stored unencrypted again on MarkSyncr Cloud and connected services. Encrypted version history is deleted.',
+    fields: [],
+    run: (store) => store.disableEncryption(),
+  },
+};
+
+const EMPTY_ENCRYPTION_FORM = {
+  passphrase: '',
+  newPassphrase: '',
+  confirmPassphrase: '',
+  recoveryKey: '',
+};
+
+// End-to-end encryption settings
+function EncryptionSettings({ isAuthenticated }) {
+  const store = useStore();
+  const { encryption, fetchEncryptionStatus } = store;
+  const [activeAction, setActiveAction] = useState(null);
+  const [form, setForm] = useState(EMPTY_ENCRYPTION_FORM);
+  const [isWorking, setIsWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [recoveryKey, setRecoveryKey] = useState(null);
+
+  useEffect(() => {
+    if (isAuthenticated) fetchEncryptionStatus();
+  }, [isAuthenticated, fetchEncryptionStatus]);
+
+  if (!isAuthenticated) {
+    return <p className="text-sm text-slate-500">Sign in to encrypt your synced bookmarks.</p>;
+  }
+
+  if (!encryption) {
+    return <p className="text-sm text-slate-500">Loading encryption status...</p>;
+  }
+
+  let available = ['enable'];
+  if (encryption.enabled) {
+    available = encryption.unlocked
+      ? ['change', 'rotate', 'export', 'disable']
+      : ['unlock', 'recover'];
+  }
+
+  const openAction = (actionId) => {
+    setActiveAction(actionId);
+    setForm(EMPTY_ENCRYPTION_FORM);
+    setMessage(null);
+    setRecoveryKey(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const action = ENCRYPTION_ACTIONS[activeAction];
+
+    if (action.fields.includes('newPassphrase')) {
+      if (form.newPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setMessage({
+          type: 'error',
+          text: `Use at least ${MIN_PASSPHRASE_LENGTH} characters for the passphrase.`,
+        });
+        return;
+      }
+      if (form.newPassphrase !== form.confirmPassphrase) {
+        setMessage({ type: 'error', text: 'The passphrases do not match.' });
+        return;
+      }
+    }
+
+    setIsWorking(true);
+    const result = await action.run(store, form);
+    setIsWorking(false);
+
+    if (!result.success) {
+      setMessage({ type: 'error', text: result.error || 'Something went wrong.' });
+      return;
+    }
+
+    setActiveAction(null);
+    setForm(EMPTY_ENCRYPTION_FORM);
+    setRecoveryKey(result.recoveryKey || null);
+    setMessage(
+      result.warning
+        ? { type: 'warning', text: `Saved, but syncing failed: ${result.warning}` }
+        : { type: 'success', text: `${action.label}: done.` }
+    );
+  };
+
+  const statusText = !encryption.enabled
+    ? 'Off - bookmarks are stored unencrypted'
+    : encryption.unlocked
+      ? 'On - unlocked in this browser'
+      : 'On - locked in this browser, sync is paused';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-2">
+        <span
+          className={`h-2 w-2 rounded-full ${
+            encryption.enabled
+              ? encryption.unlocked
+                ? 'bg-green-500'
+                : 'bg-amber-500'
+              : 'bg-slate-400'
+          }`}
+        />
+        <span className="text-sm text-slate-700">{statusText}</span>
+      </div>
+
+      {message && (
+        <div
+          className={`p-3 rounded-lg text-sm ${
+            message.type === 'error'
+              ? 'bg-red-50 border border-red-200 text-red-700'
+              : message.type === 'warning'
+                ? 'bg-amber-50 border border-amber-200 text-amber-700'
+                : 'bg-green-50 border border-green-200 text-green-700'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {recoveryKey && (
+        <div className="rounded-lg border border-primary-200 bg-primary-50 p-4">
+          <p className="text-sm font-medium text-primary-700">Your recovery key</p>
+          <p className="mt-1 text-xs text-primary-700">
+            Store it somewhere safe. Without it or your passphrase, your bookmarks can't be
+            decrypted - not even by MarkSyncr.
+          </p>
+          <code className="mt-3 block break-all rounded bg-white p-3 font-mono text-sm text-slate-900">
+            {recoveryKey}
+          </code>
+          <button
+            type="button"
+            onClick={() => navigator.clipboard?.writeText(recoveryKey)}
+            className="mt-3 rounded-lg border border-primary-300 px-3 py-1.5 text-xs font-medium text-primary-700 hover:bg-primary-100"
+          >
+            Copy
+          </button>
+        </div>
+      )}
+
+      {activeAction ? (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <p className="text-sm text-slate-600">{ENCRYPTION_ACTIONS[activeAction].description}</p>
+          {ENCRYPTION_ACTIONS[activeAction].fields.map((field) => (
+            <label key={field} className="block">
+              <span className="text-sm font-medium text-slate-900">
+                {ENCRYPTION_FIELDS[field].label}
+              </span>
+              <input
+                type={ENCRYPTION_FIELDS[field].type}
+                value={form[field]}
+                onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                autoComplete="off"
+                required
+                className="mt-1 block w-full rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-primary-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </label>
+          ))}
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={isWorking}
+              className={`rounded-lg px-4 py-2 text-sm font-medium text-white disabled:opacity-50 ${
+                activeAction === 'disable'
+                  ? 'bg-red-600 hover:bg-red-700'
+                  : 'bg-primary-600 hover:bg-primary-700'
+              }`}
+            >
+              {isWorking ? 'Working...' : ENCRYPTION_ACTIONS[activeAction].label}
+            </button>
+            <button
+              type="button"
+              onClick={() => setActiveAction(null)}
+              disabled={isWorking}
+              className="rounded-lg border border-slate-300 px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex flex-wrap gap-3">
+          {available.map((actionId) => (
+            <button
+              key={actionId}
+              type="button"
+              onClick={() => openAction(actionId)}
+              className={`rounded-lg border px-4 py-2 text-sm font-medium ${
+                actionId === 'disable'
+                  ? 'border-red-300 text-red-700 hover:bg-red-50'
+                  : 'border-slate-300 text-slate-700 hover:bg-slate-50'
+              }`}
+            >
+              {ENCRYPTION_ACTIONS[actionId].label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Folder patterns are edited one per line
+const toPatternText = (patterns) => (patterns || []).join('\n');
+const toPatterns = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+// Per-device selective sync rules
+function SelectiveSyncSettings({ isAuthenticated }) {
+  const { syncProfile, fetchSyncProfile, saveSyncProfile } = useStore();
+  const [include, setInclude] = useState('');
+  const [exclude, setExclude] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (isAuthenticated) fetchSyncProfile();
+  }, [isAuthenticated, fetchSyncProfile]);
+
+  useEffect(() => {
+    setInclude(toPatternText(syncProfile?.include));
+    setExclude(toPatternText(syncProfile?.exclude));
+  }, [syncProfile]);
+
+  if (!isAuthenticated) {
+    return <p className="text-sm text-slate-500">Sign in to choose which folders sync here.</p>;
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const profile = { include: toPatterns(include), exclude: toPatterns(exclude) };
+
+    setIsSaving(true);
+    setMessage(null);
+    const result = await saveSyncProfile(
+      profile.include.length || profile.exclude.length ? profile : null
+    );
+    setIsSaving(false);
+
+    setMessage(
+      result.success
+        ? { type: 'success', text: 'Saved. The next sync uses these rules.' }
+        : { type: 'error', text: result.error || 'Failed to save sync rules.' }
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-slate-600">
+        One folder per line, e.g. <code>Work</code> or <code>Bookmarks Bar/Clients/*</code>. A
+        folder includes everything inside it; <code>*</code> matches any name and <code>**</code>{' '}
+        any number of folders. Folders left out are never changed in this browser or removed from
+        your other devices.
+      </p>
+
+      {message && (
+        <div
+          className={`p-3 rounded-lg text-sm ${
+            message.type === 'error'
+              ? 'bg-red-50 border border-red-200 text-red-700'
+              : 'bg-green-50 border border-green-200 text-green-700'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      <label className="block">
+        <span className="text-sm font-medium text-slate-900">Only sync these folders</span>
+        <span className="block text-xs text-slate-500">Leave empty to sync all folders</span>
+        <textarea
+          value={include}
+          onChange={(e) => setInclude(e.target.value)}
+          rows={3}
+          className="mt-1 block w-full rounded-lg border border-slate-300 px-3 py-2 font-mono text-sm focus:border-primary-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+      </label>
+
+      <label className="block">
+        <span className="text-sm font-medium text-slate-900">Never sync these folders</span>
+        <textarea
+          value={exclude}
+          onChange={(e) => setExclude(e.target.value)}
+          rows={3}
+          className="mt-1 block w-full rounded-lg border border-slate-300 px-3 py-2 font-mono text-sm focus:border-primary-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+      </label>
+
+      <button
+        type="submit"
+        disabled={isSaving}
+        className="rounded-lg bg-primary-600 px-4 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+      >
+        {isSaving ? 'Saving...' : 'Save sync rules'}
+      </button>
+    </form>
+  );
+}
+
+// Auto-organize rules, saved here and in the account
+function OrganizeRulesSettings() {
+  const { organizeRules, fetchOrganizeRules, saveOrganizeRules, runOrganizeRules } = useStore();
+
+  useEffect(() => {
+    fetchOrganizeRules();
+  }, [fetchOrganizeRules]);
+
+  return (
+    <OrganizeRules rules={organizeRules} onSave={saveOrganizeRules} onRun={runOrganizeRules} />
+  );
+}
+
 // Main Options component
 export function Options() {
   const { settings, sources, bookmarks, updateSettings, initialize, isAuthenticated } = useStore();
@@ -653,6 +1031,70 @@ export function Options() {
             </div>
           </Section>
 
+          {/* Selective Sync */}
+          <Section
+            title="Folders to Sync"
+            description="Choose which bookmark folders this browser syncs"
+          >
+            <SelectiveSyncSettings isAuthenticated={isAuthenticated} />
+          </Section>
+
+          {/* Encryption */}
+          <Section
+            title="End-to-End Encryption"
+            description="Encrypt bookmarks with a passphrase before they leave this browser"
+          >
+            <EncryptionSettings isAuthenticated={isAuthenticated} />
+          </Section>
+
+          {/* Page Copies */}
+          <Section
+            title="Page Copies"
+            description="Keep copies of bookmarked pages in case the links stop working"
+          >
+            <div className="divide-y divide-slate-200">
+              <Toggle
+                label="Archive New Bookmarks"
+                description="Submit pages you bookmark to the Internet Archive's Wayback Machine"
+                checked={settings.archiveNewBookmarks}
+                onChange={(value) => handleSettingChange('archiveNewBookmarks', value)}
+              />
+
+              <Toggle
+                label="Save Pages for Offline Reading"
+                description="Save a readable copy of pages you bookmark to your account; counts toward your plan's saved page limit"
+                checked={settings.capturePages}
+                onChange={(value) => handleSettingChange('capturePages', value)}
+              />
+            </div>
+          </Section>
+
+          {/* Duplicates */}
+          <Section
+            title="Duplicate Bookmarks"
+            description="Check new bookmarks against your bookmarks on all your devices"
+          >
+            <Select
+              label="Warn About Duplicates"
+              description="When you bookmark a page you already have, show where the existing copy is and offer to move it or keep both"
+              value={settings.duplicateGuard ?? 'off'}
+              onChange={(value) => handleSettingChange('duplicateGuard', value)}
+              options={[
+                { value: 'off', label: 'Off' },
+                { value: 'badge', label: 'Count on the toolbar icon' },
+                { value: 'notification', label: 'Show a notification' },
+              ]}
+            />
+          </Section>
+
+          {/* Auto-organize */}
+          <Section
+            title="Auto-organize Rules"
+            description="Move, tag, rename or archive bookmarks that match your rules"
+          >
+            <OrganizeRulesSettings />
+          </Section>
+
           {/* Notifications */}
           <Section title="Notifications" description="Control sync notifications">
             <Toggle
@@ -3,6 +3,9 @@ import { useStore } from '../store/index.js';
 import { ProFeaturesPanel } from './components/ProFeaturesPanel.jsx';
 import { LoginPanel } from './components/LoginPanel.jsx';
 import { AdblockPanel } from './components/AdblockPanel.jsx';
+import { ConflictQueue } from './components/ConflictQueue.jsx';
+import { DuplicateWarnings } from './components/DuplicateWarnings.jsx';
+import { CollectionPicker } from './components/CollectionPicker.jsx';
 
 // Confirmation Dialog Component using native <dialog> element
 function ConfirmDialog({
@@ -281,7 +284,15 @@ function ConnectedServices({ sources, isAuthenticated, isLoading }) {
   };
 
   // Filter to only external services (not browser-bookmarks)
-  const externalServices = ['github', 'dropbox', 'google-drive', 'google_drive'];
+  const externalServices = [
+    'github',
+    'dropbox',
+    'google-drive',
+    'google_drive',
+    'webdav',
+    's3',
+    'git-forge',
+  ];
   const connectedSources = sources.filter(
     (s) => s.connected && externalServices.includes(getSourceType(s))
   );
@@ -493,6 +504,20 @@ export function Popup() {
     getSyncStatus,
     resetSyncFailures,
     forceResetSyncState,
+    // Sync conflicts
+    conflicts,
+    fetchConflicts,
+    resolveConflict,
+    // Duplicate bookmark warnings
+    duplicateWarnings,
+    fetchDuplicateWarnings,
+    resolveDuplicateWarning,
+    // Collections
+    collections,
+    selectedCollectionId,
+    fetchCollections,
+    createCollection,
+    selectCollection,
   } = useStore();
 
   const [isInitialized, setIsInitialized] = useState(false);
@@ -510,10 +535,23 @@ export function Popup() {
       await fetchTags();
       // Check sync failure status
       await getSyncStatus();
+      // Warnings about new bookmarks that already existed
+      await fetchDuplicateWarnings();
       setIsInitialized(true);
+      // Load pending conflicts for signed-in users
+      if (useStore.getState().isAuthenticated) {
+        await Promise.all([fetchConflicts(), fetchCollections()]);
+      }
     };
     init();
-  }, [initialize, fetchTags, getSyncStatus]);
+  }, [
+    initialize,
+    fetchTags,
+    getSyncStatus,
+    fetchDuplicateWarnings,
+    fetchConflicts,
+    fetchCollections,
+  ]);
 
   const handleSync = async () => {
     try {
@@ -923,6 +961,23 @@ ${content}
               </div>
             )}
 
+            {/* Collection this browser syncs with */}
+            {isAuthenticated && (
+              <CollectionPicker
+                collections={collections}
+                selectedId={selectedCollectionId}
+                onSelect={selectCollection}
+                onCreate={createCollection}
+                disabled={status === 'syncing'}
+              />
+            )}
+
+            {/* Pending sync conflicts */}
+            <ConflictQueue conflicts={conflicts} onResolve={resolveConflict} />
+
+            {/* New bookmarks that already existed */}
+            <DuplicateWarnings warnings={duplicateWarnings} onResolve={resolveDuplicateWarning} />
+
             {/* Stats */}
             <SyncStats stats={stats} />
 
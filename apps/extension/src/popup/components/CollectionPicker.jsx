@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Picker for the bookmark collection this browser syncs with
+ * Collections are independent sets of bookmarks under one account, e.g. work and personal
+ */
+
+import { useState } from 'react';
+
+/**
+ * Select for the collection this browser syncs with, and a form to add one
+ */
+export function CollectionPicker({
+  collections = [],
+  selectedId = null,
+  onSelect,
+  onCreate,
+  disabled = false,
+  className = '',
+}) {
+  const [isCreating, setIsCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (collections.length === 0) {
+    return null;
+  }
+
+  const selected =
+    collections.find((c) => c.id === selectedId) ?? collections.find((c) => c.isDefault);
+
+  const handleSelect = async (e) => {
+    const collection = collections.find((c) => c.id === e.target.value);
+    if (!collection || collection.id === selected?.id) return;
+
+    if (
+      !confirm(
+        `Sync this browser with "${collection.name}"? Your bookmarks here are merged into it on the next sync; nothing is deleted.`
+      )
+    ) {
+      return;
+    }
+
+    setIsBusy(true);
+    setError(null);
+    const result = await onSelect(collection.isDefault ? null : collection.id);
+    if (!result?.success) {
+      setError(result?.error || 'Failed to switch collection');
+    }
+    setIsBusy(false);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setError(null);
+    const result = await onCreate(name.trim());
+    if (result?.success) {
+      setName('');
+      setIsCreating(false);
+    } else {
+      setError(result?.error || 'Failed to create collection');
+    }
+    setIsBusy(false);
+  };
+
+  return (
+    <div className={`rounded-lg border border-slate-200 bg-white p-3 ${className}`}>
+      <div className="flex items-center gap-2">
+        <label htmlFor="collection-picker" className="text-xs font-medium text-slate-500">
+          Collection
+        </label>
+        <select
+          id="collection-picker"
+          value={selected?.id ?? ''}
+          onChange={handleSelect}
+          disabled={disabled || isBusy}
+          className="min-w-0 flex-1 rounded-md border border-slate-300 px-2 py-1 text-sm focus:border-primary-500 focus:outline-none disabled:opacity-50"
+        >
+          {collections.map((collection) => (
+            <option key={collection.id} value={collection.id}>
+              {collection.name}
+            </option>
+          ))}
+        </select>
+        {!isCreating && (
+          <button
+            onClick={() => setIsCreating(true)}
+            disabled={disabled || isBusy}
+            className="rounded-md px-2 py-1 text-xs font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50"
+          >
+            New
+          </button>
+        )}
+      </div>
+
+      {isCreating && (
+        <form onSubmit={handleCreate} className="mt-2 flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={100}
+            placeholder="e.g. Work"
+            className="min-w-0 flex-1 rounded-md border border-slate-300 px-2 py-1 text-xs focus:border-primary-500 focus:outline-none"
+            aria-label="Collection name"
+          />
+          <button
+            type="submit"
+            disabled={isBusy || !name.trim()}
+            className="rounded-md bg-primary-600 px-2 py-1 text-xs font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+          >
+            Create
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsCreating(false)}
+            disabled={isBusy}
+            className="rounded-md px-2 py-1 text-xs text-slate-500 hover:text-slate-700"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+export default CollectionPicker;
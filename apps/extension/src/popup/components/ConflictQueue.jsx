@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Conflict queue for bookmark fields changed on two devices
+ * Lets the user keep the local value, take the remote value or enter a merged value
+ */
+
+import { useState } from 'react';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  url: 'URL',
+  parentId: 'Folder',
+  position: 'Position',
+  deleted: 'Deleted',
+};
+
+/**
+ * Format a conflict value for display
+ * @param {*} value - Stored field value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+/**
+ * A single conflict with its resolution controls
+ */
+export function ConflictItem({ conflict, onResolve, className = '' }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [mergedValue, setMergedValue] = useState(conflict.localValue ?? '');
+  const [isResolving, setIsResolving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleResolve = async (resolution, value) => {
+    setIsResolving(true);
+    setError(null);
+    const result = await onResolve(conflict.id, resolution, value);
+    if (!result?.success) {
+      setError(result?.error || 'Failed to resolve conflict');
+      setIsResolving(false);
+    }
+  };
+
+  return (
+    <div className={`rounded-lg border border-slate-200 bg-white p-3 ${className}`}>
+      <div className="flex items-center justify-between gap-2">
+        <p className="truncate text-sm font-medium text-slate-900">
+          {conflict.title || conflict.bookmarkId}
+        </p>
+        <span className="flex-shrink-0 rounded bg-amber-100 px-1.5 py-0.5 text-xs font-medium text-amber-700">
+          {FIELD_LABELS[conflict.field] || conflict.field}
+        </span>
+      </div>
+      {conflict.path && <p className="truncate text-xs text-slate-400">{conflict.path}</p>}
+
+      <dl className="mt-2 space-y-1 text-xs">
+        <div className="flex gap-2">
+          <dt className="w-20 flex-shrink-0 text-slate-500">Before</dt>
+          <dd className="truncate text-slate-500">{formatValue(conflict.baseValue)}</dd>
+        </div>
+        <div className="flex gap-2">
+          <dt className="w-20 flex-shrink-0 text-slate-500">This device</dt>
+          <dd className="truncate font-medium text-slate-800">
+            {formatValue(conflict.localValue)}
+          </dd>
+        </div>
+        <div className="flex gap-2">
+          <dt className="w-20 flex-shrink-0 text-slate-500">Other device</dt>
+          <dd className="truncate font-medium text-slate-800">
+            {formatValue(conflict.remoteValue)}
+          </dd>
+        </div>
+      </dl>
+
+      {isEditing ? (
+        <div className="mt-2 flex gap-2">
+          <input
+            type="text"
+            value={mergedValue}
+            onChange={(e) => setMergedValue(e.target.value)}
+            className="min-w-0 flex-1 rounded-md border border-slate-300 px-2 py-1 text-xs focus:border-primary-500 focus:outline-none"
+            aria-label="Merged value"
+          />
+          <button
+            onClick={() => handleResolve('merged', mergedValue)}
+            disabled={isResolving}
+            className="rounded-md bg-primary-600 px-2 py-1 text-xs font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+          >
+            Save
+          </button>
+          <button
+            onClick={() => setIsEditing(false)}
+            disabled={isResolving}
+            className="rounded-md px-2 py-1 text-xs text-slate-500 hover:text-slate-700"
+          >
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <div className="mt-2 flex gap-2">
+          <button
+            onClick={() => handleResolve('local')}
+            disabled={isResolving}
+            className="flex-1 rounded-md border border-slate-300 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+          >
+            Keep this device
+          </button>
+          <button
+            onClick={() => handleResolve('remote')}
+            disabled={isResolving}
+            className="flex-1 rounded-md border border-slate-300 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+          >
+            Use other device
+          </button>
+          {conflict.field !== 'deleted' && (
+            <button
+              onClick={() => setIsEditing(true)}
+              disabled={isResolving}
+              className="rounded-md px-2 py-1 text-xs font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50"
+            >
+              Edit
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+/**
+ * List of pending sync conflicts. Sync keeps running while conflicts are pending;
+ * the value from this device stays in place until the user decides.
+ */
+export function ConflictQueue({ conflicts = [], onResolve, className = '' }) {
+  if (conflicts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`rounded-lg border border-amber-300 bg-amber-50 p-3 ${className}`}>
+      <h3 className="text-sm font-semibold text-amber-800">
+        {conflicts.length === 1 ? '1 sync conflict' : `${conflicts.length} sync conflicts`}
+      </h3>
+      <p className="mt-0.5 text-xs text-amber-700">
+        These bookmarks were changed differently on another device. Pick which version to keep.
+      </p>
+
+      <div className="mt-2 max-h-64 space-y-2 overflow-y-auto">
+        {conflicts.map((conflict) => (
+          <ConflictItem key={conflict.id} conflict={conflict} onResolve={onResolve} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ConflictQueue;
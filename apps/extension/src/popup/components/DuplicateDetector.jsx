@@ -1,140 +1,11 @@
 /**
  * @fileoverview Duplicate Detector component for finding and managing duplicate bookmarks
- * Pro feature: Find and merge duplicate bookmarks
+ * Pro feature: Find and merge duplicate bookmarks. Clusters come from clusterDuplicates
+ * in @marksyncr/core, and each can be merged in one click.
  */
 
 import { useState, useEffect, useMemo, useCallback } from 'react';
-
-/**
- * Normalize URL for comparison
- * @param {string} url - URL to normalize
- * @returns {string} Normalized URL
- */
-const normalizeUrl = (url) => {
-  if (!url) return '';
-  try {
-    const parsed = new URL(url);
-    // Remove www prefix
-    let hostname = parsed.hostname.replace(/^www\./, '');
-    // Remove trailing slash
-    let pathname = parsed.pathname.replace(/\/$/, '');
-    // Remove common tracking parameters
-    const trackingParams = [
-      'utm_source',
-      'utm_medium',
-      'utm_campaign',
-      'utm_term',
-      'utm_content',
-      'ref',
-      'fbclid',
-      'gclid',
-    ];
-    trackingParams.forEach((param) => parsed.searchParams.delete(param));
-    // Reconstruct URL
-    return `${parsed.protocol}//${hostname}${pathname}${parsed.search}`.toLowerCase();
-  } catch {
-    return url.toLowerCase();
-  }
-};
-
-/**
- * Calculate string similarity using Dice coefficient
- * @param {string} str1 - First string
- * @param {string} str2 - Second string
- * @returns {number} Similarity score between 0 and 1
- */
-const calculateSimilarity = (str1, str2) => {
-  if (!str1 || !str2) return 0;
-  if (str1 === str2) return 1;
-
-  const s1 = str1.toLowerCase();
-  const s2 = str2.toLowerCase();
-
-  const bigrams1 = new Set();
-  const bigrams2 = new Set();
-
-  for (let i = 0; i < s1.length - 1; i++) {
-    bigrams1.add(s1.slice(i, i + 2));
-  }
-  for (let i = 0; i < s2.length - 1; i++) {
-    bigrams2.add(s2.slice(i, i + 2));
-  }
-
-  let intersection = 0;
-  bigrams1.forEach((bigram) => {
-    if (bigrams2.has(bigram)) intersection++;
-  });
-
-  return (2 * intersection) / (bigrams1.size + bigrams2.size);
-};
-
-/**
- * Find duplicate bookmarks
- * @param {Array} bookmarks - Array of bookmarks
- * @param {Object} options - Detection options
- * @returns {Array} Groups of duplicate bookmarks
- */
-const findDuplicates = (bookmarks, options = {}) => {
-  const { urlThreshold = 1.0, titleThreshold = 0.8, checkTitles = true } = options;
-
-  const duplicateGroups = [];
-  const processed = new Set();
-
-  // Group by normalized URL
-  const urlMap = new Map();
-  bookmarks.forEach((bookmark) => {
-    if (!bookmark.url) return;
-    const normalizedUrl = normalizeUrl(bookmark.url);
-    if (!urlMap.has(normalizedUrl)) {
-      urlMap.set(normalizedUrl, []);
-    }
-    urlMap.get(normalizedUrl).push(bookmark);
-  });
-
-  // Find exact URL duplicates
-  urlMap.forEach((group, url) => {
-    if (group.length > 1) {
-      duplicateGroups.push({
-        type: 'exact_url',
-        reason: 'Same URL',
-        bookmarks: group,
-        normalizedUrl: url,
-      });
-      group.forEach((b) => processed.add(b.id));
-    }
-  });
-
-  // Find similar titles (if enabled)
-  if (checkTitles) {
-    const unprocessed = bookmarks.filter((b) => !processed.has(b.id));
-
-    for (let i = 0; i < unprocessed.length; i++) {
-      const group = [unprocessed[i]];
-
-      for (let j = i + 1; j < unprocessed.length; j++) {
-        if (processed.has(unprocessed[j].id)) continue;
-
-        const similarity = calculateSimilarity(unprocessed[i].title, unprocessed[j].title);
-        if (similarity >= titleThreshold) {
-          group.push(unprocessed[j]);
-          processed.add(unprocessed[j].id);
-        }
-      }
-
-      if (group.length > 1) {
-        processed.add(unprocessed[i].id);
-        duplicateGroups.push({
-          type: 'similar_title',
-          reason: 'Similar titles',
-          bookmarks: group,
-          similarity: calculateSimilarity(group[0].title, group[1].title),
-        });
-      }
-    }
-  }
-
-  return duplicateGroups;
-};
+import { clusterDuplicates } from '@marksyncr/core/duplicate-detector';
 
 /**
  * Duplicate group card component
@@ -144,8 +15,10 @@ export function DuplicateGroup({
   selectedBookmarks,
   onToggleSelect,
   onSelectAll,
+  onQuickMerge,
   onMerge,
   onDelete,
+  isMerging = false,
   className = '',
 }) {
   const allSelected = group.bookmarks.every((b) => selectedBookmarks.has(b.id));
@@ -173,7 +46,7 @@ export function DuplicateGroup({
           <span
             className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium
                        ${
-                         group.type === 'exact_url'
+                         group.type !== 'similar_title'
                            ? 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400'
                            : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400'
                        }`}
@@ -182,13 +55,22 @@ export function DuplicateGroup({
           </span>
         </div>
         <div className="flex items-center gap-2">
+          <button
+            onClick={() => onQuickMerge(group)}
+            disabled={isMerging}
+            title="Keep the first bookmark and merge the others' tags and notes into it"
+            className="px-2 py-1 text-xs font-medium text-white bg-blue-600 rounded hover:bg-blue-700
+                       disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {isMerging ? 'Merging...' : 'Merge'}
+          </button>
           <button
             onClick={() => onMerge(group)}
-            disabled={!someSelected}
-            className="px-2 py-1 text-xs font-medium text-blue-600 hover:text-blue-800 
+            disabled={isMerging}
+            className="px-2 py-1 text-xs font-medium text-blue-600 hover:text-blue-800
                        disabled:text-gray-400 disabled:cursor-not-allowed"
           >
-            Merge Selected
+            Review
           </button>
           <button
             onClick={() => onDelete(group)}
@@ -295,8 +177,8 @@ export function DetectionOptions({ options, onChange, className = '' }) {
  */
 export function DuplicateSummary({ groups, totalBookmarks, className = '' }) {
   const totalDuplicates = groups.reduce((sum, g) => sum + g.bookmarks.length - 1, 0);
-  const exactUrlDuplicates = groups
-    .filter((g) => g.type === 'exact_url')
+  const samePageDuplicates = groups
+    .filter((g) => g.type !== 'similar_title')
     .reduce((sum, g) => sum + g.bookmarks.length - 1, 0);
   const similarTitleDuplicates = groups
     .filter((g) => g.type === 'similar_title')
@@ -309,8 +191,8 @@ export function DuplicateSummary({ groups, totalBookmarks, className = '' }) {
         <div className="text-xs text-gray-500 dark:text-gray-400">Total Duplicates</div>
       </div>
       <div className="bg-white dark:bg-gray-800 rounded-lg p-3 border border-gray-200 dark:border-gray-700">
-        <div className="text-2xl font-bold text-red-600">{exactUrlDuplicates}</div>
-        <div className="text-xs text-gray-500 dark:text-gray-400">Exact URL</div>
+        <div className="text-2xl font-bold text-red-600">{samePageDuplicates}</div>
+        <div className="text-xs text-gray-500 dark:text-gray-400">Same Page</div>
       </div>
       <div className="bg-white dark:bg-gray-800 rounded-lg p-3 border border-gray-200 dark:border-gray-700">
         <div className="text-2xl font-bold text-yellow-600">{similarTitleDuplicates}</div>
@@ -431,11 +313,16 @@ export function MergeModal({ group, onConfirm, onCancel, className = '' }) {
   );
 }
 
+// Stable default, so clusters aren't recomputed on every render
+const NO_PAGES = [];
+
 /**
  * Main Duplicate Detector component
  */
 export function DuplicateDetector({
   bookmarks,
+  pages = NO_PAGES,
+  onLoadPages,
   onMerge,
   onDelete,
   isPro = false,
@@ -449,15 +336,21 @@ export function DuplicateDetector({
   const [selectedBookmarks, setSelectedBookmarks] = useState(new Set());
   const [mergeGroup, setMergeGroup] = useState(null);
   const [isScanning, setIsScanning] = useState(false);
+  const [mergingId, setMergingId] = useState(null);
+
+  // Saved page text and canonical URLs find more copies of a page
+  useEffect(() => {
+    if (isPro && onLoadPages) onLoadPages();
+  }, [isPro, onLoadPages]);
 
   // Find duplicates
   const duplicateGroups = useMemo(() => {
     if (!isPro) return [];
     setIsScanning(true);
-    const groups = findDuplicates(bookmarks, options);
+    const groups = clusterDuplicates(bookmarks, { ...options, pages });
     setIsScanning(false);
     return groups;
-  }, [bookmarks, options, isPro]);
+  }, [bookmarks, pages, options, isPro]);
 
   const handleToggleSelect = useCallback((bookmarkId) => {
     setSelectedBookmarks((prev) => {
@@ -489,6 +382,21 @@ export function DuplicateDetector({
     setMergeGroup(group);
   }, []);
 
+  const handleQuickMerge = useCallback(
+    async (group) => {
+      const [keepBookmark, ...deleteBookmarks] = group.bookmarks;
+      setMergingId(group.id);
+      try {
+        await onMerge({ keepBookmark, deleteBookmarks, mergeTags: true, mergeNotes: true });
+      } catch (err) {
+        console.error('Failed to merge duplicates:', err);
+      } finally {
+        setMergingId(null);
+      }
+    },
+    [onMerge]
+  );
+
   const handleConfirmMerge = useCallback(
     (mergeOptions) => {
       onMerge(mergeOptions);
@@ -594,15 +502,17 @@ export function DuplicateDetector({
           </div>
 
           <div className="space-y-3 max-h-96 overflow-y-auto">
-            {duplicateGroups.map((group, index) => (
+            {duplicateGroups.map((group) => (
               <DuplicateGroup
-                key={index}
+                key={group.id}
                 group={group}
                 selectedBookmarks={selectedBookmarks}
                 onToggleSelect={handleToggleSelect}
                 onSelectAll={handleSelectAll}
+                onQuickMerge={handleQuickMerge}
                 onMerge={handleMerge}
                 onDelete={handleDelete}
+                isMerging={mergingId === group.id}
               />
             ))}
           </div>
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Warnings about pages the user bookmarked again
+ * With the duplicate guard on, the background worker checks each new bookmark against
+ * the user's bookmarks on all their devices; each warning shows where the existing copy
+ * lives and lets the user open it, move it to where they just bookmarked the page, or
+ * keep both.
+ */
+
+import { useState } from 'react';
+
+/**
+ * Where a copy of the bookmark lives
+ * @param {Object} copy - Existing copy from the warning
+ * @returns {string}
+ */
+const describeCopy = (copy) => {
+  const folder = copy.folderPath || 'Bookmarks';
+  return copy.location === 'cloud' ? `${folder} (another device)` : folder;
+};
+
+/**
+ * A single duplicate warning with its actions
+ */
+export function DuplicateWarningItem({ warning, onResolve, className = '' }) {
+  const [isResolving, setIsResolving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleResolve = async (action) => {
+    setIsResolving(true);
+    setError(null);
+    const result = await onResolve(warning.id, action);
+    if (!result?.success) {
+      setError(result?.error || 'Failed to resolve duplicate');
+    }
+    setIsResolving(false);
+  };
+
+  return (
+    <div className={`rounded-lg border border-slate-200 bg-white p-3 ${className}`}>
+      <p className="truncate text-sm font-medium text-slate-900">{warning.title || warning.url}</p>
+      <p className="truncate text-xs text-slate-400">{warning.url}</p>
+
+      <p className="mt-2 text-xs text-slate-500">Already bookmarked in:</p>
+      <ul className="mt-0.5 space-y-0.5 text-xs font-medium text-slate-700">
+        {warning.copies.map((copy, index) => (
+          <li key={copy.id ?? `${copy.url}-${index}`} className="truncate">
+            {describeCopy(copy)}
+          </li>
+        ))}
+      </ul>
+
+      <div className="mt-2 flex gap-2">
+        {warning.canJump && (
+          <button
+            onClick={() => handleResolve('jump')}
+            disabled={isResolving}
+            className="rounded-md px-2 py-1 text-xs font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50"
+          >
+            Show
+          </button>
+        )}
+        {warning.canMove && (
+          <button
+            onClick={() => handleResolve('move')}
+            disabled={isResolving}
+            title="Move the existing bookmark here and remove the new one"
+            className="flex-1 rounded-md border border-slate-300 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+          >
+            Move it here
+          </button>
+        )}
+        <button
+          onClick={() => handleResolve('keep')}
+          disabled={isResolving}
+          className="flex-1 rounded-md border border-slate-300 px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+        >
+          Keep both
+        </button>
+      </div>
+
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+/**
+ * List of bookmarks the user just added that already existed
+ */
+export function DuplicateWarnings({ warnings = [], onResolve, className = '' }) {
+  if (warnings.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`rounded-lg border border-amber-300 bg-amber-50 p-3 ${className}`}>
+      <h3 className="text-sm font-semibold text-amber-800">
+        {warnings.length === 1 ? '1 duplicate bookmark' : `${warnings.length} duplicate bookmarks`}
+      </h3>
+      <p className="mt-0.5 text-xs text-amber-700">
+        You bookmarked pages you already had. Keep both copies or move the existing one.
+      </p>
+
+      <div className="mt-2 max-h-64 space-y-2 overflow-y-auto">
+        {warnings.map((warning) => (
+          <DuplicateWarningItem key={warning.id} warning={warning} onResolve={onResolve} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default DuplicateWarnings;
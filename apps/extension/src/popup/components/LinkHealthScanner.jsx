@@ -4,6 +4,7 @@
  */
 
 import { useState, useCallback, useMemo } from 'react';
+import { getUrlRewrites } from '@marksyncr/core/link-checker';
 
 /**
  * Link status constants
@@ -160,8 +161,43 @@ export function ScanSummary({ results, className = '' }) {
 /**
  * Link result item component
  */
-export function LinkResultItem({ result, onDelete, onUpdate, className = '' }) {
+export function LinkResultItem({
+  result,
+  onDelete,
+  onUpdate,
+  onFindArchive,
+  onAttachArchive,
+  className = '',
+}) {
   const [expanded, setExpanded] = useState(false);
+  // { isLoading, snapshot, error } once an archived copy has been looked up
+  const [archive, setArchive] = useState(null);
+
+  const isDead = result.status === LINK_STATUS.BROKEN || result.status === LINK_STATUS.TIMEOUT;
+
+  const handleFindArchive = async () => {
+    setArchive({ isLoading: true, snapshot: null, error: null });
+    try {
+      const snapshot = await onFindArchive(result);
+      setArchive({
+        isLoading: false,
+        snapshot,
+        error: snapshot ? null : 'No archived copy found',
+      });
+    } catch (error) {
+      console.error('Archive lookup failed:', error);
+      setArchive({ isLoading: false, snapshot: null, error: 'Could not reach the archive' });
+    }
+  };
+
+  const handleAttachArchive = async () => {
+    try {
+      await onAttachArchive(result.bookmarkId, archive.snapshot);
+      setArchive((prev) => ({ ...prev, isAttached: true }));
+    } catch (error) {
+      setArchive((prev) => ({ ...prev, error: error.message }));
+    }
+  };
 
   return (
     <div
@@ -210,6 +246,27 @@ export function LinkResultItem({ result, onDelete, onUpdate, className = '' }) {
                 </a>
               </div>
             )}
+            {result.redirectChain?.length > 1 && (
+              <div className="flex flex-col gap-1">
+                <span className="text-gray-500">Redirect chain:</span>
+                <ol className="list-decimal list-inside text-gray-700 dark:text-gray-300">
+                  {result.redirectChain.map((hop) => (
+                    <li key={hop.url} className="truncate">
+                      {hop.statusCode && <span className="font-mono">{hop.statusCode} </span>}
+                      {hop.url}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+            {result.canonicalUrl && result.canonicalUrl !== result.url && (
+              <div className="flex flex-col gap-1">
+                <span className="text-gray-500">Canonical URL:</span>
+                <span className="text-gray-900 dark:text-white truncate">
+                  {result.canonicalUrl}
+                </span>
+              </div>
+            )}
             {result.errorMessage && (
               <div className="flex flex-col gap-1">
                 <span className="text-gray-500">Error:</span>
@@ -226,6 +283,58 @@ export function LinkResultItem({ result, onDelete, onUpdate, className = '' }) {
             )}
           </div>
 
+          {isDead && onFindArchive && (
+            <div className="mt-3 space-y-2 text-xs">
+              {!archive?.snapshot && (
+                <button
+                  onClick={handleFindArchive}
+                  disabled={archive?.isLoading}
+                  className="w-full px-2 py-1.5 font-medium text-purple-600 
+                             bg-purple-50 dark:bg-purple-900/20 rounded hover:bg-purple-100
+                             disabled:opacity-50"
+                >
+                  {archive?.isLoading ? 'Searching the archive...' : 'Find Archived Copy'}
+                </button>
+              )}
+              {archive?.error && <p className="text-gray-500">{archive.error}</p>}
+              {archive?.snapshot && (
+                <div className="flex flex-col gap-1">
+                  <span className="text-gray-500">
+                    Archived {new Date(archive.snapshot.timestamp).toLocaleDateString()}:
+                  </span>
+                  <a
+                    href={archive.snapshot.archivedUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-blue-600 hover:underline truncate"
+                  >
+                    {archive.snapshot.archivedUrl}
+                  </a>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => onUpdate(result.bookmarkId, archive.snapshot.archivedUrl)}
+                      className="flex-1 px-2 py-1.5 font-medium text-blue-600 
+                                 bg-blue-50 dark:bg-blue-900/20 rounded hover:bg-blue-100"
+                    >
+                      Use Archived URL
+                    </button>
+                    {onAttachArchive && (
+                      <button
+                        onClick={handleAttachArchive}
+                        disabled={archive.isAttached}
+                        className="flex-1 px-2 py-1.5 font-medium text-purple-600 
+                                   bg-purple-50 dark:bg-purple-900/20 rounded hover:bg-purple-100
+                                   disabled:opacity-50"
+                      >
+                        {archive.isAttached ? 'Archived Copy Added' : 'Add Archived Copy'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="mt-3 flex gap-2">
             {result.status === LINK_STATUS.REDIRECT && result.redirectUrl && (
               <button
@@ -298,6 +407,8 @@ export function LinkHealthScanner({
   onScan,
   onDeleteBookmark,
   onUpdateBookmark,
+  onFindArchivedSnapshot,
+  onAttachArchivedSnapshot,
   isPro = false,
   onUpgradeClick,
   className = '',
@@ -385,6 +496,29 @@ export function LinkHealthScanner({
     [onUpdateBookmark]
   );
 
+  // Look for the copy archived closest to when the page was bookmarked, while it still worked
+  const handleFindArchive = useCallback(
+    (result) => {
+      const bookmark = bookmarks.find((b) => b.id === result.bookmarkId);
+      return onFindArchivedSnapshot(result.url, bookmark?.dateAdded);
+    },
+    [bookmarks, onFindArchivedSnapshot]
+  );
+
+  // Redirected links that can be pointed at their final URL in one go
+  const rewrites = useMemo(() => getUrlRewrites(results), [results]);
+
+  const handleUpdateAll = useCallback(() => {
+    const count = rewrites.length;
+    if (
+      confirm(
+        `Update ${count} ${count === 1 ? 'bookmark' : 'bookmarks'} to the URL they redirect to?`
+      )
+    ) {
+      rewrites.forEach(({ bookmarkId, newUrl }) => handleUpdate(bookmarkId, newUrl));
+    }
+  }, [rewrites, handleUpdate]);
+
   // Show upgrade prompt for non-Pro users
   if (!isPro) {
     return (
@@ -486,6 +620,17 @@ export function LinkHealthScanner({
             counts={counts}
           />
 
+          {rewrites.length > 0 && (
+            <button
+              onClick={handleUpdateAll}
+              className="w-full px-3 py-2 text-xs font-medium text-blue-600
+                         bg-blue-50 dark:bg-blue-900/20 rounded-lg hover:bg-blue-100"
+            >
+              Update {rewrites.length} redirected {rewrites.length === 1 ? 'link' : 'links'} to
+              their final URL
+            </button>
+          )}
+
           <div className="space-y-2 max-h-96 overflow-y-auto">
             {filteredResults.length === 0 ? (
               <div className="text-center py-8">
@@ -513,6 +658,8 @@ export function LinkHealthScanner({
                   result={result}
                   onDelete={handleDelete}
                   onUpdate={handleUpdate}
+                  onFindArchive={onFindArchivedSnapshot && handleFindArchive}
+                  onAttachArchive={onAttachArchivedSnapshot}
                 />
               ))
             )}
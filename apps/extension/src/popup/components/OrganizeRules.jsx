@@ -0,0 +1,444 @@
+/**
+ * @fileoverview Editor for auto-organize rules
+ * Each rule pairs conditions on a bookmark's URL, domain, title, folder or tags with
+ * actions that move, tag, untag, rename or archive it. New bookmarks run through the
+ * saved rules; the user can preview what the rules would change across the library
+ * before running them on it.
+ */
+
+import { useState, useEffect } from 'react';
+import { RULE_FIELDS, RULE_OPERATORS, RULE_ACTIONS } from '@marksyncr/core/organize-rules';
+
+const FIELD_LABELS = {
+  url: 'URL',
+  domain: 'Domain',
+  title: 'Title',
+  folder: 'Folder',
+  tags: 'Tag',
+};
+
+const OPERATOR_LABELS = {
+  is: 'is',
+  contains: 'contains',
+  startsWith: 'starts with',
+  endsWith: 'ends with',
+  matches: 'matches pattern',
+};
+
+const ACTION_LABELS = {
+  move: 'Move to folder',
+  tag: 'Add tag',
+  untag: 'Remove tag',
+  rename: 'Rename to',
+  archive: 'Save to web archive',
+};
+
+const ACTION_PLACEHOLDERS = {
+  move: 'Dev/GitHub',
+  tag: 'code',
+  untag: 'inbox',
+  rename: '{title} ({domain})',
+};
+
+const inputClass =
+  'rounded-md border border-slate-300 px-2 py-1 text-sm focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500';
+
+// Stable default, so the draft isn't reset on every render
+const NO_RULES = [];
+
+const newCondition = () => ({ field: 'domain', operator: 'is', value: '' });
+
+const newAction = () => ({ type: 'move', value: '' });
+
+const newRule = () => ({
+  id: `rule-${Date.now().toString(36)}`,
+  name: '',
+  enabled: true,
+  match: 'all',
+  conditions: [newCondition()],
+  actions: [newAction()],
+  stop: false,
+});
+
+/**
+ * One rule: its conditions and actions
+ */
+export function OrganizeRuleEditor({ rule, index, count, onChange, onMove, onRemove }) {
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const updateItem = (key, i, changes) =>
+    update({ [key]: rule[key].map((item, j) => (j === i ? { ...item, ...changes } : item)) });
+
+  const removeItem = (key, i) => update({ [key]: rule[key].filter((_, j) => j !== i) });
+
+  return (
+    <div className="rounded-lg border border-slate-200 p-3">
+      <div className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={rule.enabled !== false}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          aria-label="Enabled"
+        />
+        <input
+          value={rule.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder={`Rule ${index + 1}`}
+          aria-label="Rule name"
+          className={`flex-1 ${inputClass}`}
+        />
+        <button
+          type="button"
+          onClick={() => onMove(-1)}
+          disabled={index === 0}
+          aria-label="Move up"
+          className="px-1 text-slate-500 hover:text-slate-700 disabled:opacity-30"
+        >
+          ↑
+        </button>
+        <button
+          type="button"
+          onClick={() => onMove(1)}
+          disabled={index === count - 1}
+          aria-label="Move down"
+          className="px-1 text-slate-500 hover:text-slate-700 disabled:opacity-30"
+        >
+          ↓
+        </button>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="text-xs font-medium text-red-600 hover:text-red-700"
+        >
+          Delete
+        </button>
+      </div>
+
+      <div className="mt-3 flex items-center gap-2 text-sm text-slate-700">
+        If
+        <select
+          value={rule.match}
+          onChange={(e) => update({ match: e.target.value })}
+          aria-label="Match"
+          className={inputClass}
+        >
+          <option value="all">all</option>
+          <option value="any">any</option>
+        </select>
+        of these hold:
+      </div>
+
+      <div className="mt-2 space-y-2">
+        {rule.conditions.map((condition, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <select
+              value={condition.field}
+              onChange={(e) => updateItem('conditions', i, { field: e.target.value })}
+              aria-label="Field"
+              className={inputClass}
+            >
+              {RULE_FIELDS.map((field) => (
+                <option key={field} value={field}>
+                  {FIELD_LABELS[field]}
+                </option>
+              ))}
+            </select>
+            <select
+              value={condition.negate ? `not-${condition.operator}` : condition.operator}
+              onChange={(e) => {
+                const negate = e.target.value.startsWith('not-');
+                updateItem('conditions', i, {
+                  operator: e.target.value.replace(/^not-/, ''),
+                  negate,
+                });
+              }}
+              aria-label="Operator"
+              className={inputClass}
+            >
+              {RULE_OPERATORS.map((operator) => (
+                <option key={operator} value={operator}>
+                  {OPERATOR_LABELS[operator]}
+                </option>
+              ))}
+              {RULE_OPERATORS.map((operator) => (
+                <option key={`not-${operator}`} value={`not-${operator}`}>
+                  not {OPERATOR_LABELS[operator]}
+                </option>
+              ))}
+            </select>
+            <input
+              value={condition.value}
+              onChange={(e) => updateItem('conditions', i, { value: e.target.value })}
+              placeholder={condition.operator === 'matches' ? '/invoice/i' : ''}
+              aria-label="Value"
+              className={`min-w-0 flex-1 ${inputClass}`}
+            />
+            <button
+              type="button"
+              onClick={() => removeItem('conditions', i)}
+              disabled={rule.conditions.length === 1}
+              aria-label="Remove condition"
+              className="px-1 text-slate-400 hover:text-slate-600 disabled:opacity-30"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => update({ conditions: [...rule.conditions, newCondition()] })}
+          className="text-xs font-medium text-primary-600 hover:text-primary-700"
+        >
+          + Condition
+        </button>
+      </div>
+
+      <p className="mt-3 text-sm text-slate-700">Then:</p>
+      <div className="mt-2 space-y-2">
+        {rule.actions.map((action, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <select
+              value={action.type}
+              onChange={(e) => updateItem('actions', i, { type: e.target.value })}
+              aria-label="Action"
+              className={inputClass}
+            >
+              {RULE_ACTIONS.map((type) => (
+                <option key={type} value={type}>
+                  {ACTION_LABELS[type]}
+                </option>
+              ))}
+            </select>
+            {action.type !== 'archive' && (
+              <input
+                value={action.value ?? ''}
+                onChange={(e) => updateItem('actions', i, { value: e.target.value })}
+                placeholder={ACTION_PLACEHOLDERS[action.type]}
+                aria-label="Action value"
+                className={`min-w-0 flex-1 ${inputClass}`}
+              />
+            )}
+            <button
+              type="button"
+              onClick={() => removeItem('actions', i)}
+              disabled={rule.actions.length === 1}
+              aria-label="Remove action"
+              className="ml-auto px-1 text-slate-400 hover:text-slate-600 disabled:opacity-30"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => update({ actions: [...rule.actions, newAction()] })}
+          className="text-xs font-medium text-primary-600 hover:text-primary-700"
+        >
+          + Action
+        </button>
+      </div>
+
+      <label className="mt-3 flex items-center gap-2 text-xs text-slate-600">
+        <input
+          type="checkbox"
+          checked={!!rule.stop}
+          onChange={(e) => update({ stop: e.target.checked })}
+        />
+        Skip the rules below when this one matches
+      </label>
+    </div>
+  );
+}
+
+/**
+ * What the rules would change, from a dry run
+ */
+export function OrganizeRulesPreview({ preview }) {
+  const { summary, changes, archive, newFolders } = preview;
+
+  if (summary.total === 0 && archive.length === 0) {
+    return <p className="text-sm text-slate-500">No bookmarks match these rules.</p>;
+  }
+
+  return (
+    <div className="rounded-lg border border-slate-200 bg-slate-50 p-3">
+      <p className="text-sm font-medium text-slate-900">
+        {`${summary.total} ${summary.total === 1 ? 'bookmark' : 'bookmarks'} would change ` +
+          `(${summary.moved} moved, ${summary.modified} edited in place)`}
+        {archive.length > 0 && `, ${archive.length} saved to the web archive`}
+      </p>
+      {newFolders.length > 0 && (
+        <p className="mt-1 text-xs text-slate-600">New folders: {newFolders.join(', ')}</p>
+      )}
+
+      <ul className="mt-2 max-h-64 space-y-1 overflow-y-auto text-xs text-slate-700">
+        {changes.map((change) => (
+          <li key={change.id} className="truncate">
+            <span className="font-medium">{change.title || change.url}</span>
+            {change.previousTitle && <> (was {change.previousTitle})</>}
+            {change.newFolder && (
+              <>
+                : {change.folder} → {change.newFolder}
+              </>
+            )}
+            {change.addedTags.length > 0 && <> +{change.addedTags.join(' +')}</>}
+            {change.removedTags.length > 0 && <> −{change.removedTags.join(' −')}</>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Auto-organize rules with save, preview and run
+ */
+export function OrganizeRules({ rules = NO_RULES, onSave, onRun, className = '' }) {
+  const [draft, setDraft] = useState(rules);
+  const [isDirty, setIsDirty] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setDraft(rules);
+    setIsDirty(false);
+  }, [rules]);
+
+  const edit = (next) => {
+    setDraft(next);
+    setIsDirty(true);
+    setPreview(null);
+  };
+
+  const updateRule = (index, rule) => edit(draft.map((r, i) => (i === index ? rule : r)));
+
+  const moveRule = (index, offset) => {
+    const next = [...draft];
+    const [rule] = next.splice(index, 1);
+    next.splice(index + offset, 0, rule);
+    edit(next);
+  };
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setMessage(null);
+    await action();
+    setIsBusy(false);
+  };
+
+  const handleSave = () =>
+    run(async () => {
+      const result = await onSave(draft);
+      setMessage(
+        result?.success
+          ? {
+              type: 'success',
+              text: result.synced
+                ? 'Saved. Your other devices get these rules on their next sync.'
+                : 'Saved in this browser.',
+            }
+          : { type: 'error', text: result?.error || 'Failed to save rules.' }
+      );
+    });
+
+  const handlePreview = () =>
+    run(async () => {
+      const result = await onRun({ dryRun: true, rules: draft });
+      if (result?.success) {
+        setPreview(result);
+      } else {
+        setMessage({ type: 'error', text: result?.error || 'Failed to preview rules.' });
+      }
+    });
+
+  const handleApply = () =>
+    run(async () => {
+      const result = await onRun({ dryRun: false });
+      setPreview(null);
+      setMessage(
+        result?.success
+          ? {
+              type: result.failed ? 'error' : 'success',
+              text: `Organized ${result.applied} bookmarks${
+                result.failed ? `; ${result.failed} could not be changed` : ''
+              }${result.archived ? `, saved ${result.archived} to the web archive` : ''}.`,
+            }
+          : { type: 'error', text: result?.error || 'Failed to run rules.' }
+      );
+    });
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <p className="text-sm text-slate-600">
+        Rules run in order on every bookmark you add. Folders like <code>Dev/GitHub</code> are
+        inside the bookmark&apos;s own root folder unless they start with one, e.g.{' '}
+        <code>Other Bookmarks/Finance</code>. Patterns are regular expressions, e.g.{' '}
+        <code>/invoice/i</code>.
+      </p>
+
+      {message && (
+        <div
+          className={`rounded-lg p-3 text-sm ${
+            message.type === 'error'
+              ? 'border border-red-200 bg-red-50 text-red-700'
+              : 'border border-green-200 bg-green-50 text-green-700'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {draft.map((rule, index) => (
+        <OrganizeRuleEditor
+          key={rule.id}
+          rule={rule}
+          index={index}
+          count={draft.length}
+          onChange={(next) => updateRule(index, next)}
+          onMove={(offset) => moveRule(index, offset)}
+          onRemove={() => edit(draft.filter((_, i) => i !== index))}
+        />
+      ))}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={() => edit([...draft, newRule()])}
+          className="rounded-lg border border-slate-300 px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+        >
+          Add rule
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={isBusy || !isDirty}
+          className="rounded-lg bg-primary-600 px-3 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+        >
+          Save rules
+        </button>
+        <button
+          type="button"
+          onClick={handlePreview}
+          disabled={isBusy || draft.length === 0}
+          className="rounded-lg border border-slate-300 px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+        >
+          Preview on all bookmarks
+        </button>
+        <button
+          type="button"
+          onClick={handleApply}
+          disabled={isBusy || isDirty || draft.length === 0}
+          title={isDirty ? 'Save the rules first' : undefined}
+          className="rounded-lg border border-slate-300 px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+        >
+          Run on all bookmarks
+        </button>
+      </div>
+
+      {preview && <OrganizeRulesPreview preview={preview} />}
+    </div>
+  );
+}
+
+export default OrganizeRules;
@@ -3,12 +3,14 @@
  * Displays Pro features section in the extension popup with actual feature components
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { TagManager, TagSelector } from './TagManager.jsx';
 import { NotesEditor } from './NotesEditor.jsx';
 import { SmartSearch } from './SmartSearch.jsx';
 import { DuplicateDetector } from './DuplicateDetector.jsx';
 import { LinkHealthScanner } from './LinkHealthScanner.jsx';
+import { SavedPages } from './SavedPages.jsx';
+import { SaveCurrentPage, BulkTagger } from './TagSuggestions.jsx';
 import { useStore } from '../../store/index.js';
 
 // Icons
@@ -90,6 +92,17 @@ const TagIcon = ({ className = '' }) => (
   </svg>
 );
 
+const DocumentIcon = ({ className = '' }) => (
+  <svg className={className} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      strokeWidth={2}
+      d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+    />
+  </svg>
+);
+
 /**
  * Collapsible section component
  */
@@ -165,6 +178,7 @@ export function ProFeaturesList() {
     { icon: SearchIcon, name: 'Smart Search', description: 'Full-text search with filters' },
     { icon: LinkIcon, name: 'Link Health', description: 'Find and fix broken links' },
     { icon: DuplicateIcon, name: 'Duplicates', description: 'Find and merge duplicates' },
+    { icon: DocumentIcon, name: 'Offline Reading', description: 'Read saved pages offline' },
   ];
 
   return (
@@ -214,13 +228,29 @@ export function ProFeaturesPanel({
     deleteBookmark,
     updateBookmark,
     scanLinks,
+    linkScanResults,
+    findArchivedSnapshot,
+    attachArchivedSnapshot,
+    savedPages,
+    fetchSavedPages,
+    removeSavedPage,
+    settings,
     mergeDuplicates,
     deleteMultipleBookmarks,
     openUpgradePage,
     setSelectedBookmark,
+    syncSearchIndex,
+    searchFullText,
+    isIndexingSearch,
+    openBookmark,
+    suggestBookmarkTags,
+    suggestUntaggedBookmarkTags,
+    tagBookmarks,
+    getCurrentPage,
+    saveCurrentPage,
   } = useStore();
 
-  const [activeFeature, setActiveFeature] = useState(null); // 'search' | 'duplicates' | 'links' | 'tags' | null
+  const [activeFeature, setActiveFeature] = useState(null); // 'search' | 'duplicates' | 'links' | 'saved' | 'tags' | null
 
   // Fetch bookmarks when Pro features are accessed
   useEffect(() => {
@@ -229,6 +259,20 @@ export function ProFeaturesPanel({
     }
   }, [isPro, bookmarks.length, isLoadingBookmarks, fetchBookmarks]);
 
+  // Results of the last link scan, so search can filter with is:broken and friends
+  const searchableBookmarks = useMemo(() => {
+    if (!linkScanResults?.length) return bookmarks;
+    const statuses = new Map(linkScanResults.map((result) => [result.bookmarkId, result.status]));
+    return bookmarks.map((bookmark) =>
+      statuses.has(bookmark.id) ? { ...bookmark, linkStatus: statuses.get(bookmark.id) } : bookmark
+    );
+  }, [bookmarks, linkScanResults]);
+
+  const selectedBookmarkSuggestions = useMemo(
+    () => (selectedBookmark ? suggestBookmarkTags(selectedBookmark) : []),
+    [selectedBookmark, suggestBookmarkTags, bookmarks, tags]
+  );
+
   // Handle bookmark click from search results
   const handleBookmarkClick = (bookmark) => {
     setSelectedBookmark(bookmark);
@@ -292,6 +336,17 @@ export function ProFeaturesPanel({
           <LinkIcon className="h-4 w-4" />
           Link Health
         </button>
+        <button
+          onClick={() => setActiveFeature(activeFeature === 'saved' ? null : 'saved')}
+          className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+            activeFeature === 'saved'
+              ? 'bg-primary-600 text-white'
+              : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+          }`}
+        >
+          <DocumentIcon className="h-4 w-4" />
+          Saved
+        </button>
         <button
           onClick={() => setActiveFeature(activeFeature === 'tags' ? null : 'tags')}
           className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
@@ -311,8 +366,12 @@ export function ProFeaturesPanel({
         {activeFeature === 'search' && (
           <div className="border border-slate-200 rounded-lg p-4">
             <SmartSearch
-              bookmarks={bookmarks}
+              bookmarks={searchableBookmarks}
               onBookmarkClick={handleBookmarkClick}
+              onOpenBookmark={openBookmark}
+              onSearchFullText={searchFullText}
+              onSyncSearchIndex={syncSearchIndex}
+              isIndexing={isIndexingSearch}
               isPro={isPro}
               onUpgradeClick={openUpgradePage}
             />
@@ -324,6 +383,8 @@ export function ProFeaturesPanel({
           <div className="border border-slate-200 rounded-lg p-4">
             <DuplicateDetector
               bookmarks={bookmarks}
+              pages={savedPages}
+              onLoadPages={fetchSavedPages}
               onMerge={mergeDuplicates}
               onDelete={deleteMultipleBookmarks}
               isPro={isPro}
@@ -340,17 +401,40 @@ export function ProFeaturesPanel({
               onScan={scanLinks}
               onDeleteBookmark={deleteBookmark}
               onUpdateBookmark={updateBookmark}
+              onFindArchivedSnapshot={findArchivedSnapshot}
+              onAttachArchivedSnapshot={attachArchivedSnapshot}
               isPro={isPro}
               onUpgradeClick={openUpgradePage}
             />
           </div>
         )}
 
+        {/* Saved Pages */}
+        {activeFeature === 'saved' && (
+          <div className="border border-slate-200 rounded-lg p-4">
+            <SavedPages
+              pages={savedPages}
+              onLoad={fetchSavedPages}
+              onRemove={removeSavedPage}
+              captureEnabled={settings?.capturePages}
+            />
+          </div>
+        )}
+
         {/* Tags & Notes Management */}
         {activeFeature === 'tags' && (
           <div className="space-y-4">
+            {/* Bookmark the page in the current tab */}
+            <CollapsibleSection title="This Page" icon={TagIcon} defaultOpen={!selectedBookmark}>
+              <SaveCurrentPage
+                onLoad={getCurrentPage}
+                onSuggest={suggestBookmarkTags}
+                onSave={saveCurrentPage}
+              />
+            </CollapsibleSection>
+
             {/* Tag Manager */}
-            <CollapsibleSection title="Manage Tags" icon={TagIcon} defaultOpen={!selectedBookmark}>
+            <CollapsibleSection title="Manage Tags" icon={TagIcon}>
               <TagManager
                 tags={tags}
                 onCreateTag={onCreateTag}
@@ -375,6 +459,7 @@ export function ProFeaturesPanel({
                     tags={tags}
                     selectedTags={selectedBookmark.tags || []}
                     onTagsChange={(newTags) => onSaveBookmarkTags(selectedBookmark.id, newTags)}
+                    suggestions={selectedBookmarkSuggestions}
                   />
 
                   <NotesEditor
@@ -386,6 +471,11 @@ export function ProFeaturesPanel({
                 </div>
               </CollapsibleSection>
             )}
+
+            {/* Suggested tags for untagged bookmarks */}
+            <CollapsibleSection title="Tag Untagged Bookmarks" icon={SparklesIcon}>
+              <BulkTagger onFind={suggestUntaggedBookmarkTags} onApply={tagBookmarks} />
+            </CollapsibleSection>
           </div>
         )}
 
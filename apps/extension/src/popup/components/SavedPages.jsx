@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Saved Pages component for reading captured pages offline
+ * Lists the pages the background captured as they were bookmarked and shows their
+ * readable copy, without a network connection.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { sanitizeHtml } from '@marksyncr/core/page-capture';
+
+// Article styles; snapshots only contain the tags kept by sanitizeHtml
+const ARTICLE_CLASSES = [
+  'space-y-3 text-sm leading-relaxed text-slate-800',
+  '[&_h2]:text-base [&_h2]:font-semibold [&_h3]:font-semibold',
+  '[&_a]:text-primary-600 [&_a]:underline [&_img]:max-w-full [&_img]:h-auto',
+  '[&_ul]:list-disc [&_ul]:pl-5 [&_ol]:list-decimal [&_ol]:pl-5',
+  '[&_blockquote]:border-l-4 [&_blockquote]:pl-3 [&_blockquote]:text-slate-600',
+  '[&_pre]:overflow-x-auto [&_pre]:bg-slate-100 [&_pre]:p-2 [&_code]:font-mono',
+].join(' ');
+
+/**
+ * Readable copy of one saved page
+ */
+export function SavedPageReader({ page, onBack }) {
+  // Re-sanitized here too: the copy is rendered as HTML in the extension
+  const content = useMemo(() => sanitizeHtml(page.content || '', page.url).html, [page]);
+
+  return (
+    <div className="space-y-3">
+      <button onClick={onBack} className="text-xs text-primary-600 hover:text-primary-700">
+        ← Saved pages
+      </button>
+      <div>
+        <p className="text-xs text-slate-500">{page.siteName}</p>
+        <h3 className="text-base font-semibold text-slate-900">{page.title}</h3>
+        <p className="text-xs text-slate-500">
+          {page.byline && `${page.byline} · `}
+          Saved {new Date(page.capturedAt).toLocaleDateString()} ·{' '}
+          <a
+            href={page.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-primary-600 hover:underline"
+          >
+            Original page
+          </a>
+        </p>
+      </div>
+      <div
+        className={`max-h-96 overflow-y-auto ${ARTICLE_CLASSES}`}
+        dangerouslySetInnerHTML={{ __html: content }}
+      />
+      {page.truncated && (
+        <p className="text-xs text-slate-500">This page was too long to save in full.</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Main Saved Pages component
+ */
+export function SavedPages({ pages, onLoad, onRemove, captureEnabled = false, className = '' }) {
+  const [openUrl, setOpenUrl] = useState(null);
+
+  useEffect(() => {
+    onLoad();
+  }, [onLoad]);
+
+  const openPage = pages.find((page) => page.url === openUrl);
+  if (openPage) {
+    return (
+      <div className={className}>
+        <SavedPageReader page={openPage} onBack={() => setOpenUrl(null)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <div>
+        <h3 className="text-sm font-semibold text-slate-900">Saved Pages</h3>
+        <p className="text-xs text-slate-500">
+          Readable copies of the pages you bookmark, available offline.
+        </p>
+      </div>
+
+      {!captureEnabled && (
+        <p className="rounded-lg bg-slate-50 p-2 text-xs text-slate-600">
+          Turn on &quot;Save Pages for Offline Reading&quot; in Settings to save pages as you
+          bookmark them.
+        </p>
+      )}
+
+      {pages.length === 0 ? (
+        <p className="py-6 text-center text-sm text-slate-500">No saved pages yet.</p>
+      ) : (
+        <ul className="max-h-80 divide-y divide-slate-100 overflow-y-auto">
+          {pages.map((page) => (
+            <li key={page.url} className="flex items-start gap-2 py-2">
+              <button onClick={() => setOpenUrl(page.url)} className="min-w-0 flex-1 text-left">
+                <span className="block truncate text-sm font-medium text-slate-900">
+                  {page.title}
+                </span>
+                <span className="block truncate text-xs text-slate-500">
+                  {page.siteName} · {page.wordCount} words ·{' '}
+                  {new Date(page.capturedAt).toLocaleDateString()}
+                </span>
+              </button>
+              <button
+                onClick={() => onRemove(page.url)}
+                title="Remove from this browser"
+                className="text-xs text-slate-400 hover:text-red-600"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <a
+        href="https://marksyncr.com/dashboard/snapshots"
+        target="_blank"
+        rel="noopener noreferrer"
+        className="block text-center text-xs text-primary-600 hover:text-primary-700"
+      >
+        All saved pages on marksyncr.com
+      </a>
+    </div>
+  );
+}
+
+export default SavedPages;
@@ -1,10 +1,21 @@
 /**
  * @fileoverview Smart Search component for bookmark searching with filters
- * Pro feature: Advanced search with fuzzy matching and filters
+ * Pro feature: Advanced search with fuzzy matching and filters, or full-text search
+ * over saved page text. Queries can use operators such as tag:, domain:, folder:,
+ * before:, after: and is:, with autocomplete.
  */
 
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import Fuse from 'fuse.js';
+import { highlightSegments } from '@marksyncr/core/full-text-search';
+import {
+  compileSearchQuery,
+  extractDomains,
+  extractTags,
+  filterByQuery,
+  getOperatorSuggestions,
+} from '@marksyncr/core/smart-search';
+import { isTagWithin } from '@marksyncr/core/tag-hierarchy';
 
 /**
  * Default Fuse.js options for bookmark search
@@ -22,26 +33,6 @@ const DEFAULT_FUSE_OPTIONS = {
   minMatchCharLength: 2,
 };
 
-/**
- * Extract unique domains from bookmarks
- * @param {Array} bookmarks - Flat array of bookmarks
- * @returns {Array} Unique domains
- */
-const extractDomains = (bookmarks) => {
-  const domains = new Set();
-  bookmarks.forEach((bookmark) => {
-    if (bookmark.url) {
-      try {
-        const url = new URL(bookmark.url);
-        domains.add(url.hostname);
-      } catch {
-        // Invalid URL, skip
-      }
-    }
-  });
-  return Array.from(domains).sort();
-};
-
 /**
  * Extract unique folders from bookmarks
  * @param {Array} bookmarks - Flat array of bookmarks
@@ -58,23 +49,20 @@ const extractFolders = (bookmarks) => {
 };
 
 /**
- * Extract unique tags from bookmarks
- * @param {Array} bookmarks - Flat array of bookmarks
- * @returns {Array} Unique tags
+ * Render a full-text snippet with its matches marked
+ * @param {{text: string, highlights: Array<[number, number]>}} snippet
+ * @returns {Array}
  */
-const extractTags = (bookmarks) => {
-  const tags = new Map();
-  bookmarks.forEach((bookmark) => {
-    if (bookmark.tags && Array.isArray(bookmark.tags)) {
-      bookmark.tags.forEach((tag) => {
-        if (!tags.has(tag.id)) {
-          tags.set(tag.id, tag);
-        }
-      });
-    }
-  });
-  return Array.from(tags.values()).sort((a, b) => a.name.localeCompare(b.name));
-};
+const renderSnippet = (snippet) =>
+  highlightSegments(snippet).map((segment, index) =>
+    segment.highlight ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-800 rounded px-0.5">
+        {segment.text}
+      </mark>
+    ) : (
+      segment.text
+    )
+  );
 
 /**
  * Smart Search input with autocomplete
@@ -83,9 +71,35 @@ export function SearchInput({
   value,
   onChange,
   onClear,
+  suggestions = [],
   placeholder = 'Search bookmarks...',
   className = '',
 }) {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const open = showSuggestions && suggestions.length > 0;
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [suggestions]);
+
+  const handleKeyDown = (e) => {
+    if (!open) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((index) => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => (index - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      onChange(suggestions[activeIndex].query);
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+    }
+  };
+
   return (
     <div className={`relative ${className}`}>
       <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
@@ -106,8 +120,17 @@ export function SearchInput({
       <input
         type="text"
         value={value}
-        onChange={(e) => onChange(e.target.value)}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setShowSuggestions(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setShowSuggestions(true)}
+        onBlur={() => setShowSuggestions(false)}
         placeholder={placeholder}
+        role="combobox"
+        aria-expanded={open}
+        aria-autocomplete="list"
         className="block w-full pl-10 pr-10 py-2 border border-gray-300 rounded-lg 
                    text-sm placeholder-gray-400 focus:outline-none focus:ring-2 
                    focus:ring-blue-500 focus:border-transparent
@@ -130,6 +153,34 @@ export function SearchInput({
           </svg>
         </button>
       )}
+      {open && (
+        <ul
+          role="listbox"
+          className="absolute z-10 mt-1 w-full max-h-48 overflow-y-auto rounded-lg border border-gray-200
+                     bg-white shadow-lg dark:bg-gray-700 dark:border-gray-600"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.label}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input, which would otherwise close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                onChange(suggestion.query);
+              }}
+              className={`px-3 py-1.5 cursor-pointer text-sm ${
+                index === activeIndex ? 'bg-blue-50 dark:bg-blue-900/30' : ''
+              }`}
+            >
+              <span className="font-mono text-gray-900 dark:text-white">{suggestion.label}</span>
+              <span className="block text-xs text-gray-500 dark:text-gray-400">
+                {suggestion.description}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
@@ -269,7 +320,15 @@ export function SearchFilters({
 /**
  * Search result item component
  */
-export function SearchResultItem({ bookmark, matches, onClick, className = '' }) {
+export function SearchResultItem({
+  bookmark,
+  matches,
+  title,
+  snippet,
+  onClick,
+  onOpen,
+  className = '',
+}) {
   const highlightMatches = (text, matchIndices) => {
     if (!matchIndices || matchIndices.length === 0) {
       return text;
@@ -317,11 +376,20 @@ export function SearchResultItem({ bookmark, matches, onClick, className = '' })
         />
         <div className="flex-1 min-w-0">
           <h4 className="text-sm font-medium text-gray-900 dark:text-white truncate">
-            {titleMatch ? highlightMatches(bookmark.title, titleMatch.indices) : bookmark.title}
+            {title
+              ? renderSnippet(title)
+              : titleMatch
+                ? highlightMatches(bookmark.title, titleMatch.indices)
+                : bookmark.title}
           </h4>
           <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
             {urlMatch ? highlightMatches(bookmark.url, urlMatch.indices) : bookmark.url}
           </p>
+          {snippet && (
+            <p className="mt-1 text-xs text-gray-600 dark:text-gray-300 line-clamp-2">
+              {renderSnippet(snippet)}
+            </p>
+          )}
           {bookmark.tags && bookmark.tags.length > 0 && (
             <div className="flex gap-1 mt-1 flex-wrap">
               {bookmark.tags.slice(0, 3).map((tag) => (
@@ -339,6 +407,25 @@ export function SearchResultItem({ bookmark, matches, onClick, className = '' })
             </div>
           )}
         </div>
+        {onOpen && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onOpen(bookmark);
+            }}
+            title="Open bookmark"
+            className="flex-shrink-0 text-gray-400 hover:text-blue-600"
+          >
+            <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"
+              />
+            </svg>
+          </button>
+        )}
       </div>
     </div>
   );
@@ -352,6 +439,7 @@ export function SearchResults({
   isLoading,
   query,
   onResultClick,
+  onResultOpen,
   emptyMessage = 'No bookmarks found',
   className = '',
 }) {
@@ -394,7 +482,10 @@ export function SearchResults({
           key={result.item?.id || result.id}
           bookmark={result.item || result}
           matches={result.matches}
+          title={result.title}
+          snippet={result.snippet}
           onClick={onResultClick}
+          onOpen={onResultOpen}
         />
       ))}
     </div>
@@ -403,16 +494,22 @@ export function SearchResults({
 
 /**
  * Main Smart Search component
- * Combines search input, filters, and results
+ * Combines search input, filters, and results. With onSearchFullText, queries can
+ * also match the text of saved pages.
  */
 export function SmartSearch({
   bookmarks,
   onBookmarkClick,
+  onOpenBookmark,
+  onSearchFullText,
+  onSyncSearchIndex,
+  isIndexing = false,
   isPro = false,
   onUpgradeClick,
   className = '',
 }) {
   const [query, setQuery] = useState('');
+  const [searchPageText, setSearchPageText] = useState(Boolean(onSearchFullText));
   const [showFilters, setShowFilters] = useState(false);
   const [filters, setFilters] = useState({
     folder: '',
@@ -429,12 +526,20 @@ export function SmartSearch({
   const tags = useMemo(() => extractTags(bookmarks), [bookmarks]);
   const domains = useMemo(() => extractDomains(bookmarks), [bookmarks]);
 
+  // Query operators and the rest of the query, and completions for what's being typed
+  const compiledQuery = useMemo(() => compileSearchQuery(query), [query]);
+  const suggestions = useMemo(
+    () => getOperatorSuggestions(query, { tags, domains, folders }),
+    [query, tags, domains, folders]
+  );
+
   // Create Fuse instance
   const fuse = useMemo(() => new Fuse(bookmarks, DEFAULT_FUSE_OPTIONS), [bookmarks]);
 
   // Apply filters to results
   const applyFilters = useCallback(
     (items) => {
+      const filterTagName = tags.find((tag) => tag.id === filters.tag)?.name;
       return items.filter((item) => {
         const bookmark = item.item || item;
 
@@ -443,9 +548,11 @@ export function SmartSearch({
           return false;
         }
 
-        // Tag filter
+        // Tag filter; a parent tag also matches the tags nested under it
         if (filters.tag) {
-          const hasTag = bookmark.tags?.some((t) => t.id === filters.tag);
+          const hasTag = bookmark.tags?.some(
+            (t) => t.id === filters.tag || (filterTagName && isTagWithin(t, filterTagName))
+          );
           if (!hasTag) return false;
         }
 
@@ -475,24 +582,53 @@ export function SmartSearch({
         return true;
       });
     },
-    [filters]
+    [filters, tags]
   );
 
-  // Perform search
+  const fullText = searchPageText && Boolean(onSearchFullText);
+
+  // Keep the full-text index up to date with the bookmarks
+  useEffect(() => {
+    if (isPro && fullText && onSyncSearchIndex) {
+      onSyncSearchIndex();
+    }
+  }, [isPro, fullText, bookmarks, onSyncSearchIndex]);
+
+  // Perform search, and again once indexing finishes
   useEffect(() => {
+    let cancelled = false;
     setIsSearching(true);
 
-    const timer = setTimeout(() => {
+    const timer = setTimeout(async () => {
       let searchResults;
 
-      if (query.trim()) {
-        // Fuzzy search with Fuse.js
-        searchResults = fuse.search(query);
+      // Operators and phrases narrow the bookmarks; the remaining words are searched
+      const matching = filterByQuery(bookmarks, compiledQuery);
+      const text = compiledQuery.text.trim();
+
+      if (!text) {
+        // No words to search for, show all matching bookmarks
+        searchResults = matching.map((b) => ({ item: b, score: 0 }));
       } else {
-        // No query, show all bookmarks
-        searchResults = bookmarks.map((b) => ({ item: b, score: 0 }));
+        const matchingIds = new Set(matching.map((b) => b.id));
+
+        if (fullText) {
+          // Full-text search over bookmarks and saved pages
+          try {
+            searchResults = await onSearchFullText(text);
+          } catch (err) {
+            console.error('Full-text search failed:', err);
+            searchResults = [];
+          }
+        } else {
+          // Fuzzy search with Fuse.js
+          searchResults = fuse.search(text);
+        }
+        searchResults = searchResults.filter((result) => matchingIds.has(result.item.id));
       }
 
+      if (cancelled) return;
+
       // Apply filters
       const filteredResults = applyFilters(searchResults);
 
@@ -500,8 +636,11 @@ export function SmartSearch({
       setIsSearching(false);
     }, 150); // Debounce search
 
-    return () => clearTimeout(timer);
-  }, [query, fuse, bookmarks, applyFilters]);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [compiledQuery, fuse, bookmarks, applyFilters, fullText, onSearchFullText, isIndexing]);
 
   const handleFilterChange = (key, value) => {
     setFilters((prev) => ({ ...prev, [key]: value }));
@@ -575,7 +714,8 @@ export function SmartSearch({
           value={query}
           onChange={setQuery}
           onClear={() => setQuery('')}
-          placeholder="Search bookmarks..."
+          suggestions={suggestions}
+          placeholder="Search, or try tag: domain: is:broken"
           className="flex-1"
         />
         <button
@@ -599,6 +739,25 @@ export function SmartSearch({
         </button>
       </div>
 
+      {onSearchFullText && (
+        <label className="mt-2 flex items-center gap-2 text-xs text-gray-600 dark:text-gray-400">
+          <input
+            type="checkbox"
+            checked={searchPageText}
+            onChange={(e) => setSearchPageText(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          Search saved page text
+          {fullText && isIndexing && <span className="text-gray-400">Indexing…</span>}
+        </label>
+      )}
+
+      {compiledQuery.errors.length > 0 && (
+        <p className="mt-2 text-xs text-amber-600 dark:text-amber-400">
+          Ignored: {compiledQuery.errors.join(' ')}
+        </p>
+      )}
+
       {/* Filters Panel */}
       {showFilters && (
         <SearchFilters
@@ -627,6 +786,7 @@ export function SmartSearch({
           isLoading={isSearching}
           query={query}
           onResultClick={onBookmarkClick}
+          onResultOpen={onOpenBookmark}
         />
       </div>
     </div>
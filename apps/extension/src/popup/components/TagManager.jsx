@@ -77,7 +77,7 @@ const TAG_COLORS = [
 /**
  * Single tag badge component
  */
-function TagBadge({ tag, onRemove, onClick, selected = false, editable = false }) {
+export function TagBadge({ tag, onRemove, onClick, selected = false, editable = false }) {
   return (
     <span
       className={`inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs font-medium transition-colors ${
@@ -106,10 +106,54 @@ function TagBadge({ tag, onRemove, onClick, selected = false, editable = false }
   );
 }
 
+// What each suggestion source means, for the tooltip of a suggested tag
+const SUGGESTION_REASONS = {
+  domain: 'the site',
+  path: 'the URL',
+  title: 'the title',
+  metadata: "the page's keywords",
+  history: 'how you tagged similar bookmarks',
+  related: 'tags you use with these',
+};
+
+/**
+ * Row of suggested tags to add with a click
+ */
+export function SuggestedTags({ suggestions = [], onAdd }) {
+  if (suggestions.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      <span className="text-xs text-slate-500">Suggested:</span>
+      {suggestions.map((suggestion) => (
+        <button
+          key={suggestion.name}
+          type="button"
+          onClick={() => onAdd(suggestion)}
+          title={`From ${suggestion.reasons.map((reason) => SUGGESTION_REASONS[reason]).join(', ')}`}
+          className={`rounded-full border px-2 py-0.5 text-xs hover:bg-slate-100 ${
+            suggestion.isNew
+              ? 'border-dashed border-slate-300 text-slate-500'
+              : 'border-slate-300 text-slate-700'
+          }`}
+        >
+          + {suggestion.name}
+        </button>
+      ))}
+    </div>
+  );
+}
+
 /**
  * Tag selector for adding tags to bookmarks
  */
-export function TagSelector({ tags, selectedTags = [], onTagsChange, disabled = false }) {
+export function TagSelector({
+  tags,
+  selectedTags = [],
+  onTagsChange,
+  suggestions = [],
+  disabled = false,
+}) {
   const [isOpen, setIsOpen] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
 
@@ -128,6 +172,16 @@ export function TagSelector({ tags, selectedTags = [], onTagsChange, disabled =
     onTagsChange(selectedTags.filter((t) => t.id !== tag.id));
   };
 
+  // A suggested tag the user doesn't have yet is created when the tags are saved
+  const handleAddSuggestion = (suggestion) => {
+    const tag = tags.find((t) => t.name === suggestion.name) || {
+      id: suggestion.name,
+      name: suggestion.name,
+      color: TAG_COLORS[0],
+    };
+    handleAddTag(tag);
+  };
+
   if (disabled) {
     return (
       <div className="rounded-lg border border-slate-200 bg-slate-50 p-3">
@@ -150,6 +204,8 @@ export function TagSelector({ tags, selectedTags = [], onTagsChange, disabled =
         ))}
       </div>
 
+      <SuggestedTags suggestions={suggestions} onAdd={handleAddSuggestion} />
+
       {/* Tag input */}
       <div className="relative">
         <input
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Tagging with suggestions
+ * SaveCurrentPage bookmarks the page in the current tab with the tags the user picks,
+ * suggesting some from its URL, title and keywords. BulkTagger finds bookmarks without
+ * tags and proposes tags for all of them at once, learned from the ones already
+ * tagged. Suggestions are computed in the extension; nothing leaves the browser.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { SuggestedTags } from './TagManager.jsx';
+
+/**
+ * Status line under a form
+ */
+function Message({ message }) {
+  if (!message) return null;
+  return (
+    <div
+      className={`rounded-lg p-3 text-sm ${
+        message.type === 'error'
+          ? 'border border-red-200 bg-red-50 text-red-700'
+          : 'border border-green-200 bg-green-50 text-green-700'
+      }`}
+    >
+      {message.text}
+    </div>
+  );
+}
+
+/**
+ * Bookmark the current page, or retag it, with suggested tags
+ */
+export function SaveCurrentPage({ onLoad, onSuggest, onSave }) {
+  const [page, setPage] = useState(undefined);
+  const [title, setTitle] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [newTag, setNewTag] = useState('');
+  const [message, setMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    onLoad().then((current) => {
+      if (cancelled) return;
+      setPage(current);
+      if (current) {
+        setTitle(current.bookmark?.title || current.title);
+        setSelected((current.bookmark?.tags || []).map((tag) => tag.name));
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [onLoad]);
+
+  const suggestions = useMemo(
+    () =>
+      page ? onSuggest({ url: page.url, title }, { meta: page.meta, selectedTags: selected }) : [],
+    [page, title, selected, onSuggest]
+  );
+
+  const addTag = (name) => {
+    const trimmed = name.trim();
+    if (trimmed && !selected.some((tag) => tag.toLowerCase() === trimmed.toLowerCase())) {
+      setSelected([...selected, trimmed]);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setMessage(null);
+    const result = await onSave({
+      url: page.url,
+      title: title.trim() || page.url,
+      tags: selected,
+      bookmarkId: page.bookmark?.id,
+    });
+    setIsSaving(false);
+    if (result.success) {
+      setMessage({ type: 'success', text: page.bookmark ? 'Tags saved.' : 'Bookmarked.' });
+      setPage({ ...page, bookmark: result.bookmark });
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Failed to save the page' });
+    }
+  };
+
+  if (page === undefined) {
+    return <p className="text-sm text-slate-500">Reading the current page...</p>;
+  }
+  if (page === null) {
+    return <p className="text-sm text-slate-500">This tab has no web page to bookmark.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-sm font-medium text-slate-700">
+        Title
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2 text-sm font-normal focus:border-primary-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+      </label>
+      <p className="truncate text-xs text-slate-500">{page.url}</p>
+
+      <div className="flex flex-wrap gap-1">
+        {selected.map((name) => (
+          <button
+            key={name}
+            type="button"
+            onClick={() => setSelected(selected.filter((tag) => tag !== name))}
+            title="Remove tag"
+            className="rounded-full bg-primary-100 px-2 py-0.5 text-xs font-medium text-primary-700 hover:bg-primary-200"
+          >
+            {name} ×
+          </button>
+        ))}
+      </div>
+
+      <SuggestedTags suggestions={suggestions} onAdd={(suggestion) => addTag(suggestion.name)} />
+
+      <input
+        type="text"
+        value={newTag}
+        onChange={(e) => setNewTag(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            addTag(newTag);
+            setNewTag('');
+          }
+        }}
+        placeholder="Add a tag and press Enter"
+        aria-label="Add a tag"
+        className="w-full rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-primary-500 focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+
+      <Message message={message} />
+
+      <button
+        type="button"
+        onClick={handleSave}
+        disabled={isSaving}
+        className="rounded-lg bg-primary-600 px-3 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+      >
+        {page.bookmark ? 'Save tags' : 'Bookmark this page'}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Suggest and apply tags for every bookmark without any
+ */
+export function BulkTagger({ onFind, onApply }) {
+  const [results, setResults] = useState(null);
+  const [picks, setPicks] = useState({});
+  const [message, setMessage] = useState(null);
+  const [isApplying, setIsApplying] = useState(false);
+
+  const handleFind = () => {
+    const found = onFind();
+    setResults(found);
+    setPicks(Object.fromEntries(found.map((result) => [result.id, result.picked])));
+    setMessage(null);
+  };
+
+  const toggle = (id, name) => {
+    const current = picks[id] || [];
+    setPicks({
+      ...picks,
+      [id]: current.includes(name) ? current.filter((tag) => tag !== name) : [...current, name],
+    });
+  };
+
+  const assignments = (results || [])
+    .filter((result) => picks[result.id]?.length > 0)
+    .map((result) => ({ id: result.id, url: result.url, tags: picks[result.id] }));
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    const result = await onApply(assignments);
+    setIsApplying(false);
+    if (result.success) {
+      const applied = new Set(assignments.map((assignment) => assignment.id));
+      setResults(results.filter((r) => !applied.has(r.id)));
+      setMessage({
+        type: 'success',
+        text: `Tagged ${result.tagged} bookmark${result.tagged === 1 ? '' : 's'}.`,
+      });
+    } else {
+      setMessage({ type: 'error', text: result.error || 'Failed to tag bookmarks' });
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-slate-600">
+        Suggests tags for bookmarks that have none, from their addresses, titles and how you tagged
+        the rest. Pick the ones to keep.
+      </p>
+
+      <button
+        type="button"
+        onClick={handleFind}
+        className="rounded-lg border border-slate-300 px-3 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50"
+      >
+        Find untagged bookmarks
+      </button>
+
+      <Message message={message} />
+
+      {results && results.length === 0 && !message && (
+        <p className="text-sm text-slate-500">No suggestions for untagged bookmarks.</p>
+      )}
+
+      {results && results.length > 0 && (
+        <>
+          <ul className="max-h-64 space-y-2 overflow-auto">
+            {results.map((result) => (
+              <li key={result.id} className="rounded-lg border border-slate-200 p-2">
+                <p className="truncate text-sm font-medium text-slate-700">
+                  {result.title || result.url}
+                </p>
+                <p className="truncate text-xs text-slate-500">{result.url}</p>
+                <div className="mt-1 flex flex-wrap gap-1">
+                  {result.suggestions.map((suggestion) => {
+                    const isPicked = picks[result.id]?.includes(suggestion.name);
+                    return (
+                      <button
+                        key={suggestion.name}
+                        type="button"
+                        aria-pressed={isPicked}
+                        onClick={() => toggle(result.id, suggestion.name)}
+                        className={`rounded-full border px-2 py-0.5 text-xs ${
+                          isPicked
+                            ? 'border-primary-500 bg-primary-100 text-primary-700'
+                            : 'border-slate-300 text-slate-500 hover:bg-slate-100'
+                        }`}
+                      >
+                        {suggestion.name}
+                      </button>
+                    );
+                  })}
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          <button
+            type="button"
+            onClick={handleApply}
+            disabled={isApplying || assignments.length === 0}
+            className="rounded-lg bg-primary-600 px-3 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+          >
+            Tag {assignments.length} bookmark{assignments.length === 1 ? '' : 's'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SaveCurrentPage;
@@ -2,7 +2,8 @@
  * @fileoverview Export all popup components
  */
 
-export { TagManager, TagSelector, TagBadge } from './TagManager.jsx';
+export { TagManager, TagSelector, TagBadge, SuggestedTags } from './TagManager.jsx';
+export { SaveCurrentPage, BulkTagger } from './TagSuggestions.jsx';
 export { NotesEditor, NotesDisplay, InlineNotesEditor } from './NotesEditor.jsx';
 export { ProFeaturesPanel, ProUpgradeBanner, ProFeaturesList } from './ProFeaturesPanel.jsx';
 export {
@@ -31,6 +32,10 @@ export {
 } from './LinkHealthScanner.jsx';
 export { ImportExport, FileDropzone, ImportPreview, ExportOptions } from './ImportExport.jsx';
 export { AdblockPanel } from './AdblockPanel.jsx';
+export { ConflictQueue, ConflictItem } from './ConflictQueue.jsx';
+export { DuplicateWarnings, DuplicateWarningItem } from './DuplicateWarnings.jsx';
+export { OrganizeRules, OrganizeRuleEditor, OrganizeRulesPreview } from './OrganizeRules.jsx';
+export { CollectionPicker } from './CollectionPicker.jsx';
 export { default as AnalyticsDashboard } from './AnalyticsDashboard.jsx';
 export {
   default as SyncScheduleSettings,
@@ -12,6 +12,15 @@ import {
   saveBookmarkVersion,
   fetchTags as apiFetchTags,
 } from '../lib/api.js';
+import { getSearchIndex } from '../lib/search-index.js';
+import { createArchiveProvider } from '@marksyncr/core/archive';
+import { createSearchDocument } from '@marksyncr/core/full-text-search';
+import {
+  buildTagModel,
+  suggestTags,
+  suggestTagsForUntagged,
+  tagKey,
+} from '@marksyncr/core/tag-suggestions';
 
 /**
  * @typedef {'synced' | 'syncing' | 'error' | 'pending' | 'disconnected'} SyncStatus
@@ -21,7 +30,7 @@ import {
  * @typedef {Object} Source
  * @property {string} id
  * @property {string} name
- * @property {'local-file' | 'github' | 'dropbox' | 'google-drive' | 'supabase-cloud'} type
+ * @property {'local-file' | 'github' | 'dropbox' | 'google-drive' | 'webdav' | 's3' | 'git-forge' | 'supabase-cloud'} type
  * @property {boolean} connected
  */
 
@@ -98,6 +107,27 @@ const DEFAULT_SOURCES = [
     connected: false,
     description: 'Sync to Google Drive',
   },
+  {
+    id: 'webdav',
+    name: 'WebDAV',
+    type: 'webdav',
+    connected: false,
+    description: 'Sync to a WebDAV server such as Nextcloud',
+  },
+  {
+    id: 's3',
+    name: 'S3 Storage',
+    type: 's3',
+    connected: false,
+    description: 'Sync to an S3-compatible bucket such as MinIO or R2',
+  },
+  {
+    id: 'git-forge',
+    name: 'Git Repository',
+    type: 'git-forge',
+    connected: false,
+    description: 'Commit every sync to a GitHub, GitLab, Gitea or Forgejo repository',
+  },
 ];
 
 // Default settings
@@ -107,8 +137,24 @@ const DEFAULT_SETTINGS = {
   syncOnStartup: true,
   notifications: true,
   conflictResolution: 'newest-wins', // 'newest-wins' | 'manual' | 'merge'
+  archiveNewBookmarks: false,
+  capturePages: false,
+  duplicateGuard: 'off', // 'off' | 'badge' | 'notification'
 };
 
+// Tag names of each bookmark by URL, kept by the background script
+const BOOKMARK_TAGS_STORAGE_KEY = 'marksyncr-bookmark-tags';
+
+// Color of tags the user hasn't created in the tag manager
+const DEFAULT_TAG_COLOR = '#3B82F6';
+
+// Score at which bulk tagging picks one of the user's tags for a bookmark up front;
+// new tags are only ever picked by the user
+const BULK_TAG_MIN_SCORE = 0.5;
+
+// Model of how the user tags, rebuilt when the bookmarks or tags change
+let tagModelCache = { bookmarks: null, tags: null, model: null };
+
 /**
  * Get browser API (Chrome or Firefox)
  */
@@ -207,10 +253,30 @@ export const useStore = create(
       // Link health scanner state
       linkScanResults: [],
       isScanning: false,
+      // Pages captured for offline reading, newest first (kept by the background)
+      savedPages: [],
+      // Full-text search index state
+      isIndexingSearch: false,
       // Duplicate detector state
       duplicateGroups: [],
       // Sync failure tracking
       syncFailureStatus: null, // { consecutiveFailures, maxFailures, lastError, retryLimitReached }
+      // Sync conflicts awaiting a decision (ConflictRecord[] from /api/conflicts)
+      conflicts: [],
+      isLoadingConflicts: false,
+
+      // Bookmarks just added that already existed
+      duplicateWarnings: [],
+      // Auto-organize rules, run on new bookmarks and on demand (synced via /api/settings)
+      organizeRules: [],
+      // End-to-end encryption: { enabled, unlocked, keyId, createdAt } from GET_ENCRYPTION_STATUS
+      encryption: null,
+      // Selective sync rules of this device: { include, exclude }, or null to sync everything
+      syncProfile: null,
+      // Bookmark collections of the account ({ id, name, isDefault, createdAt } from
+      // /api/collections) and the one this browser syncs with (null for the default one)
+      collections: [],
+      selectedCollectionId: null,
 
       // Actions
       setStatus: (status) => set({ status }),
@@ -324,7 +390,9 @@ export const useStore = create(
               return { ...source, connected: false };
             }
             // Also disconnect OAuth sources since they require authentication
-            if (['github', 'dropbox', 'google-drive'].includes(source.id)) {
+            if (
+              ['github', 'dropbox', 'google-drive', 'webdav', 's3', 'git-forge'].includes(source.id)
+            ) {
               return { ...source, connected: false };
             }
             return source;
@@ -594,6 +662,10 @@ export const useStore = create(
             // Persist last sync time
             await browserAPI.storage.local.set({ lastSync });
 
+            if (result.conflicts > 0) {
+              await get().fetchConflicts();
+            }
+
             // Show success message with details
             const addedFromCloud = result.addedFromCloud || 0;
             const deletedLocally = result.deletedLocally || 0;
@@ -770,6 +842,387 @@ export const useStore = create(
         }
       },
 
+      // ==========================================
+      // Sync Conflict Actions
+      // ==========================================
+
+      /**
+       * Load pending sync conflicts
+       */
+      fetchConflicts: async () => {
+        const browserAPI = getBrowserAPI();
+        set({ isLoadingConflicts: true });
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({ type: 'GET_CONFLICTS' });
+
+          if (result?.success) {
+            set({ conflicts: result.conflicts, isLoadingConflicts: false });
+            return result.conflicts;
+          }
+          set({ isLoadingConflicts: false });
+          return [];
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to load conflicts:', err);
+          set({ isLoadingConflicts: false });
+          return [];
+        }
+      },
+
+      /**
+       * Resolve a sync conflict
+       * @param {string} conflictId - Conflict record ID
+       * @param {'local' | 'remote' | 'merged'} resolution - Chosen side
+       * @param {*} [value] - Edited value for a merged resolution
+       */
+      resolveConflict: async (conflictId, resolution, value) => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({
+            type: 'RESOLVE_CONFLICT',
+            payload: { id: conflictId, resolution, value },
+          });
+
+          if (!result?.success) {
+            return { success: false, error: result?.error || 'Failed to resolve conflict' };
+          }
+
+          set({ conflicts: get().conflicts.filter((c) => c.id !== conflictId) });
+          return { success: true };
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to resolve conflict:', err);
+          return { success: false, error: err.message };
+        }
+      },
+
+      /**
+       * Load warnings about new bookmarks that already existed
+       */
+      fetchDuplicateWarnings: async () => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({ type: 'GET_DUPLICATE_WARNINGS' });
+          const warnings = result?.success ? result.warnings : [];
+          set({ duplicateWarnings: warnings });
+          return warnings;
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to load duplicate warnings:', err);
+          return [];
+        }
+      },
+
+      /**
+       * Act on a duplicate warning
+       * @param {string} warningId - Warning ID
+       * @param {'jump' | 'move' | 'keep'} action - Open the existing copy, move it to
+       *   where the new bookmark is, or keep both
+       */
+      resolveDuplicateWarning: async (warningId, action) => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({
+            type: 'RESOLVE_DUPLICATE_WARNING',
+            payload: { warningId, action },
+          });
+
+          if (!result?.success) {
+            return { success: false, error: result?.error || 'Failed to resolve duplicate' };
+          }
+
+          // Opening the existing copy leaves the warning for the user to settle
+          if (action !== 'jump') {
+            set({ duplicateWarnings: get().duplicateWarnings.filter((w) => w.id !== warningId) });
+          }
+          return { success: true };
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to resolve duplicate warning:', err);
+          return { success: false, error: err.message };
+        }
+      },
+
+      // ==========================================
+      // Auto-organize Rules Actions
+      // ==========================================
+
+      /**
+       * Load the auto-organize rules, taking the account's if they were saved later
+       */
+      fetchOrganizeRules: async () => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({ type: 'GET_ORGANIZE_RULES' });
+          const rules = result?.rules || [];
+          set({ organizeRules: rules });
+          return rules;
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to load organize rules:', err);
+          return [];
+        }
+      },
+
+      /**
+       * Save the auto-organize rules here and to the account
+       * @param {Array} rules - Rules in the order they run
+       */
+      saveOrganizeRules: async (rules) => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({
+            type: 'SAVE_ORGANIZE_RULES',
+            payload: { rules },
+          });
+
+          if (!result?.success) {
+            return { success: false, error: result?.error || 'Failed to save rules' };
+          }
+
+          set({ organizeRules: result.rules });
+          return { success: true, synced: result.synced };
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to save organize rules:', err);
+          return { success: false, error: err.message };
+        }
+      },
+
+      /**
+       * Run auto-organize rules over the whole library
+       * @param {Object} [options]
+       * @param {boolean} [options.dryRun] - Only preview what the rules would change
+       * @param {Array} [options.rules] - Rules to run instead of the saved ones
+       * @returns {Promise<Object>} The preview, or how many bookmarks were changed
+       */
+      runOrganizeRules: async ({ dryRun = false, rules } = {}) => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({
+            type: 'RUN_ORGANIZE_RULES',
+            payload: { dryRun, rules },
+          });
+          return result || { success: false, error: 'No response from background script' };
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to run organize rules:', err);
+          return { success: false, error: err.message };
+        }
+      },
+
+      // ==========================================
+      // Encryption Actions
+      // ==========================================
+
+      /**
+       * Load whether encryption is on for the account and unlocked in this browser
+       */
+      fetchEncryptionStatus: async () => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({ type: 'GET_ENCRYPTION_STATUS' });
+
+          if (result?.success) {
+            const { enabled, unlocked, keyId, createdAt } = result;
+            set({ encryption: { enabled, unlocked, keyId, createdAt } });
+          }
+          return get().encryption;
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to load encryption status:', err);
+          return null;
+        }
+      },
+
+      /**
+       * Send an encryption action to the background script and reload the status
+       * @param {string} type - Message type
+       * @param {Object} [payload]
+       * @returns {Promise<{success: boolean, error?: string, recoveryKey?: string, warning?: string}>}
+       */
+      sendEncryptionAction: async (type, payload) => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({ type, payload });
+          await get().fetchEncryptionStatus();
+          return result || { success: false, error: 'No response from background script' };
+        } catch (err) {
+          console.error(`[MarkSyncr Store] ${type} failed:`, err);
+          return { success: false, error: err.message };
+        }
+      },
+
+      /**
+       * Turn encryption on. The result includes the recovery key to show once.
+       * @param {string} passphrase
+       */
+      enableEncryption: (passphrase) =>
+        get().sendEncryptionAction('ENABLE_ENCRYPTION', { passphrase }),
+
+      /**
+       * Unlock encryption in this browser
+       * @param {string} passphrase
+       */
+      unlockEncryption: (passphrase) =>
+        get().sendEncryptionAction('UNLOCK_ENCRYPTION', { passphrase }),
+
+      /**
+       * Change the encryption passphrase
+       * @param {string} currentPassphrase
+       * @param {string} newPassphrase
+       */
+      changeEncryptionPassphrase: (currentPassphrase, newPassphrase) =>
+        get().sendEncryptionAction('CHANGE_ENCRYPTION_PASSPHRASE', {
+          currentPassphrase,
+          newPassphrase,
+        }),
+
+      /**
+       * Replace the encryption key and re-encrypt the cloud bookmarks. The result
+       * includes the new recovery key.
+       * @param {string} passphrase
+       */
+      rotateEncryptionKey: (passphrase) =>
+        get().sendEncryptionAction('ROTATE_ENCRYPTION_KEY', { passphrase }),
+
+      /**
+       * Get the recovery key
+       * @param {string} passphrase
+       */
+      exportRecoveryKey: (passphrase) =>
+        get().sendEncryptionAction('EXPORT_RECOVERY_KEY', { passphrase }),
+
+      /**
+       * Unlock with the recovery key and set a new passphrase
+       * @param {string} recoveryKey
+       * @param {string} newPassphrase
+       */
+      recoverEncryption: (recoveryKey, newPassphrase) =>
+        get().sendEncryptionAction('RECOVER_ENCRYPTION', { recoveryKey, newPassphrase }),
+
+      /**
+       * Turn encryption off and store the bookmarks in plaintext again
+       */
+      disableEncryption: () => get().sendEncryptionAction('DISABLE_ENCRYPTION'),
+
+      // ==========================================
+      // Selective Sync Actions
+      // ==========================================
+
+      /**
+       * Load the folders this device syncs
+       */
+      fetchSyncProfile: async () => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({ type: 'GET_SYNC_PROFILE' });
+          if (result?.success) {
+            set({ syncProfile: result.syncProfile ?? null });
+          }
+          return get().syncProfile;
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to load sync profile:', err);
+          return null;
+        }
+      },
+
+      /**
+       * Save the folders this device syncs
+       * @param {{include: string[], exclude: string[]}|null} syncProfile - null syncs everything
+       * @returns {Promise<{success: boolean, error?: string}>}
+       */
+      saveSyncProfile: async (syncProfile) => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({
+            type: 'SET_SYNC_PROFILE',
+            payload: { syncProfile },
+          });
+          if (result?.success) {
+            set({ syncProfile: result.syncProfile ?? null });
+          }
+          return result || { success: false, error: 'No response from background script' };
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to save sync profile:', err);
+          return { success: false, error: err.message };
+        }
+      },
+
+      // ==========================================
+      // Collection Actions
+      // ==========================================
+
+      /**
+       * Load the account's collections and the one this browser syncs with
+       */
+      fetchCollections: async () => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({ type: 'GET_COLLECTIONS' });
+          if (result?.success) {
+            set({ collections: result.collections, selectedCollectionId: result.selectedId });
+          }
+          return get().collections;
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to load collections:', err);
+          return [];
+        }
+      },
+
+      /**
+       * Create a collection
+       * @param {string} name
+       * @returns {Promise<{success: boolean, collection?: Object, error?: string}>}
+       */
+      createCollection: async (name) => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({
+            type: 'CREATE_COLLECTION',
+            payload: { name },
+          });
+          if (result?.success) {
+            set({ collections: [...get().collections, result.collection] });
+          }
+          return result || { success: false, error: 'No response from background script' };
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to create collection:', err);
+          return { success: false, error: err.message };
+        }
+      },
+
+      /**
+       * Switch the collection this browser syncs with, then reload what belongs to it
+       * @param {string|null} collectionId - null for the default collection
+       * @returns {Promise<{success: boolean, error?: string}>}
+       */
+      selectCollection: async (collectionId) => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({
+            type: 'SET_COLLECTION',
+            payload: { collectionId },
+          });
+          if (!result?.success) {
+            return { success: false, error: result?.error || 'Failed to switch collection' };
+          }
+
+          set({ selectedCollectionId: result.collectionId, conflicts: [] });
+          await Promise.all([get().refreshSources(), get().fetchConflicts()]);
+          return { success: true };
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to switch collection:', err);
+          return { success: false, error: err.message };
+        }
+      },
+
       /**
        * Connect to a source (OAuth flow)
        */
@@ -1038,6 +1491,15 @@ export const useStore = create(
           const data = await response.json();
           const updatedTag = data.tag;
 
+          if (updates.name !== undefined) {
+            // A rename moves the nested tags too and may merge into another tag, so
+            // replay it over this browser's bookmarks now and reload everything
+            await browserAPI.runtime.sendMessage({ type: 'SYNC_TAG_RENAMES' });
+            await get().fetchTags();
+            await get().fetchBookmarks();
+            return updatedTag;
+          }
+
           // Update local state
           set({
             tags: get().tags.map((t) => (t.id === tagId ? updatedTag : t)),
@@ -1105,6 +1567,11 @@ export const useStore = create(
               selectedBookmark: { ...selectedBookmark, tags },
             });
           }
+          set({
+            bookmarks: get().bookmarks.map((b) => (b.id === bookmarkId ? { ...b, tags } : b)),
+          });
+
+          await get().createMissingTags(tags.map((tag) => tag.name));
         } catch (err) {
           console.error('Failed to save bookmark tags:', err);
           throw err;
@@ -1137,6 +1604,199 @@ export const useStore = create(
         }
       },
 
+      // ==========================================
+      // Tag Suggestion Actions
+      // ==========================================
+
+      /**
+       * Create the tags a bookmark was given that the tag manager doesn't list yet
+       * @param {string[]} names
+       */
+      createMissingTags: async (names) => {
+        const known = new Set(get().tags.map((tag) => tagKey(tag.name)));
+        for (const name of new Set(names)) {
+          if (known.has(tagKey(name))) continue;
+          known.add(tagKey(name));
+          try {
+            await get().createTag({ name, color: DEFAULT_TAG_COLOR });
+          } catch (err) {
+            // The bookmark keeps the tag even if the account can't list it
+            console.warn('[MarkSyncr Store] Could not create tag:', name, err.message);
+          }
+        }
+      },
+
+      /**
+       * Suggest tags for a bookmark from its URL, title and page keywords, and from how
+       * the user tagged their other bookmarks
+       * @param {{url: string, title: string, tags?: Array}} bookmark
+       * @param {Object} [options] - suggestTags options (meta, selectedTags, limit)
+       * @returns {Array<{name: string, score: number, reasons: string[], isNew: boolean}>}
+       */
+      suggestBookmarkTags: (bookmark, options = {}) => {
+        const { bookmarks, tags } = get();
+        if (tagModelCache.bookmarks !== bookmarks || tagModelCache.tags !== tags) {
+          tagModelCache = { bookmarks, tags, model: buildTagModel(bookmarks, tags) };
+        }
+        return suggestTags(bookmark, tagModelCache.model, options);
+      },
+
+      /**
+       * Suggest tags for every bookmark without any
+       * @returns {Array<{id: string, url: string, title: string, suggestions: Array, picked: string[]}>}
+       *   picked holds the suggestions confident enough to apply unless the user objects
+       */
+      suggestUntaggedBookmarkTags: () => {
+        const { bookmarks, tags } = get();
+        return suggestTagsForUntagged(bookmarks, { vocabulary: tags }).map((result) => ({
+          ...result,
+          picked: result.suggestions
+            .filter((suggestion) => !suggestion.isNew && suggestion.score >= BULK_TAG_MIN_SCORE)
+            .map((suggestion) => suggestion.name),
+        }));
+      },
+
+      /**
+       * Add tags to many bookmarks at once
+       * @param {Array<{id: string, url: string, tags: string[]}>} assignments
+       * @returns {Promise<{success: boolean, tagged?: number, error?: string}>}
+       */
+      tagBookmarks: async (assignments) => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const result = await browserAPI.runtime.sendMessage({
+            type: 'TAG_BOOKMARKS',
+            payload: { assignments },
+          });
+
+          if (!result?.success) {
+            return { success: false, error: result?.error || 'Failed to tag bookmarks' };
+          }
+
+          const added = new Map(assignments.map(({ id, tags }) => [id, tags]));
+          const { tags } = get();
+          set({
+            bookmarks: get().bookmarks.map((b) =>
+              added.has(b.id)
+                ? {
+                    ...b,
+                    tags: toTagObjects(
+                      [...new Set([...b.tags.map((tag) => tag.name), ...added.get(b.id)])],
+                      tags
+                    ),
+                  }
+                : b
+            ),
+          });
+
+          await get().createMissingTags(assignments.flatMap(({ tags: names }) => names));
+          return { success: true, tagged: result.tagged };
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to tag bookmarks:', err);
+          return { success: false, error: err.message };
+        }
+      },
+
+      /**
+       * The page open in the current tab, its meta tags, and its bookmark if it has one
+       * @returns {Promise<{url: string, title: string, meta: Array<[string, string]>, bookmark: Object|null}|null>}
+       */
+      getCurrentPage: async () => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+          if (!tab?.url || !/^https?:/.test(tab.url)) {
+            return null;
+          }
+
+          let meta = [];
+          try {
+            // The popup being open grants activeTab, which lets it read this one page
+            const [injection] = await browserAPI.scripting.executeScript({
+              target: { tabId: tab.id },
+              func: readPageMeta,
+            });
+            meta = injection?.result || [];
+          } catch (err) {
+            console.warn('[MarkSyncr Store] Could not read page meta tags:', err.message);
+          }
+
+          const [node] = await browserAPI.bookmarks.search({ url: tab.url });
+          const tagsByUrl =
+            (await browserAPI.storage.local.get(BOOKMARK_TAGS_STORAGE_KEY))[
+              BOOKMARK_TAGS_STORAGE_KEY
+            ] || {};
+
+          return {
+            url: tab.url,
+            title: tab.title || tab.url,
+            meta,
+            bookmark: node
+              ? {
+                  id: node.id,
+                  title: node.title,
+                  url: node.url,
+                  tags: toTagObjects(tagsByUrl[node.url] || [], get().tags),
+                }
+              : null,
+          };
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to read the current page:', err);
+          return null;
+        }
+      },
+
+      /**
+       * Bookmark the current page with tags, or retag it if it is bookmarked already
+       * @param {Object} page
+       * @param {string} page.url
+       * @param {string} page.title
+       * @param {string[]} page.tags - Tag names
+       * @param {string} [page.bookmarkId] - Its bookmark, if it has one
+       * @returns {Promise<{success: boolean, bookmark?: Object, error?: string}>}
+       */
+      saveCurrentPage: async ({ url, title, tags, bookmarkId }) => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          // Tags go in first, so auto-organize rules see them when the bookmark appears
+          await browserAPI.runtime.sendMessage({
+            type: 'UPDATE_BOOKMARK_TAGS',
+            payload: { url, tags },
+          });
+
+          const node = bookmarkId
+            ? await browserAPI.bookmarks.update(bookmarkId, { title })
+            : await browserAPI.bookmarks.create({ title, url });
+
+          const bookmark = {
+            id: node.id,
+            title,
+            url,
+            parentPath: '',
+            dateAdded: node.dateAdded,
+            tags: toTagObjects(tags, get().tags),
+            notes: '',
+          };
+          const { bookmarks } = get();
+          set({
+            bookmarks: bookmarks.some((b) => b.id === bookmark.id)
+              ? bookmarks.map((b) =>
+                  b.id === bookmark.id ? { ...b, title, tags: bookmark.tags } : b
+                )
+              : [...bookmarks, bookmark],
+          });
+
+          await get().createMissingTags(tags);
+          return { success: true, bookmark };
+        } catch (err) {
+          console.error('[MarkSyncr Store] Failed to save the page:', err);
+          return { success: false, error: err.message };
+        }
+      },
+
       // ==========================================
       // Bookmarks Actions for Pro Features
       // ==========================================
@@ -1150,7 +1810,16 @@ export const useStore = create(
 
         try {
           const tree = await browserAPI.bookmarks.getTree();
-          const bookmarks = flattenBookmarkTree(tree);
+          const tagsByUrl =
+            (await browserAPI.storage.local.get(BOOKMARK_TAGS_STORAGE_KEY))?.[
+              BOOKMARK_TAGS_STORAGE_KEY
+            ] || {};
+          const { tags } = get();
+          const bookmarks = flattenBookmarkTree(tree).map((bookmark) =>
+            tagsByUrl[bookmark.url]
+              ? { ...bookmark, tags: toTagObjects(tagsByUrl[bookmark.url], tags) }
+              : bookmark
+          );
           set({ bookmarks, isLoadingBookmarks: false });
           return bookmarks;
         } catch (err) {
@@ -1283,6 +1952,153 @@ export const useStore = create(
         }
       },
 
+      /**
+       * Look up the archived copy of a page taken closest to a date
+       * @param {string} url
+       * @param {Date|string|number} [near] - e.g. when the page was bookmarked
+       * @returns {Promise<Object|null>} The snapshot, or null when the page was never archived
+       */
+      findArchivedSnapshot: async (url, near) => {
+        return createArchiveProvider().findSnapshot(url, near ? { near } : {});
+      },
+
+      /**
+       * Keep an archived copy of a dead link next to its bookmark
+       * @param {string} bookmarkId
+       * @param {Object} snapshot - From findArchivedSnapshot
+       */
+      attachArchivedSnapshot: async (bookmarkId, snapshot) => {
+        const browserAPI = getBrowserAPI();
+
+        try {
+          const [bookmark] = await browserAPI.bookmarks.get(bookmarkId);
+          const archivedOn = new Date(snapshot.timestamp).toLocaleDateString();
+          const created = await browserAPI.bookmarks.create({
+            parentId: bookmark.parentId,
+            index: bookmark.index + 1,
+            title: `${bookmark.title || snapshot.url} (archived ${archivedOn})`,
+            url: snapshot.archivedUrl,
+          });
+
+          const original = get().bookmarks.find((b) => b.id === bookmarkId);
+          set({
+            bookmarks: [
+              ...get().bookmarks,
+              {
+                id: created.id,
+                title: created.title,
+                url: created.url,
+                parentPath: original?.parentPath ?? '',
+                dateAdded: created.dateAdded,
+                tags: [],
+                notes: '',
+              },
+            ],
+          });
+          return created;
+        } catch (err) {
+          console.error('Failed to attach archived snapshot:', err);
+          throw err;
+        }
+      },
+
+      // ==========================================
+      // Saved Page Actions
+      // ==========================================
+
+      /**
+       * Load the pages captured for offline reading
+       */
+      fetchSavedPages: async () => {
+        const browserAPI = getBrowserAPI();
+        const { pageSnapshots = [] } = await browserAPI.storage.local.get('pageSnapshots');
+        set({ savedPages: pageSnapshots });
+        return pageSnapshots;
+      },
+
+      /**
+       * Remove a saved page from this browser; the copy on the server stays
+       * @param {string} url
+       */
+      removeSavedPage: async (url) => {
+        const browserAPI = getBrowserAPI();
+        const savedPages = get().savedPages.filter((page) => page.url !== url);
+        await browserAPI.storage.local.set({ pageSnapshots: savedPages });
+        set({ savedPages });
+      },
+
+      // ==========================================
+      // Full-text Search Actions
+      // ==========================================
+
+      /**
+       * Bring the full-text index up to date with the bookmarks, their saved pages and
+       * how often they were opened. Only documents that changed are indexed again.
+       */
+      syncSearchIndex: async () => {
+        const browserAPI = getBrowserAPI();
+        set({ isIndexingSearch: true });
+
+        try {
+          const { pageSnapshots = [], bookmarkVisits = {} } = await browserAPI.storage.local.get([
+            'pageSnapshots',
+            'bookmarkVisits',
+          ]);
+          const pages = new Map(pageSnapshots.map((page) => [page.url, page]));
+          const documents = get().bookmarks.map((bookmark) =>
+            createSearchDocument(bookmark, {
+              page: pages.get(bookmark.url),
+              visits: bookmarkVisits[bookmark.url],
+            })
+          );
+
+          const index = await getSearchIndex();
+          return await index.sync(documents);
+        } catch (err) {
+          console.error('Failed to update search index:', err);
+          return null;
+        } finally {
+          set({ isIndexingSearch: false });
+        }
+      },
+
+      /**
+       * Search bookmarks and saved page text
+       * @param {string} query
+       * @returns {Promise<Array>} Results with the bookmark as `item`, best first
+       */
+      searchFullText: async (query) => {
+        const index = await getSearchIndex();
+        const results = await index.search(query, { limit: 100 });
+        const bookmarks = new Map(get().bookmarks.map((bookmark) => [bookmark.id, bookmark]));
+
+        return results
+          .filter((result) => bookmarks.has(result.id))
+          .map((result) => ({ ...result, item: bookmarks.get(result.id) }));
+      },
+
+      /**
+       * Open a bookmark in a new tab and count the visit for search ranking
+       * @param {Object} bookmark
+       */
+      openBookmark: async (bookmark) => {
+        const browserAPI = getBrowserAPI();
+        window.open(bookmark.url, '_blank');
+
+        try {
+          const { bookmarkVisits = {} } = await browserAPI.storage.local.get('bookmarkVisits');
+          const visits = bookmarkVisits[bookmark.url];
+          await browserAPI.storage.local.set({
+            bookmarkVisits: {
+              ...bookmarkVisits,
+              [bookmark.url]: { count: (visits?.count || 0) + 1, lastVisited: Date.now() },
+            },
+          });
+        } catch (err) {
+          console.error('Failed to record bookmark visit:', err);
+        }
+      },
+
       // ==========================================
       // Duplicate Detector Actions
       // ==========================================
@@ -1416,6 +2232,36 @@ function countBookmarks(tree, syncedCount = 0) {
   return { total, folders, synced: syncedCount };
 }
 
+/**
+ * The user's tag objects for tag names, with a stand-in for names the tag manager
+ * doesn't list
+ * @param {string[]} names
+ * @param {Tag[]} tags
+ * @returns {Array<{id: string, name: string, color: string}>}
+ */
+function toTagObjects(names, tags) {
+  return names.map(
+    (name) =>
+      tags.find((tag) => tagKey(tag.name) === tagKey(name)) || {
+        id: name,
+        name,
+        color: DEFAULT_TAG_COLOR,
+      }
+  );
+}
+
+/**
+ * Meta tag names or properties of the page with their content. Runs in the page, so
+ * it can't use anything from this module.
+ * @returns {Array<[string, string]>}
+ */
+function readPageMeta() {
+  return Array.from(document.querySelectorAll('meta[name], meta[property]'), (meta) => [
+    meta.getAttribute('name') || meta.getAttribute('property'),
+    meta.getAttribute('content') || '',
+  ]);
+}
+
 /**
  * Flatten bookmark tree into a flat array of bookmarks
  * @param {Array} tree - Bookmark tree from browser API
@@ -1435,6 +2281,7 @@ function flattenBookmarkTree(tree, parentPath = '') {
           url: node.url,
           parentPath: path,
           dateAdded: node.dateAdded,
+          dateLastUsed: node.dateLastUsed,
           tags: [], // Will be populated from metadata
           notes: '', // Will be populated from metadata
         });
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Tests for per-row bookmark storage
+ * Tests reading and writing bookmark_items and the fallback to the JSONB blob
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { loadBookmarkItems, saveBookmarkItems, rowToItem } from '../lib/bookmark-store.js';
+
+const userId = 'user-123';
+
+// Chainable query mock; awaiting the chain resolves to `result`
+const createChainableMock = (result = { data: null, error: null }) => {
+  const chain = {
+    select: vi.fn(() => chain),
+    eq: vi.fn(() => chain),
+    in: vi.fn(() => chain),
+    order: vi.fn(() => chain),
+    range: vi.fn(() => chain),
+    upsert: vi.fn(() => chain),
+    delete: vi.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+function createMockSupabase({ rows = [], reservedSeq = 0 } = {}) {
+  const items = createChainableMock({ data: rows, error: null });
+  return {
+    items,
+    from: vi.fn(() => items),
+    rpc: vi.fn(async () => ({ data: reservedSeq, error: null })),
+  };
+}
+
+const folderRow = {
+  id: 'folder-1',
+  item_key: 'folder:toolbar::Work',
+  type: 'folder',
+  url: null,
+  title: 'Work',
+  folder_path: 'Bookmarks Bar',
+  parent_id: null,
+  position: 0,
+  date_added: 1000,
+  source: 'chrome',
+  seq: 3,
+};
+
+const bookmarkRow = {
+  id: 'bookmark-1',
+  item_key: 'https://a.com',
+  type: 'bookmark',
+  url: 'https://a.com',
+  title: 'A',
+  folder_path: 'Bookmarks Bar/Work',
+  parent_id: 'folder-1',
+  position: 0,
+  date_added: 1000,
+  source: 'chrome',
+  seq: 4,
+};
+
+describe('bookmark-store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('rowToItem', () => {
+    it('should map rows to the flat sync format', () => {
+      expect(rowToItem(bookmarkRow)).toEqual({
+        id: 'bookmark-1',
+        type: 'bookmark',
+        url: 'https://a.com',
+        title: 'A',
+        folderPath: 'Bookmarks Bar/Work',
+        parentId: 'folder-1',
+        index: 0,
+        dateAdded: 1000,
+        source: 'chrome',
+      });
+      expect(rowToItem(folderRow)).not.toHaveProperty('url');
+    });
+
+    it('should keep the encrypted payload of encrypted items', () => {
+      expect(rowToItem({ ...bookmarkRow, payload: 'iv.ciphertext' }).payload).toBe('iv.ciphertext');
+      expect(rowToItem(bookmarkRow)).not.toHaveProperty('payload');
+    });
+  });
+
+  describe('loadBookmarkItems', () => {
+    it('should return null when the rows were not written with the current blob', async () => {
+      const supabase = createMockSupabase({ rows: [bookmarkRow] });
+
+      const result = await loadBookmarkItems(supabase, userId, {
+        checksum: 'rolled-back',
+        items_checksum: 'before-rollback',
+      });
+
+      expect(result).toEqual({ items: null, error: null });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should read the rows in folder order when they match the blob', async () => {
+      const supabase = createMockSupabase({ rows: [folderRow, bookmarkRow] });
+
+      const result = await loadBookmarkItems(supabase, userId, {
+        checksum: 'abc',
+        items_checksum: 'abc',
+      });
+
+      expect(supabase.items.eq).toHaveBeenCalledWith('collection_id', userId);
+      expect(supabase.items.order).toHaveBeenCalledWith('folder_path', { ascending: true });
+      expect(supabase.items.range).toHaveBeenCalledWith(0, 999);
+      expect(result.items.map((item) => item.id)).toEqual(['folder-1', 'bookmark-1']);
+    });
+  });
+
+  describe('saveBookmarkItems', () => {
+    const current = [rowToItem(folderRow), rowToItem(bookmarkRow)];
+
+    it('should only write the rows that changed and keep their ids', async () => {
+      const supabase = createMockSupabase({ rows: [folderRow, bookmarkRow], reservedSeq: 6 });
+      const renamed = { ...current[1], title: 'A renamed', id: 'browser-id-7' };
+      const added = {
+        type: 'bookmark',
+        url: 'https://b.com',
+        title: 'B',
+        folderPath: 'Bookmarks Bar/Work',
+        index: 1,
+      };
+
+      const result = await saveBookmarkItems(supabase, userId, {
+        currentItems: current,
+        items: [current[0], renamed, added],
+        rowsInSync: true,
+        changeSeq: 4,
+      });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('reserve_bookmark_seq', {
+        p_user_id: userId,
+        p_collection_id: userId,
+        p_count: 2,
+        p_expected_version: null,
+      });
+      expect(result.cursor).toBe(6);
+      expect(result.operations.map((op) => op.op)).toEqual(['update', 'add']);
+
+      const written = supabase.items.upsert.mock.calls[0][0];
+      expect(written).toHaveLength(2);
+      expect(written.find((row) => row.item_key === 'https://a.com')).toMatchObject({
+        id: 'bookmark-1',
+        title: 'A renamed',
+        parent_id: 'folder-1',
+        seq: 5,
+      });
+      expect(written.find((row) => row.item_key === 'https://b.com')).toMatchObject({
+        parent_id: 'folder-1',
+        seq: 6,
+      });
+      expect(supabase.items.upsert).toHaveBeenCalledWith(expect.any(Array), {
+        onConflict: 'collection_id,item_key',
+      });
+      expect(supabase.items.delete).not.toHaveBeenCalled();
+    });
+
+    it('should delete rows for removed items', async () => {
+      const supabase = createMockSupabase({ rows: [folderRow], reservedSeq: 5 });
+
+      const result = await saveBookmarkItems(supabase, userId, {
+        currentItems: current,
+        items: [current[0]],
+        rowsInSync: true,
+        changeSeq: 4,
+      });
+
+      expect(supabase.items.delete).toHaveBeenCalled();
+      expect(supabase.items.in).toHaveBeenCalledWith('item_key', ['https://a.com']);
+      expect(result.items).toHaveLength(1);
+    });
+
+    it('should rebuild every row when the rows are out of date', async () => {
+      const goneRow = {
+        ...bookmarkRow,
+        id: 'bookmark-2',
+        item_key: 'https://gone.com',
+        url: 'https://gone.com',
+      };
+      const supabase = createMockSupabase({ rows: [folderRow, goneRow], reservedSeq: 0 });
+      const blobItems = [
+        { type: 'folder', title: 'Work', folderPath: 'Bookmarks Bar', index: 0 },
+        { type: 'bookmark', url: 'https://a.com', title: 'A', folderPath: 'Bookmarks Bar/Work' },
+      ];
+
+      await saveBookmarkItems(supabase, userId, {
+        currentItems: blobItems,
+        items: blobItems,
+        rowsInSync: false,
+        changeSeq: 9,
+      });
+
+      expect(supabase.rpc).not.toHaveBeenCalled();
+      const written = supabase.items.upsert.mock.calls[0][0];
+      expect(written.map((row) => row.type)).toEqual(['folder', 'bookmark']);
+      expect(written[0].id).toBe('folder-1');
+      expect(written[1].parent_id).toBe('folder-1');
+      expect(written.every((row) => row.seq === 9)).toBe(true);
+
+      // Only rows no longer in the list are deleted, after the rest are written
+      expect(supabase.items.in).toHaveBeenCalledWith('item_key', ['https://gone.com']);
+      expect(supabase.items.delete.mock.invocationCallOrder[0]).toBeGreaterThan(
+        supabase.items.upsert.mock.invocationCallOrder[0]
+      );
+    });
+
+    it('should return the error when no sequence numbers can be reserved', async () => {
+      const supabase = createMockSupabase();
+      supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'denied' } });
+
+      const result = await saveBookmarkItems(supabase, userId, {
+        currentItems: [],
+        items: [current[1]],
+        rowsInSync: true,
+        changeSeq: 0,
+      });
+
+      expect(result.error).toEqual({ message: 'denied' });
+      expect(result.conflict).toBe(false);
+      expect(supabase.items.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should claim the expected version even when no rows change', async () => {
+      const supabase = createMockSupabase({ rows: [folderRow, bookmarkRow], reservedSeq: 4 });
+
+      const result = await saveBookmarkItems(supabase, userId, {
+        currentItems: current,
+        items: current,
+        rowsInSync: true,
+        changeSeq: 4,
+        expectedVersion: 7,
+      });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('reserve_bookmark_seq', {
+        p_user_id: userId,
+        p_collection_id: userId,
+        p_count: 0,
+        p_expected_version: 7,
+      });
+      expect(result.cursor).toBe(4);
+      expect(result.conflict).toBeUndefined();
+    });
+
+    it('should report a conflict when another write took the expected version', async () => {
+      const supabase = createMockSupabase();
+      supabase.rpc.mockResolvedValueOnce({
+        data: null,
+        error: { code: '40001', message: 'Bookmarks are no longer at version 7' },
+      });
+
+      const result = await saveBookmarkItems(supabase, userId, {
+        currentItems: current,
+        items: [current[0]],
+        rowsInSync: true,
+        changeSeq: 4,
+        expectedVersion: 7,
+      });
+
+      expect(result.conflict).toBe(true);
+      expect(result.items).toBeNull();
+      expect(supabase.items.delete).not.toHaveBeenCalled();
+    });
+
+    it('should write to the given collection', async () => {
+      const supabase = createMockSupabase({ rows: [folderRow, bookmarkRow], reservedSeq: 5 });
+      const collectionId = 'collection-work';
+
+      await saveBookmarkItems(supabase, userId, {
+        currentItems: current,
+        items: [current[0], { ...current[1], title: 'A renamed' }],
+        rowsInSync: true,
+        changeSeq: 4,
+        collectionId,
+      });
+
+      expect(supabase.rpc).toHaveBeenCalledWith(
+        'reserve_bookmark_seq',
+        expect.objectContaining({ p_user_id: userId, p_collection_id: collectionId })
+      );
+      expect(supabase.items.upsert.mock.calls[0][0][0]).toMatchObject({
+        user_id: userId,
+        collection_id: collectionId,
+      });
+      expect(supabase.items.eq).toHaveBeenCalledWith('collection_id', collectionId);
+    });
+  });
+});
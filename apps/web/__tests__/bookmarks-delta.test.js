@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Tests for delta sync on /api/bookmarks
+ * Tests GET ?since=<cursor> and POST { operations, cursor } against the bookmark_changes log
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockUser = { id: 'user-123', email: 'test@example.com' };
+
+// Chainable query mock; awaiting the chain resolves to `result`
+const createChainableMock = (result = { data: null, error: null }) => {
+  const chain = {
+    select: vi.fn(() => chain),
+    eq: vi.fn(() => chain),
+    gt: vi.fn(() => chain),
+    lt: vi.fn(() => chain),
+    lte: vi.fn(() => chain),
+    not: vi.fn(() => chain),
+    order: vi.fn(() => chain),
+    insert: vi.fn(() => chain),
+    upsert: vi.fn(() => chain),
+    delete: vi.fn(() => chain),
+    single: vi.fn(() => Promise.resolve(result)),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+/**
+ * Supabase mock with one chain per table
+ */
+function createMockSupabase({ cloudRow = null, changeRows = [], upsertRow = null } = {}) {
+  const tables = {
+    users: createChainableMock({ data: { id: mockUser.id }, error: null }),
+    cloud_bookmarks: createChainableMock({
+      data: cloudRow,
+      error: cloudRow ? null : { code: 'PGRST116' },
+    }),
+    bookmark_changes: createChainableMock({ data: changeRows, error: null }),
+    sync_sources: createChainableMock({ data: [], error: null }),
+  };
+
+  if (upsertRow) {
+    tables.cloud_bookmarks.single
+      .mockResolvedValueOnce({ data: cloudRow, error: cloudRow ? null : { code: 'PGRST116' } })
+      .mockResolvedValueOnce({ data: upsertRow, error: null });
+  }
+
+  return {
+    tables,
+    from: vi.fn((table) => tables[table]),
+    // Sync queue (lib/sync-queue.js); no external sources are connected
+    rpc: vi.fn(async () => ({ data: null, error: null })),
+  };
+}
+
+// Row storage is covered in bookmark-store.test.js; here it reports the operations
+// between the stored and the new list the way the real store does
+vi.mock('@/lib/bookmark-store', async () => {
+  const { diffFlatItems } = await import('@marksyncr/core/delta');
+  return {
+    loadBookmarkItems: vi.fn(async () => ({ items: null, error: null })),
+    saveBookmarkItems: vi.fn(async (_supabase, _userId, { currentItems, items, changeSeq }) => {
+      const operations = diffFlatItems(currentItems, items);
+      return { items, operations, cursor: changeSeq + operations.length, error: null };
+    }),
+  };
+});
+
+vi.mock('@/lib/auth-helper', () => ({
+  corsHeaders: vi.fn(() => ({ 'Access-Control-Allow-Origin': '*' })),
+  getAuthenticatedUser: vi.fn(),
+}));
+
+// Import after mocks
+const { GET, POST } = await import('../app/api/bookmarks/route.js');
+const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+const { saveBookmarkItems } = await import('@/lib/bookmark-store');
+
+function createMockRequest({ method = 'GET', query = '', body = null } = {}) {
+  return {
+    method,
+    url: `http://localhost:3000/api/bookmarks${query}`,
+    headers: { get: () => null },
+    json: async () => body,
+  };
+}
+
+const storedBookmarks = [
+  {
+    type: 'bookmark',
+    url: 'https://a.com',
+    title: 'A',
+    folderPath: 'Bookmarks Bar',
+    index: 0,
+    dateAdded: 1000,
+  },
+  {
+    type: 'bookmark',
+    url: 'https://b.com',
+    title: 'B',
+    folderPath: 'Bookmarks Bar',
+    index: 1,
+    dateAdded: 1000,
+  },
+];
+
+const cloudRow = {
+  user_id: mockUser.id,
+  bookmark_data: storedBookmarks,
+  tombstones: [],
+  checksum: 'stored-checksum',
+  version: 4,
+  change_seq: 10,
+};
+
+describe('Bookmarks API delta sync', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('GET /api/bookmarks?since=', () => {
+    it('should return only the operations after the cursor', async () => {
+      const supabase = createMockSupabase({
+        cloudRow,
+        changeRows: [
+          { seq: 9, op: 'update', item_key: 'https://a.com', item: storedBookmarks[0] },
+          { seq: 10, op: 'delete', item_key: 'https://c.com', item: null },
+        ],
+      });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await GET(createMockRequest({ query: '?since=8' }));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(supabase.tables.bookmark_changes.gt).toHaveBeenCalledWith('seq', 8);
+      expect(data.bookmarks).toBeUndefined();
+      expect(data.cursor).toBe(10);
+      expect(data.checksum).toBe('stored-checksum');
+      expect(data.operations).toEqual([
+        { op: 'update', key: 'https://a.com', item: storedBookmarks[0] },
+        { op: 'delete', key: 'https://c.com' },
+      ]);
+    });
+
+    it('should return an empty delta when the client is up to date', async () => {
+      const supabase = createMockSupabase({ cloudRow });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await GET(createMockRequest({ query: '?since=10' }));
+      const data = await response.json();
+
+      expect(data.operations).toEqual([]);
+      expect(supabase.from).not.toHaveBeenCalledWith('bookmark_changes');
+    });
+
+    it('should fall back to the full state when log entries are missing', async () => {
+      const supabase = createMockSupabase({
+        cloudRow,
+        changeRows: [{ seq: 10, op: 'delete', item_key: 'https://c.com', item: null }],
+      });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await GET(createMockRequest({ query: '?since=5' }));
+      const data = await response.json();
+
+      expect(data.operations).toBeUndefined();
+      expect(data.reset).toBe(true);
+      expect(data.bookmarks).toHaveLength(2);
+      expect(data.cursor).toBe(10);
+    });
+
+    it('should fall back to the full state when the cursor is ahead of the server', async () => {
+      const supabase = createMockSupabase({ cloudRow });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await GET(createMockRequest({ query: '?since=42' }));
+      const data = await response.json();
+
+      expect(data.reset).toBe(true);
+      expect(data.bookmarks).toHaveLength(2);
+    });
+
+    it('should include the cursor in a plain full fetch', async () => {
+      const supabase = createMockSupabase({ cloudRow });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await GET(createMockRequest());
+      const data = await response.json();
+
+      expect(data.cursor).toBe(10);
+      expect(data.reset).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/bookmarks with operations', () => {
+    it('should reject malformed operations', async () => {
+      const supabase = createMockSupabase({ cloudRow });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await POST(
+        createMockRequest({
+          method: 'POST',
+          body: { operations: [{ op: 'add', key: 'https://c.com' }], cursor: 10 },
+        })
+      );
+
+      expect(response.status).toBe(400);
+      expect(supabase.from).not.toHaveBeenCalledWith('cloud_bookmarks');
+    });
+
+    it('should apply operations to the stored state and log them', async () => {
+      const supabase = createMockSupabase({
+        cloudRow,
+        upsertRow: { ...cloudRow, version: 5, checksum: 'new-checksum' },
+      });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const added = {
+        type: 'bookmark',
+        url: 'https://c.com',
+        title: 'C',
+        folderPath: 'Bookmarks Bar',
+        index: 1,
+      };
+
+      const response = await POST(
+        createMockRequest({
+          method: 'POST',
+          body: {
+            cursor: 10,
+            source: 'chrome',
+            operations: [
+              { op: 'delete', key: 'https://b.com' },
+              { op: 'add', key: 'https://c.com', item: added },
+            ],
+          },
+        })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.cursor).toBe(12);
+
+      const { items } = saveBookmarkItems.mock.calls[0][2];
+      expect(items.map((b) => b.url)).toEqual(['https://a.com', 'https://c.com']);
+
+      const upserted = supabase.tables.cloud_bookmarks.upsert.mock.calls[0][0];
+      expect(upserted).not.toHaveProperty('bookmark_data');
+      expect(upserted.tombstones).toEqual([expect.objectContaining({ url: 'https://b.com' })]);
+
+      expect(supabase.tables.bookmark_changes.insert).toHaveBeenCalledWith([
+        expect.objectContaining({ seq: 11, op: 'delete', item_key: 'https://b.com', item: null }),
+        expect.objectContaining({
+          seq: 12,
+          op: 'add',
+          item_key: 'https://c.com',
+          source: 'chrome',
+        }),
+      ]);
+    });
+
+    it('should return 409 with the current state when the cursor is behind', async () => {
+      const supabase = createMockSupabase({ cloudRow });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await POST(
+        createMockRequest({
+          method: 'POST',
+          body: {
+            cursor: 8,
+            operations: [
+              {
+                op: 'update',
+                key: 'https://a.com',
+                item: { ...storedBookmarks[0], title: 'A from an older state' },
+              },
+            ],
+          },
+        })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(409);
+      expect(data.conflict).toBe(true);
+      expect(data.current).toMatchObject({ cursor: 10, version: 4, checksum: 'stored-checksum' });
+      expect(data.current.bookmarks.map((b) => b.title)).toEqual(['A', 'B']);
+      expect(saveBookmarkItems).not.toHaveBeenCalled();
+      expect(supabase.tables.cloud_bookmarks.upsert).not.toHaveBeenCalled();
+      expect(supabase.rpc).not.toHaveBeenCalledWith('enqueue_sync_jobs', expect.anything());
+    });
+
+    it('should log the changes of a full-array upload as well', async () => {
+      const supabase = createMockSupabase({
+        cloudRow,
+        upsertRow: { ...cloudRow, version: 5, checksum: 'new-checksum' },
+      });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await POST(
+        createMockRequest({
+          method: 'POST',
+          body: {
+            replace: true,
+            bookmarks: [{ ...storedBookmarks[0], title: 'A renamed' }, storedBookmarks[1]],
+          },
+        })
+      );
+      const data = await response.json();
+
+      expect(data.cursor).toBe(11);
+      expect(supabase.tables.bookmark_changes.insert).toHaveBeenCalledWith([
+        expect.objectContaining({ seq: 11, op: 'update', item_key: 'https://a.com' }),
+      ]);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 /**
  * Tests for Bookmarks API External Sync functionality
- * Tests the automatic sync to connected external sources (GitHub, Dropbox, etc.)
+ * Tests the automatic sync to connected external sources (GitHub, Dropbox, etc.),
+ * which runs as sync jobs queued by the write (see lib/sync-queue.js)
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
@@ -15,7 +16,54 @@ vi.mock('@marksyncr/sources/oauth/dropbox-sync', () => ({
   syncBookmarksToDropbox: vi.fn(),
 }));
 
+// Mock the WebDAV source module
+vi.mock('@marksyncr/sources/webdav', () => ({
+  WebDavSource: vi.fn().mockImplementation((config, credentials) => ({
+    config,
+    credentials,
+    fileUrl: `${config.url}${config.path}`,
+  })),
+  syncBookmarksToWebDav: vi.fn(),
+}));
+
+// Mock the S3 source module
+vi.mock('@marksyncr/sources/s3', () => ({
+  S3Source: vi.fn().mockImplementation((config, credentials) => ({
+    config,
+    credentials,
+    bucket: config.bucket,
+    key: config.path,
+  })),
+  syncBookmarksToS3: vi.fn(),
+}));
+
+// Mock the git forge source module
+vi.mock('@marksyncr/sources/git-forge', () => ({
+  GitForgeSource: vi.fn().mockImplementation((config, credentials) => ({
+    config,
+    credentials,
+    forge: config.forge,
+    repository: config.repository,
+    branch: config.branch,
+    path: config.path,
+    headCommit: 'abc1234',
+  })),
+  syncBookmarksToGitForge: vi.fn(),
+}));
+
 // Mock auth helper
+// Mock @/lib/bookmark-store - these tests run against the JSONB blob (rows not yet
+// written); row storage is covered in bookmark-store.test.js
+vi.mock('@/lib/bookmark-store', () => ({
+  loadBookmarkItems: vi.fn(async () => ({ items: null, error: null })),
+  saveBookmarkItems: vi.fn(async (_supabase, _userId, { items }) => ({
+    items,
+    operations: [],
+    cursor: 0,
+    error: null,
+  })),
+}));
+
 vi.mock('@/lib/auth-helper', () => ({
   corsHeaders: vi.fn(() => ({
     'Access-Control-Allow-Origin': '*',
@@ -28,6 +76,10 @@ import { POST } from '../app/api/bookmarks/route.js';
 import { getAuthenticatedUser } from '@/lib/auth-helper';
 import { syncBookmarksToGitHub } from '@marksyncr/sources/oauth/github-sync';
 import { syncBookmarksToDropbox } from '@marksyncr/sources/oauth/dropbox-sync';
+import { WebDavSource, syncBookmarksToWebDav } from '@marksyncr/sources/webdav';
+import { S3Source, syncBookmarksToS3 } from '@marksyncr/sources/s3';
+import { GitForgeSource, syncBookmarksToGitForge } from '@marksyncr/sources/git-forge';
+import { publicFetch } from '@/lib/public-urls';
 
 describe('Bookmarks API External Sync', () => {
   const mockUser = {
@@ -49,6 +101,23 @@ describe('Bookmarks API External Sync', () => {
       upsert: vi.fn(() => mockSupabase),
       eq: vi.fn(() => mockSupabase),
       single: vi.fn(() => Promise.resolve({ data: null, error: null })),
+      // Sync queue: each connected source gets a job, which the request claims right away
+      rpc: vi.fn(async (fn) => {
+        if (fn !== 'claim_sync_jobs') return { data: null, error: null };
+        const { data: sources } = await mockSupabase
+          .from('sync_sources')
+          .select('*')
+          .eq('user_id', mockUser.id)
+          .not('access_token', 'is', null);
+        const jobs = (sources ?? []).map((source) => ({
+          id: `job-${source.id}`,
+          user_id: mockUser.id,
+          source_id: source.id,
+          provider: source.provider,
+          attempts: 1,
+        }));
+        return { data: jobs, error: null };
+      }),
     };
 
     getAuthenticatedUser.mockResolvedValue({
@@ -998,5 +1067,216 @@ describe('Bookmarks API External Sync', () => {
         expect.any(String)
       );
     });
+
+    it('should sync to a WebDAV server with the stored credentials', async () => {
+      mockSupabase.single
+        .mockResolvedValueOnce({ data: { id: mockUser.id }, error: null }) // user exists
+        .mockResolvedValueOnce({ data: null, error: { code: 'PGRST116' } }) // no existing bookmarks
+        .mockResolvedValueOnce({ data: { version: 1, checksum: 'abc123' }, error: null });
+
+      mockSupabase.from.mockImplementation((table) => {
+        if (table === 'sync_sources') {
+          return {
+            select: () => ({
+              eq: () => ({
+                not: () =>
+                  Promise.resolve({
+                    data: [
+                      {
+                        id: 'source-1',
+                        provider: 'webdav',
+                        provider_username: 'alice',
+                        access_token: 'app-password',
+                        file_path: '/MarkSyncr/bookmarks.json',
+                        config: { url: 'https://cloud.example.com/dav', authType: 'digest' },
+                      },
+                    ],
+                    error: null,
+                  }),
+              }),
+            }),
+          };
+        }
+        return mockSupabase;
+      });
+
+      syncBookmarksToWebDav.mockResolvedValue({
+        created: true,
+        skipped: false,
+        bookmarkCount: 1,
+        etag: '"e1"',
+      });
+
+      const request = new Request('http://localhost/api/bookmarks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bookmarks: [{ url: 'https://example.com', title: 'Example' }] }),
+      });
+
+      const response = await POST(request);
+      expect(response.status).toBe(200);
+
+      // Wait for async external sync to complete
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      expect(WebDavSource).toHaveBeenCalledWith(
+        expect.objectContaining({
+          url: 'https://cloud.example.com/dav',
+          path: '/MarkSyncr/bookmarks.json',
+          authType: 'digest',
+        }),
+        { username: 'alice', password: 'app-password' },
+        { fetch: publicFetch }
+      );
+      expect(syncBookmarksToWebDav).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.any(Array),
+        expect.any(Array),
+        expect.any(String)
+      );
+    });
+
+    it('should sync to an S3 bucket with the stored access key', async () => {
+      mockSupabase.single
+        .mockResolvedValueOnce({ data: { id: mockUser.id }, error: null }) // user exists
+        .mockResolvedValueOnce({ data: null, error: { code: 'PGRST116' } }) // no existing bookmarks
+        .mockResolvedValueOnce({ data: { version: 1, checksum: 'abc123' }, error: null });
+
+      mockSupabase.from.mockImplementation((table) => {
+        if (table === 'sync_sources') {
+          return {
+            select: () => ({
+              eq: () => ({
+                not: () =>
+                  Promise.resolve({
+                    data: [
+                      {
+                        id: 'source-1',
+                        provider: 's3',
+                        provider_username: 'AKIA1',
+                        access_token: 'secret',
+                        file_path: 'marksyncr/bookmarks.json',
+                        config: {
+                          endpoint: 'https://minio.example.com',
+                          region: 'us-east-1',
+                          bucket: 'backups',
+                          pathStyle: true,
+                        },
+                      },
+                    ],
+                    error: null,
+                  }),
+              }),
+            }),
+          };
+        }
+        return mockSupabase;
+      });
+
+      syncBookmarksToS3.mockResolvedValue({
+        created: true,
+        skipped: false,
+        bookmarkCount: 1,
+        etag: '"e1"',
+      });
+
+      const request = new Request('http://localhost/api/bookmarks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bookmarks: [{ url: 'https://example.com', title: 'Example' }] }),
+      });
+
+      const response = await POST(request);
+      expect(response.status).toBe(200);
+
+      // Wait for async external sync to complete
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      expect(S3Source).toHaveBeenCalledWith(
+        expect.objectContaining({
+          endpoint: 'https://minio.example.com',
+          bucket: 'backups',
+          path: 'marksyncr/bookmarks.json',
+        }),
+        { accessKeyId: 'AKIA1', secretAccessKey: 'secret' },
+        { fetch: publicFetch }
+      );
+      expect(syncBookmarksToS3).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.any(Array),
+        expect.any(Array),
+        expect.any(String)
+      );
+    });
+
+    it('should commit to a git repository with the stored token', async () => {
+      mockSupabase.single
+        .mockResolvedValueOnce({ data: { id: mockUser.id }, error: null }) // user exists
+        .mockResolvedValueOnce({ data: null, error: { code: 'PGRST116' } }) // no existing bookmarks
+        .mockResolvedValueOnce({ data: { version: 1, checksum: 'abc123' }, error: null });
+
+      mockSupabase.from.mockImplementation((table) => {
+        if (table === 'sync_sources') {
+          return {
+            select: () => ({
+              eq: () => ({
+                not: () =>
+                  Promise.resolve({
+                    data: [
+                      {
+                        id: 'source-1',
+                        provider: 'git-forge',
+                        access_token: 'glpat-token',
+                        repository: 'alice/bookmarks',
+                        branch: 'main',
+                        file_path: 'bookmarks.json',
+                        config: { forge: 'gitlab' },
+                      },
+                    ],
+                    error: null,
+                  }),
+              }),
+            }),
+          };
+        }
+        return mockSupabase;
+      });
+
+      syncBookmarksToGitForge.mockResolvedValue({
+        created: true,
+        skipped: false,
+        bookmarkCount: 1,
+        etag: '"e1"',
+      });
+
+      const request = new Request('http://localhost/api/bookmarks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bookmarks: [{ url: 'https://example.com', title: 'Example' }] }),
+      });
+
+      const response = await POST(request);
+      expect(response.status).toBe(200);
+
+      // Wait for async external sync to complete
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      expect(GitForgeSource).toHaveBeenCalledWith(
+        expect.objectContaining({
+          forge: 'gitlab',
+          repository: 'alice/bookmarks',
+          branch: 'main',
+          path: 'bookmarks.json',
+        }),
+        { accessToken: 'glpat-token' },
+        { fetch: publicFetch }
+      );
+      expect(syncBookmarksToGitForge).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.any(Array),
+        expect.any(Array),
+        expect.any(String)
+      );
+    });
   });
 });
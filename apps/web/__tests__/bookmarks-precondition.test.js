@@ -0,0 +1,366 @@
+/**
+ * @fileoverview Tests for write preconditions on /api/bookmarks
+ * Tests If-Match / expectedVersion / expectedChecksum on POST and the 409 response, and
+ * that writes use the encryption key from the user's keyring
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockUser = { id: 'user-123', email: 'test@example.com' };
+const collectionId = '7f3c2a10-5b1e-4c8d-9a6f-2e4b8c1d0f93';
+
+// Chainable query mock; awaiting the chain resolves to `result`
+const createChainableMock = (result = { data: null, error: null }) => {
+  const chain = {
+    select: vi.fn(() => chain),
+    eq: vi.fn(() => chain),
+    gt: vi.fn(() => chain),
+    lt: vi.fn(() => chain),
+    lte: vi.fn(() => chain),
+    not: vi.fn(() => chain),
+    order: vi.fn(() => chain),
+    insert: vi.fn(() => chain),
+    upsert: vi.fn(() => chain),
+    delete: vi.fn(() => chain),
+    single: vi.fn(() => Promise.resolve(result)),
+    maybeSingle: vi.fn(() => Promise.resolve(result)),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+/**
+ * Supabase mock with one chain per table
+ */
+function createMockSupabase({ cloudRow = null, upsertRow = null, keyringRow = null } = {}) {
+  const tables = {
+    users: createChainableMock({ data: { id: mockUser.id }, error: null }),
+    collections: createChainableMock({ data: { id: collectionId }, error: null }),
+    cloud_bookmarks: createChainableMock({
+      data: cloudRow,
+      error: cloudRow ? null : { code: 'PGRST116' },
+    }),
+    bookmark_changes: createChainableMock({ data: [], error: null }),
+    sync_sources: createChainableMock({ data: [], error: null }),
+    encryption_keyrings: createChainableMock({
+      data: keyringRow,
+      error: keyringRow ? null : { code: 'PGRST116' },
+    }),
+  };
+
+  if (upsertRow) {
+    tables.cloud_bookmarks.single
+      .mockResolvedValueOnce({ data: cloudRow, error: cloudRow ? null : { code: 'PGRST116' } })
+      .mockResolvedValueOnce({ data: upsertRow, error: null });
+  }
+
+  return {
+    tables,
+    from: vi.fn((table) => tables[table]),
+    // Sync queue (lib/sync-queue.js); no external sources are connected
+    rpc: vi.fn(async () => ({ data: null, error: null })),
+  };
+}
+
+// Row storage is covered in bookmark-store.test.js
+vi.mock('@/lib/bookmark-store', async () => {
+  const { diffFlatItems } = await import('@marksyncr/core/delta');
+  return {
+    loadBookmarkItems: vi.fn(async () => ({ items: null, error: null })),
+    saveBookmarkItems: vi.fn(async (_supabase, _userId, { currentItems, items, changeSeq }) => {
+      const operations = diffFlatItems(currentItems, items);
+      return { items, operations, cursor: changeSeq + operations.length, error: null };
+    }),
+  };
+});
+
+vi.mock('@/lib/auth-helper', () => ({
+  corsHeaders: vi.fn(() => ({ 'Access-Control-Allow-Origin': '*' })),
+  getAuthenticatedUser: vi.fn(),
+}));
+
+// Import after mocks
+const { GET, POST } = await import('../app/api/bookmarks/route.js');
+const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+const { saveBookmarkItems } = await import('@/lib/bookmark-store');
+
+function createMockRequest({ method = 'POST', body = null, headers = {} } = {}) {
+  return {
+    method,
+    url: 'http://localhost:3000/api/bookmarks',
+    headers: { get: (name) => headers[name] || null },
+    json: async () => body,
+  };
+}
+
+const storedBookmarks = [
+  {
+    type: 'bookmark',
+    url: 'https://a.com',
+    title: 'A',
+    folderPath: 'Bookmarks Bar',
+    index: 0,
+    dateAdded: 1000,
+  },
+];
+
+const cloudRow = {
+  user_id: mockUser.id,
+  bookmark_data: storedBookmarks,
+  tombstones: [],
+  checksum: 'stored-checksum',
+  version: 4,
+  change_seq: 10,
+};
+
+const renamed = [{ ...storedBookmarks[0], title: 'A renamed' }];
+
+describe('Bookmarks API write preconditions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should return the checksum as ETag on GET', async () => {
+    const supabase = createMockSupabase({ cloudRow });
+    getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+    const response = await GET(createMockRequest({ method: 'GET' }));
+
+    expect(response.headers.get('ETag')).toBe('"stored-checksum"');
+  });
+
+  it('should reject a write based on an older version with the current state', async () => {
+    const supabase = createMockSupabase({ cloudRow });
+    getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+    const response = await POST(
+      createMockRequest({ body: { bookmarks: renamed, replace: true, expectedVersion: 3 } })
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(409);
+    expect(data.conflict).toBe(true);
+    expect(data.current).toMatchObject({
+      version: 4,
+      checksum: 'stored-checksum',
+      cursor: 10,
+      tombstones: [],
+    });
+    expect(data.current.bookmarks.map((b) => b.url)).toEqual(['https://a.com']);
+    expect(saveBookmarkItems).not.toHaveBeenCalled();
+    expect(supabase.tables.cloud_bookmarks.upsert).not.toHaveBeenCalled();
+    expect(supabase.rpc).not.toHaveBeenCalledWith('enqueue_sync_jobs', expect.anything());
+  });
+
+  it('should reject a write whose If-Match checksum is stale', async () => {
+    const supabase = createMockSupabase({ cloudRow });
+    getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+    const response = await POST(
+      createMockRequest({
+        body: { bookmarks: renamed, replace: true },
+        headers: { 'if-match': '"older-checksum"' },
+      })
+    );
+
+    expect(response.status).toBe(409);
+    expect(response.headers.get('ETag')).toBe('"stored-checksum"');
+  });
+
+  it('should write when the precondition matches and claim the version atomically', async () => {
+    const supabase = createMockSupabase({
+      cloudRow,
+      upsertRow: { ...cloudRow, version: 5, checksum: 'new-checksum' },
+    });
+    getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+    const response = await POST(
+      createMockRequest({
+        body: { bookmarks: renamed, replace: true, expectedChecksum: 'stored-checksum' },
+        headers: { 'if-match': 'W/"stored-checksum"' },
+      })
+    );
+
+    expect(response.status).toBe(200);
+    expect(saveBookmarkItems).toHaveBeenCalledWith(
+      supabase,
+      mockUser.id,
+      expect.objectContaining({ expectedVersion: 4 })
+    );
+  });
+
+  it('should queue pushes to the external sources of the written collection', async () => {
+    const supabase = createMockSupabase({
+      cloudRow,
+      upsertRow: { ...cloudRow, version: 5, checksum: 'new-checksum' },
+    });
+    getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+    const response = await POST(
+      createMockRequest({
+        body: { bookmarks: renamed, replace: true, expectedVersion: 4 },
+        headers: { 'x-marksyncr-collection': collectionId },
+      })
+    );
+
+    expect(response.status).toBe(200);
+    expect(supabase.rpc).toHaveBeenCalledWith(
+      'enqueue_sync_jobs',
+      expect.objectContaining({ p_user_id: mockUser.id, p_collection_id: collectionId })
+    );
+  });
+
+  it('should leave writes without a precondition unconditional', async () => {
+    const supabase = createMockSupabase({
+      cloudRow,
+      upsertRow: { ...cloudRow, version: 5, checksum: 'new-checksum' },
+    });
+    getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+    const response = await POST(createMockRequest({ body: { bookmarks: renamed, replace: true } }));
+
+    expect(response.status).toBe(200);
+    expect(saveBookmarkItems).toHaveBeenCalledWith(
+      supabase,
+      mockUser.id,
+      expect.objectContaining({ expectedVersion: null })
+    );
+  });
+
+  it('should accept expectedVersion 0 for a user with no stored bookmarks', async () => {
+    const supabase = createMockSupabase({
+      upsertRow: { ...cloudRow, version: 1, checksum: 'new-checksum' },
+    });
+    getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+    const response = await POST(
+      createMockRequest({ body: { bookmarks: renamed, replace: true, expectedVersion: 0 } })
+    );
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should return 409 when a concurrent write claimed the version first', async () => {
+    const supabase = createMockSupabase({ cloudRow });
+    const winner = { ...cloudRow, version: 5, checksum: 'winner-checksum', change_seq: 11 };
+    supabase.tables.cloud_bookmarks.single
+      .mockResolvedValueOnce({ data: cloudRow, error: null })
+      .mockResolvedValueOnce({ data: winner, error: null });
+    saveBookmarkItems.mockResolvedValueOnce({
+      items: null,
+      operations: [],
+      cursor: null,
+      conflict: true,
+      error: { code: '40001' },
+    });
+    getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+    const response = await POST(
+      createMockRequest({ body: { bookmarks: renamed, replace: true, expectedVersion: 4 } })
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(409);
+    expect(data.current).toMatchObject({ version: 5, checksum: 'winner-checksum', cursor: 11 });
+    expect(supabase.tables.cloud_bookmarks.upsert).not.toHaveBeenCalled();
+    expect(supabase.rpc).not.toHaveBeenCalledWith('enqueue_sync_jobs', expect.anything());
+  });
+
+  it('should reject a malformed expectedVersion', async () => {
+    const supabase = createMockSupabase({ cloudRow });
+    getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+    const response = await POST(
+      createMockRequest({ body: { bookmarks: renamed, expectedVersion: 'latest' } })
+    );
+
+    expect(response.status).toBe(400);
+  });
+
+  describe('encryption key', () => {
+    const encrypted = [
+      {
+        type: 'bookmark',
+        url: 'e2e:token',
+        title: 'title-token',
+        folderPath: 'Bookmarks Bar',
+        index: 0,
+        dateAdded: 1000,
+        payload: 'iv.ciphertext',
+      },
+    ];
+    const encryptedRow = { ...cloudRow, bookmark_data: encrypted, encryption_key_id: 'key-1' };
+
+    it('should reject plaintext writes over encrypted data', async () => {
+      const supabase = createMockSupabase({
+        cloudRow: encryptedRow,
+        keyringRow: { key_id: 'key-1' },
+      });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await POST(
+        createMockRequest({ body: { bookmarks: renamed, replace: true } })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(409);
+      expect(data).toMatchObject({ code: 'ENCRYPTION_KEY_MISMATCH', encryptionKeyId: 'key-1' });
+      expect(data.conflict).toBeUndefined();
+      expect(saveBookmarkItems).not.toHaveBeenCalled();
+    });
+
+    it('should store encrypted items with their payload and key', async () => {
+      const supabase = createMockSupabase({
+        cloudRow: encryptedRow,
+        upsertRow: { ...encryptedRow, version: 5 },
+        keyringRow: { key_id: 'key-1' },
+      });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+      const edited = [{ ...encrypted[0], title: 'other-token', payload: 'iv.other' }];
+
+      const response = await POST(
+        createMockRequest({ body: { bookmarks: edited, replace: true, encryptionKeyId: 'key-1' } })
+      );
+
+      expect(response.status).toBe(200);
+      const { items } = saveBookmarkItems.mock.calls[0][2];
+      expect(items[0].payload).toBe('iv.other');
+      expect(supabase.tables.cloud_bookmarks.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ encryption_key_id: 'key-1' }),
+        expect.anything()
+      );
+    });
+
+    it('should only accept a full replace while moving to a new key', async () => {
+      const supabase = createMockSupabase({
+        cloudRow: encryptedRow,
+        upsertRow: { ...encryptedRow, version: 5, encryption_key_id: 'key-2' },
+        keyringRow: { key_id: 'key-2' },
+      });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const delta = await POST(
+        createMockRequest({
+          body: { operations: [], cursor: 10, encryptionKeyId: 'key-2' },
+        })
+      );
+      expect(delta.status).toBe(409);
+
+      const resealed = await POST(
+        createMockRequest({
+          body: {
+            bookmarks: [{ ...encrypted[0], url: 'e2e:new-token' }],
+            replace: true,
+            encryptionKeyId: 'key-2',
+          },
+        })
+      );
+      expect(resealed.status).toBe(200);
+    });
+  });
+});
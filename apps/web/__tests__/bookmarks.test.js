@@ -19,6 +19,8 @@ let mockSupabase;
 
 function createMockSupabase() {
   const mock = {
+    // Sync queue (lib/sync-queue.js); no external sources are connected
+    rpc: vi.fn().mockResolvedValue({ data: null, error: null }),
     from: vi.fn(),
   };
 
@@ -74,6 +76,7 @@ function createPostMockSupabase(options = {}) {
   });
 
   return {
+    rpc: vi.fn().mockResolvedValue({ data: null, error: null }),
     from: vi.fn().mockImplementation((table) => {
       if (table === 'users') {
         return { select: usersSelectMock, insert: usersInsertMock };
@@ -89,6 +92,18 @@ function createPostMockSupabase(options = {}) {
   };
 }
 
+// Mock @/lib/bookmark-store - these tests run against the JSONB blob (rows not yet
+// written); row storage is covered in bookmark-store.test.js
+vi.mock('@/lib/bookmark-store', () => ({
+  loadBookmarkItems: vi.fn(async () => ({ items: null, error: null })),
+  saveBookmarkItems: vi.fn(async (_supabase, _userId, { items }) => ({
+    items,
+    operations: [],
+    cursor: 0,
+    error: null,
+  })),
+}));
+
 // Mock @/lib/auth-helper
 vi.mock('@/lib/auth-helper', () => ({
   corsHeaders: vi.fn((request, methods) => ({
@@ -103,6 +118,12 @@ vi.mock('@/lib/auth-helper', () => ({
 // Import after mocks
 const { GET, POST, DELETE } = await import('../app/api/bookmarks/route.js');
 const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+const { saveBookmarkItems } = await import('@/lib/bookmark-store');
+
+/**
+ * The bookmark list the last write stored; the rows hold it, not cloud_bookmarks
+ */
+const storedItems = () => saveBookmarkItems.mock.calls.at(-1)[2].items;
 
 /**
  * Helper to create a mock NextRequest
@@ -112,6 +133,7 @@ function createMockRequest(options = {}) {
 
   const request = {
     method,
+    url: 'http://localhost:3000/api/bookmarks',
     headers: {
       get: (name) => headers[name] || null,
     },
@@ -537,8 +559,9 @@ describe('Bookmarks API Routes', () => {
       expect(response.status).toBe(200);
       expect(data.message).toBe('Bookmark deleted successfully');
       const updatePayload = updateMock.mock.calls[0][0];
-      expect(updatePayload.bookmark_data).toHaveLength(1);
-      expect(updatePayload.bookmark_data[0].url).toBe('https://test.com');
+      expect(updatePayload).not.toHaveProperty('bookmark_data');
+      expect(storedItems()).toHaveLength(1);
+      expect(storedItems()[0].url).toBe('https://test.com');
       expect(updatePayload.tombstones).toHaveLength(1);
       expect(updatePayload.tombstones[0].url).toBe('https://example.com');
       expect(updatePayload.tombstones[0].deletedAt).toBeGreaterThan(0);
@@ -1045,6 +1068,7 @@ describe('Server-Side Bookmark Merging', () => {
     });
 
     const mock = {
+      rpc: vi.fn().mockResolvedValue({ data: null, error: null }),
       from: vi.fn().mockImplementation((table) => {
         if (table === 'users') {
           return { select: usersSelectMock, insert: usersInsertMock };
@@ -1443,6 +1467,7 @@ describe('Tombstone Tracking for Deletion Sync', () => {
     });
 
     return {
+      rpc: vi.fn().mockResolvedValue({ data: null, error: null }),
       from: vi.fn().mockImplementation((table) => {
         if (table === 'users') {
           return { select: usersSelectMock, insert: usersInsertMock };
@@ -1720,6 +1745,7 @@ describe('Checksum-Based Skip Write Optimization', () => {
     });
 
     return {
+      rpc: vi.fn().mockResolvedValue({ data: null, error: null }),
       from: vi.fn().mockImplementation((table) => {
         if (table === 'users') {
           return { select: usersSelectMock, insert: usersInsertMock };
@@ -2275,6 +2301,7 @@ describe('Folder Ordering Preservation', () => {
     });
 
     return {
+      rpc: vi.fn().mockResolvedValue({ data: null, error: null }),
       from: vi.fn().mockImplementation((table) => {
         if (table === 'users') {
           return { select: usersSelectMock, insert: usersInsertMock };
@@ -2339,7 +2366,7 @@ describe('Folder Ordering Preservation', () => {
       const upsertedData = mockSupabase.getUpsertedData();
       expect(upsertedData).not.toBeNull();
 
-      const mergedItems = upsertedData.bookmark_data;
+      const mergedItems = storedItems();
       expect(mergedItems).toHaveLength(4);
 
       // Items should be sorted by folderPath, then by index
@@ -2385,7 +2412,7 @@ describe('Folder Ordering Preservation', () => {
       expect(response.status).toBe(200);
 
       const upsertedData = mockSupabase.getUpsertedData();
-      const mergedItems = upsertedData.bookmark_data;
+      const mergedItems = storedItems();
 
       // The folder should be at index 1, NOT at the end
       expect(mergedItems[1].type).toBe('folder');
@@ -2430,7 +2457,7 @@ describe('Folder Ordering Preservation', () => {
       expect(response.status).toBe(200);
 
       const upsertedData = mockSupabase.getUpsertedData();
-      const mergedItems = upsertedData.bookmark_data;
+      const mergedItems = storedItems();
 
       // Items should be sorted by folderPath first, then by index
       // Expected order:
@@ -2587,6 +2614,7 @@ describe('Bookmark Count Limits', () => {
       });
 
       return {
+        rpc: vi.fn().mockResolvedValue({ data: null, error: null }),
         from: vi.fn().mockImplementation((table) => {
           if (table === 'users') {
             return { select: usersSelectMock, insert: usersInsertMock };
@@ -2602,14 +2630,14 @@ describe('Bookmark Count Limits', () => {
       };
     }
 
-    it('should reject merge if total would exceed 10,000 bookmarks', async () => {
-      // Existing: 9,000 bookmarks
-      const existingBookmarks = Array.from({ length: 9000 }, (_, i) => ({
+    it('should reject merge if total would exceed 100,000 bookmarks', async () => {
+      // Existing: 99,000 bookmarks
+      const existingBookmarks = Array.from({ length: 99000 }, (_, i) => ({
         url: `https://existing${i}.com`,
         title: `Existing ${i}`,
       }));
 
-      // Incoming: 2,000 new bookmarks (total would be 11,000)
+      // Incoming: 2,000 new bookmarks (total would be 101,000)
       const newBookmarks = Array.from({ length: 2000 }, (_, i) => ({
         url: `https://new${i}.com`,
         title: `New ${i}`,
@@ -2629,20 +2657,20 @@ describe('Bookmark Count Limits', () => {
 
       expect(response.status).toBe(400);
       expect(data.error).toContain('exceed limit');
-      expect(data.current).toBe(9000);
+      expect(data.current).toBe(99000);
       expect(data.incoming).toBe(2000);
-      expect(data.wouldBe).toBe(11000);
-      expect(data.limit).toBe(10000);
+      expect(data.wouldBe).toBe(101000);
+      expect(data.limit).toBe(100000);
     });
 
-    it('should allow merge if total is exactly 10,000 bookmarks', async () => {
-      // Existing: 5,000 bookmarks
-      const existingBookmarks = Array.from({ length: 5000 }, (_, i) => ({
+    it('should allow merge if total is exactly 100,000 bookmarks', async () => {
+      // Existing: 95,000 bookmarks
+      const existingBookmarks = Array.from({ length: 95000 }, (_, i) => ({
         url: `https://existing${i}.com`,
         title: `Existing ${i}`,
       }));
 
-      // Incoming: 5,000 new bookmarks (total would be exactly 10,000)
+      // Incoming: 5,000 new bookmarks (total would be exactly 100,000)
       const newBookmarks = Array.from({ length: 5000 }, (_, i) => ({
         url: `https://new${i}.com`,
         title: `New ${i}`,
@@ -2661,18 +2689,18 @@ describe('Bookmark Count Limits', () => {
       const data = await response.json();
 
       expect(response.status).toBe(200);
-      expect(data.merged).toBe(10000);
+      expect(data.merged).toBe(100000);
     });
 
     it('should allow merge when duplicates keep total under limit', async () => {
-      // Existing: 9,000 bookmarks
-      const existingBookmarks = Array.from({ length: 9000 }, (_, i) => ({
+      // Existing: 99,000 bookmarks
+      const existingBookmarks = Array.from({ length: 99000 }, (_, i) => ({
         url: `https://example${i}.com`,
         title: `Bookmark ${i}`,
       }));
 
       // Incoming: 2,000 bookmarks, but 1,500 are duplicates of existing
-      // So only 500 new unique bookmarks would be added (total: 9,500)
+      // So only 500 new unique bookmarks would be added (total: 99,500)
       const incomingBookmarks = [
         // 1,500 duplicates (same URLs as existing)
         ...Array.from({ length: 1500 }, (_, i) => ({
@@ -2699,8 +2727,8 @@ describe('Bookmark Count Limits', () => {
       const data = await response.json();
 
       expect(response.status).toBe(200);
-      // Total should be 9,500 (9,000 existing + 500 new unique)
-      expect(data.merged).toBe(9500);
+      // Total should be 99,500 (99,000 existing + 500 new unique)
+      expect(data.merged).toBe(99500);
     });
   });
 });
@@ -2784,6 +2812,7 @@ describe('Server-Side Tombstone Retention', () => {
     });
 
     return {
+      rpc: vi.fn().mockResolvedValue({ data: null, error: null }),
       from: vi.fn().mockImplementation((table) => {
         if (table === 'users') {
           return { select: usersSelectMock, insert: usersInsertMock };
@@ -3100,7 +3129,7 @@ describe('Server-Side Tombstone Retention', () => {
       expect(response.status).toBe(200);
 
       // Verify bookmarks are stored in the EXACT order sent (not re-merged/re-sorted)
-      const storedBookmarks = upsertedData.bookmark_data;
+      const storedBookmarks = storedItems();
       expect(storedBookmarks[0].url).toBe('https://third.com');
       expect(storedBookmarks[1].url).toBe('https://first.com');
       expect(storedBookmarks[2].url).toBe('https://second.com');
@@ -3162,7 +3191,7 @@ describe('Server-Side Tombstone Retention', () => {
       expect(response.status).toBe(200);
 
       // Both bookmarks should be stored — server trusts the extension in replace mode
-      const storedBookmarks = upsertedData.bookmark_data;
+      const storedBookmarks = storedItems();
       expect(storedBookmarks).toHaveLength(2);
       expect(storedBookmarks.map((b) => b.url).sort()).toEqual([
         'https://also-keep.com',
@@ -3175,7 +3204,9 @@ describe('Server-Side Tombstone Retention', () => {
         { id: '1', url: 'https://keep.com', title: 'Keep', dateAdded: 1000 },
         { id: '2', url: 'https://deleted.com', title: 'Deleted', dateAdded: 1000 },
       ];
-      const bookmarksToSync = [{ id: '1', url: 'https://keep.com', title: 'Keep', dateAdded: 1000 }];
+      const bookmarksToSync = [
+        { id: '1', url: 'https://keep.com', title: 'Keep', dateAdded: 1000 },
+      ];
 
       let upsertedData = null;
       const upsertMock = vi.fn().mockImplementation((data) => {
@@ -3225,8 +3256,8 @@ describe('Server-Side Tombstone Retention', () => {
 
       const response = await POST(request);
       expect(response.status).toBe(200);
-      expect(upsertedData.bookmark_data).toHaveLength(1);
-      expect(upsertedData.bookmark_data[0].url).toBe('https://keep.com');
+      expect(storedItems()).toHaveLength(1);
+      expect(storedItems()[0].url).toBe('https://keep.com');
       expect(upsertedData.tombstones).toHaveLength(1);
       expect(upsertedData.tombstones[0].url).toBe('https://deleted.com');
       expect(upsertedData.tombstones[0].deletedAt).toBeGreaterThan(0);
@@ -3286,7 +3317,7 @@ describe('Server-Side Tombstone Retention', () => {
 
       const response = await POST(request);
       expect(response.status).toBe(200);
-      expect(upsertedData.bookmark_data).toHaveLength(0);
+      expect(storedItems()).toHaveLength(0);
       expect(upsertedData.tombstones).toHaveLength(1);
       expect(upsertedData.tombstones[0].url).toBe('https://deleted.com');
     });
@@ -3360,7 +3391,7 @@ describe('Server-Side Tombstone Retention', () => {
       expect(response.status).toBe(200);
 
       // Legacy merge should include BOTH existing and incoming bookmarks
-      const storedBookmarks = upsertedData.bookmark_data;
+      const storedBookmarks = storedItems();
       const urls = storedBookmarks.map((b) => b.url);
       expect(urls).toContain('https://existing.com');
       expect(urls).toContain('https://new.com');
@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Tests for bookmark collections
+ * Tests collection resolution and the /api/collections endpoints, and that routes
+ * scope their queries to the collection a request names
+ * Uses Vitest with mocked auth helper
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockUser = { id: 'user-123', email: 'test@example.com' };
+const WORK_ID = '7d444840-9dc0-11d1-b245-5ffdce74fad2';
+
+// Create chainable mock; awaiting the chain resolves to `result`
+const createChainableMock = (result = { data: null, error: null }) => {
+  const chain = {
+    select: vi.fn(() => chain),
+    eq: vi.fn(() => chain),
+    in: vi.fn(() => chain),
+    order: vi.fn(() => chain),
+    insert: vi.fn(() => chain),
+    update: vi.fn(() => chain),
+    delete: vi.fn(() => chain),
+    single: vi.fn(() => Promise.resolve(result)),
+    maybeSingle: vi.fn(() => Promise.resolve(result)),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+// Mock @/lib/auth-helper
+vi.mock('@/lib/auth-helper', () => ({
+  corsHeaders: vi.fn(() => ({ 'Access-Control-Allow-Origin': '*' })),
+  getAuthenticatedUser: vi.fn(),
+}));
+
+// Import after mocks
+const { GET, POST } = await import('../app/api/collections/route.js');
+const { PATCH, DELETE } = await import('../app/api/collections/[collectionId]/route.js');
+const { GET: getConflicts } = await import('../app/api/conflicts/route.js');
+const { getRequestedCollectionId, resolveCollection, validateCollectionName } =
+  await import('../lib/collections.js');
+const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+
+/**
+ * Helper to create a mock request
+ */
+function createMockRequest(options = {}) {
+  const { method = 'GET', body = null, headers = {}, url = 'https://marksyncr.com/api' } = options;
+
+  return {
+    method,
+    url,
+    headers: {
+      get: (name) => headers[name] || null,
+    },
+    json: async () => body,
+  };
+}
+
+const routeContext = (collectionId) => ({ params: Promise.resolve({ collectionId }) });
+
+describe('Collections', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('getRequestedCollectionId', () => {
+    it('should prefer the header over the query parameter', () => {
+      expect(
+        getRequestedCollectionId(
+          createMockRequest({
+            headers: { 'x-marksyncr-collection': WORK_ID },
+            url: 'https://marksyncr.com/api?collection=other',
+          })
+        )
+      ).toBe(WORK_ID);
+      expect(
+        getRequestedCollectionId(
+          createMockRequest({ url: `https://marksyncr.com/api?collection=${WORK_ID}` })
+        )
+      ).toBe(WORK_ID);
+      expect(getRequestedCollectionId(createMockRequest())).toBeNull();
+    });
+  });
+
+  describe('resolveCollection', () => {
+    it('should use the default collection without a query', async () => {
+      const supabase = { from: vi.fn() };
+
+      await expect(resolveCollection(supabase, 'user-123', null)).resolves.toEqual({
+        collectionId: 'user-123',
+        error: null,
+      });
+      await expect(resolveCollection(supabase, 'user-123', 'user-123')).resolves.toMatchObject({
+        collectionId: 'user-123',
+      });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should resolve a collection owned by the user', async () => {
+      const chain = createChainableMock({ data: { id: WORK_ID }, error: null });
+
+      const result = await resolveCollection({ from: vi.fn(() => chain) }, 'user-123', WORK_ID);
+
+      expect(result).toEqual({ collectionId: WORK_ID, error: null });
+      expect(chain.eq).toHaveBeenCalledWith('user_id', 'user-123');
+    });
+
+    it("should return 404 for a malformed id or another user's collection", async () => {
+      const chain = createChainableMock({ data: null, error: null });
+      const supabase = { from: vi.fn(() => chain) };
+
+      await expect(resolveCollection(supabase, 'user-123', 'nope')).resolves.toMatchObject({
+        status: 404,
+      });
+      await expect(resolveCollection(supabase, 'user-123', WORK_ID)).resolves.toMatchObject({
+        collectionId: null,
+        status: 404,
+      });
+    });
+  });
+
+  describe('validateCollectionName', () => {
+    it('should require a name of at most 100 characters', () => {
+      expect(validateCollectionName('Work').valid).toBe(true);
+      expect(validateCollectionName('  ').errors).toEqual(['name is required']);
+      expect(validateCollectionName('x'.repeat(101)).valid).toBe(false);
+    });
+  });
+
+  describe('GET /api/collections', () => {
+    it('should list the default collection first', async () => {
+      const chain = createChainableMock({
+        data: [
+          { id: WORK_ID, user_id: 'user-123', name: 'Work', created_at: '2024-01-01T00:00:00Z' },
+          {
+            id: 'user-123',
+            user_id: 'user-123',
+            name: 'Default',
+            created_at: '2024-02-01T00:00:00Z',
+          },
+        ],
+        error: null,
+      });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await GET(createMockRequest());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.collections.map((c) => [c.name, c.isDefault])).toEqual([
+        ['Default', true],
+        ['Work', false],
+      ]);
+    });
+  });
+
+  describe('POST /api/collections', () => {
+    it('should create a collection with a trimmed name', async () => {
+      const chain = createChainableMock({ count: 1, error: null });
+      chain.single.mockResolvedValue({
+        data: {
+          id: WORK_ID,
+          user_id: 'user-123',
+          name: 'Work',
+          created_at: '2024-01-01T00:00:00Z',
+        },
+        error: null,
+      });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await POST(createMockRequest({ method: 'POST', body: { name: ' Work ' } }));
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(chain.insert).toHaveBeenCalledWith({ user_id: 'user-123', name: 'Work' });
+      expect(data.collection).toMatchObject({ id: WORK_ID, name: 'Work', isDefault: false });
+    });
+
+    it('should return 409 for a name already in use', async () => {
+      const chain = createChainableMock({ count: 1, error: null });
+      chain.single.mockResolvedValue({ data: null, error: { code: '23505' } });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await POST(createMockRequest({ method: 'POST', body: { name: 'Work' } }));
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should refuse to go over the collection limit', async () => {
+      const chain = createChainableMock({ count: 20, error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await POST(createMockRequest({ method: 'POST', body: { name: 'More' } }));
+
+      expect(response.status).toBe(400);
+      expect(chain.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/collections/[collectionId]', () => {
+    it('should return 404 for an unknown collection', async () => {
+      const chain = createChainableMock({ data: null, error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await PATCH(
+        createMockRequest({ method: 'PATCH', body: { name: 'Office' } }),
+        routeContext(WORK_ID)
+      );
+
+      expect(response.status).toBe(404);
+      expect(chain.update).toHaveBeenCalledWith({ name: 'Office' });
+    });
+  });
+
+  describe('DELETE /api/collections/[collectionId]', () => {
+    it('should refuse to delete the default collection', async () => {
+      const supabase = { from: vi.fn() };
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await DELETE(
+        createMockRequest({ method: 'DELETE' }),
+        routeContext('user-123')
+      );
+
+      expect(response.status).toBe(400);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it("should move the collection's devices to the default one before deleting it", async () => {
+      const chain = createChainableMock({ data: { id: WORK_ID }, error: null });
+      const supabase = { from: vi.fn(() => chain) };
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await DELETE(createMockRequest({ method: 'DELETE' }), routeContext(WORK_ID));
+
+      expect(response.status).toBe(200);
+      expect(supabase.from.mock.calls.map(([table]) => table)).toEqual([
+        'collections',
+        'devices',
+        'collections',
+      ]);
+      expect(chain.update).toHaveBeenCalledWith({ collection_id: 'user-123' });
+      expect(chain.delete).toHaveBeenCalled();
+    });
+  });
+
+  describe('collection-scoped routes', () => {
+    it('should scope queries to the collection named by the header', async () => {
+      const chain = createChainableMock({ data: { id: WORK_ID }, error: null });
+      chain.then = (resolve, reject) =>
+        Promise.resolve({ data: [], error: null }).then(resolve, reject);
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await getConflicts(
+        createMockRequest({ headers: { 'x-marksyncr-collection': WORK_ID } })
+      );
+
+      expect(response.status).toBe(200);
+      expect(chain.eq).toHaveBeenCalledWith('collection_id', WORK_ID);
+    });
+
+    it('should return 404 for a collection the user does not own', async () => {
+      const chain = createChainableMock({ data: null, error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await getConflicts(
+        createMockRequest({ headers: { 'x-marksyncr-collection': WORK_ID } })
+      );
+
+      expect(response.status).toBe(404);
+      expect(chain.eq).not.toHaveBeenCalledWith('collection_id', WORK_ID);
+    });
+  });
+});
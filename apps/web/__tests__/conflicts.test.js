@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Tests for conflicts API routes
+ * Tests GET, POST, PATCH /api/conflicts endpoints
+ * Uses Vitest with mocked auth helper
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockUser = { id: 'user-123', email: 'test@example.com' };
+
+// Create chainable mock; awaiting the chain resolves to `result`
+const createChainableMock = (result = { data: null, error: null }) => {
+  const chain = {
+    select: vi.fn(() => chain),
+    eq: vi.fn(() => chain),
+    in: vi.fn(() => chain),
+    order: vi.fn(() => chain),
+    insert: vi.fn(() => chain),
+    update: vi.fn(() => chain),
+    single: vi.fn(() => Promise.resolve(result)),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+// Mock @/lib/auth-helper
+vi.mock('@/lib/auth-helper', () => ({
+  corsHeaders: vi.fn(() => ({ 'Access-Control-Allow-Origin': '*' })),
+  getAuthenticatedUser: vi.fn(),
+}));
+
+// Import after mocks
+const { GET, POST, PATCH } = await import('../app/api/conflicts/route.js');
+const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+
+/**
+ * Helper to create a mock request
+ */
+function createMockRequest(options = {}) {
+  const { method = 'GET', body = null, headers = {} } = options;
+
+  return {
+    method,
+    headers: {
+      get: (name) => headers[name] || null,
+    },
+    json: async () => body,
+  };
+}
+
+const pendingRow = {
+  id: 'conflict-1',
+  user_id: 'user-123',
+  bookmark_id: 'https://example.com',
+  title: 'Example',
+  field: 'title',
+  path: 'Bookmarks Bar/Example',
+  base_value: 'Example',
+  local_value: 'Local Example',
+  remote_value: 'Remote Example',
+  status: 'pending',
+  resolution: null,
+  resolved_value: null,
+  device_id: 'device-1',
+  created_at: '2024-01-01T00:00:00Z',
+  resolved_at: null,
+};
+
+describe('Conflicts API Routes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('GET /api/conflicts', () => {
+    it('should return 401 when not authenticated', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: null, supabase: null });
+
+      const response = await GET(createMockRequest());
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return pending conflicts in API shape', async () => {
+      const chain = createChainableMock({ data: [pendingRow], error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await GET(createMockRequest());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(chain.eq).toHaveBeenCalledWith('status', 'pending');
+      expect(data.count).toBe(1);
+      expect(data.conflicts[0]).toMatchObject({
+        id: 'conflict-1',
+        bookmarkId: 'https://example.com',
+        baseValue: 'Example',
+        localValue: 'Local Example',
+        remoteValue: 'Remote Example',
+        status: 'pending',
+      });
+    });
+  });
+
+  describe('POST /api/conflicts', () => {
+    it('should reject conflicts with an unknown field', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: { from: vi.fn() } });
+
+      const response = await POST(
+        createMockRequest({
+          method: 'POST',
+          body: { conflicts: [{ bookmarkId: 'https://example.com', field: 'color' }] },
+        })
+      );
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should supersede pending conflicts on the same field and insert new ones', async () => {
+      const chain = createChainableMock({ data: [pendingRow], error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await POST(
+        createMockRequest({
+          method: 'POST',
+          body: {
+            deviceId: 'device-1',
+            conflicts: [
+              {
+                bookmarkId: 'https://example.com',
+                title: 'Example',
+                field: 'title',
+                path: 'Bookmarks Bar/Example',
+                baseValue: 'Example',
+                localValue: 'Local Example',
+                remoteValue: 'Remote Example',
+              },
+            ],
+          },
+        })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(chain.update).toHaveBeenCalledWith({ status: 'superseded' });
+      expect(chain.in).toHaveBeenCalledWith('bookmark_id', ['https://example.com']);
+      expect(chain.insert).toHaveBeenCalledWith([
+        expect.objectContaining({
+          user_id: 'user-123',
+          bookmark_id: 'https://example.com',
+          field: 'title',
+          local_value: 'Local Example',
+          device_id: 'device-1',
+        }),
+      ]);
+      expect(data.count).toBe(1);
+    });
+  });
+
+  describe('PATCH /api/conflicts', () => {
+    it('should return 404 for an unknown conflict', async () => {
+      const chain = createChainableMock({ data: null, error: { code: 'PGRST116' } });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await PATCH(
+        createMockRequest({ method: 'PATCH', body: { id: 'missing', resolution: 'local' } })
+      );
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should require a value for a merged resolution', async () => {
+      const chain = createChainableMock({ data: pendingRow, error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await PATCH(
+        createMockRequest({ method: 'PATCH', body: { id: 'conflict-1', resolution: 'merged' } })
+      );
+
+      expect(response.status).toBe(400);
+      expect(chain.update).not.toHaveBeenCalled();
+    });
+
+    it('should store the remote value when the user picks remote', async () => {
+      const chain = createChainableMock({ data: pendingRow, error: null });
+      chain.single.mockResolvedValueOnce({ data: pendingRow, error: null }).mockResolvedValueOnce({
+        data: { ...pendingRow, status: 'resolved', resolution: 'remote' },
+        error: null,
+      });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await PATCH(
+        createMockRequest({ method: 'PATCH', body: { id: 'conflict-1', resolution: 'remote' } })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(chain.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 'resolved',
+          resolution: 'remote',
+          resolved_value: 'Remote Example',
+        })
+      );
+      expect(data.conflict.resolution).toBe('remote');
+    });
+
+    it('should return 409 when the conflict was already resolved', async () => {
+      const chain = createChainableMock({
+        data: { ...pendingRow, status: 'resolved' },
+        error: null,
+      });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: { from: vi.fn(() => chain) },
+      });
+
+      const response = await PATCH(
+        createMockRequest({ method: 'PATCH', body: { id: 'conflict-1', resolution: 'local' } })
+      );
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
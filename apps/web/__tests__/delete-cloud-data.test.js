@@ -161,7 +161,9 @@ describe('DELETE /api/bookmarks/all - Delete All Cloud Data', () => {
       expect(data.message).toBe('All cloud data deleted successfully');
       expect(data.deleted).toEqual({
         bookmarks: true,
+        items: true,
         versions: true,
+        changes: true,
         sources: true,
       });
     });
@@ -196,6 +198,36 @@ describe('DELETE /api/bookmarks/all - Delete All Cloud Data', () => {
       expect(deletedTables).toContain('bookmark_versions');
     });
 
+    it('should delete from bookmark_items table', async () => {
+      mockSupabase = createDeleteMockSupabase();
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: mockSupabase });
+
+      const request = createMockRequest({
+        method: 'DELETE',
+        headers: { authorization: 'Bearer valid-token' },
+      });
+
+      await DELETE(request);
+
+      const deletedTables = mockSupabase.getDeletedTables();
+      expect(deletedTables).toContain('bookmark_items');
+    });
+
+    it('should delete from bookmark_changes table', async () => {
+      mockSupabase = createDeleteMockSupabase();
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: mockSupabase });
+
+      const request = createMockRequest({
+        method: 'DELETE',
+        headers: { authorization: 'Bearer valid-token' },
+      });
+
+      await DELETE(request);
+
+      const deletedTables = mockSupabase.getDeletedTables();
+      expect(deletedTables).toContain('bookmark_changes');
+    });
+
     it('should delete from sync_sources table', async () => {
       mockSupabase = createDeleteMockSupabase();
       getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: mockSupabase });
@@ -319,6 +319,64 @@ describe('Devices API Routes', () => {
       expect(response.status).toBe(200);
     });
 
+    it('should keep the stored sync profile when none is sent', async () => {
+      mockGetAuthenticatedUser.mockResolvedValue(createAuthResult('user-123'));
+
+      const request = createMockRequest({
+        method: 'POST',
+        body: { deviceId: 'chrome-123', browser: 'chrome', os: 'Linux' },
+      });
+      await POST(request);
+
+      expect(mockChain.upsert.mock.calls[0][0]).not.toHaveProperty('sync_profile');
+    });
+
+    it('should store a normalized sync profile', async () => {
+      mockGetAuthenticatedUser.mockResolvedValue(createAuthResult('user-123'));
+
+      const request = createMockRequest({
+        method: 'POST',
+        body: {
+          deviceId: 'chrome-123',
+          syncProfile: { include: [], exclude: ['Bookmarks Bar/Work/', 'Archive/**'] },
+        },
+      });
+      const response = await POST(request);
+
+      expect(response.status).toBe(200);
+      expect(mockChain.upsert.mock.calls[0][0].sync_profile).toEqual({
+        include: [],
+        exclude: ['toolbar/Work', 'Archive/**'],
+      });
+    });
+
+    it('should clear the sync profile when it has no rules', async () => {
+      mockGetAuthenticatedUser.mockResolvedValue(createAuthResult('user-123'));
+
+      const request = createMockRequest({
+        method: 'POST',
+        body: { deviceId: 'chrome-123', syncProfile: { include: [], exclude: [] } },
+      });
+      await POST(request);
+
+      expect(mockChain.upsert.mock.calls[0][0].sync_profile).toBeNull();
+    });
+
+    it('should return 400 for an invalid sync profile', async () => {
+      mockGetAuthenticatedUser.mockResolvedValue(createAuthResult('user-123'));
+
+      const request = createMockRequest({
+        method: 'POST',
+        body: { deviceId: 'chrome-123', syncProfile: { exclude: 'Work' } },
+      });
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Invalid sync profile: exclude must be an array of folder paths');
+      expect(mockChain.upsert).not.toHaveBeenCalled();
+    });
+
     it('should return 500 when database error occurs', async () => {
       mockGetAuthenticatedUser.mockResolvedValue(createAuthResult('user-123'));
 
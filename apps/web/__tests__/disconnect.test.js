@@ -1,7 +1,8 @@
 /**
  * @fileoverview Tests for disconnect API routes
  * Tests DELETE /api/connect/github/disconnect, /api/connect/dropbox/disconnect,
- * /api/connect/google-drive/disconnect endpoints
+ * /api/connect/google-drive/disconnect, /api/connect/webdav/disconnect,
+ * /api/connect/s3/disconnect, /api/connect/git-forge/disconnect endpoints
  * Uses Vitest with mocked Supabase client
  */
 
@@ -50,6 +51,9 @@ const { DELETE: githubDELETE } = await import('../app/api/connect/github/disconn
 const { DELETE: dropboxDELETE } = await import('../app/api/connect/dropbox/disconnect/route.js');
 const { DELETE: googleDriveDELETE } =
   await import('../app/api/connect/google-drive/disconnect/route.js');
+const { DELETE: webdavDELETE } = await import('../app/api/connect/webdav/disconnect/route.js');
+const { DELETE: s3DELETE } = await import('../app/api/connect/s3/disconnect/route.js');
+const { DELETE: gitForgeDELETE } = await import('../app/api/connect/git-forge/disconnect/route.js');
 
 describe('Disconnect API Routes', () => {
   beforeEach(() => {
@@ -177,6 +181,78 @@ describe('Disconnect API Routes', () => {
       expect(data.error).toBe('Failed to disconnect Google Drive');
     });
   });
+
+  describe('DELETE /api/connect/webdav/disconnect', () => {
+    it('should successfully disconnect WebDAV for authenticated user', async () => {
+      mockGetUser.mockResolvedValue({ id: 'user-123', email: 'test@example.com' });
+      mockDbResult = { error: null };
+
+      const response = await webdavDELETE();
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.message).toBe('WebDAV disconnected');
+    });
+
+    it('should return 500 when database error occurs', async () => {
+      mockGetUser.mockResolvedValue({ id: 'user-123', email: 'test@example.com' });
+      mockDbResult = { error: { message: 'Database error' } };
+
+      const response = await webdavDELETE();
+      const data = await response.json();
+
+      expect(response.status).toBe(500);
+      expect(data.error).toBe('Failed to disconnect WebDAV');
+    });
+  });
+
+  describe('DELETE /api/connect/s3/disconnect', () => {
+    it('should successfully disconnect S3 for authenticated user', async () => {
+      mockGetUser.mockResolvedValue({ id: 'user-123', email: 'test@example.com' });
+      mockDbResult = { error: null };
+
+      const response = await s3DELETE();
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.message).toBe('S3 storage disconnected');
+    });
+
+    it('should return 500 when database error occurs', async () => {
+      mockGetUser.mockResolvedValue({ id: 'user-123', email: 'test@example.com' });
+      mockDbResult = { error: { message: 'Database error' } };
+
+      const response = await s3DELETE();
+      const data = await response.json();
+
+      expect(response.status).toBe(500);
+      expect(data.error).toBe('Failed to disconnect S3');
+    });
+  });
+
+  describe('DELETE /api/connect/git-forge/disconnect', () => {
+    it('should successfully disconnect the git repository for authenticated user', async () => {
+      mockGetUser.mockResolvedValue({ id: 'user-123', email: 'test@example.com' });
+      mockDbResult = { error: null };
+
+      const response = await gitForgeDELETE();
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.message).toBe('Git repository disconnected');
+    });
+
+    it('should return 500 when database error occurs', async () => {
+      mockGetUser.mockResolvedValue({ id: 'user-123', email: 'test@example.com' });
+      mockDbResult = { error: { message: 'Database error' } };
+
+      const response = await gitForgeDELETE();
+      const data = await response.json();
+
+      expect(response.status).toBe(500);
+      expect(data.error).toBe('Failed to disconnect git repository');
+    });
+  });
 });
 
 describe('Disconnect API Edge Cases', () => {
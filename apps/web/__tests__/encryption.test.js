@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Tests for the encryption keyring API
+ * Tests GET, PUT, DELETE /api/encryption
+ * Uses Vitest with mocked auth helper
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockUser = { id: 'user-123', email: 'test@example.com' };
+
+// Chainable query mock; single() resolves to `result`, awaiting a write succeeds
+const createChainableMock = (result = { data: null, error: null }) => {
+  const chain = {
+    select: vi.fn(() => chain),
+    eq: vi.fn(() => chain),
+    upsert: vi.fn(() => chain),
+    delete: vi.fn(() => chain),
+    single: vi.fn(() => Promise.resolve(result)),
+    then: (resolve, reject) => Promise.resolve({ data: null, error: null }).then(resolve, reject),
+  };
+  return chain;
+};
+
+/**
+ * Supabase mock with one chain per table
+ */
+function createMockSupabase({ keyringRow = null } = {}) {
+  const tables = {
+    encryption_keyrings: createChainableMock({
+      data: keyringRow,
+      error: keyringRow ? null : { code: 'PGRST116' },
+    }),
+    bookmark_changes: createChainableMock(),
+    bookmark_versions: createChainableMock(),
+  };
+
+  return {
+    tables,
+    from: vi.fn((table) => tables[table]),
+  };
+}
+
+vi.mock('@/lib/auth-helper', () => ({
+  corsHeaders: vi.fn(() => ({ 'Access-Control-Allow-Origin': '*' })),
+  getAuthenticatedUser: vi.fn(),
+}));
+
+// Import after mocks
+const { GET, PUT, DELETE } = await import('../app/api/encryption/route.js');
+const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+
+function createMockRequest({ method = 'GET', body = null } = {}) {
+  return {
+    method,
+    headers: { get: () => null },
+    json: async () => body,
+  };
+}
+
+const createKeyring = (keyId) => ({
+  version: 1,
+  keyId,
+  kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 600000, salt: 'c2FsdA' },
+  wrappedKey: { iv: 'aXY', ciphertext: 'Y2lwaGVydGV4dA' },
+  createdAt: '2026-01-01T00:00:00.000Z',
+});
+
+describe('Encryption API Routes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should return 401 when not authenticated', async () => {
+    getAuthenticatedUser.mockResolvedValue({ user: null, supabase: null });
+
+    const response = await GET(createMockRequest());
+
+    expect(response.status).toBe(401);
+  });
+
+  describe('GET /api/encryption', () => {
+    it('should report encryption off when there is no keyring', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: createMockSupabase() });
+
+      const data = await (await GET(createMockRequest())).json();
+
+      expect(data).toMatchObject({ enabled: false, keyring: null });
+    });
+
+    it('should return the stored keyring', async () => {
+      const keyring = createKeyring('key-1');
+      const supabase = createMockSupabase({ keyringRow: { key_id: 'key-1', keyring } });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const data = await (await GET(createMockRequest())).json();
+
+      expect(data).toMatchObject({ enabled: true, keyring });
+    });
+  });
+
+  describe('PUT /api/encryption', () => {
+    it('should reject a malformed keyring', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: createMockSupabase() });
+
+      const response = await PUT(
+        createMockRequest({ method: 'PUT', body: { keyring: { keyId: 'key-1' } } })
+      );
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should store a new keyring and purge plaintext history', async () => {
+      const supabase = createMockSupabase();
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await PUT(
+        createMockRequest({ method: 'PUT', body: { keyring: createKeyring('key-1') } })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toMatchObject({ keyId: 'key-1', keyChanged: true, purged: true });
+      expect(supabase.tables.encryption_keyrings.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: mockUser.id, key_id: 'key-1' }),
+        { onConflict: 'user_id' }
+      );
+      expect(supabase.tables.bookmark_changes.delete).toHaveBeenCalled();
+      expect(supabase.tables.bookmark_versions.delete).toHaveBeenCalled();
+    });
+
+    it('should keep history when only the passphrase changes', async () => {
+      const supabase = createMockSupabase({
+        keyringRow: { key_id: 'key-1', keyring: createKeyring('key-1') },
+      });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const data = await (
+        await PUT(createMockRequest({ method: 'PUT', body: { keyring: createKeyring('key-1') } }))
+      ).json();
+
+      expect(data).toMatchObject({ keyChanged: false, purged: false });
+      expect(supabase.tables.bookmark_versions.delete).not.toHaveBeenCalled();
+    });
+
+    it('should only rotate away from the key the device knows about', async () => {
+      const stored = createKeyring('key-2');
+      const supabase = createMockSupabase({ keyringRow: { key_id: 'key-2', keyring: stored } });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const stale = await PUT(
+        createMockRequest({
+          method: 'PUT',
+          body: { keyring: createKeyring('key-3'), previousKeyId: 'key-1' },
+        })
+      );
+      expect(stale.status).toBe(409);
+      expect(await stale.json()).toMatchObject({
+        code: 'ENCRYPTION_KEY_MISMATCH',
+        keyring: stored,
+      });
+      expect(supabase.tables.encryption_keyrings.upsert).not.toHaveBeenCalled();
+
+      const rotated = await PUT(
+        createMockRequest({
+          method: 'PUT',
+          body: { keyring: createKeyring('key-3'), previousKeyId: 'key-2' },
+        })
+      );
+      expect(rotated.status).toBe(200);
+    });
+  });
+
+  describe('DELETE /api/encryption', () => {
+    it('should remove the keyring and the encrypted history', async () => {
+      const supabase = createMockSupabase({
+        keyringRow: { key_id: 'key-1', keyring: createKeyring('key-1') },
+      });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const data = await (await DELETE(createMockRequest({ method: 'DELETE' }))).json();
+
+      expect(data).toMatchObject({ enabled: false, purged: true });
+      expect(supabase.tables.encryption_keyrings.delete).toHaveBeenCalled();
+      expect(supabase.tables.bookmark_versions.delete).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Tests for the git forge routes:
+ * POST /api/connect/git-forge, GET /api/connect/git-forge/history and
+ * POST /api/connect/git-forge/restore
+ * Uses Vitest with mocked Supabase client and git forge source
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockGetUser = vi.fn();
+const mockUpsert = vi.fn();
+const mockMaybeSingle = vi.fn();
+const mockRpc = vi.fn();
+const mockTombstoneUpdate = vi.fn();
+const mockSource = {
+  validateCredentials: vi.fn(),
+  listHistory: vi.fn(),
+  readCommit: vi.fn(),
+  restore: vi.fn(),
+};
+
+vi.mock('../lib/supabase/server', () => ({
+  getUser: () => mockGetUser(),
+  createClient: vi.fn(() =>
+    Promise.resolve({
+      from: vi.fn((table) =>
+        table === 'cloud_bookmarks'
+          ? { update: (values) => ({ eq: () => mockTombstoneUpdate(values) }) }
+          : {
+              upsert: mockUpsert,
+              select: () => ({ eq: () => ({ eq: () => ({ maybeSingle: mockMaybeSingle }) }) }),
+            }
+      ),
+      rpc: mockRpc,
+    })
+  ),
+}));
+
+vi.mock('@marksyncr/sources/git-forge', () => ({
+  GitForgeSource: vi.fn().mockImplementation((config, credentials) => ({
+    ...mockSource,
+    forge: config.forge,
+    baseUrl: config.baseUrl?.replace(/\/+$/, '') ?? null,
+    repository: config.repository,
+    branch: config.branch || 'main',
+    path: config.path || 'bookmarks.json',
+    credentials,
+    headCommit: 'f00dfeed',
+  })),
+}));
+
+const { POST: connect } = await import('../app/api/connect/git-forge/route.js');
+const { GET: history } = await import('../app/api/connect/git-forge/history/route.js');
+const { POST: restore } = await import('../app/api/connect/git-forge/restore/route.js');
+const { GitForgeSource } = await import('@marksyncr/sources/git-forge');
+const { publicFetch } = await import('../lib/public-urls.js');
+
+const postJson = (handler, path, body) =>
+  handler(
+    new Request(`http://localhost:3000/api/connect/git-forge${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+  );
+
+const connectedRow = {
+  repository: 'alice/bookmarks',
+  branch: 'main',
+  file_path: 'bookmarks.json',
+  access_token: 'glpat-token',
+  config: { forge: 'gitlab' },
+};
+
+describe('Git forge routes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGetUser.mockResolvedValue({ id: 'user-123', email: 'alice@example.com' });
+    mockUpsert.mockResolvedValue({ error: null });
+    mockMaybeSingle.mockResolvedValue({ data: connectedRow, error: null });
+    mockRpc.mockResolvedValue({ data: { version: 8 }, error: null });
+    mockTombstoneUpdate.mockResolvedValue({ error: null });
+    mockSource.validateCredentials.mockResolvedValue(true);
+  });
+
+  describe('POST /api/connect/git-forge', () => {
+    const validBody = { forge: 'github', repository: 'alice/bookmarks', token: 'ghp_token' };
+
+    it('should return 401 when user is not authenticated', async () => {
+      mockGetUser.mockResolvedValue(null);
+
+      const response = await postJson(connect, '', validBody);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should check push access and store the connection', async () => {
+      const response = await postJson(connect, '', {
+        ...validBody,
+        forge: 'forgejo',
+        baseUrl: 'https://codeberg.org/',
+        branch: 'sync',
+      });
+
+      expect(response.status).toBe(200);
+      expect(GitForgeSource).toHaveBeenCalledWith(
+        expect.objectContaining({
+          forge: 'forgejo',
+          baseUrl: 'https://codeberg.org',
+          repository: 'alice/bookmarks',
+          branch: 'sync',
+          path: 'bookmarks.json',
+        }),
+        { accessToken: 'ghp_token' },
+        { fetch: publicFetch }
+      );
+      expect(mockUpsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          user_id: 'user-123',
+          provider: 'git-forge',
+          access_token: 'ghp_token',
+          repository: 'alice/bookmarks',
+          branch: 'sync',
+          file_path: 'bookmarks.json',
+          config: { forge: 'forgejo', baseUrl: 'https://codeberg.org' },
+        }),
+        { onConflict: 'collection_id,provider' }
+      );
+    });
+
+    it('should not store a token that cannot push', async () => {
+      mockSource.validateCredentials.mockResolvedValue(false);
+
+      const response = await postJson(connect, '', validBody);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toContain('Could not access the repository');
+      expect(mockUpsert).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid input', async () => {
+      const responses = await Promise.all([
+        postJson(connect, '', { ...validBody, forge: 'bitbucket' }),
+        postJson(connect, '', { ...validBody, forge: 'gitea' }), // Gitea needs a server URL
+        postJson(connect, '', { ...validBody, repository: 'bookmarks' }),
+        postJson(connect, '', { ...validBody, token: '' }),
+      ]);
+
+      expect(responses.map((r) => r.status)).toEqual([400, 400, 400, 400]);
+      expect(mockSource.validateCredentials).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/connect/git-forge/history', () => {
+    it('should list the commits of the connected repository', async () => {
+      const commits = [{ id: 'abc1234', message: 'Sync bookmarks: 1 added' }];
+      mockSource.listHistory.mockResolvedValue(commits);
+
+      const response = await history(
+        new Request('http://localhost:3000/api/connect/git-forge/history?limit=5')
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.commits).toEqual(commits);
+      expect(mockSource.listHistory).toHaveBeenCalledWith({ limit: 5 });
+      expect(GitForgeSource).toHaveBeenCalledWith(
+        expect.objectContaining({ forge: 'gitlab', repository: 'alice/bookmarks' }),
+        { accessToken: 'glpat-token' },
+        { fetch: publicFetch }
+      );
+    });
+
+    it('should return 404 when no repository is connected', async () => {
+      mockMaybeSingle.mockResolvedValue({ data: null, error: null });
+
+      const response = await history(
+        new Request('http://localhost:3000/api/connect/git-forge/history')
+      );
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/connect/git-forge/restore', () => {
+    const snapshot = {
+      metadata: { checksum: 'sum-at-commit' },
+      bookmarks: [{ url: 'https://a.com', title: 'A' }],
+      tombstones: [{ url: 'https://b.com', deletedAt: 1 }],
+    };
+
+    it('should commit the restore and make it the cloud bookmarks', async () => {
+      mockSource.readCommit.mockResolvedValue(snapshot);
+      mockSource.restore.mockResolvedValue(snapshot);
+
+      const response = await postJson(restore, '/restore', { commit: 'abc1234def' });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toMatchObject({ success: true, commit: 'f00dfeed', version: 8 });
+      expect(mockSource.restore).toHaveBeenCalledWith('abc1234def');
+      expect(mockRpc).toHaveBeenCalledWith(
+        'save_bookmark_version',
+        expect.objectContaining({
+          p_user_id: 'user-123',
+          p_bookmark_data: snapshot.bookmarks,
+          p_checksum: 'sum-at-commit',
+          p_source_type: 'git-forge',
+        })
+      );
+      expect(mockTombstoneUpdate).toHaveBeenCalledWith({ tombstones: snapshot.tombstones });
+    });
+
+    it('should not restore a commit without a bookmark file from cloud sync', async () => {
+      mockSource.readCommit.mockResolvedValue({ bookmarks: { toolbar: {} } });
+
+      const response = await postJson(restore, '/restore', { commit: 'abc1234' });
+
+      expect(response.status).toBe(422);
+      expect(mockSource.restore).not.toHaveBeenCalled();
+      expect(mockRpc).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid commit and report missing ones', async () => {
+      const invalid = await postJson(restore, '/restore', { commit: 'HEAD~1' });
+      expect(invalid.status).toBe(400);
+
+      mockSource.readCommit.mockRejectedValue(
+        Object.assign(new Error('missing'), { code: 'NOT_FOUND' })
+      );
+      const missing = await postJson(restore, '/restore', { commit: 'abc1234' });
+      expect(missing.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,556 @@
+/**
+ * @fileoverview Tests for scheduled link health scans (lib/link-health.js) and the
+ * routes around them: GET /api/cron/link-health and /api/link-health/alerts
+ * Uses Vitest with mocked Supabase clients, bookmark store and fetch
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockUser = { id: 'user-123', email: 'test@example.com' };
+const mockLoadCollectionItems = vi.fn();
+let mockClient;
+
+vi.mock('../lib/bookmark-store', () => ({
+  loadCollectionItems: (...args) => mockLoadCollectionItems(...args),
+}));
+
+vi.mock('../lib/supabase/server', () => ({
+  createClient: vi.fn(() => Promise.resolve(mockClient)),
+  createAdminClient: vi.fn(() => mockClient),
+}));
+
+vi.mock('@/lib/auth-helper', () => ({
+  corsHeaders: vi.fn(() => ({ 'Access-Control-Allow-Origin': '*' })),
+  getAuthenticatedUser: vi.fn(),
+}));
+
+// Hosts aren't resolved in tests; requests go to the fetch stub
+vi.mock('../lib/public-urls', async (importOriginal) => ({
+  ...(await importOriginal()),
+  publicFetch: (url, init) => global.fetch(url, init),
+}));
+
+const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+const { LINK_RECHECK_INTERVAL_MS, selectLinksToCheck, runLinkScan, processLinkScans } =
+  await import('../lib/link-health.js');
+const { GET: runCron } = await import('../app/api/cron/link-health/route.js');
+const { GET: getAlerts, POST: acknowledgeAlerts } =
+  await import('../app/api/link-health/alerts/route.js');
+
+/**
+ * Chainable query builder resolving to the given result, recording the calls made
+ */
+function query(result) {
+  const builder = {
+    calls: [],
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  for (const method of [
+    'select',
+    'eq',
+    'in',
+    'is',
+    'not',
+    'order',
+    'range',
+    'limit',
+    'insert',
+    'upsert',
+    'update',
+    'delete',
+  ]) {
+    builder[method] = vi.fn((...args) => {
+      builder.calls.push([method, ...args]);
+      return builder;
+    });
+  }
+  builder.maybeSingle = vi.fn(() => Promise.resolve(result));
+  return builder;
+}
+
+/**
+ * Supabase client with a result per table; claim_link_scans hands out the given runs
+ */
+function createClient({ runs = [], tables = {} } = {}) {
+  const queries = [];
+  return {
+    queries,
+    rpc: vi.fn(async (fn) => {
+      if (fn === 'claim_link_scans') return { data: runs, error: null };
+      return { data: null, error: null };
+    }),
+    from: vi.fn((table) => {
+      const q = query(tables[table] ?? { data: null, error: null });
+      queries.push([table, q]);
+      return q;
+    }),
+  };
+}
+
+const callsTo = (client, table, method) =>
+  client.queries
+    .filter(([name]) => name === table)
+    .flatMap(([, q]) => q.calls.filter(([m]) => m === method).map(([, ...args]) => args));
+
+const bookmark = (url) => ({ type: 'bookmark', url, title: url, folderPath: 'Bookmarks Bar' });
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+
+/**
+ * Answer link checks with the status code of each URL, 200 by default
+ */
+function serveLinks(statusCodes = {}) {
+  global.fetch = vi.fn(async (url) => ({
+    status: statusCodes[url] ?? 200,
+    headers: new Headers(),
+  }));
+}
+
+describe('Link health', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    mockLoadCollectionItems.mockResolvedValue({ items: [], encrypted: false, error: null });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    vi.restoreAllMocks();
+  });
+
+  describe('selectLinksToCheck', () => {
+    it('should pick unchecked links first, then the longest unchecked, skipping recent ones', () => {
+      const checks = new Map([
+        ['https://old.example', { checked_at: new Date(NOW - 30 * DAY).toISOString() }],
+        ['https://older.example', { checked_at: new Date(NOW - 60 * DAY).toISOString() }],
+        ['https://fresh.example', { checked_at: new Date(NOW - DAY).toISOString() }],
+      ]);
+      const urls = [
+        'https://old.example',
+        'https://fresh.example',
+        'https://new.example',
+        'https://older.example',
+      ];
+
+      expect(selectLinksToCheck(urls, checks, { now: NOW })).toEqual([
+        'https://new.example',
+        'https://older.example',
+        'https://old.example',
+      ]);
+      expect(selectLinksToCheck(urls, checks, { now: NOW, limit: 2 })).toEqual([
+        'https://new.example',
+        'https://older.example',
+      ]);
+    });
+
+    it('should check a link again once the recheck interval has passed', () => {
+      const checks = new Map([
+        [
+          'https://a.example',
+          { checked_at: new Date(NOW - LINK_RECHECK_INTERVAL_MS).toISOString() },
+        ],
+      ]);
+
+      expect(selectLinksToCheck(['https://a.example'], checks, { now: NOW })).toEqual([
+        'https://a.example',
+      ]);
+    });
+  });
+
+  describe('runLinkScan', () => {
+    const run = { id: 'run-1', user_id: 'user-123' };
+    const oldCheck = (url, status, extra = {}) => ({
+      id: `check-${url}`,
+      bookmark_id: url,
+      url,
+      status,
+      checked_at: new Date(Date.now() - 30 * DAY).toISOString(),
+      broken_since: null,
+      ...extra,
+    });
+
+    it('should store results, record status changes and count links that broke', async () => {
+      mockLoadCollectionItems.mockResolvedValue({
+        items: [
+          bookmark('https://works.example/'),
+          bookmark('https://breaks.example/'),
+          bookmark('https://recovers.example/'),
+          bookmark('https://new.example/'),
+          { type: 'folder', title: 'Reading', folderPath: 'Bookmarks Bar' },
+        ],
+        encrypted: false,
+        error: null,
+      });
+      const client = createClient({
+        tables: {
+          collections: { data: [{ id: 'collection-1' }], error: null },
+          link_checks: {
+            data: [
+              oldCheck('https://works.example/', 'valid'),
+              oldCheck('https://breaks.example/', 'valid'),
+              oldCheck('https://recovers.example/', 'broken', {
+                broken_since: '2026-01-01T00:00:00.000Z',
+              }),
+              oldCheck('https://removed.example/', 'valid'),
+            ],
+            error: null,
+          },
+        },
+      });
+      serveLinks({ 'https://breaks.example/': 404, 'https://new.example/': 500 });
+
+      const summary = await runLinkScan(client, run);
+
+      expect(summary).toEqual({ checked: 4, broken: 2, newlyBroken: 1, recovered: 1 });
+
+      // Links no longer bookmarked are forgotten
+      expect(callsTo(client, 'link_checks', 'delete')).toHaveLength(1);
+      expect(callsTo(client, 'link_checks', 'in')).toEqual([
+        ['id', ['check-https://removed.example/']],
+      ]);
+
+      const [[rows, options]] = callsTo(client, 'link_checks', 'upsert');
+      expect(options).toEqual({ onConflict: 'user_id,bookmark_id' });
+      const byUrl = Object.fromEntries(rows.map((row) => [row.url, row]));
+      expect(byUrl['https://breaks.example/']).toMatchObject({
+        status: 'broken',
+        status_code: 404,
+      });
+      expect(byUrl['https://breaks.example/'].broken_since).toBe(
+        byUrl['https://breaks.example/'].checked_at
+      );
+      expect(byUrl['https://recovers.example/'].broken_since).toBeNull();
+
+      // Only status changes go to the history; a first check has no previous status
+      const [[history]] = callsTo(client, 'link_check_history', 'insert');
+      expect(
+        history.map(({ url, status, previous_status }) => [url, previous_status, status])
+      ).toEqual(
+        expect.arrayContaining([
+          ['https://breaks.example/', 'valid', 'broken'],
+          ['https://recovers.example/', 'broken', 'valid'],
+          ['https://new.example/', null, 'broken'],
+        ])
+      );
+      expect(history).toHaveLength(3);
+      expect(history.every((change) => change.run_id === 'run-1')).toBe(true);
+    });
+
+    it('should keep when a link first broke while it stays broken', async () => {
+      mockLoadCollectionItems.mockResolvedValue({
+        items: [bookmark('https://down.example/')],
+        encrypted: false,
+        error: null,
+      });
+      const client = createClient({
+        tables: {
+          collections: { data: [{ id: 'collection-1' }], error: null },
+          link_checks: {
+            data: [
+              oldCheck('https://down.example/', 'broken', {
+                broken_since: '2026-01-01T00:00:00.000Z',
+              }),
+            ],
+            error: null,
+          },
+        },
+      });
+      serveLinks({ 'https://down.example/': 410 });
+
+      const summary = await runLinkScan(client, run);
+
+      expect(summary).toEqual({ checked: 1, broken: 1, newlyBroken: 0, recovered: 0 });
+      const [[rows]] = callsTo(client, 'link_checks', 'upsert');
+      expect(rows[0].broken_since).toBe('2026-01-01T00:00:00.000Z');
+      expect(callsTo(client, 'link_check_history', 'insert')).toEqual([]);
+    });
+
+    it('should never request private addresses, even through a redirect', async () => {
+      mockLoadCollectionItems.mockResolvedValue({
+        items: [
+          bookmark('http://169.254.169.254/latest/meta-data/'),
+          bookmark('http://localhost:8080/admin'),
+          bookmark('http://10.0.0.7/'),
+          bookmark('https://moved.example/'),
+        ],
+        encrypted: false,
+        error: null,
+      });
+      const client = createClient({
+        tables: { collections: { data: [{ id: 'collection-1' }], error: null } },
+      });
+      global.fetch = vi.fn(async () => ({
+        status: 302,
+        headers: new Headers({ location: 'http://192.168.0.1/' }),
+      }));
+
+      const summary = await runLinkScan(client, run);
+
+      expect(summary.checked).toBe(1);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][0]).toBe('https://moved.example/');
+      const [[rows]] = callsTo(client, 'link_checks', 'upsert');
+      expect(rows).toEqual([
+        expect.objectContaining({
+          url: 'https://moved.example/',
+          status: 'broken',
+          status_code: null,
+          redirect_url: null,
+          error_message: 'Address is not allowed',
+        }),
+      ]);
+    });
+
+    it('should skip encrypted collections', async () => {
+      mockLoadCollectionItems.mockResolvedValue({ items: [], encrypted: true, error: null });
+      const client = createClient({
+        tables: { collections: { data: [{ id: 'collection-1' }], error: null } },
+      });
+      serveLinks();
+
+      const summary = await runLinkScan(client, run);
+
+      expect(summary).toEqual({ checked: 0, broken: 0, newlyBroken: 0, recovered: 0 });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should not check links once the deadline has passed', async () => {
+      mockLoadCollectionItems.mockResolvedValue({
+        items: [bookmark('https://a.example/')],
+        encrypted: false,
+        error: null,
+      });
+      const client = createClient({
+        tables: { collections: { data: [{ id: 'collection-1' }], error: null } },
+      });
+      serveLinks();
+
+      const summary = await runLinkScan(client, run, { deadline: Date.now() - 1 });
+
+      expect(summary.checked).toBe(0);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processLinkScans', () => {
+    it('should finish each claimed run and flag it for notification when links broke', async () => {
+      mockLoadCollectionItems.mockResolvedValue({
+        items: [bookmark('https://breaks.example/')],
+        encrypted: false,
+        error: null,
+      });
+      mockClient = createClient({
+        runs: [{ id: 'run-1', user_id: 'user-123' }],
+        tables: {
+          collections: { data: [{ id: 'collection-1' }], error: null },
+          link_checks: {
+            data: [
+              {
+                id: 'check-1',
+                bookmark_id: 'https://breaks.example/',
+                url: 'https://breaks.example/',
+                status: 'valid',
+                checked_at: '2026-01-01T00:00:00.000Z',
+              },
+            ],
+            error: null,
+          },
+          user_settings: { data: { settings: { notifications: { brokenLinks: true } } } },
+        },
+      });
+      serveLinks({ 'https://breaks.example/': 404 });
+
+      const results = await processLinkScans(mockClient);
+
+      expect(results).toEqual({ claimed: 1, completed: 1, failed: 0, newlyBroken: 1 });
+      expect(mockClient.rpc).toHaveBeenCalledWith(
+        'claim_link_scans',
+        expect.objectContaining({ p_limit: 3 })
+      );
+      const [[update]] = callsTo(mockClient, 'link_scan_runs', 'update');
+      expect(update).toMatchObject({
+        status: 'completed',
+        checked: 1,
+        broken: 1,
+        newly_broken: 1,
+        recovered: 0,
+        notify: true,
+      });
+      expect(update.finished_at).toEqual(expect.any(String));
+    });
+
+    it('should not flag runs of users with broken link notifications off', async () => {
+      mockLoadCollectionItems.mockResolvedValue({
+        items: [bookmark('https://breaks.example/')],
+        encrypted: false,
+        error: null,
+      });
+      mockClient = createClient({
+        runs: [{ id: 'run-1', user_id: 'user-123' }],
+        tables: {
+          collections: { data: [{ id: 'collection-1' }], error: null },
+          link_checks: {
+            data: [
+              {
+                id: 'check-1',
+                bookmark_id: 'https://breaks.example/',
+                url: 'https://breaks.example/',
+                status: 'valid',
+                checked_at: '2026-01-01T00:00:00.000Z',
+              },
+            ],
+            error: null,
+          },
+          user_settings: { data: { settings: { notifications: { brokenLinks: false } } } },
+        },
+      });
+      serveLinks({ 'https://breaks.example/': 404 });
+
+      await processLinkScans(mockClient);
+
+      const [[update]] = callsTo(mockClient, 'link_scan_runs', 'update');
+      expect(update).toMatchObject({ status: 'completed', newly_broken: 1, notify: false });
+    });
+
+    it('should fail a run whose scan errors', async () => {
+      mockClient = createClient({
+        runs: [{ id: 'run-1', user_id: 'user-123' }],
+        tables: { collections: { data: null, error: { message: 'connection lost' } } },
+      });
+
+      const results = await processLinkScans(mockClient);
+
+      expect(results).toEqual({ claimed: 1, completed: 0, failed: 1, newlyBroken: 0 });
+      const [[update]] = callsTo(mockClient, 'link_scan_runs', 'update');
+      expect(update).toMatchObject({ status: 'failed', error: 'connection lost' });
+    });
+  });
+
+  describe('GET /api/cron/link-health', () => {
+    const cronRequest = (authorization) =>
+      new Request('http://localhost:3000/api/cron/link-health', {
+        headers: authorization ? { authorization } : {},
+      });
+
+    beforeEach(() => {
+      vi.stubEnv('CRON_SECRET', 'cron-secret');
+      vi.stubEnv('SUPABASE_SERVICE_ROLE_KEY', 'service-role');
+    });
+
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('should reject requests without the cron secret', async () => {
+      mockClient = createClient();
+
+      const response = await runCron(cronRequest('Bearer wrong'));
+
+      expect(response.status).toBe(401);
+      expect(mockClient.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should scan the accounts that are due', async () => {
+      mockClient = createClient({
+        runs: [{ id: 'run-1', user_id: 'user-123' }],
+        tables: { collections: { data: [], error: null } },
+      });
+
+      const response = await runCron(cronRequest('Bearer cron-secret'));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ claimed: 1, completed: 1, failed: 0, newlyBroken: 0 });
+    });
+  });
+
+  describe('/api/link-health/alerts', () => {
+    const alertsRequest = (method = 'GET', body) =>
+      new Request('http://localhost:3000/api/link-health/alerts', {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer token' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+
+    it('should require authentication', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: null, supabase: null });
+
+      const response = await getAlerts(alertsRequest());
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list the links that broke in runs the user was not told about', async () => {
+      const client = createClient({
+        tables: {
+          user_settings: { data: { settings: { notifications: { brokenLinks: true } } } },
+          link_scan_runs: {
+            data: [{ id: 'run-1', finished_at: '2026-06-01T12:00:00Z', newly_broken: 1 }],
+            error: null,
+          },
+          link_check_history: {
+            data: [{ url: 'https://breaks.example/', status: 'broken', status_code: 404 }],
+            error: null,
+          },
+        },
+      });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: client });
+
+      const response = await getAlerts(alertsRequest());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.alerts).toEqual([
+        {
+          runId: 'run-1',
+          finishedAt: '2026-06-01T12:00:00Z',
+          newlyBroken: 1,
+          links: [{ url: 'https://breaks.example/', status: 'broken', statusCode: 404 }],
+        },
+      ]);
+      expect(callsTo(client, 'link_scan_runs', 'is')).toEqual([['notified_at', null]]);
+      expect(callsTo(client, 'link_check_history', 'not')).toEqual([
+        ['previous_status', 'in', '(broken,timeout)'],
+      ]);
+    });
+
+    it('should return no alerts with broken link notifications off', async () => {
+      const client = createClient({
+        tables: { user_settings: { data: { settings: { notifications: {} } } } },
+      });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: client });
+
+      const response = await getAlerts(alertsRequest());
+      const data = await response.json();
+
+      expect(data.alerts).toEqual([]);
+      expect(callsTo(client, 'link_scan_runs', 'select')).toEqual([]);
+    });
+
+    it('should mark the user’s runs as notified', async () => {
+      const client = createClient({ tables: { link_scan_runs: { data: null, error: null } } });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: client });
+
+      const response = await acknowledgeAlerts(alertsRequest('POST', { runIds: ['run-1'] }));
+
+      expect(response.status).toBe(200);
+      expect(callsTo(client, 'link_scan_runs', 'update')).toEqual([
+        [{ notified_at: expect.any(String) }],
+      ]);
+      expect(callsTo(client, 'link_scan_runs', 'eq')).toEqual([['user_id', 'user-123']]);
+      expect(callsTo(client, 'link_scan_runs', 'in')).toEqual([['id', ['run-1']]]);
+    });
+
+    it('should reject a body without run ids', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: createClient() });
+
+      const response = await acknowledgeAlerts(alertsRequest('POST', { runIds: 'run-1' }));
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
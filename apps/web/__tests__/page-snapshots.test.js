@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Tests for page snapshots
+ * Tests capturing pages against the plan's quota, and listing, reading and deleting
+ * snapshots
+ * Uses Vitest with mocked auth helper and fetch
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockUser = { id: 'user-123', email: 'test@example.com' };
+const SNAPSHOT_ID = '9f666a62-9dc0-11d1-b245-5ffdce74fad2';
+
+const ARTICLE = `<html>
+  <head>
+    <title>Post | Example</title>
+    <meta property="og:title" content="Post">
+  </head>
+  <body>
+    <nav>Menu</nav>
+    <article><h1>Post</h1><p>Worth <em>reading</em>.</p><script>track()</script></article>
+  </body>
+</html>`;
+
+// Create chainable mock; awaiting the chain resolves to `result`
+const createChainableMock = (result = { data: null, error: null }) => {
+  const chain = {
+    select: vi.fn(() => chain),
+    eq: vi.fn(() => chain),
+    order: vi.fn(() => chain),
+    upsert: vi.fn(() => chain),
+    delete: vi.fn(() => chain),
+    single: vi.fn(() => Promise.resolve(result)),
+    maybeSingle: vi.fn(() => Promise.resolve(result)),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+// Supabase client whose tables return their own chain, or a list of chains, one per query
+const createSupabase = (tables) => ({
+  from: vi.fn((table) => {
+    const chains = tables[table];
+    if (Array.isArray(chains)) return chains.shift() ?? createChainableMock();
+    return chains ?? createChainableMock();
+  }),
+});
+
+const subscription = (plan) =>
+  createChainableMock({ data: plan ? { plan, status: 'active' } : null, error: null });
+
+const snapshotCount = (count) => createChainableMock({ data: null, count, error: null });
+
+const snapshotRow = (overrides = {}) => ({
+  id: SNAPSHOT_ID,
+  url: 'https://example.com/post',
+  canonical_url: null,
+  title: 'Post',
+  byline: null,
+  site_name: 'example.com',
+  description: null,
+  image_url: null,
+  excerpt: 'Post Worth reading.',
+  word_count: 3,
+  truncated: false,
+  captured_at: '2024-01-01T00:00:00Z',
+  content: '<h1>Post</h1><p>Worth <em>reading</em>.</p>',
+  text_content: 'Post Worth reading.',
+  ...overrides,
+});
+
+const htmlResponse = (body) => ({
+  ok: true,
+  status: 200,
+  headers: new Headers({ 'content-type': 'text/html; charset=utf-8' }),
+  text: async () => body,
+});
+
+// Mock @/lib/auth-helper
+vi.mock('@/lib/auth-helper', () => ({
+  corsHeaders: vi.fn(() => ({ 'Access-Control-Allow-Origin': '*' })),
+  getAuthenticatedUser: vi.fn(),
+}));
+
+// Hosts aren't resolved in tests; requests go to the fetch stub
+vi.mock('../lib/public-urls', async (importOriginal) => ({
+  ...(await importOriginal()),
+  publicFetch: (url, init) => global.fetch(url, init),
+}));
+
+// Import after mocks
+const { GET: listSnapshots, POST: captureSnapshot } = await import('../app/api/snapshots/route.js');
+const { GET: getSnapshot, DELETE: deleteSnapshot } =
+  await import('../app/api/snapshots/[snapshotId]/route.js');
+const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+
+/**
+ * Helper to create a mock request
+ */
+function createMockRequest(options = {}) {
+  const { method = 'GET', body = null, headers = {} } = options;
+
+  return {
+    method,
+    url: 'https://marksyncr.com/api/snapshots',
+    headers: {
+      get: (name) => headers[name] || null,
+    },
+    json: async () => body,
+  };
+}
+
+const routeContext = (params) => ({ params: Promise.resolve(params) });
+
+describe('Page snapshots', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    originalFetch = global.fetch;
+    global.fetch = vi.fn().mockResolvedValue(htmlResponse(ARTICLE));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    vi.restoreAllMocks();
+  });
+
+  describe('POST /api/snapshots', () => {
+    it('should capture the page and store a sanitized snapshot', async () => {
+      const saved = createChainableMock({ data: snapshotRow(), error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          subscriptions: subscription('pro'),
+          page_snapshots: [snapshotCount(10), createChainableMock(), saved],
+        }),
+      });
+
+      const response = await captureSnapshot(
+        createMockRequest({ method: 'POST', body: { url: 'https://example.com/post' } })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(data.snapshot.id).toBe(SNAPSHOT_ID);
+      expect(data.snapshot.content).toBeDefined();
+      expect(data.quota).toEqual({ used: 11, limit: 2000 });
+
+      const [row, options] = saved.upsert.mock.calls[0];
+      expect(options).toEqual({ onConflict: 'user_id,url' });
+      expect(row).toMatchObject({
+        user_id: mockUser.id,
+        url: 'https://example.com/post',
+        title: 'Post',
+        text_content: 'Post Worth reading.',
+      });
+      expect(row.content).toBe('<h1>Post</h1><p>Worth <em>reading</em>.</p>');
+    });
+
+    it('should capture the page source sent from the tab without loading it', async () => {
+      const saved = createChainableMock({ data: snapshotRow(), error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          subscriptions: subscription('pro'),
+          page_snapshots: [snapshotCount(0), createChainableMock(), saved],
+        }),
+      });
+
+      const response = await captureSnapshot(
+        createMockRequest({
+          method: 'POST',
+          body: { url: 'https://wiki.corp.internal/post', html: ARTICLE },
+        })
+      );
+
+      expect(response.status).toBe(201);
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(saved.upsert.mock.calls[0][0]).toMatchObject({
+        url: 'https://wiki.corp.internal/post',
+        title: 'Post',
+        content: '<h1>Post</h1><p>Worth <em>reading</em>.</p>',
+      });
+    });
+
+    it('should refuse page sources that are too large', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: createSupabase({}) });
+
+      const response = await captureSnapshot(
+        createMockRequest({
+          method: 'POST',
+          body: { url: 'https://example.com/post', html: 'x'.repeat(2 * 1024 * 1024 + 1) },
+        })
+      );
+
+      expect(response.status).toBe(413);
+    });
+
+    it('should refuse addresses the server must not load', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: createSupabase({}) });
+
+      const response = await captureSnapshot(
+        createMockRequest({ method: 'POST', body: { url: 'http://169.254.169.254/' } })
+      );
+
+      expect(response.status).toBe(400);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should not follow redirects into private networks', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: false,
+        status: 302,
+        headers: new Headers({ location: 'http://127.0.0.1:8080/' }),
+      });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          subscriptions: subscription(null),
+          page_snapshots: [snapshotCount(0), createChainableMock()],
+        }),
+      });
+
+      const response = await captureSnapshot(
+        createMockRequest({ method: 'POST', body: { url: 'https://example.com/go' } })
+      );
+
+      expect(response.status).toBe(422);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse new pages over the plan quota', async () => {
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          subscriptions: subscription(null),
+          page_snapshots: [snapshotCount(25), createChainableMock()],
+        }),
+      });
+
+      const response = await captureSnapshot(
+        createMockRequest({ method: 'POST', body: { url: 'https://example.com/post' } })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(data.code).toBe('SNAPSHOT_QUOTA_EXCEEDED');
+      expect(data.quota).toEqual({ used: 25, limit: 25 });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should let a saved page be captured again over the quota', async () => {
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          subscriptions: subscription(null),
+          page_snapshots: [
+            snapshotCount(25),
+            createChainableMock({ data: { id: SNAPSHOT_ID }, error: null }),
+            createChainableMock({ data: snapshotRow(), error: null }),
+          ],
+        }),
+      });
+
+      const response = await captureSnapshot(
+        createMockRequest({ method: 'POST', body: { url: 'https://example.com/post' } })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(data.quota).toEqual({ used: 25, limit: 25 });
+    });
+
+    it('should report pages that are not HTML', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'content-type': 'application/pdf' }),
+      });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          subscriptions: subscription('pro'),
+          page_snapshots: [snapshotCount(0), createChainableMock()],
+        }),
+      });
+
+      const response = await captureSnapshot(
+        createMockRequest({ method: 'POST', body: { url: 'https://example.com/paper.pdf' } })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error).toBe('Could not capture page: Page is not HTML');
+    });
+  });
+
+  describe('GET /api/snapshots', () => {
+    it('should list snapshots without their content, with the quota', async () => {
+      const { content: _content, text_content: _text, ...summary } = snapshotRow();
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          subscriptions: subscription('team'),
+          page_snapshots: [createChainableMock({ data: [summary], error: null }), snapshotCount(1)],
+        }),
+      });
+
+      const response = await listSnapshots(createMockRequest());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.snapshots).toHaveLength(1);
+      expect(data.snapshots[0]).not.toHaveProperty('content');
+      expect(data.snapshots[0].title).toBe('Post');
+      expect(data.quota).toEqual({ used: 1, limit: 10000 });
+    });
+  });
+
+  describe('GET and DELETE /api/snapshots/[snapshotId]', () => {
+    it('should return a snapshot with its content', async () => {
+      const pageSnapshots = createChainableMock({ data: snapshotRow(), error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({ page_snapshots: pageSnapshots }),
+      });
+
+      const response = await getSnapshot(
+        createMockRequest(),
+        routeContext({ snapshotId: SNAPSHOT_ID })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.snapshot.textContent).toBe('Post Worth reading.');
+      expect(pageSnapshots.eq).toHaveBeenCalledWith('user_id', mockUser.id);
+    });
+
+    it('should return 404 for ids that cannot be snapshots', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: createSupabase({}) });
+
+      const response = await getSnapshot(createMockRequest(), routeContext({ snapshotId: 'nope' }));
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should delete a snapshot the user owns', async () => {
+      const pageSnapshots = createChainableMock({ data: [{ id: SNAPSHOT_ID }], error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({ page_snapshots: pageSnapshots }),
+      });
+
+      const response = await deleteSnapshot(
+        createMockRequest({ method: 'DELETE' }),
+        routeContext({ snapshotId: SNAPSHOT_ID })
+      );
+
+      expect(response.status).toBe(200);
+      expect(pageSnapshots.delete).toHaveBeenCalled();
+    });
+  });
+});
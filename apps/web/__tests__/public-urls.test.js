@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Tests for the addresses the server may request on a user's behalf
+ * Uses Vitest with mocked DNS lookups and HTTP requests
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { Readable } from 'stream';
+
+const mockLookup = vi.fn();
+const mockHttpRequest = vi.fn();
+
+vi.mock('dns/promises', () => {
+  const lookup = (...args) => mockLookup(...args);
+  return { lookup, default: { lookup } };
+});
+
+vi.mock('http', () => {
+  const request = (...args) => mockHttpRequest(...args);
+  return { request, default: { request } };
+});
+
+const { isPublicAddress, isPublicUrl, parsePublicServerUrl, resolvePublicAddress, publicFetch } =
+  await import('../lib/public-urls.js');
+
+describe('Public URLs', () => {
+  beforeEach(() => {
+    mockLookup.mockReset();
+    mockHttpRequest.mockReset();
+  });
+
+  describe('isPublicAddress', () => {
+    it('should allow addresses on the public internet', () => {
+      expect(isPublicAddress('93.184.216.34')).toBe(true);
+      expect(isPublicAddress('2606:2800:220:1:248:1893:25c8:1946')).toBe(true);
+    });
+
+    it('should refuse private, loopback, link-local and metadata addresses', () => {
+      expect(isPublicAddress('127.0.0.1')).toBe(false);
+      expect(isPublicAddress('10.0.0.1')).toBe(false);
+      expect(isPublicAddress('172.31.255.255')).toBe(false);
+      expect(isPublicAddress('192.168.1.1')).toBe(false);
+      expect(isPublicAddress('169.254.169.254')).toBe(false);
+      expect(isPublicAddress('100.100.100.200')).toBe(false);
+      expect(isPublicAddress('0.0.0.0')).toBe(false);
+      expect(isPublicAddress('::1')).toBe(false);
+      expect(isPublicAddress('::')).toBe(false);
+      expect(isPublicAddress('fd00:ec2::254')).toBe(false);
+      expect(isPublicAddress('fe80::1')).toBe(false);
+      expect(isPublicAddress('::ffff:127.0.0.1')).toBe(false);
+      expect(isPublicAddress('not an address')).toBe(false);
+    });
+  });
+
+  describe('isPublicUrl', () => {
+    it('should allow public web pages', () => {
+      expect(isPublicUrl('https://example.com/post')).toBe(true);
+      expect(isPublicUrl('http://93.184.216.34/')).toBe(true);
+    });
+
+    it('should refuse the server itself and private networks', () => {
+      expect(isPublicUrl('http://localhost:3000/api')).toBe(false);
+      expect(isPublicUrl('http://127.0.0.1/')).toBe(false);
+      expect(isPublicUrl('http://2130706433/')).toBe(false);
+      expect(isPublicUrl('http://10.0.0.5/')).toBe(false);
+      expect(isPublicUrl('http://172.20.1.1/')).toBe(false);
+      expect(isPublicUrl('http://192.168.1.1/')).toBe(false);
+      expect(isPublicUrl('http://169.254.169.254/latest/meta-data')).toBe(false);
+      expect(isPublicUrl('http://[::1]/')).toBe(false);
+      expect(isPublicUrl('http://[::ffff:169.254.169.254]/')).toBe(false);
+      expect(isPublicUrl('http://printer.local/')).toBe(false);
+      expect(isPublicUrl('http://intranet/')).toBe(false);
+      expect(isPublicUrl('file:///etc/passwd')).toBe(false);
+    });
+  });
+
+  describe('parsePublicServerUrl', () => {
+    it('should parse public https:// servers', () => {
+      expect(parsePublicServerUrl('https://cloud.example.com/dav')?.href).toBe(
+        'https://cloud.example.com/dav'
+      );
+    });
+
+    it('should refuse plain http, private networks and invalid URLs', () => {
+      expect(parsePublicServerUrl('http://cloud.example.com/dav')).toBeNull();
+      expect(parsePublicServerUrl('https://localhost/dav')).toBeNull();
+      expect(parsePublicServerUrl('https://10.0.0.5:9000')).toBeNull();
+      expect(parsePublicServerUrl('https://100.64.0.1')).toBeNull();
+      expect(parsePublicServerUrl('https://[::ffff:7f00:1]/')).toBeNull();
+      expect(parsePublicServerUrl('not a url')).toBeNull();
+      expect(parsePublicServerUrl(undefined)).toBeNull();
+    });
+  });
+
+  describe('resolvePublicAddress', () => {
+    it('should return the address of a host that resolves publicly', async () => {
+      mockLookup.mockResolvedValue([
+        { address: '93.184.216.34', family: 4 },
+        { address: '2606:2800:220:1:248:1893:25c8:1946', family: 6 },
+      ]);
+
+      await expect(resolvePublicAddress('example.com')).resolves.toEqual({
+        address: '93.184.216.34',
+        family: 4,
+      });
+      expect(mockLookup).toHaveBeenCalledWith('example.com', { all: true, verbatim: true });
+    });
+
+    it('should refuse names that resolve to private addresses', async () => {
+      mockLookup.mockResolvedValueOnce([{ address: '169.254.169.254', family: 4 }]);
+      await expect(resolvePublicAddress('169.254.169.254.nip.io')).rejects.toThrow(
+        'Address is not allowed'
+      );
+
+      // One private address is enough; the connection could pick any of them
+      mockLookup.mockResolvedValueOnce([
+        { address: '93.184.216.34', family: 4 },
+        { address: '10.0.0.1', family: 4 },
+      ]);
+      await expect(resolvePublicAddress('mixed.example')).rejects.toThrow('Address is not allowed');
+    });
+
+    it('should check IP literals without a lookup', async () => {
+      await expect(resolvePublicAddress('[::1]')).rejects.toThrow('Address is not allowed');
+      await expect(resolvePublicAddress('93.184.216.34')).resolves.toEqual({
+        address: '93.184.216.34',
+        family: 4,
+      });
+      expect(mockLookup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publicFetch', () => {
+    it('should never connect to a host that resolves to a private address', async () => {
+      mockLookup.mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+
+      await expect(publicFetch('http://rebind.example/admin')).rejects.toThrow(
+        'Address is not allowed'
+      );
+      await expect(publicFetch('http://localhost/')).rejects.toThrow('Address is not allowed');
+      expect(mockLookup).toHaveBeenCalledTimes(1);
+      expect(mockHttpRequest).not.toHaveBeenCalled();
+    });
+
+    it('should send the body with its length to the checked address', async () => {
+      mockLookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+      const end = vi.fn();
+      mockHttpRequest.mockImplementation((_url, _options, callback) => {
+        const res = Object.assign(Readable.from([]), {
+          statusCode: 201,
+          statusMessage: 'Created',
+          headers: {},
+        });
+        end.mockImplementation(() => callback(res));
+        return { on: vi.fn(), end };
+      });
+
+      const response = await publicFetch('http://dav.example.com/bookmarks.json', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"é":1}',
+      });
+
+      expect(response.status).toBe(201);
+      const [, options] = mockHttpRequest.mock.calls[0];
+      expect(options).toMatchObject({
+        method: 'PUT',
+        headers: { 'Content-Length': '8', 'Content-Type': 'application/json' },
+      });
+      expect(end).toHaveBeenCalledWith('{"é":1}');
+
+      const pinned = vi.fn();
+      options.lookup('dav.example.com', {}, pinned);
+      expect(pinned).toHaveBeenCalledWith(null, '93.184.216.34', 4);
+    });
+  });
+});
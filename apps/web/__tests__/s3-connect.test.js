@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Tests for POST /api/connect/s3
+ * Uses Vitest with mocked Supabase client and S3 source
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockGetUser = vi.fn();
+const mockUpsert = vi.fn();
+const mockValidateCredentials = vi.fn();
+
+vi.mock('../lib/supabase/server', () => ({
+  getUser: () => mockGetUser(),
+  createClient: vi.fn(() =>
+    Promise.resolve({
+      from: vi.fn(() => ({ upsert: mockUpsert })),
+    })
+  ),
+}));
+
+vi.mock('@marksyncr/sources/s3', () => ({
+  S3Source: vi.fn().mockImplementation((config) => ({
+    endpoint: config.endpoint.replace(/\/+$/, ''),
+    region: config.region ?? 'us-east-1',
+    bucket: config.bucket,
+    key: config.path.replace(/^\/+/, ''),
+    pathStyle: config.pathStyle,
+    validateCredentials: mockValidateCredentials,
+  })),
+}));
+
+const { POST } = await import('../app/api/connect/s3/route.js');
+const { S3Source } = await import('@marksyncr/sources/s3');
+const { publicFetch } = await import('../lib/public-urls.js');
+
+const postJson = (body) =>
+  POST(
+    new Request('http://localhost:3000/api/connect/s3', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+  );
+
+const validBody = {
+  endpoint: 'https://account.r2.cloudflarestorage.com/',
+  region: 'auto',
+  bucket: 'backups',
+  accessKeyId: 'AKIA1',
+  secretAccessKey: 'secret',
+};
+
+describe('POST /api/connect/s3', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGetUser.mockResolvedValue({ id: 'user-123', email: 'alice@example.com' });
+    mockUpsert.mockResolvedValue({ error: null });
+    mockValidateCredentials.mockResolvedValue(true);
+  });
+
+  it('should return 401 when user is not authenticated', async () => {
+    mockGetUser.mockResolvedValue(null);
+
+    const response = await postJson(validBody);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should check access to the bucket and store the connection', async () => {
+    const response = await postJson(validBody);
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.success).toBe(true);
+    expect(S3Source).toHaveBeenCalledWith(
+      expect.objectContaining({
+        bucket: 'backups',
+        region: 'auto',
+        path: 'marksyncr/bookmarks.json',
+        pathStyle: true,
+      }),
+      { accessKeyId: 'AKIA1', secretAccessKey: 'secret' },
+      { fetch: publicFetch }
+    );
+    expect(mockUpsert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        user_id: 'user-123',
+        provider: 's3',
+        provider_username: 'AKIA1',
+        access_token: 'secret',
+        file_path: 'marksyncr/bookmarks.json',
+        config: {
+          endpoint: 'https://account.r2.cloudflarestorage.com',
+          region: 'auto',
+          bucket: 'backups',
+          pathStyle: true,
+        },
+      }),
+      { onConflict: 'collection_id,provider' }
+    );
+  });
+
+  it('should not store an access key the bucket rejects', async () => {
+    mockValidateCredentials.mockResolvedValue(false);
+
+    const response = await postJson(validBody);
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toContain('Could not access the bucket');
+    expect(mockUpsert).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid input', async () => {
+    const responses = await Promise.all([
+      postJson({ ...validBody, endpoint: 'ftp://s3.example.com' }),
+      postJson({ ...validBody, bucket: 'Not_A_Bucket' }),
+      postJson({ ...validBody, secretAccessKey: '' }),
+    ]);
+
+    expect(responses.map((r) => r.status)).toEqual([400, 400, 400]);
+    expect(mockValidateCredentials).not.toHaveBeenCalled();
+  });
+
+  it('should reject endpoints on private networks and plain http', async () => {
+    const responses = await Promise.all([
+      postJson({ ...validBody, endpoint: 'https://10.0.0.5:9000' }),
+      postJson({ ...validBody, endpoint: 'https://169.254.169.254' }),
+      postJson({ ...validBody, endpoint: 'http://s3.example.com' }),
+    ]);
+
+    expect(responses.map((r) => r.status)).toEqual([400, 400, 400]);
+    expect(S3Source).not.toHaveBeenCalled();
+  });
+
+  it('should return 500 when the connection cannot be saved', async () => {
+    mockUpsert.mockResolvedValue({ error: { message: 'Database error' } });
+
+    const response = await postJson(validBody);
+
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Tests for full-text search
+ * Tests reading Postgres headlines, ranking matches with recency and visits, and
+ * the search endpoint
+ * Uses Vitest with mocked auth helper
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockUser = { id: 'user-123', email: 'test@example.com' };
+const NOW = Date.parse('2025-06-01T00:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const searchRow = (overrides = {}) => ({
+  id: 'item-1',
+  url: 'https://tokio.rs/',
+  title: 'Tokio runtime',
+  folder_path: 'Bookmarks Bar/Rust',
+  date_added: NOW - 400 * DAY,
+  snapshot_id: null,
+  captured_at: null,
+  visit_count: 0,
+  last_visited_at: null,
+  rank: 0.5,
+  headline: null,
+  ...overrides,
+});
+
+// Mock @/lib/auth-helper
+vi.mock('@/lib/auth-helper', () => ({
+  corsHeaders: vi.fn(() => ({ 'Access-Control-Allow-Origin': '*' })),
+  getAuthenticatedUser: vi.fn(),
+}));
+
+// Import after mocks
+const { GET } = await import('../app/api/search/route.js');
+const { parseHeadline, toSearchResults } = await import('../lib/search.js');
+const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+
+/**
+ * Helper to create a mock request
+ */
+function createMockRequest(search = '') {
+  return {
+    method: 'GET',
+    url: `https://marksyncr.com/api/search${search}`,
+    headers: {
+      get: () => null,
+    },
+  };
+}
+
+describe('Full-text search', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('parseHeadline', () => {
+    it('should turn match markers into highlight ranges', () => {
+      expect(parseHeadline('An \u0002async\u0003 runtime for\n\u0002Rust\u0003')).toEqual({
+        text: 'An async runtime for Rust',
+        highlights: [
+          [3, 8],
+          [21, 25],
+        ],
+      });
+      expect(parseHeadline(null)).toBeNull();
+    });
+  });
+
+  describe('toSearchResults', () => {
+    it('should blend text rank with recency and visits', () => {
+      const results = toSearchResults(
+        [
+          searchRow({ id: 'old', rank: 0.5 }),
+          searchRow({
+            id: 'used',
+            rank: 0.45,
+            visit_count: 20,
+            last_visited_at: new Date(NOW - DAY).toISOString(),
+          }),
+        ],
+        'tokio',
+        { now: NOW }
+      );
+
+      expect(results.map((result) => result.id)).toEqual(['used', 'old']);
+      expect(results[1].relevance).toBe(1);
+      expect(results[0]).toMatchObject({
+        url: 'https://tokio.rs/',
+        folderPath: 'Bookmarks Bar/Rust',
+        titleHighlights: [[0, 5]],
+        snippet: null,
+      });
+    });
+  });
+
+  describe('GET /api/search', () => {
+    it('should require authentication', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: null, supabase: null });
+
+      const response = await GET(createMockRequest('?q=tokio'));
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject empty and overlong queries', async () => {
+      const supabase = { rpc: vi.fn() };
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      expect((await GET(createMockRequest('?q=%20'))).status).toBe(400);
+      expect((await GET(createMockRequest(`?q=${'a'.repeat(201)}`))).status).toBe(400);
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should search bookmarks and saved pages', async () => {
+      const supabase = {
+        rpc: vi.fn().mockResolvedValue({
+          data: [
+            searchRow({
+              snapshot_id: 'snap-1',
+              captured_at: '2025-05-01T00:00:00Z',
+              headline: 'Tokio is an \u0002asynchronous\u0003 runtime',
+            }),
+          ],
+          error: null,
+        }),
+      };
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await GET(createMockRequest('?q=asynchronous%20tokio&limit=500'));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(supabase.rpc).toHaveBeenCalledWith('search_bookmarks', {
+        p_query: 'asynchronous tokio',
+        p_limit: 200,
+      });
+      expect(data.results).toHaveLength(1);
+      expect(data.results[0]).toMatchObject({
+        id: 'item-1',
+        snapshotId: 'snap-1',
+        snippet: { text: 'Tokio is an asynchronous runtime', highlights: [[12, 24]] },
+      });
+    });
+
+    it('should return 500 when the search fails', async () => {
+      const supabase = {
+        rpc: vi.fn().mockResolvedValue({ data: null, error: { message: 'boom' } }),
+      };
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await GET(createMockRequest('?q=tokio'));
+
+      expect(response.status).toBe(500);
+    });
+  });
+});
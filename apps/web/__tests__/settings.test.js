@@ -361,6 +361,63 @@ describe('Settings API Routes', () => {
       expect(data.settings.notifications.syncComplete).toBe(true); // Default preserved
     });
 
+    it('should save auto-organize rules', async () => {
+      const rules = [
+        {
+          id: 'github',
+          name: 'GitHub',
+          conditions: [{ field: 'domain', operator: 'is', value: 'github.com' }],
+          actions: [{ type: 'move', value: 'Dev/GitHub' }],
+        },
+      ];
+
+      chainMock.single.mockResolvedValue({
+        data: { settings: { rules } },
+        error: null,
+      });
+
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: mockSupabase });
+
+      const request = createMockRequest({
+        method: 'PUT',
+        headers: { authorization: 'Bearer valid-token' },
+        body: { settings: { rules } },
+      });
+
+      const response = await PUT(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.settings.rules).toEqual(rules);
+      expect(chainMock.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ settings: expect.objectContaining({ rules }) }),
+        { onConflict: 'user_id' }
+      );
+    });
+
+    it('should return 400 for invalid rules', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase: mockSupabase });
+
+      const request = createMockRequest({
+        method: 'PUT',
+        headers: { authorization: 'Bearer valid-token' },
+        body: {
+          settings: {
+            rules: [{ conditions: [{ field: 'title', operator: 'matches', value: '/(/' }] }],
+          },
+        },
+      });
+
+      const response = await PUT(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe(
+        'Invalid rules: rules[0].conditions[0] is not a valid pattern, rules[0] needs at least one action'
+      );
+      expect(chainMock.upsert).not.toHaveBeenCalled();
+    });
+
     it('should return 500 when upsert fails', async () => {
       chainMock.single.mockResolvedValue({
         data: null,
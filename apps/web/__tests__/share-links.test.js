@@ -0,0 +1,410 @@
+/**
+ * @fileoverview Tests for public share links
+ * Tests picking a folder out of a collection, password protection, creating and
+ * changing links, and the public export
+ * Uses Vitest with mocked auth helper and admin client
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockUser = { id: 'user-123', email: 'test@example.com' };
+const LINK_ID = '9f666a62-9dc0-11d1-b245-5ffdce74fad2';
+const SLUG = 'AbCdEfGhIjKlMnOpQrStUvWxYz012345';
+
+const COLLECTION_ITEMS = [
+  { type: 'folder', title: 'Reading', folderPath: 'Bookmarks Bar', index: 0 },
+  { type: 'folder', title: 'Papers', folderPath: 'Bookmarks Bar/Reading', index: 1 },
+  {
+    type: 'bookmark',
+    title: 'Blog',
+    url: 'https://blog.example.com',
+    folderPath: 'Bookmarks Bar/Reading',
+    index: 0,
+  },
+  {
+    type: 'bookmark',
+    title: 'Paper',
+    url: 'https://arxiv.org/abs/1',
+    folderPath: 'Bookmarks Toolbar/Reading/Papers',
+    index: 0,
+  },
+  {
+    type: 'bookmark',
+    title: 'Other',
+    url: 'https://other.com',
+    folderPath: 'Bookmarks Bar',
+    index: 1,
+  },
+];
+
+// Create chainable mock; awaiting the chain resolves to `result`
+const createChainableMock = (result = { data: null, error: null }) => {
+  const chain = {
+    select: vi.fn(() => chain),
+    eq: vi.fn(() => chain),
+    order: vi.fn(() => chain),
+    insert: vi.fn(() => chain),
+    update: vi.fn(() => chain),
+    delete: vi.fn(() => chain),
+    single: vi.fn(() => Promise.resolve(result)),
+    maybeSingle: vi.fn(() => Promise.resolve(result)),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+// Supabase client whose tables each return their own chain
+const createSupabase = (tables) => ({
+  from: vi.fn((table) => tables[table] ?? createChainableMock()),
+  rpc: vi.fn(() => Promise.resolve({ data: null, error: null })),
+});
+
+const cloudBookmarks = (overrides = {}) =>
+  createChainableMock({
+    data: {
+      bookmark_data: COLLECTION_ITEMS,
+      checksum: 'abc',
+      items_checksum: null,
+      encryption_key_id: null,
+      ...overrides,
+    },
+    error: null,
+  });
+
+// Mock @/lib/auth-helper
+vi.mock('@/lib/auth-helper', () => ({
+  corsHeaders: vi.fn(() => ({ 'Access-Control-Allow-Origin': '*' })),
+  getAuthenticatedUser: vi.fn(),
+}));
+
+// Mock the service role client the public routes use
+vi.mock('@/lib/supabase/server', () => ({
+  createAdminClient: vi.fn(),
+}));
+
+// Import after mocks
+const { POST: createLink } = await import('../app/api/share-links/route.js');
+const { PATCH: updateLink, DELETE: revokeLink } =
+  await import('../app/api/share-links/[linkId]/route.js');
+const { GET: exportLink } = await import('../app/s/[slug]/export/route.js');
+const {
+  buildShareTree,
+  createShareAccessToken,
+  getShareAccessCookieName,
+  hasShareAccess,
+  hashSharePassword,
+  listFolderPaths,
+  selectFolderItems,
+  validateShareLinkInput,
+  verifySharePassword,
+} = await import('../lib/share-links.js');
+const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+const { createAdminClient } = await import('@/lib/supabase/server');
+
+/**
+ * Helper to create a mock request
+ */
+function createMockRequest(options = {}) {
+  const {
+    method = 'GET',
+    body = null,
+    headers = {},
+    cookies = {},
+    url = 'https://marksyncr.com/api',
+  } = options;
+
+  return {
+    method,
+    url,
+    headers: {
+      get: (name) => headers[name] || null,
+    },
+    cookies: {
+      get: (name) => (cookies[name] ? { value: cookies[name] } : undefined),
+    },
+    json: async () => body,
+  };
+}
+
+const routeContext = (params) => ({ params: Promise.resolve(params) });
+
+describe('Share links', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('folder selection', () => {
+    it('should list every folder once across browser root names', () => {
+      expect(listFolderPaths(COLLECTION_ITEMS)).toEqual([
+        'Bookmarks Bar',
+        'Bookmarks Bar/Reading',
+        'Bookmarks Bar/Reading/Papers',
+      ]);
+    });
+
+    it('should select the folder subtree with paths relative to the folder', () => {
+      const items = selectFolderItems(COLLECTION_ITEMS, 'Bookmarks Bar/Reading');
+
+      expect(items.map((item) => [item.title, item.folderPath])).toEqual([
+        ['Papers', ''],
+        ['Blog', ''],
+        ['Paper', 'Papers'],
+      ]);
+    });
+
+    it('should nest the selected items in bookmark order', () => {
+      const tree = buildShareTree(selectFolderItems(COLLECTION_ITEMS, 'Bookmarks Bar/Reading'));
+
+      expect(tree.map((node) => node.title)).toEqual(['Blog', 'Papers']);
+      expect(tree[1].type).toBe('folder');
+      expect(tree[1].children.map((node) => node.url)).toEqual(['https://arxiv.org/abs/1']);
+    });
+  });
+
+  describe('passwords', () => {
+    it('should verify the password it hashed', () => {
+      const hash = hashSharePassword('correct horse');
+
+      expect(verifySharePassword('correct horse', hash)).toBe(true);
+      expect(verifySharePassword('wrong horse', hash)).toBe(false);
+      expect(verifySharePassword('correct horse', null)).toBe(false);
+    });
+
+    it('should stop accepting old access cookies when the password changes', () => {
+      const link = { slug: SLUG, password_hash: hashSharePassword('first password') };
+      const token = createShareAccessToken(link);
+
+      expect(hasShareAccess(link, token)).toBe(true);
+      expect(hasShareAccess(link, undefined)).toBe(false);
+      expect(hasShareAccess({ ...link, password_hash: hashSharePassword('second') }, token)).toBe(
+        false
+      );
+      expect(hasShareAccess({ slug: SLUG, password_hash: null }, undefined)).toBe(true);
+    });
+  });
+
+  describe('validateShareLinkInput', () => {
+    it('should check new links and allow clearing fields on update', () => {
+      expect(
+        validateShareLinkInput({ title: 'Reading', folderPath: 'Bookmarks Bar', mode: 'live' })
+          .valid
+      ).toBe(true);
+      expect(validateShareLinkInput({ title: 'x', folderPath: 'a', mode: 'copy' }).valid).toBe(
+        false
+      );
+      expect(validateShareLinkInput({ password: '123' }, { partial: true }).valid).toBe(false);
+      expect(
+        validateShareLinkInput({ expiresAt: '2000-01-01T00:00:00Z' }, { partial: true }).valid
+      ).toBe(false);
+      expect(
+        validateShareLinkInput({ password: null, expiresAt: null }, { partial: true }).valid
+      ).toBe(true);
+    });
+  });
+
+  describe('POST /api/share-links', () => {
+    it('should store a snapshot of the folder and a hash of the password', async () => {
+      const shareLinks = createChainableMock({
+        data: {
+          id: LINK_ID,
+          slug: SLUG,
+          title: 'Reading',
+          folder_path: 'Bookmarks Bar/Reading',
+          mode: 'snapshot',
+          password_hash: 'salt:hash',
+          expires_at: null,
+          view_count: 0,
+          created_at: '2024-01-01T00:00:00Z',
+        },
+        error: null,
+      });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({ cloud_bookmarks: cloudBookmarks(), share_links: shareLinks }),
+      });
+
+      const response = await createLink(
+        createMockRequest({
+          method: 'POST',
+          body: {
+            title: 'Reading',
+            folderPath: 'Bookmarks Bar/Reading',
+            mode: 'snapshot',
+            password: 'secret password',
+          },
+        })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(data.link.url).toMatch(new RegExp(`/s/${SLUG}$`));
+      expect(data.link.hasPassword).toBe(true);
+      const row = shareLinks.insert.mock.calls[0][0];
+      expect(row.collection_id).toBe(mockUser.id);
+      expect(row.slug).toMatch(/^[A-Za-z0-9_-]{32}$/);
+      expect(row.snapshot).toHaveLength(3);
+      expect(verifySharePassword('secret password', row.password_hash)).toBe(true);
+    });
+
+    it('should refuse to share an encrypted collection', async () => {
+      const shareLinks = createChainableMock();
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          cloud_bookmarks: cloudBookmarks({ encryption_key_id: 'key-1' }),
+          share_links: shareLinks,
+        }),
+      });
+
+      const response = await createLink(
+        createMockRequest({
+          method: 'POST',
+          body: { title: 'Reading', folderPath: 'Bookmarks Bar/Reading', mode: 'live' },
+        })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.code).toBe('ENCRYPTED_COLLECTION');
+      expect(shareLinks.insert).not.toHaveBeenCalled();
+    });
+
+    it('should reject a folder the collection does not have', async () => {
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({ cloud_bookmarks: cloudBookmarks() }),
+      });
+
+      const response = await createLink(
+        createMockRequest({
+          method: 'POST',
+          body: { title: 'Work', folderPath: 'Bookmarks Bar/Work', mode: 'live' },
+        })
+      );
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH and DELETE /api/share-links/[linkId]', () => {
+    it('should remove the password and the expiry date', async () => {
+      const shareLinks = createChainableMock({
+        data: { id: LINK_ID, slug: SLUG, title: 'Reading', password_hash: null, expires_at: null },
+        error: null,
+      });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({ share_links: shareLinks }),
+      });
+
+      const response = await updateLink(
+        createMockRequest({ method: 'PATCH', body: { password: null, expiresAt: null } }),
+        routeContext({ linkId: LINK_ID })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(shareLinks.update).toHaveBeenCalledWith({ password_hash: null, expires_at: null });
+      expect(shareLinks.eq).toHaveBeenCalledWith('user_id', mockUser.id);
+      expect(data.link.hasPassword).toBe(false);
+    });
+
+    it('should return 404 when revoking a link the user does not own', async () => {
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({ share_links: createChainableMock({ data: [], error: null }) }),
+      });
+
+      const response = await revokeLink(
+        createMockRequest({ method: 'DELETE' }),
+        routeContext({ linkId: LINK_ID })
+      );
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /s/[slug]/export', () => {
+    const liveLink = (overrides = {}) => ({
+      id: LINK_ID,
+      slug: SLUG,
+      user_id: mockUser.id,
+      collection_id: mockUser.id,
+      title: 'Reading List',
+      folder_path: 'Bookmarks Bar/Reading',
+      mode: 'live',
+      snapshot: null,
+      password_hash: null,
+      expires_at: null,
+      ...overrides,
+    });
+
+    it('should export the live folder as a Netscape bookmark file', async () => {
+      createAdminClient.mockReturnValue(
+        createSupabase({
+          share_links: createChainableMock({ data: liveLink(), error: null }),
+          cloud_bookmarks: cloudBookmarks(),
+        })
+      );
+
+      const response = await exportLink(
+        createMockRequest({ url: `https://marksyncr.com/s/${SLUG}/export?format=html` }),
+        routeContext({ slug: SLUG })
+      );
+      const html = await response.text();
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Disposition')).toContain('reading-list.html');
+      expect(html).toContain('<DT><H3');
+      expect(html).toContain('https://arxiv.org/abs/1');
+      expect(html).not.toContain('https://other.com');
+    });
+
+    it('should require the access cookie for password-protected links', async () => {
+      const link = liveLink({ password_hash: hashSharePassword('secret password') });
+      createAdminClient.mockReturnValue(
+        createSupabase({
+          share_links: createChainableMock({ data: link, error: null }),
+          cloud_bookmarks: cloudBookmarks(),
+        })
+      );
+      const url = `https://marksyncr.com/s/${SLUG}/export?format=json`;
+
+      const locked = await exportLink(createMockRequest({ url }), routeContext({ slug: SLUG }));
+      const unlocked = await exportLink(
+        createMockRequest({
+          url,
+          cookies: { [getShareAccessCookieName(SLUG)]: createShareAccessToken(link) },
+        }),
+        routeContext({ slug: SLUG })
+      );
+
+      expect(locked.status).toBe(401);
+      expect(unlocked.status).toBe(200);
+      expect(JSON.parse(await unlocked.text()).bookmarks).toHaveLength(2);
+    });
+
+    it('should not serve expired links', async () => {
+      createAdminClient.mockReturnValue(
+        createSupabase({
+          share_links: createChainableMock({
+            data: liveLink({ expires_at: '2000-01-01T00:00:00Z' }),
+            error: null,
+          }),
+        })
+      );
+
+      const response = await exportLink(
+        createMockRequest({ url: `https://marksyncr.com/s/${SLUG}/export` }),
+        routeContext({ slug: SLUG })
+      );
+
+      expect(response.status).toBe(410);
+    });
+  });
+});
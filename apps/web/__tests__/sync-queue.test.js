@@ -0,0 +1,395 @@
+/**
+ * @fileoverview Tests for the sync job queue (lib/sync-queue.js) and the routes around it:
+ * GET /api/cron/sync-jobs, POST /api/sources/retry and the health in GET /api/sources
+ * Uses Vitest with mocked Supabase clients and source pushes
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockPushToSource = vi.fn();
+const mockGetUser = vi.fn();
+let mockClient;
+
+vi.mock('../lib/external-sync', () => ({
+  PUSH_PROVIDERS: ['github', 'dropbox', 'webdav', 's3', 'git-forge'],
+  pushToSource: (...args) => mockPushToSource(...args),
+}));
+
+vi.mock('../lib/supabase/server', () => ({
+  getUser: () => mockGetUser(),
+  createClient: vi.fn(() => Promise.resolve(mockClient)),
+  createAdminClient: vi.fn(() => mockClient),
+}));
+
+const { MAX_ATTEMPTS, getRetryDelay, getSourceHealth, processSyncJobs, queueExternalSync } =
+  await import('../lib/sync-queue.js');
+const { GET: runCron } = await import('../app/api/cron/sync-jobs/route.js');
+const { POST: retry } = await import('../app/api/sources/retry/route.js');
+const { GET: listSources } = await import('../app/api/sources/route.js');
+
+/**
+ * Chainable query builder resolving to the given result, recording the calls made
+ */
+function query(result) {
+  const builder = {
+    calls: [],
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  for (const method of [
+    'select',
+    'eq',
+    'not',
+    'order',
+    'range',
+    'update',
+    'delete',
+    'maybeSingle',
+  ]) {
+    builder[method] = vi.fn((...args) => {
+      builder.calls.push([method, ...args]);
+      return builder;
+    });
+  }
+  return builder;
+}
+
+/**
+ * Supabase client whose claim_sync_jobs hands out the given jobs
+ */
+function createClient({ jobs = [], sources = [], cloud = null, tables = {} } = {}) {
+  const queries = [];
+  return {
+    queries,
+    rpc: vi.fn(async (fn) => {
+      if (fn === 'claim_sync_jobs') return { data: jobs, error: null };
+      if (fn === 'enqueue_sync_jobs') return { data: jobs.length, error: null };
+      return { data: null, error: null };
+    }),
+    from: vi.fn((table) => {
+      const defaults = {
+        sync_sources: { data: sources, error: null },
+        cloud_bookmarks: { data: cloud, error: null },
+      };
+      const q = query(tables[table] ?? defaults[table] ?? { data: null, error: null });
+      queries.push([table, q]);
+      return q;
+    }),
+  };
+}
+
+const githubSource = { id: 'source-1', provider: 'github', access_token: 'ghp_token' };
+const dropboxSource = { id: 'source-2', provider: 'dropbox', access_token: 'sl.token' };
+const job = (source, attempts = 1) => ({
+  id: `job-${source.id}`,
+  user_id: 'user-123',
+  source_id: source.id,
+  provider: source.provider,
+  attempts,
+});
+const finishCalls = (client) =>
+  client.rpc.mock.calls.filter(([fn]) => fn === 'finish_sync_job').map(([, params]) => params);
+
+describe('Sync queue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    mockPushToSource.mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the delay with every attempt up to six hours', () => {
+      const noJitter = () => 0;
+
+      expect(getRetryDelay(1, noJitter)).toBe(30_000);
+      expect(getRetryDelay(2, noJitter)).toBe(60_000);
+      expect(getRetryDelay(4, noJitter)).toBe(240_000);
+      expect(getRetryDelay(20, noJitter)).toBe(6 * 60 * 60 * 1000);
+    });
+
+    it('should add up to 20% jitter', () => {
+      expect(getRetryDelay(1, () => 0.999)).toBeLessThanOrEqual(36_000);
+      expect(getRetryDelay(1, () => 0.5)).toBe(33_000);
+    });
+  });
+
+  describe('processSyncJobs', () => {
+    const state = { bookmarks: [{ url: 'https://a.com' }], tombstones: [], checksum: 'abc' };
+
+    it('should push to each source and complete its job', async () => {
+      mockClient = createClient({
+        jobs: [job(githubSource), job(dropboxSource)],
+        sources: [githubSource, dropboxSource],
+      });
+
+      const results = await processSyncJobs(mockClient, { userId: 'user-123', state });
+
+      expect(results).toEqual({ claimed: 2, succeeded: 2, failed: 0 });
+      expect(mockPushToSource).toHaveBeenCalledWith(mockClient, githubSource, state);
+      expect(mockPushToSource).toHaveBeenCalledWith(mockClient, dropboxSource, state);
+      expect(finishCalls(mockClient)).toEqual([
+        { p_job_id: 'job-source-1' },
+        { p_job_id: 'job-source-2' },
+      ]);
+    });
+
+    it('should schedule a retry with backoff when a push fails', async () => {
+      mockClient = createClient({ jobs: [job(dropboxSource, 3)], sources: [dropboxSource] });
+      mockPushToSource.mockRejectedValue(new Error('Dropbox is down'));
+
+      const before = Date.now();
+      const results = await processSyncJobs(mockClient, { userId: 'user-123', state });
+
+      expect(results.failed).toBe(1);
+      const [finish] = finishCalls(mockClient);
+      expect(finish.p_error).toBe('Dropbox is down');
+      const delay = new Date(finish.p_retry_at).getTime() - before;
+      expect(delay).toBeGreaterThanOrEqual(120_000);
+      expect(delay).toBeLessThan(150_000);
+    });
+
+    it('should dead-letter a job after its last attempt', async () => {
+      mockClient = createClient({
+        jobs: [job(dropboxSource, MAX_ATTEMPTS)],
+        sources: [dropboxSource],
+      });
+      mockPushToSource.mockRejectedValue(new Error('Dropbox is down'));
+
+      await processSyncJobs(mockClient, { userId: 'user-123', state });
+
+      expect(finishCalls(mockClient)).toEqual([
+        { p_job_id: 'job-source-2', p_error: 'Dropbox is down', p_retry_at: null },
+      ]);
+    });
+
+    it('should not let a failing source hold up the others', async () => {
+      mockClient = createClient({
+        jobs: [job(dropboxSource), job(githubSource)],
+        sources: [githubSource, dropboxSource],
+      });
+      mockPushToSource.mockImplementation(async (_client, source) => {
+        if (source.provider === 'dropbox') throw new Error('timeout');
+      });
+
+      const results = await processSyncJobs(mockClient, { userId: 'user-123', state });
+
+      expect(results).toEqual({ claimed: 2, succeeded: 1, failed: 1 });
+    });
+
+    it('should push the stored cloud bookmarks when no state is given', async () => {
+      mockClient = createClient({
+        jobs: [job(githubSource)],
+        sources: [githubSource],
+        cloud: { bookmark_data: [{ url: 'https://b.com' }], tombstones: [], checksum: 'def' },
+      });
+
+      await processSyncJobs(mockClient);
+
+      expect(mockClient.rpc).toHaveBeenCalledWith(
+        'claim_sync_jobs',
+        expect.objectContaining({ p_user_id: null })
+      );
+      expect(mockPushToSource).toHaveBeenCalledWith(mockClient, githubSource, {
+        bookmarks: [{ url: 'https://b.com' }],
+        tombstones: [],
+        checksum: 'def',
+      });
+    });
+
+    it('should push the stored rows rather than a stale blob', async () => {
+      mockClient = createClient({
+        jobs: [job(githubSource)],
+        sources: [githubSource],
+        cloud: {
+          bookmark_data: [{ url: 'https://old.com' }],
+          tombstones: [],
+          checksum: 'def',
+          items_checksum: 'def',
+        },
+        tables: {
+          bookmark_items: {
+            data: [{ id: 'item-1', type: 'bookmark', url: 'https://b.com', title: 'B' }],
+            error: null,
+          },
+        },
+      });
+
+      await processSyncJobs(mockClient);
+
+      const [, , state] = mockPushToSource.mock.calls[0];
+      expect(state.bookmarks.map((bookmark) => bookmark.url)).toEqual(['https://b.com']);
+    });
+
+    it('should dead-letter the job of a source that was disconnected', async () => {
+      mockClient = createClient({ jobs: [job(githubSource)], sources: [] });
+
+      await processSyncJobs(mockClient, { userId: 'user-123', state });
+
+      expect(mockPushToSource).not.toHaveBeenCalled();
+      expect(finishCalls(mockClient)).toEqual([
+        { p_job_id: 'job-source-1', p_error: 'Source is no longer connected', p_retry_at: null },
+      ]);
+    });
+  });
+
+  describe('queueExternalSync', () => {
+    it('should not throw when the queue is unavailable', async () => {
+      mockClient = createClient();
+      mockClient.rpc.mockRejectedValue(new Error('connection refused'));
+
+      await expect(queueExternalSync(mockClient, 'user-123', {})).resolves.toBeUndefined();
+      expect(mockPushToSource).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSourceHealth', () => {
+    const source = { id: 'source-1', last_success_at: '2026-10-01T00:00:00Z' };
+
+    it('should report ok after a successful push with nothing queued', () => {
+      expect(getSourceHealth(source, [])).toMatchObject({
+        status: 'ok',
+        lastSuccessAt: '2026-10-01T00:00:00Z',
+        pendingJobs: 0,
+        deadJobs: 0,
+      });
+      expect(getSourceHealth({ id: 'source-1' }, []).status).toBe('never');
+    });
+
+    it('should tell queued, retrying and dead-lettered pushes apart', () => {
+      const other = { source_id: 'source-2', status: 'dead', attempts: 8 };
+      const queued = { source_id: 'source-1', status: 'pending', attempts: 0 };
+      const retrying = {
+        source_id: 'source-1',
+        status: 'pending',
+        attempts: 2,
+        next_attempt_at: '2026-10-02T00:00:00Z',
+      };
+      const dead = { source_id: 'source-1', status: 'dead', attempts: 8 };
+
+      expect(getSourceHealth(source, [other, queued]).status).toBe('pending');
+      expect(getSourceHealth(source, [retrying])).toMatchObject({
+        status: 'retrying',
+        nextRetryAt: '2026-10-02T00:00:00Z',
+      });
+      expect(getSourceHealth(source, [dead, queued])).toMatchObject({
+        status: 'failed',
+        pendingJobs: 1,
+        deadJobs: 1,
+      });
+    });
+  });
+
+  describe('GET /api/cron/sync-jobs', () => {
+    const cronRequest = (authorization) =>
+      new Request('http://localhost:3000/api/cron/sync-jobs', {
+        headers: authorization ? { authorization } : {},
+      });
+
+    beforeEach(() => {
+      vi.stubEnv('CRON_SECRET', 'cron-secret');
+      vi.stubEnv('SUPABASE_SERVICE_ROLE_KEY', 'service-role');
+    });
+
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('should reject requests without the cron secret', async () => {
+      mockClient = createClient();
+
+      const response = await runCron(cronRequest('Bearer wrong'));
+
+      expect(response.status).toBe(401);
+      expect(mockClient.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should run the due jobs of all users', async () => {
+      mockClient = createClient({
+        jobs: [job(githubSource)],
+        sources: [githubSource],
+        cloud: { bookmark_data: [], tombstones: [], checksum: '' },
+      });
+
+      const response = await runCron(cronRequest('Bearer cron-secret'));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ claimed: 1, succeeded: 1, failed: 0 });
+    });
+  });
+
+  describe('POST /api/sources/retry', () => {
+    const retryRequest = (body) =>
+      new Request('http://localhost:3000/api/sources/retry', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+    beforeEach(() => {
+      mockGetUser.mockResolvedValue({ id: 'user-123' });
+    });
+
+    it('should requeue the dead letters of the source and run them now', async () => {
+      mockClient = createClient({ tables: { sync_sources: { data: dropboxSource } } });
+
+      const response = await retry(retryRequest({ provider: 'dropbox' }));
+
+      expect(response.status).toBe(200);
+      const jobQueries = mockClient.queries.filter(([table]) => table === 'sync_jobs');
+      expect(jobQueries[0][1].calls).toContainEqual(['eq', 'status', 'dead']);
+      expect(jobQueries[0][1].delete).toHaveBeenCalled();
+      expect(jobQueries[1][1].update).toHaveBeenCalledWith(
+        expect.objectContaining({ attempts: 0 })
+      );
+      expect(mockClient.rpc).toHaveBeenCalledWith('enqueue_sync_jobs', {
+        p_user_id: 'user-123',
+        p_collection_id: 'user-123',
+        p_providers: ['dropbox'],
+      });
+    });
+
+    it('should return 404 for a source that is not connected', async () => {
+      mockClient = createClient({ tables: { sync_sources: { data: null, error: null } } });
+
+      const response = await retry(retryRequest({ provider: 'dropbox' }));
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/sources', () => {
+    it('should include the health of external sources', async () => {
+      mockGetUser.mockResolvedValue({ id: 'user-123' });
+      mockClient = createClient({
+        tables: {
+          sync_sources: {
+            data: [
+              { ...dropboxSource, last_error: 'Dropbox is down' },
+              { id: 'source-3', provider: 'google-drive' },
+            ],
+            error: null,
+          },
+          sync_jobs: {
+            data: [{ source_id: 'source-2', status: 'dead', attempts: 8 }],
+            error: null,
+          },
+        },
+      });
+
+      const response = await listSources();
+      const { sources } = await response.json();
+
+      expect(sources[0].health).toMatchObject({
+        status: 'failed',
+        lastError: 'Dropbox is down',
+        deadJobs: 1,
+      });
+      expect(sources[1].health).toBeNull();
+    });
+  });
+});
@@ -5,7 +5,7 @@
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
 import SyncSourcesClient from '../app/dashboard/sync-sources-client';
 
 // Mock next/link
@@ -36,8 +36,8 @@ describe('SyncSourcesClient', () => {
       render(<SyncSourcesClient subscription={null} connectedSources={[]} />);
 
       const connectButtons = screen.getAllByText('Connect');
-      // GitHub, Dropbox, Google Drive should have Connect buttons (not MarkSyncr Cloud - it's always connected)
-      expect(connectButtons.length).toBe(3);
+      // GitHub, Dropbox, Google Drive, WebDAV, S3, Git Repository should have Connect buttons (not MarkSyncr Cloud - it's always connected)
+      expect(connectButtons.length).toBe(6);
     });
 
     it('should show MarkSyncr Cloud as always connected with Default label', () => {
@@ -173,10 +173,10 @@ describe('SyncSourcesClient', () => {
     it('should always show as connected (default sync)', () => {
       render(<SyncSourcesClient subscription={{ plan: 'free' }} connectedSources={[]} />);
 
-      // Only 3 sources should have Connect buttons (GitHub, Dropbox, Google Drive)
+      // Only 6 sources should have Connect buttons (GitHub, Dropbox, Google Drive, WebDAV, S3, Git Repository)
       // MarkSyncr Cloud is always connected and shows "Default" instead
       const connectButtons = screen.getAllByText('Connect');
-      expect(connectButtons.length).toBe(3);
+      expect(connectButtons.length).toBe(6);
 
       // MarkSyncr Cloud should show "Default" label
       expect(screen.getByText('Default')).toBeInTheDocument();
@@ -343,6 +343,253 @@ describe('SyncSourcesClient', () => {
     });
   });
 
+  describe('WebDAV', () => {
+    it('should open the credentials form and post it to the connect route', async () => {
+      const fetchMock = vi.fn(async () => ({
+        ok: false,
+        json: async () => ({ error: 'Could not sign in to the WebDAV server' }),
+      }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      render(<SyncSourcesClient subscription={null} connectedSources={[]} />);
+
+      const webdavCard = screen.getByText('WebDAV').closest('.rounded-xl');
+      fireEvent.click(within(webdavCard).getByText('Connect'));
+      fireEvent.change(screen.getByLabelText('Server URL'), {
+        target: { value: 'https://cloud.example.com/remote.php/dav/files/alice' },
+      });
+      fireEvent.change(screen.getByLabelText('Username'), { target: { value: 'alice' } });
+      fireEvent.change(screen.getByLabelText(/^Password/), { target: { value: 'app-pass' } });
+      fireEvent.click(screen.getByText('Connect server'));
+
+      await waitFor(() =>
+        expect(screen.getByText('Could not sign in to the WebDAV server')).toBeInTheDocument()
+      );
+      expect(fetchMock).toHaveBeenCalledWith('/api/connect/webdav', expect.any(Object));
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        url: 'https://cloud.example.com/remote.php/dav/files/alice',
+        username: 'alice',
+        password: 'app-pass',
+        path: '/MarkSyncr/bookmarks.json',
+        authType: 'auto',
+      });
+
+      vi.unstubAllGlobals();
+    });
+
+    it('should display the server and file when connected', () => {
+      const connectedSources = [
+        {
+          provider: 'webdav',
+          provider_username: 'alice',
+          file_path: '/Sync/bookmarks.json',
+          config: { url: 'https://cloud.example.com/remote.php/dav/files/alice' },
+        },
+      ];
+
+      render(<SyncSourcesClient subscription={null} connectedSources={connectedSources} />);
+
+      expect(
+        screen.getByText('https://cloud.example.com/remote.php/dav/files/alice')
+      ).toBeInTheDocument();
+      expect(screen.getByText('/Sync/bookmarks.json')).toBeInTheDocument();
+      expect(screen.getByText('alice')).toBeInTheDocument();
+    });
+  });
+
+  describe('S3 Storage', () => {
+    it('should post the bucket and access key to the connect route', async () => {
+      const fetchMock = vi.fn(async () => ({
+        ok: false,
+        json: async () => ({ error: 'Could not access the bucket' }),
+      }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      render(<SyncSourcesClient subscription={null} connectedSources={[]} />);
+
+      const s3Card = screen.getByText('S3 Storage').closest('.rounded-xl');
+      fireEvent.click(within(s3Card).getByText('Connect'));
+      fireEvent.change(screen.getByLabelText(/^Endpoint URL/), {
+        target: { value: 'https://minio.example.com' },
+      });
+      fireEvent.change(screen.getByLabelText('Bucket'), { target: { value: 'backups' } });
+      fireEvent.change(screen.getByLabelText('Access key ID'), { target: { value: 'AKIA1' } });
+      fireEvent.change(screen.getByLabelText('Secret access key'), {
+        target: { value: 'secret' },
+      });
+      fireEvent.change(screen.getByLabelText('Bucket addressing'), {
+        target: { value: 'virtual' },
+      });
+      fireEvent.click(screen.getByText('Connect bucket'));
+
+      await waitFor(() =>
+        expect(screen.getByText('Could not access the bucket')).toBeInTheDocument()
+      );
+      expect(fetchMock).toHaveBeenCalledWith('/api/connect/s3', expect.any(Object));
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        endpoint: 'https://minio.example.com',
+        region: 'us-east-1',
+        bucket: 'backups',
+        accessKeyId: 'AKIA1',
+        secretAccessKey: 'secret',
+        path: 'marksyncr/bookmarks.json',
+        pathStyle: false,
+      });
+
+      vi.unstubAllGlobals();
+    });
+
+    it('should display the bucket and object key when connected', () => {
+      const connectedSources = [
+        {
+          provider: 's3',
+          provider_username: 'AKIA1',
+          file_path: 'sync/bookmarks.json',
+          config: { endpoint: 'https://minio.example.com', bucket: 'backups' },
+        },
+      ];
+
+      render(<SyncSourcesClient subscription={null} connectedSources={connectedSources} />);
+
+      expect(screen.getByText('backups')).toBeInTheDocument();
+      expect(screen.getByText('sync/bookmarks.json')).toBeInTheDocument();
+      expect(screen.getByText('https://minio.example.com')).toBeInTheDocument();
+    });
+  });
+
+  describe('Git Repository', () => {
+    it('should post the repository and token to the connect route', async () => {
+      const fetchMock = vi.fn(async () => ({
+        ok: false,
+        json: async () => ({ error: 'Could not access the repository' }),
+      }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      render(<SyncSourcesClient subscription={null} connectedSources={[]} />);
+
+      const gitCard = screen.getByText('Git Repository').closest('.rounded-xl');
+      fireEvent.click(within(gitCard).getByText('Connect'));
+      fireEvent.change(screen.getByLabelText('Service'), { target: { value: 'forgejo' } });
+      fireEvent.change(screen.getByLabelText(/^Server URL/), {
+        target: { value: 'https://codeberg.org' },
+      });
+      fireEvent.change(screen.getByLabelText('Repository'), {
+        target: { value: 'alice/bookmarks' },
+      });
+      fireEvent.change(screen.getByLabelText(/^Access token/), { target: { value: 'token' } });
+      fireEvent.click(screen.getByText('Connect repository'));
+
+      await waitFor(() =>
+        expect(screen.getByText('Could not access the repository')).toBeInTheDocument()
+      );
+      expect(fetchMock).toHaveBeenCalledWith('/api/connect/git-forge', expect.any(Object));
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        forge: 'forgejo',
+        baseUrl: 'https://codeberg.org',
+        repository: 'alice/bookmarks',
+        branch: 'main',
+        path: 'bookmarks.json',
+        token: 'token',
+      });
+
+      vi.unstubAllGlobals();
+    });
+
+    it('should list the commit history and restore a commit', async () => {
+      const commits = [
+        {
+          id: 'abc1234def',
+          message: 'Sync bookmarks: 1 added\n\n+ A',
+          date: null,
+          url: 'https://github.com/alice/bookmarks/commit/abc1234def',
+        },
+      ];
+      const fetchMock = vi.fn(async (url) => ({
+        ok: true,
+        json: async () =>
+          url.endsWith('/history')
+            ? { commits }
+            : { success: true, message: 'Restored bookmarks from commit abc1234' },
+      }));
+      vi.stubGlobal('fetch', fetchMock);
+      vi.spyOn(window, 'confirm').mockReturnValue(true);
+      const connectedSources = [
+        {
+          provider: 'git-forge',
+          repository: 'alice/bookmarks',
+          branch: 'main',
+          file_path: 'bookmarks.json',
+          config: { forge: 'github' },
+        },
+      ];
+
+      render(<SyncSourcesClient subscription={null} connectedSources={connectedSources} />);
+
+      expect(screen.getByText('alice/bookmarks')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Show commit history'));
+      await waitFor(() => expect(screen.getByText('Sync bookmarks: 1 added')).toBeInTheDocument());
+
+      fireEvent.click(screen.getByText('Restore'));
+
+      await waitFor(() =>
+        expect(screen.getByText('Restored bookmarks from commit abc1234')).toBeInTheDocument()
+      );
+      expect(fetchMock).toHaveBeenCalledWith(
+        '/api/connect/git-forge/restore',
+        expect.objectContaining({ body: JSON.stringify({ commit: 'abc1234def' }) })
+      );
+
+      vi.unstubAllGlobals();
+    });
+  });
+
+  describe('Sync Health', () => {
+    it('should show when an external source was last synced', () => {
+      const connectedSources = [
+        {
+          provider: 'dropbox',
+          file_path: '/Apps/MarkSyncr/bookmarks.json',
+          health: { status: 'ok', lastSuccessAt: '2026-10-01T12:00:00Z' },
+        },
+      ];
+
+      render(<SyncSourcesClient subscription={null} connectedSources={connectedSources} />);
+
+      expect(screen.getByText(/^Last synced/)).toBeInTheDocument();
+      expect(screen.queryByText('Retry now')).not.toBeInTheDocument();
+    });
+
+    it('should show the error of a failed source and retry it', async () => {
+      const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+      vi.stubGlobal('fetch', fetchMock);
+      const connectedSources = [
+        {
+          provider: 'dropbox',
+          health: {
+            status: 'failed',
+            lastSuccessAt: null,
+            lastError: 'Dropbox API error: 503',
+            deadJobs: 1,
+          },
+        },
+      ];
+
+      render(<SyncSourcesClient subscription={null} connectedSources={connectedSources} />);
+
+      expect(screen.getByText('Sync failed repeatedly and was stopped')).toBeInTheDocument();
+      expect(screen.getByText('Dropbox API error: 503')).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Retry now'));
+
+      await waitFor(() => expect(screen.getByText(/^Sync queued/)).toBeInTheDocument());
+      expect(fetchMock).toHaveBeenCalledWith(
+        '/api/sources/retry',
+        expect.objectContaining({ body: JSON.stringify({ provider: 'dropbox' }) })
+      );
+
+      vi.unstubAllGlobals();
+    });
+  });
+
   describe('getSourceDetails helper', () => {
     it('should return correct source details for connected provider', () => {
       const connectedSources = [
@@ -22,12 +22,18 @@ const mockSupabase = {
     getUser: vi.fn(),
   },
   from: vi.fn(),
+  rpc: vi.fn(),
 };
 
 vi.mock('@/lib/supabase/server', () => ({
   createClient: vi.fn(() => Promise.resolve(mockSupabase)),
 }));
 
+vi.mock('@/lib/auth-helper', () => ({
+  corsHeaders: vi.fn(() => ({})),
+  getAuthenticatedUser: vi.fn(),
+}));
+
 // Import after mocks
 const { GET, POST } = await import('../app/api/tags/route.js');
 
@@ -559,6 +565,7 @@ describe('Individual Tag API', () => {
         id: 'tag-123',
         name: 'updated',
         color: '#3B82F6',
+        aliases: ['work'],
         created_at: '2025-01-01',
       };
 
@@ -574,30 +581,279 @@ describe('Individual Tag API', () => {
         }),
       });
 
-      // Second call for update
+      // The rename cascades in the database
+      mockSupabase.rpc.mockResolvedValue({
+        data: { ...updatedTag, user_id: 'user-123', updated_at: '2025-02-01' },
+        error: null,
+      });
+
+      const request = {
+        json: vi.fn().mockResolvedValue({ name: 'Updated' }),
+      };
+
+      const response = await PATCH(request, { params: Promise.resolve({ tagId: 'tag-123' }) });
+
+      expect(response.status).toBe(200);
+      expect(response.data.tag).toEqual(updatedTag);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('rename_user_tag', {
+        p_tag_id: 'tag-123',
+        p_name: 'updated',
+      });
+    });
+
+    it('should rename a nested tag and then update the tag it merged into', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'user-123' } },
+        error: null,
+      });
+
       mockSupabase.from.mockReturnValueOnce({
-        update: vi.fn().mockReturnValue({
+        select: vi.fn().mockReturnValue({
           eq: vi.fn().mockReturnValue({
-            eq: vi.fn().mockReturnValue({
-              select: vi.fn().mockReturnValue({
-                single: vi.fn().mockResolvedValue({
-                  data: updatedTag,
-                  error: null,
-                }),
-              }),
+            single: vi.fn().mockResolvedValue({
+              data: { plan: 'pro', status: 'active' },
+              error: null,
             }),
           }),
         }),
       });
 
+      // Merged into an existing tag with another id
+      mockSupabase.rpc.mockResolvedValue({
+        data: { id: 'tag-456', name: 'dev/javascript', color: '#000000', aliases: ['js'] },
+        error: null,
+      });
+
+      // The user's tags, for checking the aliases
+      mockSupabase.from.mockReturnValueOnce({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockResolvedValue({
+            data: [
+              { id: 'tag-123', name: 'javascript' },
+              { id: 'tag-456', name: 'dev/javascript' },
+              { id: 'tag-789', name: 'javascript/react' },
+            ],
+            error: null,
+          }),
+        }),
+      });
+
+      const mergedTag = {
+        id: 'tag-456',
+        name: 'dev/javascript',
+        color: '#10B981',
+        aliases: ['ecmascript'],
+        created_at: '2025-01-01',
+      };
+      const updateMock = vi.fn();
+      const idEqMock = vi.fn();
+      updateMock.mockReturnValue({ eq: idEqMock });
+      idEqMock.mockReturnValue({
+        eq: vi.fn().mockReturnValue({
+          select: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({ data: mergedTag, error: null }),
+          }),
+        }),
+      });
+      mockSupabase.from.mockReturnValueOnce({ update: updateMock });
+
       const request = {
-        json: vi.fn().mockResolvedValue({ name: 'Updated' }),
+        json: vi.fn().mockResolvedValue({
+          name: ' Dev / JavaScript ',
+          color: '#10B981',
+          aliases: ['ECMAScript', 'dev/javascript'],
+        }),
       };
 
       const response = await PATCH(request, { params: Promise.resolve({ tagId: 'tag-123' }) });
 
       expect(response.status).toBe(200);
-      expect(response.data.tag).toEqual(updatedTag);
+      expect(response.data.tag).toEqual(mergedTag);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('rename_user_tag', {
+        p_tag_id: 'tag-123',
+        p_name: 'dev/javascript',
+      });
+      expect(updateMock).toHaveBeenCalledWith({ color: '#10B981', aliases: ['ecmascript'] });
+      expect(idEqMock).toHaveBeenCalledWith('id', 'tag-456');
+    });
+
+    it('should return 400 for a tag nested too deep', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'user-123' } },
+        error: null,
+      });
+
+      mockSupabase.from.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({
+              data: { plan: 'pro', status: 'active' },
+              error: null,
+            }),
+          }),
+        }),
+      });
+
+      const request = {
+        json: vi.fn().mockResolvedValue({ name: 'a/b/c/d/e/f' }),
+      };
+
+      const response = await PATCH(request, { params: Promise.resolve({ tagId: 'tag-123' }) });
+
+      expect(response.status).toBe(400);
+      expect(response.data.error).toBe('Tags can be nested at most 5 levels deep');
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid aliases', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'user-123' } },
+        error: null,
+      });
+
+      mockSupabase.from.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({
+              data: { plan: 'pro', status: 'active' },
+              error: null,
+            }),
+          }),
+        }),
+      });
+
+      const request = {
+        json: vi.fn().mockResolvedValue({ aliases: ['js', ''] }),
+      };
+
+      const response = await PATCH(request, { params: Promise.resolve({ tagId: 'tag-123' }) });
+
+      expect(response.status).toBe(400);
+      expect(response.data.error).toBe('aliases[1]: Tag name cannot be empty');
+    });
+
+    it("should check aliases against the tag's current name when it isn't renamed", async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'user-123' } },
+        error: null,
+      });
+
+      mockSupabase.from.mockReturnValueOnce({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({
+              data: { plan: 'pro', status: 'active' },
+              error: null,
+            }),
+          }),
+        }),
+      });
+      mockSupabase.from.mockReturnValueOnce({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockResolvedValue({
+            data: [{ id: 'tag-123', name: 'javascript' }],
+            error: null,
+          }),
+        }),
+      });
+
+      const updatedTag = { id: 'tag-123', name: 'javascript', aliases: ['js'] };
+      const updateMock = vi.fn().mockReturnValue({
+        eq: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            select: vi.fn().mockReturnValue({
+              single: vi.fn().mockResolvedValue({ data: updatedTag, error: null }),
+            }),
+          }),
+        }),
+      });
+      mockSupabase.from.mockReturnValueOnce({ update: updateMock });
+
+      const request = {
+        json: vi.fn().mockResolvedValue({ aliases: ['JS', 'JavaScript'] }),
+      };
+
+      const response = await PATCH(request, { params: Promise.resolve({ tagId: 'tag-123' }) });
+
+      expect(response.status).toBe(200);
+      expect(updateMock).toHaveBeenCalledWith({ aliases: ['js'] });
+    });
+
+    it("should return 409 for an alias that is another tag's name", async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'user-123' } },
+        error: null,
+      });
+
+      mockSupabase.from.mockReturnValueOnce({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({
+              data: { plan: 'pro', status: 'active' },
+              error: null,
+            }),
+          }),
+        }),
+      });
+      mockSupabase.from.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockResolvedValue({
+            data: [
+              { id: 'tag-123', name: 'javascript' },
+              { id: 'tag-456', name: 'typescript' },
+            ],
+            error: null,
+          }),
+        }),
+      });
+
+      const request = {
+        json: vi.fn().mockResolvedValue({ aliases: ['js', 'TypeScript'] }),
+      };
+
+      const response = await PATCH(request, { params: Promise.resolve({ tagId: 'tag-123' }) });
+
+      expect(response.status).toBe(409);
+      expect(response.data.error).toBe('"typescript" is already the name of a tag');
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should map rename errors from the database', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'user-123' } },
+        error: null,
+      });
+
+      mockSupabase.from.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({
+              data: { plan: 'pro', status: 'active' },
+              error: null,
+            }),
+          }),
+        }),
+      });
+
+      const request = {
+        json: vi.fn().mockResolvedValue({ name: 'js/react' }),
+      };
+
+      mockSupabase.rpc.mockResolvedValueOnce({
+        data: null,
+        error: { code: 'P0002', message: 'Tag not found' },
+      });
+      const missing = await PATCH(request, { params: Promise.resolve({ tagId: 'tag-123' }) });
+
+      mockSupabase.rpc.mockResolvedValueOnce({
+        data: null,
+        error: { code: '22023', message: 'A tag cannot be nested under itself' },
+      });
+      const underItself = await PATCH(request, { params: Promise.resolve({ tagId: 'tag-123' }) });
+
+      expect(missing.status).toBe(404);
+      expect(underItself.status).toBe(400);
+      expect(underItself.data.error).toBe('A tag cannot be nested under itself');
     });
   });
 
@@ -649,3 +905,94 @@ describe('Individual Tag API', () => {
     });
   });
 });
+
+// Test tag sync route
+const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+const { GET: GETSync } = await import('../app/api/tags/sync/route.js');
+
+describe('Tag Sync API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('GET /api/tags/sync', () => {
+    it('should return 401 if user is not authenticated', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: null, supabase: null });
+
+      const response = await GETSync({ url: 'https://marksyncr.com/api/tags/sync' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return renames after the cursor and the current tags', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: { id: 'user-123' }, supabase: mockSupabase });
+
+      const gtMock = vi.fn();
+      gtMock.mockReturnValue({
+        order: vi.fn().mockReturnValue({
+          limit: vi.fn().mockResolvedValue({
+            data: [
+              { id: 8, from_name: 'js', to_name: 'javascript' },
+              { id: 9, from_name: 'dev/css', to_name: 'css' },
+            ],
+            error: null,
+          }),
+        }),
+      });
+      mockSupabase.from.mockReturnValueOnce({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({ gt: gtMock }),
+        }),
+      });
+
+      const tags = [{ name: 'javascript', color: '#3B82F6', aliases: ['js'] }];
+      mockSupabase.from.mockReturnValueOnce({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            order: vi.fn().mockResolvedValue({ data: tags, error: null }),
+          }),
+        }),
+      });
+
+      const response = await GETSync({ url: 'https://marksyncr.com/api/tags/sync?after=7' });
+
+      expect(response.status).toBe(200);
+      expect(gtMock).toHaveBeenCalledWith('id', 7);
+      expect(response.data).toEqual({
+        tags,
+        renames: [
+          { id: 8, from: 'js', to: 'javascript' },
+          { id: 9, from: 'dev/css', to: 'css' },
+        ],
+        cursor: 9,
+      });
+    });
+
+    it('should keep the cursor when there are no new renames', async () => {
+      getAuthenticatedUser.mockResolvedValue({ user: { id: 'user-123' }, supabase: mockSupabase });
+
+      mockSupabase.from.mockReturnValueOnce({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            gt: vi.fn().mockReturnValue({
+              order: vi.fn().mockReturnValue({
+                limit: vi.fn().mockResolvedValue({ data: [], error: null }),
+              }),
+            }),
+          }),
+        }),
+      });
+      mockSupabase.from.mockReturnValueOnce({
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            order: vi.fn().mockResolvedValue({ data: [], error: null }),
+          }),
+        }),
+      });
+
+      const response = await GETSync({ url: 'https://marksyncr.com/api/tags/sync?after=12' });
+
+      expect(response.data).toEqual({ tags: [], renames: [], cursor: 12 });
+    });
+  });
+});
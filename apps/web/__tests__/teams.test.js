@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Tests for teams and shared folders
+ * Tests the team plan check, roles, invitations and merging members' edits into
+ * shared folders
+ * Uses Vitest with mocked auth helper
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const mockUser = { id: 'user-123', email: 'test@example.com' };
+const TEAM_ID = '7d444840-9dc0-11d1-b245-5ffdce74fad2';
+const FOLDER_ID = '8e555951-9dc0-11d1-b245-5ffdce74fad2';
+
+// Create chainable mock; awaiting the chain resolves to `result`
+const createChainableMock = (result = { data: null, error: null }) => {
+  const chain = {
+    select: vi.fn(() => chain),
+    eq: vi.fn(() => chain),
+    in: vi.fn(() => chain),
+    is: vi.fn(() => chain),
+    gt: vi.fn(() => chain),
+    lte: vi.fn(() => chain),
+    order: vi.fn(() => chain),
+    insert: vi.fn(() => chain),
+    update: vi.fn(() => chain),
+    delete: vi.fn(() => chain),
+    single: vi.fn(() => Promise.resolve(result)),
+    maybeSingle: vi.fn(() => Promise.resolve(result)),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+// Supabase client whose tables each return their own chain
+const createSupabase = (tables) => ({
+  from: vi.fn((table) => tables[table] ?? createChainableMock()),
+  rpc: vi.fn(),
+});
+
+// Mock @/lib/auth-helper
+vi.mock('@/lib/auth-helper', () => ({
+  corsHeaders: vi.fn(() => ({ 'Access-Control-Allow-Origin': '*' })),
+  getAuthenticatedUser: vi.fn(),
+}));
+
+// Import after mocks
+const { POST: createTeam } = await import('../app/api/teams/route.js');
+const { PATCH: changeRole, DELETE: removeMember } =
+  await import('../app/api/teams/[teamId]/members/[userId]/route.js');
+const { POST: invite } = await import('../app/api/teams/[teamId]/invitations/route.js');
+const { POST: acceptInvitation } = await import('../app/api/invitations/accept/route.js');
+const { POST: editFolder } = await import('../app/api/shared-folders/[folderId]/route.js');
+const { hashInviteToken, validateTeamName } = await import('../lib/teams.js');
+const { getAuthenticatedUser } = await import('@/lib/auth-helper');
+
+/**
+ * Helper to create a mock request
+ */
+function createMockRequest(options = {}) {
+  const { method = 'GET', body = null, headers = {}, url = 'https://marksyncr.com/api' } = options;
+
+  return {
+    method,
+    url,
+    headers: {
+      get: (name) => headers[name] || null,
+    },
+    json: async () => body,
+  };
+}
+
+const routeContext = (params) => ({ params: Promise.resolve(params) });
+
+describe('Teams', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('validateTeamName', () => {
+    it('should require a name of at most 100 characters', () => {
+      expect(validateTeamName('Design').valid).toBe(true);
+      expect(validateTeamName('').errors).toEqual(['name is required']);
+      expect(validateTeamName('x'.repeat(101)).valid).toBe(false);
+    });
+  });
+
+  describe('POST /api/teams', () => {
+    it('should require a Team subscription', async () => {
+      const teams = createChainableMock();
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          subscriptions: createChainableMock({
+            data: { plan: 'pro', status: 'active' },
+            error: null,
+          }),
+          teams,
+        }),
+      });
+
+      const response = await createTeam(
+        createMockRequest({ method: 'POST', body: { name: 'Design' } })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(data.code).toBe('TEAM_REQUIRED');
+      expect(teams.insert).not.toHaveBeenCalled();
+    });
+
+    it('should create the team with the user as its owner', async () => {
+      const teams = createChainableMock({
+        data: { id: TEAM_ID, name: 'Design', created_at: '2024-01-01T00:00:00Z' },
+        error: null,
+      });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          subscriptions: createChainableMock({
+            data: { plan: 'team', status: 'trialing' },
+            error: null,
+          }),
+          teams,
+        }),
+      });
+
+      const response = await createTeam(
+        createMockRequest({ method: 'POST', body: { name: ' Design ' } })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(teams.insert).toHaveBeenCalledWith({ name: 'Design', created_by: 'user-123' });
+      expect(data.team).toMatchObject({ id: TEAM_ID, role: 'owner' });
+    });
+  });
+
+  describe('team members', () => {
+    // team_members answers the role lookup, the owner list and the member lookup in turn
+    const membersTable = (...results) => {
+      const chain = createChainableMock();
+      for (const result of results.filter((r) => !Array.isArray(r.data))) {
+        chain.maybeSingle.mockResolvedValueOnce(result);
+      }
+      const owners = results.find((r) => Array.isArray(r.data));
+      chain.then = (resolve, reject) => Promise.resolve(owners).then(resolve, reject);
+      return chain;
+    };
+
+    it('should not let the last owner step down', async () => {
+      const members = membersTable(
+        { data: { role: 'owner' }, error: null },
+        { data: [{ user_id: 'user-123' }], error: null },
+        { data: { user_id: 'user-123', role: 'owner' }, error: null }
+      );
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({ team_members: members }),
+      });
+
+      const response = await changeRole(
+        createMockRequest({ method: 'PATCH', body: { role: 'editor' } }),
+        routeContext({ teamId: TEAM_ID, userId: 'user-123' })
+      );
+
+      expect(response.status).toBe(400);
+      expect(members.update).not.toHaveBeenCalled();
+    });
+
+    it('should only let owners remove other members', async () => {
+      const members = membersTable({ data: { role: 'editor' }, error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({ team_members: members }),
+      });
+
+      const response = await removeMember(
+        createMockRequest({ method: 'DELETE' }),
+        routeContext({ teamId: TEAM_ID, userId: 'user-456' })
+      );
+
+      expect(response.status).toBe(403);
+      expect(members.delete).not.toHaveBeenCalled();
+    });
+
+    it('should let a member leave the team', async () => {
+      const members = membersTable(
+        { data: { role: 'viewer' }, error: null },
+        { data: [{ user_id: 'user-456' }], error: null },
+        { data: { user_id: 'user-123', role: 'viewer' }, error: null }
+      );
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({ team_members: members }),
+      });
+
+      const response = await removeMember(
+        createMockRequest({ method: 'DELETE' }),
+        routeContext({ teamId: TEAM_ID, userId: 'user-123' })
+      );
+
+      expect(response.status).toBe(200);
+      expect(members.delete).toHaveBeenCalled();
+    });
+  });
+
+  describe('invitations', () => {
+    it('should store only the hash of the link token', async () => {
+      const members = createChainableMock();
+      members.maybeSingle
+        .mockResolvedValueOnce({ data: { role: 'owner' }, error: null })
+        .mockResolvedValueOnce({ data: null, error: null });
+      const invitations = createChainableMock({
+        data: {
+          id: 'inv-1',
+          email: 'new@example.com',
+          role: 'editor',
+          created_at: '2024-01-01T00:00:00Z',
+          expires_at: '2024-01-08T00:00:00Z',
+        },
+        error: null,
+      });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          team_members: members,
+          team_invitations: invitations,
+          subscriptions: createChainableMock({
+            data: { plan: 'team', status: 'active' },
+            error: null,
+          }),
+        }),
+      });
+
+      const response = await invite(
+        createMockRequest({
+          method: 'POST',
+          body: { email: ' New@Example.com ', role: 'editor' },
+        }),
+        routeContext({ teamId: TEAM_ID })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      const token = new URL(data.inviteUrl).searchParams.get('invite');
+      expect(invitations.insert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          email: 'new@example.com',
+          role: 'editor',
+          token_hash: hashInviteToken(token),
+        })
+      );
+    });
+
+    it('should not invite people as owners', async () => {
+      const members = createChainableMock({ data: { role: 'owner' }, error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          team_members: members,
+          subscriptions: createChainableMock({
+            data: { plan: 'team', status: 'active' },
+            error: null,
+          }),
+        }),
+      });
+
+      const response = await invite(
+        createMockRequest({ method: 'POST', body: { email: 'new@example.com', role: 'owner' } }),
+        routeContext({ teamId: TEAM_ID })
+      );
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should accept an invitation by the hash of its token', async () => {
+      const supabase = createSupabase({});
+      supabase.rpc.mockResolvedValue({ data: TEAM_ID, error: null });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await acceptInvitation(
+        createMockRequest({ method: 'POST', body: { token: 'abc' } })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.teamId).toBe(TEAM_ID);
+      expect(supabase.rpc).toHaveBeenCalledWith('accept_team_invitation', {
+        p_token_hash: hashInviteToken('abc'),
+      });
+    });
+
+    it('should report invitations for another email address', async () => {
+      const supabase = createSupabase({});
+      supabase.rpc.mockResolvedValue({ data: null, error: { code: '42501' } });
+      getAuthenticatedUser.mockResolvedValue({ user: mockUser, supabase });
+
+      const response = await acceptInvitation(
+        createMockRequest({ method: 'POST', body: { token: 'abc' } })
+      );
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/shared-folders/[folderId]', () => {
+    const folderRow = (version, items) => ({
+      id: FOLDER_ID,
+      team_id: TEAM_ID,
+      name: 'Design refs',
+      items,
+      version,
+      updated_at: '2024-01-01T00:00:00Z',
+    });
+    const addB = {
+      op: 'add',
+      key: 'https://b.com',
+      item: { type: 'bookmark', url: 'https://b.com', title: 'B', folderPath: '', index: 1 },
+    };
+    const itemA = { type: 'bookmark', url: 'https://a.com', title: 'A', folderPath: '', index: 0 };
+
+    it('should not let viewers change the folder', async () => {
+      const folders = createChainableMock({ data: folderRow(1, []), error: null });
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          shared_folders: folders,
+          team_members: createChainableMock({ data: { role: 'viewer' }, error: null }),
+        }),
+      });
+
+      const response = await editFolder(
+        createMockRequest({ method: 'POST', body: { operations: [addB] } }),
+        routeContext({ folderId: FOLDER_ID })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(data.code).toBe('READ_ONLY');
+      expect(folders.update).not.toHaveBeenCalled();
+    });
+
+    it("should merge an editor's changes into edits made since their last sync", async () => {
+      const folders = createChainableMock();
+      folders.maybeSingle
+        // Read, then a write that loses to another member, then the re-read
+        .mockResolvedValueOnce({ data: folderRow(1, []), error: null })
+        .mockResolvedValueOnce({ data: null, error: null })
+        .mockResolvedValueOnce({ data: folderRow(2, [itemA]), error: null })
+        .mockImplementationOnce(() =>
+          Promise.resolve({
+            data: folderRow(3, folders.update.mock.calls.at(-1)[0].items),
+            error: null,
+          })
+        );
+      getAuthenticatedUser.mockResolvedValue({
+        user: mockUser,
+        supabase: createSupabase({
+          shared_folders: folders,
+          team_members: createChainableMock({ data: { role: 'editor' }, error: null }),
+        }),
+      });
+
+      const response = await editFolder(
+        createMockRequest({ method: 'POST', body: { operations: [addB] } }),
+        routeContext({ folderId: FOLDER_ID })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(folders.eq).toHaveBeenCalledWith('version', 2);
+      expect(data.folder.version).toBe(3);
+      expect(data.folder.items.map((item) => [item.url, item.updatedBy])).toEqual([
+        ['https://a.com', undefined],
+        ['https://b.com', 'user-123'],
+      ]);
+    });
+  });
+});
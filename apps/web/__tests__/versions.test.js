@@ -226,6 +226,7 @@ describe('Versions API', () => {
 
       expect(mockRpc).toHaveBeenCalledWith('get_version_history', {
         p_user_id: 'user-123',
+        p_collection_id: 'user-123',
         p_limit: 20,
         p_offset: 0,
       });
@@ -248,6 +249,7 @@ describe('Versions API', () => {
 
       expect(mockRpc).toHaveBeenCalledWith('get_version_history', {
         p_user_id: 'user-123',
+        p_collection_id: 'user-123',
         p_limit: 50,
         p_offset: 10,
       });
@@ -446,6 +448,7 @@ describe('Versions API', () => {
       // Checksum is now computed using generateNormalizedChecksum, not mocked
       expect(mockRpc).toHaveBeenCalledWith('save_bookmark_version', {
         p_user_id: 'user-123',
+        p_collection_id: 'user-123',
         p_bookmark_data: bookmarkData,
         p_checksum: expect.any(String), // Checksum is computed, not mocked
         p_source_type: 'firefox',
@@ -479,6 +482,7 @@ describe('Versions API', () => {
       // Checksum is now computed using generateNormalizedChecksum, not mocked
       expect(mockRpc).toHaveBeenCalledWith('save_bookmark_version', {
         p_user_id: 'user-123',
+        p_collection_id: 'user-123',
         p_bookmark_data: bookmarkData,
         p_checksum: expect.any(String), // Checksum is computed, not mocked
         p_source_type: 'chrome',
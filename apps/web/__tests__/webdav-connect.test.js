@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Tests for POST /api/connect/webdav
+ * Uses Vitest with mocked Supabase client and WebDAV source
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockGetUser = vi.fn();
+const mockUpsert = vi.fn();
+const mockValidateCredentials = vi.fn();
+
+vi.mock('../lib/supabase/server', () => ({
+  getUser: () => mockGetUser(),
+  createClient: vi.fn(() =>
+    Promise.resolve({
+      from: vi.fn(() => ({ upsert: mockUpsert })),
+    })
+  ),
+}));
+
+vi.mock('@marksyncr/sources/webdav', () => ({
+  WebDavSource: vi.fn().mockImplementation((config) => ({
+    url: config.url.replace(/\/+$/, ''),
+    path: `/${config.path.replace(/^\/+/, '')}`,
+    validateCredentials: mockValidateCredentials,
+  })),
+}));
+
+const { POST } = await import('../app/api/connect/webdav/route.js');
+const { WebDavSource } = await import('@marksyncr/sources/webdav');
+const { publicFetch } = await import('../lib/public-urls.js');
+
+const postJson = (body) =>
+  POST(
+    new Request('http://localhost:3000/api/connect/webdav', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+  );
+
+const validBody = {
+  url: 'https://cloud.example.com/remote.php/dav/files/alice/',
+  username: 'alice',
+  password: 'app-password',
+};
+
+describe('POST /api/connect/webdav', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGetUser.mockResolvedValue({ id: 'user-123', email: 'alice@example.com' });
+    mockUpsert.mockResolvedValue({ error: null });
+    mockValidateCredentials.mockResolvedValue(true);
+  });
+
+  it('should return 401 when user is not authenticated', async () => {
+    mockGetUser.mockResolvedValue(null);
+
+    const response = await postJson(validBody);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should check the credentials and store the connection', async () => {
+    const response = await postJson(validBody);
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.success).toBe(true);
+    expect(WebDavSource).toHaveBeenCalledWith(
+      expect.objectContaining({ path: '/MarkSyncr/bookmarks.json', authType: 'auto' }),
+      { username: 'alice', password: 'app-password' },
+      { fetch: publicFetch }
+    );
+    expect(mockUpsert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        user_id: 'user-123',
+        provider: 'webdav',
+        provider_username: 'alice',
+        access_token: 'app-password',
+        file_path: '/MarkSyncr/bookmarks.json',
+        config: { url: 'https://cloud.example.com/remote.php/dav/files/alice', authType: 'auto' },
+      }),
+      { onConflict: 'collection_id,provider' }
+    );
+  });
+
+  it('should not store credentials the server rejects', async () => {
+    mockValidateCredentials.mockResolvedValue(false);
+
+    const response = await postJson(validBody);
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toContain('Could not sign in');
+    expect(mockUpsert).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid input', async () => {
+    const responses = await Promise.all([
+      postJson({ ...validBody, url: 'ftp://cloud.example.com' }),
+      postJson({ ...validBody, password: '' }),
+      postJson({ ...validBody, authType: 'ntlm' }),
+    ]);
+
+    expect(responses.map((r) => r.status)).toEqual([400, 400, 400]);
+    expect(mockValidateCredentials).not.toHaveBeenCalled();
+  });
+
+  it('should reject servers on private networks and plain http', async () => {
+    const responses = await Promise.all([
+      postJson({ ...validBody, url: 'https://192.168.1.10/dav' }),
+      postJson({ ...validBody, url: 'https://localhost/dav' }),
+      postJson({ ...validBody, url: 'https://[::ffff:7f00:1]/dav' }),
+      postJson({ ...validBody, url: 'https://100.64.0.1/dav' }),
+      postJson({ ...validBody, url: 'http://cloud.example.com/dav' }),
+    ]);
+
+    expect(responses.map((r) => r.status)).toEqual([400, 400, 400, 400, 400]);
+    expect(WebDavSource).not.toHaveBeenCalled();
+  });
+
+  it('should return 500 when the connection cannot be saved', async () => {
+    mockUpsert.mockResolvedValue({ error: { message: 'Database error' } });
+
+    const response = await postJson(validBody);
+
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,49 @@
+'use server';
+
+import { cookies } from 'next/headers';
+import { redirect } from 'next/navigation';
+import { createAdminClient } from '../../lib/supabase/server';
+import {
+  SHARE_ACCESS_MAX_AGE,
+  createShareAccessToken,
+  getShareAccessCookieName,
+  resolveShareLink,
+  verifySharePassword,
+} from '../../lib/share-links';
+
+/**
+ * Unlock a password-protected share link for this browser
+ * @param {FormData} formData - slug and password
+ */
+export async function unlockShareLink(formData) {
+  const slug = formData.get('slug');
+  const password = formData.get('password');
+
+  if (!password) {
+    return { error: 'Password is required' };
+  }
+
+  const { link, state } = await resolveShareLink(createAdminClient(), slug, undefined);
+  if (state === 'not_found') {
+    return { error: 'This link has been revoked' };
+  }
+  if (state !== 'locked') {
+    // Nothing to unlock; the page shows the bookmarks or explains that the link expired
+    redirect(`/s/${link.slug}`);
+  }
+
+  if (!verifySharePassword(password, link.password_hash)) {
+    return { error: 'Incorrect password' };
+  }
+
+  const cookieStore = await cookies();
+  cookieStore.set(getShareAccessCookieName(link.slug), createShareAccessToken(link), {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: `/s/${link.slug}`,
+    maxAge: SHARE_ACCESS_MAX_AGE,
+  });
+
+  redirect(`/s/${link.slug}`);
+}
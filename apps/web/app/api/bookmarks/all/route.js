@@ -1,9 +1,12 @@
 /**
  * DELETE /api/bookmarks/all - Delete all cloud data for a user
  *
- * This endpoint deletes ALL cloud data for the authenticated user:
+ * This endpoint deletes ALL cloud data for the authenticated user, in every collection
+ * (the collections themselves are kept, empty):
  * - cloud_bookmarks: All bookmarks and tombstones
+ * - bookmark_items: Per-item bookmark rows
  * - bookmark_versions: All version history
+ * - bookmark_changes: The delta sync change log
  * - sync_sources: All connected external sources (GitHub, Dropbox, etc.)
  *
  * Authentication: Session cookie (web) OR Bearer token (extension)
@@ -30,7 +33,9 @@ export async function OPTIONS(request) {
  *
  * Deletes:
  * - cloud_bookmarks row (bookmarks, tombstones, checksum, version)
+ * - bookmark_items rows (per-item bookmarks)
  * - bookmark_versions rows (version history)
+ * - bookmark_changes rows (delta sync change log)
  * - sync_sources rows (connected external services)
  *
  * Does NOT delete:
@@ -53,7 +58,9 @@ export async function DELETE(request) {
     // Track what was deleted
     const deleted = {
       bookmarks: false,
+      items: false,
       versions: false,
+      changes: false,
       sources: false,
     };
 
@@ -73,6 +80,22 @@ export async function DELETE(request) {
     deleted.bookmarks = true;
     console.log(`[Delete Cloud Data] Deleted cloud_bookmarks for user ${user.id}`);
 
+    // Delete bookmark_items (per-item bookmark rows)
+    const { error: itemsError } = await supabase
+      .from('bookmark_items')
+      .delete()
+      .eq('user_id', user.id);
+
+    if (itemsError) {
+      console.error('[Delete Cloud Data] Failed to delete bookmark_items:', itemsError);
+      return NextResponse.json(
+        { error: 'Failed to delete cloud data', details: itemsError.message },
+        { status: 500, headers }
+      );
+    }
+    deleted.items = true;
+    console.log(`[Delete Cloud Data] Deleted bookmark_items for user ${user.id}`);
+
     // Delete bookmark_versions (version history)
     const { error: versionsError } = await supabase
       .from('bookmark_versions')
@@ -89,6 +112,22 @@ export async function DELETE(request) {
     deleted.versions = true;
     console.log(`[Delete Cloud Data] Deleted bookmark_versions for user ${user.id}`);
 
+    // Delete bookmark_changes (delta sync change log), so a fresh upload starts a new log
+    const { error: changesError } = await supabase
+      .from('bookmark_changes')
+      .delete()
+      .eq('user_id', user.id);
+
+    if (changesError) {
+      console.error('[Delete Cloud Data] Failed to delete bookmark_changes:', changesError);
+      return NextResponse.json(
+        { error: 'Failed to delete cloud data', details: changesError.message },
+        { status: 500, headers }
+      );
+    }
+    deleted.changes = true;
+    console.log(`[Delete Cloud Data] Deleted bookmark_changes for user ${user.id}`);
+
     // Delete sync_sources (connected external services)
     const { error: sourcesError } = await supabase
       .from('sync_sources')
@@ -4,10 +4,24 @@
  *
  * Authentication: Session cookie (web) OR Bearer token (extension)
  *
- * The cloud_bookmarks table stores ALL bookmarks as a single JSONB blob per user:
- * - bookmark_data: JSONB containing array of bookmarks
+ * Bookmarks are stored one row per item in bookmark_items (see lib/bookmark-store.js),
+ * each with a stable id, a parent folder reference, a position and the change sequence
+ * number of its last write. Writes only touch the rows that changed.
+ *
+ * Collections:
+ * - An account can have several independent bookmark collections (see lib/collections.js);
+ *   the X-MarkSyncr-Collection header or ?collection= picks one, else the default is used
+ * - Everything below (rows, blob, change log, versions, external sources) is per collection
+ *
+ * The cloud_bookmarks table keeps per-collection sync metadata and, for backward
+ * compatibility, a JSONB blob of ALL bookmarks:
+ * - bookmark_data: JSONB array of bookmarks, written by version saves and rollbacks
+ *   only. Writes here leave it alone, so it is stale whenever the rows are current.
  * - tombstones: JSONB containing array of deleted bookmark URLs with timestamps
- * - checksum: Hash of the bookmark data for change detection
+ * - checksum: Hash of the current bookmarks for change detection
+ * - items_checksum: Checksum the rows were last written with; while it equals checksum
+ *   the rows are current. When it differs (data from before the rows existed, a
+ *   version rollback), the blob is read and the next write rebuilds the rows from it
  * - version: Incremented on each update
  *
  * Tombstone tracking:
@@ -16,23 +30,49 @@
  * - If a tombstone's deletedAt is newer than a bookmark's dateAdded, the bookmark is considered deleted
  * - This allows deletions to sync across browsers
  *
+ * Delta sync:
+ * - Every write appends its add/update/move/delete operations to bookmark_changes under a
+ *   per-collection sequence number; cloud_bookmarks.change_seq holds the latest one (the cursor)
+ * - GET ?since=<cursor> returns only the operations after the cursor, or the full state with
+ *   reset: true when the log can't cover the gap
+ * - POST accepts { operations, cursor } instead of the full bookmarks array; operations
+ *   against a cursor other than the latest get 409 with the current state, like a failed
+ *   write precondition below
+ *
+ * Write preconditions:
+ * - GET returns the checksum as ETag
+ * - POST may send If-Match: "<checksum>" and/or expectedVersion / expectedChecksum in the body
+ * - When the stored state no longer matches, nothing is written and the response is 409 with
+ *   the current state, so the client can merge against it and retry
+ *
+ * End-to-end encryption:
+ * - With encryption on, items arrive with URL, title and folder name tokens and an encrypted
+ *   payload; the server stores them as they are and never sees the plaintext
+ * - encryptionKeyId in the body says which key the items are encrypted with (none for plaintext)
+ *   and must match the user's keyring (see /api/encryption)
+ * - After the keyring changes, only a full replace with the new key is accepted until the
+ *   stored data has been re-encrypted; other writes get 409 with code ENCRYPTION_KEY_MISMATCH
+ *
  * External sync:
- * - After saving to Supabase, bookmarks are synced to all connected external sources (GitHub, Dropbox, etc.)
- * - This happens asynchronously to not block the response
+ * - After saving to Supabase, a push to each connected external source (GitHub, Dropbox, etc.)
+ *   is queued as a sync job (see lib/sync-queue.js)
+ * - The jobs run in the background; failed ones are retried with backoff by the sync-jobs cron
  */
 
 import { NextResponse } from 'next/server';
 import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
 import crypto from 'crypto';
-import { syncBookmarksToGitHub } from '@marksyncr/sources/oauth/github-sync';
-import { syncBookmarksToDropbox } from '@marksyncr/sources/oauth/dropbox-sync';
-import { refreshAccessToken } from '@marksyncr/sources/oauth/dropbox-oauth';
+import { applyFlatOperations, isValidDeltaOperation } from '@marksyncr/core/delta';
+import { loadBookmarkItems, saveBookmarkItems } from '@/lib/bookmark-store';
+import { resolveRequestCollection } from '@/lib/collections';
+import { queueExternalSync } from '@/lib/sync-queue';
 
 /**
- * Maximum number of bookmarks allowed per user
- * This prevents data explosion from bugs or abuse
+ * Maximum number of bookmarks allowed per collection
+ * Writes only touch the rows that changed, so this is well above any real library;
+ * it only stops runaway duplication from bugs or abuse
  */
-const MAX_BOOKMARKS_PER_USER = 10000;
+const MAX_BOOKMARKS_PER_USER = 100000;
 
 /**
  * Maximum number of bookmarks that can be synced in a single request
@@ -40,6 +80,17 @@ const MAX_BOOKMARKS_PER_USER = 10000;
  */
 const MAX_BOOKMARKS_PER_REQUEST = 10000;
 
+/**
+ * Maximum number of operations served as a delta or logged for a single write.
+ * Larger changes are not logged, so clients behind them do a full fetch.
+ */
+const MAX_DELTA_OPERATIONS = 1000;
+
+/**
+ * Number of change log entries kept per collection
+ */
+const MAX_CHANGE_LOG_ENTRIES = 10000;
+
 /**
  * Handle CORS preflight requests
  */
@@ -199,11 +250,19 @@ export async function GET(request) {
       return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
     }
 
-    // Get bookmarks from database (single row per user with JSONB data)
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status, headers });
+    }
+    const { collectionId } = collection;
+
+    const since = parseCursor(new URL(request.url).searchParams.get('since'));
+
+    // Get bookmarks from database (single row per collection with JSONB data)
     const { data: cloudBookmarks, error: bookmarksError } = await supabase
       .from('cloud_bookmarks')
       .select('*')
-      .eq('user_id', user.id)
+      .eq('collection_id', collectionId)
       .single();
 
     if (bookmarksError && bookmarksError.code !== 'PGRST116') {
@@ -212,16 +271,56 @@ export async function GET(request) {
       return NextResponse.json({ error: 'Failed to fetch bookmarks' }, { status: 500, headers });
     }
 
-    // Extract bookmarks array from JSONB (handle both flat array and nested format)
-    const rawBookmarks = cloudBookmarks?.bookmark_data;
-    const bookmarksArray = extractBookmarksFromNested(rawBookmarks);
-
     // Extract tombstones (deleted bookmark URLs)
     const tombstones = Array.isArray(cloudBookmarks?.tombstones) ? cloudBookmarks.tombstones : [];
+    const cursor = cloudBookmarks?.change_seq ?? 0;
+
+    if (since !== null) {
+      const operations = await fetchChangesSince(supabase, collectionId, since, cursor);
+
+      if (operations) {
+        console.log(
+          `[Bookmarks API GET] User: ${user.id}, ${operations.length} operations since cursor ${since}`
+        );
+        return NextResponse.json(
+          {
+            operations,
+            tombstones,
+            cursor,
+            version: cloudBookmarks?.version || 0,
+            checksum: cloudBookmarks?.checksum || null,
+            encryptionKeyId: cloudBookmarks?.encryption_key_id ?? null,
+            lastModified: cloudBookmarks?.last_modified || null,
+          },
+          { headers: withETag(headers, cloudBookmarks?.checksum) }
+        );
+      }
+
+      console.log(
+        `[Bookmarks API GET] Cursor ${since} can't be served as a delta (server at ${cursor}), returning full state`
+      );
+    }
+
+    const { items: storedItems, error: itemsError } = await loadBookmarkItems(
+      supabase,
+      user.id,
+      cloudBookmarks,
+      { collectionId }
+    );
+
+    if (itemsError) {
+      console.error('Bookmark items fetch error:', itemsError);
+      return NextResponse.json({ error: 'Failed to fetch bookmarks' }, { status: 500, headers });
+    }
+
+    // Use the rows when they are current, else extract the array from the JSONB blob
+    // (handle both flat array and nested format)
+    const rawBookmarks = cloudBookmarks?.bookmark_data;
+    const bookmarksArray = storedItems ?? extractBookmarksFromNested(rawBookmarks);
 
     console.log(`[Bookmarks API GET] User: ${user.id}`);
     console.log(
-      `[Bookmarks API GET] Raw data type: ${Array.isArray(rawBookmarks) ? 'array' : typeof rawBookmarks}`
+      `[Bookmarks API GET] Storage: ${storedItems ? 'rows' : 'blob'}, raw data type: ${Array.isArray(rawBookmarks) ? 'array' : typeof rawBookmarks}`
     );
     console.log(
       `[Bookmarks API GET] Returning ${bookmarksArray.length} bookmarks, ${tombstones.length} tombstones`
@@ -240,9 +339,12 @@ export async function GET(request) {
         count: bookmarksArray.length,
         version: cloudBookmarks?.version || 0,
         checksum: cloudBookmarks?.checksum || null,
+        encryptionKeyId: cloudBookmarks?.encryption_key_id ?? null,
         lastModified: cloudBookmarks?.last_modified || null,
+        cursor,
+        ...(since !== null && { reset: true }),
       },
-      { headers }
+      { headers: withETag(headers, cloudBookmarks?.checksum) }
     );
   } catch (error) {
     console.error('Bookmarks GET error:', error);
@@ -341,6 +443,233 @@ function extractBookmarksFromNested(data) {
   return [];
 }
 
+/**
+ * Parse a delta sync cursor
+ * @param {string|null} value - Raw ?since= value
+ * @returns {number|null} Cursor, or null if absent or malformed
+ */
+function parseCursor(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const cursor = Number(value);
+  return Number.isInteger(cursor) && cursor >= 0 ? cursor : null;
+}
+
+/**
+ * Add the checksum of the stored bookmarks as ETag, for use in If-Match
+ * @param {Object} headers - Response headers
+ * @param {string|null} checksum - Stored checksum
+ * @returns {Object} Headers
+ */
+function withETag(headers, checksum) {
+  return checksum ? { ...headers, ETag: `"${checksum}"` } : headers;
+}
+
+/**
+ * Read the precondition of a write
+ * @param {string|null} ifMatch - If-Match header: "*" or a list of checksums (ETags)
+ * @param {Object} body - Request body with optional expectedVersion and expectedChecksum
+ * @returns {{version?: number, checksum?: string, etags?: string[]}|null} null for an
+ *   unconditional write
+ */
+function parseWritePrecondition(ifMatch, { expectedVersion, expectedChecksum }) {
+  const precondition = {};
+
+  if (expectedVersion !== undefined && expectedVersion !== null) {
+    precondition.version = parseCursor(expectedVersion);
+  }
+  if (typeof expectedChecksum === 'string') {
+    precondition.checksum = expectedChecksum;
+  }
+  if (ifMatch) {
+    precondition.etags = ifMatch
+      .split(',')
+      .map((tag) =>
+        tag
+          .trim()
+          .replace(/^W\//, '')
+          .replace(/^"(.*)"$/, '$1')
+      )
+      .filter(Boolean);
+  }
+
+  return Object.keys(precondition).length > 0 ? precondition : null;
+}
+
+/**
+ * Check a write precondition against the stored cloud_bookmarks row
+ * @param {Object} precondition - From parseWritePrecondition
+ * @param {Object|null} cloudRow - The user's cloud_bookmarks row, null if there is none
+ * @returns {boolean}
+ */
+function meetsWritePrecondition(precondition, cloudRow) {
+  const version = cloudRow?.version || 0;
+  const checksum = cloudRow?.checksum || null;
+
+  if (precondition.version !== undefined && precondition.version !== version) return false;
+  if (precondition.checksum !== undefined && precondition.checksum !== checksum) return false;
+  if (precondition.etags) {
+    return precondition.etags.some((tag) => (tag === '*' ? !!cloudRow : tag === checksum));
+  }
+  return true;
+}
+
+/**
+ * Build the 409 response for a write whose precondition failed
+ * @param {Object} current - Stored state: bookmarks, tombstones, version, checksum, cursor
+ * @param {Object} headers - CORS headers
+ */
+function versionConflictResponse(current, headers) {
+  return NextResponse.json(
+    {
+      error: 'Bookmarks were changed by another sync. Merge with the current state and retry.',
+      conflict: true,
+      current,
+    },
+    { status: 409, headers: withETag(headers, current.checksum) }
+  );
+}
+
+/**
+ * Read the current stored state for a 409 response after a write lost a race
+ * @returns {Promise<Object|null>} null if it can't be read
+ */
+async function fetchCurrentState(supabase, userId, collectionId) {
+  const { data: cloudRow, error } = await supabase
+    .from('cloud_bookmarks')
+    .select('*')
+    .eq('collection_id', collectionId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') return null;
+
+  const { items, error: itemsError } = await loadBookmarkItems(supabase, userId, cloudRow, {
+    collectionId,
+  });
+  if (itemsError) return null;
+
+  return {
+    bookmarks: items ?? extractBookmarksFromNested(cloudRow?.bookmark_data),
+    tombstones: cloudRow?.tombstones || [],
+    version: cloudRow?.version || 0,
+    checksum: cloudRow?.checksum || null,
+    cursor: cloudRow?.change_seq ?? 0,
+    encryptionKeyId: cloudRow?.encryption_key_id ?? null,
+  };
+}
+
+/**
+ * Check that a write is encrypted with the key the user's keyring holds
+ * While the stored data is still encrypted with another key (or not at all), only a full
+ * replace can move it to the keyring's key; deltas and merges would mix keys.
+ * @param {Object} options
+ * @param {string|null} options.incomingKeyId - Key the request's items are encrypted with
+ * @param {string|null} options.storedKeyId - Key the stored items are encrypted with
+ * @param {boolean} options.fullReplace - Whether the request replaces all stored items
+ * @returns {Promise<{ok: boolean, keyId?: string|null, error?: Object}>}
+ */
+async function checkEncryptionKey(supabase, userId, { incomingKeyId, storedKeyId, fullReplace }) {
+  if (incomingKeyId === null && storedKeyId === null) return { ok: true, keyId: null };
+
+  const { data: keyring, error } = await supabase
+    .from('encryption_keyrings')
+    .select('key_id')
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') return { ok: false, error };
+
+  const keyId = keyring?.key_id ?? null;
+  const ok = incomingKeyId === keyId && (storedKeyId === keyId || fullReplace);
+  return { ok, keyId };
+}
+
+/**
+ * Fetch the operations logged after a cursor
+ * Returns null when the client needs a full fetch instead: the cursor is ahead of the
+ * server, the gap is larger than MAX_DELTA_OPERATIONS, or entries in between were
+ * pruned or never logged.
+ */
+async function fetchChangesSince(supabase, collectionId, since, changeSeq) {
+  const expected = changeSeq - since;
+  if (expected < 0 || expected > MAX_DELTA_OPERATIONS) return null;
+  if (expected === 0) return [];
+
+  const { data: rows, error } = await supabase
+    .from('bookmark_changes')
+    .select('seq, op, item_key, item')
+    .eq('collection_id', collectionId)
+    .gt('seq', since)
+    .lte('seq', changeSeq)
+    .order('seq', { ascending: true });
+
+  if (error) {
+    console.error('[Bookmarks API GET] Change log fetch error:', error);
+    return null;
+  }
+
+  if (!rows || rows.length !== expected) return null;
+
+  return rows.map((row) =>
+    row.item ? { op: row.op, key: row.item_key, item: row.item } : { op: row.op, key: row.item_key }
+  );
+}
+
+/**
+ * Append a write's operations to the change log and prune old entries
+ * Failures are logged but don't fail the sync: clients detect the missing entries
+ * and fall back to a full fetch.
+ */
+async function recordBookmarkChanges(
+  supabase,
+  { userId, collectionId },
+  previousSeq,
+  operations,
+  source
+) {
+  if (operations.length === 0) return;
+
+  if (operations.length > MAX_DELTA_OPERATIONS) {
+    console.log(
+      `[Bookmarks API] ${operations.length} operations not logged (limit ${MAX_DELTA_OPERATIONS}); clients will do a full fetch`
+    );
+    return;
+  }
+
+  try {
+    const { error: insertError } = await supabase.from('bookmark_changes').insert(
+      operations.map((operation, i) => ({
+        user_id: userId,
+        collection_id: collectionId,
+        seq: previousSeq + i + 1,
+        op: operation.op,
+        item_key: operation.key,
+        item: operation.item ?? null,
+        source,
+      }))
+    );
+
+    if (insertError) {
+      console.error('[Bookmarks API] Change log insert error:', insertError);
+      return;
+    }
+
+    const oldestKept = previousSeq + operations.length - MAX_CHANGE_LOG_ENTRIES;
+    if (oldestKept > 0) {
+      const { error: pruneError } = await supabase
+        .from('bookmark_changes')
+        .delete()
+        .eq('collection_id', collectionId)
+        .lt('seq', oldestKept);
+
+      if (pruneError) {
+        console.error('[Bookmarks API] Change log prune error:', pruneError);
+      }
+    }
+  } catch (error) {
+    console.error('[Bookmarks API] Change log error:', error);
+  }
+}
+
 /**
  * Merge tombstones (deleted bookmark records) and clean up old ones
  * Uses URL as unique identifier
@@ -564,228 +893,6 @@ function mergeBookmarks(existingBookmarks, incomingBookmarks) {
   };
 }
 
-/**
- * Sync bookmarks to all connected external sources (GitHub, Dropbox, etc.)
- * This runs asynchronously after saving to Supabase
- * @param {object} supabase - Supabase client
- * @param {string} userId - User ID
- * @param {Array} bookmarks - Bookmarks to sync
- * @param {Array} tombstones - Tombstones for deleted bookmarks
- * @param {string} checksum - Checksum of the bookmark data
- */
-async function syncToExternalSources(supabase, userId, bookmarks, tombstones, checksum) {
-  try {
-    // Get all connected sync sources for this user
-    // A source is considered connected if it has an access_token and connected_at timestamp
-    const { data: sources, error: sourcesError } = await supabase
-      .from('sync_sources')
-      .select('*')
-      .eq('user_id', userId)
-      .not('access_token', 'is', null);
-
-    if (sourcesError) {
-      console.error('[External Sync] Failed to fetch sync sources:', sourcesError);
-      return;
-    }
-
-    if (!sources || sources.length === 0) {
-      console.log('[External Sync] No connected external sources found');
-      return;
-    }
-
-    console.log(`[External Sync] Found ${sources.length} connected sources`);
-
-    // Sync to each connected source
-    for (const source of sources) {
-      try {
-        // Use 'provider' column (not 'source_type')
-        if (source.provider === 'github') {
-          await syncToGitHub(source, bookmarks, tombstones, checksum);
-        } else if (source.provider === 'dropbox') {
-          await syncToDropbox(supabase, source, bookmarks, tombstones, checksum);
-        } else if (source.provider === 'google-drive') {
-          // TODO: Implement Google Drive sync
-          console.log('[External Sync] Google Drive sync not yet implemented');
-        }
-      } catch (sourceError) {
-        console.error(`[External Sync] Failed to sync to ${source.provider}:`, sourceError);
-        // Continue with other sources even if one fails
-      }
-    }
-  } catch (error) {
-    console.error('[External Sync] Error syncing to external sources:', error);
-  }
-}
-
-/**
- * Sync bookmarks to a GitHub repository
- * @param {object} source - Sync source configuration from database
- * @param {Array} bookmarks - Bookmarks to sync
- * @param {Array} tombstones - Tombstones for deleted bookmarks
- * @param {string} checksum - Checksum of the bookmark data
- */
-async function syncToGitHub(source, bookmarks, tombstones, checksum) {
-  const { access_token, repository, branch, file_path } = source;
-
-  if (!access_token) {
-    console.error('[GitHub Sync] No access token found for GitHub source');
-    return;
-  }
-
-  if (!repository) {
-    console.error('[GitHub Sync] No repository configured for GitHub source');
-    return;
-  }
-
-  console.log(`[GitHub Sync] Syncing ${bookmarks.length} bookmarks to ${repository}`);
-
-  try {
-    const result = await syncBookmarksToGitHub(
-      access_token,
-      repository,
-      branch || 'main',
-      file_path || 'bookmarks.json',
-      bookmarks,
-      tombstones,
-      checksum
-    );
-
-    console.log(`[GitHub Sync] Successfully synced to ${repository}:`, {
-      created: result.created,
-      bookmarkCount: result.bookmarkCount,
-      sha: result.sha,
-    });
-  } catch (error) {
-    console.error(`[GitHub Sync] Failed to sync to ${repository}:`, error);
-    throw error;
-  }
-}
-
-/**
- * Try to refresh the Dropbox access token using the stored refresh token
- * @param {object} supabase - Supabase client
- * @param {object} source - Sync source record from database
- * @returns {string|null} New access token, or null if refresh failed
- */
-async function tryRefreshDropboxToken(supabase, source) {
-  const clientId = process.env.DROPBOX_CLIENT_ID;
-  const clientSecret = process.env.DROPBOX_CLIENT_SECRET;
-
-  if (!clientId || !clientSecret) {
-    console.error(
-      '[Dropbox Sync] Cannot refresh token: DROPBOX_CLIENT_ID or DROPBOX_CLIENT_SECRET not configured'
-    );
-    return null;
-  }
-
-  if (!source.refresh_token) {
-    console.error('[Dropbox Sync] Cannot refresh token: no refresh_token stored');
-    return null;
-  }
-
-  console.log('[Dropbox Sync] Refreshing expired access token...');
-
-  const tokenData = await refreshAccessToken(source.refresh_token, clientId, clientSecret);
-
-  // Update the token in the database
-  const { error: updateError } = await supabase
-    .from('sync_sources')
-    .update({
-      access_token: tokenData.access_token,
-      expires_at: tokenData.expires_in
-        ? new Date(Date.now() + tokenData.expires_in * 1000).toISOString()
-        : null,
-      updated_at: new Date().toISOString(),
-    })
-    .eq('id', source.id);
-
-  if (updateError) {
-    console.error('[Dropbox Sync] Failed to update refreshed token in database:', updateError);
-  } else {
-    console.log('[Dropbox Sync] Successfully refreshed and stored new access token');
-  }
-
-  return tokenData.access_token;
-}
-
-/**
- * Sync bookmarks to Dropbox
- * @param {object} supabase - Supabase client for token refresh
- * @param {object} source - Sync source configuration from database
- * @param {Array} bookmarks - Bookmarks to sync
- * @param {Array} tombstones - Tombstones for deleted bookmarks
- * @param {string} checksum - Checksum of the bookmark data
- */
-async function syncToDropbox(supabase, source, bookmarks, tombstones, checksum) {
-  let { access_token, file_path } = source;
-
-  if (!access_token) {
-    console.error('[Dropbox Sync] No access token found for Dropbox source');
-    return;
-  }
-
-  // Check if token is expired and refresh proactively
-  if (source.expires_at && new Date(source.expires_at) <= new Date()) {
-    console.log('[Dropbox Sync] Token expired, refreshing before sync...');
-    const newToken = await tryRefreshDropboxToken(supabase, source);
-    if (newToken) {
-      access_token = newToken;
-    } else {
-      console.error('[Dropbox Sync] Token refresh failed, attempting sync with expired token');
-    }
-  }
-
-  const dropboxPath = file_path || '/Apps/MarkSyncr/bookmarks.json';
-  console.log(`[Dropbox Sync] Syncing ${bookmarks.length} bookmarks to ${dropboxPath}`);
-
-  try {
-    const result = await syncBookmarksToDropbox(
-      access_token,
-      dropboxPath,
-      bookmarks,
-      tombstones,
-      checksum
-    );
-
-    console.log(`[Dropbox Sync] Successfully synced to ${dropboxPath}:`, {
-      created: result.created,
-      skipped: result.skipped,
-      bookmarkCount: result.bookmarkCount,
-      rev: result.rev,
-    });
-  } catch (error) {
-    // If the error indicates an expired token, try refreshing and retrying once
-    const isExpiredToken =
-      error.message?.includes('expired_access_token') ||
-      error.message?.includes('invalid_access_token');
-
-    if (isExpiredToken) {
-      console.log('[Dropbox Sync] Token expired during sync, attempting refresh and retry...');
-      const newToken = await tryRefreshDropboxToken(supabase, source);
-      if (newToken) {
-        const retryResult = await syncBookmarksToDropbox(
-          newToken,
-          dropboxPath,
-          bookmarks,
-          tombstones,
-          checksum
-        );
-
-        console.log(`[Dropbox Sync] Retry succeeded after token refresh:`, {
-          created: retryResult.created,
-          skipped: retryResult.skipped,
-          bookmarkCount: retryResult.bookmarkCount,
-          rev: retryResult.rev,
-        });
-        return;
-      }
-    }
-
-    console.error(`[Dropbox Sync] Failed to sync to ${dropboxPath}:`, error);
-    throw error;
-  }
-}
-
 export async function POST(request) {
   const headers = corsHeaders(request, ['GET', 'POST', 'DELETE', 'OPTIONS']);
 
@@ -796,32 +903,72 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
     }
 
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status, headers });
+    }
+    const { collectionId } = collection;
+
     const {
       bookmarks,
+      operations,
+      cursor,
       tombstones: incomingTombstones = [],
       source = 'browser',
-      replace = false,
+      replace: replaceRequested = false,
+      expectedVersion,
+      expectedChecksum,
+      encryptionKeyId = null,
     } = await request.json();
 
-    if (!Array.isArray(bookmarks)) {
+    // Delta mode: the client sends operations against the state at its cursor instead of
+    // the full array. They're replayed on the stored state and saved with replace semantics.
+    const isDelta = Array.isArray(operations);
+    const replace = replaceRequested || isDelta;
+
+    if (!isDelta && !Array.isArray(bookmarks)) {
       return NextResponse.json({ error: 'Bookmarks array is required' }, { status: 400, headers });
     }
 
     // Validate incoming bookmark count to prevent abuse
-    if (bookmarks.length > MAX_BOOKMARKS_PER_REQUEST) {
+    const incomingCount = isDelta ? operations.length : bookmarks.length;
+    if (incomingCount > MAX_BOOKMARKS_PER_REQUEST) {
       console.error(
-        `[Bookmarks API] Request rejected: ${bookmarks.length} bookmarks exceeds limit of ${MAX_BOOKMARKS_PER_REQUEST}`
+        `[Bookmarks API] Request rejected: ${incomingCount} bookmarks exceeds limit of ${MAX_BOOKMARKS_PER_REQUEST}`
       );
       return NextResponse.json(
         {
           error: `Too many bookmarks in request. Maximum allowed: ${MAX_BOOKMARKS_PER_REQUEST}`,
-          received: bookmarks.length,
+          received: incomingCount,
           limit: MAX_BOOKMARKS_PER_REQUEST,
         },
         { status: 400, headers }
       );
     }
 
+    if (isDelta && !operations.every(isValidDeltaOperation)) {
+      return NextResponse.json(
+        { error: 'Each operation needs a valid op, a key and an item (except delete)' },
+        { status: 400, headers }
+      );
+    }
+
+    if (
+      expectedVersion !== undefined &&
+      expectedVersion !== null &&
+      parseCursor(expectedVersion) === null
+    ) {
+      return NextResponse.json(
+        { error: 'expectedVersion must be a non-negative integer' },
+        { status: 400, headers }
+      );
+    }
+
+    const precondition = parseWritePrecondition(request.headers.get('if-match'), {
+      expectedVersion,
+      expectedChecksum,
+    });
+
     // Ensure user exists in public.users table (required for foreign key)
     const userCreated = await ensureUserExists(supabase, user);
     if (!userCreated) {
@@ -838,7 +985,7 @@ export async function POST(request) {
     // making the bookmark appear "brand new." This caused the tombstone filter
     // (bookmarkDate > tombstoneDate) to incorrectly keep bookmarks that should
     // have been deleted — the bookmark looked newer than its tombstone.
-    const normalizedBookmarks = bookmarks.map((bookmark) => ({
+    const normalizeBookmark = (bookmark) => ({
       id: bookmark.id,
       type: bookmark.type || 'bookmark', // Preserve type (bookmark or folder)
       url: bookmark.url,
@@ -850,13 +997,15 @@ export async function POST(request) {
           : bookmark.dateAdded) || 0,
       index: bookmark.index ?? 0, // Preserve index for ordering
       source,
-    }));
+      // Encrypted items carry their real URL, title and folder path here
+      ...(typeof bookmark.payload === 'string' && { payload: bookmark.payload }),
+    });
 
     // Get existing bookmarks from cloud
     const { data: existingData, error: fetchError } = await supabase
       .from('cloud_bookmarks')
       .select('*')
-      .eq('user_id', user.id)
+      .eq('collection_id', collectionId)
       .single();
 
     // PGRST116 = no rows found, which is fine for new users
@@ -877,13 +1026,89 @@ export async function POST(request) {
     const existingBookmarks = existingData?.bookmark_data || [];
     const existingTombstones = existingData?.tombstones || [];
     const existingVersion = existingData?.version || 0;
+    const existingChangeSeq = existingData?.change_seq ?? 0;
+
+    const { items: storedItems, error: itemsError } = await loadBookmarkItems(
+      supabase,
+      user.id,
+      existingData,
+      { collectionId }
+    );
+
+    if (itemsError) {
+      console.error('Bookmark items fetch error:', itemsError);
+      return NextResponse.json(
+        { error: 'Failed to fetch existing bookmarks' },
+        { status: 500, headers }
+      );
+    }
+
+    const rowsInSync = storedItems !== null;
+    const existingItems = storedItems ?? extractBookmarksFromNested(existingBookmarks);
+
+    const storedState = {
+      bookmarks: existingItems,
+      tombstones: existingTombstones,
+      version: existingVersion,
+      checksum: existingData?.checksum || null,
+      cursor: existingChangeSeq,
+      encryptionKeyId: existingData?.encryption_key_id ?? null,
+    };
+
+    if (precondition && !meetsWritePrecondition(precondition, existingData)) {
+      console.log(
+        `[Bookmarks API] Precondition failed: expected ${JSON.stringify(precondition)}, stored version ${existingVersion}`
+      );
+      return versionConflictResponse(storedState, headers);
+    }
+
+    // Operations diffed against an older state could undo the changes made since,
+    // so the client merges with the current state and sends them again
+    if (isDelta && cursor !== existingChangeSeq) {
+      console.log(
+        `[Bookmarks API] Delta cursor ${cursor} does not match server ${existingChangeSeq}`
+      );
+      return versionConflictResponse(storedState, headers);
+    }
+
+    const keyCheck = await checkEncryptionKey(supabase, user.id, {
+      incomingKeyId: encryptionKeyId,
+      storedKeyId: existingData?.encryption_key_id ?? null,
+      fullReplace: replace && !isDelta,
+    });
+
+    if (keyCheck.error) {
+      console.error('Encryption keyring fetch error:', keyCheck.error);
+      return NextResponse.json(
+        { error: 'Failed to fetch encryption keyring' },
+        { status: 500, headers }
+      );
+    }
+
+    if (!keyCheck.ok) {
+      console.log(
+        `[Bookmarks API] Encryption key mismatch: request ${encryptionKeyId}, keyring ${keyCheck.keyId}, stored ${existingData?.encryption_key_id ?? null}`
+      );
+      return NextResponse.json(
+        {
+          error: 'Bookmarks are encrypted with a different key. Unlock encryption and sync again.',
+          code: 'ENCRYPTION_KEY_MISMATCH',
+          encryptionKeyId: keyCheck.keyId,
+        },
+        { status: 409, headers }
+      );
+    }
+
+    const normalizedBookmarks = (
+      isDelta ? applyFlatOperations(existingItems, operations) : bookmarks
+    ).map(normalizeBookmark);
 
     // Debug logging
     console.log(`[Bookmarks API] Source: ${source}`);
     console.log(`[Bookmarks API] Incoming bookmarks: ${normalizedBookmarks.length}`);
     console.log(`[Bookmarks API] Incoming tombstones: ${incomingTombstones.length}`);
     console.log(
-      `[Bookmarks API] Existing cloud bookmarks: ${Array.isArray(existingBookmarks) ? existingBookmarks.length : 'NOT AN ARRAY: ' + typeof existingBookmarks}`
+      `[Bookmarks API] Existing cloud bookmarks: ${existingItems.length} (${rowsInSync ? 'rows' : 'blob'})`
     );
     console.log(`[Bookmarks API] Existing tombstones: ${existingTombstones.length}`);
     console.log(`[Bookmarks API] Existing version: ${existingVersion}`);
@@ -916,7 +1141,7 @@ export async function POST(request) {
 
     if (replace) {
       console.log(
-        `[Bookmarks API] Replace mode: using incoming bookmarks directly (skipping merge and tombstone filter)`
+        `[Bookmarks API] ${isDelta ? `Delta mode (${operations.length} operations)` : 'Replace mode'}: using incoming bookmarks directly (skipping merge and tombstone filter)`
       );
       // In replace mode, the extension has already performed a full two-way merge
       // INCLUDING tombstone filtering on the client side. The incoming bookmarks
@@ -932,7 +1157,7 @@ export async function POST(request) {
       added = finalBookmarks.length;
     } else {
       // Legacy merge behavior
-      const mergeResult = mergeBookmarks(existingBookmarks, normalizedBookmarks);
+      const mergeResult = mergeBookmarks(existingItems, normalizedBookmarks);
       const merged = mergeResult.merged;
       added = mergeResult.added;
       updated = mergeResult.updated;
@@ -952,9 +1177,7 @@ export async function POST(request) {
 
     if (replace) {
       const existingUrls = new Set(
-        extractBookmarksFromNested(existingBookmarks)
-          .filter((bookmark) => bookmark?.url)
-          .map((bookmark) => bookmark.url)
+        existingItems.filter((bookmark) => bookmark?.url).map((bookmark) => bookmark.url)
       );
       const finalUrls = new Set(
         finalBookmarks.filter((bookmark) => bookmark?.url).map((bookmark) => bookmark.url)
@@ -976,10 +1199,7 @@ export async function POST(request) {
       deleted += beforeTombstoneFilter - finalBookmarks.length;
     }
 
-    const finalTombstones = pruneTombstonesSupersededByBookmarks(
-      mergedTombstones,
-      finalBookmarks
-    );
+    const finalTombstones = pruneTombstonesSupersededByBookmarks(mergedTombstones, finalBookmarks);
     console.log(
       `[Bookmarks API] After ${replace ? 'replace' : 'merge'}: ${finalBookmarks.length + deleted} total, ${added} added, ${updated} updated, ${deleted} removed by tombstones`
     );
@@ -993,7 +1213,7 @@ export async function POST(request) {
       return NextResponse.json(
         {
           error: `Total bookmark count would exceed limit. Maximum allowed: ${MAX_BOOKMARKS_PER_USER}`,
-          current: Array.isArray(existingBookmarks) ? existingBookmarks.length : 0,
+          current: existingItems.length,
           incoming: normalizedBookmarks.length,
           wouldBe: finalBookmarks.length,
           limit: MAX_BOOKMARKS_PER_USER,
@@ -1003,7 +1223,7 @@ export async function POST(request) {
     }
 
     // Generate checksum for the final bookmark data
-    const checksum = generateChecksum(finalBookmarks);
+    let checksum = generateChecksum(finalBookmarks);
     const existingChecksum = existingData?.checksum || null;
 
     // Check if there are any actual changes by comparing checksums
@@ -1017,7 +1237,9 @@ export async function POST(request) {
     const tombstonesChanged = existingTombstonesJson !== mergedTombstonesJson;
 
     const checksumMatches = existingChecksum && checksum === existingChecksum;
-    const noChanges = checksumMatches && !tombstonesChanged;
+    // An empty list has the same checksum under every key, so a key change always writes
+    const keyChanged = encryptionKeyId !== (existingData?.encryption_key_id ?? null);
+    const noChanges = checksumMatches && !tombstonesChanged && !keyChanged;
 
     console.log(`[Bookmarks API] Existing checksum: ${existingChecksum}`);
     console.log(`[Bookmarks API] New checksum: ${checksum}`);
@@ -1039,6 +1261,8 @@ export async function POST(request) {
           total: finalBookmarks.length,
           version: existingVersion,
           checksum: existingChecksum,
+          cursor: existingChangeSeq,
+          encryptionKeyId,
           skipped: true,
           message: 'No changes detected - sync skipped',
         },
@@ -1048,20 +1272,54 @@ export async function POST(request) {
 
     const newVersion = existingVersion + 1;
 
-    // Upsert merged bookmarks and tombstones (single row per user with JSONB data)
+    // Write the rows first; they are the source of truth. Reading them back also picks
+    // up bookmarks another device wrote since existingData was fetched. A conditional
+    // write also claims newVersion here, so of two writes that passed the check above,
+    // only the first gets through.
+    const saved = await saveBookmarkItems(supabase, user.id, {
+      currentItems: existingItems,
+      items: finalBookmarks,
+      rowsInSync,
+      changeSeq: existingChangeSeq,
+      expectedVersion: precondition ? existingVersion : null,
+      collectionId,
+    });
+
+    if (saved.conflict) {
+      console.log(`[Bookmarks API] Version ${existingVersion} was taken by a concurrent write`);
+      const current = await fetchCurrentState(supabase, user.id, collectionId);
+      if (current) return versionConflictResponse(current, headers);
+    }
+
+    if (saved.error) {
+      console.error('Bookmark items write error:', saved.error);
+      return NextResponse.json({ error: 'Failed to sync bookmarks' }, { status: 500, headers });
+    }
+
+    if (saved.items.length !== finalBookmarks.length) {
+      console.log(
+        `[Bookmarks API] Stored rows include concurrent changes: ${saved.items.length} items (expected ${finalBookmarks.length})`
+      );
+    }
+    finalBookmarks = saved.items;
+    checksum = generateChecksum(finalBookmarks);
+
+    // Mark the rows current and store the tombstones; the blob is left as it is
     const { data, error: upsertError } = await supabase
       .from('cloud_bookmarks')
       .upsert(
         {
           user_id: user.id,
-          bookmark_data: finalBookmarks,
+          collection_id: collectionId,
           tombstones: finalTombstones,
           checksum,
+          items_checksum: checksum,
           version: newVersion,
+          encryption_key_id: encryptionKeyId,
           last_modified: new Date().toISOString(),
         },
         {
-          onConflict: 'user_id',
+          onConflict: 'collection_id',
         }
       )
       .select()
@@ -1072,10 +1330,21 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Failed to sync bookmarks' }, { status: 500, headers });
     }
 
-    // Sync to external sources (GitHub, Dropbox, etc.) asynchronously
-    // This runs in the background and doesn't block the response
-    syncToExternalSources(supabase, user.id, finalBookmarks, finalTombstones, checksum).catch(
-      (err) => console.error('[External Sync] Background sync failed:', err)
+    await recordBookmarkChanges(
+      supabase,
+      { userId: user.id, collectionId },
+      saved.cursor - saved.operations.length,
+      saved.operations,
+      source
+    );
+
+    // Queue pushes to external sources (GitHub, Dropbox, etc.); they run in the
+    // background and failed ones are retried later, so they never block the response
+    await queueExternalSync(
+      supabase,
+      user.id,
+      { bookmarks: finalBookmarks, tombstones: finalTombstones, checksum },
+      { collectionId }
     );
 
     return NextResponse.json(
@@ -1089,6 +1358,8 @@ export async function POST(request) {
         total: finalBookmarks.length,
         version: data.version,
         checksum: data.checksum,
+        cursor: saved.cursor,
+        encryptionKeyId,
         message: 'Bookmarks synced successfully',
       },
       { headers }
@@ -1109,6 +1380,12 @@ export async function DELETE(request) {
       return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
     }
 
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status, headers });
+    }
+    const { collectionId } = collection;
+
     const { url, id } = await request.json();
 
     if (!url && !id) {
@@ -1119,7 +1396,7 @@ export async function DELETE(request) {
     const { data: existing, error: fetchError } = await supabase
       .from('cloud_bookmarks')
       .select('*')
-      .eq('user_id', user.id)
+      .eq('collection_id', collectionId)
       .single();
 
     if (fetchError) {
@@ -1127,13 +1404,25 @@ export async function DELETE(request) {
       return NextResponse.json({ error: 'Failed to fetch bookmarks' }, { status: 500, headers });
     }
 
-    if (!existing || !existing.bookmark_data) {
+    if (!existing) {
       return NextResponse.json({ error: 'No bookmarks found' }, { status: 404, headers });
     }
 
+    const { items: storedItems, error: itemsError } = await loadBookmarkItems(
+      supabase,
+      user.id,
+      existing,
+      { collectionId }
+    );
+
+    if (itemsError) {
+      console.error('Bookmark items fetch error:', itemsError);
+      return NextResponse.json({ error: 'Failed to fetch bookmarks' }, { status: 500, headers });
+    }
+
     // Filter out the bookmark to delete and leave a durable tombstone so old
     // browser/external copies cannot resurrect it on a later sync.
-    const bookmarks = existing.bookmark_data;
+    const bookmarks = storedItems ?? extractBookmarksFromNested(existing.bookmark_data);
     let deletedBookmark = null;
     const filteredBookmarks = bookmarks.filter((b) => {
       const shouldDelete = id ? b.id === id : url ? b.url === url : false;
@@ -1155,23 +1444,44 @@ export async function DELETE(request) {
       : existingTombstones;
 
     // Update with filtered bookmarks
-    const checksum = generateChecksum(filteredBookmarks);
+    const saved = await saveBookmarkItems(supabase, user.id, {
+      currentItems: bookmarks,
+      items: filteredBookmarks,
+      rowsInSync: storedItems !== null,
+      changeSeq: existing.change_seq ?? 0,
+      collectionId,
+    });
+
+    if (saved.error) {
+      console.error('Bookmark items delete error:', saved.error);
+      return NextResponse.json({ error: 'Failed to delete bookmark' }, { status: 500, headers });
+    }
+
+    const checksum = generateChecksum(saved.items);
     const { error: updateError } = await supabase
       .from('cloud_bookmarks')
       .update({
-        bookmark_data: filteredBookmarks,
         tombstones: updatedTombstones,
         checksum,
+        items_checksum: checksum,
         version: existing.version + 1,
         last_modified: new Date().toISOString(),
       })
-      .eq('user_id', user.id);
+      .eq('collection_id', collectionId);
 
     if (updateError) {
       console.error('Bookmark delete error:', updateError);
       return NextResponse.json({ error: 'Failed to delete bookmark' }, { status: 500, headers });
     }
 
+    await recordBookmarkChanges(
+      supabase,
+      { userId: user.id, collectionId },
+      saved.cursor - saved.operations.length,
+      saved.operations,
+      null
+    );
+
     return NextResponse.json(
       {
         message: 'Bookmark deleted successfully',
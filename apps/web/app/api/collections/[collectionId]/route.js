@@ -0,0 +1,141 @@
+/**
+ * PATCH /api/collections/[collectionId] - Rename a collection
+ * DELETE /api/collections/[collectionId] - Delete a collection with its bookmarks,
+ *   version history, conflicts and sources
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { getDefaultCollectionId, toCollection, validateCollectionName } from '@/lib/collections';
+
+const METHODS = ['PATCH', 'DELETE', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+/**
+ * Body: { name }
+ */
+export async function PATCH(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { collectionId } = await params;
+    const body = await request.json();
+    const validation = validateCollectionName(body?.name);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { error: `Invalid collection: ${validation.errors.join(', ')}` },
+        { status: 400, headers }
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('collections')
+      .update({ name: body.name.trim() })
+      .eq('id', collectionId)
+      .eq('user_id', user.id)
+      .select('id, user_id, name, created_at')
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        return NextResponse.json(
+          { error: 'A collection with this name already exists' },
+          { status: 409, headers }
+        );
+      }
+      console.error('Collection rename error:', error);
+      return NextResponse.json({ error: 'Failed to rename collection' }, { status: 500, headers });
+    }
+    if (!data) {
+      return NextResponse.json({ error: 'Collection not found' }, { status: 404, headers });
+    }
+
+    return NextResponse.json({ collection: toCollection(data) }, { headers });
+  } catch (error) {
+    console.error('Collection PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { collectionId } = await params;
+    const defaultId = getDefaultCollectionId(user.id);
+    if (collectionId === defaultId) {
+      return NextResponse.json(
+        { error: 'The default collection cannot be deleted' },
+        { status: 400, headers }
+      );
+    }
+
+    const { data: collection, error: fetchError } = await supabase
+      .from('collections')
+      .select('id')
+      .eq('id', collectionId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Collection fetch error:', fetchError);
+      return NextResponse.json({ error: 'Failed to delete collection' }, { status: 500, headers });
+    }
+    if (!collection) {
+      return NextResponse.json({ error: 'Collection not found' }, { status: 404, headers });
+    }
+
+    // Devices syncing the collection fall back to the default one rather than
+    // losing their registration with it
+    const { error: devicesError } = await supabase
+      .from('devices')
+      .update({ collection_id: defaultId })
+      .eq('user_id', user.id)
+      .eq('collection_id', collectionId);
+
+    if (devicesError) {
+      console.error('Collection device move error:', devicesError);
+      return NextResponse.json({ error: 'Failed to delete collection' }, { status: 500, headers });
+    }
+
+    // Bookmarks, versions, changes, conflicts, sources and jobs cascade
+    const { error } = await supabase
+      .from('collections')
+      .delete()
+      .eq('id', collectionId)
+      .eq('user_id', user.id);
+
+    if (error) {
+      console.error('Collection delete error:', error);
+      return NextResponse.json({ error: 'Failed to delete collection' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (error) {
+    console.error('Collection DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * GET /api/collections - List the user's bookmark collections
+ * POST /api/collections - Create a collection
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { MAX_COLLECTIONS, toCollection, validateCollectionName } from '@/lib/collections';
+
+const METHODS = ['GET', 'POST', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { data, error } = await supabase
+      .from('collections')
+      .select('id, user_id, name, created_at')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Collections fetch error:', error);
+      return NextResponse.json({ error: 'Failed to fetch collections' }, { status: 500, headers });
+    }
+
+    // The default collection first, the others in the order they were created
+    const collections = (data || [])
+      .map(toCollection)
+      .sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+
+    return NextResponse.json({ collections }, { headers });
+  } catch (error) {
+    console.error('Collections GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+/**
+ * Body: { name }
+ */
+export async function POST(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const body = await request.json();
+    const validation = validateCollectionName(body?.name);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { error: `Invalid collection: ${validation.errors.join(', ')}` },
+        { status: 400, headers }
+      );
+    }
+
+    const { count, error: countError } = await supabase
+      .from('collections')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id);
+
+    if (countError) {
+      console.error('Collections count error:', countError);
+      return NextResponse.json({ error: 'Failed to create collection' }, { status: 500, headers });
+    }
+    if ((count ?? 0) >= MAX_COLLECTIONS) {
+      return NextResponse.json(
+        { error: `You can have at most ${MAX_COLLECTIONS} collections` },
+        { status: 400, headers }
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('collections')
+      .insert({ user_id: user.id, name: body.name.trim() })
+      .select('id, user_id, name, created_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return NextResponse.json(
+          { error: 'A collection with this name already exists' },
+          { status: 409, headers }
+        );
+      }
+      console.error('Collection create error:', error);
+      return NextResponse.json({ error: 'Failed to create collection' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ collection: toCollection(data) }, { status: 201, headers });
+  } catch (error) {
+    console.error('Collections POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
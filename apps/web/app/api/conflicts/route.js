@@ -0,0 +1,268 @@
+/**
+ * GET /api/conflicts - List the pending sync conflicts of a collection
+ * POST /api/conflicts - Record conflicts detected during a sync of a collection
+ * PATCH /api/conflicts - Resolve a conflict with the local, remote or an edited value
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ *
+ * A conflict is a single bookmark field (title, folder, ...) that two devices changed
+ * to different values since their last common sync. Sync carries on with a provisional
+ * winner; the record keeps the ancestor, local and remote values so the user can pick
+ * the final value later. Reporting a new conflict for a field that already has a
+ * pending one supersedes the older record.
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { resolveRequestCollection } from '@/lib/collections';
+import { resolveConflictRecord } from '@marksyncr/core/conflict';
+import { MERGE_FIELD } from '@marksyncr/types';
+
+const METHODS = ['GET', 'POST', 'PATCH', 'OPTIONS'];
+
+/**
+ * Maximum number of conflicts accepted in a single request
+ */
+const MAX_CONFLICTS_PER_REQUEST = 500;
+
+const CONFLICT_FIELDS = Object.values(MERGE_FIELD);
+
+/**
+ * Map a sync_conflicts row to the API representation
+ * @param {Object} row - Database row
+ * @returns {import('@marksyncr/types').ConflictRecord}
+ */
+function toConflictRecord(row) {
+  return {
+    id: row.id,
+    bookmarkId: row.bookmark_id,
+    title: row.title,
+    field: row.field,
+    path: row.path,
+    baseValue: row.base_value,
+    localValue: row.local_value,
+    remoteValue: row.remote_value,
+    status: row.status,
+    resolution: row.resolution,
+    resolvedValue: row.resolved_value,
+    deviceId: row.device_id,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at,
+  };
+}
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status, headers });
+    }
+
+    const { data: rows, error } = await supabase
+      .from('sync_conflicts')
+      .select('*')
+      .eq('collection_id', collection.collectionId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('[Conflicts API GET] Fetch error:', error);
+      return NextResponse.json({ error: 'Failed to fetch conflicts' }, { status: 500, headers });
+    }
+
+    const conflicts = (rows || []).map(toConflictRecord);
+    return NextResponse.json({ conflicts, count: conflicts.length }, { headers });
+  } catch (error) {
+    console.error('Conflicts GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+export async function POST(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status, headers });
+    }
+
+    const body = await request.json();
+    const { conflicts, deviceId } = body || {};
+
+    if (!Array.isArray(conflicts)) {
+      return NextResponse.json({ error: 'conflicts array is required' }, { status: 400, headers });
+    }
+
+    if (conflicts.length > MAX_CONFLICTS_PER_REQUEST) {
+      return NextResponse.json(
+        { error: `Too many conflicts in one request (max ${MAX_CONFLICTS_PER_REQUEST})` },
+        { status: 400, headers }
+      );
+    }
+
+    const invalid = conflicts.find(
+      (c) => !c || typeof c.bookmarkId !== 'string' || !CONFLICT_FIELDS.includes(c.field)
+    );
+    if (invalid) {
+      return NextResponse.json(
+        { error: 'Each conflict needs a bookmarkId and a valid field' },
+        { status: 400, headers }
+      );
+    }
+
+    if (conflicts.length === 0) {
+      return NextResponse.json({ conflicts: [], count: 0 }, { headers });
+    }
+
+    // Supersede pending conflicts on the same bookmark fields
+    const bookmarkIdsByField = new Map();
+    for (const conflict of conflicts) {
+      const ids = bookmarkIdsByField.get(conflict.field) || [];
+      ids.push(conflict.bookmarkId);
+      bookmarkIdsByField.set(conflict.field, ids);
+    }
+
+    for (const [field, bookmarkIds] of bookmarkIdsByField) {
+      const { error: supersedeError } = await supabase
+        .from('sync_conflicts')
+        .update({ status: 'superseded' })
+        .eq('collection_id', collection.collectionId)
+        .eq('status', 'pending')
+        .eq('field', field)
+        .in('bookmark_id', bookmarkIds);
+
+      if (supersedeError) {
+        console.error('[Conflicts API POST] Supersede error:', supersedeError);
+        return NextResponse.json({ error: 'Failed to save conflicts' }, { status: 500, headers });
+      }
+    }
+
+    const { data: rows, error: insertError } = await supabase
+      .from('sync_conflicts')
+      .insert(
+        conflicts.map((conflict) => ({
+          user_id: user.id,
+          collection_id: collection.collectionId,
+          bookmark_id: conflict.bookmarkId,
+          title: conflict.title ?? null,
+          field: conflict.field,
+          path: conflict.path ?? '',
+          base_value: conflict.baseValue ?? null,
+          local_value: conflict.localValue ?? null,
+          remote_value: conflict.remoteValue ?? null,
+          device_id: deviceId ?? conflict.deviceId ?? null,
+        }))
+      )
+      .select('*');
+
+    if (insertError) {
+      console.error('[Conflicts API POST] Insert error:', insertError);
+      return NextResponse.json({ error: 'Failed to save conflicts' }, { status: 500, headers });
+    }
+
+    console.log(`[Conflicts API POST] User ${user.id}: recorded ${rows?.length || 0} conflicts`);
+
+    const saved = (rows || []).map(toConflictRecord);
+    return NextResponse.json({ conflicts: saved, count: saved.length }, { headers });
+  } catch (error) {
+    console.error('Conflicts POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+export async function PATCH(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const body = await request.json();
+    const { id, resolution, value } = body || {};
+
+    if (!id) {
+      return NextResponse.json({ error: 'Conflict id is required' }, { status: 400, headers });
+    }
+
+    const { data: row, error: fetchError } = await supabase
+      .from('sync_conflicts')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') {
+      console.error('[Conflicts API PATCH] Fetch error:', fetchError);
+      return NextResponse.json({ error: 'Failed to fetch conflict' }, { status: 500, headers });
+    }
+
+    if (!row) {
+      return NextResponse.json({ error: 'Conflict not found' }, { status: 404, headers });
+    }
+
+    if (row.status !== 'pending') {
+      return NextResponse.json(
+        { error: `Conflict is already ${row.status}`, conflict: toConflictRecord(row) },
+        { status: 409, headers }
+      );
+    }
+
+    let resolved;
+    try {
+      resolved = resolveConflictRecord(toConflictRecord(row), resolution, value);
+    } catch (validationError) {
+      return NextResponse.json({ error: validationError.message }, { status: 400, headers });
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('sync_conflicts')
+      .update({
+        status: resolved.status,
+        resolution: resolved.resolution,
+        resolved_value: resolved.resolvedValue,
+        resolved_at: resolved.resolvedAt,
+      })
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .select('*')
+      .single();
+
+    if (updateError) {
+      console.error('[Conflicts API PATCH] Update error:', updateError);
+      return NextResponse.json({ error: 'Failed to resolve conflict' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ conflict: toConflictRecord(updated) }, { headers });
+  } catch (error) {
+    console.error('Conflicts PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -6,8 +6,9 @@
 
 import { NextResponse } from 'next/server';
 import { getUser, createClient } from '../../../../lib/supabase/server';
+import { resolveRequestCollection } from '../../../../lib/collections';
 
-export async function POST() {
+export async function POST(request) {
   try {
     // Verify user is authenticated
     const user = await getUser();
@@ -17,6 +18,11 @@ export async function POST() {
 
     const supabase = await createClient();
 
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
     // Check if user has a Pro or Team subscription
     const { data: subscription, error: subError } = await supabase
       .from('subscriptions')
@@ -44,6 +50,7 @@ export async function POST() {
     const { error: dbError } = await supabase.from('sync_sources').upsert(
       {
         user_id: user.id,
+        collection_id: collection.collectionId,
         provider: 'marksyncr-cloud',
         provider_user_id: user.id,
         provider_username: user.email,
@@ -51,7 +58,7 @@ export async function POST() {
         updated_at: new Date().toISOString(),
       },
       {
-        onConflict: 'user_id,provider',
+        onConflict: 'collection_id,provider',
       }
     );
 
@@ -67,7 +74,7 @@ export async function POST() {
   }
 }
 
-export async function DELETE() {
+export async function DELETE(request) {
   try {
     // Verify user is authenticated
     const user = await getUser();
@@ -77,11 +84,16 @@ export async function DELETE() {
 
     const supabase = await createClient();
 
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
     // Remove MarkSyncr Cloud connection
     const { error: dbError } = await supabase
       .from('sync_sources')
       .delete()
-      .eq('user_id', user.id)
+      .eq('collection_id', collection.collectionId)
       .eq('provider', 'marksyncr-cloud');
 
     if (dbError) {
@@ -7,6 +7,7 @@
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
 import { getUser, createClient } from '../../../../../lib/supabase/server';
+import { getDefaultCollectionId, resolveCollection } from '../../../../../lib/collections';
 import { exchangeCodeForToken, validateToken } from '@marksyncr/sources/oauth/dropbox-oauth';
 
 export async function GET(request) {
@@ -70,12 +71,24 @@ export async function GET(request) {
     // Store connection in database with file path configuration
     const supabase = await createClient();
 
+    const collection = await resolveCollection(
+      supabase,
+      user.id,
+      cookieStore.get('dropbox_oauth_collection')?.value || null
+    );
+    if (collection.error) {
+      return NextResponse.redirect(
+        new URL('/dashboard?error=collection_not_found', process.env.NEXT_PUBLIC_APP_URL)
+      );
+    }
+
     // Default Dropbox file path for bookmarks
     const filePath = '/Apps/MarkSyncr/bookmarks.json';
 
     const { error: dbError } = await supabase.from('sync_sources').upsert(
       {
         user_id: user.id,
+        collection_id: collection.collectionId,
         provider: 'dropbox',
         provider_user_id: validation.user.account_id,
         provider_username: validation.user.email,
@@ -93,7 +106,7 @@ export async function GET(request) {
         updated_at: new Date().toISOString(),
       },
       {
-        onConflict: 'user_id,provider',
+        onConflict: 'collection_id,provider',
       }
     );
 
@@ -104,11 +117,14 @@ export async function GET(request) {
       );
     }
 
-    // Clear state cookie and redirect to dashboard
-    const response = NextResponse.redirect(
-      new URL('/dashboard?connected=dropbox', process.env.NEXT_PUBLIC_APP_URL)
-    );
+    // Clear state cookies and redirect to the dashboard of the collection
+    const dashboardUrl = new URL('/dashboard?connected=dropbox', process.env.NEXT_PUBLIC_APP_URL);
+    if (collection.collectionId !== getDefaultCollectionId(user.id)) {
+      dashboardUrl.searchParams.set('collection', collection.collectionId);
+    }
+    const response = NextResponse.redirect(dashboardUrl);
     response.cookies.delete('dropbox_oauth_state');
+    response.cookies.delete('dropbox_oauth_collection');
 
     return response;
   } catch (error) {
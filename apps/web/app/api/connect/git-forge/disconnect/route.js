@@ -0,0 +1,43 @@
+/**
+ * Git Forge Disconnect Route
+ *
+ * Disconnects a git repository as a sync source for the user.
+ */
+
+import { NextResponse } from 'next/server';
+import { getUser, createClient } from '../../../../../lib/supabase/server';
+import { resolveRequestCollection } from '../../../../../lib/collections';
+
+export async function DELETE(request) {
+  try {
+    // Verify user is authenticated
+    const user = await getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const supabase = await createClient();
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
+    // Remove git forge connection
+    const { error: dbError } = await supabase
+      .from('sync_sources')
+      .delete()
+      .eq('collection_id', collection.collectionId)
+      .eq('provider', 'git-forge');
+
+    if (dbError) {
+      console.error('Database error disconnecting git forge:', dbError);
+      return NextResponse.json({ error: 'Failed to disconnect git repository' }, { status: 500 });
+    }
+
+    return NextResponse.json({ success: true, message: 'Git repository disconnected' });
+  } catch (error) {
+    console.error('Git forge disconnection error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Git Forge History Route
+ *
+ * GET - List the commits of a collection's connected repository that changed the bookmark file
+ */
+
+import { NextResponse } from 'next/server';
+import { getUser, createClient } from '../../../../../lib/supabase/server';
+import { loadGitForgeSource } from '../../../../../lib/git-forge';
+import { resolveRequestCollection } from '../../../../../lib/collections';
+
+const DEFAULT_LIMIT = 30;
+
+export async function GET(request) {
+  try {
+    const user = await getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const supabase = await createClient();
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
+    const { source, error } = await loadGitForgeSource(supabase, collection.collectionId);
+
+    if (error) {
+      console.error('Error fetching git forge source:', error);
+      return NextResponse.json({ error: 'Failed to fetch git repository' }, { status: 500 });
+    }
+    if (!source) {
+      return NextResponse.json({ error: 'No git repository connected' }, { status: 404 });
+    }
+
+    const limit = parseInt(new URL(request.url).searchParams.get('limit'), 10) || DEFAULT_LIMIT;
+    const commits = await source.listHistory({ limit });
+
+    return NextResponse.json({
+      repository: source.repository,
+      branch: source.branch,
+      path: source.path,
+      commits,
+    });
+  } catch (error) {
+    console.error('Git forge history error:', error);
+    if (error.code === 'UNAUTHORIZED') {
+      return NextResponse.json(
+        { error: 'The access token was rejected. Reconnect the repository.' },
+        { status: 400 }
+      );
+    }
+    return NextResponse.json({ error: 'Failed to load commit history' }, { status: 502 });
+  }
+}
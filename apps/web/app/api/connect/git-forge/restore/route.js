@@ -0,0 +1,111 @@
+/**
+ * Git Forge Restore Route
+ *
+ * POST - Restore the bookmarks of a commit
+ *
+ * The file at that commit is committed again on top of the branch, so the forge history
+ * records the restore, and becomes the cloud bookmarks as a new version. Like a version
+ * rollback, this replaces the cloud list; devices pick it up on their next sync.
+ */
+
+import { NextResponse } from 'next/server';
+import { getUser, createClient } from '../../../../../lib/supabase/server';
+import { loadGitForgeSource } from '../../../../../lib/git-forge';
+import { resolveRequestCollection } from '../../../../../lib/collections';
+
+const COMMIT_PATTERN = /^[0-9a-f]{7,64}$/i;
+
+export async function POST(request) {
+  try {
+    const user = await getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { commit } = await request.json();
+    if (!COMMIT_PATTERN.test(commit ?? '')) {
+      return NextResponse.json({ error: 'A commit SHA is required' }, { status: 400 });
+    }
+
+    const supabase = await createClient();
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
+    const { source, error } = await loadGitForgeSource(supabase, collection.collectionId);
+
+    if (error) {
+      console.error('Error fetching git forge source:', error);
+      return NextResponse.json({ error: 'Failed to fetch git repository' }, { status: 500 });
+    }
+    if (!source) {
+      return NextResponse.json({ error: 'No git repository connected' }, { status: 404 });
+    }
+
+    // Only files written by cloud sync carry the checksum the cloud list is stored with
+    const snapshot = await source.readCommit(commit);
+    if (!Array.isArray(snapshot.bookmarks) || typeof snapshot.metadata?.checksum !== 'string') {
+      return NextResponse.json(
+        { error: 'This commit does not contain a MarkSyncr bookmark file' },
+        { status: 422 }
+      );
+    }
+
+    const restored = await source.restore(commit);
+    const shortCommit = commit.slice(0, 7);
+
+    const { data: version, error: versionError } = await supabase.rpc('save_bookmark_version', {
+      p_user_id: user.id,
+      p_collection_id: collection.collectionId,
+      p_bookmark_data: restored.bookmarks,
+      p_checksum: restored.metadata.checksum,
+      p_source_type: 'git-forge',
+      p_source_name: `Restore of commit ${shortCommit}`,
+      p_change_summary: { type: 'restore', commit, headCommit: source.headCommit },
+    });
+
+    if (versionError) {
+      console.error('Failed to save restored bookmarks:', versionError);
+      return NextResponse.json({ error: 'Failed to restore bookmarks' }, { status: 500 });
+    }
+
+    // Tombstones from after the commit would delete the restored bookmarks again
+    const { error: tombstoneError } = await supabase
+      .from('cloud_bookmarks')
+      .update({ tombstones: restored.tombstones ?? [] })
+      .eq('collection_id', collection.collectionId);
+
+    if (tombstoneError) {
+      console.error('Failed to restore tombstones:', tombstoneError);
+      return NextResponse.json({ error: 'Failed to restore bookmarks' }, { status: 500 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      commit: source.headCommit,
+      version: version?.version,
+      bookmarkCount: restored.bookmarks.length,
+      message: `Restored bookmarks from commit ${shortCommit}`,
+    });
+  } catch (error) {
+    console.error('Git forge restore error:', error);
+    if (error.code === 'NOT_FOUND') {
+      return NextResponse.json({ error: 'Commit not found' }, { status: 404 });
+    }
+    if (error.code === 'CONFLICT') {
+      return NextResponse.json(
+        { error: 'The repository changed during the restore. Try again.' },
+        { status: 409 }
+      );
+    }
+    if (error.code === 'UNAUTHORIZED') {
+      return NextResponse.json(
+        { error: 'The access token was rejected. Reconnect the repository.' },
+        { status: 400 }
+      );
+    }
+    return NextResponse.json({ error: 'Failed to restore bookmarks' }, { status: 502 });
+  }
+}
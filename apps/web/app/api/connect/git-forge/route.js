@@ -0,0 +1,121 @@
+/**
+ * Git Forge Connection Route
+ *
+ * Connects a repository on GitHub, GitLab, Gitea or Forgejo as a sync source. Every sync
+ * is committed to it, so the bookmark history can be browsed in the forge and restored.
+ * The personal access token is checked for push access and stored.
+ */
+
+import { NextResponse } from 'next/server';
+import { GIT_FORGE } from '@marksyncr/types';
+import { getUser, createClient } from '../../../../lib/supabase/server';
+import { resolveRequestCollection } from '../../../../lib/collections';
+import { parsePublicServerUrl } from '../../../../lib/public-urls';
+import { createGitForgeSource } from '../../../../lib/git-forge';
+
+const FORGES = Object.values(GIT_FORGE);
+const SELF_HOSTED_ONLY = [GIT_FORGE.GITEA, GIT_FORGE.FORGEJO];
+const DEFAULT_PATH = 'bookmarks.json';
+const DEFAULT_BRANCH = 'main';
+
+// "owner/repo"; GitLab projects can sit in nested groups ("group/subgroup/repo")
+const REPOSITORY_PATTERN = /^[\w.-]+(\/[\w.-]+)+$/;
+
+export async function POST(request) {
+  try {
+    // Verify user is authenticated
+    const user = await getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { forge, baseUrl, repository, branch, path, token } = await request.json();
+
+    if (!FORGES.includes(forge)) {
+      return NextResponse.json(
+        { error: `forge must be one of: ${FORGES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    // github.com and gitlab.com need no server URL; self-hosted forges do
+    let serverUrl = null;
+    if (baseUrl?.trim() || SELF_HOSTED_ONLY.includes(forge)) {
+      serverUrl = parsePublicServerUrl(baseUrl?.trim());
+      if (!serverUrl) {
+        return NextResponse.json(
+          { error: 'A public https:// server URL is required' },
+          { status: 400 }
+        );
+      }
+    }
+
+    const repositoryPath = repository?.trim().replace(/^\/+|\/+$/g, '') ?? '';
+    if (!REPOSITORY_PATTERN.test(repositoryPath)) {
+      return NextResponse.json(
+        { error: 'Repository must look like owner/repository' },
+        { status: 400 }
+      );
+    }
+
+    if (!token) {
+      return NextResponse.json({ error: 'An access token is required' }, { status: 400 });
+    }
+
+    const config = serverUrl ? { forge, baseUrl: serverUrl.href.replace(/\/+$/, '') } : { forge };
+    const source = createGitForgeSource({
+      config,
+      repository: repositoryPath,
+      branch: branch?.trim() || DEFAULT_BRANCH,
+      file_path: path?.trim() || DEFAULT_PATH,
+      access_token: token,
+    });
+
+    if (!(await source.validateCredentials())) {
+      return NextResponse.json(
+        {
+          error:
+            'Could not access the repository. Check the repository name and that the token can push to it.',
+        },
+        { status: 400 }
+      );
+    }
+
+    const supabase = await createClient();
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
+    const { error: dbError } = await supabase.from('sync_sources').upsert(
+      {
+        user_id: user.id,
+        collection_id: collection.collectionId,
+        provider: 'git-forge',
+        provider_user_id: null,
+        provider_username: null,
+        access_token: token,
+        repository: source.repository,
+        branch: source.branch,
+        file_path: source.path,
+        config,
+        connected_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      },
+      {
+        onConflict: 'collection_id,provider',
+      }
+    );
+
+    if (dbError) {
+      console.error('Database error connecting git forge:', dbError);
+      return NextResponse.json({ error: 'Failed to connect git repository' }, { status: 500 });
+    }
+
+    return NextResponse.json({ success: true, message: 'Git repository connected' });
+  } catch (error) {
+    console.error('Git forge connection error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
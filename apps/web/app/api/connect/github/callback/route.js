@@ -8,6 +8,7 @@
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
 import { getUser, createClient } from '../../../../../lib/supabase/server';
+import { getDefaultCollectionId, resolveCollection } from '../../../../../lib/collections';
 import { exchangeCodeForToken, validateToken } from '@marksyncr/sources/oauth/github-oauth';
 import { getOrCreateRepository } from '@marksyncr/sources/oauth/github-repo';
 
@@ -84,9 +85,21 @@ export async function GET(request) {
     // Store connection in database with repository configuration
     const supabase = await createClient();
 
+    const collection = await resolveCollection(
+      supabase,
+      user.id,
+      cookieStore.get('github_oauth_collection')?.value || null
+    );
+    if (collection.error) {
+      return NextResponse.redirect(
+        new URL('/dashboard?error=collection_not_found', process.env.NEXT_PUBLIC_APP_URL)
+      );
+    }
+
     const { error: dbError } = await supabase.from('sync_sources').upsert(
       {
         user_id: user.id,
+        collection_id: collection.collectionId,
         provider: 'github',
         provider_user_id: String(validation.user.id),
         provider_username: validation.user.login,
@@ -104,7 +117,7 @@ export async function GET(request) {
         updated_at: new Date().toISOString(),
       },
       {
-        onConflict: 'user_id,provider',
+        onConflict: 'collection_id,provider',
       }
     );
 
@@ -115,11 +128,14 @@ export async function GET(request) {
       );
     }
 
-    // Clear state cookie and redirect to dashboard
-    const response = NextResponse.redirect(
-      new URL('/dashboard?connected=github', process.env.NEXT_PUBLIC_APP_URL)
-    );
+    // Clear state cookies and redirect to the dashboard of the collection
+    const dashboardUrl = new URL('/dashboard?connected=github', process.env.NEXT_PUBLIC_APP_URL);
+    if (collection.collectionId !== getDefaultCollectionId(user.id)) {
+      dashboardUrl.searchParams.set('collection', collection.collectionId);
+    }
+    const response = NextResponse.redirect(dashboardUrl);
     response.cookies.delete('github_oauth_state');
+    response.cookies.delete('github_oauth_collection');
 
     return response;
   } catch (error) {
@@ -6,8 +6,9 @@
 
 import { NextResponse } from 'next/server';
 import { getUser, createClient } from '../../../../../lib/supabase/server';
+import { resolveRequestCollection } from '../../../../../lib/collections';
 
-export async function DELETE() {
+export async function DELETE(request) {
   try {
     // Verify user is authenticated
     const user = await getUser();
@@ -17,11 +18,16 @@ export async function DELETE() {
 
     const supabase = await createClient();
 
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
     // Remove GitHub connection
     const { error: dbError } = await supabase
       .from('sync_sources')
       .delete()
-      .eq('user_id', user.id)
+      .eq('collection_id', collection.collectionId)
       .eq('provider', 'github');
 
     if (dbError) {
@@ -6,6 +6,7 @@
 
 import { NextResponse } from 'next/server';
 import { getUser } from '../../../../lib/supabase/server';
+import { getRequestedCollectionId } from '../../../../lib/collections';
 import { buildAuthorizationUrl } from '@marksyncr/sources/oauth/github-oauth';
 
 /**
@@ -24,7 +25,7 @@ function generateState(length = 32) {
   return result;
 }
 
-export async function GET() {
+export async function GET(request) {
   try {
     // Verify user is authenticated
     const user = await getUser();
@@ -56,6 +57,15 @@ export async function GET() {
       path: '/',
     });
 
+    // The callback connects the source to the collection the dashboard showed
+    response.cookies.set('github_oauth_collection', getRequestedCollectionId(request) ?? '', {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: 600,
+      path: '/',
+    });
+
     return response;
   } catch (error) {
     console.error('GitHub OAuth initiation error:', error);
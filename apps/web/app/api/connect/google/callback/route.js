@@ -7,6 +7,7 @@
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
 import { getUser, createClient } from '../../../../../lib/supabase/server';
+import { getDefaultCollectionId, resolveCollection } from '../../../../../lib/collections';
 import { exchangeCodeForToken, getTokenInfo } from '@marksyncr/sources/oauth/google-oauth';
 
 export async function GET(request) {
@@ -70,9 +71,21 @@ export async function GET(request) {
     // Store connection in database
     const supabase = await createClient();
 
+    const collection = await resolveCollection(
+      supabase,
+      user.id,
+      cookieStore.get('google_oauth_collection')?.value || null
+    );
+    if (collection.error) {
+      return NextResponse.redirect(
+        new URL('/dashboard?error=collection_not_found', process.env.NEXT_PUBLIC_APP_URL)
+      );
+    }
+
     const { error: dbError } = await supabase.from('sync_sources').upsert(
       {
         user_id: user.id,
+        collection_id: collection.collectionId,
         provider: 'google-drive',
         provider_user_id: tokenInfo.user_id || tokenInfo.email,
         provider_username: tokenInfo.email,
@@ -87,7 +100,7 @@ export async function GET(request) {
         updated_at: new Date().toISOString(),
       },
       {
-        onConflict: 'user_id,provider',
+        onConflict: 'collection_id,provider',
       }
     );
 
@@ -98,11 +111,14 @@ export async function GET(request) {
       );
     }
 
-    // Clear state cookie and redirect to dashboard
-    const response = NextResponse.redirect(
-      new URL('/dashboard?connected=google', process.env.NEXT_PUBLIC_APP_URL)
-    );
+    // Clear state cookies and redirect to the dashboard of the collection
+    const dashboardUrl = new URL('/dashboard?connected=google', process.env.NEXT_PUBLIC_APP_URL);
+    if (collection.collectionId !== getDefaultCollectionId(user.id)) {
+      dashboardUrl.searchParams.set('collection', collection.collectionId);
+    }
+    const response = NextResponse.redirect(dashboardUrl);
     response.cookies.delete('google_oauth_state');
+    response.cookies.delete('google_oauth_collection');
 
     return response;
   } catch (error) {
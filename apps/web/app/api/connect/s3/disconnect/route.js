@@ -0,0 +1,43 @@
+/**
+ * S3 Disconnect Route
+ *
+ * Disconnects an S3-compatible bucket as a sync source for the user.
+ */
+
+import { NextResponse } from 'next/server';
+import { getUser, createClient } from '../../../../../lib/supabase/server';
+import { resolveRequestCollection } from '../../../../../lib/collections';
+
+export async function DELETE(request) {
+  try {
+    // Verify user is authenticated
+    const user = await getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const supabase = await createClient();
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
+    // Remove S3 connection
+    const { error: dbError } = await supabase
+      .from('sync_sources')
+      .delete()
+      .eq('collection_id', collection.collectionId)
+      .eq('provider', 's3');
+
+    if (dbError) {
+      console.error('Database error disconnecting S3:', dbError);
+      return NextResponse.json({ error: 'Failed to disconnect S3' }, { status: 500 });
+    }
+
+    return NextResponse.json({ success: true, message: 'S3 storage disconnected' });
+  } catch (error) {
+    console.error('S3 disconnection error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
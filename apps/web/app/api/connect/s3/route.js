@@ -0,0 +1,120 @@
+/**
+ * S3 Connection Route
+ *
+ * Connects a bucket in any S3-compatible object storage (AWS S3, MinIO, Cloudflare R2,
+ * Backblaze B2) as a sync source. The access key is checked against the bucket and stored.
+ */
+
+import { NextResponse } from 'next/server';
+import { S3Source } from '@marksyncr/sources/s3';
+import { getUser, createClient } from '../../../../lib/supabase/server';
+import { resolveRequestCollection } from '../../../../lib/collections';
+import { parsePublicServerUrl, publicFetch } from '../../../../lib/public-urls';
+
+const DEFAULT_KEY = 'marksyncr/bookmarks.json';
+
+// Bucket naming rules shared by AWS and the S3-compatible services
+const BUCKET_PATTERN = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+
+export async function POST(request) {
+  try {
+    // Verify user is authenticated
+    const user = await getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const {
+      endpoint,
+      region,
+      bucket,
+      path,
+      accessKeyId,
+      secretAccessKey,
+      pathStyle = true,
+    } = await request.json();
+
+    const endpointUrl = parsePublicServerUrl(endpoint);
+    if (!endpointUrl) {
+      return NextResponse.json(
+        { error: 'A public https:// S3 endpoint URL is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!BUCKET_PATTERN.test(bucket ?? '')) {
+      return NextResponse.json({ error: 'A valid bucket name is required' }, { status: 400 });
+    }
+
+    if (!accessKeyId || !secretAccessKey) {
+      return NextResponse.json(
+        { error: 'Access key ID and secret access key are required' },
+        { status: 400 }
+      );
+    }
+
+    const s3 = new S3Source(
+      {
+        endpoint: endpointUrl.href,
+        region: region?.trim() || undefined,
+        bucket,
+        path: path?.trim() || DEFAULT_KEY,
+        pathStyle: pathStyle !== false,
+        name: 'S3',
+      },
+      { accessKeyId, secretAccessKey },
+      { fetch: publicFetch }
+    );
+
+    if (!(await s3.validateCredentials())) {
+      return NextResponse.json(
+        {
+          error:
+            'Could not access the bucket. Check the endpoint, region, bucket name and access key.',
+        },
+        { status: 400 }
+      );
+    }
+
+    const supabase = await createClient();
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
+    // The secret key goes in access_token, which marks the source as connected for sync
+    const { error: dbError } = await supabase.from('sync_sources').upsert(
+      {
+        user_id: user.id,
+        collection_id: collection.collectionId,
+        provider: 's3',
+        provider_user_id: accessKeyId,
+        provider_username: accessKeyId,
+        access_token: secretAccessKey,
+        file_path: s3.key,
+        config: {
+          endpoint: s3.endpoint,
+          region: s3.region,
+          bucket: s3.bucket,
+          pathStyle: s3.pathStyle,
+        },
+        connected_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      },
+      {
+        onConflict: 'collection_id,provider',
+      }
+    );
+
+    if (dbError) {
+      console.error('Database error connecting S3:', dbError);
+      return NextResponse.json({ error: 'Failed to connect S3 storage' }, { status: 500 });
+    }
+
+    return NextResponse.json({ success: true, message: 'S3 storage connected' });
+  } catch (error) {
+    console.error('S3 connection error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * WebDAV Connection Route
+ *
+ * Connects a WebDAV server (Nextcloud, ownCloud, ...) as a sync source.
+ * There's no OAuth flow: the credentials are checked against the server and stored.
+ */
+
+import { NextResponse } from 'next/server';
+import { WebDavSource } from '@marksyncr/sources/webdav';
+import { getUser, createClient } from '../../../../lib/supabase/server';
+import { resolveRequestCollection } from '../../../../lib/collections';
+import { parsePublicServerUrl, publicFetch } from '../../../../lib/public-urls';
+
+const AUTH_TYPES = ['auto', 'basic', 'digest'];
+const DEFAULT_PATH = '/MarkSyncr/bookmarks.json';
+
+export async function POST(request) {
+  try {
+    // Verify user is authenticated
+    const user = await getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { url, username, password, path, authType = 'auto' } = await request.json();
+
+    const serverUrl = parsePublicServerUrl(url);
+    if (!serverUrl) {
+      return NextResponse.json(
+        { error: 'A public https:// WebDAV server URL is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!username || !password) {
+      return NextResponse.json({ error: 'Username and password are required' }, { status: 400 });
+    }
+
+    if (!AUTH_TYPES.includes(authType)) {
+      return NextResponse.json(
+        { error: `authType must be one of: ${AUTH_TYPES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const filePath = path?.trim() || DEFAULT_PATH;
+    const webdav = new WebDavSource(
+      { url: serverUrl.href, path: filePath, authType, name: 'WebDAV' },
+      { username, password },
+      { fetch: publicFetch }
+    );
+
+    if (!(await webdav.validateCredentials())) {
+      return NextResponse.json(
+        { error: 'Could not sign in to the WebDAV server. Check the URL, username and password.' },
+        { status: 400 }
+      );
+    }
+
+    const supabase = await createClient();
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
+    // The password goes in access_token, which marks the source as connected for sync
+    const { error: dbError } = await supabase.from('sync_sources').upsert(
+      {
+        user_id: user.id,
+        collection_id: collection.collectionId,
+        provider: 'webdav',
+        provider_user_id: username,
+        provider_username: username,
+        access_token: password,
+        file_path: webdav.path,
+        config: { url: webdav.url, authType },
+        connected_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      },
+      {
+        onConflict: 'collection_id,provider',
+      }
+    );
+
+    if (dbError) {
+      console.error('Database error connecting WebDAV:', dbError);
+      return NextResponse.json({ error: 'Failed to connect WebDAV server' }, { status: 500 });
+    }
+
+    return NextResponse.json({ success: true, message: 'WebDAV server connected' });
+  } catch (error) {
+    console.error('WebDAV connection error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
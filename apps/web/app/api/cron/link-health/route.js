@@ -0,0 +1,42 @@
+/**
+ * GET /api/cron/link-health
+ * Scan the bookmarks of Pro and Team accounts for broken links
+ *
+ * Called by Vercel Cron (see vercel.json) with Authorization: Bearer <CRON_SECRET>.
+ * Each invocation scans the few accounts that have waited longest; see
+ * lib/link-health.js for what a scan checks.
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { processLinkScans } from '@/lib/link-health';
+
+export const maxDuration = 300;
+
+/**
+ * Time left for checking links, keeping a margin to store the results
+ */
+const CHECK_BUDGET_MS = 240 * 1000;
+
+export async function GET(request) {
+  try {
+    if (!process.env.CRON_SECRET || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      console.error('Link health cron error: Missing CRON_SECRET or service role key');
+      return NextResponse.json({ error: 'Server configuration error' }, { status: 500 });
+    }
+
+    if (request.headers.get('authorization') !== `Bearer ${process.env.CRON_SECRET}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const results = await processLinkScans(createAdminClient(), {
+      deadline: Date.now() + CHECK_BUDGET_MS,
+    });
+    console.log('[Link Health] Cron run:', results);
+
+    return NextResponse.json(results);
+  } catch (error) {
+    console.error('Link health cron error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * GET /api/cron/sync-jobs
+ * Run due sync jobs of all users
+ *
+ * Called by Vercel Cron (see vercel.json) with Authorization: Bearer <CRON_SECRET>.
+ * Retries pushes to external sources that failed or were never started, such as
+ * those queued by a request that ended before its background run finished.
+ */
+
+import { NextResponse } from 'next/server';
+import { createAdminClient } from '@/lib/supabase/server';
+import { processSyncJobs } from '@/lib/sync-queue';
+
+export async function GET(request) {
+  try {
+    if (!process.env.CRON_SECRET || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      console.error('Sync jobs cron error: Missing CRON_SECRET or service role key');
+      return NextResponse.json({ error: 'Server configuration error' }, { status: 500 });
+    }
+
+    if (request.headers.get('authorization') !== `Bearer ${process.env.CRON_SECRET}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const results = await processSyncJobs(createAdminClient());
+    console.log('[Sync Queue] Cron run:', results);
+
+    return NextResponse.json(results);
+  } catch (error) {
+    console.error('Sync jobs cron error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,8 +1,14 @@
 import { NextResponse } from 'next/server';
+import {
+  isSyncProfileActive,
+  normalizeSyncProfile,
+  validateSyncProfile,
+} from '@marksyncr/core/selective-sync';
 import { getAuthenticatedUser } from '../../../lib/auth-helper';
+import { resolveRequestCollection } from '../../../lib/collections';
 
 /**
- * GET /api/devices - Get user's devices
+ * GET /api/devices - Get the devices syncing with a collection
  */
 export async function GET(request) {
   try {
@@ -12,10 +18,15 @@ export async function GET(request) {
     }
     const { user, supabase } = authResult;
 
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
     const { data: devices, error } = await supabase
       .from('devices')
       .select('*')
-      .eq('user_id', user.id)
+      .eq('collection_id', collection.collectionId)
       .order('last_seen_at', { ascending: false });
 
     if (error) {
@@ -32,6 +43,11 @@ export async function GET(request) {
 
 /**
  * POST /api/devices - Register or update a device
+ *
+ * Body: { deviceId, name?, browser?, os?, syncProfile? }
+ * syncProfile ({ include: string[], exclude: string[] }, or null to sync everything)
+ * replaces the device's selective sync rules; without it the stored rules are kept.
+ * The device is recorded as syncing with the collection the request names.
  */
 export async function POST(request) {
   try {
@@ -42,28 +58,46 @@ export async function POST(request) {
     const { user, supabase } = authResult;
 
     const body = await request.json();
-    const { deviceId, name, browser, os } = body;
+    const { deviceId, name, browser, os, syncProfile } = body;
 
     if (!deviceId) {
       return NextResponse.json({ error: 'deviceId is required' }, { status: 400 });
     }
 
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
+    const record = {
+      user_id: user.id,
+      collection_id: collection.collectionId,
+      device_id: deviceId,
+      name: name || `${browser || 'Unknown'} on ${os || 'Unknown'}`,
+      browser: browser || 'Unknown',
+      os: os || 'Unknown',
+      last_seen_at: new Date().toISOString(),
+    };
+
+    if (syncProfile !== undefined) {
+      const { valid, errors } = validateSyncProfile(syncProfile);
+      if (!valid) {
+        return NextResponse.json(
+          { error: `Invalid sync profile: ${errors.join(', ')}` },
+          { status: 400 }
+        );
+      }
+      record.sync_profile = isSyncProfileActive(syncProfile)
+        ? normalizeSyncProfile(syncProfile)
+        : null;
+    }
+
     // Upsert device (insert or update if exists)
     const { data: device, error } = await supabase
       .from('devices')
-      .upsert(
-        {
-          user_id: user.id,
-          device_id: deviceId,
-          name: name || `${browser || 'Unknown'} on ${os || 'Unknown'}`,
-          browser: browser || 'Unknown',
-          os: os || 'Unknown',
-          last_seen_at: new Date().toISOString(),
-        },
-        {
-          onConflict: 'user_id,device_id',
-        }
-      )
+      .upsert(record, {
+        onConflict: 'user_id,device_id',
+      })
       .select()
       .single();
 
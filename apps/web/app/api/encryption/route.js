@@ -0,0 +1,220 @@
+/**
+ * GET /api/encryption - Get the user's encryption keyring
+ * PUT /api/encryption - Store a keyring (turn encryption on, change passphrase, rotate key)
+ * DELETE /api/encryption - Remove the keyring (turn encryption off)
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ *
+ * The keyring holds the bookmark data key wrapped with a key derived from the user's
+ * passphrase. It's created and unlocked in the extension; the server only stores it so
+ * other devices can fetch it, and never sees the passphrase or the data key.
+ *
+ * When the key changes (encryption turned on or off, key rotated), the change log and
+ * version history are deleted: they hold data under the old key, or in plaintext, which
+ * devices on the new key can't use and the server shouldn't keep.
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+
+const METHODS = ['GET', 'PUT', 'DELETE', 'OPTIONS'];
+
+/**
+ * Keyring format version this server accepts
+ */
+const KEYRING_VERSION = 1;
+
+/**
+ * Check the shape of a keyring sent by the client
+ * @param {Object} keyring
+ * @returns {boolean}
+ */
+function isValidKeyring(keyring) {
+  return (
+    !!keyring &&
+    keyring.version === KEYRING_VERSION &&
+    typeof keyring.keyId === 'string' &&
+    keyring.keyId.length > 0 &&
+    keyring.kdf?.name === 'PBKDF2' &&
+    Number.isInteger(keyring.kdf.iterations) &&
+    keyring.kdf.iterations > 0 &&
+    typeof keyring.kdf.salt === 'string' &&
+    typeof keyring.wrappedKey?.iv === 'string' &&
+    typeof keyring.wrappedKey?.ciphertext === 'string'
+  );
+}
+
+/**
+ * Read the user's keyring row
+ * @returns {Promise<{row: Object|null, error: Object|null}>}
+ */
+async function fetchKeyringRow(supabase, userId) {
+  const { data, error } = await supabase
+    .from('encryption_keyrings')
+    .select('*')
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') return { row: null, error };
+  return { row: data ?? null, error: null };
+}
+
+/**
+ * Delete history kept under a previous key
+ * @returns {Promise<boolean>} false if a delete failed
+ */
+async function purgeKeyedHistory(supabase, userId) {
+  let ok = true;
+  for (const table of ['bookmark_changes', 'bookmark_versions']) {
+    const { error } = await supabase.from(table).delete().eq('user_id', userId);
+    if (error) {
+      console.error(`[Encryption API] Failed to purge ${table}:`, error);
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { row, error } = await fetchKeyringRow(supabase, user.id);
+
+    if (error) {
+      console.error('Encryption keyring fetch error:', error);
+      return NextResponse.json({ error: 'Failed to fetch keyring' }, { status: 500, headers });
+    }
+
+    return NextResponse.json(
+      {
+        enabled: !!row,
+        keyring: row?.keyring ?? null,
+        updatedAt: row?.updated_at ?? null,
+      },
+      { headers }
+    );
+  } catch (error) {
+    console.error('Encryption GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+export async function PUT(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { keyring, previousKeyId } = (await request.json()) || {};
+
+    if (!isValidKeyring(keyring)) {
+      return NextResponse.json({ error: 'A valid keyring is required' }, { status: 400, headers });
+    }
+
+    const { row: existing, error: fetchError } = await fetchKeyringRow(supabase, user.id);
+
+    if (fetchError) {
+      console.error('Encryption keyring fetch error:', fetchError);
+      return NextResponse.json({ error: 'Failed to fetch keyring' }, { status: 500, headers });
+    }
+
+    // Replacing a key requires knowing which key is replaced, so a device that missed a
+    // rotation can't switch everyone back to its stale key
+    const existingKeyId = existing?.key_id ?? null;
+    if (existingKeyId && existingKeyId !== keyring.keyId && previousKeyId !== existingKeyId) {
+      return NextResponse.json(
+        {
+          error: 'The encryption key was changed on another device',
+          code: 'ENCRYPTION_KEY_MISMATCH',
+          keyring: existing.keyring,
+        },
+        { status: 409, headers }
+      );
+    }
+
+    const { error: upsertError } = await supabase.from('encryption_keyrings').upsert(
+      {
+        user_id: user.id,
+        key_id: keyring.keyId,
+        keyring,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: 'user_id' }
+    );
+
+    if (upsertError) {
+      console.error('Encryption keyring upsert error:', upsertError);
+      return NextResponse.json({ error: 'Failed to save keyring' }, { status: 500, headers });
+    }
+
+    const keyChanged = existingKeyId !== keyring.keyId;
+    const purged = keyChanged && (await purgeKeyedHistory(supabase, user.id));
+
+    return NextResponse.json(
+      {
+        enabled: true,
+        keyId: keyring.keyId,
+        keyChanged,
+        purged,
+        message: keyChanged ? 'Encryption key saved' : 'Passphrase changed',
+      },
+      { headers }
+    );
+  } catch (error) {
+    console.error('Encryption PUT error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+export async function DELETE(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { error: deleteError } = await supabase
+      .from('encryption_keyrings')
+      .delete()
+      .eq('user_id', user.id);
+
+    if (deleteError) {
+      console.error('Encryption keyring delete error:', deleteError);
+      return NextResponse.json({ error: 'Failed to remove keyring' }, { status: 500, headers });
+    }
+
+    const purged = await purgeKeyedHistory(supabase, user.id);
+
+    return NextResponse.json(
+      { enabled: false, purged, message: 'Encryption turned off' },
+      { headers }
+    );
+  } catch (error) {
+    console.error('Encryption DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
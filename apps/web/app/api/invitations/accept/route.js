@@ -0,0 +1,69 @@
+/**
+ * POST /api/invitations/accept - Join a team with the token from an invitation link
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { hashInviteToken } from '@/lib/teams';
+
+const METHODS = ['POST', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+/**
+ * Body: { token }
+ */
+export async function POST(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const body = await request.json();
+    if (typeof body?.token !== 'string' || !body.token) {
+      return NextResponse.json({ error: 'token is required' }, { status: 400, headers });
+    }
+
+    // accept_team_invitation checks that the invitation is open and for this
+    // user's email, and adds them to the team
+    const { data: teamId, error } = await supabase.rpc('accept_team_invitation', {
+      p_token_hash: hashInviteToken(body.token),
+    });
+
+    if (error) {
+      if (error.code === 'P0002') {
+        return NextResponse.json(
+          { error: 'This invitation is invalid or has expired' },
+          { status: 404, headers }
+        );
+      }
+      if (error.code === '42501') {
+        return NextResponse.json(
+          { error: 'This invitation was sent to a different email address' },
+          { status: 403, headers }
+        );
+      }
+      console.error('Team invitation accept error:', error);
+      return NextResponse.json({ error: 'Failed to accept invitation' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ success: true, teamId }, { headers });
+  } catch (error) {
+    console.error('Invitation accept POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * GET /api/link-health/alerts - Links that broke in scans the user hasn't been told about
+ * POST /api/link-health/alerts - Mark alerts as shown
+ *
+ * The extension shows these as a browser notification. Alerts are only raised for
+ * users with the notifications.brokenLinks setting on, and disappear when it is
+ * turned off.
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { BROKEN_STATUSES } from '@/lib/link-health';
+
+const METHODS = ['GET', 'POST', 'OPTIONS'];
+
+/**
+ * Links listed per alert
+ */
+const MAX_ALERT_LINKS = 20;
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { data: settings } = await supabase
+      .from('user_settings')
+      .select('settings')
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (settings?.settings?.notifications?.brokenLinks !== true) {
+      return NextResponse.json({ alerts: [] }, { headers });
+    }
+
+    const { data: runs, error } = await supabase
+      .from('link_scan_runs')
+      .select('id, finished_at, newly_broken')
+      .eq('user_id', user.id)
+      .eq('notify', true)
+      .is('notified_at', null)
+      .order('finished_at', { ascending: true });
+
+    if (error) {
+      console.error('Link health alerts fetch error:', error);
+      return NextResponse.json({ error: 'Failed to fetch alerts' }, { status: 500, headers });
+    }
+
+    const alerts = [];
+    for (const run of runs || []) {
+      const { data: changes, error: historyError } = await supabase
+        .from('link_check_history')
+        .select('url, status, status_code')
+        .eq('run_id', run.id)
+        .in('status', BROKEN_STATUSES)
+        // Links that worked before; a first check has no previous status
+        .not('previous_status', 'in', `(${BROKEN_STATUSES.join(',')})`)
+        .order('url', { ascending: true })
+        .limit(MAX_ALERT_LINKS);
+
+      if (historyError) {
+        console.error('Link health history fetch error:', historyError);
+        return NextResponse.json({ error: 'Failed to fetch alerts' }, { status: 500, headers });
+      }
+
+      alerts.push({
+        runId: run.id,
+        finishedAt: run.finished_at,
+        newlyBroken: run.newly_broken,
+        links: (changes || []).map((change) => ({
+          url: change.url,
+          status: change.status,
+          statusCode: change.status_code,
+        })),
+      });
+    }
+
+    return NextResponse.json({ alerts }, { headers });
+  } catch (error) {
+    console.error('Link health alerts GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+/**
+ * Body: { runIds: string[] }
+ */
+export async function POST(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const body = await request.json();
+    const runIds = body?.runIds;
+    if (!Array.isArray(runIds) || runIds.some((id) => typeof id !== 'string')) {
+      return NextResponse.json(
+        { error: 'runIds must be an array of ids' },
+        { status: 400, headers }
+      );
+    }
+    if (runIds.length === 0) {
+      return NextResponse.json({ success: true }, { headers });
+    }
+
+    const { error } = await supabase
+      .from('link_scan_runs')
+      .update({ notified_at: new Date().toISOString() })
+      .eq('user_id', user.id)
+      .in('id', runIds);
+
+    if (error) {
+      console.error('Link health alerts update error:', error);
+      return NextResponse.json({ error: 'Failed to update alerts' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (error) {
+    console.error('Link health alerts POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * GET /api/search?q=...&limit=50 - Full-text search over the user's bookmarks and
+ * the text of their saved pages
+ *
+ * Queries use web search syntax: "quoted phrases", -excluded words, or.
+ * Results are ranked by text relevance, recency and visit count, and carry a
+ * highlighted excerpt of the saved page when there is one.
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import {
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  MAX_SEARCH_QUERY_LENGTH,
+  toSearchResults,
+} from '@/lib/search';
+
+const METHODS = ['GET', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const query = (searchParams.get('q') || '').trim();
+    if (!query || query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return NextResponse.json(
+        { error: `q must be between 1 and ${MAX_SEARCH_QUERY_LENGTH} characters` },
+        { status: 400, headers }
+      );
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(searchParams.get('limit'), 10) || DEFAULT_SEARCH_LIMIT, 1),
+      MAX_SEARCH_LIMIT
+    );
+
+    const { data, error } = await supabase.rpc('search_bookmarks', {
+      p_query: query,
+      p_limit: limit,
+    });
+
+    if (error) {
+      console.error('Search error:', error);
+      return NextResponse.json({ error: 'Search failed' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ query, results: toSearchResults(data || [], query) }, { headers });
+  } catch (error) {
+    console.error('Search GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -7,6 +7,7 @@
 
 import { NextResponse } from 'next/server';
 import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { validateRules } from '@marksyncr/core/organize-rules';
 
 const METHODS = ['GET', 'PUT', 'OPTIONS'];
 
@@ -88,6 +89,16 @@ export async function PUT(request) {
       return NextResponse.json({ error: 'Settings object is required' }, { status: 400, headers });
     }
 
+    if (settings.rules !== undefined) {
+      const { valid, errors } = validateRules(settings.rules);
+      if (!valid) {
+        return NextResponse.json(
+          { error: `Invalid rules: ${errors.join(', ')}` },
+          { status: 400, headers }
+        );
+      }
+    }
+
     // Merge with defaults to ensure all fields exist
     const mergedSettings = {
       ...DEFAULT_SETTINGS,
@@ -0,0 +1,126 @@
+/**
+ * PATCH /api/share-links/[linkId] - Change a link's title, password or expiry date
+ * DELETE /api/share-links/[linkId] - Revoke a link
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import {
+  SHARE_LINK_COLUMNS,
+  hashSharePassword,
+  isShareLinkId,
+  toShareLink,
+  validateShareLinkInput,
+} from '@/lib/share-links';
+
+const METHODS = ['PATCH', 'DELETE', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+/**
+ * Body: { title?, password?, expiresAt? } - a null password or expiresAt removes it
+ */
+export async function PATCH(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { linkId } = await params;
+    if (!isShareLinkId(linkId)) {
+      return NextResponse.json({ error: 'Share link not found' }, { status: 404, headers });
+    }
+
+    const body = await request.json();
+    const validation = validateShareLinkInput(body, { partial: true });
+    if (!validation.valid) {
+      return NextResponse.json(
+        { error: `Invalid share link: ${validation.errors.join(', ')}` },
+        { status: 400, headers }
+      );
+    }
+
+    const updates = {};
+    if (body.title !== undefined) updates.title = body.title.trim();
+    if (body.password !== undefined) {
+      updates.password_hash = body.password ? hashSharePassword(body.password) : null;
+    }
+    if (body.expiresAt !== undefined) updates.expires_at = body.expiresAt;
+
+    if (Object.keys(updates).length === 0) {
+      return NextResponse.json({ error: 'Nothing to update' }, { status: 400, headers });
+    }
+
+    const { data, error } = await supabase
+      .from('share_links')
+      .update(updates)
+      .eq('id', linkId)
+      .eq('user_id', user.id)
+      .select(SHARE_LINK_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Share link update error:', error);
+      return NextResponse.json({ error: 'Failed to update share link' }, { status: 500, headers });
+    }
+    if (!data) {
+      return NextResponse.json({ error: 'Share link not found' }, { status: 404, headers });
+    }
+
+    return NextResponse.json({ link: toShareLink(data) }, { headers });
+  } catch (error) {
+    console.error('Share link PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { linkId } = await params;
+    if (!isShareLinkId(linkId)) {
+      return NextResponse.json({ error: 'Share link not found' }, { status: 404, headers });
+    }
+
+    const { data, error } = await supabase
+      .from('share_links')
+      .delete()
+      .eq('id', linkId)
+      .eq('user_id', user.id)
+      .select('id');
+
+    if (error) {
+      console.error('Share link delete error:', error);
+      return NextResponse.json({ error: 'Failed to revoke share link' }, { status: 500, headers });
+    }
+    if (!data?.length) {
+      return NextResponse.json({ error: 'Share link not found' }, { status: 404, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (error) {
+    console.error('Share link DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * GET /api/share-links - List a collection's share links and the folders it can share
+ * POST /api/share-links - Publish a folder at a new share link
+ *
+ * Encrypted collections can't be shared: the server can't read their bookmarks.
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { loadCollectionItems } from '@/lib/bookmark-store';
+import { resolveRequestCollection } from '@/lib/collections';
+import {
+  SHARE_LINK_COLUMNS,
+  createShareSlug,
+  hashSharePassword,
+  listFolderPaths,
+  selectFolderItems,
+  toShareLink,
+  validateShareLinkInput,
+} from '@/lib/share-links';
+
+const METHODS = ['GET', 'POST', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status, headers });
+    }
+
+    const [{ data, error }, loaded] = await Promise.all([
+      supabase
+        .from('share_links')
+        .select(SHARE_LINK_COLUMNS)
+        .eq('collection_id', collection.collectionId)
+        .order('created_at', { ascending: false }),
+      loadCollectionItems(supabase, user.id, collection.collectionId),
+    ]);
+
+    if (error || loaded.error) {
+      console.error('Share links fetch error:', error || loaded.error);
+      return NextResponse.json({ error: 'Failed to fetch share links' }, { status: 500, headers });
+    }
+
+    return NextResponse.json(
+      {
+        links: (data || []).map(toShareLink),
+        folders: listFolderPaths(loaded.items),
+        encrypted: loaded.encrypted,
+      },
+      { headers }
+    );
+  } catch (error) {
+    console.error('Share links GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+/**
+ * Body: { title, folderPath, mode: 'snapshot'|'live', password?, expiresAt? }
+ */
+export async function POST(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status, headers });
+    }
+
+    const body = await request.json();
+    const validation = validateShareLinkInput(body);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { error: `Invalid share link: ${validation.errors.join(', ')}` },
+        { status: 400, headers }
+      );
+    }
+
+    const loaded = await loadCollectionItems(supabase, user.id, collection.collectionId);
+    if (loaded.error) {
+      console.error('Share link bookmarks fetch error:', loaded.error);
+      return NextResponse.json({ error: 'Failed to load bookmarks' }, { status: 500, headers });
+    }
+    if (loaded.encrypted) {
+      return NextResponse.json(
+        { error: 'Encrypted collections cannot be shared', code: 'ENCRYPTED_COLLECTION' },
+        { status: 400, headers }
+      );
+    }
+
+    const folderPath = listFolderPaths(loaded.items).find(
+      (path) => path === body.folderPath.trim()
+    );
+    if (!folderPath) {
+      return NextResponse.json({ error: 'Folder not found' }, { status: 404, headers });
+    }
+
+    const { data, error } = await supabase
+      .from('share_links')
+      .insert({
+        user_id: user.id,
+        collection_id: collection.collectionId,
+        slug: createShareSlug(),
+        title: body.title.trim(),
+        folder_path: folderPath,
+        mode: body.mode,
+        snapshot: body.mode === 'snapshot' ? selectFolderItems(loaded.items, folderPath) : null,
+        password_hash: body.password ? hashSharePassword(body.password) : null,
+        expires_at: body.expiresAt ?? null,
+      })
+      .select(SHARE_LINK_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Share link create error:', error);
+      return NextResponse.json({ error: 'Failed to create share link' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ link: toShareLink(data) }, { status: 201, headers });
+  } catch (error) {
+    console.error('Share links POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * GET /api/shared-folders/[folderId] - Get a shared folder with its bookmarks
+ * POST /api/shared-folders/[folderId] - Merge a member's edits (owners and editors)
+ * PATCH /api/shared-folders/[folderId] - Rename a shared folder (owners)
+ * DELETE /api/shared-folders/[folderId] - Delete a shared folder (owners)
+ *
+ * Members send their edits as delta operations against the copy they last
+ * received. They are replayed on the current bookmarks, so edits from members
+ * who synced in the meantime are kept, and every changed item records who
+ * changed it.
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import {
+  SHARED_FOLDER_LIMITS,
+  applySharedFolderOperations,
+  canEditSharedFolders,
+  canManageTeam,
+  validateSharedFolderOperations,
+} from '@marksyncr/core/shared-folders';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { isTeamRowId, resolveTeamRole, toSharedFolder, validateTeamName } from '@/lib/teams';
+
+const METHODS = ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'];
+
+/**
+ * Writes retried when another member's edit lands between our read and write
+ */
+const MAX_MERGE_ATTEMPTS = 3;
+
+const FOLDER_COLUMNS = 'id, team_id, name, items, version, updated_at';
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+/**
+ * Load a shared folder and the user's role in its team
+ * @returns {Promise<{folder: Object|null, role: string|null, error: string|null, status?: number}>}
+ */
+async function resolveFolder(supabase, folderId, userId) {
+  if (!isTeamRowId(folderId)) {
+    return { folder: null, role: null, error: 'Shared folder not found', status: 404 };
+  }
+
+  const { data: folder, error } = await supabase
+    .from('shared_folders')
+    .select(FOLDER_COLUMNS)
+    .eq('id', folderId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Shared folder fetch error:', error);
+    return { folder: null, role: null, error: 'Failed to load shared folder', status: 500 };
+  }
+  if (!folder) {
+    return { folder: null, role: null, error: 'Shared folder not found', status: 404 };
+  }
+
+  const team = await resolveTeamRole(supabase, folder.team_id, userId);
+  if (team.error) {
+    return { folder: null, role: null, error: team.error, status: team.status };
+  }
+  return { folder, role: team.role, error: null };
+}
+
+export async function GET(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { folderId } = await params;
+    const { folder, role, error, status } = await resolveFolder(supabase, folderId, user.id);
+    if (error) {
+      return NextResponse.json({ error }, { status, headers });
+    }
+
+    return NextResponse.json({ folder: toSharedFolder(folder, role) }, { headers });
+  } catch (error) {
+    console.error('Shared folder GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+/**
+ * Body: { operations: DeltaOperation[] }
+ */
+export async function POST(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { folderId } = await params;
+    let { folder, role, error, status } = await resolveFolder(supabase, folderId, user.id);
+    if (error) {
+      return NextResponse.json({ error }, { status, headers });
+    }
+    if (!canEditSharedFolders(role)) {
+      return NextResponse.json(
+        { error: 'Viewers cannot change shared folders', code: 'READ_ONLY' },
+        { status: 403, headers }
+      );
+    }
+
+    const body = await request.json();
+    const validation = validateSharedFolderOperations(body?.operations);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { error: `Invalid operations: ${validation.errors.join(', ')}` },
+        { status: 400, headers }
+      );
+    }
+    if (body.operations.length === 0) {
+      return NextResponse.json({ folder: toSharedFolder(folder, role) }, { headers });
+    }
+
+    for (let attempt = 1; attempt <= MAX_MERGE_ATTEMPTS; attempt++) {
+      const items = applySharedFolderOperations(folder.items || [], body.operations, {
+        userId: user.id,
+      });
+      if (items.length > SHARED_FOLDER_LIMITS.maxItems) {
+        return NextResponse.json(
+          { error: `A shared folder can hold at most ${SHARED_FOLDER_LIMITS.maxItems} items` },
+          { status: 400, headers }
+        );
+      }
+
+      // Only write over the version we merged into
+      const { data: updated, error: updateError } = await supabase
+        .from('shared_folders')
+        .update({ items, version: folder.version + 1, updated_by: user.id })
+        .eq('id', folder.id)
+        .eq('version', folder.version)
+        .select(FOLDER_COLUMNS)
+        .maybeSingle();
+
+      if (updateError) {
+        console.error('Shared folder update error:', updateError);
+        return NextResponse.json(
+          { error: 'Failed to update shared folder' },
+          { status: 500, headers }
+        );
+      }
+      if (updated) {
+        return NextResponse.json({ folder: toSharedFolder(updated, role) }, { headers });
+      }
+
+      ({ folder, role, error, status } = await resolveFolder(supabase, folderId, user.id));
+      if (error) {
+        return NextResponse.json({ error }, { status, headers });
+      }
+    }
+
+    return NextResponse.json(
+      { error: 'The shared folder is changing too quickly, try again', code: 'VERSION_CONFLICT' },
+      { status: 409, headers }
+    );
+  } catch (error) {
+    console.error('Shared folder POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+/**
+ * Body: { name }
+ */
+export async function PATCH(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { folderId } = await params;
+    const { folder, role, error, status } = await resolveFolder(supabase, folderId, user.id);
+    if (error) {
+      return NextResponse.json({ error }, { status, headers });
+    }
+    if (!canManageTeam(role)) {
+      return NextResponse.json(
+        { error: 'Only team owners can rename shared folders' },
+        { status: 403, headers }
+      );
+    }
+
+    const body = await request.json();
+    const validation = validateTeamName(body?.name);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { error: `Invalid folder: ${validation.errors.join(', ')}` },
+        { status: 400, headers }
+      );
+    }
+
+    const { data, error: updateError } = await supabase
+      .from('shared_folders')
+      .update({ name: body.name.trim(), updated_by: user.id })
+      .eq('id', folder.id)
+      .select(FOLDER_COLUMNS)
+      .single();
+
+    if (updateError) {
+      if (updateError.code === '23505') {
+        return NextResponse.json(
+          { error: 'The team already has a folder with this name' },
+          { status: 409, headers }
+        );
+      }
+      console.error('Shared folder rename error:', updateError);
+      return NextResponse.json({ error: 'Failed to rename folder' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ folder: toSharedFolder(data, role) }, { headers });
+  } catch (error) {
+    console.error('Shared folder PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { folderId } = await params;
+    const { folder, role, error, status } = await resolveFolder(supabase, folderId, user.id);
+    if (error) {
+      return NextResponse.json({ error }, { status, headers });
+    }
+    if (!canManageTeam(role)) {
+      return NextResponse.json(
+        { error: 'Only team owners can delete shared folders' },
+        { status: 403, headers }
+      );
+    }
+
+    const { error: deleteError } = await supabase
+      .from('shared_folders')
+      .delete()
+      .eq('id', folder.id);
+
+    if (deleteError) {
+      console.error('Shared folder delete error:', deleteError);
+      return NextResponse.json({ error: 'Failed to delete folder' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (error) {
+    console.error('Shared folder DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
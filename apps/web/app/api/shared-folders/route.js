@@ -0,0 +1,75 @@
+/**
+ * GET /api/shared-folders - Shared folders of all the user's teams, with their
+ *   bookmarks, for the extension to mount
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { toSharedFolder } from '@/lib/teams';
+
+const METHODS = ['GET', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { data: memberships, error: membershipsError } = await supabase
+      .from('team_members')
+      .select('team_id, role, teams(name)')
+      .eq('user_id', user.id);
+
+    if (membershipsError) {
+      console.error('Team memberships fetch error:', membershipsError);
+      return NextResponse.json(
+        { error: 'Failed to fetch shared folders' },
+        { status: 500, headers }
+      );
+    }
+    if (!memberships?.length) {
+      return NextResponse.json({ folders: [] }, { headers });
+    }
+
+    const teams = new Map(memberships.map((m) => [m.team_id, m]));
+    const { data, error } = await supabase
+      .from('shared_folders')
+      .select('id, team_id, name, items, version, updated_at')
+      .in('team_id', [...teams.keys()])
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Shared folders fetch error:', error);
+      return NextResponse.json(
+        { error: 'Failed to fetch shared folders' },
+        { status: 500, headers }
+      );
+    }
+
+    const folders = (data || []).map((row) => ({
+      ...toSharedFolder(row, teams.get(row.team_id).role),
+      teamName: teams.get(row.team_id).teams?.name ?? null,
+    }));
+
+    return NextResponse.json({ folders }, { headers });
+  } catch (error) {
+    console.error('Shared folders GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * GET /api/snapshots/[snapshotId] - A page snapshot with its content
+ * DELETE /api/snapshots/[snapshotId] - Delete a page snapshot
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { SNAPSHOT_COLUMNS, isSnapshotId, toSnapshot } from '@/lib/page-snapshots';
+
+const METHODS = ['GET', 'DELETE', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { snapshotId } = await params;
+    if (!isSnapshotId(snapshotId)) {
+      return NextResponse.json({ error: 'Snapshot not found' }, { status: 404, headers });
+    }
+
+    const { data, error } = await supabase
+      .from('page_snapshots')
+      .select(SNAPSHOT_COLUMNS)
+      .eq('id', snapshotId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Snapshot fetch error:', error);
+      return NextResponse.json({ error: 'Failed to fetch snapshot' }, { status: 500, headers });
+    }
+    if (!data) {
+      return NextResponse.json({ error: 'Snapshot not found' }, { status: 404, headers });
+    }
+
+    return NextResponse.json({ snapshot: toSnapshot(data) }, { headers });
+  } catch (error) {
+    console.error('Snapshot GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { snapshotId } = await params;
+    if (!isSnapshotId(snapshotId)) {
+      return NextResponse.json({ error: 'Snapshot not found' }, { status: 404, headers });
+    }
+
+    const { data, error } = await supabase
+      .from('page_snapshots')
+      .delete()
+      .eq('id', snapshotId)
+      .eq('user_id', user.id)
+      .select('id');
+
+    if (error) {
+      console.error('Snapshot delete error:', error);
+      return NextResponse.json({ error: 'Failed to delete snapshot' }, { status: 500, headers });
+    }
+    if (!data?.length) {
+      return NextResponse.json({ error: 'Snapshot not found' }, { status: 404, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (error) {
+    console.error('Snapshot DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * GET /api/snapshots - List the user's page snapshots and their quota
+ * POST /api/snapshots - Capture a page for offline reading
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { isValidUrl } from '@marksyncr/core/link-checker';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import {
+  MAX_SNAPSHOT_HTML_LENGTH,
+  MAX_SNAPSHOT_URL_LENGTH,
+  SNAPSHOT_COLUMNS,
+  SNAPSHOT_SUMMARY_COLUMNS,
+  capturePageSnapshot,
+  getSnapshotQuota,
+  toSnapshot,
+  toSnapshotRow,
+} from '@/lib/page-snapshots';
+import { isPublicUrl } from '@/lib/public-urls';
+
+const METHODS = ['GET', 'POST', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const [{ data, error }, quota] = await Promise.all([
+      supabase
+        .from('page_snapshots')
+        .select(SNAPSHOT_SUMMARY_COLUMNS)
+        .eq('user_id', user.id)
+        .order('captured_at', { ascending: false }),
+      getSnapshotQuota(supabase, user.id),
+    ]);
+
+    if (error) {
+      console.error('Snapshots fetch error:', error);
+      return NextResponse.json({ error: 'Failed to fetch snapshots' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ snapshots: (data || []).map(toSnapshot), quota }, { headers });
+  } catch (error) {
+    console.error('Snapshots GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+/**
+ * Body: { url, html? }
+ * html is the page source from the user's tab (sent by the extension); without it the
+ * server loads the page, which must then be on a public address.
+ * Capturing a page again replaces its snapshot and doesn't count against the quota.
+ */
+export async function POST(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const body = await request.json();
+    const url = typeof body?.url === 'string' ? body.url.trim() : '';
+    const html = typeof body?.html === 'string' ? body.html : undefined;
+
+    if (html !== undefined) {
+      // The page isn't loaded, so its address only has to be a web address
+      if (!url || url.length > MAX_SNAPSHOT_URL_LENGTH || !isValidUrl(url)) {
+        return NextResponse.json(
+          { error: 'url must be an http(s) address' },
+          { status: 400, headers }
+        );
+      }
+      if (html.length > MAX_SNAPSHOT_HTML_LENGTH) {
+        return NextResponse.json({ error: 'html is too large' }, { status: 413, headers });
+      }
+    } else if (!url || url.length > MAX_SNAPSHOT_URL_LENGTH || !isPublicUrl(url)) {
+      return NextResponse.json(
+        { error: 'url must be a public http(s) address' },
+        { status: 400, headers }
+      );
+    }
+
+    const [quota, { data: existing }] = await Promise.all([
+      getSnapshotQuota(supabase, user.id),
+      supabase
+        .from('page_snapshots')
+        .select('id')
+        .eq('user_id', user.id)
+        .eq('url', url)
+        .maybeSingle(),
+    ]);
+
+    if (!existing && quota.used >= quota.limit) {
+      return NextResponse.json(
+        {
+          error: `Snapshot limit reached (${quota.limit}). Delete snapshots or upgrade your plan to keep more.`,
+          code: 'SNAPSHOT_QUOTA_EXCEEDED',
+          quota,
+        },
+        { status: 403, headers }
+      );
+    }
+
+    let snapshot;
+    try {
+      snapshot = await capturePageSnapshot(url, html);
+    } catch (captureError) {
+      return NextResponse.json(
+        { error: `Could not capture page: ${captureError.message}` },
+        { status: 422, headers }
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('page_snapshots')
+      .upsert(toSnapshotRow(user.id, snapshot), { onConflict: 'user_id,url' })
+      .select(SNAPSHOT_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Snapshot save error:', error);
+      return NextResponse.json({ error: 'Failed to save snapshot' }, { status: 500, headers });
+    }
+
+    return NextResponse.json(
+      {
+        snapshot: toSnapshot(data),
+        quota: { ...quota, used: existing ? quota.used : quota.used + 1 },
+      },
+      { status: 201, headers }
+    );
+  } catch (error) {
+    console.error('Snapshots POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
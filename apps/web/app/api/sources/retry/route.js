@@ -0,0 +1,61 @@
+/**
+ * POST /api/sources/retry
+ * Retry pushing bookmarks to an external source now
+ *
+ * Requeues the source's dead letters and skips the backoff of a pending retry.
+ * Body: { provider }
+ * Query: ?collection=<id> for a source of another collection than the default one
+ */
+
+import { NextResponse } from 'next/server';
+import { getUser, createClient } from '../../../../lib/supabase/server';
+import { retrySource } from '../../../../lib/sync-queue';
+import { resolveRequestCollection } from '../../../../lib/collections';
+
+export async function POST(request) {
+  try {
+    const user = await getUser();
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { provider } = await request.json();
+    if (!provider) {
+      return NextResponse.json({ error: 'provider is required' }, { status: 400 });
+    }
+
+    const supabase = await createClient();
+
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
+    const { data: source, error: sourceError } = await supabase
+      .from('sync_sources')
+      .select('id, provider, collection_id')
+      .eq('collection_id', collection.collectionId)
+      .eq('provider', provider)
+      .not('access_token', 'is', null)
+      .maybeSingle();
+
+    if (sourceError) {
+      console.error('Error fetching sync source:', sourceError);
+      return NextResponse.json({ error: 'Failed to fetch source' }, { status: 500 });
+    }
+    if (!source) {
+      return NextResponse.json({ error: 'Source not connected' }, { status: 404 });
+    }
+
+    const { error } = await retrySource(supabase, user.id, source);
+    if (error) {
+      console.error('Error retrying sync source:', error);
+      return NextResponse.json({ error: 'Failed to retry source' }, { status: 500 });
+    }
+
+    return NextResponse.json({ success: true, message: 'Retrying sync' });
+  } catch (error) {
+    console.error('Sources retry error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,17 +1,22 @@
 /**
  * Sync Sources API Route
  *
- * GET - Fetch user's connected sync sources
+ * GET - Fetch the sync sources connected to a collection (?collection=<id>, else the
+ * default one), each with its sync health: when bookmarks were last pushed to it, the
+ * last error, and its queued and dead-lettered pushes
  */
 
 import { NextResponse } from 'next/server';
 import { getUser, createClient } from '../../../lib/supabase/server';
+import { getSourceHealth } from '../../../lib/sync-queue';
+import { PUSH_PROVIDERS } from '../../../lib/external-sync';
+import { resolveRequestCollection } from '../../../lib/collections';
 
 /**
  * GET /api/sources
  * Fetch user's connected sync sources
  */
-export async function GET() {
+export async function GET(request) {
   try {
     const user = await getUser();
     if (!user) {
@@ -20,18 +25,35 @@ export async function GET() {
 
     const supabase = await createClient();
 
-    const { data: sources, error } = await supabase
-      .from('sync_sources')
-      .select(
-        'id, provider, provider_username, repository, branch, file_path, connected_at, updated_at'
-      )
-      .eq('user_id', user.id);
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status });
+    }
+
+    const [{ data: sources, error }, { data: jobs, error: jobsError }] = await Promise.all([
+      supabase
+        .from('sync_sources')
+        .select(
+          'id, provider, provider_username, repository, branch, file_path, connected_at, updated_at, last_success_at, last_error, last_error_at'
+        )
+        .eq('collection_id', collection.collectionId),
+      supabase
+        .from('sync_jobs')
+        .select('source_id, status, attempts, next_attempt_at')
+        .eq('collection_id', collection.collectionId),
+    ]);
 
     if (error) {
       console.error('Error fetching sync sources:', error);
       return NextResponse.json({ error: 'Failed to fetch sources' }, { status: 500 });
     }
 
+    // Without the jobs the sources are still listed, just without their health
+    if (jobsError) {
+      console.error('Error fetching sync jobs:', jobsError);
+    }
+    const hasHealth = (source) => !jobsError && PUSH_PROVIDERS.includes(source.provider);
+
     // Transform to a more extension-friendly format
     const connectedSources = (sources || []).map((source) => ({
       id: source.provider,
@@ -43,6 +65,7 @@ export async function GET() {
       connected: true,
       connectedAt: source.connected_at,
       updatedAt: source.updated_at,
+      health: hasHealth(source) ? getSourceHealth(source, jobs || []) : null,
     }));
 
     return NextResponse.json({ sources: connectedSources });
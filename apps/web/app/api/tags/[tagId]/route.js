@@ -1,12 +1,20 @@
 /**
  * @fileoverview API routes for managing individual tags (Pro feature)
  * GET - Get a specific tag
- * PATCH - Update a tag
+ * PATCH - Update a tag; renaming renames its nested tags too
  * DELETE - Delete a tag
  */
 
 import { NextResponse } from 'next/server';
 import { createClient } from '@/lib/supabase/server';
+import {
+  normalizeTagPath,
+  renameTagPath,
+  validateTagAliases,
+  validateTagName,
+} from '@marksyncr/core/tag-hierarchy';
+
+const TAG_COLUMNS = 'id, name, color, aliases, created_at';
 
 /**
  * GET /api/tags/[tagId] - Get a specific tag
@@ -29,7 +37,7 @@ export async function GET(request, { params }) {
     // Get the tag (RLS will ensure user can only access their own tags)
     const { data: tag, error: tagError } = await supabase
       .from('user_tags')
-      .select('id, name, color, created_at')
+      .select(TAG_COLUMNS)
       .eq('id', tagId)
       .eq('user_id', user.id)
       .single();
@@ -47,7 +55,12 @@ export async function GET(request, { params }) {
 
 /**
  * PATCH /api/tags/[tagId] - Update a tag
- * Body: { name?: string, color?: string }
+ * Body: { name?: string, color?: string, aliases?: string[] }
+ * Aliases can't be the name of any of the user's tags.
+ *
+ * A new name renames every tag nested under this one as well, and merges into a tag
+ * that already has the name. The old name becomes an alias, and devices replay the
+ * rename over their bookmarks on their next sync (GET /api/tags/sync).
  */
 export async function PATCH(request, { params }) {
   try {
@@ -86,27 +99,20 @@ export async function PATCH(request, { params }) {
     // Parse request body
     const body = await request.json();
     const updates = {};
+    let newName;
 
-    // Validate and add name if provided
+    // Validate the new name if provided
     if (body.name !== undefined) {
       if (typeof body.name !== 'string') {
         return NextResponse.json({ error: 'Invalid tag name' }, { status: 400 });
       }
 
-      const normalizedName = body.name.toLowerCase().trim();
-
-      if (normalizedName.length === 0) {
-        return NextResponse.json({ error: 'Tag name cannot be empty' }, { status: 400 });
-      }
-
-      if (normalizedName.length > 50) {
-        return NextResponse.json(
-          { error: 'Tag name must be 50 characters or less' },
-          { status: 400 }
-        );
+      const nameError = validateTagName(body.name);
+      if (nameError) {
+        return NextResponse.json({ error: nameError }, { status: 400 });
       }
 
-      updates.name = normalizedName;
+      newName = normalizeTagPath(body.name);
     }
 
     // Validate and add color if provided
@@ -121,27 +127,96 @@ export async function PATCH(request, { params }) {
       updates.color = body.color;
     }
 
+    // Validate and add aliases if provided; they replace the current ones
+    if (body.aliases !== undefined) {
+      const { valid, aliases, errors } = validateTagAliases(body.aliases, newName);
+      if (!valid) {
+        return NextResponse.json({ error: errors[0], errors }, { status: 400 });
+      }
+
+      const { data: userTags, error: tagsError } = await supabase
+        .from('user_tags')
+        .select('id, name')
+        .eq('user_id', user.id);
+
+      if (tagsError) {
+        console.error('Error fetching tags:', tagsError);
+        return NextResponse.json({ error: 'Failed to update tag' }, { status: 500 });
+      }
+
+      const current = (userTags || []).find((tag) => tag.id === tagId);
+      if (!current) {
+        return NextResponse.json({ error: 'Tag not found' }, { status: 404 });
+      }
+
+      // An alias can't be the tag's own name or another tag's, as they'll be after a rename
+      const name = newName ?? current.name;
+      const rename = { from: current.name, to: name };
+      const taken = new Set(
+        userTags
+          .filter((tag) => tag.id !== tagId)
+          .map((tag) => renameTagPath(tag.name, rename))
+          .filter((tagName) => tagName !== name)
+      );
+      const collision = aliases.find((alias) => taken.has(alias));
+      if (collision) {
+        return NextResponse.json(
+          { error: `"${collision}" is already the name of a tag` },
+          { status: 409 }
+        );
+      }
+
+      updates.aliases = aliases.filter((alias) => alias !== name);
+    }
+
     // Check if there's anything to update
-    if (Object.keys(updates).length === 0) {
+    if (newName === undefined && Object.keys(updates).length === 0) {
       return NextResponse.json({ error: 'No valid fields to update' }, { status: 400 });
     }
 
-    // Update the tag
-    const { data: tag, error: updateError } = await supabase
-      .from('user_tags')
-      .update(updates)
-      .eq('id', tagId)
-      .eq('user_id', user.id)
-      .select('id, name, color, created_at')
-      .single();
+    let tag = null;
+
+    // Rename (or merge) the tag and its nested tags in one transaction
+    if (newName !== undefined) {
+      const { data: renamed, error: renameError } = await supabase.rpc('rename_user_tag', {
+        p_tag_id: tagId,
+        p_name: newName,
+      });
+
+      if (renameError) {
+        if (renameError.code === 'P0002') {
+          return NextResponse.json({ error: 'Tag not found' }, { status: 404 });
+        }
+        if (renameError.code === '22023') {
+          return NextResponse.json({ error: renameError.message }, { status: 400 });
+        }
+        console.error('Error renaming tag:', renameError);
+        return NextResponse.json({ error: 'Failed to rename tag' }, { status: 500 });
+      }
 
-    if (updateError) {
-      // Check for duplicate name
-      if (updateError.code === '23505') {
-        return NextResponse.json({ error: 'A tag with this name already exists' }, { status: 409 });
+      const { id, name, color, aliases, created_at } = renamed;
+      tag = { id, name, color, aliases, created_at };
+    }
+
+    if (Object.keys(updates).length > 0) {
+      // A merge leaves the tag that took over the name, so update that one
+      const { data: updated, error: updateError } = await supabase
+        .from('user_tags')
+        .update(updates)
+        .eq('id', tag?.id ?? tagId)
+        .eq('user_id', user.id)
+        .select(TAG_COLUMNS)
+        .single();
+
+      if (updateError) {
+        if (updateError.code === 'PGRST116') {
+          return NextResponse.json({ error: 'Tag not found' }, { status: 404 });
+        }
+        console.error('Error updating tag:', updateError);
+        return NextResponse.json({ error: 'Failed to update tag' }, { status: 500 });
       }
-      console.error('Error updating tag:', updateError);
-      return NextResponse.json({ error: 'Failed to update tag' }, { status: 500 });
+
+      tag = updated;
     }
 
     if (!tag) {
@@ -6,6 +6,7 @@
 
 import { NextResponse } from 'next/server';
 import { createClient } from '@/lib/supabase/server';
+import { normalizeTagPath, validateTagName } from '@marksyncr/core/tag-hierarchy';
 
 /**
  * GET /api/tags - Get all tags for the authenticated user
@@ -46,7 +47,7 @@ export async function GET() {
     // Get user's tags
     const { data: tags, error: tagsError } = await supabase
       .from('user_tags')
-      .select('id, name, color, created_at')
+      .select('id, name, color, aliases, created_at')
       .eq('user_id', user.id)
       .order('name', { ascending: true });
 
@@ -64,7 +65,7 @@ export async function GET() {
 
 /**
  * POST /api/tags - Create a new tag
- * Body: { name: string, color?: string }
+ * Body: { name: string, color?: string } - name may be nested, e.g. "dev/js"
  */
 export async function POST(request) {
   try {
@@ -107,19 +108,12 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Tag name is required' }, { status: 400 });
     }
 
-    // Normalize tag name
-    const normalizedName = name.toLowerCase().trim();
-
-    if (normalizedName.length === 0) {
-      return NextResponse.json({ error: 'Tag name cannot be empty' }, { status: 400 });
-    }
-
-    if (normalizedName.length > 50) {
-      return NextResponse.json(
-        { error: 'Tag name must be 50 characters or less' },
-        { status: 400 }
-      );
+    // Normalize tag name; "/" nests it under other tags
+    const nameError = validateTagName(name);
+    if (nameError) {
+      return NextResponse.json({ error: nameError }, { status: 400 });
     }
+    const normalizedName = normalizeTagPath(name);
 
     // Validate color format
     const colorRegex = /^#[0-9A-Fa-f]{6}$/;
@@ -138,7 +132,7 @@ export async function POST(request) {
         name: normalizedName,
         color,
       })
-      .select('id, name, color, created_at')
+      .select('id, name, color, aliases, created_at')
       .single();
 
     if (createError) {
@@ -0,0 +1,88 @@
+/**
+ * GET /api/tags/sync - Tags and the tag renames a device hasn't applied yet
+ * Query: after - id of the last rename the device applied (its cursor)
+ *
+ * Bookmarks are tagged in each browser, so a rename made on the server
+ * (PATCH /api/tags/[tagId]) reaches a device's bookmarks when the device replays it.
+ * Devices call this on every sync, apply the renames in order and keep the returned
+ * cursor for next time. A device with a long backlog gets the rest on later syncs.
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+
+const METHODS = ['GET', 'OPTIONS'];
+
+/**
+ * Most renames returned per request
+ */
+const RENAMES_PER_SYNC = 500;
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const after = Math.max(parseInt(searchParams.get('after'), 10) || 0, 0);
+
+    const { data: renames, error: renamesError } = await supabase
+      .from('tag_renames')
+      .select('id, from_name, to_name')
+      .eq('user_id', user.id)
+      .gt('id', after)
+      .order('id', { ascending: true })
+      .limit(RENAMES_PER_SYNC);
+
+    if (renamesError) {
+      console.error('Error fetching tag renames:', renamesError);
+      return NextResponse.json({ error: 'Failed to fetch tag renames' }, { status: 500, headers });
+    }
+
+    const { data: tags, error: tagsError } = await supabase
+      .from('user_tags')
+      .select('name, color, aliases')
+      .eq('user_id', user.id)
+      .order('name', { ascending: true });
+
+    if (tagsError) {
+      console.error('Error fetching tags:', tagsError);
+      return NextResponse.json({ error: 'Failed to fetch tags' }, { status: 500, headers });
+    }
+
+    const list = renames || [];
+
+    return NextResponse.json(
+      {
+        tags: tags || [],
+        renames: list.map((rename) => ({
+          id: rename.id,
+          from: rename.from_name,
+          to: rename.to_name,
+        })),
+        cursor: list.length > 0 ? list[list.length - 1].id : after,
+      },
+      { headers }
+    );
+  } catch (error) {
+    console.error('Tag sync error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * GET /api/teams/[teamId]/folders - List a team's shared folders
+ * POST /api/teams/[teamId]/folders - Create a shared folder (owners)
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { canManageTeam } from '@marksyncr/core/shared-folders';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { resolveTeamRole, toSharedFolder, validateTeamName } from '@/lib/teams';
+
+const METHODS = ['GET', 'POST', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { teamId } = await params;
+    const { role, error: roleError, status } = await resolveTeamRole(supabase, teamId, user.id);
+    if (roleError) {
+      return NextResponse.json({ error: roleError }, { status, headers });
+    }
+
+    const { data, error } = await supabase
+      .from('shared_folders')
+      .select('id, team_id, name, version, updated_at')
+      .eq('team_id', teamId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Shared folders fetch error:', error);
+      return NextResponse.json({ error: 'Failed to fetch folders' }, { status: 500, headers });
+    }
+
+    return NextResponse.json(
+      { folders: (data || []).map((row) => toSharedFolder(row, role)) },
+      { headers }
+    );
+  } catch (error) {
+    console.error('Team folders GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+/**
+ * Body: { name }
+ */
+export async function POST(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { teamId } = await params;
+    const { role, error: roleError, status } = await resolveTeamRole(supabase, teamId, user.id);
+    if (roleError) {
+      return NextResponse.json({ error: roleError }, { status, headers });
+    }
+    if (!canManageTeam(role)) {
+      return NextResponse.json(
+        { error: 'Only team owners can create shared folders' },
+        { status: 403, headers }
+      );
+    }
+
+    const body = await request.json();
+    const validation = validateTeamName(body?.name);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { error: `Invalid folder: ${validation.errors.join(', ')}` },
+        { status: 400, headers }
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('shared_folders')
+      .insert({
+        team_id: teamId,
+        name: body.name.trim(),
+        created_by: user.id,
+        updated_by: user.id,
+      })
+      .select('id, team_id, name, items, version, updated_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return NextResponse.json(
+          { error: 'The team already has a folder with this name' },
+          { status: 409, headers }
+        );
+      }
+      console.error('Shared folder create error:', error);
+      return NextResponse.json({ error: 'Failed to create folder' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ folder: toSharedFolder(data, role) }, { status: 201, headers });
+  } catch (error) {
+    console.error('Team folders POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
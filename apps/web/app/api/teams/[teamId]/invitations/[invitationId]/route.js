@@ -0,0 +1,71 @@
+/**
+ * DELETE /api/teams/[teamId]/invitations/[invitationId] - Revoke an invitation (owners)
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { canManageTeam } from '@marksyncr/core/shared-folders';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { isTeamRowId, resolveTeamRole } from '@/lib/teams';
+
+const METHODS = ['DELETE', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function DELETE(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { teamId, invitationId } = await params;
+    const { role, error: roleError, status } = await resolveTeamRole(supabase, teamId, user.id);
+    if (roleError) {
+      return NextResponse.json({ error: roleError }, { status, headers });
+    }
+    if (!canManageTeam(role)) {
+      return NextResponse.json(
+        { error: 'Only team owners can revoke invitations' },
+        { status: 403, headers }
+      );
+    }
+    if (!isTeamRowId(invitationId)) {
+      return NextResponse.json({ error: 'Invitation not found' }, { status: 404, headers });
+    }
+
+    const { data, error } = await supabase
+      .from('team_invitations')
+      .delete()
+      .eq('id', invitationId)
+      .eq('team_id', teamId)
+      .is('accepted_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Team invitation delete error:', error);
+      return NextResponse.json({ error: 'Failed to revoke invitation' }, { status: 500, headers });
+    }
+    if (!data) {
+      return NextResponse.json({ error: 'Invitation not found' }, { status: 404, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (error) {
+    console.error('Team invitation DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
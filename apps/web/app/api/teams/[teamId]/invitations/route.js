@@ -0,0 +1,182 @@
+/**
+ * GET /api/teams/[teamId]/invitations - List a team's open invitations (owners)
+ * POST /api/teams/[teamId]/invitations - Invite someone to a team (owners)
+ *
+ * The response to POST carries the invitation link, which the owner passes on to
+ * the invitee; only its hash is stored, so it can't be shown again. The invitee
+ * must sign in with the invited email address to accept.
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { TEAM_ROLE } from '@marksyncr/types';
+import { canManageTeam } from '@marksyncr/core/shared-folders';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import {
+  createInviteToken,
+  getInviteUrl,
+  hasTeamPlan,
+  resolveTeamRole,
+  toInvitation,
+} from '@/lib/teams';
+
+const METHODS = ['GET', 'POST', 'OPTIONS'];
+
+const INVITABLE_ROLES = [TEAM_ROLE.EDITOR, TEAM_ROLE.VIEWER];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { teamId } = await params;
+    const { role, error: roleError, status } = await resolveTeamRole(supabase, teamId, user.id);
+    if (roleError) {
+      return NextResponse.json({ error: roleError }, { status, headers });
+    }
+    if (!canManageTeam(role)) {
+      return NextResponse.json(
+        { error: 'Only team owners can view invitations' },
+        { status: 403, headers }
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('team_invitations')
+      .select('id, email, role, created_at, expires_at')
+      .eq('team_id', teamId)
+      .is('accepted_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Team invitations fetch error:', error);
+      return NextResponse.json({ error: 'Failed to fetch invitations' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ invitations: (data || []).map(toInvitation) }, { headers });
+  } catch (error) {
+    console.error('Team invitations GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+/**
+ * Body: { email, role?: 'editor' | 'viewer' }
+ */
+export async function POST(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { teamId } = await params;
+    const { role, error: roleError, status } = await resolveTeamRole(supabase, teamId, user.id);
+    if (roleError) {
+      return NextResponse.json({ error: roleError }, { status, headers });
+    }
+    if (!canManageTeam(role)) {
+      return NextResponse.json(
+        { error: 'Only team owners can invite members' },
+        { status: 403, headers }
+      );
+    }
+    if (!(await hasTeamPlan(supabase, user.id))) {
+      return NextResponse.json(
+        { error: 'Inviting members requires a Team subscription', code: 'TEAM_REQUIRED' },
+        { status: 403, headers }
+      );
+    }
+
+    const body = await request.json();
+    const email = typeof body?.email === 'string' ? body.email.trim().toLowerCase() : '';
+    const inviteRole = body?.role ?? TEAM_ROLE.VIEWER;
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return NextResponse.json({ error: 'A valid email is required' }, { status: 400, headers });
+    }
+    if (!INVITABLE_ROLES.includes(inviteRole)) {
+      return NextResponse.json(
+        { error: 'role must be one of editor, viewer' },
+        { status: 400, headers }
+      );
+    }
+
+    const { data: existing } = await supabase
+      .from('team_members')
+      .select('user_id')
+      .eq('team_id', teamId)
+      .eq('email', email)
+      .maybeSingle();
+
+    if (existing) {
+      return NextResponse.json(
+        { error: 'This person is already a member of the team' },
+        { status: 409, headers }
+      );
+    }
+
+    // An earlier invitation that expired unaccepted would block a new one
+    await supabase
+      .from('team_invitations')
+      .delete()
+      .eq('team_id', teamId)
+      .eq('email', email)
+      .is('accepted_at', null)
+      .lte('expires_at', new Date().toISOString());
+
+    const { token, tokenHash } = createInviteToken();
+    const { data, error } = await supabase
+      .from('team_invitations')
+      .insert({
+        team_id: teamId,
+        email,
+        role: inviteRole,
+        token_hash: tokenHash,
+        invited_by: user.id,
+      })
+      .select('id, email, role, created_at, expires_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return NextResponse.json(
+          { error: 'This person already has an open invitation' },
+          { status: 409, headers }
+        );
+      }
+      console.error('Team invitation create error:', error);
+      return NextResponse.json({ error: 'Failed to create invitation' }, { status: 500, headers });
+    }
+
+    return NextResponse.json(
+      { invitation: toInvitation(data), inviteUrl: getInviteUrl(token) },
+      { status: 201, headers }
+    );
+  } catch (error) {
+    console.error('Team invitations POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * PATCH /api/teams/[teamId]/members/[userId] - Change a member's role (owners)
+ * DELETE /api/teams/[teamId]/members/[userId] - Remove a member (owners), or leave
+ *   the team (the member themselves)
+ *
+ * A team always keeps at least one owner.
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { TEAM_ROLE } from '@marksyncr/types';
+import { canManageTeam, isTeamRole } from '@marksyncr/core/shared-folders';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { resolveTeamRole, toMember } from '@/lib/teams';
+
+const METHODS = ['PATCH', 'DELETE', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+/**
+ * Load a member and check whether they are the team's only owner
+ * @returns {Promise<{member: Object|null, isLastOwner: boolean, error: Object|null}>}
+ */
+async function getMember(supabase, teamId, userId) {
+  const { data: owners, error: ownersError } = await supabase
+    .from('team_members')
+    .select('user_id')
+    .eq('team_id', teamId)
+    .eq('role', TEAM_ROLE.OWNER);
+
+  if (ownersError) return { member: null, isLastOwner: false, error: ownersError };
+
+  const { data: member, error } = await supabase
+    .from('team_members')
+    .select('user_id, email, role, created_at')
+    .eq('team_id', teamId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  const isLastOwner =
+    member?.role === TEAM_ROLE.OWNER && (owners || []).every((o) => o.user_id === userId);
+  return { member, isLastOwner, error };
+}
+
+/**
+ * Body: { role: 'owner' | 'editor' | 'viewer' }
+ */
+export async function PATCH(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { teamId, userId } = await params;
+    const { role, error: roleError, status } = await resolveTeamRole(supabase, teamId, user.id);
+    if (roleError) {
+      return NextResponse.json({ error: roleError }, { status, headers });
+    }
+    if (!canManageTeam(role)) {
+      return NextResponse.json(
+        { error: 'Only team owners can change roles' },
+        { status: 403, headers }
+      );
+    }
+
+    const body = await request.json();
+    if (!isTeamRole(body?.role)) {
+      return NextResponse.json(
+        { error: 'role must be one of owner, editor, viewer' },
+        { status: 400, headers }
+      );
+    }
+
+    const { member, isLastOwner, error: memberError } = await getMember(supabase, teamId, userId);
+    if (memberError) {
+      console.error('Team member fetch error:', memberError);
+      return NextResponse.json({ error: 'Failed to change role' }, { status: 500, headers });
+    }
+    if (!member) {
+      return NextResponse.json({ error: 'Member not found' }, { status: 404, headers });
+    }
+    if (isLastOwner && body.role !== TEAM_ROLE.OWNER) {
+      return NextResponse.json(
+        { error: 'A team needs at least one owner; make someone else owner first' },
+        { status: 400, headers }
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('team_members')
+      .update({ role: body.role })
+      .eq('team_id', teamId)
+      .eq('user_id', userId)
+      .select('user_id, email, role, created_at')
+      .single();
+
+    if (error) {
+      console.error('Team member role update error:', error);
+      return NextResponse.json({ error: 'Failed to change role' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ member: toMember(data) }, { headers });
+  } catch (error) {
+    console.error('Team member PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { teamId, userId } = await params;
+    const { role, error: roleError, status } = await resolveTeamRole(supabase, teamId, user.id);
+    if (roleError) {
+      return NextResponse.json({ error: roleError }, { status, headers });
+    }
+    if (userId !== user.id && !canManageTeam(role)) {
+      return NextResponse.json(
+        { error: 'Only team owners can remove members' },
+        { status: 403, headers }
+      );
+    }
+
+    const { member, isLastOwner, error: memberError } = await getMember(supabase, teamId, userId);
+    if (memberError) {
+      console.error('Team member fetch error:', memberError);
+      return NextResponse.json({ error: 'Failed to remove member' }, { status: 500, headers });
+    }
+    if (!member) {
+      return NextResponse.json({ error: 'Member not found' }, { status: 404, headers });
+    }
+    if (isLastOwner) {
+      return NextResponse.json(
+        { error: 'The last owner cannot leave; delete the team or make someone else owner' },
+        { status: 400, headers }
+      );
+    }
+
+    const { error } = await supabase
+      .from('team_members')
+      .delete()
+      .eq('team_id', teamId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Team member delete error:', error);
+      return NextResponse.json({ error: 'Failed to remove member' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (error) {
+    console.error('Team member DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * GET /api/teams/[teamId]/members - List a team's members and their roles
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { resolveTeamRole, toMember } from '@/lib/teams';
+
+const METHODS = ['GET', 'OPTIONS'];
+
+const ROLE_ORDER = { owner: 0, editor: 1, viewer: 2 };
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { teamId } = await params;
+    const { error: roleError, status } = await resolveTeamRole(supabase, teamId, user.id);
+    if (roleError) {
+      return NextResponse.json({ error: roleError }, { status, headers });
+    }
+
+    const { data, error } = await supabase
+      .from('team_members')
+      .select('user_id, email, role, created_at')
+      .eq('team_id', teamId);
+
+    if (error) {
+      console.error('Team members fetch error:', error);
+      return NextResponse.json({ error: 'Failed to fetch members' }, { status: 500, headers });
+    }
+
+    // Owners first, then editors and viewers, each by email
+    const members = (data || [])
+      .map((row) => ({ ...toMember(row), isSelf: row.user_id === user.id }))
+      .sort((a, b) => ROLE_ORDER[a.role] - ROLE_ORDER[b.role] || a.email.localeCompare(b.email));
+
+    return NextResponse.json({ members }, { headers });
+  } catch (error) {
+    console.error('Team members GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * PATCH /api/teams/[teamId] - Rename a team (owners)
+ * DELETE /api/teams/[teamId] - Delete a team with its shared folders (owners)
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { canManageTeam } from '@marksyncr/core/shared-folders';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { resolveTeamRole, toTeam, validateTeamName } from '@/lib/teams';
+
+const METHODS = ['PATCH', 'DELETE', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+/**
+ * Body: { name }
+ */
+export async function PATCH(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { teamId } = await params;
+    const { role, error: roleError, status } = await resolveTeamRole(supabase, teamId, user.id);
+    if (roleError) {
+      return NextResponse.json({ error: roleError }, { status, headers });
+    }
+    if (!canManageTeam(role)) {
+      return NextResponse.json(
+        { error: 'Only team owners can rename the team' },
+        { status: 403, headers }
+      );
+    }
+
+    const body = await request.json();
+    const validation = validateTeamName(body?.name);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { error: `Invalid team: ${validation.errors.join(', ')}` },
+        { status: 400, headers }
+      );
+    }
+
+    const { data, error } = await supabase
+      .from('teams')
+      .update({ name: body.name.trim() })
+      .eq('id', teamId)
+      .select('id, name, created_at')
+      .single();
+
+    if (error) {
+      console.error('Team rename error:', error);
+      return NextResponse.json({ error: 'Failed to rename team' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ team: toTeam(data, role) }, { headers });
+  } catch (error) {
+    console.error('Team PATCH error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { teamId } = await params;
+    const { role, error: roleError, status } = await resolveTeamRole(supabase, teamId, user.id);
+    if (roleError) {
+      return NextResponse.json({ error: roleError }, { status, headers });
+    }
+    if (!canManageTeam(role)) {
+      return NextResponse.json(
+        { error: 'Only team owners can delete the team' },
+        { status: 403, headers }
+      );
+    }
+
+    // Members, invitations and shared folders cascade
+    const { error } = await supabase.from('teams').delete().eq('id', teamId);
+
+    if (error) {
+      console.error('Team delete error:', error);
+      return NextResponse.json({ error: 'Failed to delete team' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ success: true }, { headers });
+  } catch (error) {
+    console.error('Team DELETE error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
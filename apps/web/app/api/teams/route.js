@@ -0,0 +1,102 @@
+/**
+ * GET /api/teams - List the teams the user belongs to, with their role
+ * POST /api/teams - Create a team; the creator becomes its owner
+ *
+ * Authentication: Session cookie (web) OR Bearer token (extension)
+ */
+
+import { NextResponse } from 'next/server';
+import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { hasTeamPlan, toTeam, validateTeamName } from '@/lib/teams';
+
+const METHODS = ['GET', 'POST', 'OPTIONS'];
+
+/**
+ * Handle CORS preflight requests
+ */
+export async function OPTIONS(request) {
+  return new NextResponse(null, {
+    status: 204,
+    headers: corsHeaders(request, METHODS),
+  });
+}
+
+export async function GET(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    const { data, error } = await supabase
+      .from('team_members')
+      .select('role, teams(id, name, created_at)')
+      .eq('user_id', user.id);
+
+    if (error) {
+      console.error('Teams fetch error:', error);
+      return NextResponse.json({ error: 'Failed to fetch teams' }, { status: 500, headers });
+    }
+
+    const teams = (data || [])
+      .filter((membership) => membership.teams)
+      .map((membership) => toTeam(membership.teams, membership.role))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return NextResponse.json({ teams }, { headers });
+  } catch (error) {
+    console.error('Teams GET error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
+
+/**
+ * Body: { name }
+ */
+export async function POST(request) {
+  const headers = corsHeaders(request, METHODS);
+
+  try {
+    const { user, supabase } = await getAuthenticatedUser(request);
+
+    if (!user || !supabase) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+
+    if (!(await hasTeamPlan(supabase, user.id))) {
+      return NextResponse.json(
+        { error: 'Teams require a Team subscription', code: 'TEAM_REQUIRED' },
+        { status: 403, headers }
+      );
+    }
+
+    const body = await request.json();
+    const validation = validateTeamName(body?.name);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { error: `Invalid team: ${validation.errors.join(', ')}` },
+        { status: 400, headers }
+      );
+    }
+
+    // The on_team_created_add_owner trigger adds the creator as owner
+    const { data, error } = await supabase
+      .from('teams')
+      .insert({ name: body.name.trim(), created_by: user.id })
+      .select('id, name, created_at')
+      .single();
+
+    if (error) {
+      console.error('Team create error:', error);
+      return NextResponse.json({ error: 'Failed to create team' }, { status: 500, headers });
+    }
+
+    return NextResponse.json({ team: toTeam(data, 'owner') }, { status: 201, headers });
+  } catch (error) {
+    console.error('Teams POST error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500, headers });
+  }
+}
@@ -7,6 +7,7 @@
 
 import { NextResponse } from 'next/server';
 import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { resolveRequestCollection } from '@/lib/collections';
 
 const METHODS = ['POST', 'OPTIONS'];
 
@@ -34,6 +35,11 @@ export async function POST(request, { params }) {
       return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
     }
 
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status, headers });
+    }
+
     const { version } = await params;
     const targetVersion = parseInt(version, 10);
 
@@ -53,6 +59,7 @@ export async function POST(request, { params }) {
 
     const { data, error } = await supabase.rpc('rollback_to_version', {
       p_user_id: user.id,
+      p_collection_id: collection.collectionId,
       p_target_version: targetVersion,
     });
 
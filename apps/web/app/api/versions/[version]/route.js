@@ -8,6 +8,7 @@
 
 import { NextResponse } from 'next/server';
 import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { resolveRequestCollection } from '@/lib/collections';
 
 const METHODS = ['GET', 'OPTIONS'];
 
@@ -35,6 +36,11 @@ export async function GET(request, { params }) {
       return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
     }
 
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status, headers });
+    }
+
     const { version } = await params;
     const versionNum = parseInt(version, 10);
 
@@ -44,6 +50,7 @@ export async function GET(request, { params }) {
 
     const { data, error } = await supabase.rpc('get_version_data', {
       p_user_id: user.id,
+      p_collection_id: collection.collectionId,
       p_version: versionNum,
     });
 
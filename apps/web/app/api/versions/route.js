@@ -5,6 +5,9 @@
  *
  * Authentication: Session cookie (web) OR Bearer token (extension)
  *
+ * Each collection has its own history; the X-MarkSyncr-Collection header or
+ * ?collection= picks one (see lib/collections.js).
+ *
  * IMPORTANT: Version deduplication
  * - Before creating a new version, we check if the latest version has the same checksum
  * - If checksums match, we skip creating a new version to avoid cluttering history
@@ -13,6 +16,7 @@
 
 import { NextResponse } from 'next/server';
 import { corsHeaders, getAuthenticatedUser } from '@/lib/auth-helper';
+import { resolveRequestCollection } from '@/lib/collections';
 import crypto from 'crypto';
 
 const METHODS = ['GET', 'POST', 'OPTIONS'];
@@ -175,12 +179,18 @@ export async function GET(request) {
       return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
     }
 
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status, headers });
+    }
+
     const { searchParams } = new URL(request.url);
     const limit = parseInt(searchParams.get('limit') || '20', 10);
     const offset = parseInt(searchParams.get('offset') || '0', 10);
 
     const { data, error } = await supabase.rpc('get_version_history', {
       p_user_id: user.id,
+      p_collection_id: collection.collectionId,
       p_limit: limit,
       p_offset: offset,
     });
@@ -241,6 +251,11 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Authentication required' }, { status: 401, headers });
     }
 
+    const collection = await resolveRequestCollection(supabase, user.id, request);
+    if (collection.error) {
+      return NextResponse.json({ error: collection.error }, { status: collection.status, headers });
+    }
+
     const body = await request.json();
     const { bookmarkData, sourceType, sourceName, deviceId, deviceName, changeSummary } = body;
 
@@ -261,7 +276,7 @@ export async function POST(request) {
     const { data: latestVersions, error: fetchError } = await supabase
       .from('bookmark_versions')
       .select('id, version, checksum, created_at')
-      .eq('user_id', user.id)
+      .eq('collection_id', collection.collectionId)
       .order('version', { ascending: false })
       .limit(1);
 
@@ -299,6 +314,7 @@ export async function POST(request) {
 
     const { data, error } = await supabase.rpc('save_bookmark_version', {
       p_user_id: user.id,
+      p_collection_id: collection.collectionId,
       p_bookmark_data: bookmarkData,
       p_checksum: checksum,
       p_source_type: sourceType,
@@ -4,9 +4,22 @@ import { useState, useEffect, useCallback } from 'react';
 import Link from 'next/link';
 import Image from 'next/image';
 
+/**
+ * Adds the collection named in the page URL (?collection=<id>) to a versions API URL
+ * @param {string} path
+ * @returns {string}
+ */
+const collectionApiUrl = (path) => {
+  const collectionId = new URLSearchParams(window.location.search).get('collection');
+  if (!collectionId) return path;
+  const separator = path.includes('?') ? '&' : '?';
+  return `${path}${separator}collection=${encodeURIComponent(collectionId)}`;
+};
+
 /**
  * Version History Page
- * Shows bookmark sync history with rollback functionality and bookmark browser
+ * Shows bookmark sync history of a collection with rollback functionality and
+ * bookmark browser
  */
 export default function HistoryPage() {
   const [versions, setVersions] = useState([]);
@@ -39,7 +52,9 @@ export default function HistoryPage() {
       }
 
       const currentOffset = loadMore ? offset : 0;
-      const response = await fetch(`/api/versions?limit=${PAGE_SIZE}&offset=${currentOffset}`);
+      const response = await fetch(
+        collectionApiUrl(`/api/versions?limit=${PAGE_SIZE}&offset=${currentOffset}`)
+      );
       const data = await response.json();
 
       if (!response.ok) {
@@ -70,7 +85,7 @@ export default function HistoryPage() {
   const fetchVersionData = useCallback(async (version) => {
     try {
       setLoadingVersionData(true);
-      const response = await fetch(`/api/versions/${version}`);
+      const response = await fetch(collectionApiUrl(`/api/versions/${version}`));
       const data = await response.json();
 
       if (!response.ok) {
@@ -113,7 +128,7 @@ export default function HistoryPage() {
       setRollbackLoading(true);
       setRollbackSuccess(null);
 
-      const response = await fetch(`/api/versions/${version}/rollback`, {
+      const response = await fetch(collectionApiUrl(`/api/versions/${version}/rollback`), {
         method: 'POST',
       });
 
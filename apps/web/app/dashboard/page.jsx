@@ -2,6 +2,10 @@ import { redirect } from 'next/navigation';
 import Link from 'next/link';
 import Image from 'next/image';
 import { getUser, createClient } from '../../lib/supabase/server';
+import { getSourceHealth } from '../../lib/sync-queue';
+import { PUSH_PROVIDERS } from '../../lib/external-sync';
+import { getDefaultCollectionId, resolveCollection, toCollection } from '../../lib/collections';
+import { BROKEN_STATUSES } from '../../lib/link-health';
 import DashboardClient from './dashboard-client';
 import SyncSourcesClient from './sync-sources-client';
 
@@ -26,15 +30,35 @@ async function getUserSubscription(userId) {
 }
 
 /**
- * Get user devices from server
+ * Get the user's collections from server, the default one first
  * @param {string} userId
  */
-async function getUserDevices(userId) {
+async function getUserCollections(userId) {
+  const supabase = await createClient();
+  const { data, error } = await supabase
+    .from('collections')
+    .select('id, user_id, name, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error getting collections:', error.message);
+    return [];
+  }
+
+  return (data || []).map(toCollection).sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+}
+
+/**
+ * Get the devices syncing with a collection from server
+ * @param {string} collectionId
+ */
+async function getUserDevices(collectionId) {
   const supabase = await createClient();
   const { data, error } = await supabase
     .from('devices')
     .select('*')
-    .eq('user_id', userId)
+    .eq('collection_id', collectionId)
     .order('last_seen_at', { ascending: false });
 
   if (error) {
@@ -46,19 +70,90 @@ async function getUserDevices(userId) {
 }
 
 /**
- * Get connected sync sources from server
- * @param {string} userId
+ * Get the sync sources connected to a collection from server, with the sync health of
+ * external sources
+ * Tokens and WebDAV passwords stay on the server; only display fields reach the client.
+ * @param {string} collectionId
  */
-async function getConnectedSources(userId) {
+async function getConnectedSources(collectionId) {
   const supabase = await createClient();
-  const { data, error } = await supabase.from('sync_sources').select('*').eq('user_id', userId);
+  const [{ data, error }, { data: jobs, error: jobsError }] = await Promise.all([
+    supabase
+      .from('sync_sources')
+      .select(
+        'id, provider, provider_username, repository, branch, file_path, config, connected_at, last_success_at, last_error, last_error_at'
+      )
+      .eq('collection_id', collectionId),
+    supabase
+      .from('sync_jobs')
+      .select('source_id, status, attempts, next_attempt_at')
+      .eq('collection_id', collectionId),
+  ]);
 
   if (error) {
     console.error('Error getting sync sources:', error.message);
     return [];
   }
 
-  return data || [];
+  if (jobsError) {
+    console.error('Error getting sync jobs:', jobsError.message);
+  }
+
+  return (data || []).map((source) => ({
+    ...source,
+    health:
+      !jobsError && PUSH_PROVIDERS.includes(source.provider)
+        ? getSourceHealth(source, jobs || [])
+        : null,
+  }));
+}
+
+/**
+ * Get the results of the user's scheduled link health scans from server: the last
+ * finished scan, the links broken now and the ones that broke in that scan
+ * @param {string} userId
+ */
+async function getLinkHealth(userId) {
+  const supabase = await createClient();
+  const [{ data: runs, error }, { count: brokenCount, error: countError }] = await Promise.all([
+    supabase
+      .from('link_scan_runs')
+      .select('id, status, finished_at, checked, newly_broken, recovered')
+      .eq('user_id', userId)
+      .neq('status', 'running')
+      .order('started_at', { ascending: false })
+      .limit(1),
+    supabase
+      .from('link_checks')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .in('status', BROKEN_STATUSES),
+  ]);
+
+  if (error || countError) {
+    console.error('Error getting link health:', (error || countError).message);
+    return null;
+  }
+
+  const lastRun = runs?.[0] ?? null;
+  let newlyBroken = [];
+  if (lastRun?.newly_broken > 0) {
+    const { data: changes, error: historyError } = await supabase
+      .from('link_check_history')
+      .select('url, status_code, checked_at')
+      .eq('run_id', lastRun.id)
+      .in('status', BROKEN_STATUSES)
+      .not('previous_status', 'in', `(${BROKEN_STATUSES.join(',')})`)
+      .order('url', { ascending: true })
+      .limit(5);
+
+    if (historyError) {
+      console.error('Error getting link history:', historyError.message);
+    }
+    newlyBroken = changes || [];
+  }
+
+  return { lastRun, brokenCount: brokenCount ?? 0, newlyBroken };
 }
 
 export default async function DashboardPage({ searchParams }) {
@@ -68,13 +163,27 @@ export default async function DashboardPage({ searchParams }) {
     redirect('/login');
   }
 
-  const [subscription, devices, connectedSources] = await Promise.all([
+  const params = await searchParams;
+
+  // The dashboard shows one collection at a time, ?collection=<id> or the default one
+  const collection = await resolveCollection(
+    await createClient(),
+    user.id,
+    params?.collection || null
+  );
+  if (collection.error) {
+    redirect('/dashboard');
+  }
+  const { collectionId } = collection;
+
+  const [subscription, collections, devices, connectedSources, linkHealth] = await Promise.all([
     getUserSubscription(user.id),
-    getUserDevices(user.id),
-    getConnectedSources(user.id),
+    getUserCollections(user.id),
+    getUserDevices(collectionId),
+    getConnectedSources(collectionId),
+    getLinkHealth(user.id),
   ]);
 
-  const params = await searchParams;
   const checkoutStatus = params?.checkout;
   const connectedProvider = params?.connected;
   const errorMessage = params?.error;
@@ -153,6 +262,10 @@ export default async function DashboardPage({ searchParams }) {
 
         <h1 className="mb-8 text-2xl font-bold text-slate-900">Dashboard</h1>
 
+        {collections.length > 1 && (
+          <CollectionSwitcher collections={collections} collectionId={collectionId} />
+        )}
+
         <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
           {/* Subscription Card */}
           <SubscriptionCard subscription={subscription} />
@@ -161,16 +274,52 @@ export default async function DashboardPage({ searchParams }) {
           <DevicesCard devices={devices} />
 
           {/* Quick Actions Card */}
-          <QuickActionsCard />
+          <QuickActionsCard
+            collectionQuery={
+              collectionId === getDefaultCollectionId(user.id) ? '' : `?collection=${collectionId}`
+            }
+          />
+
+          {/* Link Health Card */}
+          {linkHealth?.lastRun && <LinkHealthCard linkHealth={linkHealth} />}
         </div>
 
         {/* Sync Sources Section */}
-        <SyncSourcesClient subscription={subscription} connectedSources={connectedSources} />
+        <SyncSourcesClient
+          subscription={subscription}
+          connectedSources={connectedSources}
+          collectionId={collectionId === getDefaultCollectionId(user.id) ? null : collectionId}
+        />
       </main>
     </div>
   );
 }
 
+/**
+ * Links to the user's collections; devices and sync sources below belong to the
+ * selected one
+ */
+function CollectionSwitcher({ collections, collectionId }) {
+  return (
+    <nav className="mb-6 flex flex-wrap items-center gap-2">
+      <span className="text-sm text-slate-600">Collection:</span>
+      {collections.map((c) => (
+        <Link
+          key={c.id}
+          href={c.isDefault ? '/dashboard' : `/dashboard?collection=${c.id}`}
+          className={`rounded-full px-3 py-1 text-sm font-medium ${
+            c.id === collectionId
+              ? 'bg-primary-100 text-primary-700'
+              : 'bg-white text-slate-700 hover:bg-slate-100'
+          }`}
+        >
+          {c.name}
+        </Link>
+      ))}
+    </nav>
+  );
+}
+
 function SubscriptionCard({ subscription }) {
   const plan = subscription?.plan || 'free';
 
@@ -327,7 +476,50 @@ function DevicesCard({ devices }) {
   );
 }
 
-function QuickActionsCard() {
+function LinkHealthCard({ linkHealth }) {
+  const { lastRun, brokenCount, newlyBroken } = linkHealth;
+
+  return (
+    <div className="rounded-xl border border-slate-200 bg-white p-6">
+      <h2 className="mb-4 text-lg font-semibold text-slate-900">Link Health</h2>
+      <div className="mb-4 flex items-baseline justify-between">
+        <span
+          className={`text-2xl font-bold ${brokenCount > 0 ? 'text-red-600' : 'text-green-600'}`}
+        >
+          {brokenCount}
+        </span>
+        <span className="text-sm text-slate-500">
+          broken {brokenCount === 1 ? 'link' : 'links'}
+        </span>
+      </div>
+      <p className="text-xs text-slate-500">
+        {lastRun.status === 'failed' ? 'Last scan failed' : 'Last scanned'}{' '}
+        {new Date(lastRun.finished_at).toLocaleString()}
+        {lastRun.status === 'completed' &&
+          ` • ${lastRun.checked} checked, ${lastRun.recovered} recovered`}
+      </p>
+      {newlyBroken.length > 0 && (
+        <div className="mt-4">
+          <p className="mb-2 text-sm font-medium text-slate-900">
+            Broke since the previous scan ({lastRun.newly_broken})
+          </p>
+          <ul className="space-y-2">
+            {newlyBroken.map((link) => (
+              <li key={link.url} className="rounded-lg bg-red-50 p-2 text-xs text-red-700">
+                <p className="truncate" title={link.url}>
+                  {link.url}
+                </p>
+                {link.status_code && <p className="text-red-500">HTTP {link.status_code}</p>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function QuickActionsCard({ collectionQuery }) {
   return (
     <div className="rounded-xl border border-slate-200 bg-white p-6">
       <h2 className="mb-4 text-lg font-semibold text-slate-900">Quick Actions</h2>
@@ -433,7 +625,7 @@ function QuickActionsCard() {
           </div>
         </a>
         <Link
-          href="/dashboard/history"
+          href={`/dashboard/history${collectionQuery}`}
           className="flex items-center rounded-lg border border-slate-200 p-3 hover:bg-slate-50"
         >
           <div className="mr-3 flex h-10 w-10 items-center justify-center rounded-lg bg-slate-100">
@@ -450,6 +642,42 @@ function QuickActionsCard() {
             <p className="text-xs text-slate-500">View and restore backups</p>
           </div>
         </Link>
+        <Link
+          href="/dashboard/teams"
+          className="flex items-center rounded-lg border border-slate-200 p-3 hover:bg-slate-50"
+        >
+          <div className="mr-3 flex h-10 w-10 items-center justify-center rounded-lg bg-slate-100">
+            <span className="text-xl">👥</span>
+          </div>
+          <div>
+            <p className="font-medium text-slate-900">Teams</p>
+            <p className="text-xs text-slate-500">Share folders with your team</p>
+          </div>
+        </Link>
+        <Link
+          href={`/dashboard/share-links${collectionQuery}`}
+          className="flex items-center rounded-lg border border-slate-200 p-3 hover:bg-slate-50"
+        >
+          <div className="mr-3 flex h-10 w-10 items-center justify-center rounded-lg bg-slate-100">
+            <span className="text-xl">🔗</span>
+          </div>
+          <div>
+            <p className="font-medium text-slate-900">Share Links</p>
+            <p className="text-xs text-slate-500">Publish a folder as a web page</p>
+          </div>
+        </Link>
+        <Link
+          href="/dashboard/snapshots"
+          className="flex items-center rounded-lg border border-slate-200 p-3 hover:bg-slate-50"
+        >
+          <div className="mr-3 flex h-10 w-10 items-center justify-center rounded-lg bg-slate-100">
+            <span className="text-xl">📄</span>
+          </div>
+          <div>
+            <p className="font-medium text-slate-900">Saved Pages</p>
+            <p className="text-xs text-slate-500">Read and search bookmarked pages</p>
+          </div>
+        </Link>
         <Link
           href="/docs"
           className="flex items-center rounded-lg border border-slate-200 p-3 hover:bg-slate-50"
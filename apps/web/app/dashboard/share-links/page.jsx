@@ -0,0 +1,292 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+
+/**
+ * Adds the collection named in the page URL (?collection=<id>) to a share links API URL
+ * @param {string} path
+ * @returns {string}
+ */
+const collectionApiUrl = (path) => {
+  const collectionId = new URLSearchParams(window.location.search).get('collection');
+  if (!collectionId) return path;
+  const separator = path.includes('?') ? '&' : '?';
+  return `${path}${separator}collection=${encodeURIComponent(collectionId)}`;
+};
+
+/**
+ * Sends a JSON request to the API and throws the error it returns
+ * @param {string} url
+ * @param {RequestInit} [options]
+ */
+const api = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Request failed');
+  }
+  return data;
+};
+
+/**
+ * A date input's value (YYYY-MM-DD) as the end of that day in the browser's time zone
+ * @param {string} value
+ * @returns {string|null} ISO date, or null for an empty input
+ */
+const endOfDay = (value) => (value ? new Date(`${value}T23:59:59`).toISOString() : null);
+
+/**
+ * Share Links Page
+ * Publishes folders of a collection at public read-only links, and lists, changes
+ * and revokes the links already published.
+ */
+export default function ShareLinksPage() {
+  const [links, setLinks] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [encrypted, setEncrypted] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState({
+    title: '',
+    folderPath: '',
+    mode: 'snapshot',
+    password: '',
+    expiresOn: '',
+  });
+
+  const fetchLinks = useCallback(async () => {
+    const data = await api(collectionApiUrl('/api/share-links'));
+    setLinks(data.links);
+    setFolders(data.folders);
+    setEncrypted(data.encrypted);
+  }, []);
+
+  useEffect(() => {
+    fetchLinks()
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [fetchLinks]);
+
+  const run = async (action) => {
+    try {
+      await action();
+      await fetchLinks();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateForm = (field) => (e) =>
+    setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api(collectionApiUrl('/api/share-links'), {
+        method: 'POST',
+        body: JSON.stringify({
+          title: form.title,
+          folderPath: form.folderPath,
+          mode: form.mode,
+          password: form.password || null,
+          expiresAt: endOfDay(form.expiresOn),
+        }),
+      });
+      setForm({ title: '', folderPath: '', mode: 'snapshot', password: '', expiresOn: '' });
+    });
+  };
+
+  const updateLink = (link, changes) =>
+    run(() =>
+      api(`/api/share-links/${link.id}`, { method: 'PATCH', body: JSON.stringify(changes) })
+    );
+
+  const handleSetPassword = (link) => {
+    const password = prompt(`New password for "${link.title}" (at least 6 characters)`);
+    if (password) updateLink(link, { password });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Share Links</h1>
+            <p className="text-gray-600 mt-1">
+              Publish a folder as a read-only web page anyone with the link can open
+            </p>
+          </div>
+          <Link
+            href="/dashboard"
+            className="text-blue-600 hover:text-blue-700 flex items-center gap-2"
+          >
+            ← Back to Dashboard
+          </Link>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <div className="flex items-center gap-3">
+              <span className="text-red-500 text-xl">⚠️</span>
+              <p className="text-red-800">{error}</p>
+              <button
+                onClick={() => setError(null)}
+                className="ml-auto text-red-600 hover:text-red-800"
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-gray-500">Loading share links...</p>
+        ) : (
+          <div className="grid gap-6 md:grid-cols-3">
+            <div className="bg-white rounded-lg shadow p-6">
+              <h2 className="font-semibold text-gray-900 mb-4">New link</h2>
+              {encrypted ? (
+                <p className="text-sm text-gray-500">
+                  This collection is encrypted, so its folders can&apos;t be published.
+                </p>
+              ) : (
+                <form onSubmit={handleCreate} className="space-y-3 text-sm">
+                  <input
+                    type="text"
+                    value={form.title}
+                    onChange={updateForm('title')}
+                    maxLength={100}
+                    placeholder="Title"
+                    className="w-full border border-gray-300 rounded px-3 py-2"
+                  />
+                  <select
+                    value={form.folderPath}
+                    onChange={updateForm('folderPath')}
+                    className="w-full border border-gray-300 rounded px-3 py-2"
+                  >
+                    <option value="">Choose a folder</option>
+                    {folders.map((path) => (
+                      <option key={path} value={path}>
+                        {path}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={form.mode}
+                    onChange={updateForm('mode')}
+                    className="w-full border border-gray-300 rounded px-3 py-2"
+                  >
+                    <option value="snapshot">Snapshot — the folder as it is now</option>
+                    <option value="live">Live — follows changes to the folder</option>
+                  </select>
+                  <input
+                    type="password"
+                    value={form.password}
+                    onChange={updateForm('password')}
+                    placeholder="Password (optional)"
+                    autoComplete="new-password"
+                    className="w-full border border-gray-300 rounded px-3 py-2"
+                  />
+                  <label className="block text-gray-600">
+                    Expires on (optional)
+                    <input
+                      type="date"
+                      value={form.expiresOn}
+                      onChange={updateForm('expiresOn')}
+                      className="w-full border border-gray-300 rounded px-3 py-2 mt-1"
+                    />
+                  </label>
+                  <button
+                    type="submit"
+                    disabled={!form.title.trim() || !form.folderPath}
+                    className="w-full bg-blue-600 text-white px-3 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Create link
+                  </button>
+                </form>
+              )}
+            </div>
+
+            <div className="md:col-span-2 bg-white rounded-lg shadow p-6">
+              <h2 className="font-semibold text-gray-900 mb-4">Published links</h2>
+              {links.length === 0 ? (
+                <p className="text-sm text-gray-500">No share links yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {links.map((link) => (
+                    <li key={link.id} className="py-3 text-sm">
+                      <div className="flex items-center gap-3">
+                        <span className="font-medium text-gray-900">{link.title}</span>
+                        <span className="text-xs text-gray-500">{link.mode}</span>
+                        {link.hasPassword && <span className="text-xs text-gray-500">🔒</span>}
+                        {!link.active && <span className="text-xs text-red-600">expired</span>}
+                        <button
+                          onClick={() =>
+                            confirm(`Revoke "${link.title}"? The link stops working.`) &&
+                            run(() => api(`/api/share-links/${link.id}`, { method: 'DELETE' }))
+                          }
+                          className="ml-auto text-red-600 hover:text-red-700"
+                        >
+                          Revoke
+                        </button>
+                      </div>
+                      <p className="text-gray-500 mt-1">
+                        📁 {link.folderPath} · {link.viewCount} view
+                        {link.viewCount === 1 ? '' : 's'}
+                        {link.expiresAt &&
+                          ` · expires ${new Date(link.expiresAt).toLocaleDateString()}`}
+                      </p>
+                      <code className="block break-all text-blue-900 mt-1">{link.url}</code>
+                      <div className="flex flex-wrap items-center gap-3 mt-2">
+                        <button
+                          onClick={() => navigator.clipboard.writeText(link.url)}
+                          className="text-blue-600 hover:text-blue-700"
+                        >
+                          Copy link
+                        </button>
+                        <button
+                          onClick={() => handleSetPassword(link)}
+                          className="text-blue-600 hover:text-blue-700"
+                        >
+                          {link.hasPassword ? 'Change password' : 'Add password'}
+                        </button>
+                        {link.hasPassword && (
+                          <button
+                            onClick={() => updateLink(link, { password: null })}
+                            className="text-blue-600 hover:text-blue-700"
+                          >
+                            Remove password
+                          </button>
+                        )}
+                        <label className="text-gray-600">
+                          Expires on{' '}
+                          <input
+                            type="date"
+                            value={
+                              link.expiresAt
+                                ? new Date(link.expiresAt).toLocaleDateString('en-CA')
+                                : ''
+                            }
+                            onChange={(e) =>
+                              updateLink(link, { expiresAt: endOfDay(e.target.value) })
+                            }
+                            className="border border-gray-300 rounded px-2 py-1"
+                          />
+                        </label>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
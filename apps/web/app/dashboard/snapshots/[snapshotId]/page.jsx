@@ -0,0 +1,96 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useParams } from 'next/navigation';
+import Link from 'next/link';
+import { sanitizeHtml } from '@marksyncr/core/page-capture';
+
+// Article styles; snapshots only contain the tags kept by sanitizeHtml
+const ARTICLE_CLASSES = [
+  'space-y-4 leading-relaxed text-gray-800',
+  '[&_h2]:text-2xl [&_h2]:font-semibold [&_h3]:text-xl [&_h3]:font-semibold',
+  '[&_a]:text-blue-600 [&_a]:underline [&_img]:max-w-full [&_img]:h-auto',
+  '[&_ul]:list-disc [&_ul]:pl-6 [&_ol]:list-decimal [&_ol]:pl-6',
+  '[&_blockquote]:border-l-4 [&_blockquote]:pl-4 [&_blockquote]:text-gray-600',
+  '[&_pre]:overflow-x-auto [&_pre]:bg-gray-100 [&_pre]:p-3 [&_code]:font-mono',
+].join(' ');
+
+/**
+ * Saved Page Reader
+ * Shows the readable copy of a bookmarked page.
+ */
+export default function SnapshotReaderPage() {
+  const { snapshotId } = useParams();
+  const [snapshot, setSnapshot] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch(`/api/snapshots/${snapshotId}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+        setSnapshot(data.snapshot);
+      })
+      .catch((err) => setError(err.message));
+  }, [snapshotId]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4">
+        <Link
+          href="/dashboard/snapshots"
+          className="text-blue-600 hover:text-blue-700 flex items-center gap-2 mb-6"
+        >
+          ← Saved Pages
+        </Link>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-red-800">{error}</div>
+        )}
+
+        {!snapshot && !error && <p className="text-gray-500">Loading page...</p>}
+
+        {snapshot && (
+          <article className="bg-white rounded-lg shadow p-8">
+            <header className="mb-6 border-b border-gray-100 pb-4">
+              <p className="text-sm text-gray-500">{snapshot.siteName}</p>
+              <h1 className="text-3xl font-bold text-gray-900 mt-1">{snapshot.title}</h1>
+              <p className="text-sm text-gray-500 mt-2">
+                {snapshot.byline && `${snapshot.byline} · `}
+                Saved {new Date(snapshot.capturedAt).toLocaleString()} ·{' '}
+                <a
+                  href={snapshot.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 hover:underline"
+                >
+                  Original page
+                </a>
+              </p>
+            </header>
+            {/* Stored snapshots are already sanitized; sanitizing again costs little */}
+            <div
+              className={ARTICLE_CLASSES}
+              dangerouslySetInnerHTML={{
+                __html: sanitizeHtml(snapshot.content, snapshot.url).html,
+              }}
+            />
+            {snapshot.truncated && (
+              <p className="mt-6 text-sm text-gray-500">
+                This page was too long to save in full.{' '}
+                <a
+                  href={snapshot.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 hover:underline"
+                >
+                  Read the rest on the original page
+                </a>
+              </p>
+            )}
+          </article>
+        )}
+      </div>
+    </div>
+  );
+}
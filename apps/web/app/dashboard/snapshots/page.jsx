@@ -0,0 +1,295 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { highlightSegments } from '@marksyncr/core/full-text-search';
+
+/**
+ * Sends a JSON request to the API and throws the error it returns
+ * @param {string} url
+ * @param {RequestInit} [options]
+ */
+const api = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Request failed');
+  }
+  return data;
+};
+
+/**
+ * Text with its search matches marked
+ * @param {{text: string, highlights: Array<[number, number]>}} snippet
+ */
+const Highlighted = ({ snippet }) =>
+  highlightSegments(snippet).map((segment, index) =>
+    segment.highlight ? (
+      <mark key={index} className="bg-yellow-200 rounded px-0.5">
+        {segment.text}
+      </mark>
+    ) : (
+      segment.text
+    )
+  );
+
+/**
+ * Saved Pages Page
+ * Lists the readable copies kept of bookmarked pages, captures new ones and deletes
+ * them, against the plan's snapshot quota. Searches bookmarks and the text of saved
+ * pages.
+ */
+export default function SnapshotsPage() {
+  const [snapshots, setSnapshots] = useState([]);
+  const [quota, setQuota] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [capturing, setCapturing] = useState(false);
+  const [error, setError] = useState(null);
+  const [url, setUrl] = useState('');
+  const [query, setQuery] = useState('');
+  const [searching, setSearching] = useState(false);
+  const [results, setResults] = useState(null);
+
+  const fetchSnapshots = useCallback(async () => {
+    const data = await api('/api/snapshots');
+    setSnapshots(data.snapshots);
+    setQuota(data.quota);
+  }, []);
+
+  useEffect(() => {
+    fetchSnapshots()
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [fetchSnapshots]);
+
+  const run = async (action) => {
+    try {
+      await action();
+      await fetchSnapshots();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCapture = async (e) => {
+    e.preventDefault();
+    setCapturing(true);
+    await run(async () => {
+      await api('/api/snapshots', { method: 'POST', body: JSON.stringify({ url }) });
+      setUrl('');
+    });
+    setCapturing(false);
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setSearching(true);
+    try {
+      const data = await api(`/api/search?q=${encodeURIComponent(query.trim())}`);
+      setResults(data.results);
+    } catch (err) {
+      setError(err.message);
+    }
+    setSearching(false);
+  };
+
+  const clearSearch = () => {
+    setQuery('');
+    setResults(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Saved Pages</h1>
+            <p className="text-gray-600 mt-1">
+              Readable copies of your bookmarked pages, kept for when the page changes or
+              you&apos;re offline
+            </p>
+          </div>
+          <Link
+            href="/dashboard"
+            className="text-blue-600 hover:text-blue-700 flex items-center gap-2"
+          >
+            ← Back to Dashboard
+          </Link>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <div className="flex items-center gap-3">
+              <span className="text-red-500 text-xl">⚠️</span>
+              <p className="text-red-800">{error}</p>
+              <button
+                onClick={() => setError(null)}
+                className="ml-auto text-red-600 hover:text-red-800"
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleSearch} className="flex gap-2 mb-6">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder='Search bookmarks and saved pages, e.g. "async runtime" -python'
+            className="flex-1 border border-gray-300 rounded-lg px-4 py-2 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={!query.trim() || searching}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            {searching ? 'Searching...' : 'Search'}
+          </button>
+        </form>
+
+        {results && (
+          <div className="bg-white rounded-lg shadow p-6 mb-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="font-semibold text-gray-900">
+                {results.length} {results.length === 1 ? 'result' : 'results'}
+              </h2>
+              <button onClick={clearSearch} className="text-sm text-blue-600 hover:text-blue-700">
+                Clear search
+              </button>
+            </div>
+            {results.length === 0 ? (
+              <p className="text-sm text-gray-500">No bookmarks or saved pages match.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {results.map((result) => (
+                  <li key={result.id} className="py-3 text-sm">
+                    {result.snapshotId ? (
+                      <Link
+                        href={`/dashboard/snapshots/${result.snapshotId}`}
+                        className="font-medium text-gray-900 hover:text-blue-600"
+                      >
+                        <Highlighted
+                          snippet={{ text: result.title, highlights: result.titleHighlights }}
+                        />
+                      </Link>
+                    ) : (
+                      <a
+                        href={result.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="font-medium text-gray-900 hover:text-blue-600"
+                      >
+                        <Highlighted
+                          snippet={{ text: result.title, highlights: result.titleHighlights }}
+                        />
+                      </a>
+                    )}
+                    <p className="text-gray-500 truncate">
+                      {result.folderPath && `${result.folderPath} · `}
+                      {result.url}
+                    </p>
+                    {result.snippet && (
+                      <p className="text-gray-600 mt-1 line-clamp-2">
+                        <Highlighted snippet={result.snippet} />
+                      </p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-gray-500">Loading saved pages...</p>
+        ) : (
+          <div className="grid gap-6 md:grid-cols-3">
+            <div className="bg-white rounded-lg shadow p-6 space-y-4">
+              <h2 className="font-semibold text-gray-900">Save a page</h2>
+              <form onSubmit={handleCapture} className="space-y-3 text-sm">
+                <input
+                  type="url"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  placeholder="https://example.com/article"
+                  className="w-full border border-gray-300 rounded px-3 py-2"
+                />
+                <button
+                  type="submit"
+                  disabled={!url.trim() || capturing}
+                  className="w-full bg-blue-600 text-white px-3 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {capturing ? 'Saving...' : 'Save page'}
+                </button>
+              </form>
+              <p className="text-xs text-gray-500">
+                Turn on &quot;Save Pages for Offline Reading&quot; in the extension&apos;s settings
+                to save pages as you bookmark them.
+              </p>
+              {quota && (
+                <div>
+                  <div className="flex justify-between text-xs text-gray-600 mb-1">
+                    <span>Storage</span>
+                    <span>
+                      {quota.used} of {quota.limit} pages
+                    </span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded">
+                    <div
+                      className={`h-2 rounded ${quota.used >= quota.limit ? 'bg-red-500' : 'bg-blue-600'}`}
+                      style={{ width: `${Math.min(100, (quota.used / quota.limit) * 100)}%` }}
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="md:col-span-2 bg-white rounded-lg shadow p-6">
+              <h2 className="font-semibold text-gray-900 mb-4">Saved pages</h2>
+              {snapshots.length === 0 ? (
+                <p className="text-sm text-gray-500">No saved pages yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {snapshots.map((snapshot) => (
+                    <li key={snapshot.id} className="py-3 text-sm flex gap-3">
+                      <div className="min-w-0 flex-1">
+                        <Link
+                          href={`/dashboard/snapshots/${snapshot.id}`}
+                          className="font-medium text-gray-900 hover:text-blue-600"
+                        >
+                          {snapshot.title}
+                        </Link>
+                        <p className="text-gray-500 truncate">
+                          {snapshot.siteName} · {snapshot.wordCount} words · saved{' '}
+                          {new Date(snapshot.capturedAt).toLocaleDateString()}
+                        </p>
+                        {snapshot.excerpt && (
+                          <p className="text-gray-600 mt-1 line-clamp-2">{snapshot.excerpt}</p>
+                        )}
+                      </div>
+                      <button
+                        onClick={() =>
+                          confirm(`Delete the saved copy of "${snapshot.title}"?`) &&
+                          run(() => api(`/api/snapshots/${snapshot.id}`, { method: 'DELETE' }))
+                        }
+                        className="self-start text-red-600 hover:text-red-700"
+                      >
+                        Delete
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -3,15 +3,33 @@
 import { useState, useTransition } from 'react';
 import Link from 'next/link';
 
+/**
+ * Adds the collection the dashboard shows to an API URL; the default collection
+ * needs none
+ * @param {string} url
+ * @param {string|null} collectionId
+ * @returns {string}
+ */
+const withCollection = (url, collectionId) =>
+  collectionId ? `${url}?collection=${encodeURIComponent(collectionId)}` : url;
+
 /**
  * Sync Sources Client Component
  *
- * Handles OAuth connections for sync sources.
+ * Handles OAuth connections for sync sources, and the credentials form for WebDAV.
+ * Sources are connected to the collection the dashboard shows (collectionId, null for
+ * the default one).
  */
-export default function SyncSourcesClient({ subscription, connectedSources = [] }) {
+export default function SyncSourcesClient({
+  subscription,
+  connectedSources = [],
+  collectionId = null,
+}) {
   const [isPending, startTransition] = useTransition();
   const [connectingSource, setConnectingSource] = useState(null);
   const [error, setError] = useState(null);
+  // Id of the source whose credentials form is open
+  const [openFormId, setOpenFormId] = useState(null);
 
   const sources = [
     {
@@ -35,6 +53,30 @@ export default function SyncSourcesClient({ subscription, connectedSources = []
       available: true,
       connectUrl: '/api/connect/google',
     },
+    {
+      name: 'WebDAV',
+      id: 'webdav',
+      icon: 'webdav',
+      available: true,
+      connectUrl: '/api/connect/webdav',
+      hasConnectForm: true, // Server URL and credentials instead of OAuth
+    },
+    {
+      name: 'S3 Storage',
+      id: 's3',
+      icon: 's3',
+      available: true,
+      connectUrl: '/api/connect/s3',
+      hasConnectForm: true, // Endpoint, bucket and access key instead of OAuth
+    },
+    {
+      name: 'Git Repository',
+      id: 'git-forge',
+      icon: 'git',
+      available: true,
+      connectUrl: '/api/connect/git-forge',
+      hasConnectForm: true, // Forge, repository and access token instead of OAuth
+    },
     {
       name: 'MarkSyncr Cloud',
       id: 'marksyncr-cloud',
@@ -60,13 +102,19 @@ export default function SyncSourcesClient({ subscription, connectedSources = []
 
   const handleConnect = async (source) => {
     setError(null);
+
+    if (source.hasConnectForm) {
+      setOpenFormId(source.id);
+      return;
+    }
+
     setConnectingSource(source.id);
 
     if (source.isInternal) {
       // Handle MarkSyncr Cloud connection via API
       startTransition(async () => {
         try {
-          const response = await fetch('/api/connect/cloud', {
+          const response = await fetch(withCollection('/api/connect/cloud', collectionId), {
             method: 'POST',
           });
 
@@ -85,10 +133,37 @@ export default function SyncSourcesClient({ subscription, connectedSources = []
       });
     } else {
       // Redirect to OAuth flow
-      window.location.href = source.connectUrl;
+      window.location.href = withCollection(source.connectUrl, collectionId);
     }
   };
 
+  const handleFormConnect = (source, fields) => {
+    setError(null);
+    setConnectingSource(source.id);
+
+    startTransition(async () => {
+      try {
+        const response = await fetch(withCollection(source.connectUrl, collectionId), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(fields),
+        });
+
+        if (!response.ok) {
+          const data = await response.json();
+          setError(data.error || `Failed to connect ${source.name}`);
+        } else {
+          // Refresh the page to show updated connections
+          window.location.reload();
+        }
+      } catch (err) {
+        setError(`Failed to connect ${source.name}`);
+      } finally {
+        setConnectingSource(null);
+      }
+    });
+  };
+
   const handleDisconnect = async (source) => {
     setError(null);
     setConnectingSource(source.id);
@@ -99,7 +174,7 @@ export default function SyncSourcesClient({ subscription, connectedSources = []
           ? '/api/connect/cloud'
           : `/api/connect/${source.id}/disconnect`;
 
-        const response = await fetch(endpoint, {
+        const response = await fetch(withCollection(endpoint, collectionId), {
           method: 'DELETE',
         });
 
@@ -181,7 +256,7 @@ export default function SyncSourcesClient({ subscription, connectedSources = []
                     ) : (
                       <button
                         onClick={() => handleConnect(source)}
-                        disabled={isLoading}
+                        disabled={isLoading || openFormId === source.id}
                         className="text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
                       >
                         {isLoading ? 'Connecting...' : 'Connect'}
@@ -328,6 +403,124 @@ export default function SyncSourcesClient({ subscription, connectedSources = []
                   </a>
                 </div>
               )}
+
+              {!connected && openFormId === source.id && (
+                <ConnectForm
+                  sourceId={source.id}
+                  isLoading={isLoading}
+                  onSubmit={(fields) => handleFormConnect(source, fields)}
+                  onCancel={() => setOpenFormId(null)}
+                />
+              )}
+
+              {/* Server details for WebDAV */}
+              {connected && source.id === 'webdav' && (
+                <div className="mt-3 rounded-lg bg-slate-50 p-3">
+                  <div className="flex items-center space-x-2 text-xs text-slate-600">
+                    <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2"
+                      />
+                    </svg>
+                    <span className="break-all font-medium">{sourceDetails?.config?.url}</span>
+                  </div>
+                  <div className="mt-1 flex items-center space-x-2 text-xs text-slate-500">
+                    <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+                      />
+                    </svg>
+                    <span>{sourceDetails?.file_path || '/MarkSyncr/bookmarks.json'}</span>
+                  </div>
+                  {sourceDetails?.provider_username && (
+                    <div className="mt-1 flex items-center space-x-2 text-xs text-slate-500">
+                      <svg
+                        className="h-4 w-4"
+                        fill="none"
+                        viewBox="0 0 24 24"
+                        stroke="currentColor"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"
+                        />
+                      </svg>
+                      <span>{sourceDetails.provider_username}</span>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Repository details and commit history for git forges */}
+              {connected && source.id === 'git-forge' && (
+                <div className="mt-3 rounded-lg bg-slate-50 p-3">
+                  <div className="flex items-center space-x-2 text-xs text-slate-600">
+                    <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z"
+                      />
+                    </svg>
+                    <span className="break-all font-medium">{sourceDetails?.repository}</span>
+                  </div>
+                  <p className="mt-1 break-all text-xs text-slate-500">
+                    {sourceDetails?.file_path || 'bookmarks.json'} on{' '}
+                    {sourceDetails?.branch || 'main'}
+                    {sourceDetails?.config?.baseUrl && ` at ${sourceDetails.config.baseUrl}`}
+                  </p>
+                  <GitForgeHistory collectionId={collectionId} />
+                </div>
+              )}
+
+              {/* Bucket details for S3 */}
+              {connected && source.id === 's3' && (
+                <div className="mt-3 rounded-lg bg-slate-50 p-3">
+                  <div className="flex items-center space-x-2 text-xs text-slate-600">
+                    <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4"
+                      />
+                    </svg>
+                    <span className="break-all font-medium">{sourceDetails?.config?.bucket}</span>
+                  </div>
+                  <div className="mt-1 flex items-center space-x-2 text-xs text-slate-500">
+                    <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+                      />
+                    </svg>
+                    <span>{sourceDetails?.file_path || 'marksyncr/bookmarks.json'}</span>
+                  </div>
+                  <p className="mt-1 break-all text-xs text-slate-400">
+                    {sourceDetails?.config?.endpoint}
+                  </p>
+                </div>
+              )}
+
+              {/* Push status of external sources */}
+              {connected && sourceDetails?.health && (
+                <SyncHealth
+                  provider={source.id}
+                  health={sourceDetails.health}
+                  collectionId={collectionId}
+                />
+              )}
             </div>
           );
         })}
@@ -336,6 +529,357 @@ export default function SyncSourcesClient({ subscription, connectedSources = []
   );
 }
 
+/**
+ * Fields of the credentials form for each source that is connected without OAuth
+ */
+const CONNECT_FORMS = {
+  webdav: {
+    submitLabel: 'Connect server',
+    fields: [
+      {
+        name: 'url',
+        label: 'Server URL',
+        type: 'url',
+        required: true,
+        placeholder: 'https://cloud.example.com/remote.php/dav/files/you',
+      },
+      { name: 'username', label: 'Username', required: true, autoComplete: 'username' },
+      {
+        name: 'password',
+        label: 'Password',
+        type: 'password',
+        required: true,
+        autoComplete: 'current-password',
+        hint: 'Use an app password if your server supports them.',
+      },
+      { name: 'path', label: 'File path', defaultValue: '/MarkSyncr/bookmarks.json' },
+      {
+        name: 'authType',
+        label: 'Authentication',
+        defaultValue: 'auto',
+        options: [
+          ['auto', 'Automatic'],
+          ['basic', 'Basic'],
+          ['digest', 'Digest'],
+        ],
+      },
+    ],
+  },
+  s3: {
+    submitLabel: 'Connect bucket',
+    fields: [
+      {
+        name: 'endpoint',
+        label: 'Endpoint URL',
+        type: 'url',
+        required: true,
+        placeholder: 'https://s3.us-east-1.amazonaws.com',
+        hint: 'Works with AWS S3, MinIO, Cloudflare R2 and Backblaze B2.',
+      },
+      { name: 'region', label: 'Region', defaultValue: 'us-east-1' },
+      { name: 'bucket', label: 'Bucket', required: true },
+      { name: 'accessKeyId', label: 'Access key ID', required: true, autoComplete: 'off' },
+      {
+        name: 'secretAccessKey',
+        label: 'Secret access key',
+        type: 'password',
+        required: true,
+        autoComplete: 'off',
+      },
+      { name: 'path', label: 'Object key', defaultValue: 'marksyncr/bookmarks.json' },
+      {
+        name: 'pathStyle',
+        label: 'Bucket addressing',
+        defaultValue: 'path',
+        options: [
+          ['path', 'Path-style (endpoint/bucket)'],
+          ['virtual', 'Virtual-hosted (bucket.endpoint)'],
+        ],
+      },
+    ],
+    toRequest: ({ pathStyle, ...fields }) => ({ ...fields, pathStyle: pathStyle === 'path' }),
+  },
+  'git-forge': {
+    submitLabel: 'Connect repository',
+    fields: [
+      {
+        name: 'forge',
+        label: 'Service',
+        defaultValue: 'github',
+        options: [
+          ['github', 'GitHub'],
+          ['gitlab', 'GitLab'],
+          ['gitea', 'Gitea'],
+          ['forgejo', 'Forgejo'],
+        ],
+      },
+      {
+        name: 'baseUrl',
+        label: 'Server URL',
+        type: 'url',
+        placeholder: 'https://git.example.com',
+        hint: 'Only for self-hosted servers; leave empty for github.com and gitlab.com.',
+      },
+      { name: 'repository', label: 'Repository', required: true, placeholder: 'owner/bookmarks' },
+      { name: 'branch', label: 'Branch', defaultValue: 'main' },
+      { name: 'path', label: 'File path', defaultValue: 'bookmarks.json' },
+      {
+        name: 'token',
+        label: 'Access token',
+        type: 'password',
+        required: true,
+        autoComplete: 'off',
+        hint: 'A personal access token that can push to the repository.',
+      },
+    ],
+  },
+};
+
+/**
+ * Status of the pushes to an external source, with a retry for failed ones
+ */
+function SyncHealth({ provider, health, collectionId }) {
+  const [retrying, setRetrying] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    setMessage(null);
+    try {
+      const response = await fetch(withCollection('/api/sources/retry', collectionId), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ provider }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to retry sync');
+      setMessage({ type: 'success', text: 'Sync queued. Reload the page to see the result.' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const formatTime = (time) => new Date(time).toLocaleString();
+  const canRetry = health.status === 'failed' || health.status === 'retrying';
+
+  return (
+    <div className="mt-2 text-xs">
+      {health.status === 'ok' && (
+        <p className="text-slate-500">Last synced {formatTime(health.lastSuccessAt)}</p>
+      )}
+      {health.status === 'never' && <p className="text-slate-500">Not synced yet</p>}
+      {health.status === 'pending' && <p className="text-slate-500">Sync in progress</p>}
+      {health.status === 'retrying' && (
+        <p className="text-amber-600">
+          Sync failed, retrying{health.nextRetryAt && ` at ${formatTime(health.nextRetryAt)}`}
+        </p>
+      )}
+      {health.status === 'failed' && (
+        <p className="text-red-600">Sync failed repeatedly and was stopped</p>
+      )}
+      {canRetry && health.lastError && (
+        <p className="mt-1 break-words text-slate-500">{health.lastError}</p>
+      )}
+      {canRetry && health.lastSuccessAt && (
+        <p className="mt-1 text-slate-400">Last synced {formatTime(health.lastSuccessAt)}</p>
+      )}
+      {canRetry && (
+        <button
+          onClick={handleRetry}
+          disabled={retrying}
+          className="mt-1 text-primary-600 hover:text-primary-700 disabled:opacity-50"
+        >
+          {retrying ? 'Retrying...' : 'Retry now'}
+        </button>
+      )}
+      {message && (
+        <p className={`mt-1 ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Commits of the connected git repository, each of which can be restored
+ */
+function GitForgeHistory({ collectionId }) {
+  const [commits, setCommits] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [restoringCommit, setRestoringCommit] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadHistory = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(withCollection('/api/connect/git-forge/history', collectionId));
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load commit history');
+      setCommits(data.commits);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (commit) => {
+    if (
+      !confirm(
+        `Restore your bookmarks to commit ${commit.id.slice(0, 7)}? This replaces your cloud bookmarks and adds a restore commit to the repository.`
+      )
+    ) {
+      return;
+    }
+
+    setRestoringCommit(commit.id);
+    setMessage(null);
+    try {
+      const response = await fetch(withCollection('/api/connect/git-forge/restore', collectionId), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ commit: commit.id }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to restore bookmarks');
+      setMessage({ type: 'success', text: data.message });
+      await loadHistory();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setRestoringCommit(null);
+    }
+  };
+
+  return (
+    <div className="mt-2 text-xs">
+      {commits === null ? (
+        <button
+          onClick={loadHistory}
+          disabled={loading}
+          className="text-primary-600 hover:text-primary-700 disabled:opacity-50"
+        >
+          {loading ? 'Loading history...' : 'Show commit history'}
+        </button>
+      ) : commits.length === 0 ? (
+        <p className="text-slate-500">No commits yet. The next sync creates the first one.</p>
+      ) : (
+        <ul className="max-h-64 space-y-2 overflow-y-auto">
+          {commits.map((commit) => (
+            <li key={commit.id} className="flex items-start justify-between space-x-2">
+              <div className="min-w-0">
+                <p className="truncate text-slate-700">{commit.message.split('\n')[0]}</p>
+                <p className="text-slate-400">
+                  {commit.id.slice(0, 7)}
+                  {commit.date && ` · ${new Date(commit.date).toLocaleString()}`}
+                </p>
+              </div>
+              <div className="flex shrink-0 space-x-2">
+                {commit.url && (
+                  <a
+                    href={commit.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-slate-500 hover:text-slate-700"
+                  >
+                    View
+                  </a>
+                )}
+                <button
+                  onClick={() => handleRestore(commit)}
+                  disabled={restoringCommit !== null}
+                  className="text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                >
+                  {restoringCommit === commit.id ? 'Restoring...' : 'Restore'}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {message && (
+        <p className={`mt-2 ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Credentials form for connecting a source that doesn't use OAuth
+ */
+function ConnectForm({ sourceId, isLoading, onSubmit, onCancel }) {
+  const {
+    fields: fieldDefs,
+    submitLabel,
+    toRequest = (fields) => fields,
+  } = CONNECT_FORMS[sourceId];
+  const [fields, setFields] = useState(() =>
+    Object.fromEntries(fieldDefs.map((field) => [field.name, field.defaultValue ?? '']))
+  );
+
+  const update = (name) => (event) => setFields({ ...fields, [name]: event.target.value });
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSubmit(toRequest(fields));
+  };
+
+  const inputClass =
+    'mt-1 w-full rounded-md border border-slate-300 px-2 py-1 text-sm focus:border-primary-500 focus:outline-none';
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-2 rounded-lg bg-slate-50 p-3 text-xs">
+      {fieldDefs.map((field) => (
+        <label key={field.name} className="block text-slate-600">
+          {field.label}
+          {field.options ? (
+            <select value={fields[field.name]} onChange={update(field.name)} className={inputClass}>
+              {field.options.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type={field.type ?? 'text'}
+              required={field.required}
+              placeholder={field.placeholder}
+              autoComplete={field.autoComplete}
+              value={fields[field.name]}
+              onChange={update(field.name)}
+              className={inputClass}
+            />
+          )}
+          {field.hint && <span className="mt-1 block text-slate-400">{field.hint}</span>}
+        </label>
+      ))}
+      <div className="flex items-center justify-end space-x-3 pt-1">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={isLoading}
+          className="text-sm text-slate-500 hover:text-slate-700 disabled:opacity-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="text-sm font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50"
+        >
+          {isLoading ? 'Connecting...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
 function SourceIcon({ icon, connected, available }) {
   const colorClass = connected ? 'text-green-600' : available ? 'text-slate-600' : 'text-slate-400';
 
@@ -361,6 +905,54 @@ function SourceIcon({ icon, connected, available }) {
           <path d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z" />
         </svg>
       );
+    case 'webdav':
+      return (
+        <svg
+          className={`h-5 w-5 ${colorClass}`}
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2m-2-4h.01M17 16h.01"
+          />
+        </svg>
+      );
+    case 's3':
+      return (
+        <svg
+          className={`h-5 w-5 ${colorClass}`}
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4"
+          />
+        </svg>
+      );
+    case 'git':
+      return (
+        <svg
+          className={`h-5 w-5 ${colorClass}`}
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M6 3v12m0 0a3 3 0 103 3m-3-3a3 3 0 013 3m9-12a3 3 0 11-6 0 3 3 0 016 0zm-3 3v1a4 4 0 01-4 4H9"
+          />
+        </svg>
+      );
     case 'cloud':
     default:
       return (
@@ -0,0 +1,433 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * Sends a JSON request to the API and throws the error it returns
+ * @param {string} url
+ * @param {RequestInit} [options]
+ */
+const api = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Request failed');
+  }
+  return data;
+};
+
+/**
+ * Teams Page
+ * Lists the user's teams and lets owners manage members, invitations and shared
+ * folders. Opening an invitation link (?invite=<token>) joins its team.
+ */
+export default function TeamsPage() {
+  const [teams, setTeams] = useState([]);
+  const [selectedTeamId, setSelectedTeamId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [newTeamName, setNewTeamName] = useState('');
+
+  const fetchTeams = useCallback(async () => {
+    const data = await api('/api/teams');
+    setTeams(data.teams);
+    setSelectedTeamId((current) => current ?? data.teams[0]?.id ?? null);
+  }, []);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const invite = new URLSearchParams(window.location.search).get('invite');
+        if (invite) {
+          const { teamId } = await api('/api/invitations/accept', {
+            method: 'POST',
+            body: JSON.stringify({ token: invite }),
+          });
+          window.history.replaceState(null, '', '/dashboard/teams');
+          setSelectedTeamId(teamId);
+          setNotice('You joined the team. Its folders appear in your browser on the next sync.');
+        }
+      } catch (err) {
+        setError(err.message);
+      }
+
+      try {
+        await fetchTeams();
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [fetchTeams]);
+
+  const handleCreateTeam = async (e) => {
+    e.preventDefault();
+    try {
+      const { team } = await api('/api/teams', {
+        method: 'POST',
+        body: JSON.stringify({ name: newTeamName }),
+      });
+      setNewTeamName('');
+      setSelectedTeamId(team.id);
+      await fetchTeams();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const selectedTeam = teams.find((team) => team.id === selectedTeamId);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Teams</h1>
+            <p className="text-gray-600 mt-1">
+              Share bookmark folders that sync into every member&apos;s browser
+            </p>
+          </div>
+          <Link
+            href="/dashboard"
+            className="text-blue-600 hover:text-blue-700 flex items-center gap-2"
+          >
+            ← Back to Dashboard
+          </Link>
+        </div>
+
+        {notice && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+            <p className="text-green-800">{notice}</p>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <div className="flex items-center gap-3">
+              <span className="text-red-500 text-xl">⚠️</span>
+              <p className="text-red-800">{error}</p>
+              <button
+                onClick={() => setError(null)}
+                className="ml-auto text-red-600 hover:text-red-800"
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-gray-500">Loading teams...</p>
+        ) : (
+          <div className="grid gap-6 md:grid-cols-3">
+            <div className="bg-white rounded-lg shadow p-6">
+              <h2 className="font-semibold text-gray-900 mb-4">Your teams</h2>
+              {teams.length === 0 && (
+                <p className="text-sm text-gray-500 mb-4">You are not in a team yet.</p>
+              )}
+              <ul className="space-y-1 mb-6">
+                {teams.map((team) => (
+                  <li key={team.id}>
+                    <button
+                      onClick={() => setSelectedTeamId(team.id)}
+                      className={`w-full text-left px-3 py-2 rounded ${
+                        team.id === selectedTeamId
+                          ? 'bg-blue-50 text-blue-700'
+                          : 'text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      {team.name}
+                      <span className="ml-2 text-xs text-gray-500">{team.role}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <form onSubmit={handleCreateTeam} className="flex gap-2">
+                <input
+                  type="text"
+                  value={newTeamName}
+                  onChange={(e) => setNewTeamName(e.target.value)}
+                  maxLength={100}
+                  placeholder="New team name"
+                  className="min-w-0 flex-1 border border-gray-300 rounded px-3 py-2 text-sm"
+                />
+                <button
+                  type="submit"
+                  disabled={!newTeamName.trim()}
+                  className="bg-blue-600 text-white text-sm px-3 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Create
+                </button>
+              </form>
+              <p className="text-xs text-gray-500 mt-2">
+                Creating teams requires the{' '}
+                <Link href="/pricing" className="underline">
+                  Team plan
+                </Link>
+                .
+              </p>
+            </div>
+
+            <div className="md:col-span-2">
+              {selectedTeam && (
+                <TeamDetails
+                  key={selectedTeam.id}
+                  team={selectedTeam}
+                  onError={setError}
+                  onTeamsChanged={async () => {
+                    setSelectedTeamId(null);
+                    await fetchTeams();
+                  }}
+                />
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function TeamDetails({ team, onError, onTeamsChanged }) {
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('viewer');
+  const [inviteUrl, setInviteUrl] = useState(null);
+  const [folderName, setFolderName] = useState('');
+  const isOwner = team.role === 'owner';
+  const teamUrl = `/api/teams/${team.id}`;
+
+  const load = useCallback(async () => {
+    try {
+      const [memberData, folderData, invitationData] = await Promise.all([
+        api(`${teamUrl}/members`),
+        api(`${teamUrl}/folders`),
+        isOwner ? api(`${teamUrl}/invitations`) : { invitations: [] },
+      ]);
+      setMembers(memberData.members);
+      setFolders(folderData.folders);
+      setInvitations(invitationData.invitations);
+    } catch (err) {
+      onError(err.message);
+    }
+  }, [teamUrl, isOwner, onError]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (action) => {
+    try {
+      await action();
+      await load();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await api(`${teamUrl}/invitations`, {
+        method: 'POST',
+        body: JSON.stringify({ email: inviteEmail, role: inviteRole }),
+      });
+      setInviteEmail('');
+      setInviteUrl(data.inviteUrl);
+    });
+  };
+
+  const handleCreateFolder = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api(`${teamUrl}/folders`, {
+        method: 'POST',
+        body: JSON.stringify({ name: folderName }),
+      });
+      setFolderName('');
+    });
+  };
+
+  const handleLeaveOrDelete = async () => {
+    const message = isOwner
+      ? `Delete "${team.name}" and its shared folders for all members?`
+      : `Leave "${team.name}"? Its folders stop syncing into your browser.`;
+    if (!confirm(message)) return;
+
+    try {
+      if (isOwner) {
+        await api(teamUrl, { method: 'DELETE' });
+      } else {
+        const self = members.find((member) => member.isSelf);
+        await api(`${teamUrl}/members/${self.userId}`, { method: 'DELETE' });
+      }
+      await onTeamsChanged();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="font-semibold text-gray-900">Shared folders</h2>
+          <button onClick={handleLeaveOrDelete} className="text-sm text-red-600 hover:text-red-700">
+            {isOwner ? 'Delete team' : 'Leave team'}
+          </button>
+        </div>
+        {folders.length === 0 ? (
+          <p className="text-sm text-gray-500">No shared folders yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {folders.map((folder) => (
+              <li key={folder.id} className="py-2 flex items-center justify-between text-sm">
+                <span>📁 {folder.name}</span>
+                {isOwner && (
+                  <button
+                    onClick={() =>
+                      confirm(`Delete "${folder.name}" for all members?`) &&
+                      run(() => api(`/api/shared-folders/${folder.id}`, { method: 'DELETE' }))
+                    }
+                    className="text-red-600 hover:text-red-700"
+                  >
+                    Delete
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {isOwner && (
+          <form onSubmit={handleCreateFolder} className="flex gap-2 mt-4">
+            <input
+              type="text"
+              value={folderName}
+              onChange={(e) => setFolderName(e.target.value)}
+              maxLength={100}
+              placeholder="New folder name"
+              className="min-w-0 flex-1 border border-gray-300 rounded px-3 py-2 text-sm"
+            />
+            <button
+              type="submit"
+              disabled={!folderName.trim()}
+              className="bg-blue-600 text-white text-sm px-3 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              Add folder
+            </button>
+          </form>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="font-semibold text-gray-900 mb-4">Members</h2>
+        <ul className="divide-y divide-gray-100">
+          {members.map((member) => (
+            <li key={member.userId} className="py-2 flex items-center gap-3 text-sm">
+              <span className="flex-1">{member.email}</span>
+              {isOwner ? (
+                <>
+                  <select
+                    value={member.role}
+                    onChange={(e) =>
+                      run(() =>
+                        api(`${teamUrl}/members/${member.userId}`, {
+                          method: 'PATCH',
+                          body: JSON.stringify({ role: e.target.value }),
+                        })
+                      )
+                    }
+                    className="border border-gray-300 rounded px-2 py-1"
+                  >
+                    {ROLES.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() =>
+                      confirm(`Remove ${member.email} from the team?`) &&
+                      run(() => api(`${teamUrl}/members/${member.userId}`, { method: 'DELETE' }))
+                    }
+                    className="text-red-600 hover:text-red-700"
+                  >
+                    Remove
+                  </button>
+                </>
+              ) : (
+                <span className="text-gray-500">{member.role}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {isOwner && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="font-semibold text-gray-900 mb-4">Invitations</h2>
+          <form onSubmit={handleInvite} className="flex gap-2">
+            <input
+              type="email"
+              value={inviteEmail}
+              onChange={(e) => setInviteEmail(e.target.value)}
+              placeholder="colleague@example.com"
+              className="min-w-0 flex-1 border border-gray-300 rounded px-3 py-2 text-sm"
+            />
+            <select
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-2 text-sm"
+            >
+              <option value="editor">editor</option>
+              <option value="viewer">viewer</option>
+            </select>
+            <button
+              type="submit"
+              disabled={!inviteEmail.trim()}
+              className="bg-blue-600 text-white text-sm px-3 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              Invite
+            </button>
+          </form>
+          {inviteUrl && (
+            <div className="bg-blue-50 border border-blue-200 rounded p-3 mt-4 text-sm">
+              <p className="text-blue-800 mb-1">
+                Send this link to the invitee. It is shown only once and expires in 7 days.
+              </p>
+              <code className="break-all text-blue-900">{inviteUrl}</code>
+            </div>
+          )}
+          <ul className="divide-y divide-gray-100 mt-4">
+            {invitations.map((invitation) => (
+              <li key={invitation.id} className="py-2 flex items-center gap-3 text-sm">
+                <span className="flex-1">{invitation.email}</span>
+                <span className="text-gray-500">{invitation.role}</span>
+                <button
+                  onClick={() =>
+                    run(() => api(`${teamUrl}/invitations/${invitation.id}`, { method: 'DELETE' }))
+                  }
+                  className="text-red-600 hover:text-red-700"
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+/**
+ * GET /s/[slug]/export?format=html|json - Download the bookmarks of a share link
+ *
+ * HTML is the Netscape bookmark file every browser imports; JSON is MarkSyncr's
+ * export format.
+ *
+ * Authentication: none; password-protected links need the access cookie set when
+ * the visitor unlocked the link
+ */
+
+import { NextResponse } from 'next/server';
+import { EXPORT_FORMATS, exportBookmarks } from '@marksyncr/core/import-export';
+import { createAdminClient } from '@/lib/supabase/server';
+import {
+  buildShareTree,
+  getShareAccessCookieName,
+  getSharedItems,
+  resolveShareLink,
+} from '@/lib/share-links';
+
+const CONTENT_TYPES = {
+  [EXPORT_FORMATS.HTML]: 'text/html; charset=utf-8',
+  [EXPORT_FORMATS.JSON]: 'application/json; charset=utf-8',
+};
+
+/**
+ * File name for the download, from the link title
+ * @param {string} title
+ * @param {string} format
+ * @returns {string}
+ */
+const exportFileName = (title, format) => {
+  const base = title
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .toLowerCase();
+  return `${base || 'bookmarks'}.${format}`;
+};
+
+export async function GET(request, { params }) {
+  try {
+    const { slug } = await params;
+    const format = new URL(request.url).searchParams.get('format') || EXPORT_FORMATS.HTML;
+    if (!CONTENT_TYPES[format]) {
+      return NextResponse.json({ error: 'format must be html or json' }, { status: 400 });
+    }
+
+    const supabase = createAdminClient();
+    const { link, state } = await resolveShareLink(
+      supabase,
+      slug,
+      request.cookies.get(getShareAccessCookieName(slug))?.value
+    );
+
+    if (state === 'not_found') {
+      return NextResponse.json({ error: 'Share link not found' }, { status: 404 });
+    }
+    if (state === 'expired') {
+      return NextResponse.json({ error: 'Share link has expired' }, { status: 410 });
+    }
+    if (state === 'locked') {
+      return NextResponse.json({ error: 'Password required' }, { status: 401 });
+    }
+
+    const { items, error } = await getSharedItems(supabase, link);
+    if (error) {
+      console.error('Share link bookmarks fetch error:', error);
+      return NextResponse.json({ error: 'Failed to load bookmarks' }, { status: 500 });
+    }
+    if (!items) {
+      return NextResponse.json({ error: 'Bookmarks are no longer available' }, { status: 410 });
+    }
+
+    const content = exportBookmarks(buildShareTree(items), format);
+
+    return new NextResponse(content, {
+      headers: {
+        'Content-Type': CONTENT_TYPES[format],
+        'Content-Disposition': `attachment; filename="${exportFileName(link.title, format)}"`,
+        'Cache-Control': 'private, no-store',
+        'X-Robots-Tag': 'noindex',
+      },
+    });
+  } catch (error) {
+    console.error('Share link export error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,172 @@
+import { cookies } from 'next/headers';
+import { notFound } from 'next/navigation';
+import Link from 'next/link';
+import { createAdminClient } from '@/lib/supabase/server';
+import {
+  buildShareTree,
+  getShareAccessCookieName,
+  getSharedItems,
+  resolveShareLink,
+} from '@/lib/share-links';
+import SharePasswordForm from './password-form';
+
+export const metadata = {
+  title: 'Shared bookmarks — MarkSyncr',
+  // Links are unguessable on purpose; don't let search engines publish them
+  robots: { index: false, follow: false },
+};
+
+/**
+ * Only web links are clickable; anything else (javascript:, data:, file:) is shown as text
+ */
+const isWebUrl = (url) => /^https?:\/\//i.test(url || '');
+
+function ShareTree({ nodes }) {
+  return (
+    <ul className="space-y-1">
+      {nodes.map((node, i) =>
+        node.type === 'folder' ? (
+          <li key={`folder-${i}`}>
+            <details open className="group">
+              <summary className="cursor-pointer font-medium text-slate-800">
+                📁 {node.title}
+              </summary>
+              <div className="ml-5 mt-1">
+                <ShareTree nodes={node.children} />
+              </div>
+            </details>
+          </li>
+        ) : (
+          <li key={`bookmark-${i}`} className="truncate">
+            {isWebUrl(node.url) ? (
+              <a
+                href={node.url}
+                target="_blank"
+                rel="noopener noreferrer nofollow"
+                className="text-blue-600 hover:underline"
+              >
+                {node.title || node.url}
+              </a>
+            ) : (
+              <span className="text-slate-700">{node.title || node.url}</span>
+            )}
+            <span className="ml-2 text-xs text-slate-400">{node.url}</span>
+          </li>
+        )
+      )}
+    </ul>
+  );
+}
+
+function ShareMessage({ title, children }) {
+  return (
+    <div className="min-h-screen bg-slate-50 py-16">
+      <div className="max-w-md mx-auto px-4">
+        <div className="bg-white rounded-xl border border-slate-200 p-8">
+          <h1 className="text-xl font-semibold text-slate-900 mb-4">{title}</h1>
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Shared Folder Page
+ * Public, read-only view of a folder published with a share link
+ */
+export default async function SharePage({ params }) {
+  const { slug } = await params;
+  const cookieStore = await cookies();
+  const supabase = createAdminClient();
+
+  const { link, state } = await resolveShareLink(
+    supabase,
+    slug,
+    cookieStore.get(getShareAccessCookieName(slug))?.value
+  );
+
+  if (state === 'not_found') notFound();
+
+  if (state === 'expired') {
+    return (
+      <ShareMessage title="This link has expired">
+        <p className="text-slate-600">Ask the person who shared it for a new link.</p>
+      </ShareMessage>
+    );
+  }
+
+  if (state === 'locked') {
+    return (
+      <ShareMessage title={link.title}>
+        <p className="text-slate-600 mb-6">These bookmarks are protected with a password.</p>
+        <SharePasswordForm slug={link.slug} />
+      </ShareMessage>
+    );
+  }
+
+  const { items, error } = await getSharedItems(supabase, link);
+  if (error) throw error;
+  if (!items) {
+    return (
+      <ShareMessage title="These bookmarks are no longer available">
+        <p className="text-slate-600">The owner has turned on encryption for them.</p>
+      </ShareMessage>
+    );
+  }
+
+  const { error: viewError } = await supabase.rpc('record_share_link_view', {
+    p_link_id: link.id,
+  });
+  if (viewError) console.error('Share link view count error:', viewError);
+
+  const tree = buildShareTree(items);
+  const bookmarkCount = items.filter((item) => item.type === 'bookmark').length;
+
+  return (
+    <div className="min-h-screen bg-slate-50 py-8">
+      <div className="max-w-4xl mx-auto px-4">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <div>
+            <h1 className="text-3xl font-bold text-slate-900">{link.title}</h1>
+            <p className="text-slate-600 mt-1">
+              {bookmarkCount} bookmark{bookmarkCount === 1 ? '' : 's'}
+              {link.mode === 'snapshot'
+                ? ` · shared on ${new Date(link.created_at).toLocaleDateString()}`
+                : ' · kept up to date'}
+            </p>
+          </div>
+          <div className="flex gap-2 text-sm">
+            <a
+              href={`/s/${link.slug}/export?format=html`}
+              className="border border-slate-300 rounded-lg px-3 py-2 hover:bg-white"
+            >
+              Download HTML
+            </a>
+            <a
+              href={`/s/${link.slug}/export?format=json`}
+              className="border border-slate-300 rounded-lg px-3 py-2 hover:bg-white"
+            >
+              Download JSON
+            </a>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl border border-slate-200 p-6">
+          {tree.length === 0 ? (
+            <p className="text-slate-500">This folder is empty.</p>
+          ) : (
+            <ShareTree nodes={tree} />
+          )}
+        </div>
+
+        <p className="text-xs text-slate-500 mt-6 text-center">
+          Shared with{' '}
+          <Link href="/" className="underline">
+            MarkSyncr
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+'use client';
+
+import { useState, useTransition } from 'react';
+import { unlockShareLink } from '../../actions/share-links';
+
+export default function SharePasswordForm({ slug }) {
+  const [error, setError] = useState(null);
+  const [isPending, startTransition] = useTransition();
+
+  const handleSubmit = async (formData) => {
+    setError(null);
+    startTransition(async () => {
+      const result = await unlockShareLink(formData);
+      if (result?.error) {
+        setError(result.error);
+      }
+    });
+  };
+
+  return (
+    <form action={handleSubmit} className="space-y-4">
+      <input type="hidden" name="slug" value={slug} />
+      <div>
+        <label htmlFor="password" className="block text-sm font-medium text-slate-700 mb-1">
+          Password
+        </label>
+        <input
+          id="password"
+          name="password"
+          type="password"
+          required
+          autoFocus
+          className="w-full border border-slate-300 rounded-lg px-3 py-2"
+        />
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <button
+        type="submit"
+        disabled={isPending}
+        className="w-full bg-blue-600 text-white rounded-lg px-4 py-2 hover:bg-blue-700 disabled:opacity-50"
+      >
+        {isPending ? 'Checking...' : 'View bookmarks'}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Per-row bookmark storage
+ * Bookmarks are stored one row per item in bookmark_items, with a stable id, a
+ * parent folder reference, an ordering position and the server change sequence
+ * of their last write.
+ *
+ * cloud_bookmarks still has a JSONB blob of the full list, which only version saves
+ * and rollbacks write; bookmark writes leave it alone (see
+ * supabase/migrations/033_bookmark_blob_on_demand.sql). Its items_checksum column
+ * records the checksum of the list the rows were last written with. While it equals
+ * checksum the rows are current and the blob may be stale; when it differs, the blob
+ * was written by something that doesn't know about rows (data from before the
+ * migration, a version rollback) and the blob wins.
+ */
+
+import crypto from 'crypto';
+import { diffFlatItems, indexFlatItems, normalizeRootPath } from '@marksyncr/core/delta';
+import { DELTA_OP } from '@marksyncr/types';
+
+/**
+ * Rows fetched per request; PostgREST caps responses at 1000 rows by default
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Rows written per insert/upsert/delete request
+ */
+const WRITE_BATCH_SIZE = 500;
+
+const ITEM_COLUMNS =
+  'id, item_key, type, url, title, folder_path, parent_id, position, date_added, source, seq, payload';
+
+/**
+ * Map a bookmark_items row to the flat bookmark format used by the sync API
+ * @param {Object} row - Database row
+ * @returns {Object} Flat bookmark or folder
+ */
+export function rowToItem(row) {
+  const item = {
+    id: row.id,
+    type: row.type,
+    title: row.title ?? '',
+    folderPath: row.folder_path ?? '',
+    parentId: row.parent_id ?? null,
+    index: row.position ?? 0,
+    dateAdded: Number(row.date_added) || 0,
+    source: row.source ?? null,
+  };
+  if (row.url) item.url = row.url;
+  if (row.payload) item.payload = row.payload;
+  return item;
+}
+
+/**
+ * Full path of the folder an item represents, as its children reference it
+ * @param {Object} folder - Flat folder item
+ * @returns {string}
+ */
+function folderFullPath(folder) {
+  return normalizeRootPath(
+    folder.folderPath ? `${folder.folderPath}/${folder.title}` : folder.title
+  );
+}
+
+/**
+ * Split an array into batches
+ * @param {Array} items
+ * @param {number} size
+ * @returns {Array<Array>}
+ */
+function chunk(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Read every bookmark_items row of a collection, ordered by folder and position
+ * @returns {Promise<{items: Array|null, error: Object|null}>}
+ */
+async function readAllItems(supabase, collectionId) {
+  const items = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: rows, error } = await supabase
+      .from('bookmark_items')
+      .select(ITEM_COLUMNS)
+      .eq('collection_id', collectionId)
+      .order('folder_path', { ascending: true })
+      .order('position', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) return { items: null, error };
+
+    items.push(...(rows || []).map(rowToItem));
+    if (!rows || rows.length < PAGE_SIZE) break;
+  }
+
+  return { items, error: null };
+}
+
+/**
+ * Load a collection's bookmarks from bookmark_items
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - User ID
+ * @param {Object|null} cloudRow - The collection's cloud_bookmarks row
+ * @param {Object} [options]
+ * @param {string} [options.collectionId] - Defaults to the user's default collection
+ * @returns {Promise<{items: Array|null, error: Object|null}>} items is null when the rows
+ *   don't match the blob and the blob should be used instead
+ */
+export async function loadBookmarkItems(
+  supabase,
+  userId,
+  cloudRow,
+  { collectionId = userId } = {}
+) {
+  if (!cloudRow?.items_checksum || cloudRow.items_checksum !== cloudRow.checksum) {
+    return { items: null, error: null };
+  }
+  return readAllItems(supabase, collectionId);
+}
+
+/**
+ * Load the current bookmarks of a collection
+ * @param {Object} supabase - Supabase client that can read the collection
+ * @param {string} userId
+ * @param {string} collectionId
+ * @returns {Promise<{items: Array<Object>, encrypted: boolean, error: Object|null}>}
+ *   encrypted is true when the server can't read the bookmarks
+ */
+export async function loadCollectionItems(supabase, userId, collectionId) {
+  const { data: cloudRow, error } = await supabase
+    .from('cloud_bookmarks')
+    .select('bookmark_data, checksum, items_checksum, encryption_key_id')
+    .eq('collection_id', collectionId)
+    .maybeSingle();
+
+  if (error) return { items: [], encrypted: false, error };
+  if (cloudRow?.encryption_key_id) return { items: [], encrypted: true, error: null };
+
+  const { items, error: itemsError } = await loadBookmarkItems(supabase, userId, cloudRow, {
+    collectionId,
+  });
+  if (itemsError) return { items: [], encrypted: false, error: itemsError };
+
+  // Blobs still in the old nested format become flat on the collection's next sync
+  const blob = Array.isArray(cloudRow?.bookmark_data) ? cloudRow.bookmark_data : [];
+  return { items: items ?? blob, encrypted: false, error: null };
+}
+
+/**
+ * Postgres serialization_failure, raised by reserve_bookmark_seq when the stored
+ * version is not the expected one
+ */
+const VERSION_CONFLICT_CODE = '40001';
+
+/**
+ * Reserve change sequence numbers for a write. With an expected version the
+ * reservation also claims the next version, and fails when another write got
+ * there first.
+ * @returns {Promise<{cursor: number|null, error: Object|null}>} Last reserved number
+ */
+async function reserveChangeSeq(supabase, userId, collectionId, count, expectedVersion) {
+  const { data, error } = await supabase.rpc('reserve_bookmark_seq', {
+    p_user_id: userId,
+    p_collection_id: collectionId,
+    p_count: count,
+    p_expected_version: expectedVersion ?? null,
+  });
+  return { cursor: error ? null : Number(data), error };
+}
+
+/**
+ * Write a collection's bookmark list to bookmark_items
+ *
+ * Only the rows that changed are written, so writes from two devices that touch
+ * different bookmarks don't overwrite each other. When the rows were out of date
+ * (rowsInSync false) every row is rewritten from the new list instead, keeping the ids
+ * of rows that are still there.
+ *
+ * Rows are upserted before any are deleted, so a write that fails halfway leaves
+ * extra rows rather than missing ones. The caller only marks the rows current
+ * (cloud_bookmarks.items_checksum) once this succeeds, so the next write redoes it.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - User ID
+ * @param {Object} params
+ * @param {Array} params.currentItems - Stored list the new list was derived from
+ * @param {Array} params.items - New flat bookmark list
+ * @param {boolean} params.rowsInSync - Whether currentItems came from the rows
+ * @param {number} params.changeSeq - Current change sequence number
+ * @param {number|null} [params.expectedVersion] - Only write if cloud_bookmarks is still at
+ *   this version
+ * @param {string} [params.collectionId] - Defaults to the user's default collection
+ * @returns {Promise<{items: Array|null, operations: Array, cursor: number|null, conflict?: boolean, error: Object|null}>}
+ *   items is the stored list read back after the write; operations and cursor describe
+ *   the change for the change log. conflict is set when nothing was written because
+ *   the version had moved on.
+ */
+export async function saveBookmarkItems(
+  supabase,
+  userId,
+  { currentItems, items, rowsInSync, changeSeq, expectedVersion = null, collectionId = userId }
+) {
+  const operations = diffFlatItems(currentItems, items);
+
+  let cursor = changeSeq;
+  if (operations.length > 0 || expectedVersion !== null) {
+    const reserved = await reserveChangeSeq(
+      supabase,
+      userId,
+      collectionId,
+      operations.length,
+      expectedVersion
+    );
+    if (reserved.error) {
+      const conflict = reserved.error.code === VERSION_CONFLICT_CODE;
+      return { items: null, operations, cursor: null, conflict, error: reserved.error };
+    }
+    cursor = reserved.cursor;
+  }
+
+  // Rows that are out of date are read for their ids and keys rather than trusted
+  let storedItems = currentItems;
+  if (!rowsInSync) {
+    const stored = await readAllItems(supabase, collectionId);
+    if (stored.error) return { items: null, operations, cursor, error: stored.error };
+    storedItems = stored.items;
+  }
+  const storedByKey = indexFlatItems(storedItems);
+
+  // Stable ids: keep the id of every key that already has a row
+  const existingIds = new Map();
+  for (const [key, item] of storedByKey) {
+    if (item.id) existingIds.set(key, item.id);
+  }
+
+  const finalByKey = indexFlatItems(items);
+  const idsByKey = new Map();
+  for (const key of finalByKey.keys()) {
+    idsByKey.set(key, existingIds.get(key) || crypto.randomUUID());
+  }
+
+  const folderIdsByPath = new Map();
+  for (const [key, item] of finalByKey) {
+    if (item.type === 'folder' && !folderIdsByPath.has(folderFullPath(item))) {
+      folderIdsByPath.set(folderFullPath(item), idsByKey.get(key));
+    }
+  }
+
+  const firstSeq = cursor - operations.length + 1;
+  const seqByKey = new Map(operations.map((operation, i) => [operation.key, firstSeq + i]));
+  const now = new Date().toISOString();
+
+  const toRow = (key, item) => ({
+    id: idsByKey.get(key),
+    user_id: userId,
+    collection_id: collectionId,
+    item_key: key,
+    type: item.type === 'folder' ? 'folder' : 'bookmark',
+    url: item.type === 'folder' ? null : item.url,
+    title: item.title ?? '',
+    folder_path: item.folderPath ?? '',
+    parent_id: folderIdsByPath.get(normalizeRootPath(item.folderPath)) ?? null,
+    position: item.index ?? 0,
+    date_added: item.dateAdded || 0,
+    source: item.source ?? null,
+    payload: item.payload ?? null,
+    seq: seqByKey.get(key) ?? cursor,
+    updated_at: now,
+  });
+
+  let rows;
+  let deletedKeys = [];
+
+  if (rowsInSync) {
+    rows = operations
+      .filter((operation) => operation.op !== DELTA_OP.DELETE)
+      .map((operation) => toRow(operation.key, finalByKey.get(operation.key)));
+    deletedKeys = operations
+      .filter((operation) => operation.op === DELTA_OP.DELETE)
+      .map((operation) => operation.key);
+  } else {
+    rows = Array.from(finalByKey, ([key, item]) => toRow(key, item));
+    deletedKeys = [...storedByKey.keys()].filter((key) => !finalByKey.has(key));
+  }
+
+  // Parents before children so every parent_id already exists when referenced
+  rows.sort((a, b) => {
+    if (a.type !== b.type) return a.type === 'folder' ? -1 : 1;
+    return a.folder_path.split('/').length - b.folder_path.split('/').length;
+  });
+
+  for (const batch of chunk(rows, WRITE_BATCH_SIZE)) {
+    const { error } = await supabase
+      .from('bookmark_items')
+      .upsert(batch, { onConflict: 'collection_id,item_key' });
+    if (error) return { items: null, operations, cursor, error };
+  }
+
+  for (const batch of chunk(deletedKeys, WRITE_BATCH_SIZE)) {
+    const { error } = await supabase
+      .from('bookmark_items')
+      .delete()
+      .eq('collection_id', collectionId)
+      .in('item_key', batch);
+    if (error) return { items: null, operations, cursor, error };
+  }
+
+  const stored = await readAllItems(supabase, collectionId);
+  return { items: stored.items, operations, cursor, error: stored.error };
+}
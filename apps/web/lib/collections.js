@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Bookmark collections
+ * A collection is an independent set of bookmarks under one account, with its own
+ * version history, connected sources and devices (see
+ * supabase/migrations/026_collections.sql). Every account has a default collection
+ * whose id is the user id; requests that don't name a collection use it.
+ *
+ * Clients name a collection with the X-MarkSyncr-Collection header (the extension)
+ * or the collection query parameter (the dashboard).
+ */
+
+export const COLLECTION_HEADER = 'x-marksyncr-collection';
+
+/**
+ * Collections an account can have, the default one included
+ */
+export const MAX_COLLECTIONS = 20;
+
+export const MAX_COLLECTION_NAME_LENGTH = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Id of a user's default collection
+ * @param {string} userId
+ * @returns {string}
+ */
+export function getDefaultCollectionId(userId) {
+  return userId;
+}
+
+/**
+ * Collection named by a request
+ * @param {Request} request
+ * @returns {string|null} Collection id, or null when the request names none
+ */
+export function getRequestedCollectionId(request) {
+  const header = request?.headers?.get?.(COLLECTION_HEADER);
+  if (header?.trim()) return header.trim();
+
+  try {
+    return new URL(request.url).searchParams.get('collection')?.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the collection a request works on, checking that it belongs to the user
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId
+ * @param {string|null} requestedId - Collection named by the client, if any
+ * @returns {Promise<{collectionId: string|null, error: string|null, status?: number}>}
+ *   error and status describe the response to send when the collection can't be used
+ */
+export async function resolveCollection(supabase, userId, requestedId) {
+  const defaultId = getDefaultCollectionId(userId);
+  if (!requestedId || requestedId === defaultId) {
+    return { collectionId: defaultId, error: null };
+  }
+
+  if (!UUID_PATTERN.test(requestedId)) {
+    return { collectionId: null, error: 'Collection not found', status: 404 };
+  }
+
+  const { data, error } = await supabase
+    .from('collections')
+    .select('id')
+    .eq('id', requestedId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Failed to resolve collection:', error);
+    return { collectionId: null, error: 'Failed to load collection', status: 500 };
+  }
+  if (!data) {
+    return { collectionId: null, error: 'Collection not found', status: 404 };
+  }
+  return { collectionId: data.id, error: null };
+}
+
+/**
+ * Resolve the collection named by a request
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId
+ * @param {Request} request
+ * @returns {Promise<{collectionId: string|null, error: string|null, status?: number}>}
+ */
+export function resolveRequestCollection(supabase, userId, request) {
+  return resolveCollection(supabase, userId, getRequestedCollectionId(request));
+}
+
+/**
+ * Validate a collection name
+ * @param {*} name
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateCollectionName(name) {
+  const errors = [];
+
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.push('name is required');
+  } else if (name.trim().length > MAX_COLLECTION_NAME_LENGTH) {
+    errors.push(`name must be at most ${MAX_COLLECTION_NAME_LENGTH} characters`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Map a collections row to the API format
+ * @param {Object} row - collections row
+ * @returns {{id: string, name: string, isDefault: boolean, createdAt: string}}
+ */
+export function toCollection(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    isDefault: row.id === row.user_id,
+    createdAt: row.created_at,
+  };
+}
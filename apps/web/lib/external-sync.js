@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Pushes of the cloud bookmarks to a user's external sync sources
+ * Each push writes the bookmark file of one connected source (GitHub, Dropbox, WebDAV,
+ * S3 or a git forge) and throws when it fails. Pushes run as sync jobs (see
+ * lib/sync-queue.js), which retry them with backoff.
+ */
+
+import { syncBookmarksToGitHub } from '@marksyncr/sources/oauth/github-sync';
+import { syncBookmarksToDropbox } from '@marksyncr/sources/oauth/dropbox-sync';
+import { refreshAccessToken } from '@marksyncr/sources/oauth/dropbox-oauth';
+import { WebDavSource, syncBookmarksToWebDav } from '@marksyncr/sources/webdav';
+import { S3Source, syncBookmarksToS3 } from '@marksyncr/sources/s3';
+import { syncBookmarksToGitForge } from '@marksyncr/sources/git-forge';
+import { createGitForgeSource } from './git-forge';
+import { publicFetch } from './public-urls';
+
+/**
+ * Providers bookmarks can be pushed to
+ * Google Drive is connected through OAuth but has no push yet.
+ */
+export const PUSH_PROVIDERS = ['github', 'dropbox', 'webdav', 's3', 'git-forge'];
+
+/**
+ * Push bookmarks to one external source
+ * @param {object} supabase - Supabase client, for storing refreshed tokens
+ * @param {object} source - sync_sources row
+ * @param {object} state - What to push
+ * @param {Array} state.bookmarks - Bookmarks to sync
+ * @param {Array} state.tombstones - Tombstones for deleted bookmarks
+ * @param {string} state.checksum - Checksum of the bookmark data
+ * @returns {Promise<void>}
+ */
+export async function pushToSource(supabase, source, { bookmarks, tombstones, checksum }) {
+  switch (source.provider) {
+    case 'github':
+      return syncToGitHub(source, bookmarks, tombstones, checksum);
+    case 'dropbox':
+      return syncToDropbox(supabase, source, bookmarks, tombstones, checksum);
+    case 'webdav':
+      return syncToWebDav(source, bookmarks, tombstones, checksum);
+    case 's3':
+      return syncToS3(source, bookmarks, tombstones, checksum);
+    case 'git-forge':
+      return syncToGitForge(source, bookmarks, tombstones, checksum);
+    default:
+      throw new Error(`Pushing to ${source.provider} is not supported`);
+  }
+}
+
+/**
+ * Sync bookmarks to a GitHub repository
+ * @param {object} source - Sync source configuration from database
+ * @param {Array} bookmarks - Bookmarks to sync
+ * @param {Array} tombstones - Tombstones for deleted bookmarks
+ * @param {string} checksum - Checksum of the bookmark data
+ */
+async function syncToGitHub(source, bookmarks, tombstones, checksum) {
+  const { access_token, repository, branch, file_path } = source;
+
+  if (!access_token) {
+    throw new Error('No access token found for GitHub source');
+  }
+
+  if (!repository) {
+    throw new Error('No repository configured for GitHub source');
+  }
+
+  console.log(`[GitHub Sync] Syncing ${bookmarks.length} bookmarks to ${repository}`);
+
+  try {
+    const result = await syncBookmarksToGitHub(
+      access_token,
+      repository,
+      branch || 'main',
+      file_path || 'bookmarks.json',
+      bookmarks,
+      tombstones,
+      checksum
+    );
+
+    console.log(`[GitHub Sync] Successfully synced to ${repository}:`, {
+      created: result.created,
+      bookmarkCount: result.bookmarkCount,
+      sha: result.sha,
+    });
+  } catch (error) {
+    console.error(`[GitHub Sync] Failed to sync to ${repository}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Try to refresh the Dropbox access token using the stored refresh token
+ * @param {object} supabase - Supabase client
+ * @param {object} source - Sync source record from database
+ * @returns {string|null} New access token, or null if refresh failed
+ */
+async function tryRefreshDropboxToken(supabase, source) {
+  const clientId = process.env.DROPBOX_CLIENT_ID;
+  const clientSecret = process.env.DROPBOX_CLIENT_SECRET;
+
+  if (!clientId || !clientSecret) {
+    console.error(
+      '[Dropbox Sync] Cannot refresh token: DROPBOX_CLIENT_ID or DROPBOX_CLIENT_SECRET not configured'
+    );
+    return null;
+  }
+
+  if (!source.refresh_token) {
+    console.error('[Dropbox Sync] Cannot refresh token: no refresh_token stored');
+    return null;
+  }
+
+  console.log('[Dropbox Sync] Refreshing expired access token...');
+
+  const tokenData = await refreshAccessToken(source.refresh_token, clientId, clientSecret);
+
+  // Update the token in the database
+  const { error: updateError } = await supabase
+    .from('sync_sources')
+    .update({
+      access_token: tokenData.access_token,
+      expires_at: tokenData.expires_in
+        ? new Date(Date.now() + tokenData.expires_in * 1000).toISOString()
+        : null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', source.id);
+
+  if (updateError) {
+    console.error('[Dropbox Sync] Failed to update refreshed token in database:', updateError);
+  } else {
+    console.log('[Dropbox Sync] Successfully refreshed and stored new access token');
+  }
+
+  return tokenData.access_token;
+}
+
+/**
+ * Sync bookmarks to Dropbox
+ * @param {object} supabase - Supabase client for token refresh
+ * @param {object} source - Sync source configuration from database
+ * @param {Array} bookmarks - Bookmarks to sync
+ * @param {Array} tombstones - Tombstones for deleted bookmarks
+ * @param {string} checksum - Checksum of the bookmark data
+ */
+async function syncToDropbox(supabase, source, bookmarks, tombstones, checksum) {
+  let { access_token, file_path } = source;
+
+  if (!access_token) {
+    throw new Error('No access token found for Dropbox source');
+  }
+
+  // Check if token is expired and refresh proactively
+  if (source.expires_at && new Date(source.expires_at) <= new Date()) {
+    console.log('[Dropbox Sync] Token expired, refreshing before sync...');
+    const newToken = await tryRefreshDropboxToken(supabase, source);
+    if (newToken) {
+      access_token = newToken;
+    } else {
+      console.error('[Dropbox Sync] Token refresh failed, attempting sync with expired token');
+    }
+  }
+
+  const dropboxPath = file_path || '/Apps/MarkSyncr/bookmarks.json';
+  console.log(`[Dropbox Sync] Syncing ${bookmarks.length} bookmarks to ${dropboxPath}`);
+
+  try {
+    const result = await syncBookmarksToDropbox(
+      access_token,
+      dropboxPath,
+      bookmarks,
+      tombstones,
+      checksum
+    );
+
+    console.log(`[Dropbox Sync] Successfully synced to ${dropboxPath}:`, {
+      created: result.created,
+      skipped: result.skipped,
+      bookmarkCount: result.bookmarkCount,
+      rev: result.rev,
+    });
+  } catch (error) {
+    // If the error indicates an expired token, try refreshing and retrying once
+    const isExpiredToken =
+      error.message?.includes('expired_access_token') ||
+      error.message?.includes('invalid_access_token');
+
+    if (isExpiredToken) {
+      console.log('[Dropbox Sync] Token expired during sync, attempting refresh and retry...');
+      const newToken = await tryRefreshDropboxToken(supabase, source);
+      if (newToken) {
+        const retryResult = await syncBookmarksToDropbox(
+          newToken,
+          dropboxPath,
+          bookmarks,
+          tombstones,
+          checksum
+        );
+
+        console.log(`[Dropbox Sync] Retry succeeded after token refresh:`, {
+          created: retryResult.created,
+          skipped: retryResult.skipped,
+          bookmarkCount: retryResult.bookmarkCount,
+          rev: retryResult.rev,
+        });
+        return;
+      }
+    }
+
+    console.error(`[Dropbox Sync] Failed to sync to ${dropboxPath}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Sync bookmarks to a WebDAV server
+ * @param {object} source - Sync source configuration from database
+ * @param {Array} bookmarks - Bookmarks to sync
+ * @param {Array} tombstones - Tombstones for deleted bookmarks
+ * @param {string} checksum - Checksum of the bookmark data
+ */
+async function syncToWebDav(source, bookmarks, tombstones, checksum) {
+  const { access_token, provider_username, file_path, config } = source;
+
+  if (!config?.url) {
+    throw new Error('No server URL configured for WebDAV source');
+  }
+
+  const webdav = new WebDavSource(
+    { url: config.url, path: file_path, authType: config.authType, name: 'WebDAV' },
+    { username: provider_username, password: access_token },
+    { fetch: publicFetch }
+  );
+  console.log(`[WebDAV Sync] Syncing ${bookmarks.length} bookmarks to ${webdav.fileUrl}`);
+
+  try {
+    const result = await syncBookmarksToWebDav(webdav, bookmarks, tombstones, checksum);
+
+    console.log(`[WebDAV Sync] Successfully synced to ${webdav.fileUrl}:`, {
+      created: result.created,
+      skipped: result.skipped,
+      bookmarkCount: result.bookmarkCount,
+      etag: result.etag,
+    });
+  } catch (error) {
+    console.error(`[WebDAV Sync] Failed to sync to ${webdav.fileUrl}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Sync bookmarks to an object in an S3-compatible bucket
+ * @param {object} source - Sync source configuration from database
+ * @param {Array} bookmarks - Bookmarks to sync
+ * @param {Array} tombstones - Tombstones for deleted bookmarks
+ * @param {string} checksum - Checksum of the bookmark data
+ */
+async function syncToS3(source, bookmarks, tombstones, checksum) {
+  const { access_token, provider_username, file_path, config } = source;
+
+  if (!config?.endpoint || !config?.bucket) {
+    throw new Error('No endpoint or bucket configured for S3 source');
+  }
+
+  const s3 = new S3Source(
+    { ...config, path: file_path, name: 'S3' },
+    { accessKeyId: provider_username, secretAccessKey: access_token },
+    { fetch: publicFetch }
+  );
+  const location = `${s3.bucket}/${s3.key}`;
+  console.log(`[S3 Sync] Syncing ${bookmarks.length} bookmarks to ${location}`);
+
+  try {
+    const result = await syncBookmarksToS3(s3, bookmarks, tombstones, checksum);
+
+    console.log(`[S3 Sync] Successfully synced to ${location}:`, {
+      created: result.created,
+      skipped: result.skipped,
+      bookmarkCount: result.bookmarkCount,
+      etag: result.etag,
+    });
+  } catch (error) {
+    console.error(`[S3 Sync] Failed to sync to ${location}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Sync bookmarks to a git repository as a new commit
+ * @param {object} source - Sync source configuration from database
+ * @param {Array} bookmarks - Bookmarks to sync
+ * @param {Array} tombstones - Tombstones for deleted bookmarks
+ * @param {string} checksum - Checksum of the bookmark data
+ */
+async function syncToGitForge(source, bookmarks, tombstones, checksum) {
+  if (!source.repository || !source.config?.forge) {
+    throw new Error('No repository or forge configured for git forge source');
+  }
+
+  const gitForge = createGitForgeSource(source);
+  const location = `${gitForge.forge}:${gitForge.repository}@${gitForge.branch}/${gitForge.path}`;
+  console.log(`[Git Forge Sync] Committing ${bookmarks.length} bookmarks to ${location}`);
+
+  try {
+    const result = await syncBookmarksToGitForge(gitForge, bookmarks, tombstones, checksum);
+
+    console.log(`[Git Forge Sync] Successfully synced to ${location}:`, {
+      created: result.created,
+      skipped: result.skipped,
+      bookmarkCount: result.bookmarkCount,
+      commit: gitForge.headCommit,
+    });
+  } catch (error) {
+    console.error(`[Git Forge Sync] Failed to sync to ${location}:`, error);
+    throw error;
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview A user's git forge sync source
+ * Used by the bookmarks route, which commits every sync, and by the history and
+ * restore routes of the dashboard.
+ */
+
+import { GitForgeSource } from '@marksyncr/sources/git-forge';
+import { publicFetch } from './public-urls';
+
+/**
+ * Create the source for a git-forge sync_sources row
+ * @param {Object} row - sync_sources row with repository, branch, file_path, access_token and config
+ * @returns {GitForgeSource}
+ */
+export function createGitForgeSource(row) {
+  return new GitForgeSource(
+    {
+      ...row.config,
+      repository: row.repository,
+      branch: row.branch,
+      path: row.file_path,
+      name: 'Git',
+    },
+    { accessToken: row.access_token },
+    { fetch: publicFetch }
+  );
+}
+
+/**
+ * Load the git forge source connected to a collection
+ * @param {Object} supabase - Supabase client
+ * @param {string} collectionId
+ * @returns {Promise<{source: GitForgeSource|null, error: Object|null}>} source is null
+ *   when no repository is connected
+ */
+export async function loadGitForgeSource(supabase, collectionId) {
+  const { data, error } = await supabase
+    .from('sync_sources')
+    .select('repository, branch, file_path, access_token, config')
+    .eq('collection_id', collectionId)
+    .eq('provider', 'git-forge')
+    .maybeSingle();
+
+  if (error) return { source: null, error };
+  if (!data?.access_token) return { source: null, error: null };
+  return { source: createGitForgeSource(data), error: null };
+}
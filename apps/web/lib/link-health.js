@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Scheduled link health scans
+ * The link-health cron (app/api/cron/link-health) checks the bookmarks of Pro and
+ * Team accounts in the background, a few hundred links per run and spaced out per
+ * host, and keeps the latest result of each link in link_checks and every status
+ * change in link_check_history (see supabase/migrations/029_link_health_scans.sql).
+ *
+ * A link that worked at its previous check and fails now counts as newly broken.
+ * When a run finds some and the user has notifications.brokenLinks on, the run is
+ * flagged for the extension to notify about (app/api/link-health/alerts).
+ *
+ * Links are requested from the server's network, so only hosts that resolve to public
+ * addresses are checked, and a redirect to anywhere else ends the check (see
+ * lib/public-urls.js).
+ */
+
+import { LINK_STATUS, checkLinks } from '@marksyncr/core/link-checker';
+import { loadCollectionItems } from './bookmark-store';
+import { isPublicUrl, publicFetch } from './public-urls';
+
+/**
+ * How long after its last run an account is scanned again
+ */
+export const LINK_SCAN_INTERVAL_SECONDS = 6 * 60 * 60;
+
+/**
+ * How old a link's last check must be before it is checked again
+ */
+export const LINK_RECHECK_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Links checked per run; the rest wait for the next run
+ */
+export const MAX_CHECKS_PER_RUN = 250;
+
+/**
+ * Accounts scanned per cron invocation
+ */
+const CLAIM_LIMIT = 3;
+
+/**
+ * How long a run may take before another invocation may fail it
+ */
+const LEASE_SECONDS = 600;
+
+/**
+ * Links checked between two looks at the time budget
+ */
+const CHECK_BATCH_SIZE = 25;
+
+const CHECK_OPTIONS = {
+  timeout: 8000,
+  concurrency: 5,
+  // At most one request every two seconds to a host
+  domainInterval: 2000,
+  // Catch pages that say "not found" with a 200
+  inspectContent: true,
+  // Checked for every redirect target too
+  isAllowedUrl: isPublicUrl,
+  fetch: publicFetch,
+};
+
+/**
+ * Rows fetched or written per request
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Check results that mean a link doesn't work
+ */
+export const BROKEN_STATUSES = [LINK_STATUS.BROKEN, LINK_STATUS.TIMEOUT];
+
+/**
+ * Whether a check result is one of BROKEN_STATUSES
+ * @param {string} [status]
+ * @returns {boolean}
+ */
+export function isBrokenStatus(status) {
+  return BROKEN_STATUSES.includes(status);
+}
+
+/**
+ * Pick the links a run checks: never-checked links first, then the ones whose last
+ * check is oldest, skipping those checked within LINK_RECHECK_INTERVAL_MS
+ * @param {string[]} urls - Links of the library
+ * @param {Map<string, Object>} checks - link_checks rows by URL
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {number} [options.limit]
+ * @returns {string[]}
+ */
+export function selectLinksToCheck(
+  urls,
+  checks,
+  { now = Date.now(), limit = MAX_CHECKS_PER_RUN } = {}
+) {
+  const checkedAt = (url) => new Date(checks.get(url)?.checked_at ?? 0).getTime();
+
+  return urls
+    .filter((url) => now - checkedAt(url) >= LINK_RECHECK_INTERVAL_MS)
+    .sort((a, b) => checkedAt(a) - checkedAt(b))
+    .slice(0, limit);
+}
+
+/**
+ * The distinct public web links of all of a user's collections
+ * Encrypted collections are skipped: the server can't read their links. Links to
+ * private addresses are left out, since the server must not request them.
+ * @param {Object} supabase - Service role client
+ * @param {string} userId
+ * @returns {Promise<{urls: string[], error: Object|null}>}
+ */
+export async function loadLibraryUrls(supabase, userId) {
+  const { data: collections, error } = await supabase
+    .from('collections')
+    .select('id')
+    .eq('user_id', userId);
+
+  if (error) return { urls: [], error };
+
+  const urls = new Set();
+  for (const collection of collections || []) {
+    const loaded = await loadCollectionItems(supabase, userId, collection.id);
+    if (loaded.error) return { urls: [], error: loaded.error };
+
+    for (const item of loaded.items) {
+      if (item.type !== 'folder' && isPublicUrl(item.url)) urls.add(item.url);
+    }
+  }
+
+  return { urls: [...urls], error: null };
+}
+
+/**
+ * Every link_checks row of a user
+ * @returns {Promise<{checks: Map<string, Object>, error: Object|null}>} Rows by URL
+ */
+async function loadLinkChecks(supabase, userId) {
+  const checks = new Map();
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: rows, error } = await supabase
+      .from('link_checks')
+      .select('id, bookmark_id, url, status, checked_at, broken_since')
+      .eq('user_id', userId)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) return { checks, error };
+
+    for (const row of rows || []) checks.set(row.bookmark_id, row);
+    if (!rows || rows.length < PAGE_SIZE) break;
+  }
+
+  return { checks, error: null };
+}
+
+/**
+ * Run a query over rows in batches, stopping at the first error
+ * @param {Array} rows
+ * @param {(batch: Array) => Promise<{error: Object|null}>} write
+ * @returns {Promise<Object|null>} The error, if any
+ */
+async function writeInBatches(rows, write) {
+  for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+    const { error } = await write(rows.slice(i, i + PAGE_SIZE));
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Whether the user wants to hear about links that broke
+ */
+async function wantsBrokenLinkNotifications(supabase, userId) {
+  const { data } = await supabase
+    .from('user_settings')
+    .select('settings')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return data?.settings?.notifications?.brokenLinks === true;
+}
+
+/**
+ * Check a user's stale links and store the results
+ * @param {Object} supabase - Service role client
+ * @param {Object} run - The claimed link_scan_runs row
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Stop checking at this time (ms since epoch)
+ * @returns {Promise<{checked: number, broken: number, newlyBroken: number, recovered: number}>}
+ * @throws When reading or writing the database fails
+ */
+export async function runLinkScan(supabase, run, { deadline = Infinity } = {}) {
+  const userId = run.user_id;
+
+  const library = await loadLibraryUrls(supabase, userId);
+  if (library.error) throw library.error;
+  const existing = await loadLinkChecks(supabase, userId);
+  if (existing.error) throw existing.error;
+  const { checks } = existing;
+
+  // Forget links that are no longer bookmarked
+  const libraryUrls = new Set(library.urls);
+  const removedIds = [...checks.values()]
+    .filter((row) => !libraryUrls.has(row.bookmark_id))
+    .map((row) => row.id);
+  const removeError = await writeInBatches(removedIds, (ids) =>
+    supabase.from('link_checks').delete().in('id', ids)
+  );
+  if (removeError) throw removeError;
+  for (const [url] of checks) {
+    if (!libraryUrls.has(url)) checks.delete(url);
+  }
+
+  const toCheck = selectLinksToCheck(library.urls, checks);
+  const results = [];
+  for (let i = 0; i < toCheck.length && Date.now() < deadline; i += CHECK_BATCH_SIZE) {
+    const batch = toCheck.slice(i, i + CHECK_BATCH_SIZE).map((url) => ({ id: url, url }));
+    results.push(...(await checkLinks(batch, CHECK_OPTIONS)));
+  }
+
+  const checkedAt = new Date().toISOString();
+  const rows = [];
+  const history = [];
+  let newlyBroken = 0;
+  let recovered = 0;
+
+  for (const result of results) {
+    const previous = checks.get(result.url);
+    const broken = isBrokenStatus(result.status);
+    const wasBroken = isBrokenStatus(previous?.status);
+
+    if (previous && broken && !wasBroken) newlyBroken++;
+    if (previous && !broken && wasBroken) recovered++;
+
+    const row = {
+      user_id: userId,
+      bookmark_id: result.url,
+      url: result.url,
+      status: result.status,
+      status_code: result.statusCode,
+      redirect_url: result.redirectUrl,
+      error_message: result.errorMessage,
+      checked_at: checkedAt,
+      broken_since: broken ? (wasBroken && previous.broken_since) || checkedAt : null,
+    };
+    rows.push(row);
+    checks.set(result.url, row);
+
+    if (previous?.status !== result.status) {
+      history.push({
+        user_id: userId,
+        run_id: run.id,
+        url: result.url,
+        status: result.status,
+        previous_status: previous?.status ?? null,
+        status_code: result.statusCode,
+        error_message: result.errorMessage,
+        checked_at: checkedAt,
+      });
+    }
+  }
+
+  const upsertError = await writeInBatches(rows, (batch) =>
+    supabase.from('link_checks').upsert(batch, { onConflict: 'user_id,bookmark_id' })
+  );
+  if (upsertError) throw upsertError;
+  const historyError = await writeInBatches(history, (batch) =>
+    supabase.from('link_check_history').insert(batch)
+  );
+  if (historyError) throw historyError;
+
+  const broken = [...checks.values()].filter((row) => isBrokenStatus(row.status)).length;
+  return { checked: results.length, broken, newlyBroken, recovered };
+}
+
+/**
+ * Claim accounts due for a scan and scan them
+ * @param {Object} supabase - Service role client
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Stop starting checks at this time (ms since epoch)
+ * @param {number} [options.limit] - Accounts to scan
+ * @returns {Promise<{claimed: number, completed: number, failed: number, newlyBroken: number}>}
+ */
+export async function processLinkScans(
+  supabase,
+  { deadline = Infinity, limit = CLAIM_LIMIT } = {}
+) {
+  const { data: runs, error } = await supabase.rpc('claim_link_scans', {
+    p_limit: limit,
+    p_interval_seconds: LINK_SCAN_INTERVAL_SECONDS,
+    p_lease_seconds: LEASE_SECONDS,
+  });
+
+  if (error) {
+    console.error('[Link Health] Failed to claim scans:', error);
+    return { claimed: 0, completed: 0, failed: 0, newlyBroken: 0 };
+  }
+
+  const results = { claimed: runs?.length ?? 0, completed: 0, failed: 0, newlyBroken: 0 };
+
+  for (const run of runs ?? []) {
+    let update;
+    try {
+      const summary = await runLinkScan(supabase, run, { deadline });
+      update = {
+        status: 'completed',
+        checked: summary.checked,
+        broken: summary.broken,
+        newly_broken: summary.newlyBroken,
+        recovered: summary.recovered,
+        notify:
+          summary.newlyBroken > 0 && (await wantsBrokenLinkNotifications(supabase, run.user_id)),
+      };
+      results.completed++;
+      results.newlyBroken += summary.newlyBroken;
+    } catch (err) {
+      console.error(`[Link Health] Scan ${run.id} failed:`, err);
+      update = { status: 'failed', error: err?.message || String(err) };
+      results.failed++;
+    }
+
+    const { error: finishError } = await supabase
+      .from('link_scan_runs')
+      .update({ ...update, finished_at: new Date().toISOString() })
+      .eq('id', run.id);
+    if (finishError) {
+      console.error(`[Link Health] Failed to finish scan ${run.id}:`, finishError);
+    }
+  }
+
+  return results;
+}
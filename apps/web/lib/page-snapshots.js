@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Page snapshots for offline reading
+ * The server loads a bookmarked page and keeps a readable copy of it in
+ * page_snapshots (see supabase/migrations/030_page_snapshots.sql). How many
+ * snapshots a user keeps is limited by their plan.
+ *
+ * The extension sends the source of the page as the user sees it in their tab when
+ * it can read the tab, so logged-in and paywalled pages are captured the way the user
+ * saw them. Otherwise the server loads the page from its own network on the user's
+ * behalf, and then only from hosts that resolve to public addresses (see
+ * lib/public-urls.js).
+ */
+
+import { getPageCaptureLimit, isSubscriptionActive } from '@marksyncr/core/feature-gate';
+import { capturePage, fetchPage } from '@marksyncr/core/page-capture';
+import { isPublicUrl, publicFetch } from './public-urls';
+
+/**
+ * Columns of the snapshot list; content and text are only read for one snapshot
+ */
+export const SNAPSHOT_SUMMARY_COLUMNS =
+  'id, url, canonical_url, title, byline, site_name, description, image_url, excerpt, word_count, truncated, captured_at';
+
+export const SNAPSHOT_COLUMNS = `${SNAPSHOT_SUMMARY_COLUMNS}, content, text_content`;
+
+/**
+ * Longest URL a snapshot can be taken of
+ */
+export const MAX_SNAPSHOT_URL_LENGTH = 2048;
+
+/**
+ * Longest page source a client may send, in characters
+ */
+export const MAX_SNAPSHOT_HTML_LENGTH = 2 * 1024 * 1024;
+
+const FETCH_OPTIONS = {
+  timeout: 15000,
+  maxBytes: 2 * 1024 * 1024,
+  isAllowedUrl: isPublicUrl,
+  fetch: publicFetch,
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Checks that a route parameter can be a snapshot id
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isSnapshotId(id) {
+  return typeof id === 'string' && UUID_PATTERN.test(id);
+}
+
+/**
+ * Take a readable snapshot of a page, loading it unless its source is given
+ * @param {string} url - Bookmarked URL
+ * @param {string} [html] - Source of the page as the user's browser has it
+ * @returns {Promise<import('@marksyncr/core/page-capture').PageSnapshot>} Snapshot of
+ *   the page the URL leads to, under the bookmarked URL
+ * @throws {Error} When the page can't be loaded or isn't HTML
+ */
+export async function capturePageSnapshot(url, html) {
+  if (typeof html === 'string') {
+    return capturePage(html, url);
+  }
+
+  const page = await fetchPage(url, FETCH_OPTIONS);
+  return { ...capturePage(page.html, page.url), url };
+}
+
+/**
+ * How many snapshots a user keeps and may keep
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId
+ * @returns {Promise<{used: number, limit: number}>}
+ */
+export async function getSnapshotQuota(supabase, userId) {
+  const [{ data: subscription }, { count, error }] = await Promise.all([
+    supabase.from('subscriptions').select('plan, status').eq('user_id', userId).maybeSingle(),
+    supabase
+      .from('page_snapshots')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId),
+  ]);
+
+  if (error) throw error;
+
+  const plan = isSubscriptionActive(subscription) ? subscription.plan : 'free';
+  return { used: count ?? 0, limit: getPageCaptureLimit(plan) };
+}
+
+/**
+ * page_snapshots row for a snapshot
+ * @param {string} userId
+ * @param {import('@marksyncr/core/page-capture').PageSnapshot} snapshot
+ * @returns {Object}
+ */
+export function toSnapshotRow(userId, snapshot) {
+  return {
+    user_id: userId,
+    url: snapshot.url,
+    canonical_url: snapshot.canonicalUrl,
+    title: snapshot.title,
+    byline: snapshot.byline,
+    site_name: snapshot.siteName,
+    description: snapshot.description,
+    image_url: snapshot.imageUrl,
+    excerpt: snapshot.excerpt,
+    content: snapshot.content,
+    text_content: snapshot.textContent,
+    word_count: snapshot.wordCount,
+    truncated: snapshot.truncated,
+    captured_at: snapshot.capturedAt,
+  };
+}
+
+/**
+ * API shape of a page_snapshots row
+ * @param {Object} row - Selected with SNAPSHOT_SUMMARY_COLUMNS or SNAPSHOT_COLUMNS
+ * @returns {Object}
+ */
+export function toSnapshot(row) {
+  const snapshot = {
+    id: row.id,
+    url: row.url,
+    canonicalUrl: row.canonical_url,
+    title: row.title,
+    byline: row.byline,
+    siteName: row.site_name,
+    description: row.description,
+    imageUrl: row.image_url,
+    excerpt: row.excerpt,
+    wordCount: row.word_count,
+    truncated: row.truncated,
+    capturedAt: row.captured_at,
+  };
+
+  if (row.content !== undefined) {
+    snapshot.content = row.content;
+    snapshot.textContent = row.text_content;
+  }
+  return snapshot;
+}
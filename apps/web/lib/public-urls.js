@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Which addresses the server may request on a user's behalf
+ * Page snapshots (lib/page-snapshots.js) and link health scans (lib/link-health.js)
+ * load URLs that users bookmarked, and external sync pushes bookmarks to the WebDAV
+ * servers, S3 endpoints and git forges users connect. Those requests come from the
+ * server's network, so they may only go to public web addresses: never the server
+ * itself, private networks or cloud metadata endpoints, and not through a redirect
+ * either.
+ *
+ * Looking at the URL is not enough, since any domain can resolve to a private
+ * address. publicFetch resolves the host, refuses it unless every address it resolves
+ * to is public, and connects to the address it checked, so the name can't resolve
+ * somewhere else by the time the connection is made. It never follows redirects;
+ * callers that follow them check each hop by fetching it in turn.
+ */
+
+import { lookup } from 'dns/promises';
+import { request as httpRequest } from 'http';
+import { request as httpsRequest } from 'https';
+import { BlockList, isIP } from 'net';
+import { Readable } from 'stream';
+import { isValidUrl } from '@marksyncr/core/link-checker';
+
+export const ADDRESS_NOT_ALLOWED = 'Address is not allowed';
+
+// Ranges that aren't on the public internet, or that embed an address that may not be.
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are matched against the IPv4 ranges.
+const PRIVATE_NETWORKS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const privateAddresses = new BlockList();
+for (const [network, prefix, type] of PRIVATE_NETWORKS) {
+  privateAddresses.addSubnet(network, prefix, type);
+}
+
+const PRIVATE_HOSTNAME_PATTERN = /(^|\.)(localhost|local|internal|localdomain)$/i;
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+  const family = isIP(address);
+  if (!family) return false;
+  return !privateAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether a URL may be requested, judging by the URL alone: a web address on a
+ * public host. The host's addresses are checked by publicFetch.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isPublicUrl(url) {
+  if (!isValidUrl(url)) return false;
+
+  const { hostname } = new URL(url);
+  // IPv6 literals stay bracketed in URL.hostname
+  const address = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (isIP(address)) return isPublicAddress(address);
+  return hostname.includes('.') && !PRIVATE_HOSTNAME_PATTERN.test(hostname);
+}
+
+/**
+ * Parse the URL of a server a user connects (WebDAV server, S3 endpoint, self-hosted
+ * git forge): a public https:// host, since credentials are sent to it
+ * @param {string} value
+ * @returns {URL|null} null when the URL may not be used
+ */
+export function parsePublicServerUrl(value) {
+  if (!isPublicUrl(value)) return null;
+
+  const url = new URL(value);
+  return url.protocol === 'https:' ? url : null;
+}
+
+/**
+ * Resolve a host, making sure every address it resolves to is public
+ * @param {string} hostname - As in URL.hostname
+ * @returns {Promise<{address: string, family: number}>} The address to connect to
+ * @throws {Error} When the host doesn't resolve or resolves to a private address
+ */
+export async function resolvePublicAddress(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = isIP(host)
+    ? [{ address: host, family: isIP(host) }]
+    : await lookup(host, { all: true, verbatim: true });
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(ADDRESS_NOT_ALLOWED);
+  }
+  return addresses[0];
+}
+
+/**
+ * fetch for URLs users gave the server: connects only to public addresses, and only
+ * to the address it checked. Redirects are returned, never followed.
+ * @param {string} url
+ * @param {Object} [init]
+ * @param {string} [init.method]
+ * @param {Record<string, string>} [init.headers]
+ * @param {string|Uint8Array} [init.body]
+ * @param {AbortSignal} [init.signal]
+ * @returns {Promise<Response>}
+ * @throws {Error} ADDRESS_NOT_ALLOWED for private addresses, or a network error
+ */
+export async function publicFetch(url, { method = 'GET', headers = {}, body, signal } = {}) {
+  if (!isPublicUrl(url)) throw new Error(ADDRESS_NOT_ALLOWED);
+
+  const target = new URL(url);
+  const { address, family } = await resolvePublicAddress(target.hostname);
+  const request = target.protocol === 'https:' ? httpsRequest : httpRequest;
+  // Sent with a length rather than chunked, which some servers (S3 among them) refuse
+  const requestHeaders =
+    body == null ? headers : { 'Content-Length': String(Buffer.byteLength(body)), ...headers };
+
+  return new Promise((resolve, reject) => {
+    const req = request(
+      target,
+      {
+        method,
+        headers: requestHeaders,
+        signal,
+        lookup: (_hostname, options, callback) =>
+          options.all ? callback(null, [{ address, family }]) : callback(null, address, family),
+      },
+      (res) => {
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(res.headers)) {
+          for (const item of [].concat(value)) responseHeaders.append(name, item);
+        }
+
+        const hasBody = method !== 'HEAD' && res.statusCode !== 204 && res.statusCode !== 304;
+        if (!hasBody) res.resume();
+
+        resolve(
+          new Response(hasBody ? Readable.toWeb(res) : null, {
+            status: res.statusCode,
+            statusText: res.statusMessage,
+            headers: responseHeaders,
+          })
+        );
+      }
+    );
+
+    req.on('error', reject);
+    req.end(body ?? undefined);
+  });
+}
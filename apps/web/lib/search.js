@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Full-text search over cloud bookmarks and their saved pages
+ * Postgres finds and scores text matches (search_bookmarks() in
+ * supabase/migrations/031_full_text_search.sql); the ranking then blends that score
+ * with recency and visit counts the same way the extension's local index does.
+ */
+
+import { findMatches, parseSearchQuery, rankResults } from '@marksyncr/core/full-text-search';
+
+/**
+ * Longest query accepted
+ */
+export const MAX_SEARCH_QUERY_LENGTH = 200;
+
+/**
+ * Default and largest number of results
+ */
+export const DEFAULT_SEARCH_LIMIT = 50;
+export const MAX_SEARCH_LIMIT = 200;
+
+// Markers ts_headline wraps matches in
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+/**
+ * Turn a ts_headline excerpt into snippet text with highlight ranges
+ * @param {string|null} headline
+ * @returns {{text: string, highlights: Array<[number, number]>}|null}
+ */
+export function parseHeadline(headline) {
+  if (!headline) return null;
+
+  let text = '';
+  let start = null;
+  const highlights = [];
+
+  for (const char of headline.replace(/\s+/g, ' ').trim()) {
+    if (char === HIGHLIGHT_START) {
+      start = text.length;
+    } else if (char === HIGHLIGHT_STOP) {
+      if (start !== null && text.length > start) highlights.push([start, text.length]);
+      start = null;
+    } else {
+      text += char;
+    }
+  }
+  return { text, highlights };
+}
+
+/**
+ * Latest of the dates a bookmark was added, saved or visited
+ * @param {Object} row - search_bookmarks() row
+ * @returns {number|null}
+ */
+function lastUsedAt(row) {
+  const times = [row.date_added || null, row.captured_at, row.last_visited_at]
+    .filter(Boolean)
+    .map((date) => new Date(date).getTime())
+    .filter((time) => !Number.isNaN(time));
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * Rank search_bookmarks() rows and give them their API shape
+ * @param {Object[]} rows
+ * @param {string} query - The query the rows were found with
+ * @param {Object} [options] - Ranking options, as for rankResults in @marksyncr/core
+ * @returns {Object[]} Results, best first
+ */
+export function toSearchResults(rows, query, options = {}) {
+  const parsed = parseSearchQuery(query);
+
+  return rankResults(
+    rows.map((row) => ({
+      row,
+      textScore: row.rank,
+      lastUsed: lastUsedAt(row),
+      visitCount: row.visit_count,
+    })),
+    options
+  ).map(({ row, score, relevance }) => ({
+    id: row.id,
+    url: row.url,
+    title: row.title,
+    folderPath: row.folder_path,
+    snapshotId: row.snapshot_id,
+    capturedAt: row.captured_at,
+    visitCount: row.visit_count,
+    score,
+    relevance,
+    titleHighlights: findMatches(row.title, parsed),
+    snippet: parseHeadline(row.headline),
+  }));
+}
@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Public share links
+ * A share link publishes one folder of a collection, read-only, at /s/<slug> (see
+ * supabase/migrations/028_share_links.sql). Snapshot links keep a copy of the folder
+ * taken when the link was created; live links read the collection on every visit.
+ *
+ * A password-protected link is unlocked with a cookie holding an HMAC of the slug
+ * keyed with the password hash, so changing or removing the password locks out
+ * everyone who unlocked the old one.
+ */
+
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import { normalizeRootPath } from '@marksyncr/core/delta';
+import { loadCollectionItems } from './bookmark-store';
+
+export const SHARE_LINK_MODES = ['snapshot', 'live'];
+
+export const MAX_SHARE_TITLE_LENGTH = 100;
+
+export const MIN_SHARE_PASSWORD_LENGTH = 6;
+
+export const MAX_SHARE_PASSWORD_LENGTH = 200;
+
+/**
+ * How long an unlocked link stays unlocked in a visitor's browser
+ */
+export const SHARE_ACCESS_MAX_AGE = 30 * 24 * 60 * 60;
+
+/**
+ * Columns toShareLink reads; the snapshot can be large and is left out
+ */
+export const SHARE_LINK_COLUMNS =
+  'id, slug, title, folder_path, mode, password_hash, expires_at, view_count, last_viewed_at, created_at';
+
+const SLUG_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SCRYPT_KEY_LENGTH = 32;
+
+/**
+ * Create the random URL segment of a link
+ * @returns {string}
+ */
+export function createShareSlug() {
+  return randomBytes(24).toString('base64url');
+}
+
+/**
+ * Checks that a route parameter can be a share link slug
+ * @param {string} slug
+ * @returns {boolean}
+ */
+export function isShareSlug(slug) {
+  return typeof slug === 'string' && SLUG_PATTERN.test(slug);
+}
+
+/**
+ * Checks that a route parameter can be a share link id
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isShareLinkId(id) {
+  return typeof id === 'string' && UUID_PATTERN.test(id);
+}
+
+/**
+ * Public URL of a share link
+ * @param {string} slug
+ * @returns {string}
+ */
+export function getShareUrl(slug) {
+  const base = process.env.NEXT_PUBLIC_APP_URL || 'https://marksyncr.com';
+  return `${base}/s/${slug}`;
+}
+
+/**
+ * Hash a link password for storage
+ * @param {string} password
+ * @returns {string} "salt:hash", both hex
+ */
+export function hashSharePassword(password) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string|null} passwordHash - From hashSharePassword
+ * @returns {boolean}
+ */
+export function verifySharePassword(password, passwordHash) {
+  const [salt, hash] = (passwordHash || '').split(':');
+  if (typeof password !== 'string' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Name of the cookie that unlocks a link
+ * @param {string} slug
+ * @returns {string}
+ */
+export function getShareAccessCookieName(slug) {
+  return `share_access_${slug}`;
+}
+
+/**
+ * Value of the cookie that unlocks a password-protected link
+ * @param {{slug: string, password_hash: string}} link - share_links row
+ * @returns {string}
+ */
+export function createShareAccessToken(link) {
+  return createHmac('sha256', link.password_hash).update(link.slug).digest('base64url');
+}
+
+/**
+ * Whether a visitor may see a link's bookmarks
+ * @param {Object} link - share_links row
+ * @param {string|undefined} accessToken - Value of the link's access cookie
+ * @returns {boolean}
+ */
+export function hasShareAccess(link, accessToken) {
+  if (!link.password_hash) return true;
+  if (typeof accessToken !== 'string') return false;
+
+  const expected = Buffer.from(createShareAccessToken(link));
+  const actual = Buffer.from(accessToken);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Whether a link hasn't expired
+ * @param {{expires_at: string|null}} link - share_links row
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isShareLinkActive(link, now = new Date()) {
+  return !link.expires_at || new Date(link.expires_at) > now;
+}
+
+/**
+ * Validate the fields of a new link or of a link update
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only check the fields present (updates)
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateShareLinkInput(body, { partial = false } = {}) {
+  const errors = [];
+  const has = (field) => !partial || body?.[field] !== undefined;
+
+  if (!body || typeof body !== 'object') {
+    return { valid: false, errors: ['body must be an object'] };
+  }
+
+  if (has('title')) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      errors.push('title is required');
+    } else if (body.title.trim().length > MAX_SHARE_TITLE_LENGTH) {
+      errors.push(`title must be at most ${MAX_SHARE_TITLE_LENGTH} characters`);
+    }
+  }
+
+  if (!partial) {
+    if (typeof body.folderPath !== 'string' || !body.folderPath.trim()) {
+      errors.push('folderPath is required');
+    }
+    if (!SHARE_LINK_MODES.includes(body.mode)) {
+      errors.push(`mode must be one of ${SHARE_LINK_MODES.join(', ')}`);
+    }
+  }
+
+  // null removes the password or the expiry date
+  if (body.password != null) {
+    if (
+      typeof body.password !== 'string' ||
+      body.password.length < MIN_SHARE_PASSWORD_LENGTH ||
+      body.password.length > MAX_SHARE_PASSWORD_LENGTH
+    ) {
+      errors.push(
+        `password must be ${MIN_SHARE_PASSWORD_LENGTH} to ${MAX_SHARE_PASSWORD_LENGTH} characters`
+      );
+    }
+  }
+
+  if (body.expiresAt != null) {
+    const expiresAt = new Date(body.expiresAt);
+    if (typeof body.expiresAt !== 'string' || Number.isNaN(expiresAt.getTime())) {
+      errors.push('expiresAt must be an ISO date');
+    } else if (expiresAt <= new Date()) {
+      errors.push('expiresAt must be in the future');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Full path of a folder item
+ * @param {{folderPath?: string, title?: string}} item
+ * @returns {string}
+ */
+const folderItemPath = (item) =>
+  item.folderPath ? `${item.folderPath}/${item.title ?? ''}` : (item.title ?? '');
+
+/**
+ * Every folder of a bookmark list, including the browser root folders, sorted by path
+ * @param {Array<Object>} items - Flat bookmark list
+ * @returns {string[]} Full folder paths
+ */
+export function listFolderPaths(items) {
+  const paths = new Map();
+  const add = (path) => {
+    const segments = (path || '').split('/').filter(Boolean);
+    for (let i = 1; i <= segments.length; i++) {
+      const prefix = segments.slice(0, i).join('/');
+      const key = normalizeRootPath(prefix);
+      if (!paths.has(key)) paths.set(key, prefix);
+    }
+  };
+
+  for (const item of items) {
+    add(item.type === 'folder' ? folderItemPath(item) : item.folderPath);
+  }
+
+  return [...paths.values()].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * The items inside a folder, with folder paths relative to it
+ * Root folder names are compared across browsers, so "Bookmarks Bar/News" and
+ * "Bookmarks Toolbar/News" are the same folder.
+ * @param {Array<Object>} items - Flat bookmark list of a collection
+ * @param {string} folderPath - Full path of the folder
+ * @returns {Array<Object>}
+ */
+export function selectFolderItems(items, folderPath) {
+  const folderKey = normalizeRootPath(folderPath);
+  const selected = [];
+
+  for (const item of items) {
+    const key = normalizeRootPath(item.folderPath);
+    let relativePath;
+    if (key === folderKey) {
+      relativePath = '';
+    } else if (key.startsWith(`${folderKey}/`)) {
+      relativePath = key.slice(folderKey.length + 1);
+    } else {
+      continue;
+    }
+
+    if (item.type === 'folder') {
+      selected.push({
+        type: 'folder',
+        title: item.title ?? '',
+        folderPath: relativePath,
+        index: item.index ?? 0,
+        dateAdded: item.dateAdded ?? null,
+      });
+    } else if (item.url) {
+      selected.push({
+        type: 'bookmark',
+        title: item.title ?? '',
+        url: item.url,
+        folderPath: relativePath,
+        index: item.index ?? 0,
+        dateAdded: item.dateAdded ?? null,
+      });
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Turn the flat items of a shared folder into the nested tree exportBookmarks and
+ * the public page expect
+ * @param {Array<Object>} items - From selectFolderItems
+ * @returns {Array<Object>} Top-level bookmarks and folders, folders with children
+ */
+export function buildShareTree(items) {
+  const root = { children: [] };
+  const folders = new Map([['', root]]);
+
+  const ensureFolder = (path) => {
+    if (folders.has(path)) return folders.get(path);
+    const cut = path.lastIndexOf('/');
+    const parent = ensureFolder(cut === -1 ? '' : path.slice(0, cut));
+    const folder = { type: 'folder', title: path.slice(cut + 1), index: null, children: [] };
+    parent.children.push(folder);
+    folders.set(path, folder);
+    return folder;
+  };
+
+  // Folders first, so their position is known before bookmarks create missing ones
+  for (const item of items) {
+    if (item.type !== 'folder') continue;
+    const folder = ensureFolder(folderItemPath(item));
+    folder.index = item.index;
+    folder.dateAdded = item.dateAdded ?? undefined;
+  }
+  for (const item of items) {
+    if (item.type === 'folder') continue;
+    ensureFolder(item.folderPath || '').children.push({
+      type: 'bookmark',
+      title: item.title,
+      url: item.url,
+      dateAdded: item.dateAdded ?? undefined,
+      index: item.index,
+    });
+  }
+
+  const sort = (nodes) => {
+    nodes.sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+    for (const node of nodes) {
+      if (node.children) sort(node.children);
+    }
+    return nodes;
+  };
+  return sort(root.children);
+}
+
+/**
+ * The bookmarks a link shows: its snapshot, or the folder's current contents
+ * @param {Object} supabase - Service role client (visitors aren't signed in)
+ * @param {Object} link - share_links row
+ * @returns {Promise<{items: Array<Object>|null, error: Object|null}>} items is null when
+ *   a live link's collection has been encrypted since the link was created
+ */
+export async function getSharedItems(supabase, link) {
+  if (link.mode === 'snapshot') {
+    return { items: link.snapshot || [], error: null };
+  }
+
+  const { items, encrypted, error } = await loadCollectionItems(
+    supabase,
+    link.user_id,
+    link.collection_id
+  );
+  if (error) return { items: null, error };
+  if (encrypted) return { items: null, error: null };
+  return { items: selectFolderItems(items, link.folder_path), error: null };
+}
+
+/**
+ * Find the link a visitor opened and check whether they may see it
+ * @param {Object} supabase - Service role client
+ * @param {string} slug
+ * @param {string|undefined} accessToken - Value of the link's access cookie
+ * @returns {Promise<{link: Object|null, state: 'ok'|'locked'|'expired'|'not_found'}>}
+ */
+export async function resolveShareLink(supabase, slug, accessToken) {
+  if (!isShareSlug(slug)) return { link: null, state: 'not_found' };
+
+  const { data: link, error } = await supabase
+    .from('share_links')
+    .select('*')
+    .eq('slug', slug)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!link) return { link: null, state: 'not_found' };
+  if (!isShareLinkActive(link)) return { link, state: 'expired' };
+  if (!hasShareAccess(link, accessToken)) return { link, state: 'locked' };
+  return { link, state: 'ok' };
+}
+
+/**
+ * Map a share_links row to the API format
+ * @param {Object} row - share_links row
+ * @returns {Object}
+ */
+export function toShareLink(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    url: getShareUrl(row.slug),
+    folderPath: row.folder_path,
+    mode: row.mode,
+    hasPassword: Boolean(row.password_hash),
+    expiresAt: row.expires_at,
+    active: isShareLinkActive(row),
+    viewCount: row.view_count ?? 0,
+    lastViewedAt: row.last_viewed_at ?? null,
+    createdAt: row.created_at,
+  };
+}
@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Durable queue of pushes to external sync sources
+ *
+ * A bookmark write queues one job per connected external source and returns; the
+ * jobs then run in the background of that request. A job that fails is retried with
+ * exponential backoff by the sync-jobs cron (app/api/cron/sync-jobs), and after
+ * MAX_ATTEMPTS it is kept as a dead letter until the user retries it. So a source
+ * that is down or slow never delays or fails the write itself.
+ *
+ * Jobs don't carry bookmarks: each pushes the cloud bookmarks of its source's
+ * collection as they are when it runs. See supabase/migrations/024_sync_jobs.sql for
+ * the job lifecycle.
+ */
+
+import { PUSH_PROVIDERS, pushToSource } from './external-sync';
+import { loadBookmarkItems } from './bookmark-store';
+
+/**
+ * Attempts before a job becomes a dead letter
+ */
+export const MAX_ATTEMPTS = 8;
+
+/**
+ * Delay before the first retry; doubles with every further attempt
+ */
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+
+/**
+ * Longest delay between two attempts
+ */
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * How long a worker may run a claimed job before another worker may claim it again
+ */
+const LEASE_SECONDS = 300;
+
+/**
+ * Jobs claimed per run
+ */
+const CLAIM_LIMIT = 50;
+
+/**
+ * Delay before retrying a job that failed its nth attempt, with up to 20% jitter so
+ * jobs that failed together (a provider outage) don't all retry at once
+ * @param {number} attempts - Attempts made so far
+ * @param {() => number} [random]
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(attempts, random = Math.random) {
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+  return Math.round(delay * (1 + random() * 0.2));
+}
+
+/**
+ * Queue a push to each connected external source of a collection
+ * @param {object} supabase - Supabase client
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.collectionId] - Defaults to the user's default collection
+ * @param {string[]} [options.providers] - Only queue pushes to these providers
+ * @returns {Promise<{queued: number, error: object|null}>}
+ */
+export async function enqueueSyncJobs(
+  supabase,
+  userId,
+  { collectionId = userId, providers = PUSH_PROVIDERS } = {}
+) {
+  const { data, error } = await supabase.rpc('enqueue_sync_jobs', {
+    p_user_id: userId,
+    p_collection_id: collectionId,
+    p_providers: providers,
+  });
+  return { queued: data ?? 0, error: error ?? null };
+}
+
+/**
+ * Queue pushes of a bookmark write and start them without waiting
+ * Jobs left pending (queue failures, failed pushes) are picked up by the cron.
+ * @param {object} supabase - Supabase client
+ * @param {string} userId
+ * @param {{bookmarks: Array, tombstones: Array, checksum: string}} state - The write,
+ *   which is what the collection now holds
+ * @param {object} [options]
+ * @param {string} [options.collectionId] - Collection written to; defaults to the
+ *   user's default collection
+ * @returns {Promise<void>} Resolves once the jobs are queued; never rejects
+ */
+export async function queueExternalSync(supabase, userId, state, { collectionId = userId } = {}) {
+  try {
+    const { error } = await enqueueSyncJobs(supabase, userId, { collectionId });
+    if (error) {
+      console.error('[Sync Queue] Failed to queue external sync:', error);
+      return;
+    }
+  } catch (err) {
+    console.error('[Sync Queue] Failed to queue external sync:', err);
+    return;
+  }
+
+  processSyncJobs(supabase, { userId, collectionId, state }).catch((err) =>
+    console.error('[Sync Queue] Background run failed:', err)
+  );
+}
+
+/**
+ * Claim due jobs and push to their sources
+ * @param {object} supabase - Supabase client; the service role client to run the
+ *   jobs of all users
+ * @param {object} [options]
+ * @param {string} [options.userId] - Only run this user's jobs
+ * @param {string} [options.collectionId] - Collection that state belongs to
+ * @param {{bookmarks: Array, tombstones: Array, checksum: string}} [options.state] -
+ *   The collection's current cloud bookmarks, when the caller has them at hand
+ * @param {number} [options.limit]
+ * @returns {Promise<{claimed: number, succeeded: number, failed: number}>}
+ */
+export async function processSyncJobs(
+  supabase,
+  { userId, collectionId = userId, state, limit = CLAIM_LIMIT } = {}
+) {
+  const { data: jobs, error } = await supabase.rpc('claim_sync_jobs', {
+    p_user_id: userId ?? null,
+    p_limit: limit,
+    p_lease_seconds: LEASE_SECONDS,
+  });
+
+  if (error) {
+    console.error('[Sync Queue] Failed to claim sync jobs:', error);
+    return { claimed: 0, succeeded: 0, failed: 0 };
+  }
+
+  const jobsByCollection = new Map();
+  for (const job of jobs ?? []) {
+    const jobCollectionId = job.collection_id ?? job.user_id;
+    jobsByCollection.set(jobCollectionId, [...(jobsByCollection.get(jobCollectionId) ?? []), job]);
+  }
+  const results = { claimed: jobs?.length ?? 0, succeeded: 0, failed: 0 };
+
+  for (const [jobCollectionId, collectionJobs] of jobsByCollection) {
+    const outcomes = await runCollectionJobs(
+      supabase,
+      jobCollectionId,
+      collectionJobs,
+      jobCollectionId === collectionId ? state : undefined
+    );
+    for (const ok of outcomes) {
+      results[ok ? 'succeeded' : 'failed']++;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Run one collection's claimed jobs side by side
+ * @returns {Promise<boolean[]>} Whether each job succeeded
+ */
+async function runCollectionJobs(supabase, collectionId, jobs, state) {
+  const { data: sources, error: sourcesError } = await supabase
+    .from('sync_sources')
+    .select('*')
+    .eq('collection_id', collectionId)
+    .not('access_token', 'is', null);
+
+  if (sourcesError) {
+    console.error('[Sync Queue] Failed to fetch sync sources:', sourcesError);
+    await Promise.all(jobs.map((job) => failJob(supabase, job, sourcesError)));
+    return jobs.map(() => false);
+  }
+
+  let current = state;
+  if (!current) {
+    const { data: cloud, error: cloudError } = await supabase
+      .from('cloud_bookmarks')
+      .select('bookmark_data, tombstones, checksum, items_checksum')
+      .eq('collection_id', collectionId)
+      .maybeSingle();
+
+    // The blob is only current when the rows aren't (see lib/bookmark-store.js)
+    const { items, error: itemsError } = cloudError
+      ? { items: null, error: null }
+      : await loadBookmarkItems(supabase, jobs[0].user_id, cloud, { collectionId });
+
+    if (cloudError || itemsError) {
+      console.error('[Sync Queue] Failed to fetch cloud bookmarks:', cloudError || itemsError);
+      await Promise.all(jobs.map((job) => failJob(supabase, job, cloudError || itemsError)));
+      return jobs.map(() => false);
+    }
+
+    current = {
+      bookmarks: items ?? cloud?.bookmark_data ?? [],
+      tombstones: cloud?.tombstones ?? [],
+      checksum: cloud?.checksum ?? '',
+    };
+  }
+
+  return Promise.all(
+    jobs.map(async (job) => {
+      const source = sources?.find((s) => s.id === job.source_id);
+      try {
+        if (!source) {
+          throw new Error('Source is no longer connected');
+        }
+        await pushToSource(supabase, source, current);
+        await finishJob(supabase, job);
+        return true;
+      } catch (err) {
+        console.error(`[Sync Queue] Failed to sync to ${job.provider}:`, err);
+        await failJob(supabase, job, err, { retry: Boolean(source) });
+        return false;
+      }
+    })
+  );
+}
+
+/**
+ * Mark a job done
+ */
+async function finishJob(supabase, job) {
+  const { error } = await supabase.rpc('finish_sync_job', { p_job_id: job.id });
+  if (error) {
+    console.error(`[Sync Queue] Failed to complete job ${job.id}:`, error);
+  }
+}
+
+/**
+ * Schedule the retry of a failed job, or dead-letter it after its last attempt
+ * @param {object} supabase
+ * @param {object} job - Claimed job; attempts includes the failed one
+ * @param {Error|object} failure
+ * @param {object} [options]
+ * @param {boolean} [options.retry] - false to dead-letter right away
+ */
+async function failJob(supabase, job, failure, { retry = true } = {}) {
+  const retryAt =
+    retry && job.attempts < MAX_ATTEMPTS
+      ? new Date(Date.now() + getRetryDelay(job.attempts)).toISOString()
+      : null;
+
+  const { error } = await supabase.rpc('finish_sync_job', {
+    p_job_id: job.id,
+    p_error: failure?.message || String(failure),
+    p_retry_at: retryAt,
+  });
+  if (error) {
+    console.error(`[Sync Queue] Failed to record failure of job ${job.id}:`, error);
+  }
+}
+
+/**
+ * Requeue a source's dead letters and retry it now
+ * @param {object} supabase - Supabase client
+ * @param {string} userId
+ * @param {object} source - sync_sources row with id, provider and collection_id
+ * @returns {Promise<{error: object|null}>}
+ */
+export async function retrySource(supabase, userId, source) {
+  const { error: deleteError } = await supabase
+    .from('sync_jobs')
+    .delete()
+    .eq('user_id', userId)
+    .eq('source_id', source.id)
+    .eq('status', 'dead');
+  if (deleteError) return { error: deleteError };
+
+  const { error: enqueueError } = await enqueueSyncJobs(supabase, userId, {
+    collectionId: source.collection_id ?? userId,
+    providers: [source.provider],
+  });
+  if (enqueueError) return { error: enqueueError };
+
+  // A pending job may be waiting out its backoff; the user asked for now
+  const { error: resetError } = await supabase
+    .from('sync_jobs')
+    .update({ attempts: 0, next_attempt_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('source_id', source.id)
+    .eq('status', 'pending');
+  if (resetError) return { error: resetError };
+
+  processSyncJobs(supabase, { userId }).catch((err) =>
+    console.error('[Sync Queue] Retry failed:', err)
+  );
+  return { error: null };
+}
+
+/**
+ * Sync health of a source for the dashboard and /api/sources
+ * @param {object} source - sync_sources row with id, last_success_at, last_error, last_error_at
+ * @param {Array<object>} jobs - The user's sync jobs
+ * @returns {{status: 'ok'|'pending'|'retrying'|'failed'|'never', lastSuccessAt: string|null,
+ *   lastError: string|null, lastErrorAt: string|null, pendingJobs: number,
+ *   deadJobs: number, nextRetryAt: string|null}}
+ *   status: failed when a job was dead-lettered, retrying when a job failed and waits
+ *   for its next attempt, pending while a push is queued or running
+ */
+export function getSourceHealth(source, jobs) {
+  const sourceJobs = jobs.filter((job) => job.source_id === source.id);
+  const open = sourceJobs.filter((job) => job.status !== 'dead');
+  const dead = sourceJobs.filter((job) => job.status === 'dead');
+  const retrying = open.filter((job) => job.status === 'pending' && job.attempts > 0);
+
+  let status = source.last_success_at ? 'ok' : 'never';
+  if (dead.length > 0) status = 'failed';
+  else if (retrying.length > 0) status = 'retrying';
+  else if (open.length > 0) status = 'pending';
+
+  return {
+    status,
+    lastSuccessAt: source.last_success_at ?? null,
+    lastError: source.last_error ?? null,
+    lastErrorAt: source.last_error_at ?? null,
+    pendingJobs: open.length,
+    deadJobs: dead.length,
+    nextRetryAt: retrying[0]?.next_attempt_at ?? null,
+  };
+}
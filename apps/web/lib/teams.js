@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Teams and shared folders
+ * A team shares bookmark folders between its members (see
+ * supabase/migrations/027_teams.sql). Owners manage the team, editors change its
+ * folders and viewers only receive them. People join through an invitation link; we
+ * keep only a hash of the link's token.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { hasFeatureAccess } from '@marksyncr/core/feature-gate';
+
+export const MAX_TEAM_NAME_LENGTH = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Checks that a route parameter can be a row id
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isTeamRowId(id) {
+  return typeof id === 'string' && UUID_PATTERN.test(id);
+}
+
+/**
+ * Hash an invitation token for storage and lookup
+ * @param {string} token
+ * @returns {string}
+ */
+export function hashInviteToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create the token for an invitation link
+ * @returns {{token: string, tokenHash: string}}
+ */
+export function createInviteToken() {
+  const token = randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashInviteToken(token) };
+}
+
+/**
+ * Link that accepts an invitation from the dashboard
+ * @param {string} token
+ * @returns {string}
+ */
+export function getInviteUrl(token) {
+  const baseUrl = process.env.NEXT_PUBLIC_APP_URL || 'https://marksyncr.com';
+  return `${baseUrl}/dashboard/teams?invite=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Check that a user's plan includes team management
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export async function hasTeamPlan(supabase, userId) {
+  const { data: subscription } = await supabase
+    .from('subscriptions')
+    .select('plan, status')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return hasFeatureAccess('teamManagement', subscription);
+}
+
+/**
+ * Resolve the user's role in a team
+ * @param {Object} supabase - Supabase client
+ * @param {string} teamId
+ * @param {string} userId
+ * @returns {Promise<{role: string|null, error: string|null, status?: number}>}
+ *   error and status describe the response to send when the user isn't a member
+ */
+export async function resolveTeamRole(supabase, teamId, userId) {
+  if (!isTeamRowId(teamId)) {
+    return { role: null, error: 'Team not found', status: 404 };
+  }
+
+  const { data, error } = await supabase
+    .from('team_members')
+    .select('role')
+    .eq('team_id', teamId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Failed to resolve team role:', error);
+    return { role: null, error: 'Failed to load team', status: 500 };
+  }
+  if (!data) {
+    return { role: null, error: 'Team not found', status: 404 };
+  }
+  return { role: data.role, error: null };
+}
+
+/**
+ * Validate the name of a team or shared folder
+ * @param {*} name
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateTeamName(name) {
+  const errors = [];
+
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.push('name is required');
+  } else if (name.trim().length > MAX_TEAM_NAME_LENGTH) {
+    errors.push(`name must be at most ${MAX_TEAM_NAME_LENGTH} characters`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Map a teams row to the API format
+ * @param {Object} row - teams row
+ * @param {string} role - Role of the requesting user
+ */
+export function toTeam(row, role) {
+  return {
+    id: row.id,
+    name: row.name,
+    role,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Map a team_members row to the API format
+ * @param {Object} row - team_members row
+ */
+export function toMember(row) {
+  return {
+    userId: row.user_id,
+    email: row.email,
+    role: row.role,
+    joinedAt: row.created_at,
+  };
+}
+
+/**
+ * Map a team_invitations row to the API format
+ * @param {Object} row - team_invitations row
+ */
+export function toInvitation(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+/**
+ * Map a shared_folders row to the API format
+ * @param {Object} row - shared_folders row; items are included when selected
+ * @param {string} role - Role of the requesting user in the folder's team
+ */
+export function toSharedFolder(row, role) {
+  return {
+    id: row.id,
+    teamId: row.team_id,
+    name: row.name,
+    role,
+    version: row.version,
+    ...(row.items !== undefined && { items: row.items || [] }),
+    updatedAt: row.updated_at,
+  };
+}
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Tests for web archive providers
+ * Uses Vitest for testing
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  ARCHIVE_PROVIDER,
+  ArchiveProvider,
+  WaybackArchiveProvider,
+  LocalArchiveProvider,
+  createArchiveProvider,
+  toWaybackTimestamp,
+  fromWaybackTimestamp,
+  isArchivedUrl,
+  findArchivedCopies,
+} from '../src/archive.js';
+import { LINK_STATUS } from '../src/link-checker.js';
+
+describe('Archive', () => {
+  describe('Wayback timestamps', () => {
+    it('should format dates as UTC timestamps', () => {
+      expect(toWaybackTimestamp('2019-03-04T05:06:07.890Z')).toBe('20190304050607');
+    });
+
+    it('should parse full and shortened timestamps', () => {
+      expect(fromWaybackTimestamp('20190304050607').toISOString()).toBe('2019-03-04T05:06:07.000Z');
+      expect(fromWaybackTimestamp('2019').toISOString()).toBe('2019-01-01T00:00:00.000Z');
+      expect(fromWaybackTimestamp('not a timestamp')).toBeNull();
+      expect(fromWaybackTimestamp(undefined)).toBeNull();
+    });
+  });
+
+  describe('ArchiveProvider', () => {
+    it('should not be instantiated directly', () => {
+      expect(() => new ArchiveProvider('custom')).toThrow('abstract');
+    });
+
+    it('should reject submissions unless the provider supports them', async () => {
+      class ReadOnlyArchive extends ArchiveProvider {
+        constructor() {
+          super('read-only');
+        }
+
+        async findSnapshot() {
+          return null;
+        }
+      }
+
+      await expect(new ReadOnlyArchive().submit('https://example.com')).rejects.toThrow(
+        'read-only archive does not accept submissions'
+      );
+    });
+  });
+
+  describe('createArchiveProvider', () => {
+    it('should create providers by type', () => {
+      expect(createArchiveProvider()).toBeInstanceOf(WaybackArchiveProvider);
+      expect(createArchiveProvider(ARCHIVE_PROVIDER.LOCAL)).toBeInstanceOf(LocalArchiveProvider);
+      expect(() => createArchiveProvider('elsewhere')).toThrow('Unknown archive provider');
+    });
+  });
+
+  describe('LocalArchiveProvider', () => {
+    it('should find the copy taken closest to a date', async () => {
+      const archive = new LocalArchiveProvider({
+        snapshots: [
+          { url: 'https://example.com/post', timestamp: '2015-01-01T00:00:00Z' },
+          { url: 'https://example.com/post', timestamp: '2020-01-01T00:00:00Z' },
+        ],
+      });
+
+      const early = await archive.findSnapshot('https://example.com/post', {
+        near: '2016-06-01T00:00:00Z',
+      });
+      const late = await archive.findSnapshot('https://example.com/post', {
+        near: '2019-06-01T00:00:00Z',
+      });
+
+      expect(early).toEqual({
+        url: 'https://example.com/post',
+        archivedUrl: 'http://localhost/archive/20150101000000/https://example.com/post',
+        timestamp: '2015-01-01T00:00:00.000Z',
+        provider: ARCHIVE_PROVIDER.LOCAL,
+      });
+      expect(late.timestamp).toBe('2020-01-01T00:00:00.000Z');
+      expect(await archive.findSnapshot('https://example.com/other')).toBeNull();
+    });
+
+    it('should archive submitted pages', async () => {
+      const archive = new LocalArchiveProvider({ now: () => Date.parse('2024-05-06T07:08:09Z') });
+
+      const snapshot = await archive.submit('https://example.com/new');
+
+      expect(snapshot.timestamp).toBe('2024-05-06T07:08:09.000Z');
+      expect(await archive.findSnapshot('https://example.com/new')).toEqual(snapshot);
+    });
+  });
+
+  describe('WaybackArchiveProvider', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should look up the closest snapshot', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          archived_snapshots: {
+            closest: {
+              available: true,
+              status: '200',
+              url: 'http://web.archive.org/web/20190304050607/https://example.com/post',
+              timestamp: '20190304050607',
+            },
+          },
+        }),
+      });
+
+      const snapshot = await new WaybackArchiveProvider().findSnapshot('https://example.com/post', {
+        near: '2019-01-01T00:00:00Z',
+      });
+
+      const requested = new URL(global.fetch.mock.calls[0][0]);
+      expect(requested.origin + requested.pathname).toBe('https://archive.org/wayback/available');
+      expect(requested.searchParams.get('url')).toBe('https://example.com/post');
+      expect(requested.searchParams.get('timestamp')).toBe('20190101000000');
+      expect(snapshot).toEqual({
+        url: 'https://example.com/post',
+        archivedUrl: 'https://web.archive.org/web/20190304050607/https://example.com/post',
+        timestamp: '2019-03-04T05:06:07.000Z',
+        provider: ARCHIVE_PROVIDER.WAYBACK,
+      });
+    });
+
+    it('should return null for pages without a usable snapshot', async () => {
+      global.fetch = vi
+        .fn()
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ archived_snapshots: {} }) })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({
+            archived_snapshots: {
+              closest: { available: true, status: '404', url: 'http://web.archive.org/web/1/x' },
+            },
+          }),
+        });
+      const archive = new WaybackArchiveProvider();
+
+      expect(await archive.findSnapshot('https://never-archived.com')).toBeNull();
+      expect(await archive.findSnapshot('https://archived-error.com')).toBeNull();
+    });
+
+    it('should throw when the archive is unavailable', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 503 });
+
+      await expect(new WaybackArchiveProvider().findSnapshot('https://a.com')).rejects.toThrow(
+        'Wayback Machine lookup failed: 503'
+      );
+    });
+
+    it('should submit pages and report the new snapshot', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        headers: new Headers({ 'content-location': '/web/20240506070809/https://a.com/' }),
+      });
+
+      const snapshot = await new WaybackArchiveProvider().submit('https://a.com/');
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://web.archive.org/save/https://a.com/');
+      expect(snapshot).toEqual({
+        url: 'https://a.com/',
+        archivedUrl: 'https://web.archive.org/web/20240506070809/https://a.com/',
+        timestamp: '2024-05-06T07:08:09.000Z',
+        provider: ARCHIVE_PROVIDER.WAYBACK,
+      });
+    });
+  });
+
+  describe('isArchivedUrl', () => {
+    it('should recognise links into archives', () => {
+      expect(isArchivedUrl('https://web.archive.org/web/2019/https://a.com')).toBe(true);
+      expect(isArchivedUrl('https://archive.ph/AbCd1')).toBe(true);
+      expect(isArchivedUrl('https://example.com/archive.org')).toBe(false);
+      expect(isArchivedUrl('not a url')).toBe(false);
+    });
+  });
+
+  describe('findArchivedCopies', () => {
+    it('should look up copies of broken links only, around the date asked for', async () => {
+      const archive = new LocalArchiveProvider({
+        snapshots: [
+          { url: 'https://gone.com/', timestamp: '2010-01-01T00:00:00Z' },
+          { url: 'https://gone.com/', timestamp: '2022-01-01T00:00:00Z' },
+          { url: 'https://works.com/', timestamp: '2022-01-01T00:00:00Z' },
+        ],
+      });
+      const results = [
+        { bookmarkId: 'bm-1', url: 'https://gone.com/', status: LINK_STATUS.BROKEN },
+        { bookmarkId: 'bm-2', url: 'https://works.com/', status: LINK_STATUS.VALID },
+        { bookmarkId: 'bm-3', url: 'https://never.com/', status: LINK_STATUS.TIMEOUT },
+      ];
+
+      const copies = await findArchivedCopies(archive, results, {
+        near: () => '2011-01-01T00:00:00Z',
+      });
+
+      expect(copies).toEqual([
+        {
+          bookmarkId: 'bm-1',
+          url: 'https://gone.com/',
+          snapshot: expect.objectContaining({ timestamp: '2010-01-01T00:00:00.000Z' }),
+        },
+      ]);
+    });
+
+    it('should skip links whose lookup fails', async () => {
+      const archive = new LocalArchiveProvider();
+      vi.spyOn(archive, 'findSnapshot').mockRejectedValue(new Error('offline'));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const copies = await findArchivedCopies(archive, [
+        { bookmarkId: 'bm-1', url: 'https://gone.com/', status: LINK_STATUS.BROKEN },
+      ]);
+
+      expect(copies).toEqual([]);
+    });
+  });
+});
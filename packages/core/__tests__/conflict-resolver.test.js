@@ -12,8 +12,10 @@ import {
   resolveAllConflicts,
   requiresManualResolution,
   createConflictSummary,
+  createConflictRecord,
+  resolveConflictRecord,
 } from '../src/conflict-resolver.js';
-import { CONFLICT_RESOLUTION, CHANGE_TYPE } from '@marksyncr/types';
+import { CONFLICT_RESOLUTION, CHANGE_TYPE, CONFLICT_STATUS, MERGE_FIELD } from '@marksyncr/types';
 
 // Helper to create a sync change
 const createSyncChange = (overrides = {}) => ({
@@ -405,4 +407,67 @@ describe('conflict-resolver', () => {
       expect(summary.resolvedTo).toBe('local version');
     });
   });
+
+  describe('createConflictRecord', () => {
+    it('should map a field conflict to a pending record', () => {
+      const record = createConflictRecord(
+        {
+          id: 'https://a.com',
+          field: MERGE_FIELD.PARENT,
+          path: 'Bookmarks Bar/A',
+          base: 'Bookmarks Bar',
+          local: 'Bookmarks Bar/Work',
+          remote: 'Other Bookmarks',
+        },
+        { title: 'A', deviceId: 'device-1' }
+      );
+
+      expect(record).toMatchObject({
+        bookmarkId: 'https://a.com',
+        title: 'A',
+        field: MERGE_FIELD.PARENT,
+        baseValue: 'Bookmarks Bar',
+        localValue: 'Bookmarks Bar/Work',
+        remoteValue: 'Other Bookmarks',
+        status: CONFLICT_STATUS.PENDING,
+        resolution: null,
+        deviceId: 'device-1',
+      });
+    });
+  });
+
+  describe('resolveConflictRecord', () => {
+    const record = {
+      id: 'conflict-1',
+      bookmarkId: 'https://a.com',
+      field: MERGE_FIELD.TITLE,
+      localValue: 'Local A',
+      remoteValue: 'Remote A',
+      status: CONFLICT_STATUS.PENDING,
+    };
+
+    it('should take the value from the chosen side', () => {
+      expect(resolveConflictRecord(record, CONFLICT_RESOLUTION.LOCAL).resolvedValue).toBe(
+        'Local A'
+      );
+      const resolved = resolveConflictRecord(record, CONFLICT_RESOLUTION.REMOTE);
+      expect(resolved.resolvedValue).toBe('Remote A');
+      expect(resolved.status).toBe(CONFLICT_STATUS.RESOLVED);
+      expect(resolved.resolvedAt).toBeDefined();
+    });
+
+    it('should use the edited value for a merged resolution', () => {
+      const resolved = resolveConflictRecord(record, CONFLICT_RESOLUTION.MERGED, 'Merged A');
+
+      expect(resolved.resolution).toBe(CONFLICT_RESOLUTION.MERGED);
+      expect(resolved.resolvedValue).toBe('Merged A');
+    });
+
+    it('should reject a merged resolution without a value and unknown resolutions', () => {
+      expect(() => resolveConflictRecord(record, CONFLICT_RESOLUTION.MERGED)).toThrow(
+        'merged value is required'
+      );
+      expect(() => resolveConflictRecord(record, 'newest')).toThrow('Unknown conflict resolution');
+    });
+  });
 });
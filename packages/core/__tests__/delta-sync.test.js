@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Tests for the delta sync module
+ * Tests computing and replaying add/update/move/delete operations on flat bookmark lists
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeRootPath,
+  getFlatItemKey,
+  indexFlatItems,
+  diffFlatItems,
+  applyFlatOperations,
+  isValidDeltaOperation,
+} from '../src/delta-sync.js';
+import { DELTA_OP } from '@marksyncr/types';
+
+const bookmark = (url, title, folderPath = 'Bookmarks Bar', index = 0) => ({
+  type: 'bookmark',
+  url,
+  title,
+  folderPath,
+  index,
+});
+
+const folder = (title, folderPath = 'Bookmarks Bar', index = 0) => ({
+  type: 'folder',
+  title,
+  folderPath,
+  index,
+});
+
+describe('delta-sync', () => {
+  describe('normalizeRootPath', () => {
+    it('should map browser root folder names to a common prefix', () => {
+      expect(normalizeRootPath('Bookmarks Bar/Work')).toBe('toolbar/Work');
+      expect(normalizeRootPath('Bookmarks Toolbar')).toBe('toolbar');
+      expect(normalizeRootPath('Unsorted Bookmarks/Read')).toBe('other/Read');
+      expect(normalizeRootPath(undefined)).toBe('');
+    });
+  });
+
+  describe('getFlatItemKey', () => {
+    it('should key bookmarks by URL', () => {
+      expect(getFlatItemKey(bookmark('https://a.com', 'A'))).toBe('https://a.com');
+    });
+
+    it('should key folders by normalized parent path and title', () => {
+      expect(getFlatItemKey(folder('Work', 'Bookmarks Bar'))).toBe('folder:toolbar::Work');
+      expect(getFlatItemKey(folder('Work', 'Bookmarks Toolbar'))).toBe('folder:toolbar::Work');
+    });
+
+    it('should return null for items without identity', () => {
+      expect(getFlatItemKey({ type: 'bookmark', title: 'No URL' })).toBeNull();
+      expect(getFlatItemKey(null)).toBeNull();
+    });
+  });
+
+  describe('indexFlatItems', () => {
+    it('should number duplicate URLs in folder order', () => {
+      const first = bookmark('https://a.com', 'A', 'Bookmarks Bar', 0);
+      const second = bookmark('https://a.com', 'A copy', 'Other Bookmarks', 0);
+
+      const index = indexFlatItems([second, first]);
+
+      expect(index.get('https://a.com')).toBe(second);
+      expect(index.get('https://a.com#2')).toBe(first);
+    });
+  });
+
+  describe('diffFlatItems', () => {
+    it('should return no operations for identical lists', () => {
+      const items = [folder('Work'), bookmark('https://a.com', 'A', 'Bookmarks Bar/Work')];
+      expect(
+        diffFlatItems(
+          items,
+          items.map((item) => ({ ...item }))
+        )
+      ).toEqual([]);
+    });
+
+    it('should ignore browser-specific root names and dateAdded', () => {
+      const chrome = [{ ...bookmark('https://a.com', 'A', 'Bookmarks Bar'), dateAdded: 1 }];
+      const firefox = [{ ...bookmark('https://a.com', 'A', 'Bookmarks Toolbar'), dateAdded: 2 }];
+
+      expect(diffFlatItems(chrome, firefox)).toEqual([]);
+    });
+
+    it('should detect adds, deletes, updates and moves', () => {
+      const from = [
+        bookmark('https://keep.com', 'Keep', 'Bookmarks Bar', 0),
+        bookmark('https://rename.com', 'Old', 'Bookmarks Bar', 1),
+        bookmark('https://move.com', 'Move', 'Bookmarks Bar', 2),
+        bookmark('https://gone.com', 'Gone', 'Bookmarks Bar', 3),
+      ];
+      const to = [
+        bookmark('https://keep.com', 'Keep', 'Bookmarks Bar', 0),
+        bookmark('https://rename.com', 'New', 'Bookmarks Bar', 1),
+        bookmark('https://move.com', 'Move', 'Other Bookmarks', 0),
+        bookmark('https://new.com', 'New site', 'Bookmarks Bar', 2),
+      ];
+
+      const ops = diffFlatItems(from, to);
+      const byKey = Object.fromEntries(ops.map((op) => [op.key, op.op]));
+
+      expect(ops[0]).toEqual({ op: DELTA_OP.DELETE, key: 'https://gone.com' });
+      expect(byKey).toEqual({
+        'https://gone.com': DELTA_OP.DELETE,
+        'https://rename.com': DELTA_OP.UPDATE,
+        'https://move.com': DELTA_OP.MOVE,
+        'https://new.com': DELTA_OP.ADD,
+      });
+    });
+  });
+
+  describe('applyFlatOperations', () => {
+    it('should rebuild the target list from the operations', () => {
+      const from = [
+        folder('Work', 'Bookmarks Bar', 0),
+        bookmark('https://a.com', 'A', 'Bookmarks Bar/Work', 0),
+        bookmark('https://b.com', 'B', 'Bookmarks Bar', 1),
+      ];
+      const to = [
+        folder('Work', 'Bookmarks Bar', 0),
+        bookmark('https://a.com', 'A renamed', 'Bookmarks Bar/Work', 0),
+        bookmark('https://c.com', 'C', 'Other Bookmarks', 0),
+      ];
+
+      const result = applyFlatOperations(from, diffFlatItems(from, to));
+
+      expect(diffFlatItems(result, to)).toEqual([]);
+      expect(result).toHaveLength(3);
+    });
+
+    it('should keep duplicate URLs distinct', () => {
+      const from = [bookmark('https://a.com', 'A', 'Bookmarks Bar', 0)];
+      const to = [
+        bookmark('https://a.com', 'A', 'Bookmarks Bar', 0),
+        bookmark('https://a.com', 'A again', 'Other Bookmarks', 0),
+      ];
+
+      const result = applyFlatOperations(from, diffFlatItems(from, to));
+
+      expect(result).toHaveLength(2);
+      expect(diffFlatItems(result, to)).toEqual([]);
+    });
+
+    it('should ignore deletes for unknown keys', () => {
+      const items = [bookmark('https://a.com', 'A')];
+      const result = applyFlatOperations(items, [{ op: DELTA_OP.DELETE, key: 'https://x.com' }]);
+      expect(result).toEqual(items);
+    });
+  });
+
+  describe('isValidDeltaOperation', () => {
+    it('should accept deletes without an item', () => {
+      expect(isValidDeltaOperation({ op: 'delete', key: 'https://a.com' })).toBe(true);
+    });
+
+    it('should require an item for other operations', () => {
+      expect(isValidDeltaOperation({ op: 'add', key: 'https://a.com' })).toBe(false);
+      expect(isValidDeltaOperation({ op: 'add', key: 'https://a.com', item: {} })).toBe(true);
+    });
+
+    it('should reject unknown operations and missing keys', () => {
+      expect(isValidDeltaOperation({ op: 'rename', key: 'x', item: {} })).toBe(false);
+      expect(isValidDeltaOperation({ op: 'add', item: {} })).toBe(false);
+      expect(isValidDeltaOperation(null)).toBe(false);
+    });
+  });
+});
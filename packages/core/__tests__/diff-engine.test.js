@@ -3,6 +3,7 @@ import {
   flattenBookmarks,
   areBookmarksEqual,
   detectChanges,
+  diffBookmarkSnapshots,
   findConflicts,
   getParentPath,
   summarizeChanges,
@@ -297,4 +298,61 @@ describe('diff-engine', () => {
       expect(summary.deleted).toBe(0);
     });
   });
+
+  describe('diffBookmarkSnapshots', () => {
+    it('should detect added, modified, moved and deleted items in the tree format', () => {
+      const previous = createTestBookmarks();
+      const next = createTestBookmarks();
+      const work = next.toolbar.children[1];
+      next.toolbar.children[0].title = 'Example (renamed)';
+      next.other.children.push(work.children.pop());
+      next.toolbar.children.splice(1, 1);
+      next.toolbar.children.push({
+        id: 'b9',
+        type: 'bookmark',
+        title: 'New',
+        url: 'https://n.com',
+      });
+
+      const changes = diffBookmarkSnapshots(previous, next);
+      const byType = Object.fromEntries(changes.map((c) => [c.type, c]));
+
+      expect(summarizeChanges(changes)).toMatchObject({
+        added: 1,
+        modified: 1,
+        moved: 1,
+        deleted: 1,
+      });
+      expect(byType[CHANGE_TYPE.MODIFIED].id).toBe('b1');
+      expect(byType[CHANGE_TYPE.MOVED].path).toBe('other');
+      expect(byType[CHANGE_TYPE.DELETED].id).toBe('f1');
+      expect(byType[CHANGE_TYPE.ADDED].after.url).toBe('https://n.com');
+    });
+
+    it('should match flat cloud items by URL and folders by path', () => {
+      const previous = [
+        { type: 'folder', title: 'Work', folderPath: 'toolbar' },
+        { url: 'https://a.com', title: 'A', folderPath: 'toolbar' },
+        { url: 'https://b.com', title: 'B', folderPath: 'toolbar/Work' },
+        { url: 'https://c.com', title: 'C', folderPath: 'other' },
+      ];
+      const next = [
+        { type: 'folder', title: 'Work', folderPath: 'toolbar' },
+        { url: 'https://a.com', title: 'A', folderPath: 'toolbar' },
+        { url: 'https://b.com', title: 'B', folderPath: 'other' },
+        { url: 'https://d.com', title: 'D', folderPath: 'other' },
+      ];
+
+      const summary = summarizeChanges(diffBookmarkSnapshots(previous, next));
+
+      expect(summary).toMatchObject({ added: 1, modified: 0, moved: 1, deleted: 1, total: 3 });
+    });
+
+    it('should report everything as added without a previous snapshot', () => {
+      const changes = diffBookmarkSnapshots(null, [{ url: 'https://a.com', title: 'A' }]);
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0].type).toBe(CHANGE_TYPE.ADDED);
+    });
+  });
 });
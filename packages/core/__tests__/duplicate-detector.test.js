@@ -13,6 +13,9 @@ import {
   suggestMerge,
   calculateSimilarity,
   normalizeUrl,
+  getUrlVariantKey,
+  contentFingerprint,
+  clusterDuplicates,
 } from '../src/duplicate-detector.js';
 
 // Sample bookmark data for testing
@@ -102,6 +105,61 @@ describe('Duplicate Detector', () => {
     it('should handle invalid URLs gracefully', () => {
       expect(normalizeUrl('not-a-url')).toBe('not-a-url');
     });
+
+    it('should remove every utm_ parameter and ad click ids', () => {
+      expect(normalizeUrl('https://example.com/a?utm_id=1&msclkid=2&igshid=3')).toBe(
+        'https://example.com/a'
+      );
+    });
+
+    it('should ignore the order of query parameters', () => {
+      expect(normalizeUrl('https://example.com/a?b=2&a=1')).toBe(
+        normalizeUrl('https://example.com/a?a=1&b=2')
+      );
+    });
+  });
+
+  describe('getUrlVariantKey', () => {
+    it('should treat http, https, www and trailing slashes alike', () => {
+      const key = getUrlVariantKey('https://example.com/post');
+      expect(getUrlVariantKey('http://www.example.com/post/')).toBe(key);
+      expect(getUrlVariantKey('https://example.com/post?utm_source=feed#comments')).toBe(key);
+    });
+
+    it('should treat mobile and AMP versions as the same page', () => {
+      const key = getUrlVariantKey('https://example.com/news/story');
+      expect(getUrlVariantKey('https://m.example.com/news/story')).toBe(key);
+      expect(getUrlVariantKey('https://amp.example.com/news/story')).toBe(key);
+      expect(getUrlVariantKey('https://example.com/news/story/amp')).toBe(key);
+      expect(getUrlVariantKey('https://example.com/amp/news/story')).toBe(key);
+      expect(getUrlVariantKey('https://example.com/news/story?amp=1')).toBe(key);
+      expect(getUrlVariantKey('https://www.google.com/amp/s/example.com/news/story')).toBe(key);
+      expect(
+        getUrlVariantKey('https://example-com.cdn.ampproject.org/c/s/example.com/news/story')
+      ).toBe(key);
+    });
+
+    it('should treat index pages as their folder', () => {
+      expect(getUrlVariantKey('https://example.com/docs/index.html')).toBe(
+        getUrlVariantKey('https://example.com/docs/')
+      );
+    });
+
+    it('should keep different pages apart', () => {
+      expect(getUrlVariantKey('https://example.com/a')).not.toBe(
+        getUrlVariantKey('https://example.com/b')
+      );
+      expect(getUrlVariantKey('https://example.com/a?id=1')).not.toBe(
+        getUrlVariantKey('https://example.com/a?id=2')
+      );
+    });
+  });
+
+  describe('contentFingerprint', () => {
+    it('should ignore case and whitespace', () => {
+      expect(contentFingerprint('Hello  World\n')).toBe(contentFingerprint('hello world'));
+      expect(contentFingerprint('hello world')).not.toBe(contentFingerprint('hello word'));
+    });
   });
 
   describe('calculateSimilarity', () => {
@@ -285,4 +343,133 @@ describe('Duplicate Detector', () => {
       expect(typeof suggestion.reason).toBe('string');
     });
   });
+
+  describe('clusterDuplicates', () => {
+    const article = Array.from({ length: 60 }, (_, i) => `word${i}`).join(' ');
+
+    it('should cluster the same page by URL and URL variants', () => {
+      const clusters = clusterDuplicates(sampleBookmarks, { checkTitles: false });
+
+      expect(clusters.map((cluster) => cluster.bookmarks.map((b) => b.id).sort())).toEqual([
+        ['1', '2', '3'],
+        ['4', '5'],
+        ['6', '7'],
+      ]);
+      expect(clusters[0]).toMatchObject({ type: 'exact_url', reason: 'Same URL' });
+    });
+
+    it('should say how bookmarks of a page were linked', () => {
+      const clusters = clusterDuplicates(
+        [
+          { id: 'a', title: 'Story', url: 'https://example.com/story?utm_source=x' },
+          { id: 'b', title: 'Story', url: 'https://example.com/story' },
+          { id: 'c', title: 'Story (AMP)', url: 'http://m.example.com/story/amp' },
+        ],
+        { checkTitles: false }
+      );
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].types).toEqual(['exact_url', 'url_variant']);
+    });
+
+    it('should cluster bookmarks whose saved pages have the same text', () => {
+      const bookmarks = [
+        { id: 'a', title: 'Post', url: 'https://blog.example.com/2024/post' },
+        { id: 'b', title: 'Mirror', url: 'https://mirror.example.org/post.html' },
+        { id: 'c', title: 'Stub', url: 'https://one.example.net/' },
+        { id: 'd', title: 'Stub', url: 'https://two.example.net/' },
+      ];
+      const pages = [
+        { url: bookmarks[0].url, textContent: article },
+        { url: bookmarks[1].url, textContent: `  ${article.toUpperCase()} ` },
+        // Too short to tell apart from an error page
+        { url: bookmarks[2].url, textContent: 'Access denied' },
+        { url: bookmarks[3].url, textContent: 'Access denied' },
+      ];
+
+      const clusters = clusterDuplicates(bookmarks, { pages, checkTitles: false });
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].type).toBe('same_content');
+      expect(clusters[0].bookmarks.map((b) => b.id).sort()).toEqual(['a', 'b']);
+    });
+
+    it("should use a saved page's canonical URL", () => {
+      const bookmarks = [
+        { id: 'a', title: 'Post', url: 'https://example.com/p?id=7' },
+        { id: 'b', title: 'Post', url: 'https://example.com/posts/seven' },
+      ];
+      const pages = [{ url: bookmarks[0].url, canonicalUrl: 'https://example.com/posts/seven' }];
+
+      const clusters = clusterDuplicates(bookmarks, { pages, checkTitles: false });
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].type).toBe('url_variant');
+    });
+
+    it('should cluster near-duplicate titles', () => {
+      const clusters = clusterDuplicates([
+        { id: 'a', title: 'Understanding JavaScript Closures', url: 'https://a.example.com/1' },
+        { id: 'b', title: 'Understanding JavaScript closures!', url: 'https://b.example.com/2' },
+        { id: 'c', title: 'Understanding Rust Lifetimes', url: 'https://c.example.com/3' },
+        { id: 'd', title: 'Home', url: 'https://d.example.com/' },
+        { id: 'e', title: 'Home', url: 'https://e.example.com/' },
+      ]);
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0]).toMatchObject({ type: 'similar_title', reason: 'Similar titles' });
+      expect(clusters[0].bookmarks.map((b) => b.id).sort()).toEqual(['a', 'b']);
+      expect(clusters[0].similarity).toBeGreaterThan(0.8);
+    });
+
+    it('should not compare titles through words too common to block on', () => {
+      const bookmarks = [
+        { id: 'a', title: 'Weekly notes', url: 'https://a.example.com/' },
+        { id: 'b', title: 'Weekly notes', url: 'https://b.example.com/' },
+      ];
+
+      expect(clusterDuplicates(bookmarks)).toHaveLength(1);
+      expect(clusterDuplicates(bookmarks, { maxBlockSize: 1 })).toHaveLength(0);
+    });
+
+    it('should put the bookmark to keep first', () => {
+      const [cluster] = clusterDuplicates([
+        { id: 'a', title: 'Docs', url: 'https://example.com/docs', dateAdded: 2 },
+        { id: 'b', title: 'Docs', url: 'https://example.com/docs/', dateAdded: 1, notes: 'Read' },
+      ]);
+
+      expect(cluster.id).toBe('b');
+      expect(cluster.bookmarks.map((b) => b.id)).toEqual(['b', 'a']);
+    });
+
+    it('should cluster 50k bookmarks', () => {
+      // Titles of four words from a made-up vocabulary, picked by a seeded xorshift
+      let seed = 42;
+      const random = (max) => {
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        return (seed >>> 0) % max;
+      };
+      const vocabulary = Array.from({ length: 20000 }, (_, i) => `w${i.toString(36)}x${i % 7}`);
+      const bookmarks = Array.from({ length: 50000 }, (_, i) => ({
+        id: `b${i}`,
+        title: Array.from({ length: 4 }, () => vocabulary[random(vocabulary.length)]).join(' '),
+        url: `https://site${i % 50}.example.com/articles/${i}`,
+      }));
+      bookmarks.push(
+        { id: 'dup1', title: 'Copy', url: 'http://site7.example.com/articles/7/' },
+        { id: 'dup2', title: `${bookmarks[12].title}!`, url: 'https://example.org/copy' }
+      );
+
+      const clusters = clusterDuplicates(bookmarks);
+
+      expect(clusters.map((cluster) => cluster.bookmarks.map((b) => b.id).sort())).toEqual(
+        expect.arrayContaining([
+          ['b7', 'dup1'],
+          ['b12', 'dup2'],
+        ])
+      );
+    }, 30000);
+  });
 });
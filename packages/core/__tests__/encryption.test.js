@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Tests for the end-to-end encryption module
+ * Tests keyrings, recovery keys and encrypting flat bookmark lists and bookmark files
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  ENCRYPTED_URL_PREFIX,
+  createKeyring,
+  unlockKeyring,
+  wrapDataKey,
+  formatRecoveryKey,
+  parseRecoveryKey,
+  unlockWithRecoveryKey,
+  deriveItemKeys,
+  encryptValue,
+  decryptValue,
+  isEncryptedItem,
+  encryptFlatItems,
+  decryptFlatItems,
+  encryptTombstones,
+  decryptTombstones,
+  encryptBookmarkFile,
+  decryptBookmarkFile,
+} from '../src/encryption.js';
+import { diffFlatItems, indexFlatItems } from '../src/delta-sync.js';
+
+// Low iteration count keeps the tests fast; real keyrings use DEFAULT_KDF_ITERATIONS
+const kdfOptions = { iterations: 1000 };
+
+const items = [
+  { type: 'folder', title: 'Work', folderPath: 'Bookmarks Bar', index: 0, dateAdded: 1000 },
+  {
+    type: 'bookmark',
+    id: '42',
+    url: 'https://example.com/secret',
+    title: 'Secret',
+    folderPath: 'Bookmarks Bar/Work',
+    index: 0,
+    dateAdded: 2000,
+  },
+];
+
+describe('encryption', () => {
+  describe('keyring', () => {
+    it('should unlock the data key with the passphrase', async () => {
+      const { keyring, dataKey } = await createKeyring('correct horse', kdfOptions);
+
+      expect(keyring).toMatchObject({ version: 1, kdf: { name: 'PBKDF2', iterations: 1000 } });
+      expect(JSON.stringify(keyring)).not.toContain('correct horse');
+      expect(await unlockKeyring(keyring, 'correct horse')).toEqual(dataKey);
+    });
+
+    it('should reject a wrong passphrase', async () => {
+      const { keyring } = await createKeyring('correct horse', kdfOptions);
+
+      await expect(unlockKeyring(keyring, 'wrong')).rejects.toMatchObject({
+        code: 'INVALID_PASSPHRASE',
+      });
+    });
+
+    it('should keep the key ID when the passphrase changes', async () => {
+      const { keyring, dataKey } = await createKeyring('old passphrase', kdfOptions);
+      const rewrapped = await wrapDataKey(dataKey, 'new passphrase', kdfOptions);
+
+      expect(rewrapped.keyId).toBe(keyring.keyId);
+      expect(rewrapped.kdf.salt).not.toBe(keyring.kdf.salt);
+      expect(await unlockKeyring(rewrapped, 'new passphrase')).toEqual(dataKey);
+      await expect(unlockKeyring(rewrapped, 'old passphrase')).rejects.toThrow();
+    });
+  });
+
+  describe('recovery key', () => {
+    it('should round-trip the data key through the recovery key format', async () => {
+      const { keyring, dataKey } = await createKeyring('passphrase', kdfOptions);
+      const recoveryKey = formatRecoveryKey(dataKey);
+
+      expect(recoveryKey).toMatch(/^([0-9A-Z]{4}-){12}[0-9A-Z]{4}$/);
+      expect(parseRecoveryKey(recoveryKey.toLowerCase().replace(/-/g, ' '))).toEqual(dataKey);
+      expect(await unlockWithRecoveryKey(keyring, recoveryKey)).toEqual(dataKey);
+    });
+
+    it('should reject malformed recovery keys and keys of another keyring', async () => {
+      const first = await createKeyring('passphrase', kdfOptions);
+      const second = await createKeyring('passphrase', kdfOptions);
+
+      expect(() => parseRecoveryKey('ABCD-1234')).toThrow('Invalid recovery key');
+      await expect(
+        unlockWithRecoveryKey(first.keyring, formatRecoveryKey(second.dataKey))
+      ).rejects.toMatchObject({ code: 'INVALID_RECOVERY_KEY' });
+    });
+  });
+
+  describe('items', () => {
+    let keys;
+    let otherKeys;
+
+    beforeAll(async () => {
+      keys = await deriveItemKeys((await createKeyring('passphrase', kdfOptions)).dataKey);
+      otherKeys = await deriveItemKeys((await createKeyring('passphrase', kdfOptions)).dataKey);
+    });
+
+    it('should encrypt values deterministically', async () => {
+      const sealed = await encryptValue(keys, { a: 1 });
+
+      expect(await encryptValue(keys, { a: 1 })).toBe(sealed);
+      expect(await encryptValue(keys, { a: 2 })).not.toBe(sealed);
+      expect(await decryptValue(keys, sealed)).toEqual({ a: 1 });
+      await expect(decryptValue(otherKeys, sealed)).rejects.toMatchObject({
+        code: 'DECRYPTION_FAILED',
+      });
+    });
+
+    it('should hide URLs, titles and folder names but keep structure', async () => {
+      const encrypted = await encryptFlatItems(keys, items);
+      const serialized = JSON.stringify(encrypted);
+
+      expect(serialized).not.toContain('example.com');
+      expect(serialized).not.toContain('Secret');
+      expect(serialized).not.toContain('Work');
+      expect(encrypted.every(isEncryptedItem)).toBe(true);
+
+      const [folder, bookmark] = encrypted;
+      expect(bookmark.url.startsWith(ENCRYPTED_URL_PREFIX)).toBe(true);
+      expect(bookmark).toMatchObject({ id: '42', index: 0, dateAdded: 2000 });
+      expect(folder.folderPath).toBe('Bookmarks Bar');
+      expect(folder).not.toHaveProperty('url');
+      // Children reference their folder by the same token the folder has as its title
+      expect(bookmark.folderPath).toBe(`Bookmarks Bar/${folder.title}`);
+    });
+
+    it('should decrypt back to the original items', async () => {
+      const encrypted = await encryptFlatItems(keys, items);
+
+      expect(await decryptFlatItems(keys, encrypted)).toEqual(items);
+      expect(await encryptFlatItems(keys, encrypted)).toEqual(encrypted);
+    });
+
+    it('should give the same operations as the plaintext lists', async () => {
+      const changed = [items[0], { ...items[1], title: 'Renamed', index: 1 }];
+      const before = await encryptFlatItems(keys, items);
+      const after = await encryptFlatItems(keys, changed);
+
+      const operations = diffFlatItems(before, after);
+      expect(operations.map((operation) => operation.op)).toEqual(
+        diffFlatItems(items, changed).map((operation) => operation.op)
+      );
+      expect([...indexFlatItems(after).keys()]).toContain(after[1].url);
+    });
+
+    it('should encrypt tombstones with the token of the deleted bookmark', async () => {
+      const [, bookmark] = await encryptFlatItems(keys, items);
+      const tombstones = await encryptTombstones(keys, [
+        { url: 'https://example.com/secret', deletedAt: 5000 },
+      ]);
+
+      expect(tombstones[0]).toMatchObject({ url: bookmark.url, deletedAt: 5000 });
+      expect(await decryptTombstones(keys, tombstones)).toEqual([
+        { url: 'https://example.com/secret', deletedAt: 5000 },
+      ]);
+    });
+  });
+
+  describe('bookmark files', () => {
+    it('should encrypt bookmarks and tags but keep metadata readable', async () => {
+      const keys = await deriveItemKeys((await createKeyring('passphrase', kdfOptions)).dataKey);
+      const file = {
+        version: '1.1',
+        schemaVersion: 2,
+        metadata: { checksum: 'abc', lastModified: '2026-01-01T00:00:00.000Z' },
+        bookmarks: { toolbar: { id: 'toolbar', title: 'Bookmarks Bar', children: items } },
+        tags: [{ name: 'private' }],
+      };
+
+      const encrypted = await encryptBookmarkFile(keys, file);
+
+      expect(encrypted.bookmarks).toBeUndefined();
+      expect(encrypted.metadata).toEqual(file.metadata);
+      expect(encrypted.encryption.keyId).toBe(keys.keyId);
+      expect(JSON.stringify(encrypted)).not.toContain('example.com');
+      expect(await decryptBookmarkFile(keys, encrypted)).toEqual(file);
+    });
+
+    it('should refuse files encrypted with another key', async () => {
+      const keys = await deriveItemKeys((await createKeyring('a', kdfOptions)).dataKey);
+      const other = await deriveItemKeys((await createKeyring('b', kdfOptions)).dataKey);
+      const encrypted = await encryptBookmarkFile(keys, { version: '1.0', bookmarks: {} });
+
+      await expect(decryptBookmarkFile(other, encrypted)).rejects.toMatchObject({
+        code: 'WRONG_KEY',
+      });
+    });
+  });
+});
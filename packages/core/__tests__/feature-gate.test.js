@@ -16,6 +16,8 @@ import {
   getUpgradeSuggestions,
   VERSION_HISTORY_LIMITS,
   getVersionHistoryLimit,
+  PAGE_CAPTURE_LIMITS,
+  getPageCaptureLimit,
   SYNC_INTERVAL_LIMITS,
   getSyncIntervalOptions,
   canUseScheduledSync,
@@ -236,6 +238,23 @@ describe('Feature Gate', () => {
     });
   });
 
+  describe('Page Capture Limits', () => {
+    it('should keep more snapshots on paid plans', () => {
+      expect(PAGE_CAPTURE_LIMITS.free).toBeLessThan(PAGE_CAPTURE_LIMITS.pro);
+      expect(PAGE_CAPTURE_LIMITS.pro).toBeLessThan(PAGE_CAPTURE_LIMITS.team);
+    });
+
+    it('should return correct limit via function', () => {
+      expect(getPageCaptureLimit('free')).toBe(25);
+      expect(getPageCaptureLimit('pro')).toBe(2000);
+      expect(getPageCaptureLimit('team')).toBe(10000);
+    });
+
+    it('should default to free limit for unknown plan', () => {
+      expect(getPageCaptureLimit(undefined)).toBe(25);
+    });
+  });
+
   describe('Sync Interval Limits', () => {
     it('should have no options for free plan', () => {
       expect(SYNC_INTERVAL_LIMITS.free.options).toHaveLength(0);
@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Tests for full-text search over bookmarks and saved pages
+ * Uses Vitest for testing
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  tokenize,
+  parseSearchQuery,
+  findMatches,
+  createSnippet,
+  highlightSegments,
+  recencyScore,
+  frequencyScore,
+  blendScore,
+  rankResults,
+  createSearchDocument,
+  MemoryIndexStore,
+  FullTextIndex,
+} from '../src/full-text-search.js';
+
+const NOW = Date.parse('2025-06-01T00:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const document = (id, fields = {}) => ({
+  id,
+  title: '',
+  url: `https://example.com/${id}`,
+  tags: '',
+  notes: '',
+  description: '',
+  content: '',
+  lastUsed: NOW,
+  visitCount: 0,
+  ...fields,
+});
+
+describe('Full-text search', () => {
+  describe('tokenize', () => {
+    it('should lowercase words, strip accents and drop stopwords', () => {
+      expect(tokenize('The Café of Zürich, 2024 edition!')).toEqual([
+        'cafe',
+        'zurich',
+        '2024',
+        'edition',
+      ]);
+      expect(tokenize('')).toEqual([]);
+      expect(tokenize(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('should treat the last word as unfinished unless the query ends in a space', () => {
+      expect(parseSearchQuery('rust async runt')).toEqual({
+        terms: ['rust', 'async'],
+        prefix: 'runt',
+      });
+      expect(parseSearchQuery('rust async ')).toEqual({ terms: ['rust', 'async'], prefix: null });
+      expect(parseSearchQuery('the')).toEqual({ terms: [], prefix: null });
+    });
+  });
+
+  describe('findMatches', () => {
+    it('should find whole terms and words that complete the prefix', () => {
+      const text = 'Rust runtime for async Rust';
+
+      expect(findMatches(text, { terms: ['rust'], prefix: 'run' })).toEqual([
+        [0, 4],
+        [5, 12],
+        [23, 27],
+      ]);
+    });
+  });
+
+  describe('createSnippet', () => {
+    it('should keep short text whole', () => {
+      expect(createSnippet('A guide to Rust', { terms: ['rust'], prefix: null })).toEqual({
+        text: 'A guide to Rust',
+        highlights: [[11, 15]],
+      });
+    });
+
+    it('should cut long text around the densest cluster of matches', () => {
+      const text = `${'Filler words here. '.repeat(20)}Tokio is an async runtime for Rust. ${'More filler text. '.repeat(20)}`;
+
+      const snippet = createSnippet(
+        text,
+        { terms: ['async', 'rust'], prefix: null },
+        { length: 80 }
+      );
+
+      expect(snippet.text.startsWith('… ')).toBe(true);
+      expect(snippet.text.endsWith(' …')).toBe(true);
+      expect(snippet.text.length).toBeLessThanOrEqual(84);
+      expect(snippet.highlights.map(([start, end]) => snippet.text.slice(start, end))).toEqual([
+        'async',
+        'Rust',
+      ]);
+    });
+
+    it('should start at the beginning when nothing matches', () => {
+      const snippet = createSnippet('word '.repeat(100), { terms: ['none'], prefix: null });
+
+      expect(snippet.text.startsWith('word')).toBe(true);
+      expect(snippet.highlights).toEqual([]);
+    });
+  });
+
+  describe('highlightSegments', () => {
+    it('should split a snippet into plain and highlighted parts', () => {
+      expect(highlightSegments({ text: 'A guide to Rust', highlights: [[2, 7]] })).toEqual([
+        { text: 'A ', highlight: false },
+        { text: 'guide', highlight: true },
+        { text: ' to Rust', highlight: false },
+      ]);
+    });
+  });
+
+  describe('ranking', () => {
+    it('should halve recency every half-life', () => {
+      expect(recencyScore(NOW, { now: NOW })).toBe(1);
+      expect(recencyScore(NOW - 90 * DAY, { now: NOW })).toBeCloseTo(0.5);
+      expect(recencyScore(null, { now: NOW })).toBe(0);
+    });
+
+    it('should grow frequency with the log of visits, up to 1', () => {
+      expect(frequencyScore(0)).toBe(0);
+      expect(frequencyScore(5)).toBeGreaterThan(frequencyScore(1));
+      expect(frequencyScore(500)).toBe(1);
+    });
+
+    it('should blend relevance, recency and frequency by weight', () => {
+      const signals = { relevance: 1, lastUsed: NOW, visitCount: 50 };
+
+      expect(blendScore(signals, { now: NOW })).toBeCloseTo(1);
+      expect(blendScore({ relevance: 1 }, { now: NOW })).toBeCloseTo(0.7);
+      expect(
+        blendScore({ relevance: 0.5 }, { now: NOW, weights: { recency: 0, frequency: 0 } })
+      ).toBeCloseTo(0.5);
+    });
+
+    it('should let recent, frequently used bookmarks overtake slightly better matches', () => {
+      const ranked = rankResults(
+        [
+          { id: 'old', textScore: 10, lastUsed: NOW - 3 * 365 * DAY, visitCount: 0 },
+          { id: 'used', textScore: 9, lastUsed: NOW - DAY, visitCount: 30 },
+          { id: 'poor', textScore: 2, lastUsed: NOW, visitCount: 50 },
+        ],
+        { now: NOW }
+      );
+
+      expect(ranked.map((result) => result.id)).toEqual(['used', 'old', 'poor']);
+      expect(ranked[1].relevance).toBe(1);
+    });
+  });
+
+  describe('createSearchDocument', () => {
+    it('should combine a bookmark with its saved page and visits', () => {
+      const doc = createSearchDocument(
+        {
+          id: 42,
+          title: 'Tokio',
+          url: 'https://tokio.rs',
+          tags: [{ id: 't1', name: 'rust' }, 'async'],
+          dateAdded: NOW - 10 * DAY,
+        },
+        {
+          page: { description: 'Async runtime', textContent: 'Tokio is…', capturedAt: NOW - DAY },
+          visits: { count: 3, lastVisited: NOW - 5 * DAY },
+        }
+      );
+
+      expect(doc).toEqual({
+        id: '42',
+        title: 'Tokio',
+        url: 'https://tokio.rs',
+        tags: 'rust async',
+        notes: '',
+        description: 'Async runtime',
+        content: 'Tokio is…',
+        lastUsed: NOW - DAY,
+        visitCount: 3,
+      });
+    });
+  });
+
+  describe('FullTextIndex', () => {
+    const createIndex = async (documents) => {
+      const index = new FullTextIndex();
+      await index.update(documents);
+      return index;
+    };
+
+    it('should find documents by the text of their saved page', async () => {
+      const index = await createIndex([
+        document('1', { title: 'Tokio', content: 'An asynchronous runtime for Rust.' }),
+        document('2', { title: 'Serde', content: 'Serialization framework for Rust.' }),
+      ]);
+
+      const results = await index.search('asynchronous ', { now: NOW });
+
+      expect(results.map((result) => result.id)).toEqual(['1']);
+      expect(results[0].snippet).toEqual({
+        text: 'An asynchronous runtime for Rust.',
+        highlights: [[3, 15]],
+      });
+      expect(results[0].document).not.toHaveProperty('terms');
+    });
+
+    it('should require every term, and complete the last one', async () => {
+      const index = await createIndex([
+        document('1', { title: 'Tokio', content: 'Async runtime for Rust' }),
+        document('2', { title: 'Rayon', content: 'Data parallelism for Rust' }),
+        document('3', { title: 'asyncio', content: 'Async I/O for Python' }),
+      ]);
+
+      expect((await index.search('rust asy', { now: NOW })).map((r) => r.id)).toEqual(['1']);
+      expect((await index.search('async ', { now: NOW })).map((r) => r.id).sort()).toEqual([
+        '1',
+        '3',
+      ]);
+      expect(await index.search('haskell', { now: NOW })).toEqual([]);
+      expect(await index.search('the ', { now: NOW })).toEqual([]);
+    });
+
+    it('should rank title matches above matches deep in page text', async () => {
+      const index = await createIndex([
+        document('body', { title: 'Notes', content: `${'filler '.repeat(300)}kubernetes` }),
+        document('title', { title: 'Kubernetes handbook' }),
+      ]);
+
+      const results = await index.search('kubernetes ', {
+        now: NOW,
+        weights: { recency: 0, frequency: 0 },
+      });
+
+      expect(results.map((result) => result.id)).toEqual(['title', 'body']);
+      expect(results[0].title.highlights).toEqual([[0, 10]]);
+    });
+
+    it('should rank by visits when matches are equally good', async () => {
+      const index = await createIndex([
+        document('rare', { title: 'Postgres docs', visitCount: 1 }),
+        document('often', { title: 'Postgres docs', visitCount: 40 }),
+      ]);
+
+      const results = await index.search('postgres ', { now: NOW });
+
+      expect(results.map((result) => result.id)).toEqual(['often', 'rare']);
+    });
+
+    it('should replace and remove documents', async () => {
+      const store = new MemoryIndexStore();
+      const index = new FullTextIndex({ store });
+      await index.update([
+        document('1', { title: 'Old title' }),
+        document('2', { title: 'Other' }),
+      ]);
+
+      await index.update([document('1', { title: 'New title' })]);
+      await index.remove(['2']);
+
+      expect(await index.search('old ', { now: NOW })).toEqual([]);
+      expect((await index.search('new ', { now: NOW })).map((r) => r.id)).toEqual(['1']);
+      expect(await store.getPostings(['old', 'other'])).toEqual(new Map());
+      expect((await store.getStats()).documentCount).toBe(1);
+    });
+
+    it('should only reindex documents that changed when syncing', async () => {
+      const store = new MemoryIndexStore();
+      const index = new FullTextIndex({ store });
+      await index.sync([document('1', { title: 'One' }), document('2', { title: 'Two' })]);
+
+      const result = await index.sync([
+        document('1', { title: 'One' }),
+        document('3', { title: 'Three' }),
+      ]);
+
+      expect(result).toEqual({ indexed: 1, removed: 1 });
+      expect(Array.from((await store.getSignatures()).keys()).sort()).toEqual(['1', '3']);
+    });
+
+    it('should keep the index from a store across instances', async () => {
+      const store = new MemoryIndexStore();
+      await new FullTextIndex({ store }).update([document('1', { title: 'Persistent index' })]);
+
+      const results = await new FullTextIndex({ store }).search('persist', { now: NOW });
+
+      expect(results.map((result) => result.id)).toEqual(['1']);
+    });
+  });
+});
@@ -11,6 +11,10 @@ import {
   isValidUrl,
   extractDomain,
   createLinkCheckResult,
+  createDomainRateLimiter,
+  parsePageInfo,
+  isSoftNotFoundPage,
+  getUrlRewrites,
   LINK_STATUS,
   DEFAULT_CHECK_OPTIONS,
 } from '../src/link-checker.js';
@@ -202,13 +206,16 @@ describe('Link Checker', () => {
 
     it('should return redirect status for 301 response', async () => {
       const headers = new Map([['location', 'https://new.example.com']]);
-      global.fetch = vi.fn().mockResolvedValue({
-        ok: false,
-        status: 301,
-        headers: {
-          get: (key) => headers.get(key.toLowerCase()),
-        },
-      });
+      global.fetch = vi
+        .fn()
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 301,
+          headers: {
+            get: (key) => headers.get(key.toLowerCase()),
+          },
+        })
+        .mockResolvedValueOnce({ ok: true, status: 200, headers: new Map() });
 
       const result = await checkLink({
         bookmarkId: 'bm-123',
@@ -216,8 +223,9 @@ describe('Link Checker', () => {
       });
 
       expect(result.status).toBe(LINK_STATUS.REDIRECT);
-      expect(result.statusCode).toBe(301);
+      expect(result.statusCode).toBe(200);
       expect(result.redirectUrl).toBe('https://new.example.com');
+      expect(result.redirectChain).toEqual([{ url: 'https://old.example.com', statusCode: 301 }]);
     });
 
     it('should return timeout status on timeout error', async () => {
@@ -273,6 +281,291 @@ describe('Link Checker', () => {
     });
   });
 
+  describe('checkLink redirects and page inspection', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    /**
+     * Answer each URL with a canned response; `location` makes it a redirect
+     */
+    const serve = (pages) => {
+      global.fetch = vi.fn(async (url, init) => {
+        const page = pages[url] ?? { status: 404 };
+        const status = typeof page.status === 'function' ? page.status(init) : page.status;
+        const headers = new Headers();
+        if (page.location) headers.set('location', page.location);
+        if (page.html !== undefined) headers.set('content-type', 'text/html; charset=utf-8');
+        return new Response(init.method === 'GET' ? (page.html ?? null) : null, {
+          status,
+          headers,
+        });
+      });
+    };
+
+    it('should record every hop of a redirect chain and resolve relative locations', async () => {
+      serve({
+        'http://example.com/a': { status: 301, location: 'https://example.com/a' },
+        'https://example.com/a': { status: 302, location: '/b' },
+        'https://example.com/b': { status: 200 },
+      });
+
+      const result = await checkLink({ bookmarkId: 'bm-1', url: 'http://example.com/a' });
+
+      expect(result.status).toBe(LINK_STATUS.REDIRECT);
+      expect(result.redirectUrl).toBe('https://example.com/b');
+      expect(result.redirectChain).toEqual([
+        { url: 'http://example.com/a', statusCode: 301 },
+        { url: 'https://example.com/a', statusCode: 302 },
+      ]);
+    });
+
+    it('should report redirects that end on an error as broken', async () => {
+      serve({ 'https://example.com/old': { status: 301, location: '/gone' } });
+
+      const result = await checkLink({ bookmarkId: 'bm-1', url: 'https://example.com/old' });
+
+      expect(result.status).toBe(LINK_STATUS.BROKEN);
+      expect(result.statusCode).toBe(404);
+      expect(result.redirectUrl).toBe('https://example.com/gone');
+    });
+
+    it('should never request addresses isAllowedUrl refuses, even through a redirect', async () => {
+      serve({
+        'https://example.com/out': { status: 302, location: 'http://169.254.169.254/latest' },
+      });
+      const isAllowedUrl = (url) => !url.includes('169.254.');
+
+      const redirected = await checkLink(
+        { bookmarkId: 'bm-1', url: 'https://example.com/out' },
+        { isAllowedUrl, followRedirects: true }
+      );
+      const direct = await checkLink(
+        { bookmarkId: 'bm-2', url: 'http://169.254.169.254/' },
+        { isAllowedUrl }
+      );
+
+      expect(redirected).toMatchObject({
+        status: LINK_STATUS.BROKEN,
+        statusCode: null,
+        errorMessage: 'Address is not allowed',
+        redirectChain: [{ url: 'https://example.com/out', statusCode: 302 }],
+      });
+      expect(direct.errorMessage).toBe('Address is not allowed');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][1].redirect).toBe('manual');
+    });
+
+    it('should request every hop with the fetch option when given', async () => {
+      serve({
+        'https://example.com/old': { status: 301, location: '/new' },
+        'https://example.com/new': { status: 200 },
+      });
+      const load = global.fetch;
+      global.fetch = vi.fn();
+
+      const result = await checkLink(
+        { bookmarkId: 'bm-1', url: 'https://example.com/old' },
+        { fetch: load }
+      );
+
+      expect(result.status).toBe(LINK_STATUS.REDIRECT);
+      expect(load).toHaveBeenCalledTimes(2);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should report redirect loops and overlong chains as broken', async () => {
+      serve({
+        'https://loop.com/a': { status: 302, location: '/b' },
+        'https://loop.com/b': { status: 302, location: '/a' },
+        'https://long.com/1': { status: 302, location: '/2' },
+        'https://long.com/2': { status: 302, location: '/3' },
+        'https://long.com/3': { status: 200 },
+      });
+
+      const loop = await checkLink({ bookmarkId: 'bm-1', url: 'https://loop.com/a' });
+      const long = await checkLink(
+        { bookmarkId: 'bm-2', url: 'https://long.com/1' },
+        { maxRedirects: 1 }
+      );
+
+      expect(loop).toMatchObject({ status: LINK_STATUS.BROKEN, errorMessage: 'Redirect loop' });
+      expect(long).toMatchObject({
+        status: LINK_STATUS.BROKEN,
+        errorMessage: 'Too many redirects',
+      });
+    });
+
+    it('should fall back to GET when a site rejects HEAD', async () => {
+      serve({
+        'https://example.com/': {
+          status: (init) => (init.method === 'HEAD' ? 405 : 200),
+          html: '<title>Home</title>',
+        },
+      });
+
+      const result = await checkLink({ bookmarkId: 'bm-1', url: 'https://example.com/' });
+
+      expect(result.status).toBe(LINK_STATUS.VALID);
+      expect(global.fetch.mock.calls.map(([, init]) => init.method)).toEqual(['HEAD', 'GET']);
+    });
+
+    it('should read no more of a page than the byte budget', async () => {
+      const html = `<html><head><title>Big</title></head><body>${'x'.repeat(100000)}`;
+      let pulled = 0;
+      global.fetch = vi.fn(async () => {
+        const bytes = new TextEncoder().encode(html);
+        const body = new ReadableStream({
+          pull(controller) {
+            if (pulled >= bytes.length) return controller.close();
+            controller.enqueue(bytes.subarray(pulled, pulled + 1024));
+            pulled += 1024;
+          },
+        });
+        return new Response(body, { status: 200, headers: { 'content-type': 'text/html' } });
+      });
+
+      const result = await checkLink(
+        { bookmarkId: 'bm-1', url: 'https://example.com/' },
+        { inspectContent: true, maxBodyBytes: 4096 }
+      );
+
+      expect(result.status).toBe(LINK_STATUS.VALID);
+      expect(pulled).toBeLessThan(16 * 1024);
+    });
+
+    it('should flag working pages that say they were not found', async () => {
+      serve({
+        'https://example.com/post': {
+          status: 200,
+          html: '<html><head><title>Page Not Found | Example</title></head></html>',
+        },
+      });
+
+      const result = await checkLink(
+        { bookmarkId: 'bm-1', url: 'https://example.com/post' },
+        { inspectContent: true }
+      );
+
+      expect(result.status).toBe(LINK_STATUS.BROKEN);
+      expect(result.softNotFound).toBe(true);
+      expect(result.statusCode).toBe(200);
+    });
+
+    it('should flag deep links that redirect to the front page', async () => {
+      serve({
+        'https://example.com/2019/removed-post': { status: 301, location: '/' },
+        'https://example.com/': { status: 200 },
+      });
+
+      const result = await checkLink({
+        bookmarkId: 'bm-1',
+        url: 'https://example.com/2019/removed-post',
+      });
+
+      expect(result.status).toBe(LINK_STATUS.BROKEN);
+      expect(result.softNotFound).toBe(true);
+    });
+
+    it('should detect the canonical URL of a page', async () => {
+      serve({
+        'https://example.com/post?utm_source=feed': {
+          status: 200,
+          html: '<head><title>Post</title><link href="/post" rel="canonical"></head>',
+        },
+      });
+
+      const result = await checkLink(
+        { bookmarkId: 'bm-1', url: 'https://example.com/post?utm_source=feed' },
+        { inspectContent: true }
+      );
+
+      expect(result.status).toBe(LINK_STATUS.VALID);
+      expect(result.canonicalUrl).toBe('https://example.com/post');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('parsePageInfo', () => {
+    it('should read the title, first heading and canonical URL', () => {
+      const page = parsePageInfo(
+        `<html><head><title> Tom &amp; Jerry </title>
+          <link rel='canonical' href='https://example.com/tom-and-jerry'></head>
+          <body><h1 class="x">Episode <em>1</em></h1><h1>Other</h1></body></html>`,
+        'https://example.com/t'
+      );
+
+      expect(page).toEqual({
+        title: 'Tom & Jerry',
+        heading: 'Episode 1',
+        canonicalUrl: 'https://example.com/tom-and-jerry',
+      });
+    });
+
+    it('should return nulls for pages without them', () => {
+      expect(parsePageInfo('<p>Hello</p>', 'https://example.com/')).toEqual({
+        title: null,
+        heading: null,
+        canonicalUrl: null,
+      });
+    });
+  });
+
+  describe('isSoftNotFoundPage', () => {
+    it('should recognise not found titles and headings', () => {
+      expect(isSoftNotFoundPage({ title: '404 - Example', heading: null })).toBe(true);
+      expect(isSoftNotFoundPage({ title: 'Example', heading: "This page doesn't exist" })).toBe(
+        true
+      );
+      expect(isSoftNotFoundPage({ title: 'Finding things in the woods', heading: null })).toBe(
+        false
+      );
+      expect(isSoftNotFoundPage({ title: null, heading: null })).toBe(false);
+    });
+  });
+
+  describe('getUrlRewrites', () => {
+    const results = [
+      {
+        bookmarkId: 'bm-1',
+        url: 'http://a.com/',
+        status: LINK_STATUS.REDIRECT,
+        redirectUrl: 'https://a.com/',
+      },
+      {
+        bookmarkId: 'bm-2',
+        url: 'https://b.com/post?ref=x',
+        status: LINK_STATUS.VALID,
+        canonicalUrl: 'https://b.com/post',
+      },
+      {
+        bookmarkId: 'bm-3',
+        url: 'https://c.com/old',
+        status: LINK_STATUS.BROKEN,
+        redirectUrl: 'https://c.com/gone',
+      },
+    ];
+
+    it('should rewrite redirected links to where they lead', () => {
+      expect(getUrlRewrites(results)).toEqual([
+        { bookmarkId: 'bm-1', url: 'http://a.com/', newUrl: 'https://a.com/' },
+      ]);
+    });
+
+    it('should use canonical URLs when asked', () => {
+      expect(getUrlRewrites(results, { preferCanonical: true })).toEqual([
+        { bookmarkId: 'bm-1', url: 'http://a.com/', newUrl: 'https://a.com/' },
+        { bookmarkId: 'bm-2', url: 'https://b.com/post?ref=x', newUrl: 'https://b.com/post' },
+      ]);
+    });
+  });
+
   describe('checkLinks', () => {
     let originalFetch;
 
@@ -395,4 +688,68 @@ describe('Link Checker', () => {
       expect(results[2].status).toBe(LINK_STATUS.BROKEN);
     });
   });
+
+  describe('createDomainRateLimiter', () => {
+    it('should space out requests to the same host only', async () => {
+      let clock = 1000;
+      const sleep = vi.fn(async (ms) => {
+        clock += ms;
+      });
+      const waitForDomain = createDomainRateLimiter(500, { now: () => clock, sleep });
+
+      await waitForDomain('https://example.com/a');
+      await waitForDomain('https://other.com/a');
+      await waitForDomain('https://example.com/b');
+      await waitForDomain('https://example.com/c');
+
+      expect(sleep.mock.calls).toEqual([[500], [500]]);
+    });
+
+    it('should not wait without an interval', async () => {
+      const sleep = vi.fn();
+      const waitForDomain = createDomainRateLimiter(0, { sleep });
+
+      await waitForDomain('https://example.com/a');
+      await waitForDomain('https://example.com/b');
+
+      expect(sleep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkLinks with domainInterval', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      vi.useRealTimers();
+    });
+
+    it('should keep checking other hosts while one host is rate limited', async () => {
+      const started = [];
+      global.fetch = vi.fn().mockImplementation(async (url) => {
+        started.push([url, Date.now()]);
+        return { ok: true, status: 200, headers: new Map() };
+      });
+
+      const bookmarks = [
+        { id: 'bm-1', url: 'https://slow.com/1' },
+        { id: 'bm-2', url: 'https://slow.com/2' },
+        { id: 'bm-3', url: 'https://fast.com/1' },
+      ];
+
+      const checking = checkLinks(bookmarks, { concurrency: 2, domainInterval: 1000 });
+      await vi.advanceTimersByTimeAsync(1000);
+      const results = await checking;
+
+      const startedAt = Object.fromEntries(started);
+      expect(results.map((r) => r.bookmarkId)).toEqual(['bm-1', 'bm-2', 'bm-3']);
+      expect(startedAt['https://slow.com/2'] - startedAt['https://slow.com/1']).toBe(1000);
+      expect(startedAt['https://fast.com/1']).toBeLessThan(startedAt['https://slow.com/2']);
+    });
+  });
 });
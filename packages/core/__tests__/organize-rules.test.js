@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Tests for rule-based auto-organization
+ * Tests rule validation, condition matching, actions and the dry-run preview
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseRulePattern,
+  resolveRuleFolder,
+  normalizeRule,
+  validateRules,
+  matchesRule,
+  applyRulesToBookmark,
+  planRuleChanges,
+  previewRules,
+} from '../src/organize-rules.js';
+
+const githubRule = {
+  id: 'github',
+  name: 'GitHub',
+  conditions: [{ field: 'domain', operator: 'is', value: 'github.com' }],
+  actions: [
+    { type: 'tag', value: 'code' },
+    { type: 'move', value: 'Dev/GitHub' },
+  ],
+};
+
+const invoiceRule = {
+  id: 'invoices',
+  name: 'Invoices',
+  conditions: [{ field: 'title', operator: 'matches', value: '/invoice/i' }],
+  actions: [{ type: 'move', value: 'Finance' }],
+};
+
+const library = () => ({
+  toolbar: {
+    id: 'toolbar',
+    title: 'toolbar',
+    children: [
+      {
+        id: 'reading',
+        type: 'folder',
+        title: 'Reading',
+        children: [
+          {
+            id: 'b1',
+            type: 'bookmark',
+            title: 'Vitest',
+            url: 'https://github.com/vitest-dev/vitest',
+          },
+          { id: 'b2', type: 'bookmark', title: 'Recipes', url: 'https://example.com/recipes' },
+        ],
+      },
+    ],
+  },
+  menu: { id: 'menu', title: 'menu', children: [] },
+  other: {
+    id: 'other',
+    title: 'other',
+    children: [
+      { id: 'b3', type: 'bookmark', title: 'March Invoice', url: 'https://billing.example.com/3' },
+    ],
+  },
+});
+
+describe('organize-rules', () => {
+  describe('parseRulePattern', () => {
+    it('should read regex literals with their flags', () => {
+      const pattern = parseRulePattern('/^invoice/i');
+      expect(pattern.test('Invoice 12')).toBe(true);
+      expect(pattern.test('My invoice')).toBe(false);
+    });
+
+    it('should ignore case in plain patterns', () => {
+      expect(parseRulePattern('invoice').test('INVOICE')).toBe(true);
+    });
+
+    it('should return null for invalid patterns', () => {
+      expect(parseRulePattern('/(/')).toBeNull();
+    });
+  });
+
+  describe('resolveRuleFolder', () => {
+    it('should place relative folders under the bookmark root', () => {
+      expect(resolveRuleFolder('Dev/GitHub', 'toolbar/Reading')).toBe('toolbar/Dev/GitHub');
+      expect(resolveRuleFolder('/Finance/', 'other')).toBe('other/Finance');
+    });
+
+    it('should keep folders that name a root', () => {
+      expect(resolveRuleFolder('Other Bookmarks/Finance', 'toolbar/Reading')).toBe('other/Finance');
+      expect(resolveRuleFolder('menu/News', 'toolbar')).toBe('menu/News');
+    });
+  });
+
+  describe('normalizeRule', () => {
+    it('should fill in defaults', () => {
+      expect(normalizeRule({ conditions: [{ field: 'url', value: 'x' }], actions: [] }, 2)).toEqual(
+        {
+          id: 'rule-3',
+          name: 'Rule 3',
+          enabled: true,
+          match: 'all',
+          conditions: [{ field: 'url', operator: 'contains', value: 'x', negate: false }],
+          actions: [],
+          stop: false,
+        }
+      );
+    });
+  });
+
+  describe('validateRules', () => {
+    it('should accept valid rules', () => {
+      expect(validateRules([githubRule, invoiceRule])).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject rules that are not an array', () => {
+      expect(validateRules({}).valid).toBe(false);
+    });
+
+    it('should report unknown fields, operators, actions and bad patterns', () => {
+      const { valid, errors } = validateRules([
+        {
+          conditions: [
+            { field: 'color', operator: 'is', value: 'red' },
+            { field: 'title', operator: 'near', value: 'x' },
+            { field: 'title', operator: 'matches', value: '/(/' },
+          ],
+          actions: [{ type: 'delete' }, { type: 'move', value: ' ' }],
+        },
+      ]);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        'rules[0].conditions[0] has an unknown field',
+        'rules[0].conditions[1] has an unknown operator',
+        'rules[0].conditions[2] is not a valid pattern',
+        'rules[0].actions[0] has an unknown type',
+        'rules[0].actions[1].value is required',
+      ]);
+    });
+
+    it('should require conditions and actions', () => {
+      expect(validateRules([{ conditions: [], actions: [] }]).errors).toEqual([
+        'rules[0] needs at least one condition',
+        'rules[0] needs at least one action',
+      ]);
+    });
+  });
+
+  describe('matchesRule', () => {
+    const bookmark = {
+      url: 'https://gist.github.com/someone/1',
+      title: 'Shell snippets',
+      folderPath: 'Bookmarks Bar/Reading',
+      tags: [{ id: 't1', name: 'Shell' }],
+    };
+
+    const rule = (conditions, extra = {}) => ({ conditions, actions: [], ...extra });
+
+    it('should match a domain and its subdomains', () => {
+      expect(matchesRule(bookmark, githubRule)).toBe(true);
+      expect(
+        matchesRule(
+          { ...bookmark, url: 'https://notgithub.com/' },
+          rule([{ field: 'domain', operator: 'is', value: 'github.com' }])
+        )
+      ).toBe(false);
+    });
+
+    it('should compare folders with or without their root', () => {
+      expect(
+        matchesRule(bookmark, rule([{ field: 'folder', operator: 'is', value: 'Reading' }]))
+      ).toBe(true);
+      expect(
+        matchesRule(bookmark, rule([{ field: 'folder', operator: 'is', value: 'toolbar/reading' }]))
+      ).toBe(true);
+    });
+
+    it('should match when any tag does', () => {
+      expect(matchesRule(bookmark, rule([{ field: 'tags', operator: 'is', value: 'shell' }]))).toBe(
+        true
+      );
+    });
+
+    it('should negate conditions', () => {
+      expect(matchesRule(bookmark, rule([{ field: 'url', value: 'gist', negate: true }]))).toBe(
+        false
+      );
+    });
+
+    it('should need every condition, or any with match any', () => {
+      const conditions = [
+        { field: 'title', operator: 'startsWith', value: 'shell' },
+        { field: 'url', operator: 'endsWith', value: '.pdf' },
+      ];
+      expect(matchesRule(bookmark, rule(conditions))).toBe(false);
+      expect(matchesRule(bookmark, rule(conditions, { match: 'any' }))).toBe(true);
+    });
+
+    it('should skip disabled rules', () => {
+      expect(matchesRule(bookmark, { ...githubRule, enabled: false })).toBe(false);
+    });
+  });
+
+  describe('applyRulesToBookmark', () => {
+    const bookmark = {
+      url: 'https://github.com/vitest-dev/vitest',
+      title: 'Vitest',
+      folderPath: 'Bookmarks Bar/Reading',
+      tags: [],
+    };
+
+    it('should tag and move a matching bookmark', () => {
+      expect(applyRulesToBookmark(bookmark, [githubRule, invoiceRule])).toEqual({
+        bookmark: {
+          ...bookmark,
+          folderPath: 'toolbar/Dev/GitHub',
+          tags: ['code'],
+        },
+        changed: true,
+        archive: false,
+        ruleIds: ['github'],
+      });
+    });
+
+    it('should let later rules see what earlier rules did', () => {
+      const codeRule = {
+        id: 'code',
+        conditions: [{ field: 'tags', operator: 'is', value: 'code' }],
+        actions: [
+          { type: 'rename', value: '{title} ({domain})' },
+          { type: 'archive' },
+          { type: 'untag', value: 'CODE' },
+        ],
+      };
+
+      const result = applyRulesToBookmark(bookmark, [githubRule, codeRule]);
+
+      expect(result.bookmark.title).toBe('Vitest (github.com)');
+      expect(result.bookmark.tags).toEqual([]);
+      expect(result.archive).toBe(true);
+      expect(result.ruleIds).toEqual(['github', 'code']);
+    });
+
+    it('should stop at a rule that says so', () => {
+      const result = applyRulesToBookmark(bookmark, [{ ...githubRule, stop: true }, invoiceRule]);
+      expect(result.ruleIds).toEqual(['github']);
+    });
+
+    it('should report no change when no rule matches', () => {
+      expect(applyRulesToBookmark(bookmark, [invoiceRule]).changed).toBe(false);
+    });
+  });
+
+  describe('planRuleChanges', () => {
+    it('should plan moves and modifications as sync changes', () => {
+      const renameRule = {
+        id: 'recipes',
+        conditions: [{ field: 'title', operator: 'is', value: 'recipes' }],
+        actions: [{ type: 'rename', value: 'Cooking' }, { type: 'archive' }],
+      };
+
+      const { changes, archive } = planRuleChanges(library(), [
+        githubRule,
+        invoiceRule,
+        renameRule,
+      ]);
+
+      expect(changes).toEqual([
+        expect.objectContaining({
+          type: 'moved',
+          path: 'toolbar/Reading/Vitest',
+          newPath: 'toolbar/Dev/GitHub/Vitest',
+          after: expect.objectContaining({ id: 'b1', tags: ['code'] }),
+          ruleIds: ['github'],
+        }),
+        expect.objectContaining({
+          type: 'modified',
+          path: 'toolbar/Reading/Recipes',
+          after: expect.objectContaining({ id: 'b2', title: 'Cooking' }),
+          ruleIds: ['recipes'],
+        }),
+        expect.objectContaining({
+          type: 'moved',
+          path: 'other/March Invoice',
+          newPath: 'other/Finance/March Invoice',
+          ruleIds: ['invoices'],
+        }),
+      ]);
+      expect(archive.map((item) => item.id)).toEqual(['b2']);
+    });
+
+    it('should plan nothing without enabled rules', () => {
+      expect(planRuleChanges(library(), [{ ...githubRule, enabled: false }])).toEqual({
+        changes: [],
+        archive: [],
+      });
+    });
+  });
+
+  describe('previewRules', () => {
+    it('should preview the library after the changes without touching it', () => {
+      const bookmarks = library();
+
+      const preview = previewRules(bookmarks, [githubRule, invoiceRule]);
+
+      expect(preview.summary).toEqual({ added: 0, modified: 0, deleted: 0, moved: 2, total: 2 });
+      expect(preview.newFolders).toEqual(['toolbar/Dev', 'toolbar/Dev/GitHub', 'other/Finance']);
+      expect(preview.result.toolbar.children[0].children.map((item) => item.id)).toEqual(['b2']);
+      expect(preview.result.toolbar.children[1].children[0].children[0]).toMatchObject({
+        id: 'b1',
+        tags: ['code'],
+      });
+      expect(bookmarks).toEqual(library());
+    });
+  });
+});
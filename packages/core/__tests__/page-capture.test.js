@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Tests for readable page snapshots
+ * Uses Vitest for testing
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  MAX_SNAPSHOT_CONTENT_LENGTH,
+  sanitizeHtml,
+  snapshotText,
+  capturePage,
+  fetchPage,
+} from '../src/page-capture.js';
+
+const BASE_URL = 'https://example.com/blog/post';
+
+const sanitize = (html, options) => sanitizeHtml(html, BASE_URL, options).html;
+
+describe('Page Capture', () => {
+  describe('sanitizeHtml', () => {
+    it('should keep allowed tags and drop their other attributes', () => {
+      expect(
+        sanitize('<p class="lead" style="color:red" onclick="steal()">Hi <em>there</em></p>')
+      ).toBe('<p>Hi <em>there</em></p>');
+    });
+
+    it('should remove unknown tags but keep their text', () => {
+      expect(sanitize('<div><span>Some</span> <custom-tag>text</custom-tag></div>')).toBe(
+        'Some text'
+      );
+    });
+
+    it('should drop scripts, styles, embeds and page chrome with their contents', () => {
+      const html = `
+        <nav>Home | About</nav>
+        <script>alert("</p>")</script>
+        <style>p { color: red }</style>
+        <iframe src="https://ads.example.com"></iframe>
+        <p>Body</p>
+        <form><input name="q"><button>Search</button></form>
+        <footer>© Example</footer>`;
+
+      expect(sanitize(html).trim()).toBe('<p>Body</p>');
+    });
+
+    it('should drop comments and doctypes', () => {
+      expect(sanitize('<!DOCTYPE html><!-- <p>hidden</p> --><p>shown</p>')).toBe('<p>shown</p>');
+    });
+
+    it('should resolve relative links and images against the page', () => {
+      expect(sanitize('<a href="../about">About</a><img src="/img/a.png" alt="A">')).toBe(
+        '<a href="https://example.com/about" rel="noopener noreferrer">About</a>' +
+          '<img src="https://example.com/img/a.png" alt="A">'
+      );
+    });
+
+    it('should use data-src for lazy-loaded images', () => {
+      expect(sanitize('<img src="data:image/gif;base64,R0lGOD" data-src="/real.jpg">')).toBe(
+        '<img src="https://example.com/real.jpg">'
+      );
+    });
+
+    it('should drop script URLs', () => {
+      expect(sanitize('<a href="javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(sanitize('<a href="java&#x09;script:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(sanitize('<img src="javascript:alert(1)">')).toBe('');
+    });
+
+    it('should escape text and attribute values', () => {
+      expect(sanitize('<p title="x">1 &lt; 2 &amp;&amp; 3 > 2</p>')).toBe(
+        '<p>1 &lt; 2 &amp;&amp; 3 &gt; 2</p>'
+      );
+      expect(sanitize('<abbr title="&quot;><script>alert(1)</script>">a</abbr>')).toBe(
+        '<abbr title="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">a</abbr>'
+      );
+    });
+
+    it('should not let broken markup through as tags', () => {
+      expect(sanitize('<p>a <<script>script>alert(1)<</script>/script></p>')).not.toMatch(
+        /<script/i
+      );
+      expect(sanitize('<img src=x onerror=alert(1)//')).not.toMatch(/<img/);
+    });
+
+    it('should close unclosed tags and ignore stray closing tags', () => {
+      expect(sanitize('<ul><li>One<li>Two</ul></div><p>End')).toBe(
+        '<ul><li>One<li>Two</li></li></ul><p>End</p>'
+      );
+    });
+
+    it('should stop at the length limit', () => {
+      const result = sanitizeHtml(`<p>${'word '.repeat(100)}</p><p>more</p>`, BASE_URL, {
+        maxLength: 50,
+      });
+
+      expect(result.truncated).toBe(true);
+      expect(result.html.startsWith('<p>word word')).toBe(true);
+      expect(result.html.endsWith('</p>')).toBe(true);
+      expect(result.html).not.toContain('more');
+    });
+  });
+
+  describe('snapshotText', () => {
+    it('should return the text of snapshot HTML', () => {
+      expect(snapshotText('<h1>Title</h1><p>First &amp; <em>second</em>.</p><p>Third</p>')).toBe(
+        'Title First & second. Third'
+      );
+    });
+  });
+
+  describe('capturePage', () => {
+    const page = `<!DOCTYPE html>
+      <html>
+        <head>
+          <title>Post title | Example Blog</title>
+          <meta property="og:title" content="Post title">
+          <meta property="og:site_name" content="Example Blog">
+          <meta name="description" content="What the post is about">
+          <meta property="og:image" content="/images/cover.jpg">
+          <meta name="author" content="Ada Lovelace">
+          <link rel="canonical" href="https://example.com/post">
+        </head>
+        <body>
+          <header><h1>Example Blog</h1></header>
+          <div class="sidebar">Popular posts</div>
+          <article>
+            <h1>Post title</h1>
+            <p>The <strong>first</strong> paragraph.</p>
+            <img src="/images/inline.png" alt="Chart">
+            <p>The second paragraph.</p>
+          </article>
+          <footer>Copyright</footer>
+        </body>
+      </html>`;
+
+    it('should capture the article and the page metadata', () => {
+      const snapshot = capturePage(page, BASE_URL, { capturedAt: '2024-01-01T00:00:00.000Z' });
+
+      expect(snapshot).toMatchObject({
+        url: BASE_URL,
+        canonicalUrl: 'https://example.com/post',
+        title: 'Post title',
+        byline: 'Ada Lovelace',
+        siteName: 'Example Blog',
+        description: 'What the post is about',
+        imageUrl: 'https://example.com/images/cover.jpg',
+        excerpt: 'What the post is about',
+        textContent: 'Post title The first paragraph. The second paragraph.',
+        wordCount: 8,
+        truncated: false,
+        capturedAt: '2024-01-01T00:00:00.000Z',
+      });
+      expect(snapshot.content).toContain('<p>The <strong>first</strong> paragraph.</p>');
+      expect(snapshot.content).not.toContain('Popular posts');
+      expect(snapshot.content).not.toContain('Copyright');
+    });
+
+    it('should fall back to the page body, first image and text', () => {
+      const snapshot = capturePage(
+        `<html><head><title>Plain page</title></head><body>
+          <p>${'Lorem ipsum dolor sit amet. '.repeat(20)}</p>
+          <img src="photo.jpg">
+        </body></html>`,
+        BASE_URL
+      );
+
+      expect(snapshot.title).toBe('Plain page');
+      expect(snapshot.siteName).toBe('example.com');
+      expect(snapshot.byline).toBeNull();
+      expect(snapshot.imageUrl).toBe('https://example.com/blog/photo.jpg');
+      expect(snapshot.excerpt).toMatch(/^Lorem ipsum dolor sit amet\..*…$/);
+      expect(snapshot.excerpt.length).toBeLessThanOrEqual(201);
+    });
+
+    it('should not take a profile URL for the author', () => {
+      const snapshot = capturePage(
+        '<meta property="article:author" content="https://example.com/authors/ada"><p>Hi</p>',
+        BASE_URL
+      );
+
+      expect(snapshot.byline).toBeNull();
+    });
+
+    it('should cut very long articles', () => {
+      const snapshot = capturePage(`<article><p>${'x'.repeat(200 * 1024)}</p></article>`, BASE_URL);
+
+      expect(snapshot.truncated).toBe(true);
+      expect(snapshot.content.length).toBeLessThanOrEqual(MAX_SNAPSHOT_CONTENT_LENGTH + 10);
+    });
+  });
+
+  describe('fetchPage', () => {
+    let originalFetch;
+
+    const page = (body, headers = {}) => ({
+      ok: true,
+      status: 200,
+      headers: new Headers({ 'content-type': 'text/html; charset=utf-8', ...headers }),
+      text: async () => body,
+    });
+    const redirect = (location) => ({
+      ok: false,
+      status: 301,
+      headers: new Headers({ location }),
+    });
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should follow redirects and report where the page was loaded from', async () => {
+      global.fetch = vi
+        .fn()
+        .mockResolvedValueOnce(redirect('/new-home'))
+        .mockResolvedValueOnce(page('<p>Hello</p>'));
+
+      const result = await fetchPage('https://example.com/old');
+
+      expect(result).toEqual({ html: '<p>Hello</p>', url: 'https://example.com/new-home' });
+      expect(global.fetch.mock.calls[0][1].redirect).toBe('manual');
+    });
+
+    it('should check every address against isAllowedUrl', async () => {
+      global.fetch = vi.fn().mockResolvedValueOnce(redirect('http://127.0.0.1/admin'));
+      const isAllowedUrl = (url) => !url.includes('127.0.0.1');
+
+      await expect(fetchPage('https://example.com/', { isAllowedUrl })).rejects.toThrow(
+        'Page address is not allowed'
+      );
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should load every hop with the fetch option when given', async () => {
+      global.fetch = vi.fn();
+      const load = vi
+        .fn()
+        .mockResolvedValueOnce(redirect('/new-home'))
+        .mockResolvedValueOnce(page('<p>Hello</p>'));
+
+      const result = await fetchPage('https://example.com/old', { fetch: load });
+
+      expect(result.url).toBe('https://example.com/new-home');
+      expect(load).toHaveBeenCalledTimes(2);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should only read HTML pages', async () => {
+      global.fetch = vi.fn().mockResolvedValue(page('%PDF', { 'content-type': 'application/pdf' }));
+
+      await expect(fetchPage('https://example.com/file.pdf')).rejects.toThrow('Page is not HTML');
+    });
+
+    it('should fail for error responses and redirect loops', async () => {
+      global.fetch = vi
+        .fn()
+        .mockResolvedValueOnce({ ok: false, status: 404, headers: new Headers() });
+      await expect(fetchPage('https://example.com/gone')).rejects.toThrow('Page returned 404');
+
+      global.fetch = vi.fn().mockResolvedValue(redirect('/loop'));
+      await expect(fetchPage('https://example.com/loop')).rejects.toThrow('Too many redirects');
+    });
+
+    it('should read at most maxBytes of the page', async () => {
+      global.fetch = vi.fn().mockResolvedValue(page('x'.repeat(100)));
+
+      const { html } = await fetchPage('https://example.com/', { maxBytes: 10 });
+
+      expect(html).toBe('x'.repeat(10));
+    });
+  });
+});
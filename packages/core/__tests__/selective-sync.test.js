@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Tests for the selective sync module
+ * Tests sync profile validation, folder matching and the per-device view of flat lists
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeSyncPattern,
+  normalizeSyncProfile,
+  isSyncProfileActive,
+  validateSyncProfile,
+  createSyncFilter,
+  getSyncView,
+  mergeSyncView,
+  partitionBySyncProfile,
+} from '../src/selective-sync.js';
+
+const bookmark = (url, folderPath = 'Bookmarks Bar', index = 0) => ({
+  type: 'bookmark',
+  url,
+  title: url,
+  folderPath,
+  index,
+});
+
+const folder = (title, folderPath = 'Bookmarks Bar', index = 0) => ({
+  type: 'folder',
+  title,
+  folderPath,
+  index,
+});
+
+describe('selective-sync', () => {
+  describe('normalizeSyncPattern', () => {
+    it('should map browser root names and drop surrounding slashes', () => {
+      expect(normalizeSyncPattern('Bookmarks Bar/Work/')).toBe('toolbar/Work');
+      expect(normalizeSyncPattern('/Work//Clients/')).toBe('Work/Clients');
+      expect(normalizeSyncPattern('  Other Bookmarks ')).toBe('other');
+      expect(normalizeSyncPattern('/')).toBe('');
+    });
+  });
+
+  describe('normalizeSyncProfile', () => {
+    it('should drop empty and repeated patterns', () => {
+      expect(normalizeSyncProfile({ include: ['Work', 'Work/', ''], exclude: [' '] })).toEqual({
+        include: ['Work'],
+        exclude: [],
+      });
+    });
+
+    it('should treat a missing profile as syncing everything', () => {
+      expect(normalizeSyncProfile(null)).toEqual({ include: [], exclude: [] });
+      expect(isSyncProfileActive(null)).toBe(false);
+      expect(isSyncProfileActive({ exclude: ['Work'] })).toBe(true);
+    });
+  });
+
+  describe('validateSyncProfile', () => {
+    it('should accept null and well-formed profiles', () => {
+      expect(validateSyncProfile(null).valid).toBe(true);
+      expect(validateSyncProfile({ include: ['toolbar/**'], exclude: ['Work'] }).valid).toBe(true);
+    });
+
+    it('should reject malformed profiles', () => {
+      expect(validateSyncProfile([]).valid).toBe(false);
+      expect(validateSyncProfile({ include: 'Work' }).errors).toEqual([
+        'include must be an array of folder paths',
+      ]);
+      expect(validateSyncProfile({ exclude: [42, '/'] }).errors).toEqual([
+        'exclude[0] must be a string',
+        'exclude[1] does not name a folder',
+      ]);
+      expect(validateSyncProfile({ exclude: Array(51).fill('Work') }).valid).toBe(false);
+    });
+  });
+
+  describe('createSyncFilter', () => {
+    it('should sync everything without rules', () => {
+      const filter = createSyncFilter(null);
+      expect(filter.active).toBe(false);
+      expect(filter.isItemSynced(bookmark('https://a.com', 'Bookmarks Bar/Work'))).toBe(true);
+    });
+
+    it('should exclude a folder and everything inside it under any root', () => {
+      const filter = createSyncFilter({ exclude: ['Work/'] });
+
+      expect(filter.isItemSynced(folder('Work'))).toBe(false);
+      expect(filter.isItemSynced(bookmark('https://a.com', 'Bookmarks Bar/Work'))).toBe(false);
+      expect(filter.isItemSynced(bookmark('https://a.com', 'Other Bookmarks/Work/Deep'))).toBe(
+        false
+      );
+      expect(filter.isItemSynced(bookmark('https://a.com', 'Bookmarks Bar/Home/Work'))).toBe(true);
+      expect(filter.isItemSynced(folder('Workshop'))).toBe(true);
+      expect(filter.isItemSynced(bookmark('https://a.com'))).toBe(true);
+    });
+
+    it('should anchor patterns that start with a root folder', () => {
+      const filter = createSyncFilter({ exclude: ['Bookmarks Bar/Work'] });
+
+      expect(filter.isItemSynced(bookmark('https://a.com', 'Bookmarks Toolbar/Work'))).toBe(false);
+      expect(filter.isItemSynced(bookmark('https://a.com', 'Other Bookmarks/Work'))).toBe(true);
+    });
+
+    it('should match globs case-insensitively', () => {
+      const filter = createSyncFilter({ exclude: ['**/archive*', 'Client ?'] });
+
+      expect(filter.isFolderContentSynced('Bookmarks Bar/Old/Archive 2020')).toBe(false);
+      expect(filter.isFolderContentSynced('Bookmarks Bar/Archive')).toBe(false);
+      expect(filter.isFolderContentSynced('Bookmarks Bar/Client A/Docs')).toBe(false);
+      expect(filter.isFolderContentSynced('Bookmarks Bar/Client AB')).toBe(true);
+    });
+
+    it('should keep the folders leading to an included folder but not their bookmarks', () => {
+      const filter = createSyncFilter({ include: ['toolbar/Personal/Reading'] });
+
+      expect(filter.isItemSynced(folder('Personal'))).toBe(true);
+      expect(filter.isItemSynced(folder('Reading', 'Bookmarks Bar/Personal'))).toBe(true);
+      expect(filter.isItemSynced(bookmark('https://a.com', 'Bookmarks Bar/Personal'))).toBe(false);
+      expect(filter.isItemSynced(bookmark('https://a.com', 'Bookmarks Bar/Personal/Reading'))).toBe(
+        true
+      );
+      expect(filter.isItemSynced(folder('Games', 'Bookmarks Bar/Personal'))).toBe(false);
+      expect(filter.isItemSynced(bookmark('https://a.com'))).toBe(false);
+    });
+
+    it('should let exclude win over include', () => {
+      const filter = createSyncFilter({ include: ['toolbar'], exclude: ['toolbar/Work'] });
+
+      expect(filter.isItemSynced(bookmark('https://a.com'))).toBe(true);
+      expect(filter.isItemSynced(folder('Work'))).toBe(false);
+      expect(filter.isItemSynced(bookmark('https://a.com', 'Other Bookmarks'))).toBe(false);
+    });
+  });
+
+  describe('getSyncView', () => {
+    it('should return the list itself without rules', () => {
+      const items = [bookmark('https://a.com')];
+      expect(getSyncView(items, createSyncFilter(null))).toBe(items);
+    });
+
+    it('should drop unsynced items and renumber the synced ones per folder', () => {
+      const filter = createSyncFilter({ exclude: ['Work'] });
+      const view = getSyncView(
+        [
+          bookmark('https://a.com', 'Bookmarks Bar', 0),
+          folder('Work', 'Bookmarks Bar', 1),
+          bookmark('https://w.com', 'Bookmarks Bar/Work', 0),
+          bookmark('https://b.com', 'Bookmarks Bar', 2),
+        ],
+        filter
+      );
+
+      expect(view.map((item) => [item.url ?? item.title, item.index])).toEqual([
+        ['https://a.com', 0],
+        ['https://b.com', 1],
+      ]);
+    });
+  });
+
+  describe('mergeSyncView', () => {
+    const filter = createSyncFilter({ exclude: ['Work'] });
+    const cloud = [
+      bookmark('https://a.com', 'Bookmarks Bar', 0),
+      folder('Work', 'Bookmarks Bar', 1),
+      bookmark('https://w.com', 'Bookmarks Bar/Work', 0),
+      bookmark('https://b.com', 'Bookmarks Bar', 2),
+    ];
+
+    it('should keep unsynced cloud items in place', () => {
+      const merged = mergeSyncView(getSyncView(cloud, filter), cloud, filter);
+      expect(merged).toHaveLength(cloud.length);
+      expect(merged).toEqual(expect.arrayContaining(cloud));
+    });
+
+    it('should fill the synced places in view order and append new items', () => {
+      const view = [
+        bookmark('https://b.com', 'Bookmarks Bar', 0),
+        bookmark('https://a.com', 'Bookmarks Bar', 1),
+        bookmark('https://c.com', 'Bookmarks Bar', 2),
+      ];
+      const merged = mergeSyncView(view, cloud, filter);
+
+      expect(
+        merged
+          .filter((item) => item.folderPath === 'Bookmarks Bar')
+          .sort((a, b) => a.index - b.index)
+          .map((item) => item.url ?? item.title)
+      ).toEqual(['https://b.com', 'Work', 'https://a.com', 'https://c.com']);
+      expect(merged).toContainEqual(bookmark('https://w.com', 'Bookmarks Bar/Work', 0));
+    });
+
+    it('should drop synced cloud items the view no longer has', () => {
+      const merged = mergeSyncView([], cloud, filter);
+      expect(merged.map((item) => item.url ?? item.title)).toEqual(['Work', 'https://w.com']);
+      expect(merged[0].index).toBe(0);
+    });
+  });
+
+  describe('partitionBySyncProfile', () => {
+    it('should split items into synced and excluded', () => {
+      const { synced, excluded } = partitionBySyncProfile(
+        [bookmark('https://a.com'), bookmark('https://w.com', 'Bookmarks Bar/Work')],
+        { exclude: ['Work'] }
+      );
+      expect(synced.map((b) => b.url)).toEqual(['https://a.com']);
+      expect(excluded.map((b) => b.url)).toEqual(['https://w.com']);
+    });
+  });
+});
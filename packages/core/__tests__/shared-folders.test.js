@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Tests for the shared folders module
+ * Tests team role permissions, member diffs and merging edits with attribution
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  canEditSharedFolders,
+  canManageTeam,
+  isTeamRole,
+  diffSharedFolder,
+  validateSharedFolderOperations,
+  applySharedFolderOperations,
+} from '../src/shared-folders.js';
+
+const bookmark = (url, folderPath = '', index = 0, extra = {}) => ({
+  type: 'bookmark',
+  url,
+  title: url,
+  folderPath,
+  index,
+  ...extra,
+});
+
+describe('shared-folders', () => {
+  describe('roles', () => {
+    it('should let owners and editors edit and only owners manage', () => {
+      expect(canEditSharedFolders('owner')).toBe(true);
+      expect(canEditSharedFolders('editor')).toBe(true);
+      expect(canEditSharedFolders('viewer')).toBe(false);
+      expect(canEditSharedFolders(null)).toBe(false);
+      expect(canManageTeam('owner')).toBe(true);
+      expect(canManageTeam('editor')).toBe(false);
+    });
+
+    it('should recognize team roles', () => {
+      expect(isTeamRole('viewer')).toBe(true);
+      expect(isTeamRole('admin')).toBe(false);
+    });
+  });
+
+  describe('diffSharedFolder', () => {
+    it('should send only the fields a member can set', () => {
+      const base = [bookmark('https://a.com', '', 0, { addedBy: 'user-1' })];
+      const local = [
+        { ...base[0], title: 'A', id: 'browser-id', dateAdded: 1 },
+        bookmark('https://b.com', 'Docs', 0),
+      ];
+
+      expect(diffSharedFolder(base, local)).toEqual([
+        {
+          op: 'update',
+          key: 'https://a.com',
+          item: { type: 'bookmark', url: 'https://a.com', title: 'A', folderPath: '', index: 0 },
+        },
+        { op: 'add', key: 'https://b.com', item: bookmark('https://b.com', 'Docs', 0) },
+      ]);
+    });
+  });
+
+  describe('validateSharedFolderOperations', () => {
+    it('should reject malformed operations', () => {
+      expect(validateSharedFolderOperations('nope').valid).toBe(false);
+      expect(
+        validateSharedFolderOperations([
+          { op: 'delete', key: 'https://a.com' },
+          { op: 'add', key: 'https://b.com' },
+          { op: 'add', key: 'https://c.com', item: { url: 'https://c.com', folderPath: 3 } },
+        ]).errors
+      ).toEqual([
+        'operations[1] is not a valid operation',
+        'operations[2].item.folderPath must be a string',
+      ]);
+    });
+  });
+
+  describe('applySharedFolderOperations', () => {
+    const at = '2024-05-01T00:00:00.000Z';
+
+    it('should record who added and who last changed an item', () => {
+      const items = [
+        bookmark('https://a.com', '', 0, {
+          addedBy: 'owner-1',
+          addedAt: '2024-01-01T00:00:00.000Z',
+          updatedBy: 'owner-1',
+          updatedAt: '2024-01-01T00:00:00.000Z',
+        }),
+      ];
+
+      const result = applySharedFolderOperations(
+        items,
+        [
+          {
+            op: 'update',
+            key: 'https://a.com',
+            item: { ...bookmark('https://a.com'), title: 'A' },
+          },
+          { op: 'add', key: 'https://b.com', item: bookmark('https://b.com', '', 1) },
+        ],
+        { userId: 'editor-1', at }
+      );
+
+      expect(result).toEqual([
+        {
+          ...bookmark('https://a.com'),
+          title: 'A',
+          addedBy: 'owner-1',
+          addedAt: '2024-01-01T00:00:00.000Z',
+          updatedBy: 'editor-1',
+          updatedAt: at,
+        },
+        {
+          ...bookmark('https://b.com', '', 1),
+          addedBy: 'editor-1',
+          addedAt: at,
+          updatedBy: 'editor-1',
+          updatedAt: at,
+        },
+      ]);
+    });
+
+    it('should ignore attribution sent by the member', () => {
+      const [item] = applySharedFolderOperations(
+        [],
+        [
+          {
+            op: 'add',
+            key: 'https://a.com',
+            item: bookmark('https://a.com', '', 0, { addedBy: 'someone-else' }),
+          },
+        ],
+        { userId: 'editor-1', at }
+      );
+
+      expect(item.addedBy).toBe('editor-1');
+    });
+
+    it('should merge edits from two members made against the same copy', () => {
+      const base = [bookmark('https://a.com', '', 0), bookmark('https://b.com', '', 1)];
+
+      const afterFirst = applySharedFolderOperations(
+        base,
+        diffSharedFolder(base, [...base, bookmark('https://c.com', '', 2)]),
+        { userId: 'member-1', at }
+      );
+      const afterSecond = applySharedFolderOperations(
+        afterFirst,
+        diffSharedFolder(base, [bookmark('https://a.com', '', 0)]),
+        { userId: 'member-2', at }
+      );
+
+      expect(afterSecond.map((item) => item.url)).toEqual(['https://a.com', 'https://c.com']);
+    });
+  });
+});
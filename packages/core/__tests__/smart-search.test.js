@@ -12,6 +12,12 @@ import {
   filterByDomain,
   filterByDateRange,
   applyFilters,
+  filterByFolderPath,
+  parseDateValue,
+  parseQuery,
+  compileSearchQuery,
+  searchAndFilter,
+  getOperatorSuggestions,
 } from '../src/smart-search.js';
 
 // Sample bookmark data for testing
@@ -315,4 +321,156 @@ describe('Smart Search Engine', () => {
       expect(results.length).toBe(sampleBookmarks.length);
     });
   });
+
+  describe('filterByFolderPath', () => {
+    const bookmarks = [
+      { id: '1', parentPath: 'Bookmarks Bar/Work/Reading' },
+      { id: '2', parentPath: 'Bookmarks Bar/Work/Reading/Later' },
+      { id: '3', parentPath: 'Bookmarks Bar/Work/Reading list' },
+    ];
+
+    it('should match the folder anywhere in the path, and its subfolders', () => {
+      expect(filterByFolderPath(bookmarks, 'work/reading').map((b) => b.id)).toEqual(['1', '2']);
+      expect(filterByFolderPath(bookmarks, 'Later/').map((b) => b.id)).toEqual(['2']);
+    });
+  });
+
+  describe('parseDateValue', () => {
+    it('should give the first and last day of a year, month or day', () => {
+      expect(parseDateValue('2024')).toEqual({
+        first: new Date(2024, 0, 1),
+        last: new Date(2024, 11, 31),
+      });
+      expect(parseDateValue('2024-02')).toEqual({
+        first: new Date(2024, 1, 1),
+        last: new Date(2024, 1, 29),
+      });
+      expect(parseDateValue('2024-02-10').last).toEqual(new Date(2024, 1, 10));
+    });
+
+    it('should reject invalid dates', () => {
+      expect(parseDateValue('2024-13')).toBeNull();
+      expect(parseDateValue('2023-02-30')).toBeNull();
+      expect(parseDateValue('yesterday')).toBeNull();
+    });
+  });
+
+  describe('parseQuery', () => {
+    it('should split words, phrases and operators', () => {
+      expect(
+        parseQuery('react -tag:old folder:"Work/Reading" "exact phrase" https://a.com')
+      ).toEqual([
+        { type: 'word', value: 'react', negated: false, raw: 'react' },
+        { type: 'operator', name: 'tag', value: 'old', negated: true, raw: '-tag:old' },
+        {
+          type: 'operator',
+          name: 'folder',
+          value: 'Work/Reading',
+          negated: false,
+          raw: 'folder:"Work/Reading"',
+        },
+        { type: 'phrase', value: 'exact phrase', negated: false, raw: '"exact phrase"' },
+        { type: 'word', value: 'https://a.com', negated: false, raw: 'https://a.com' },
+      ]);
+    });
+  });
+
+  describe('compileSearchQuery', () => {
+    it('should compile operators into filters and leave the rest for Fuse', () => {
+      const compiled = compileSearchQuery(
+        'tag:dev domain:github.com folder:"Work/Reading" before:2024-01 is:broken -tag:archived "exact phrase" hooks'
+      );
+
+      expect(compiled).toEqual({
+        text: 'hooks',
+        filters: {
+          tag: 'dev',
+          domain: 'github.com',
+          folderPath: 'Work/Reading',
+          endDate: new Date(2023, 11, 31),
+          status: 'broken',
+          exclude: { tag: 'archived' },
+        },
+        phrases: ['exact phrase'],
+        excludedPhrases: [],
+        errors: [],
+      });
+    });
+
+    it('should combine repeated operators and report invalid ones', () => {
+      const compiled = compileSearchQuery(
+        'tag:a tag:b after:2024-06 after:2023 is:untagged is:lost before:soon -after:2020'
+      );
+
+      expect(compiled.filters).toEqual({
+        tag: ['a', 'b'],
+        startDate: new Date(2024, 6, 1),
+        tagged: false,
+      });
+      expect(compiled.errors).toEqual(['is:lost', 'before:soon', '-after:2020']);
+    });
+  });
+
+  describe('searchAndFilter', () => {
+    it('should search with the operators in the query', () => {
+      const results = searchAndFilter(sampleBookmarks, 'tag:backend -domain:python.org guide');
+
+      expect(results.map((r) => r.item.id)).toEqual(['3']);
+    });
+
+    it('should filter by phrases and excluded words without free text', () => {
+      const results = searchAndFilter(sampleBookmarks, '"official" -python');
+
+      expect(results).toEqual([{ item: sampleBookmarks[0], score: 0 }]);
+    });
+
+    it('should filter by link status and tags', () => {
+      const bookmarks = sampleBookmarks.map((b) => ({
+        ...b,
+        linkStatus: b.id === '6' || b.id === '5' ? 'broken' : 'valid',
+      }));
+
+      expect(searchAndFilter(bookmarks, 'is:broken is:tagged').map((r) => r.item.id)).toEqual([
+        '5',
+      ]);
+      expect(searchAndFilter(bookmarks, '-is:broken').map((r) => r.item.id)).toEqual([
+        '1',
+        '2',
+        '3',
+        '4',
+      ]);
+    });
+  });
+
+  describe('getOperatorSuggestions', () => {
+    const values = {
+      tags: [{ id: 't1', name: 'javascript' }, { id: 't2', name: 'java' }, { name: 'read later' }],
+      domains: ['github.com', 'gist.github.com'],
+    };
+
+    it('should complete operator names', () => {
+      expect(getOperatorSuggestions('react -ta', values)).toEqual([
+        { label: '-tag:', description: expect.any(String), query: 'react -tag:' },
+      ]);
+    });
+
+    it('should complete operator values, prefix matches first', () => {
+      expect(getOperatorSuggestions('tag:java', values).map((s) => s.query)).toEqual([
+        'tag:javascript ',
+      ]);
+      expect(getOperatorSuggestions('domain:git', values).map((s) => s.label)).toEqual([
+        'domain:github.com',
+        'domain:gist.github.com',
+      ]);
+      expect(getOperatorSuggestions('x tag:re', values).map((s) => s.query)).toEqual([
+        'x tag:"read later" ',
+      ]);
+    });
+
+    it('should not suggest after a finished token', () => {
+      expect(getOperatorSuggestions('tag:dev ', values)).toEqual([]);
+      expect(getOperatorSuggestions('folder:"Work"', values)).toEqual([]);
+      expect(getOperatorSuggestions('', values)).toEqual([]);
+    });
+  });
 });
@@ -355,6 +355,105 @@ describe('SyncEngine', () => {
     });
   });
 
+  describe('three-way merge with stored ancestor', () => {
+    const rootsWith = (toolbarChildren) => ({
+      toolbar: { id: 'toolbar_root', title: 'Bookmarks Toolbar', children: toolbarChildren },
+      menu: { id: 'menu_root', title: 'Bookmarks Menu', children: [] },
+      other: { id: 'other_root', title: 'Other Bookmarks', children: [] },
+    });
+
+    it('should accept baseSnapshot from lastSyncState', () => {
+      const baseSnapshot = rootsWith([]);
+      const engine = new SyncEngine({
+        source: mockSource,
+        deviceId: 'test-device',
+        lastSyncState: { checksum: 'abc123', baseSnapshot },
+      });
+      expect(engine.baseSnapshot).toBe(baseSnapshot);
+    });
+
+    it('should keep edits from both devices to the same folder', async () => {
+      const folder = (children) => ({
+        id: 'folder-1',
+        type: 'folder',
+        title: 'Shared',
+        children,
+      });
+      const a = createBookmark({ id: 'a', title: 'A' });
+      const b = createBookmark({ id: 'b', title: 'B' });
+
+      const base = rootsWith([folder([a, b])]);
+      const local = rootsWith([folder([{ ...a, title: 'A edited locally' }, b])]);
+      const remote = rootsWith([folder([a, { ...b, title: 'B edited remotely' }])]);
+      mockSource.setData(createBookmarkFile(remote));
+
+      const engine = new SyncEngine({
+        source: mockSource,
+        deviceId: 'test-device',
+        baseSnapshot: base,
+      });
+      const { result, mergedBookmarks } = await engine.sync(local);
+
+      expect(result.status).toBe(SYNC_STATUS.SUCCESS);
+      expect(result.conflicts).toEqual([]);
+      expect(result.pushed).toBe(1);
+      expect(result.pulled).toBe(1);
+      expect(mergedBookmarks.toolbar.children[0].children.map((c) => c.title)).toEqual([
+        'A edited locally',
+        'B edited remotely',
+      ]);
+      expect(mockSource.write).toHaveBeenCalled();
+      expect(engine.baseSnapshot).toEqual(mergedBookmarks);
+    });
+
+    it('should report field conflicts when both devices change the same field', async () => {
+      const a = createBookmark({ id: 'a', title: 'A' });
+      const base = rootsWith([a]);
+      const local = rootsWith([{ ...a, title: 'Local' }]);
+      const remote = rootsWith([{ ...a, title: 'Remote' }]);
+      mockSource.setData(createBookmarkFile(remote));
+
+      const engine = new SyncEngine({
+        source: mockSource,
+        deviceId: 'test-device',
+        baseSnapshot: base,
+      });
+      const { result } = await engine.sync(local, { defaultConflictResolution: 'local' });
+
+      expect(result.status).toBe(SYNC_STATUS.CONFLICT);
+      expect(result.conflicts).toHaveLength(1);
+      expect(result.conflicts[0]).toMatchObject({
+        id: 'a',
+        field: 'title',
+        resolvedValue: 'Local',
+      });
+    });
+
+    it('should not update the ancestor in dry run mode', async () => {
+      const a = createBookmark({ id: 'a', title: 'A' });
+      const base = rootsWith([a]);
+      mockSource.setData(createBookmarkFile(rootsWith([a])));
+
+      const engine = new SyncEngine({
+        source: mockSource,
+        deviceId: 'test-device',
+        baseSnapshot: base,
+      });
+      await engine.sync(rootsWith([{ ...a, title: 'Changed' }]), { dryRun: true, force: true });
+
+      expect(engine.baseSnapshot).toBe(base);
+      expect(mockSource.write).not.toHaveBeenCalled();
+    });
+
+    it('should store the pushed state as ancestor after initial sync', async () => {
+      const local = rootsWith([createBookmark({ id: 'a' })]);
+
+      await syncEngine.sync(local);
+
+      expect(syncEngine.baseSnapshot).toEqual(local);
+    });
+  });
+
   describe('createBookmarkFile', () => {
     it('should create a valid bookmark file with metadata', () => {
       const bookmarks = {
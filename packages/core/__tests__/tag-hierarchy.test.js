@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Tests for nested tags, aliases and renames
+ * Tests name validation, parent matching, rename replay, alias resolution and the tag tree
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTagPath,
+  validateTagName,
+  validateTagAliases,
+  getTagAncestors,
+  isTagWithin,
+  renameTagPath,
+  applyTagRenames,
+  resolveTagAliases,
+  buildTagTree,
+} from '../src/tag-hierarchy.js';
+import { renameRuleTags } from '../src/organize-rules.js';
+import { filterByTag } from '../src/smart-search.js';
+
+describe('normalizeTagPath', () => {
+  it('should lowercase the name and trim every level', () => {
+    expect(normalizeTagPath(' Dev / JS//React ')).toBe('dev/js/react');
+    expect(normalizeTagPath('Machine   Learning')).toBe('machine learning');
+    expect(normalizeTagPath('/')).toBe('');
+    expect(normalizeTagPath(undefined)).toBe('');
+  });
+});
+
+describe('validateTagName', () => {
+  it('should accept nested names', () => {
+    expect(validateTagName('dev/js/react')).toBeNull();
+  });
+
+  it('should reject missing and empty names', () => {
+    expect(validateTagName(undefined)).toBe('Tag name is required');
+    expect(validateTagName(' / ')).toBe('Tag name cannot be empty');
+  });
+
+  it('should limit each level, the whole name and the depth', () => {
+    expect(validateTagName('a'.repeat(51))).toBe('Tag name must be 50 characters or less');
+    expect(validateTagName(`dev/${'a'.repeat(51)}`)).toBe(
+      'Each level of a tag name must be 50 characters or less'
+    );
+    expect(validateTagName(['a'.repeat(50), 'b'.repeat(50), 'c'].join('/'))).toBe(
+      'Nested tag names must be 100 characters or less'
+    );
+    expect(validateTagName('a/b/c/d/e/f')).toBe('Tags can be nested at most 5 levels deep');
+  });
+});
+
+describe('validateTagAliases', () => {
+  it('should normalize aliases and drop duplicates and the tag name itself', () => {
+    expect(validateTagAliases(['JS', 'js ', 'ecmascript', 'JavaScript'], 'javascript')).toEqual({
+      valid: true,
+      aliases: ['js', 'ecmascript'],
+      errors: [],
+    });
+  });
+
+  it('should report invalid aliases by position', () => {
+    const result = validateTagAliases(['ok', '', 42]);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'aliases[1]: Tag name cannot be empty',
+      'aliases[2]: Tag name is required',
+    ]);
+  });
+
+  it('should reject anything but an array', () => {
+    expect(validateTagAliases('js').valid).toBe(false);
+  });
+});
+
+describe('getTagAncestors', () => {
+  it('should list the parents outermost first', () => {
+    expect(getTagAncestors('dev/js/react')).toEqual(['dev', 'dev/js']);
+    expect(getTagAncestors('dev')).toEqual([]);
+  });
+});
+
+describe('isTagWithin', () => {
+  it('should match the tag itself and tags nested under it', () => {
+    expect(isTagWithin('dev/js/react', 'dev')).toBe(true);
+    expect(isTagWithin({ name: 'Dev/JS' }, 'dev/js')).toBe(true);
+    expect(isTagWithin('devops', 'dev')).toBe(false);
+    expect(isTagWithin('dev', 'dev/js')).toBe(false);
+    expect(isTagWithin('dev', '')).toBe(false);
+  });
+});
+
+describe('renameTagPath', () => {
+  it('should move nested tags along with their parent', () => {
+    expect(renameTagPath('js', { from: 'js', to: 'javascript' })).toBe('javascript');
+    expect(renameTagPath('dev/js/react', { from: 'dev/js', to: 'web/javascript' })).toBe(
+      'web/javascript/react'
+    );
+  });
+
+  it('should leave other tags exactly as they were', () => {
+    expect(renameTagPath('JSON', { from: 'js', to: 'javascript' })).toBe('JSON');
+  });
+});
+
+describe('applyTagRenames', () => {
+  it('should replay renames in order and merge tags that end up the same', () => {
+    const { tagsByUrl, changed } = applyTagRenames(
+      {
+        'https://react.dev/': ['js/react', 'docs'],
+        'https://nodejs.org/': ['js', 'javascript'],
+        'https://example.com/': ['misc'],
+      },
+      [
+        { from: 'js', to: 'javascript' },
+        { from: 'docs', to: 'reference' },
+      ]
+    );
+
+    expect(tagsByUrl).toEqual({
+      'https://react.dev/': ['javascript/react', 'reference'],
+      'https://nodejs.org/': ['javascript'],
+      'https://example.com/': ['misc'],
+    });
+    expect(changed).toBe(2);
+  });
+});
+
+describe('resolveTagAliases', () => {
+  const tags = [
+    { name: 'javascript', aliases: ['js', 'ecmascript'] },
+    { name: 'react', aliases: ['js/react'] },
+  ];
+
+  it('should replace aliases with the tags they stand for', () => {
+    expect(resolveTagAliases(['JS', 'css'], tags)).toEqual(['javascript', 'css']);
+  });
+
+  it('should resolve aliased parents and prefer the longest alias', () => {
+    expect(resolveTagAliases(['js/vue', 'js/react/hooks'], tags)).toEqual([
+      'javascript/vue',
+      'react/hooks',
+    ]);
+  });
+
+  it('should accept tag objects and drop duplicates', () => {
+    expect(resolveTagAliases([{ name: 'ecmascript' }, 'javascript'], tags)).toEqual(['javascript']);
+  });
+});
+
+describe('buildTagTree', () => {
+  it('should nest tags and add parents that only exist through children', () => {
+    const react = { id: 't1', name: 'dev/js/react' };
+    const dev = { id: 't2', name: 'dev' };
+    const tree = buildTagTree([react, { id: 't3', name: 'reading' }, dev]);
+
+    expect(tree.map((node) => node.path)).toEqual(['dev', 'reading']);
+    expect(tree[0].tag).toBe(dev);
+    expect(tree[0].children).toEqual([
+      {
+        name: 'js',
+        path: 'dev/js',
+        tag: null,
+        children: [{ name: 'react', path: 'dev/js/react', tag: react, children: [] }],
+      },
+    ]);
+  });
+});
+
+describe('renameRuleTags', () => {
+  const rules = [
+    {
+      id: 'r1',
+      conditions: [
+        { field: 'tags', operator: 'is', value: 'js' },
+        { field: 'tags', operator: 'matches', value: 'js.*' },
+      ],
+      actions: [
+        { type: 'tag', value: 'js/frameworks' },
+        { type: 'move', value: 'js' },
+      ],
+    },
+  ];
+
+  it('should rename tags in conditions and tag actions', () => {
+    const { rules: renamed, changed } = renameRuleTags(rules, [{ from: 'js', to: 'javascript' }]);
+
+    expect(changed).toBe(true);
+    expect(renamed[0].conditions).toEqual([
+      { field: 'tags', operator: 'is', value: 'javascript' },
+      { field: 'tags', operator: 'matches', value: 'js.*' },
+    ]);
+    expect(renamed[0].actions).toEqual([
+      { type: 'tag', value: 'javascript/frameworks' },
+      { type: 'move', value: 'js' },
+    ]);
+  });
+
+  it('should return the same rules when nothing was renamed', () => {
+    const result = renameRuleTags(rules, [{ from: 'css', to: 'styles' }]);
+
+    expect(result).toEqual({ rules, changed: false });
+    expect(result.rules).toBe(rules);
+  });
+});
+
+describe('filterByTag with nested tags', () => {
+  it('should match bookmarks tagged with a tag nested under the filter', () => {
+    const bookmarks = [
+      { id: '1', tags: [{ id: 't1', name: 'dev/js/react' }] },
+      { id: '2', tags: [{ id: 't2', name: 'devops' }] },
+      { id: '3', tags: [{ id: 't3', name: 'dev' }] },
+    ];
+
+    expect(filterByTag(bookmarks, 'dev').map((b) => b.id)).toEqual(['1', '3']);
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Tests for tag suggestions
+ * Tests word extraction, page keywords, the learned tag model and bulk suggestions
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTagName,
+  tagKey,
+  extractBookmarkWords,
+  readTagMetadata,
+  buildTagModel,
+  suggestTags,
+  suggestTagsForUntagged,
+} from '../src/tag-suggestions.js';
+
+const tagged = [
+  {
+    id: '1',
+    url: 'https://github.com/facebook/react',
+    title: 'facebook/react: The library for web and native user interfaces',
+    tags: ['javascript', 'react'],
+  },
+  {
+    id: '2',
+    url: 'https://github.com/vitest-dev/vitest',
+    title: 'Vitest: Next generation testing framework',
+    tags: [{ id: 't1', name: 'javascript' }, { name: 'testing' }],
+  },
+  {
+    id: '3',
+    url: 'https://www.seriouseats.com/recipes/pasta-carbonara',
+    title: 'Pasta Carbonara Recipe',
+    tags: ['Recipes'],
+  },
+];
+
+const names = (suggestions) => suggestions.map((suggestion) => suggestion.name);
+
+describe('normalizeTagName', () => {
+  it('should lowercase, strip accents and join words with dashes', () => {
+    expect(normalizeTagName('  Machine  Learning ')).toBe('machine-learning');
+    expect(normalizeTagName('Café_Crème!')).toBe('cafe-creme');
+    expect(normalizeTagName('C++')).toBe('c++');
+    expect(normalizeTagName('node.js')).toBe('node.js');
+  });
+});
+
+describe('tagKey', () => {
+  it('should treat singular and plural spellings as one tag', () => {
+    expect(tagKey('Recipes')).toBe(tagKey('recipe'));
+    expect(tagKey('css')).toBe('css');
+    expect(tagKey('status')).toBe('status');
+    expect(tagKey('analysis')).toBe('analysis');
+  });
+});
+
+describe('extractBookmarkWords', () => {
+  it('should split the domain, path and title into words', () => {
+    expect(
+      extractBookmarkWords({
+        url: 'https://docs.python.org/3/library/asyncio-task.html?highlight=x#top',
+        title: 'Coroutines and Tasks — Python 3.12 documentation',
+      })
+    ).toEqual({
+      domain: ['docs', 'python'],
+      path: ['library', 'asyncio', 'task'],
+      title: ['coroutines', 'tasks', 'python', 'documentation'],
+    });
+  });
+
+  it('should drop country second-level labels and generic subdomains', () => {
+    expect(extractBookmarkWords({ url: 'https://www.bbc.co.uk/news' }).domain).toEqual(['bbc']);
+    expect(extractBookmarkWords({ url: 'https://m.example-shop.com/' }).domain).toEqual([
+      'example',
+      'shop',
+    ]);
+  });
+
+  it('should only read the title of URLs that are not web pages', () => {
+    expect(extractBookmarkWords({ url: 'javascript:void(0)', title: 'Bookmarklet' })).toEqual({
+      domain: [],
+      path: [],
+      title: ['bookmarklet'],
+    });
+  });
+});
+
+describe('readTagMetadata', () => {
+  it('should read keyword lists and article tags', () => {
+    expect(
+      readTagMetadata([
+        ['keywords', 'React, Hooks; state management'],
+        ['article:tag', 'Frontend'],
+        ['article:tag', 'frontend'],
+        ['og:site_name', 'Blog'],
+        ['description', 'Not keywords, really'],
+      ])
+    ).toEqual(['react', 'hooks', 'state-management', 'frontend']);
+  });
+
+  it('should accept meta tags as an object', () => {
+    expect(
+      readTagMetadata({ news_keywords: 'elections', 'article:tag': ['Politics', 'US'] })
+    ).toEqual(['elections', 'politics', 'us']);
+  });
+
+  it('should skip long phrases, URLs and numbers', () => {
+    expect(
+      readTagMetadata({
+        keywords: 'how to cook the best pasta, https://example.com, 2024, pasta',
+      })
+    ).toEqual(['pasta']);
+  });
+});
+
+describe('buildTagModel', () => {
+  it('should count tags, tags used together, and the words they went with', () => {
+    const model = buildTagModel(tagged, [{ name: 'Unused' }]);
+
+    expect(model.tags.get('javascript')).toBe('javascript');
+    expect(model.tags.get('recipe')).toBe('Recipes');
+    expect(model.tags.get('unused')).toBe('Unused');
+    expect(model.tagCounts.get('javascript')).toBe(2);
+    expect(model.pairs.get('javascript').get('testing')).toBe(1);
+    expect(model.featureCounts.get('site:github.com')).toBe(2);
+    expect(model.featureTags.get('site:github.com').get('javascript')).toBe(2);
+  });
+});
+
+describe('suggestTags', () => {
+  const model = buildTagModel(tagged);
+
+  it('should suggest tags the user gave other bookmarks from the same site', () => {
+    const suggestions = suggestTags(
+      { url: 'https://github.com/sveltejs/svelte', title: 'sveltejs/svelte' },
+      model
+    );
+
+    expect(suggestions[0]).toEqual({
+      name: 'javascript',
+      score: 0.53,
+      reasons: ['history'],
+      isNew: false,
+    });
+  });
+
+  it('should prefer the user spelling of a tag named in the URL', () => {
+    const suggestions = suggestTags(
+      { url: 'https://www.bbcgoodfood.com/recipes/lasagne', title: 'Easy lasagne' },
+      model
+    );
+
+    expect(suggestions[0]).toMatchObject({
+      name: 'Recipes',
+      isNew: false,
+      reasons: ['path', 'history'],
+    });
+  });
+
+  it('should suggest keywords the page declares, as new tags', () => {
+    const suggestions = suggestTags(
+      { url: 'http://localhost:8080/a/1', title: 'Untitled' },
+      model,
+      { meta: [['keywords', 'Rust, WebAssembly']] }
+    );
+
+    expect(suggestions).toEqual([
+      { name: 'rust', score: 0.7, reasons: ['metadata'], isNew: true },
+      { name: 'webassembly', score: 0.7, reasons: ['metadata'], isNew: true },
+    ]);
+  });
+
+  it('should add up evidence from several places', () => {
+    const [top] = suggestTags(
+      {
+        url: 'https://github.com/testing-library/react-testing-library',
+        title: 'React Testing Library',
+      },
+      model
+    );
+
+    expect(top.name).toBe('react');
+    expect(top.reasons).toEqual(['path', 'title', 'history']);
+    expect(top.score).toBe(0.9);
+  });
+
+  it('should suggest tags that usually go with the chosen ones', () => {
+    const suggestions = suggestTags({ url: 'http://localhost/', title: '' }, model, {
+      selectedTags: ['react'],
+    });
+
+    expect(suggestions).toEqual([]);
+    expect(
+      suggestTags({ url: 'http://localhost/', title: '' }, model, {
+        selectedTags: ['react'],
+        minScore: 0.2,
+      })
+    ).toEqual([{ name: 'javascript', score: 0.25, reasons: ['related'], isNew: false }]);
+  });
+
+  it('should not suggest tags the bookmark already has', () => {
+    const suggestions = suggestTags(
+      { url: 'https://github.com/x/y', title: 'y', tags: [{ name: 'JavaScript' }] },
+      model
+    );
+
+    expect(names(suggestions)).not.toContain('javascript');
+  });
+
+  it('should leave out new tags when asked to', () => {
+    const suggestions = suggestTags(
+      { url: 'https://example.com/', title: 'Kubernetes operators' },
+      model,
+      { meta: { keywords: 'kubernetes' }, newTags: false }
+    );
+
+    expect(suggestions).toEqual([]);
+  });
+
+  it('should work without a model', () => {
+    expect(
+      names(suggestTags({ url: 'https://www.seriouseats.com/', title: 'Serious Eats' }))
+    ).toEqual(['seriouseats']);
+  });
+
+  it('should respect the limit', () => {
+    const suggestions = suggestTags({ url: 'http://localhost/', title: '' }, model, {
+      meta: { keywords: 'alpha, beta, gamma, delta, epsilon, zeta, eta' },
+      limit: 3,
+    });
+
+    expect(suggestions).toHaveLength(3);
+  });
+});
+
+describe('suggestTagsForUntagged', () => {
+  it('should suggest tags for the bookmarks without any', () => {
+    const results = suggestTagsForUntagged(
+      [
+        ...tagged,
+        { id: '4', url: 'https://github.com/nodejs/node', title: 'nodejs/node', tags: [] },
+        { id: '5', url: 'https://example.com/', title: 'Example Domain' },
+        { id: '6', title: 'Folder' },
+      ],
+      { newTags: false }
+    );
+
+    expect(results).toEqual([
+      {
+        id: '4',
+        url: 'https://github.com/nodejs/node',
+        title: 'nodejs/node',
+        suggestions: [{ name: 'javascript', score: 0.53, reasons: ['history'], isNew: false }],
+      },
+    ]);
+  });
+});
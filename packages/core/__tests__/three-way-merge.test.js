@@ -0,0 +1,439 @@
+/**
+ * @fileoverview Tests for the three-way merge module
+ * Tests field-level merging of title, URL, parent and position against a common ancestor
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  indexBookmarkTree,
+  findStableItems,
+  threeWayMerge,
+  countTreeDifferences,
+  mergeFlatItems,
+} from '../src/three-way-merge.js';
+import { CONFLICT_RESOLUTION, MERGE_FIELD } from '@marksyncr/types';
+
+// Helper to create a bookmark
+const bookmark = (id, overrides = {}) => ({
+  id,
+  type: 'bookmark',
+  title: `Title ${id}`,
+  url: `https://example.com/${id}`,
+  dateAdded: '2024-01-01T00:00:00.000Z',
+  ...overrides,
+});
+
+// Helper to create a folder
+const folder = (id, children = [], overrides = {}) => ({
+  id,
+  type: 'folder',
+  title: `Folder ${id}`,
+  dateAdded: '2024-01-01T00:00:00.000Z',
+  children,
+  ...overrides,
+});
+
+// Helper to create bookmark data with toolbar children
+const tree = (toolbar = [], other = []) => ({
+  toolbar: { id: 'toolbar_root', title: 'Bookmarks Toolbar', children: toolbar },
+  menu: { id: 'menu_root', title: 'Bookmarks Menu', children: [] },
+  other: { id: 'other_root', title: 'Other Bookmarks', children: other },
+});
+
+const ids = (items) => items.map((item) => item.id);
+
+describe('three-way-merge', () => {
+  describe('indexBookmarkTree', () => {
+    it('should record parent and sibling order for every item', () => {
+      const index = indexBookmarkTree(
+        tree([bookmark('a'), folder('f', [bookmark('b'), bookmark('c')])])
+      );
+
+      expect(index.entries.get('a').parentId).toBe('toolbar');
+      expect(index.entries.get('b').parentId).toBe('f');
+      expect(index.entries.get('c').path).toBe('toolbar/Folder f/Title c');
+      expect(index.children.get('toolbar')).toEqual(['a', 'f']);
+      expect(index.children.get('f')).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('findStableItems', () => {
+    it('should only mark the moved item as unstable', () => {
+      const stable = findStableItems(['a', 'b', 'c', 'd'], ['d', 'a', 'b', 'c']);
+      expect([...stable].sort()).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should keep everything stable when order is unchanged', () => {
+      const stable = findStableItems(['a', 'b', 'c'], ['a', 'b', 'c']);
+      expect(stable.size).toBe(3);
+    });
+  });
+
+  describe('threeWayMerge', () => {
+    it('should keep edits to different fields from both sides without conflicts', () => {
+      const base = tree([bookmark('a')]);
+      const local = tree([bookmark('a', { title: 'Local title' })]);
+      const remote = tree([bookmark('a', { url: 'https://remote.example.com' })]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.toolbar.children[0]).toMatchObject({
+        title: 'Local title',
+        url: 'https://remote.example.com',
+      });
+    });
+
+    it('should keep edits to different items of the same folder from both sides', () => {
+      const base = tree([folder('f', [bookmark('a'), bookmark('b')])]);
+      const local = tree([folder('f', [bookmark('a', { title: 'A2' }), bookmark('b')])]);
+      const remote = tree([folder('f', [bookmark('a'), bookmark('b', { title: 'B2' })])]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      const children = merged.toolbar.children[0].children;
+      expect(children.map((c) => c.title)).toEqual(['A2', 'B2']);
+    });
+
+    it('should report a conflict only when both sides change the same field', () => {
+      const base = tree([bookmark('a')]);
+      const local = tree([
+        bookmark('a', { title: 'Local', dateModified: '2024-02-01T00:00:00.000Z' }),
+      ]);
+      const remote = tree([
+        bookmark('a', { title: 'Remote', dateModified: '2024-03-01T00:00:00.000Z' }),
+      ]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({
+        id: 'a',
+        field: MERGE_FIELD.TITLE,
+        base: 'Title a',
+        local: 'Local',
+        remote: 'Remote',
+        resolution: CONFLICT_RESOLUTION.REMOTE,
+        resolvedValue: 'Remote',
+      });
+      expect(merged.toolbar.children[0].title).toBe('Remote');
+    });
+
+    it('should not report a conflict when both sides make the same change', () => {
+      const base = tree([bookmark('a')]);
+      const local = tree([bookmark('a', { title: 'Same' })]);
+      const remote = tree([bookmark('a', { title: 'Same' })]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.toolbar.children[0].title).toBe('Same');
+    });
+
+    it('should honor the local and remote strategies', () => {
+      const base = tree([bookmark('a')]);
+      const local = tree([bookmark('a', { title: 'Local' })]);
+      const remote = tree([bookmark('a', { title: 'Remote' })]);
+
+      const localWins = threeWayMerge(base, local, remote, { strategy: 'local' });
+      const remoteWins = threeWayMerge(base, local, remote, { strategy: 'remote' });
+
+      expect(localWins.merged.toolbar.children[0].title).toBe('Local');
+      expect(remoteWins.merged.toolbar.children[0].title).toBe('Remote');
+    });
+
+    it('should keep additions from both sides', () => {
+      const base = tree([bookmark('a')]);
+      const local = tree([bookmark('a'), bookmark('l')]);
+      const remote = tree([bookmark('r'), bookmark('a')]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      expect(ids(merged.toolbar.children)).toEqual(['r', 'a', 'l']);
+    });
+
+    it('should apply a deletion made on one side', () => {
+      const base = tree([bookmark('a'), bookmark('b')]);
+      const local = tree([bookmark('a')]);
+      const remote = tree([bookmark('a'), bookmark('b')]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      expect(ids(merged.toolbar.children)).toEqual(['a']);
+    });
+
+    it('should keep an item deleted on one side but edited on the other', () => {
+      const base = tree([bookmark('a')]);
+      const local = tree([]);
+      const remote = tree([bookmark('a', { title: 'Edited remotely' })]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote);
+
+      expect(merged.toolbar.children[0].title).toBe('Edited remotely');
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({
+        id: 'a',
+        field: MERGE_FIELD.DELETED,
+        local: true,
+        remote: false,
+        resolution: CONFLICT_RESOLUTION.REMOTE,
+      });
+    });
+
+    it('should apply a move to another folder from one side and a rename from the other', () => {
+      const base = tree([folder('f'), bookmark('a')]);
+      const local = tree([folder('f', [bookmark('a')])]);
+      const remote = tree([folder('f'), bookmark('a', { title: 'Renamed' })]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      expect(ids(merged.toolbar.children)).toEqual(['f']);
+      expect(merged.toolbar.children[0].children[0]).toMatchObject({
+        id: 'a',
+        title: 'Renamed',
+      });
+    });
+
+    it('should report a parent conflict when both sides move an item to different folders', () => {
+      const base = tree([folder('x'), folder('y'), bookmark('a')]);
+      const local = tree([folder('x', [bookmark('a')]), folder('y')]);
+      const remote = tree([folder('x'), folder('y', [bookmark('a')])]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote, { strategy: 'local' });
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({
+        field: MERGE_FIELD.PARENT,
+        base: 'toolbar',
+        local: 'x',
+        remote: 'y',
+      });
+      expect(ids(merged.toolbar.children[0].children)).toEqual(['a']);
+      expect(merged.toolbar.children[1].children).toEqual([]);
+    });
+
+    it('should merge reorders made on both sides', () => {
+      const base = tree([bookmark('a'), bookmark('b'), bookmark('c'), bookmark('d')]);
+      // Local moves d to the front, remote moves a to the end
+      const local = tree([bookmark('d'), bookmark('a'), bookmark('b'), bookmark('c')]);
+      const remote = tree([bookmark('b'), bookmark('c'), bookmark('d'), bookmark('a')]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      expect(ids(merged.toolbar.children)).toEqual(['d', 'b', 'c', 'a']);
+    });
+
+    it('should report a position conflict when both sides move the same item differently', () => {
+      const base = tree([bookmark('a'), bookmark('b'), bookmark('c')]);
+      const local = tree([bookmark('c'), bookmark('a'), bookmark('b')]);
+      const remote = tree([bookmark('a'), bookmark('c'), bookmark('b')]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote, { strategy: 'local' });
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({ id: 'c', field: MERGE_FIELD.POSITION });
+      expect(ids(merged.toolbar.children)).toEqual(['c', 'a', 'b']);
+    });
+
+    it('should bring back a folder deleted on one side when the other side added to it', () => {
+      const base = tree([folder('f', [bookmark('a')])]);
+      const local = tree([]);
+      const remote = tree([folder('f', [bookmark('a'), bookmark('new')])]);
+
+      const { merged, conflicts } = threeWayMerge(base, local, remote);
+
+      expect(ids(merged.toolbar.children)).toEqual(['f']);
+      expect(ids(merged.toolbar.children[0].children)).toEqual(['new']);
+      expect(conflicts.some((c) => c.id === 'f' && c.field === MERGE_FIELD.DELETED)).toBe(true);
+    });
+
+    it('should not create a cycle when both sides nest two folders into each other', () => {
+      const base = tree([folder('x'), folder('y')]);
+      const local = tree([folder('y', [folder('x')])]);
+      const remote = tree([folder('x', [folder('y')])]);
+
+      const { merged } = threeWayMerge(base, local, remote, { strategy: 'local' });
+
+      const index = indexBookmarkTree(merged);
+      expect(index.entries.has('x')).toBe(true);
+      expect(index.entries.has('y')).toBe(true);
+    });
+
+    it('should merge untracked properties such as tags from the side that changed them', () => {
+      const base = tree([bookmark('a', { tags: ['one'] })]);
+      const local = tree([bookmark('a', { tags: ['one'], title: 'Local' })]);
+      const remote = tree([bookmark('a', { tags: ['one', 'two'] })]);
+
+      const { merged } = threeWayMerge(base, local, remote);
+
+      expect(merged.toolbar.children[0].tags).toEqual(['one', 'two']);
+      expect(merged.toolbar.children[0].title).toBe('Local');
+    });
+
+    it('should renumber index properties to match the merged order', () => {
+      const base = tree([bookmark('a', { index: 0 }), bookmark('b', { index: 1 })]);
+      const local = tree([bookmark('b', { index: 0 }), bookmark('a', { index: 1 })]);
+
+      const { merged } = threeWayMerge(base, local, base);
+
+      expect(merged.toolbar.children.map((c) => [c.id, c.index])).toEqual([
+        ['b', 0],
+        ['a', 1],
+      ]);
+    });
+  });
+
+  describe('mergeFlatItems', () => {
+    // Helpers to create flat items as the extension lists them
+    const flatBookmark = (url, folderPath, index, overrides = {}) => ({
+      type: 'bookmark',
+      url,
+      title: `Title ${url}`,
+      folderPath,
+      index,
+      ...overrides,
+    });
+    const flatFolder = (title, folderPath, index) => ({ type: 'folder', title, folderPath, index });
+
+    it('should keep edits to different items from both sides', () => {
+      const base = [
+        flatBookmark('https://a.com', 'Bookmarks Bar', 0),
+        flatBookmark('https://b.com', 'Bookmarks Bar', 1),
+      ];
+      const local = [
+        flatBookmark('https://a.com', 'Bookmarks Bar', 0, { title: 'Local A' }),
+        flatBookmark('https://b.com', 'Bookmarks Bar', 1),
+      ];
+      const remote = [
+        flatBookmark('https://a.com', 'Bookmarks Toolbar', 0),
+        flatBookmark('https://b.com', 'Bookmarks Toolbar', 1, { title: 'Remote B' }),
+        flatBookmark('https://c.com', 'Bookmarks Toolbar', 2),
+      ];
+
+      const { merged, conflicts } = mergeFlatItems(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      // Items keep the local name of the root folder
+      expect(merged).toEqual([
+        flatBookmark('https://a.com', 'Bookmarks Bar', 0, { title: 'Local A' }),
+        flatBookmark('https://b.com', 'Bookmarks Bar', 1, { title: 'Remote B' }),
+        flatBookmark('https://c.com', 'Bookmarks Bar', 2),
+      ]);
+    });
+
+    it('should apply deletions made on one side', () => {
+      const base = [
+        flatBookmark('https://a.com', 'Other Bookmarks', 0),
+        flatBookmark('https://b.com', 'Other Bookmarks', 1),
+      ];
+      const local = [flatBookmark('https://b.com', 'Other Bookmarks', 0)];
+      const remote = base;
+
+      const { merged } = mergeFlatItems(base, local, remote);
+
+      expect(merged.map((item) => item.url)).toEqual(['https://b.com']);
+    });
+
+    it('should report conflicts under the item key, with folder paths for moves', () => {
+      const base = [
+        flatFolder('Work', 'Bookmarks Bar', 0),
+        flatFolder('Home', 'Bookmarks Bar', 1),
+        flatBookmark('https://a.com', 'Bookmarks Bar', 2),
+      ];
+      const local = [
+        flatFolder('Work', 'Bookmarks Bar', 0),
+        flatFolder('Home', 'Bookmarks Bar', 1),
+        flatBookmark('https://a.com', 'Bookmarks Bar/Work', 0, { title: 'Local A' }),
+      ];
+      const remote = [
+        flatFolder('Work', 'Bookmarks Bar', 0),
+        flatFolder('Home', 'Bookmarks Bar', 1),
+        flatBookmark('https://a.com', 'Bookmarks Bar/Home', 0, { title: 'Remote A' }),
+      ];
+
+      const { merged, conflicts } = mergeFlatItems(base, local, remote, {
+        strategy: CONFLICT_RESOLUTION.REMOTE,
+      });
+
+      expect(conflicts).toEqual([
+        expect.objectContaining({
+          id: 'https://a.com',
+          field: MERGE_FIELD.TITLE,
+          base: 'Title https://a.com',
+          local: 'Local A',
+          remote: 'Remote A',
+          resolvedValue: 'Remote A',
+        }),
+        expect.objectContaining({
+          id: 'https://a.com',
+          field: MERGE_FIELD.PARENT,
+          base: 'Bookmarks Bar',
+          local: 'Bookmarks Bar/Work',
+          remote: 'Bookmarks Bar/Home',
+          resolvedValue: 'Bookmarks Bar/Home',
+        }),
+      ]);
+      expect(merged.find((item) => item.url === 'https://a.com')).toMatchObject({
+        title: 'Remote A',
+        folderPath: 'Bookmarks Bar/Home',
+      });
+    });
+
+    it('should keep an item edited on one side and deleted on the other', () => {
+      const base = [flatBookmark('https://a.com', 'Bookmarks Bar', 0)];
+      const local = [flatBookmark('https://a.com', 'Bookmarks Bar', 0, { title: 'Local A' })];
+      const remote = [];
+
+      const { merged, conflicts } = mergeFlatItems(base, local, remote, {
+        strategy: CONFLICT_RESOLUTION.REMOTE,
+      });
+
+      expect(merged).toEqual([
+        flatBookmark('https://a.com', 'Bookmarks Bar', 0, { title: 'Local A' }),
+      ]);
+      expect(conflicts).toEqual([
+        expect.objectContaining({
+          id: 'https://a.com',
+          field: MERGE_FIELD.DELETED,
+          local: false,
+          remote: true,
+          resolvedValue: false,
+        }),
+      ]);
+    });
+
+    it('should place items in folders the lists do not contain', () => {
+      const base = [];
+      const local = [flatBookmark('https://a.com', 'Mobile Bookmarks/Reading', 0)];
+      const remote = [flatBookmark('https://b.com', 'Mobile Bookmarks/Reading', 0)];
+
+      const { merged, conflicts } = mergeFlatItems(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.map(({ url, folderPath }) => [url, folderPath]).sort()).toEqual([
+        ['https://a.com', 'Mobile Bookmarks/Reading'],
+        ['https://b.com', 'Mobile Bookmarks/Reading'],
+      ]);
+    });
+  });
+
+  describe('countTreeDifferences', () => {
+    it('should count added, removed, edited and moved items', () => {
+      const from = tree([bookmark('a'), bookmark('b'), bookmark('c')]);
+      const to = tree([bookmark('c'), bookmark('a', { title: 'Edited' }), bookmark('d')]);
+
+      // a edited, b removed, c moved, d added
+      expect(countTreeDifferences(from, to)).toBe(4);
+    });
+
+    it('should return 0 for identical trees', () => {
+      const data = tree([bookmark('a'), folder('f', [bookmark('b')])]);
+      expect(countTreeDifferences(data, structuredClone(data))).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Web archive lookups for dead bookmarks
+ * Pro feature: find an archived copy of a link that no longer works, to replace the
+ * bookmark's URL with or keep next to it, and submit new bookmarks for archiving.
+ *
+ * Archives are reached through an ArchiveProvider. WaybackArchiveProvider talks to
+ * the Internet Archive's Wayback Machine; LocalArchiveProvider keeps snapshots in
+ * memory and stands in for a real archive in tests and offline use.
+ */
+
+import { getBrokenLinks, isValidUrl } from './link-checker.js';
+
+/**
+ * Archive provider types
+ */
+export const ARCHIVE_PROVIDER = {
+  WAYBACK: 'wayback',
+  LOCAL: 'local',
+};
+
+/**
+ * @typedef {Object} ArchiveSnapshot
+ * @property {string} url - The archived page's original URL
+ * @property {string} archivedUrl - Where the archived copy can be viewed
+ * @property {string} timestamp - When the copy was taken (ISO)
+ * @property {string} provider - ARCHIVE_PROVIDER the copy is from
+ */
+
+const WAYBACK_AVAILABILITY_URL = 'https://archive.org/wayback/available';
+const WAYBACK_SAVE_URL = 'https://web.archive.org/save';
+const WAYBACK_SNAPSHOT_PATTERN = /\/web\/(\d{14})\//;
+
+/**
+ * Format a date as a Wayback Machine timestamp (YYYYMMDDhhmmss, UTC)
+ * @param {Date|string|number} date
+ * @returns {string}
+ */
+export function toWaybackTimestamp(date) {
+  return new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Parse a Wayback Machine timestamp
+ * @param {string} timestamp - YYYYMMDDhhmmss, possibly shortened
+ * @returns {Date|null}
+ */
+export function fromWaybackTimestamp(timestamp) {
+  const match = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?$/.exec(timestamp ?? '');
+  if (!match) return null;
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00'] = match;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Base class for web archives
+ * @abstract
+ */
+export class ArchiveProvider {
+  /**
+   * @param {string} type - ARCHIVE_PROVIDER of the implementation
+   */
+  constructor(type) {
+    if (new.target === ArchiveProvider) {
+      throw new Error('ArchiveProvider is abstract and cannot be instantiated directly');
+    }
+
+    this.type = type;
+  }
+
+  /**
+   * Find the archived copy of a page taken closest to a date
+   * @abstract
+   * @param {string} _url - Page URL
+   * @param {Object} [_options]
+   * @param {Date|string|number} [_options.near] - Defaults to now
+   * @returns {Promise<ArchiveSnapshot|null>} null when the page was never archived
+   */
+  async findSnapshot(_url, _options) {
+    throw new Error('findSnapshot() must be implemented by subclass');
+  }
+
+  /**
+   * Ask the archive to take a copy of a page
+   * @param {string} _url - Page URL
+   * @returns {Promise<ArchiveSnapshot|null>} The new copy, when the archive reports it
+   */
+  async submit(_url) {
+    throw new Error(`${this.type} archive does not accept submissions`);
+  }
+}
+
+/**
+ * The Internet Archive's Wayback Machine
+ */
+export class WaybackArchiveProvider extends ArchiveProvider {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Milliseconds to wait for the archive
+   */
+  constructor({ timeout = 15000 } = {}) {
+    super(ARCHIVE_PROVIDER.WAYBACK);
+    this.timeout = timeout;
+  }
+
+  /**
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {Date|string|number} [options.near]
+   * @returns {Promise<ArchiveSnapshot|null>}
+   */
+  async findSnapshot(url, { near = Date.now() } = {}) {
+    const params = new URLSearchParams({ url, timestamp: toWaybackTimestamp(near) });
+    const response = await fetch(`${WAYBACK_AVAILABILITY_URL}?${params}`, {
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Wayback Machine lookup failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const closest = data?.archived_snapshots?.closest;
+    if (!closest?.available || !closest.url || !String(closest.status).startsWith('2')) {
+      return null;
+    }
+
+    return {
+      url,
+      archivedUrl: closest.url.replace(/^http:/, 'https:'),
+      timestamp: fromWaybackTimestamp(closest.timestamp)?.toISOString() ?? null,
+      provider: this.type,
+    };
+  }
+
+  /**
+   * Save Page Now; the copy is taken in the background, so the new snapshot is only
+   * known when the archive redirects to it
+   * @param {string} url
+   * @returns {Promise<ArchiveSnapshot|null>}
+   */
+  async submit(url) {
+    const response = await fetch(`${WAYBACK_SAVE_URL}/${url}`, {
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Wayback Machine submission failed: ${response.status}`);
+    }
+
+    const location = response.headers?.get('content-location') || response.url || '';
+    const match = WAYBACK_SNAPSHOT_PATTERN.exec(location);
+    if (!match) return null;
+
+    return {
+      url,
+      archivedUrl: new URL(location, 'https://web.archive.org').href,
+      timestamp: fromWaybackTimestamp(match[1]).toISOString(),
+      provider: this.type,
+    };
+  }
+}
+
+/**
+ * An archive kept in memory, laid out like the Wayback Machine
+ * (<baseUrl>/<timestamp>/<url>)
+ */
+export class LocalArchiveProvider extends ArchiveProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Array<{url: string, timestamp: Date|string|number}>} [options.snapshots] - Copies
+   *   the archive starts with
+   * @param {string} [options.baseUrl]
+   * @param {() => number} [options.now] - Clock for submissions
+   */
+  constructor({ snapshots = [], baseUrl = 'http://localhost/archive', now = Date.now } = {}) {
+    super(ARCHIVE_PROVIDER.LOCAL);
+    this.baseUrl = baseUrl;
+    this.now = now;
+
+    /** @type {Map<string, ArchiveSnapshot[]>} */
+    this.snapshots = new Map();
+    for (const snapshot of snapshots) {
+      this.addSnapshot(snapshot.url, snapshot.timestamp);
+    }
+  }
+
+  /**
+   * Store a copy of a page
+   * @param {string} url
+   * @param {Date|string|number} timestamp
+   * @returns {ArchiveSnapshot}
+   */
+  addSnapshot(url, timestamp) {
+    const snapshot = {
+      url,
+      archivedUrl: `${this.baseUrl}/${toWaybackTimestamp(timestamp)}/${url}`,
+      timestamp: new Date(timestamp).toISOString(),
+      provider: this.type,
+    };
+    this.snapshots.set(url, [...(this.snapshots.get(url) ?? []), snapshot]);
+    return snapshot;
+  }
+
+  /**
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {Date|string|number} [options.near]
+   * @returns {Promise<ArchiveSnapshot|null>}
+   */
+  async findSnapshot(url, { near = this.now() } = {}) {
+    const target = new Date(near).getTime();
+    const distance = (snapshot) => Math.abs(new Date(snapshot.timestamp).getTime() - target);
+
+    return (this.snapshots.get(url) ?? []).reduce(
+      (closest, snapshot) =>
+        !closest || distance(snapshot) < distance(closest) ? snapshot : closest,
+      null
+    );
+  }
+
+  /**
+   * @param {string} url
+   * @returns {Promise<ArchiveSnapshot>}
+   */
+  async submit(url) {
+    return this.addSnapshot(url, this.now());
+  }
+}
+
+/**
+ * Create an archive provider
+ * @param {string} [type] - ARCHIVE_PROVIDER, the Wayback Machine by default
+ * @param {Object} [options] - Passed to the provider's constructor
+ * @returns {ArchiveProvider}
+ */
+export function createArchiveProvider(type = ARCHIVE_PROVIDER.WAYBACK, options = {}) {
+  switch (type) {
+    case ARCHIVE_PROVIDER.WAYBACK:
+      return new WaybackArchiveProvider(options);
+    case ARCHIVE_PROVIDER.LOCAL:
+      return new LocalArchiveProvider(options);
+    default:
+      throw new Error(`Unknown archive provider: ${type}`);
+  }
+}
+
+/**
+ * Whether a URL points into an archive, so archived copies aren't archived again
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isArchivedUrl(url) {
+  if (!isValidUrl(url)) return false;
+  const { hostname, pathname } = new URL(url);
+  return /(^|\.)archive\.org$/.test(hostname) || (hostname === 'archive.ph' && pathname.length > 1);
+}
+
+/**
+ * Look up archived copies of the broken links in link check results, one at a time
+ * so the archive isn't flooded
+ * @param {ArchiveProvider} provider
+ * @param {Array} results - Link check results
+ * @param {Object} [options]
+ * @param {(result: Object) => (Date|string|number|undefined)} [options.near] - Date to look
+ *   for a copy around per link, e.g. when it was bookmarked; defaults to now
+ * @returns {Promise<Array<{bookmarkId: string, url: string, snapshot: ArchiveSnapshot}>>}
+ *   Links with an archived copy; lookups that fail are skipped
+ */
+export async function findArchivedCopies(provider, results, { near = () => undefined } = {}) {
+  const found = [];
+
+  for (const result of getBrokenLinks(results)) {
+    try {
+      const snapshot = await provider.findSnapshot(result.url, { near: near(result) });
+      if (snapshot) {
+        found.push({ bookmarkId: result.bookmarkId, url: result.url, snapshot });
+      }
+    } catch (error) {
+      console.warn(`[Archive] Lookup failed for ${result.url}:`, error.message);
+    }
+  }
+
+  return found;
+}
+
+export default {
+  ARCHIVE_PROVIDER,
+  ArchiveProvider,
+  WaybackArchiveProvider,
+  LocalArchiveProvider,
+  createArchiveProvider,
+  toWaybackTimestamp,
+  fromWaybackTimestamp,
+  isArchivedUrl,
+  findArchivedCopies,
+};
@@ -2,12 +2,14 @@
  * @fileoverview Conflict resolution strategies for two-way bookmark sync
  */
 
-import { CONFLICT_RESOLUTION, CHANGE_TYPE } from '@marksyncr/types';
+import { CONFLICT_RESOLUTION, CHANGE_TYPE, CONFLICT_STATUS } from '@marksyncr/types';
 
 /**
  * @typedef {import('@marksyncr/types').SyncChange} SyncChange
  * @typedef {import('@marksyncr/types').SyncConflict} SyncConflict
  * @typedef {import('@marksyncr/types').BookmarkItem} BookmarkItem
+ * @typedef {import('@marksyncr/types').FieldConflict} FieldConflict
+ * @typedef {import('@marksyncr/types').ConflictRecord} ConflictRecord
  */
 
 /**
@@ -244,3 +246,62 @@ export const createConflictSummary = (conflict) => {
           : 'merged version',
   };
 };
+
+/**
+ * Converts a field conflict into the record shape stored by /api/conflicts
+ * @param {FieldConflict} conflict - Detected conflict
+ * @param {Object} [details]
+ * @param {string} [details.title] - Bookmark title for display
+ * @param {string} [details.deviceId] - Device reporting the conflict
+ * @returns {Omit<ConflictRecord, 'id' | 'createdAt' | 'resolvedAt'>}
+ */
+export const createConflictRecord = (conflict, { title, deviceId } = {}) => ({
+  bookmarkId: conflict.id,
+  title: title ?? null,
+  field: conflict.field,
+  path: conflict.path ?? '',
+  baseValue: conflict.base ?? null,
+  localValue: conflict.local ?? null,
+  remoteValue: conflict.remote ?? null,
+  status: CONFLICT_STATUS.PENDING,
+  resolution: null,
+  resolvedValue: null,
+  deviceId: deviceId ?? null,
+});
+
+/**
+ * Settles a stored conflict with the user's choice
+ * @param {ConflictRecord} record - Pending conflict record
+ * @param {string} resolution - 'local', 'remote' or 'merged'
+ * @param {*} [mergedValue] - Value entered by the user, required for 'merged'
+ * @returns {ConflictRecord} Resolved record
+ * @throws {Error} If the resolution is unknown or a merged value is missing
+ */
+export const resolveConflictRecord = (record, resolution, mergedValue) => {
+  let resolvedValue;
+
+  switch (resolution) {
+    case CONFLICT_RESOLUTION.LOCAL:
+      resolvedValue = record.localValue;
+      break;
+    case CONFLICT_RESOLUTION.REMOTE:
+      resolvedValue = record.remoteValue;
+      break;
+    case CONFLICT_RESOLUTION.MERGED:
+      if (mergedValue === undefined || mergedValue === null) {
+        throw new Error('A merged value is required to resolve a conflict as merged');
+      }
+      resolvedValue = mergedValue;
+      break;
+    default:
+      throw new Error(`Unknown conflict resolution: ${resolution}`);
+  }
+
+  return {
+    ...record,
+    status: CONFLICT_STATUS.RESOLVED,
+    resolution,
+    resolvedValue,
+    resolvedAt: new Date().toISOString(),
+  };
+};
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Delta sync operations for flat bookmark lists
+ * Computes add/update/move/delete operations between two flat bookmark lists
+ * and replays them, so clients only exchange what changed since a cursor.
+ */
+
+import { DELTA_OP } from '@marksyncr/types';
+
+/**
+ * @typedef {import('@marksyncr/types').DeltaOperation} DeltaOperation
+ */
+
+/**
+ * Maps browser-specific root folder names to a common prefix so the same folder
+ * gets the same key in Chrome, Firefox, Edge and Opera
+ * @param {string} [path] - Folder path
+ * @returns {string} Normalized path
+ */
+export const normalizeRootPath = (path) =>
+  (path || '')
+    .replace(/^Bookmarks Bar\/?/i, 'toolbar/')
+    .replace(/^Bookmarks Toolbar\/?/i, 'toolbar/')
+    .replace(/^Speed Dial\/?/i, 'toolbar/')
+    .replace(/^Favourites Bar\/?/i, 'toolbar/')
+    .replace(/^Favorites Bar\/?/i, 'toolbar/')
+    .replace(/^Other Bookmarks\/?/i, 'other/')
+    .replace(/^Unsorted Bookmarks\/?/i, 'other/')
+    .replace(/^Bookmarks Menu\/?/i, 'menu/')
+    .replace(/\/+$/, '');
+
+/**
+ * Gets the identity of a flat item: its URL for bookmarks, its parent path and
+ * title for folders
+ * @param {Object} item - Flat bookmark or folder
+ * @returns {string|null} Item key, or null if the item has no identity
+ */
+export const getFlatItemKey = (item) => {
+  if (!item) return null;
+  if (item.type === 'folder') {
+    return `folder:${normalizeRootPath(item.folderPath)}::${item.title ?? ''}`;
+  }
+  return item.url || null;
+};
+
+/**
+ * Indexes a flat list by item key. Items sharing a key (the same URL bookmarked
+ * twice) get a numbered suffix in folder/index order, so both sides of a diff
+ * number them the same way.
+ * @param {Array<Object>} items - Flat bookmark list
+ * @returns {Map<string, Object>}
+ */
+export const indexFlatItems = (items = []) => {
+  const ordered = items
+    .filter((item) => getFlatItemKey(item) !== null)
+    .sort((a, b) => {
+      const pathCompare = normalizeRootPath(a.folderPath).localeCompare(
+        normalizeRootPath(b.folderPath)
+      );
+      return pathCompare !== 0 ? pathCompare : (a.index ?? 0) - (b.index ?? 0);
+    });
+
+  const byKey = new Map();
+  for (const item of ordered) {
+    const baseKey = getFlatItemKey(item);
+    let key = baseKey;
+    for (let n = 2; byKey.has(key); n++) {
+      key = `${baseKey}#${n}`;
+    }
+    byKey.set(key, item);
+  }
+  return byKey;
+};
+
+/**
+ * Computes the operations that turn one flat bookmark list into another.
+ * Title changes are updates; parent or position changes are moves. dateAdded is
+ * ignored because browsers reset it when bookmarks are created from sync.
+ * @param {Array<Object>} from - Previous flat bookmark list
+ * @param {Array<Object>} to - New flat bookmark list
+ * @returns {DeltaOperation[]} Operations in delete, add, update/move order
+ */
+export const diffFlatItems = (from, to) => {
+  const before = indexFlatItems(from);
+  const after = indexFlatItems(to);
+  const deletes = [];
+  const changes = [];
+
+  for (const key of before.keys()) {
+    if (!after.has(key)) {
+      deletes.push({ op: DELTA_OP.DELETE, key });
+    }
+  }
+
+  for (const [key, item] of after) {
+    const previous = before.get(key);
+
+    if (!previous) {
+      changes.push({ op: DELTA_OP.ADD, key, item });
+    } else if ((previous.title ?? '') !== (item.title ?? '')) {
+      changes.push({ op: DELTA_OP.UPDATE, key, item });
+    } else if (
+      normalizeRootPath(previous.folderPath) !== normalizeRootPath(item.folderPath) ||
+      (previous.index ?? 0) !== (item.index ?? 0)
+    ) {
+      changes.push({ op: DELTA_OP.MOVE, key, item });
+    }
+  }
+
+  return [...deletes, ...changes];
+};
+
+/**
+ * Replays operations on a flat bookmark list
+ * @param {Array<Object>} items - Flat bookmark list the operations were computed against
+ * @param {DeltaOperation[]} operations - Operations to apply in order
+ * @returns {Array<Object>} New flat bookmark list
+ */
+export const applyFlatOperations = (items, operations = []) => {
+  const byKey = indexFlatItems(items);
+
+  for (const operation of operations) {
+    if (operation.op === DELTA_OP.DELETE) {
+      byKey.delete(operation.key);
+    } else if (operation.item) {
+      byKey.set(operation.key, operation.item);
+    }
+  }
+
+  return Array.from(byKey.values());
+};
+
+/**
+ * Checks that a value is a well-formed delta operation
+ * @param {*} operation - Value to check
+ * @returns {boolean}
+ */
+export const isValidDeltaOperation = (operation) => {
+  if (!operation || typeof operation.key !== 'string' || operation.key.length === 0) {
+    return false;
+  }
+  if (operation.op === DELTA_OP.DELETE) return true;
+  return (
+    Object.values(DELTA_OP).includes(operation.op) &&
+    !!operation.item &&
+    typeof operation.item === 'object'
+  );
+};
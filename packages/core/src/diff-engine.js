@@ -176,6 +176,85 @@ export const detectDeletions = (currentMap, previousMap) => {
   return deletions;
 };
 
+/**
+ * Lists the changes between two snapshots of the same bookmarks, such as two versions
+ * of a synced file
+ * Accepts the tree format (toolbar/menu/other) and the flat list stored by the cloud
+ * API, whose items have no stable ID and are matched by URL (folders by path and title).
+ * @param {BookmarkData|Array|null} previous - Older snapshot
+ * @param {BookmarkData|Array|null} next - Newer snapshot
+ * @returns {SyncChange[]} Added, modified, moved and deleted items
+ */
+export const diffBookmarkSnapshots = (previous, next) => {
+  const before = indexSnapshot(previous);
+  const after = indexSnapshot(next);
+  const now = new Date().toISOString();
+
+  /** @type {SyncChange[]} */
+  const changes = [];
+
+  for (const [id, { item, folder }] of after) {
+    const old = before.get(id);
+
+    if (!old) {
+      changes.push({ id, type: CHANGE_TYPE.ADDED, path: folder, after: item, timestamp: now });
+    } else if (old.folder !== folder) {
+      changes.push({
+        id,
+        type: CHANGE_TYPE.MOVED,
+        path: folder,
+        before: old.item,
+        after: item,
+        timestamp: now,
+      });
+    } else if (!areBookmarksEqual(old.item, item)) {
+      changes.push({
+        id,
+        type: CHANGE_TYPE.MODIFIED,
+        path: folder,
+        before: old.item,
+        after: item,
+        timestamp: now,
+      });
+    }
+  }
+
+  for (const [id, { item, folder }] of before) {
+    if (!after.has(id)) {
+      changes.push({ id, type: CHANGE_TYPE.DELETED, path: folder, before: item, timestamp: now });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Maps each item of a snapshot to the folder it's in
+ * @param {BookmarkData|Array|null} snapshot
+ * @returns {Map<string, {item: BookmarkItem, folder: string}>}
+ */
+const indexSnapshot = (snapshot) => {
+  const map = new Map();
+  if (!snapshot) return map;
+
+  if (!Array.isArray(snapshot)) {
+    for (const [id, { item, path }] of flattenBookmarks(snapshot)) {
+      map.set(id, { item, folder: getParentPath(path) });
+    }
+    return map;
+  }
+
+  for (const item of snapshot) {
+    const folder = item.folderPath ?? item.folder_path ?? '';
+    if (item.type === 'folder') {
+      map.set(`folder:${folder}/${item.title}`, { item, folder });
+    } else if (item.url) {
+      map.set(`url:${item.url}`, { item, folder });
+    }
+  }
+  return map;
+};
+
 /**
  * Finds conflicts between local and remote changes
  * @param {SyncChange[]} localChanges - Local changes
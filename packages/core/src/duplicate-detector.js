@@ -1,8 +1,14 @@
 /**
  * @fileoverview Duplicate Detection Engine
- * Finds and manages duplicate bookmarks using URL normalization and title similarity
+ * Finds and manages duplicate bookmarks using URL normalization and title similarity.
+ * clusterDuplicates() groups a whole collection at once: bookmarks of the same page
+ * (tracking parameters, AMP and mobile variants, http/https, saved page text) and
+ * near-duplicate titles. Titles are only compared within blocks of bookmarks that
+ * share a rare title word, so it stays fast on collections of 50k bookmarks.
  */
 
+import { tokenize } from './full-text-search.js';
+
 /**
  * Common tracking parameters to remove from URLs
  */
@@ -16,10 +22,66 @@ const TRACKING_PARAMS = [
   'source',
   'fbclid',
   'gclid',
+  'dclid',
+  'msclkid',
+  'yclid',
+  'igshid',
   'mc_cid',
   'mc_eid',
+  'mkt_tok',
+  '_hsenc',
+  '_hsmi',
 ];
 
+/**
+ * Prefixes of tracking parameter families (utm_id, utm_source_platform, ...)
+ */
+const TRACKING_PARAM_PREFIXES = ['utm_'];
+
+/**
+ * Mobile and AMP subdomains that serve the same pages as the main site
+ */
+const MOBILE_HOST_PATTERN = /^(?:m|mobile|amp)\./;
+
+/**
+ * Hosts that serve other sites' AMP pages, and the path prefix before the original
+ * URL (/amp/s/example.com/story)
+ */
+const AMP_CACHE_PATH_PATTERN = /^\/(?:amp|[cv])\/(s\/)?(.+)$/;
+
+/**
+ * Duplicate cluster types, strongest first, with the reason shown for them
+ */
+export const CLUSTER_TYPES = {
+  exact_url: 'Same URL',
+  url_variant: 'Same page, different URL',
+  same_content: 'Same page content',
+  similar_title: 'Similar titles',
+};
+
+/**
+ * Defaults for clusterDuplicates()
+ */
+export const DEFAULT_CLUSTER_OPTIONS = {
+  checkTitles: true,
+  titleThreshold: 0.8,
+  // Title words a bookmark is blocked on; the rarest ones in the collection
+  blockingKeys: 2,
+  // Blocks with more bookmarks than this are words too common to tell pages apart
+  maxBlockSize: 50,
+  // Saved pages shorter than this are often error or login pages, which look alike
+  minContentWords: 50,
+};
+
+/**
+ * Whether a query parameter only tracks where a visit came from
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isTrackingParam = (name) =>
+  TRACKING_PARAMS.includes(name) ||
+  TRACKING_PARAM_PREFIXES.some((prefix) => name.startsWith(prefix));
+
 /**
  * Normalize a URL for comparison
  * - Removes trailing slashes
@@ -39,11 +101,11 @@ export function normalizeUrl(url) {
       hostname = hostname.slice(4);
     }
 
-    // Remove tracking parameters
-    const params = new URLSearchParams(parsed.search);
-    for (const param of TRACKING_PARAMS) {
-      params.delete(param);
-    }
+    // Remove tracking parameters, and sort the rest so their order doesn't matter
+    const params = new URLSearchParams(
+      [...new URLSearchParams(parsed.search)].filter(([name]) => !isTrackingParam(name))
+    );
+    params.sort();
 
     // Reconstruct URL
     let normalized = `${parsed.protocol}//${hostname}`;
@@ -72,6 +134,77 @@ export function normalizeUrl(url) {
   }
 }
 
+/**
+ * Key that is the same for every URL of a page: on top of normalizeUrl(), http and
+ * https, mobile and AMP versions, AMP cache URLs and index pages are treated alike
+ * @param {string} url
+ * @returns {string}
+ */
+export function getUrlVariantKey(url) {
+  let parsed;
+  try {
+    parsed = new URL(normalizeUrl(url));
+  } catch {
+    return url;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return parsed.href;
+
+  // AMP caches serve a page under their own host: google.com/amp/s/example.com/story
+  const cached = parsed.pathname.match(AMP_CACHE_PATH_PATTERN);
+  if (
+    cached &&
+    (parsed.hostname.endsWith('.cdn.ampproject.org') || /^google\.[a-z.]+$/.test(parsed.hostname))
+  ) {
+    return getUrlVariantKey(`${cached[1] ? 'https' : 'http'}://${cached[2]}${parsed.search}`);
+  }
+
+  const host = parsed.hostname.replace(MOBILE_HOST_PATTERN, '');
+  const path = parsed.pathname
+    .replace(/^\/amp(?=\/)/, '')
+    .replace(/\/amp$/, '')
+    .replace(/\.amp(?=\.html?$)/, '')
+    .replace(/\/index\.(?:html?|php)$/, '')
+    .replace(/^\/$/, '');
+
+  const params = new URLSearchParams(parsed.search);
+  params.delete('amp');
+  if (params.get('outputType') === 'amp') params.delete('outputType');
+  const query = params.toString();
+
+  return `${host}${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Character bigrams of a string
+ * @param {string} str
+ * @returns {Set<string>}
+ */
+function getBigrams(str) {
+  const bigrams = new Set();
+  for (let i = 0; i < str.length - 1; i++) {
+    bigrams.add(str.slice(i, i + 2));
+  }
+  return bigrams;
+}
+
+/**
+ * Dice coefficient of two bigram sets
+ * @param {Set<string>} bigrams1
+ * @param {Set<string>} bigrams2
+ * @returns {number}
+ */
+function diceCoefficient(bigrams1, bigrams2) {
+  if (bigrams1.size === 0 && bigrams2.size === 0) return 1;
+
+  let intersection = 0;
+  for (const bigram of bigrams1) {
+    if (bigrams2.has(bigram)) {
+      intersection++;
+    }
+  }
+  return (2 * intersection) / (bigrams1.size + bigrams2.size);
+}
+
 /**
  * Calculate similarity between two strings using Dice coefficient
  * @param {string} str1 - First string
@@ -86,30 +219,27 @@ export function calculateSimilarity(str1, str2) {
   if (s1.length === 0 && s2.length === 0) return 1;
   if (s1.length === 0 || s2.length === 0) return 0;
 
-  // Create bigrams
-  const getBigrams = (str) => {
-    const bigrams = new Set();
-    for (let i = 0; i < str.length - 1; i++) {
-      bigrams.add(str.slice(i, i + 2));
-    }
-    return bigrams;
-  };
-
-  const bigrams1 = getBigrams(s1);
-  const bigrams2 = getBigrams(s2);
-
-  if (bigrams1.size === 0 && bigrams2.size === 0) return 1;
+  return diceCoefficient(getBigrams(s1), getBigrams(s2));
+}
 
-  // Calculate intersection
-  let intersection = 0;
-  for (const bigram of bigrams1) {
-    if (bigrams2.has(bigram)) {
-      intersection++;
-    }
+/**
+ * Fingerprint of a saved page's text, the same for copies of a page whatever their
+ * whitespace and case (53-bit cyrb53 hash)
+ * @param {string} text
+ * @returns {string}
+ */
+export function contentFingerprint(text) {
+  const normalized = text.toLowerCase().replace(/\s+/g, ' ').trim();
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < normalized.length; i++) {
+    const code = normalized.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
   }
-
-  // Dice coefficient
-  return (2 * intersection) / (bigrams1.size + bigrams2.size);
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
 }
 
 /**
@@ -264,6 +394,182 @@ export function findDuplicates(bookmarks, options = {}) {
   };
 }
 
+/**
+ * Link every bookmark of each group that has more than one
+ * @param {Map<string, number[]>} groups - Key to bookmark indexes
+ * @param {Function} link - (a, b) => void
+ */
+function linkGroups(groups, link) {
+  for (const indexes of groups.values()) {
+    for (let i = 1; i < indexes.length; i++) link(indexes[0], indexes[i]);
+  }
+}
+
+/**
+ * Add a bookmark index to the group for a key
+ * @param {Map<string, number[]>} groups
+ * @param {string} key
+ * @param {number} index
+ */
+function addToGroup(groups, key, index) {
+  const group = groups.get(key);
+  if (!group) {
+    groups.set(key, [index]);
+  } else if (group[group.length - 1] !== index) {
+    group.push(index);
+  }
+}
+
+/**
+ * Cluster duplicate and near-duplicate bookmarks.
+ *
+ * Bookmarks are linked when they have the same normalized URL, when their URLs are
+ * variants of one page (getUrlVariantKey(), or the canonical URL of their saved page),
+ * when their saved pages have the same text, or when their titles are similar.
+ * Linked bookmarks form a cluster, so a cluster can hold bookmarks linked in
+ * different ways.
+ *
+ * Titles are blocked on their rarest words: two titles are only compared when they
+ * share one, and words in more than maxBlockSize titles are not used. Titles need two
+ * words (stopwords aside) to be compared at all.
+ *
+ * @param {Array} bookmarks - Bookmarks with id, url and title
+ * @param {Object} [options] - See DEFAULT_CLUSTER_OPTIONS
+ * @param {Array<{url: string, canonicalUrl?: string, textContent?: string}>} [options.pages]
+ *   Saved pages of the bookmarks, e.g. page snapshots
+ * @returns {Array<{id: string, type: string, reason: string, types: string[],
+ *   similarity: number, bookmarks: Array}>} Clusters, largest first; each cluster's
+ *   bookmarks start with the one suggestMerge() would keep
+ */
+export function clusterDuplicates(bookmarks, options = {}) {
+  const { pages = [], ...rest } = options;
+  const { checkTitles, titleThreshold, blockingKeys, maxBlockSize, minContentWords } = {
+    ...DEFAULT_CLUSTER_OPTIONS,
+    ...rest,
+  };
+  const items = bookmarks.filter((bookmark) => bookmark.url);
+
+  // Union-find over bookmark indexes; the first link of two clusters names their type
+  const parents = items.map((_, index) => index);
+  const links = [];
+  const find = (index) => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+  const linker =
+    (type) =>
+    (a, b, similarity = 1) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA === rootB) return;
+      parents[rootB] = rootA;
+      links.push({ index: a, type, similarity });
+    };
+
+  const urlGroups = new Map();
+  const variantGroups = new Map();
+  items.forEach((bookmark, index) => {
+    addToGroup(urlGroups, normalizeUrl(bookmark.url), index);
+    addToGroup(variantGroups, getUrlVariantKey(bookmark.url), index);
+  });
+  linkGroups(urlGroups, linker('exact_url'));
+
+  const contentGroups = new Map();
+  if (pages.length > 0) {
+    const pagesByUrl = new Map(pages.map((page) => [page.url, page]));
+    items.forEach((bookmark, index) => {
+      const page = pagesByUrl.get(bookmark.url);
+      if (!page) return;
+      if (page.canonicalUrl) {
+        addToGroup(variantGroups, getUrlVariantKey(page.canonicalUrl), index);
+      }
+      const text = page.textContent || '';
+      if (text.split(/\s+/).length >= minContentWords) {
+        addToGroup(contentGroups, contentFingerprint(text), index);
+      }
+    });
+  }
+  linkGroups(variantGroups, linker('url_variant'));
+  linkGroups(contentGroups, linker('same_content'));
+
+  if (checkTitles) {
+    const linkTitles = linker('similar_title');
+    const titleWords = items.map((bookmark) => [...new Set(tokenize(bookmark.title || ''))]);
+    const frequency = new Map();
+    for (const words of titleWords) {
+      for (const word of words) frequency.set(word, (frequency.get(word) || 0) + 1);
+    }
+
+    const blocks = new Map();
+    titleWords.forEach((words, index) => {
+      if (words.length < 2) return;
+      words
+        .filter((word) => frequency.get(word) <= maxBlockSize)
+        .sort((a, b) => frequency.get(a) - frequency.get(b) || a.localeCompare(b))
+        .slice(0, blockingKeys)
+        .forEach((word) => addToGroup(blocks, word, index));
+    });
+
+    const bigrams = new Map();
+    const bigramsOf = (index) => {
+      if (!bigrams.has(index)) {
+        bigrams.set(index, getBigrams((items[index].title || '').toLowerCase().trim()));
+      }
+      return bigrams.get(index);
+    };
+
+    for (const block of blocks.values()) {
+      for (let i = 0; i < block.length; i++) {
+        for (let j = i + 1; j < block.length; j++) {
+          if (find(block[i]) === find(block[j])) continue;
+          const similarity = diceCoefficient(bigramsOf(block[i]), bigramsOf(block[j]));
+          if (similarity >= titleThreshold) linkTitles(block[i], block[j], similarity);
+        }
+      }
+    }
+  }
+
+  // Gather the clusters and how their bookmarks were linked
+  const members = new Map();
+  items.forEach((bookmark, index) => {
+    const root = find(index);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(bookmark);
+  });
+  const linkTypes = new Map();
+  for (const { index, type, similarity } of links) {
+    const root = find(index);
+    if (!linkTypes.has(root)) linkTypes.set(root, { types: new Set(), similarity: 1 });
+    const cluster = linkTypes.get(root);
+    cluster.types.add(type);
+    cluster.similarity = Math.min(cluster.similarity, similarity);
+  }
+
+  const typeOrder = Object.keys(CLUSTER_TYPES);
+  const clusters = [];
+  for (const [root, { types, similarity }] of linkTypes) {
+    const sortedTypes = typeOrder.filter((type) => types.has(type));
+    const { keep, remove } = suggestMerge(members.get(root), { preferMetadata: true });
+    clusters.push({
+      id: keep.id,
+      type: sortedTypes[0],
+      reason: CLUSTER_TYPES[sortedTypes[0]],
+      types: sortedTypes,
+      similarity,
+      bookmarks: [keep, ...remove],
+    });
+  }
+
+  return clusters.sort(
+    (a, b) =>
+      b.bookmarks.length - a.bookmarks.length ||
+      typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)
+  );
+}
+
 /**
  * Group all bookmarks by normalized URL
  * @param {Array} bookmarks - Array of bookmark objects
@@ -385,12 +691,17 @@ export function getDuplicateStats(bookmarks) {
 }
 
 export default {
+  CLUSTER_TYPES,
+  DEFAULT_CLUSTER_OPTIONS,
   normalizeUrl,
+  getUrlVariantKey,
   calculateSimilarity,
+  contentFingerprint,
   findDuplicatesByUrl,
   findDuplicatesByTitle,
   findSimilarBookmarks,
   findDuplicates,
+  clusterDuplicates,
   groupDuplicates,
   suggestMerge,
   getDuplicateStats,
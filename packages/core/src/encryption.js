@@ -0,0 +1,474 @@
+/**
+ * @fileoverview End-to-end encryption of bookmark data
+ * Bookmarks are encrypted with a random data key. The data key is stored wrapped with
+ * a key derived from the user's passphrase (the keyring), and can be exported as a
+ * recovery key. Uses Web Crypto API which is available in both Node.js and browsers.
+ *
+ * Flat items are encrypted one by one so delta sync, per-row storage and merging keep
+ * working on the server: URLs, titles and folder names are replaced by keyed tokens
+ * (equal inputs give equal tokens), root folder names, positions and dates stay
+ * readable, and the real values travel in an encrypted payload. Encryption is
+ * deterministic, so the same bookmark list always encrypts to the same items and
+ * checksums can be compared without decrypting.
+ */
+
+/**
+ * @typedef {import('@marksyncr/types').EncryptionKeyring} EncryptionKeyring
+ */
+
+/**
+ * @typedef {Object} ItemKeys
+ * @property {string} keyId - Data key ID
+ * @property {CryptoKey} encryptKey - AES-GCM key for payloads
+ * @property {CryptoKey} ivKey - HMAC key deriving each payload's IV from its plaintext
+ * @property {CryptoKey} tokenKey - HMAC key for URL, title and folder name tokens
+ */
+
+export const KEYRING_VERSION = 1;
+
+/**
+ * PBKDF2-SHA256 iterations for new keyrings
+ */
+export const DEFAULT_KDF_ITERATIONS = 600000;
+
+/**
+ * Prefix of the URL token that replaces an encrypted bookmark's URL
+ */
+export const ENCRYPTED_URL_PREFIX = 'e2e:';
+
+const DATA_KEY_BYTES = 32;
+const TOKEN_BYTES = 16;
+const IV_BYTES = 12;
+const RECOVERY_KEY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Creates an error with a code, like the errors thrown by sources
+ * @param {string} message
+ * @param {string} code
+ * @returns {Error}
+ */
+const createEncryptionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} base64url without padding
+ */
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * @param {string} text - base64url
+ * @returns {Uint8Array}
+ */
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const hmac = async (key, text) =>
+  new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(text)));
+
+/**
+ * Derives the key that wraps the data key from a passphrase
+ */
+const derivePassphraseKey = async (passphrase, kdf) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, salt: fromBase64Url(kdf.salt), iterations: kdf.iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Generates a new random data key
+ * @returns {Uint8Array}
+ */
+export const generateDataKey = () => crypto.getRandomValues(new Uint8Array(DATA_KEY_BYTES));
+
+/**
+ * Gets the ID of a data key. The ID is derived from the key, so a recovery key can be
+ * checked against a keyring without a stored hash.
+ * @param {Uint8Array} dataKey
+ * @returns {Promise<string>}
+ */
+export const getKeyId = async (dataKey) => {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    dataKey,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toBase64Url((await hmac(key, 'marksyncr-key-id')).slice(0, TOKEN_BYTES));
+};
+
+/**
+ * Wraps a data key with a passphrase
+ * @param {Uint8Array} dataKey - Data key to wrap
+ * @param {string} passphrase - User passphrase
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - PBKDF2 iterations
+ * @returns {Promise<EncryptionKeyring>}
+ */
+export const wrapDataKey = async (
+  dataKey,
+  passphrase,
+  { iterations = DEFAULT_KDF_ITERATIONS } = {}
+) => {
+  if (!passphrase) {
+    throw createEncryptionError('Passphrase is required', 'INVALID_PASSPHRASE');
+  }
+
+  const kdf = {
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations,
+    salt: toBase64Url(crypto.getRandomValues(new Uint8Array(16))),
+  };
+  const wrappingKey = await derivePassphraseKey(passphrase, kdf);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, dataKey)
+  );
+
+  return {
+    version: KEYRING_VERSION,
+    keyId: await getKeyId(dataKey),
+    kdf,
+    wrappedKey: { iv: toBase64Url(iv), ciphertext: toBase64Url(ciphertext) },
+    createdAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Creates a keyring with a new data key
+ * @param {string} passphrase - User passphrase
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - PBKDF2 iterations
+ * @returns {Promise<{keyring: EncryptionKeyring, dataKey: Uint8Array}>}
+ */
+export const createKeyring = async (passphrase, options = {}) => {
+  const dataKey = generateDataKey();
+  const keyring = await wrapDataKey(dataKey, passphrase, options);
+  return { keyring, dataKey };
+};
+
+/**
+ * Unwraps the data key of a keyring with the passphrase
+ * @param {EncryptionKeyring} keyring
+ * @param {string} passphrase
+ * @returns {Promise<Uint8Array>} Data key
+ * @throws {Error} With code INVALID_PASSPHRASE when the passphrase is wrong
+ */
+export const unlockKeyring = async (keyring, passphrase) => {
+  if (keyring?.version !== KEYRING_VERSION) {
+    throw createEncryptionError('Unsupported keyring version', 'UNSUPPORTED_KEYRING');
+  }
+
+  try {
+    const wrappingKey = await derivePassphraseKey(passphrase, keyring.kdf);
+    return new Uint8Array(
+      await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64Url(keyring.wrappedKey.iv) },
+        wrappingKey,
+        fromBase64Url(keyring.wrappedKey.ciphertext)
+      )
+    );
+  } catch {
+    throw createEncryptionError('Incorrect passphrase', 'INVALID_PASSPHRASE');
+  }
+};
+
+/**
+ * Formats a data key as a recovery key: groups of four Crockford base32 characters
+ * @param {Uint8Array} dataKey
+ * @returns {string}
+ */
+export const formatRecoveryKey = (dataKey) => {
+  let bits = '';
+  for (const byte of dataKey) bits += byte.toString(2).padStart(8, '0');
+  bits = bits.padEnd(Math.ceil(bits.length / 5) * 5, '0');
+
+  let text = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    text += RECOVERY_KEY_ALPHABET[parseInt(bits.slice(i, i + 5), 2)];
+  }
+  return text.match(/.{1,4}/g).join('-');
+};
+
+/**
+ * Parses a recovery key typed or pasted by the user. Separators and case are ignored,
+ * and the letters people confuse with digits (I, L, O) are read as those digits.
+ * @param {string} recoveryKey
+ * @returns {Uint8Array} Data key
+ * @throws {Error} With code INVALID_RECOVERY_KEY when the text isn't a recovery key
+ */
+export const parseRecoveryKey = (recoveryKey) => {
+  const text = String(recoveryKey || '')
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, '')
+    .replace(/[IL]/g, '1')
+    .replace(/O/g, '0');
+
+  const expectedLength = Math.ceil((DATA_KEY_BYTES * 8) / 5);
+  if (text.length !== expectedLength || /[U]/.test(text)) {
+    throw createEncryptionError('Invalid recovery key', 'INVALID_RECOVERY_KEY');
+  }
+
+  let bits = '';
+  for (const char of text) {
+    bits += RECOVERY_KEY_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  }
+
+  const dataKey = new Uint8Array(DATA_KEY_BYTES);
+  for (let i = 0; i < DATA_KEY_BYTES; i++) {
+    dataKey[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+  }
+  return dataKey;
+};
+
+/**
+ * Gets the data key of a keyring from a recovery key
+ * @param {EncryptionKeyring} keyring
+ * @param {string} recoveryKey
+ * @returns {Promise<Uint8Array>} Data key
+ * @throws {Error} With code INVALID_RECOVERY_KEY when it belongs to another key
+ */
+export const unlockWithRecoveryKey = async (keyring, recoveryKey) => {
+  const dataKey = parseRecoveryKey(recoveryKey);
+  if ((await getKeyId(dataKey)) !== keyring?.keyId) {
+    throw createEncryptionError(
+      'This recovery key belongs to a different encryption key',
+      'INVALID_RECOVERY_KEY'
+    );
+  }
+  return dataKey;
+};
+
+/**
+ * Derives the keys used to encrypt items from a data key
+ * @param {Uint8Array} dataKey
+ * @returns {Promise<ItemKeys>}
+ */
+export const deriveItemKeys = async (dataKey) => {
+  const material = await crypto.subtle.importKey('raw', dataKey, 'HKDF', false, ['deriveKey']);
+  const derive = (info, algorithm, usages) =>
+    crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode(info) },
+      material,
+      algorithm,
+      false,
+      usages
+    );
+
+  const [encryptKey, ivKey, tokenKey, keyId] = await Promise.all([
+    derive('marksyncr-e2e-encrypt', { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']),
+    derive('marksyncr-e2e-iv', { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign']),
+    derive('marksyncr-e2e-token', { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign']),
+    getKeyId(dataKey),
+  ]);
+
+  return { keyId, encryptKey, ivKey, tokenKey };
+};
+
+/**
+ * Encrypts a JSON value. The IV is derived from the plaintext, so equal values give
+ * equal ciphertext and different values never share an IV.
+ * @param {ItemKeys} keys
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<string>} "<iv>.<ciphertext>" in base64url
+ */
+export const encryptValue = async (keys, value) => {
+  const plaintext = JSON.stringify(value);
+  const iv = (await hmac(keys.ivKey, plaintext)).slice(0, IV_BYTES);
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.encryptKey, encoder.encode(plaintext))
+  );
+  return `${toBase64Url(iv)}.${toBase64Url(ciphertext)}`;
+};
+
+/**
+ * Decrypts a value from encryptValue
+ * @param {ItemKeys} keys
+ * @param {string} sealed
+ * @returns {Promise<*>}
+ * @throws {Error} With code DECRYPTION_FAILED for a different key or tampered data
+ */
+export const decryptValue = async (keys, sealed) => {
+  try {
+    const [iv, ciphertext] = sealed.split('.');
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64Url(iv) },
+      keys.encryptKey,
+      fromBase64Url(ciphertext)
+    );
+    return JSON.parse(decoder.decode(plaintext));
+  } catch {
+    throw createEncryptionError('Unable to decrypt bookmark data', 'DECRYPTION_FAILED');
+  }
+};
+
+/**
+ * Creates the keyed token that stands in for a value
+ * @param {ItemKeys} keys
+ * @param {string} kind - Namespace, so a URL and a title with the same text differ
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+const createToken = async (keys, kind, value) =>
+  toBase64Url((await hmac(keys.tokenKey, `${kind}:${value}`)).slice(0, TOKEN_BYTES));
+
+/**
+ * Replaces every folder name in a path with its token. The root folder name is kept
+ * so servers and other browsers still know which root an item belongs to, and a
+ * folder's own title token matches the path segment its children use.
+ */
+const encryptFolderPath = async (keys, folderPath) => {
+  if (!folderPath) return folderPath ?? '';
+  const [root, ...folders] = folderPath.split('/');
+  const tokens = await Promise.all(folders.map((name) => createToken(keys, 'name', name)));
+  return [root, ...tokens].join('/');
+};
+
+/**
+ * Checks whether a flat item or tombstone was encrypted by encryptFlatItems
+ * @param {Object} item
+ * @returns {boolean}
+ */
+export const isEncryptedItem = (item) => typeof item?.payload === 'string';
+
+/**
+ * Encrypts a flat bookmark list. Positions, dates, types and IDs stay readable;
+ * URLs, titles and folder names are replaced by tokens and carried in the payload.
+ * @param {ItemKeys} keys
+ * @param {Array<Object>} items - Flat bookmarks and folders
+ * @returns {Promise<Array<Object>>}
+ */
+export const encryptFlatItems = (keys, items = []) =>
+  Promise.all(
+    items.map(async (item) => {
+      if (isEncryptedItem(item)) return item;
+
+      const isFolder = item.type === 'folder';
+      const secret = isFolder
+        ? { title: item.title ?? '', folderPath: item.folderPath ?? '' }
+        : { url: item.url, title: item.title ?? '', folderPath: item.folderPath ?? '' };
+
+      const [title, folderPath, payload, urlToken] = await Promise.all([
+        createToken(keys, 'name', item.title ?? ''),
+        encryptFolderPath(keys, item.folderPath),
+        encryptValue(keys, secret),
+        isFolder ? null : createToken(keys, 'url', item.url),
+      ]);
+
+      const encrypted = { ...item, title, folderPath, payload };
+      if (isFolder) {
+        delete encrypted.url;
+      } else {
+        encrypted.url = `${ENCRYPTED_URL_PREFIX}${urlToken}`;
+      }
+      return encrypted;
+    })
+  );
+
+/**
+ * Decrypts a flat bookmark list. Items without a payload are returned as they are.
+ * @param {ItemKeys} keys
+ * @param {Array<Object>} items
+ * @returns {Promise<Array<Object>>}
+ */
+export const decryptFlatItems = (keys, items = []) =>
+  Promise.all(
+    items.map(async (item) => {
+      if (!isEncryptedItem(item)) return item;
+      const { payload, ...rest } = item;
+      return { ...rest, ...(await decryptValue(keys, payload)) };
+    })
+  );
+
+/**
+ * Encrypts tombstones. The URL becomes the same token the bookmark had, so tombstones
+ * still match encrypted bookmarks on the server.
+ * @param {ItemKeys} keys
+ * @param {Array<{url: string, deletedAt: number}>} tombstones
+ * @returns {Promise<Array<Object>>}
+ */
+export const encryptTombstones = (keys, tombstones = []) =>
+  Promise.all(
+    tombstones.map(async (tombstone) => {
+      if (isEncryptedItem(tombstone)) return tombstone;
+      const [token, payload] = await Promise.all([
+        createToken(keys, 'url', tombstone.url),
+        encryptValue(keys, { url: tombstone.url }),
+      ]);
+      return { ...tombstone, url: `${ENCRYPTED_URL_PREFIX}${token}`, payload };
+    })
+  );
+
+/**
+ * Decrypts tombstones from encryptTombstones
+ * @param {ItemKeys} keys
+ * @param {Array<Object>} tombstones
+ * @returns {Promise<Array<{url: string, deletedAt: number}>>}
+ */
+export const decryptTombstones = (keys, tombstones = []) => decryptFlatItems(keys, tombstones);
+
+/**
+ * Encrypts a bookmark file for a storage source. The bookmarks and tags are replaced
+ * by one encrypted value; version and metadata stay readable so sources can compare
+ * checksums.
+ * @param {ItemKeys} keys
+ * @param {Object} file - Bookmark file
+ * @returns {Promise<Object>}
+ */
+export const encryptBookmarkFile = async (keys, file) => {
+  const { bookmarks, tags, ...rest } = file;
+  return {
+    ...rest,
+    encryption: {
+      version: KEYRING_VERSION,
+      keyId: keys.keyId,
+      data: await encryptValue(keys, { bookmarks, tags }),
+    },
+  };
+};
+
+/**
+ * Decrypts a bookmark file from encryptBookmarkFile. Unencrypted files are returned
+ * as they are.
+ * @param {ItemKeys} keys
+ * @param {Object} file
+ * @returns {Promise<Object>}
+ * @throws {Error} With code WRONG_KEY when the file was encrypted with another key
+ */
+export const decryptBookmarkFile = async (keys, file) => {
+  if (!file?.encryption) return file;
+
+  const { encryption, ...rest } = file;
+  if (encryption.keyId !== keys.keyId) {
+    throw createEncryptionError('Bookmarks were encrypted with a different key', 'WRONG_KEY');
+  }
+
+  const { bookmarks, tags } = await decryptValue(keys, encryption.data);
+  return { ...rest, bookmarks, ...(tags !== undefined && { tags }) };
+};
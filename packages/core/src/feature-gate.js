@@ -243,6 +243,25 @@ export const getVersionHistoryLimit = (plan) => {
   return VERSION_HISTORY_LIMITS[plan] ?? VERSION_HISTORY_LIMITS.free;
 };
 
+/**
+ * Page snapshots kept for offline reading, by plan
+ * @type {Record<SubscriptionPlan, number>}
+ */
+export const PAGE_CAPTURE_LIMITS = {
+  free: 25,
+  pro: 2000,
+  team: 10000,
+};
+
+/**
+ * Gets the number of page snapshots a plan can keep
+ * @param {SubscriptionPlan} plan
+ * @returns {number}
+ */
+export const getPageCaptureLimit = (plan) => {
+  return PAGE_CAPTURE_LIMITS[plan] ?? PAGE_CAPTURE_LIMITS.free;
+};
+
 /**
  * Sync interval limits by plan (in minutes)
  * @type {Record<SubscriptionPlan, { min: number, options: number[] }>}
@@ -0,0 +1,745 @@
+/**
+ * @fileoverview Full-text search over bookmarks and their saved pages
+ * The Fuse engine in smart-search.js matches titles, URLs, tags and notes fuzzily,
+ * which is right for short fields but doesn't scale to page text. This module keeps
+ * an inverted index over every field, including page descriptions and article text,
+ * scores matches with BM25F and blends the text score with how recently and how often
+ * a bookmark was used.
+ *
+ * The index reads and writes through a store, so it can persist anywhere that can
+ * hold documents and postings. MemoryIndexStore keeps them in memory; the extension
+ * keeps them in IndexedDB.
+ */
+
+import { generateChecksumSync } from './hash-utils.js';
+
+/**
+ * Indexed fields and how much a match in each counts
+ */
+export const SEARCH_FIELDS = {
+  title: 3,
+  tags: 2,
+  url: 1.5,
+  notes: 1.5,
+  description: 1.2,
+  content: 1,
+};
+
+/**
+ * How much text relevance, recency and visit frequency count in a result's score
+ */
+export const DEFAULT_RANKING_WEIGHTS = {
+  relevance: 0.7,
+  recency: 0.15,
+  frequency: 0.15,
+};
+
+/**
+ * Days after which a bookmark's recency is worth half as much
+ */
+export const RECENCY_HALF_LIFE_DAYS = 90;
+
+/**
+ * Visits at which a bookmark gets the full frequency score
+ */
+export const FREQUENT_VISIT_COUNT = 50;
+
+const DEFAULT_SNIPPET_LENGTH = 160;
+const PREFIX_EXPANSION_LIMIT = 20;
+const INDEX_BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// BM25 term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Properties of a SearchDocument; stored documents also keep index data
+const DOCUMENT_KEYS = [
+  'id',
+  'title',
+  'url',
+  'tags',
+  'notes',
+  'description',
+  'content',
+  'lastUsed',
+  'visitCount',
+];
+
+// Body fields a snippet is taken from, in order of preference
+const SNIPPET_FIELDS = ['content', 'description', 'notes'];
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const STOPWORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'for',
+  'from',
+  'in',
+  'is',
+  'it',
+  'of',
+  'on',
+  'or',
+  'that',
+  'the',
+  'this',
+  'to',
+  'was',
+  'with',
+]);
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {string} id - Bookmark ID
+ * @property {string} title
+ * @property {string} url
+ * @property {string} tags - Tag names, space separated
+ * @property {string} notes
+ * @property {string} description - Page description from its saved copy
+ * @property {string} content - Article text from its saved copy
+ * @property {number|null} lastUsed - When the bookmark was last added, opened or saved (ms)
+ * @property {number} visitCount - How often the bookmark was opened
+ */
+
+/**
+ * @typedef {Object} Snippet
+ * @property {string} text - Excerpt of the field
+ * @property {Array<[number, number]>} highlights - [start, end) of each match in text
+ */
+
+/**
+ * Lowercase a word and strip its accents
+ * @param {string} word
+ * @returns {string}
+ */
+function normalizeWord(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Words of a text with their position in it
+ * @param {string} text
+ * @returns {Array<{term: string, start: number, end: number}>}
+ */
+function scanWords(text) {
+  return Array.from(String(text || '').matchAll(WORD_PATTERN), (match) => ({
+    term: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Split text into index terms: lowercased, without accents or stopwords
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return scanWords(text)
+    .map(({ term }) => term)
+    .filter((term) => !STOPWORDS.has(term));
+}
+
+/**
+ * Terms of a search query. While typing, the last word is usually unfinished, so
+ * unless the query ends in a space the last term also matches longer words.
+ * @param {string} query
+ * @returns {{terms: string[], prefix: string|null}}
+ */
+export function parseSearchQuery(query) {
+  const terms = tokenize(query);
+  if (terms.length === 0 || /\s$/.test(query)) {
+    return { terms, prefix: null };
+  }
+  return { terms: terms.slice(0, -1), prefix: terms[terms.length - 1] };
+}
+
+/**
+ * Whether a word matches one of the query terms, or starts with the query prefix
+ * @param {string} word - Normalized word
+ * @param {Set<string>} terms
+ * @param {string|null} prefix
+ * @returns {boolean}
+ */
+function matchesQuery(word, terms, prefix) {
+  return terms.has(word) || (prefix !== null && word.startsWith(prefix));
+}
+
+/**
+ * Ranges of a text that match a query
+ * @param {string} text
+ * @param {{terms: string[], prefix: string|null}} query - From parseSearchQuery
+ * @returns {Array<[number, number]>} [start, end) of each matching word
+ */
+export function findMatches(text, { terms, prefix = null }) {
+  const termSet = new Set(terms);
+  return scanWords(text)
+    .filter(({ term }) => matchesQuery(term, termSet, prefix))
+    .map(({ start, end }) => [start, end]);
+}
+
+/**
+ * Excerpt of a text around its best cluster of matches, with the matches marked
+ * @param {string} text
+ * @param {{terms: string[], prefix: string|null}} query - From parseSearchQuery
+ * @param {Object} [options]
+ * @param {number} [options.length=160] - Longest excerpt, in characters
+ * @returns {Snippet}
+ */
+export function createSnippet(text, query, { length = DEFAULT_SNIPPET_LENGTH } = {}) {
+  const source = String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const termSet = new Set(query.terms);
+  const words = scanWords(source);
+  const matches = words.filter(({ term }) => matchesQuery(term, termSet, query.prefix));
+
+  if (source.length <= length) {
+    return {
+      text: source,
+      highlights: matches.map(({ start, end }) => [start, end]),
+    };
+  }
+
+  // The window that starts at a match and covers the most different terms
+  let windowStart = 0;
+  let bestCount = 0;
+  for (let i = 0; i < matches.length; i++) {
+    const covered = new Set();
+    for (let j = i; j < matches.length && matches[j].end - matches[i].start <= length; j++) {
+      covered.add(matches[j].term);
+    }
+    if (covered.size > bestCount) {
+      bestCount = covered.size;
+      windowStart = matches[i].start;
+    }
+  }
+
+  // Lead in with a little context, cut at word boundaries
+  let start = Math.max(0, windowStart - Math.floor(length / 4));
+  start = words.find((word) => word.end > start)?.start ?? 0;
+  start = Math.min(start, windowStart);
+  let end = Math.min(source.length, start + length);
+  if (end < source.length) {
+    const lastWord = words.filter((word) => word.start < end).pop();
+    if (lastWord && lastWord.end > end) end = lastWord.start;
+  }
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < source.length ? ' …' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${source.slice(start, end).trim()}${suffix}`,
+    highlights: matches
+      .filter((match) => match.start >= start && match.end <= end)
+      .map((match) => [match.start + offset, match.end + offset]),
+  };
+}
+
+/**
+ * Split a snippet into plain and highlighted parts, for rendering without HTML
+ * @param {Snippet} snippet
+ * @returns {Array<{text: string, highlight: boolean}>}
+ */
+export function highlightSegments({ text, highlights = [] }) {
+  const segments = [];
+  let position = 0;
+
+  for (const [start, end] of highlights) {
+    if (start < position) continue;
+    if (start > position) {
+      segments.push({ text: text.slice(position, start), highlight: false });
+    }
+    segments.push({ text: text.slice(start, end), highlight: true });
+    position = end;
+  }
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), highlight: false });
+  }
+  return segments;
+}
+
+/**
+ * Score between 0 and 1 that halves every half-life since a date
+ * @param {number|string|Date|null} date
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()]
+ * @param {number} [options.halfLifeDays=90]
+ * @returns {number}
+ */
+export function recencyScore(
+  date,
+  { now = Date.now(), halfLifeDays = RECENCY_HALF_LIFE_DAYS } = {}
+) {
+  const time = date instanceof Date ? date.getTime() : new Date(date ?? NaN).getTime();
+  if (Number.isNaN(time)) return 0;
+
+  const ageDays = Math.max(0, now - time) / DAY_MS;
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+/**
+ * Score between 0 and 1 that grows with the log of the visit count
+ * @param {number} visitCount
+ * @returns {number}
+ */
+export function frequencyScore(visitCount) {
+  if (!visitCount || visitCount < 0) return 0;
+  return Math.min(1, Math.log1p(visitCount) / Math.log1p(FREQUENT_VISIT_COUNT));
+}
+
+/**
+ * Blend text relevance with recency and visit frequency
+ * @param {Object} signals
+ * @param {number} signals.relevance - Text relevance between 0 and 1
+ * @param {number|string|Date|null} [signals.lastUsed] - When the bookmark was last used
+ * @param {number} [signals.visitCount]
+ * @param {Object} [options]
+ * @param {Object} [options.weights=DEFAULT_RANKING_WEIGHTS]
+ * @param {number} [options.now=Date.now()]
+ * @param {number} [options.halfLifeDays=90]
+ * @returns {number}
+ */
+export function blendScore({ relevance, lastUsed = null, visitCount = 0 }, options = {}) {
+  const weights = { ...DEFAULT_RANKING_WEIGHTS, ...options.weights };
+  const total = weights.relevance + weights.recency + weights.frequency;
+  if (total <= 0) return 0;
+
+  return (
+    (weights.relevance * relevance +
+      weights.recency * recencyScore(lastUsed, options) +
+      weights.frequency * frequencyScore(visitCount)) /
+    total
+  );
+}
+
+/**
+ * Order results by blended score. Text scores are relative to the best match, so
+ * results get a `relevance` between 0 and 1 and a `score` to sort by.
+ * @param {Array<{textScore: number, lastUsed?: *, visitCount?: number}>} results
+ * @param {Object} [options] - As for blendScore
+ * @returns {Array} The results with relevance and score, best first
+ */
+export function rankResults(results, options = {}) {
+  const best = Math.max(0, ...results.map((result) => result.textScore));
+
+  return results
+    .map((result) => {
+      const relevance = best > 0 ? result.textScore / best : 0;
+      return { ...result, relevance, score: blendScore({ ...result, relevance }, options) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Search document for a bookmark and the saved copy of its page
+ * @param {Object} bookmark - Bookmark with id, title, url and optional tags, notes,
+ *   dateAdded and dateLastUsed
+ * @param {Object} [extras]
+ * @param {Object} [extras.page] - Saved page snapshot for the bookmark's URL
+ * @param {{count: number, lastVisited: number}} [extras.visits] - Visits to the bookmark
+ * @returns {SearchDocument}
+ */
+export function createSearchDocument(bookmark, { page = null, visits = null } = {}) {
+  const dates = [bookmark.dateAdded, bookmark.dateLastUsed, visits?.lastVisited, page?.capturedAt]
+    .map((date) => (date ? new Date(date).getTime() : NaN))
+    .filter((time) => !Number.isNaN(time));
+
+  return {
+    id: String(bookmark.id),
+    title: bookmark.title || '',
+    url: bookmark.url || '',
+    tags: (bookmark.tags || []).map((tag) => (typeof tag === 'string' ? tag : tag.name)).join(' '),
+    notes: bookmark.notes || '',
+    description: page?.description || '',
+    content: page?.textContent || '',
+    lastUsed: dates.length > 0 ? Math.max(...dates) : null,
+    visitCount: visits?.count || 0,
+  };
+}
+
+/**
+ * Index store that keeps everything in memory
+ *
+ * Stores hold three things: documents (with the terms and field lengths the index
+ * computed for them), postings (for each term, the documents it appears in and how
+ * often per field) and corpus stats. Other stores implement the same methods.
+ */
+export class MemoryIndexStore {
+  constructor() {
+    this.clear();
+  }
+
+  async getStats() {
+    return this.stats;
+  }
+
+  /**
+   * @returns {Promise<Map<string, string>>} Signature of each indexed document
+   */
+  async getSignatures() {
+    return new Map(Array.from(this.documents.values(), (doc) => [doc.id, doc.signature]));
+  }
+
+  /**
+   * @param {string[]} ids
+   * @returns {Promise<Object[]>} The documents that exist
+   */
+  async getDocuments(ids) {
+    return ids.map((id) => this.documents.get(id)).filter(Boolean);
+  }
+
+  /**
+   * @param {string[]} terms
+   * @returns {Promise<Map<string, Object>>} Postings of each term that has any
+   */
+  async getPostings(terms) {
+    const postings = new Map();
+    for (const term of terms) {
+      if (this.postings.has(term)) postings.set(term, this.postings.get(term));
+    }
+    return postings;
+  }
+
+  /**
+   * @param {string} prefix
+   * @param {number} limit
+   * @returns {Promise<string[]>} Indexed terms that start with the prefix
+   */
+  async findTerms(prefix, limit) {
+    const terms = [];
+    for (const term of this.postings.keys()) {
+      if (term.startsWith(prefix)) terms.push(term);
+    }
+    return terms.sort().slice(0, limit);
+  }
+
+  /**
+   * Apply one batch of changes
+   * @param {Object} changes
+   * @param {Object[]} [changes.documents] - Documents to add or replace
+   * @param {string[]} [changes.removedIds] - Documents to delete
+   * @param {Map<string, Object>} [changes.postings] - Postings to replace; empty
+   *   postings delete the term
+   * @param {Object} [changes.stats]
+   */
+  async write({ documents = [], removedIds = [], postings = new Map(), stats }) {
+    for (const id of removedIds) this.documents.delete(id);
+    for (const doc of documents) this.documents.set(doc.id, doc);
+    for (const [term, docs] of postings) {
+      if (Object.keys(docs).length === 0) {
+        this.postings.delete(term);
+      } else {
+        this.postings.set(term, docs);
+      }
+    }
+    if (stats) this.stats = stats;
+  }
+
+  async clear() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.stats = null;
+  }
+}
+
+/**
+ * Empty corpus stats
+ * @param {Object} fields
+ * @returns {{documentCount: number, fieldLengths: Object}}
+ */
+function emptyStats(fields) {
+  return {
+    documentCount: 0,
+    fieldLengths: Object.fromEntries(Object.keys(fields).map((field) => [field, 0])),
+  };
+}
+
+/**
+ * Inverted index over search documents, scored with BM25F
+ */
+export class FullTextIndex {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store=new MemoryIndexStore()] - Where the index is kept
+   * @param {Object} [options.fields=SEARCH_FIELDS] - Indexed fields and their weights
+   */
+  constructor({ store = new MemoryIndexStore(), fields = SEARCH_FIELDS } = {}) {
+    this.store = store;
+    this.fields = fields;
+    // Index changes read, modify and write postings, so they run one at a time
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run a task after the ones already queued
+   * @param {Function} task
+   * @returns {Promise<*>}
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Signature of a document's contents, to skip documents that haven't changed
+   * @param {SearchDocument} document
+   * @returns {string}
+   */
+  signatureOf(document) {
+    return generateChecksumSync({
+      ...Object.fromEntries(Object.keys(this.fields).map((field) => [field, document[field]])),
+      lastUsed: document.lastUsed,
+      visitCount: document.visitCount,
+    });
+  }
+
+  /**
+   * Add or replace documents and remove others, in batches
+   * @param {SearchDocument[]} documents
+   * @param {string[]} [removedIds]
+   */
+  async update(documents, removedIds = []) {
+    return this.enqueue(async () => {
+      for (let i = 0; i < Math.max(documents.length, removedIds.length); i += INDEX_BATCH_SIZE) {
+        await this.applyBatch(
+          documents.slice(i, i + INDEX_BATCH_SIZE),
+          removedIds.slice(i, i + INDEX_BATCH_SIZE)
+        );
+      }
+    });
+  }
+
+  /**
+   * Remove documents
+   * @param {string[]} ids
+   */
+  async remove(ids) {
+    return this.update([], ids);
+  }
+
+  /**
+   * Bring the index in line with a full set of documents: index new and changed
+   * documents and remove the ones that are gone
+   * @param {SearchDocument[]} documents
+   * @returns {Promise<{indexed: number, removed: number}>}
+   */
+  async sync(documents) {
+    const signatures = await this.store.getSignatures();
+    const currentIds = new Set(documents.map((doc) => doc.id));
+
+    const changed = documents.filter((doc) => signatures.get(doc.id) !== this.signatureOf(doc));
+    const removedIds = Array.from(signatures.keys()).filter((id) => !currentIds.has(id));
+
+    if (changed.length > 0 || removedIds.length > 0) {
+      await this.update(changed, removedIds);
+    }
+    return { indexed: changed.length, removed: removedIds.length };
+  }
+
+  /**
+   * @param {SearchDocument[]} documents
+   * @param {string[]} removedIds
+   */
+  async applyBatch(documents, removedIds) {
+    const fieldNames = Object.keys(this.fields);
+    const replacedIds = documents.map((doc) => doc.id);
+    const previous = await this.store.getDocuments([...replacedIds, ...removedIds]);
+    const stats = structuredClone((await this.store.getStats()) ?? emptyStats(this.fields));
+
+    // Term frequencies per field of each new document
+    const indexed = documents.map((doc) => {
+      const frequencies = new Map();
+      const lengths = {};
+      for (const field of fieldNames) {
+        const terms = tokenize(doc[field]);
+        lengths[field] = terms.length;
+        for (const term of terms) {
+          if (!frequencies.has(term)) frequencies.set(term, {});
+          const counts = frequencies.get(term);
+          counts[field] = (counts[field] || 0) + 1;
+        }
+      }
+      return { doc, frequencies, lengths };
+    });
+
+    const affectedTerms = new Set(previous.flatMap((doc) => doc.terms));
+    for (const { frequencies } of indexed) {
+      for (const term of frequencies.keys()) affectedTerms.add(term);
+    }
+    const postings = await this.store.getPostings(Array.from(affectedTerms));
+    const changedPostings = new Map();
+    const postingsFor = (term) => {
+      if (!changedPostings.has(term)) {
+        changedPostings.set(term, { ...postings.get(term) });
+      }
+      return changedPostings.get(term);
+    };
+
+    for (const doc of previous) {
+      for (const term of doc.terms) delete postingsFor(term)[doc.id];
+      stats.documentCount -= 1;
+      for (const field of fieldNames) stats.fieldLengths[field] -= doc.lengths[field] || 0;
+    }
+
+    const stored = indexed.map(({ doc, frequencies, lengths }) => {
+      for (const [term, counts] of frequencies) postingsFor(term)[doc.id] = counts;
+      stats.documentCount += 1;
+      for (const field of fieldNames) stats.fieldLengths[field] += lengths[field];
+      return {
+        ...doc,
+        signature: this.signatureOf(doc),
+        terms: Array.from(frequencies.keys()),
+        lengths,
+      };
+    });
+
+    await this.store.write({ documents: stored, removedIds, postings: changedPostings, stats });
+  }
+
+  /**
+   * Each query term with the indexed terms that count as a match for it
+   * @param {{terms: string[], prefix: string|null}} query
+   * @returns {Promise<string[][]>}
+   */
+  async expandQuery({ terms, prefix }) {
+    const alternatives = [...new Set(terms)].map((term) => [term]);
+    if (prefix !== null) {
+      alternatives.push(await this.store.findTerms(prefix, PREFIX_EXPANSION_LIMIT));
+    }
+    return alternatives;
+  }
+
+  /**
+   * Documents that match every query term, with their BM25F scores
+   * @param {{terms: string[], prefix: string|null}} query
+   * @returns {Promise<Array<{document: Object, textScore: number}>>}
+   */
+  async match(query) {
+    const stats = await this.store.getStats();
+    if (!stats || stats.documentCount === 0) return [];
+
+    const alternatives = await this.expandQuery(query);
+    const postings = await this.store.getPostings(alternatives.flat());
+
+    let matchingIds = null;
+    for (const candidates of alternatives) {
+      const ids = new Set(candidates.flatMap((term) => Object.keys(postings.get(term) || {})));
+      matchingIds = matchingIds ? new Set([...matchingIds].filter((id) => ids.has(id))) : ids;
+      if (matchingIds.size === 0) return [];
+    }
+
+    const averageLengths = Object.fromEntries(
+      Object.keys(this.fields).map((field) => [
+        field,
+        stats.fieldLengths[field] / stats.documentCount || 1,
+      ])
+    );
+    const documents = await this.store.getDocuments(Array.from(matchingIds));
+
+    return documents.map((document) => {
+      let textScore = 0;
+      for (const candidates of alternatives) {
+        // Words that complete the prefix count once, by the best of them
+        let best = 0;
+        for (const term of candidates) {
+          const docs = postings.get(term);
+          const counts = docs?.[document.id];
+          if (!counts) continue;
+
+          const documentFrequency = Object.keys(docs).length;
+          const idf = Math.log(
+            1 + (stats.documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5)
+          );
+          // Field-weighted term frequency, normalized by field length
+          let frequency = 0;
+          for (const [field, count] of Object.entries(counts)) {
+            const relativeLength = (document.lengths[field] || 0) / averageLengths[field];
+            frequency += (this.fields[field] * count) / (1 - BM25_B + BM25_B * relativeLength);
+          }
+          best = Math.max(best, (idf * frequency * (BM25_K1 + 1)) / (frequency + BM25_K1));
+        }
+        textScore += best;
+      }
+      return { document, textScore };
+    });
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Words to find; the last one may be unfinished
+   * @param {Object} [options] - Ranking options as for blendScore, and:
+   * @param {number} [options.limit=50] - Most results returned
+   * @param {number} [options.snippetLength=160]
+   * @returns {Promise<Array<{id: string, document: SearchDocument, score: number,
+   *   relevance: number, title: Snippet, snippet: Snippet|null}>>} Best first
+   */
+  async search(query, { limit = 50, snippetLength = DEFAULT_SNIPPET_LENGTH, ...options } = {}) {
+    const parsed = parseSearchQuery(query || '');
+    if (parsed.terms.length === 0 && parsed.prefix === null) return [];
+
+    // Let pending updates land first
+    await this.queue;
+    const matches = await this.match(parsed);
+
+    const ranked = rankResults(
+      matches.map(({ document, textScore }) => ({
+        document,
+        textScore,
+        lastUsed: document.lastUsed,
+        visitCount: document.visitCount,
+      })),
+      options
+    ).slice(0, limit);
+
+    return ranked.map(({ document, score, relevance }) => {
+      const fields = Object.fromEntries(DOCUMENT_KEYS.map((key) => [key, document[key]]));
+      const snippetField =
+        SNIPPET_FIELDS.find((field) => findMatches(fields[field], parsed).length > 0) ??
+        SNIPPET_FIELDS.find((field) => fields[field]);
+
+      return {
+        id: fields.id,
+        document: fields,
+        score,
+        relevance,
+        title: { text: fields.title, highlights: findMatches(fields.title, parsed) },
+        snippet: snippetField
+          ? createSnippet(fields[snippetField], parsed, { length: snippetLength })
+          : null,
+      };
+    });
+  }
+
+  /**
+   * Remove everything from the index
+   */
+  async clear() {
+    return this.enqueue(() => this.store.clear());
+  }
+}
+
+export default {
+  tokenize,
+  parseSearchQuery,
+  findMatches,
+  createSnippet,
+  highlightSegments,
+  recencyScore,
+  frequencyScore,
+  blendScore,
+  rankResults,
+  createSearchDocument,
+  MemoryIndexStore,
+  FullTextIndex,
+};
@@ -16,6 +16,7 @@ export {
   flattenBookmarks as flattenBookmarksForDiff,
   areBookmarksEqual,
   detectDeletions,
+  diffBookmarkSnapshots,
   findConflicts,
   getParentPath,
   summarizeChanges,
@@ -30,8 +31,80 @@ export {
   resolveAllConflicts,
   requiresManualResolution,
   createConflictSummary,
+  createConflictRecord,
+  resolveConflictRecord,
 } from './conflict-resolver.js';
 
+// Three-way merge
+export {
+  ROOT_KEYS,
+  indexBookmarkTree,
+  findStableItems,
+  threeWayMerge,
+  countTreeDifferences,
+  mergeFlatItems,
+} from './three-way-merge.js';
+
+// Delta sync
+export {
+  normalizeRootPath,
+  getFlatItemKey,
+  indexFlatItems,
+  diffFlatItems,
+  applyFlatOperations,
+  isValidDeltaOperation,
+} from './delta-sync.js';
+
+// End-to-end encryption
+export {
+  KEYRING_VERSION,
+  DEFAULT_KDF_ITERATIONS,
+  ENCRYPTED_URL_PREFIX,
+  generateDataKey,
+  getKeyId,
+  wrapDataKey,
+  createKeyring,
+  unlockKeyring,
+  formatRecoveryKey,
+  parseRecoveryKey,
+  unlockWithRecoveryKey,
+  deriveItemKeys,
+  encryptValue,
+  decryptValue,
+  isEncryptedItem,
+  encryptFlatItems,
+  decryptFlatItems,
+  encryptTombstones,
+  decryptTombstones,
+  encryptBookmarkFile,
+  decryptBookmarkFile,
+} from './encryption.js';
+
+// Selective sync
+export {
+  SYNC_PROFILE_LIMITS,
+  normalizeSyncPattern,
+  normalizeSyncProfile,
+  isSyncProfileActive,
+  validateSyncProfile,
+  createSyncFilter,
+  getSyncView,
+  mergeSyncView,
+  partitionBySyncProfile,
+} from './selective-sync.js';
+
+// Team shared folders
+export {
+  SHARED_FOLDER_LIMITS,
+  canEditSharedFolders,
+  canManageTeam,
+  isTeamRole,
+  toSharedItem,
+  diffSharedFolder,
+  validateSharedFolderOperations,
+  applySharedFolderOperations,
+} from './shared-folders.js';
+
 // Sync engine
 export { SyncEngine, createSyncEngine } from './sync-engine.js';
 
@@ -65,6 +138,8 @@ export {
   getUpgradeSuggestions,
   VERSION_HISTORY_LIMITS,
   getVersionHistoryLimit,
+  PAGE_CAPTURE_LIMITS,
+  getPageCaptureLimit,
   SYNC_INTERVAL_LIMITS,
   getSyncIntervalOptions,
   canUseScheduledSync,
@@ -75,28 +150,106 @@ export {
 // Smart search (Pro feature)
 export {
   DEFAULT_FUSE_OPTIONS,
+  SEARCH_OPERATORS,
+  IS_OPERATOR_VALUES,
   createSearchEngine,
   searchBookmarks,
   filterByFolder,
+  filterByFolderPath,
   filterByTag,
   filterByDomain,
   filterByDateRange,
+  filterByLinkStatus,
+  filterByTagged,
   applyFilters,
+  parseDateValue,
+  parseQuery,
+  compileSearchQuery,
+  filterByQuery,
   searchAndFilter,
+  getOperatorSuggestions,
 } from './smart-search.js';
 
+// Full-text search over bookmarks and saved pages (Pro feature)
+export {
+  SEARCH_FIELDS,
+  DEFAULT_RANKING_WEIGHTS,
+  tokenize,
+  parseSearchQuery,
+  findMatches,
+  createSnippet,
+  highlightSegments,
+  recencyScore,
+  frequencyScore,
+  blendScore,
+  rankResults,
+  createSearchDocument,
+  MemoryIndexStore,
+  FullTextIndex,
+} from './full-text-search.js';
+
 // Duplicate detection (Pro feature)
 export {
+  CLUSTER_TYPES,
+  DEFAULT_CLUSTER_OPTIONS,
   normalizeUrl,
+  getUrlVariantKey,
   calculateSimilarity,
+  contentFingerprint,
   findDuplicatesByUrl,
   findDuplicatesByTitle,
   findSimilarBookmarks,
   findDuplicates,
+  clusterDuplicates,
   groupDuplicates,
   suggestMerge,
 } from './duplicate-detector.js';
 
+// Rule-based auto-organization
+export {
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  RULE_ACTIONS,
+  RULE_LIMITS,
+  parseRulePattern,
+  resolveRuleFolder,
+  normalizeRule,
+  validateRules,
+  matchesRule,
+  applyRulesToBookmark,
+  planRuleChanges,
+  previewRules,
+  renameRuleTags,
+} from './organize-rules.js';
+
+// Tag suggestions from URLs, titles, page metadata and the user's own tagging
+export {
+  SUGGESTION_SOURCES,
+  DEFAULT_SUGGESTION_OPTIONS,
+  normalizeTagName,
+  tagKey,
+  extractBookmarkWords,
+  readTagMetadata,
+  buildTagModel,
+  suggestTags,
+  suggestTagsForUntagged,
+} from './tag-suggestions.js';
+
+// Nested tags, aliases and renames
+export {
+  TAG_SEPARATOR,
+  TAG_LIMITS,
+  normalizeTagPath,
+  validateTagName,
+  validateTagAliases,
+  getTagAncestors,
+  isTagWithin,
+  renameTagPath,
+  applyTagRenames,
+  resolveTagAliases,
+  buildTagTree,
+} from './tag-hierarchy.js';
+
 // Link checker (Pro feature)
 export {
   LINK_STATUS,
@@ -105,14 +258,40 @@ export {
   extractDomain,
   categorizeStatus,
   createLinkCheckResult,
+  parsePageInfo,
+  isSoftNotFoundPage,
   checkLink,
+  createDomainRateLimiter,
   checkLinks,
   getLinkCheckSummary,
   filterByStatus,
   getBrokenLinks,
   getRedirectedLinks,
+  getUrlRewrites,
 } from './link-checker.js';
 
+// Web archive (Pro feature)
+export {
+  ARCHIVE_PROVIDER,
+  ArchiveProvider,
+  WaybackArchiveProvider,
+  LocalArchiveProvider,
+  createArchiveProvider,
+  toWaybackTimestamp,
+  fromWaybackTimestamp,
+  isArchivedUrl,
+  findArchivedCopies,
+} from './archive.js';
+
+// Page capture for offline reading
+export {
+  MAX_SNAPSHOT_CONTENT_LENGTH,
+  sanitizeHtml,
+  snapshotText,
+  capturePage,
+  fetchPage,
+} from './page-capture.js';
+
 // Import/Export (Pro feature)
 export {
   IMPORT_FORMATS,
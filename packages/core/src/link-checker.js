@@ -19,12 +19,34 @@ export const LINK_STATUS = {
  */
 export const DEFAULT_CHECK_OPTIONS = {
   timeout: 10000, // 10 seconds
-  followRedirects: false,
+  followRedirects: false, // Let fetch follow redirects instead of recording each hop
   maxRedirects: 5,
   userAgent: 'MarkSyncr Link Checker/1.0',
   concurrency: 5,
+  domainInterval: 0, // Minimum ms between two requests to the same host
+  inspectContent: false, // GET pages to detect soft 404s and canonical URLs
+  maxBodyBytes: 32 * 1024, // How much of a page a GET reads
+  isAllowedUrl: null, // (url) => boolean, checked for the link and every redirect target
+  fetch: null, // Used instead of the global fetch, e.g. one that checks where it connects
 };
 
+/**
+ * Statuses sites answer HEAD requests with when they only support GET
+ */
+const HEAD_REJECTED_STATUSES = [400, 403, 405, 406, 501];
+
+/**
+ * Page titles and headings of "not found" pages served with a 200
+ */
+const SOFT_NOT_FOUND_PATTERNS = [
+  /\b404\b/,
+  /\bnot found\b/i,
+  /\bpage (?:does not|doesn't|no longer) exists?\b/i,
+  /\bno longer available\b/i,
+  /\bcould not be found\b/i,
+  /\bpage (?:is )?missing\b/i,
+];
+
 /**
  * Check if a URL is valid for checking
  * @param {string} url - URL to validate
@@ -92,8 +114,12 @@ export function categorizeStatus(statusCode) {
  * @param {string} params.bookmarkId - Bookmark ID
  * @param {string} params.url - URL that was checked
  * @param {string} [params.status] - Link status
- * @param {number} [params.statusCode] - HTTP status code
- * @param {string} [params.redirectUrl] - Redirect URL if applicable
+ * @param {number} [params.statusCode] - HTTP status code of the last response
+ * @param {string} [params.redirectUrl] - Where the redirects lead, if applicable
+ * @param {Array<{url: string, statusCode: number|null}>} [params.redirectChain] - Each
+ *   URL that redirected, in order, with its status code (null when fetch followed it)
+ * @param {string} [params.canonicalUrl] - The page's rel="canonical" URL
+ * @param {boolean} [params.softNotFound] - Whether a working page looks like a "not found" page
  * @param {string} [params.errorMessage] - Error message if applicable
  * @returns {Object} Link check result
  */
@@ -103,6 +129,9 @@ export function createLinkCheckResult({
   status = LINK_STATUS.UNKNOWN,
   statusCode = null,
   redirectUrl = null,
+  redirectChain = [],
+  canonicalUrl = null,
+  softNotFound = false,
   errorMessage = null,
 }) {
   return {
@@ -111,17 +140,155 @@ export function createLinkCheckResult({
     status,
     statusCode,
     redirectUrl,
+    redirectChain,
+    canonicalUrl,
+    softNotFound,
     errorMessage,
     checkedAt: new Date(),
   };
 }
 
+/**
+ * Resolve a Location header against the URL that sent it
+ * @param {string} location - Location header value
+ * @param {string} base - URL of the redirecting response
+ * @returns {string|null} Absolute URL, or null if it isn't a web URL
+ */
+export function resolveRedirectLocation(location, base) {
+  try {
+    const resolved = isValidUrl(location) ? location : new URL(location, base).href;
+    return isValidUrl(resolved) ? resolved : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stop downloading a response we won't read
+ */
+function discardBody(response) {
+  response.body?.cancel?.().catch(() => {});
+}
+
+/**
+ * Read the start of a response body as text, then stop the download
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @returns {Promise<string>}
+ */
+export async function readBodyText(response, maxBytes) {
+  const reader = response.body?.getReader?.();
+  if (!reader) {
+    const text = typeof response.text === 'function' ? await response.text() : '';
+    return text.slice(0, maxBytes);
+  }
+
+  const bytes = new Uint8Array(maxBytes);
+  let size = 0;
+  try {
+    while (size < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = value.subarray(0, maxBytes - size);
+      bytes.set(chunk, size);
+      size += chunk.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  return new TextDecoder().decode(bytes.subarray(0, size));
+}
+
+/**
+ * Text of an HTML fragment, without tags and with the common entities decoded
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Pull what the checker looks at out of the start of an HTML page
+ * @param {string} html - Page source, possibly cut off
+ * @param {string} baseUrl - URL of the page, to resolve a relative canonical URL
+ * @returns {{title: string|null, heading: string|null, canonicalUrl: string|null}}
+ */
+export function parsePageInfo(html, baseUrl) {
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const heading = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+
+  let canonicalUrl = null;
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    if (!/\brel\s*=\s*["']?canonical\b/i.test(tag)) continue;
+    const href = tag.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const value = href && htmlText(href[1] ?? href[2] ?? href[3]);
+    canonicalUrl = value ? resolveRedirectLocation(value, baseUrl) : null;
+    break;
+  }
+
+  return {
+    title: title ? htmlText(title[1]) || null : null,
+    heading: heading ? htmlText(heading[1]) || null : null,
+    canonicalUrl,
+  };
+}
+
+/**
+ * Whether a page served as working says it doesn't exist
+ * Only the title and first heading are looked at; body text mentions "404" or
+ * "not found" far too often to go by.
+ * @param {{title: string|null, heading: string|null}} page - From parsePageInfo
+ * @returns {boolean}
+ */
+export function isSoftNotFoundPage({ title, heading }) {
+  return [title, heading].some(
+    (text) => text && SOFT_NOT_FOUND_PATTERNS.some((pattern) => pattern.test(text))
+  );
+}
+
+/**
+ * Whether a deep link redirects to the front page of a site, which is how many sites
+ * answer requests for pages they removed
+ * @param {string} url - Checked URL
+ * @param {string} finalUrl - Where its redirects lead
+ * @returns {boolean}
+ */
+function redirectsToFrontPage(url, finalUrl) {
+  const from = new URL(url);
+  const to = new URL(finalUrl);
+  return from.pathname !== '/' && to.pathname === '/' && !to.search;
+}
+
 /**
  * Check a single link
+ *
+ * Starts with a HEAD request and falls back to GET for sites that reject HEAD; with
+ * inspectContent pages are always fetched with GET. GETs read at most maxBodyBytes.
+ * Redirects are followed one hop at a time, up to maxRedirects, so the result
+ * records the whole chain. A link whose redirects end on a working page is a
+ * REDIRECT; one that ends on an error, loops or redirects too often is BROKEN, and
+ * so is a working page that looks like a "not found" page.
+ *
+ * With isAllowedUrl, an address it refuses is never requested, whether it is the link
+ * or a redirect target, and the link is BROKEN. A server checking its users' links
+ * uses it to keep them from reaching its own network. fetch is never left to follow
+ * redirects then, since it would request the targets unchecked.
+ *
  * @param {Object} params - Check parameters
  * @param {string} params.bookmarkId - Bookmark ID
  * @param {string} params.url - URL to check
- * @param {Object} [options] - Check options
+ * @param {Object} [options] - Check options, see DEFAULT_CHECK_OPTIONS
  * @returns {Promise<Object>} Link check result
  */
 export async function checkLink({ bookmarkId, url }, options = {}) {
@@ -137,29 +304,101 @@ export async function checkLink({ bookmarkId, url }, options = {}) {
     });
   }
 
-  try {
-    // Create abort controller for timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), opts.timeout);
+  // Create abort controller for timeout; it covers the whole chain and body reads
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), opts.timeout);
 
-    const response = await fetch(url, {
-      method: 'HEAD',
-      redirect: opts.followRedirects ? 'follow' : 'manual',
+  const followRedirects = opts.followRedirects && !opts.isAllowedUrl;
+  const load = opts.fetch ?? fetch;
+  const request = (target, method, redirect = followRedirects ? 'follow' : 'manual') =>
+    load(target, {
+      method,
+      redirect,
       signal: controller.signal,
       headers: {
         'User-Agent': opts.userAgent,
       },
     });
 
-    clearTimeout(timeoutId);
+  const notAllowed = (redirectChain) =>
+    createLinkCheckResult({
+      bookmarkId,
+      url,
+      status: LINK_STATUS.BROKEN,
+      redirectChain,
+      errorMessage: 'Address is not allowed',
+    });
+
+  try {
+    const redirectChain = [];
+    const visited = new Set([url]);
+    let current = url;
+    let method = opts.inspectContent ? 'GET' : 'HEAD';
+    let response;
+
+    for (;;) {
+      if (opts.isAllowedUrl && !opts.isAllowedUrl(current)) {
+        return notAllowed(redirectChain);
+      }
+
+      response = await request(current, method);
+      if (method === 'HEAD' && HEAD_REJECTED_STATUSES.includes(response.status)) {
+        method = 'GET';
+        response = await request(current, method);
+      }
+
+      // Browsers hide where manual redirects lead; let fetch follow them instead
+      if (response.type === 'opaqueredirect' && !opts.isAllowedUrl) {
+        response = await request(current, method, 'follow');
+      }
+      if (response.redirected && response.url && response.url !== current) {
+        redirectChain.push({ url: current, statusCode: null });
+        current = response.url;
+      }
+
+      const location =
+        categorizeStatus(response.status) === LINK_STATUS.REDIRECT
+          ? response.headers?.get('location')
+          : null;
+      const next = location ? resolveRedirectLocation(location, current) : null;
+      if (!next) break;
+
+      discardBody(response);
+      redirectChain.push({ url: current, statusCode: response.status });
+      if (visited.has(next) || redirectChain.length > opts.maxRedirects) {
+        return createLinkCheckResult({
+          bookmarkId,
+          url,
+          status: LINK_STATUS.BROKEN,
+          statusCode: response.status,
+          redirectChain,
+          errorMessage: visited.has(next) ? 'Redirect loop' : 'Too many redirects',
+        });
+      }
+      visited.add(next);
+      current = next;
+    }
 
     const statusCode = response.status;
-    const status = categorizeStatus(statusCode);
+    let status = categorizeStatus(statusCode);
+    let canonicalUrl = null;
+    let softNotFound = false;
+
+    const isHtml = (response.headers?.get('content-type') || '').includes('html');
+    if (status === LINK_STATUS.VALID && method === 'GET' && isHtml) {
+      const page = parsePageInfo(await readBodyText(response, opts.maxBodyBytes), current);
+      canonicalUrl = page.canonicalUrl;
+      softNotFound = isSoftNotFoundPage(page);
+    } else {
+      discardBody(response);
+    }
 
-    // Get redirect URL if applicable
-    let redirectUrl = null;
-    if (status === LINK_STATUS.REDIRECT) {
-      redirectUrl = response.headers.get('location');
+    if (status === LINK_STATUS.VALID && redirectChain.length > 0) {
+      softNotFound = softNotFound || redirectsToFrontPage(url, current);
+      status = LINK_STATUS.REDIRECT;
+    }
+    if (softNotFound) {
+      status = LINK_STATUS.BROKEN;
     }
 
     return createLinkCheckResult({
@@ -167,7 +406,11 @@ export async function checkLink({ bookmarkId, url }, options = {}) {
       url,
       status,
       statusCode,
-      redirectUrl,
+      redirectUrl: redirectChain.length > 0 ? current : null,
+      redirectChain,
+      canonicalUrl,
+      softNotFound,
+      errorMessage: softNotFound ? 'Page looks like a "not found" page' : null,
     });
   } catch (error) {
     // Handle timeout
@@ -187,20 +430,53 @@ export async function checkLink({ bookmarkId, url }, options = {}) {
       status: LINK_STATUS.BROKEN,
       errorMessage: error.message,
     });
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
+/**
+ * Create a limiter that spaces out requests to the same host, so checking a library
+ * with hundreds of links on one site doesn't hammer it
+ * @param {number} interval - Minimum milliseconds between two requests to one host
+ * @param {Object} [clock] - Overridable for tests
+ * @param {() => number} [clock.now]
+ * @param {(ms: number) => Promise<void>} [clock.sleep]
+ * @returns {(url: string) => Promise<void>} Resolves when a request to the URL may start
+ */
+export function createDomainRateLimiter(
+  interval,
+  { now = Date.now, sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)) } = {}
+) {
+  const nextSlots = new Map();
+
+  return async (url) => {
+    const domain = extractDomain(url);
+    if (!domain || !(interval > 0)) return;
+
+    // Reserve the slot before waiting, so concurrent callers queue up behind it
+    const current = now();
+    const slot = Math.max(current, nextSlots.get(domain) ?? 0);
+    nextSlots.set(domain, slot + interval);
+
+    if (slot > current) {
+      await sleep(slot - current);
+    }
+  };
+}
+
 /**
  * Check multiple links with concurrency control
  * @param {Array} bookmarks - Array of bookmarks with id and url
  * @param {Object} [options] - Check options
  * @param {number} [options.concurrency] - Max concurrent requests
+ * @param {number} [options.domainInterval] - Minimum ms between requests to one host
  * @param {Function} [options.onProgress] - Progress callback
- * @returns {Promise<Array>} Array of link check results
+ * @returns {Promise<Array>} Array of link check results, in bookmark order
  */
 export async function checkLinks(bookmarks, options = {}) {
   const opts = { ...DEFAULT_CHECK_OPTIONS, ...options };
-  const { concurrency = 5, onProgress } = opts;
+  const { concurrency = 5, domainInterval, onProgress } = opts;
 
   // Filter bookmarks with valid URLs
   const validBookmarks = bookmarks.filter((b) => b.url && isValidUrl(b.url));
@@ -209,39 +485,36 @@ export async function checkLinks(bookmarks, options = {}) {
     return [];
   }
 
-  const results = [];
+  const results = new Array(validBookmarks.length);
+  const waitForDomain = createDomainRateLimiter(domainInterval);
+  let next = 0;
   let completed = 0;
   const total = validBookmarks.length;
 
-  // Process in batches for concurrency control
-  const processBatch = async (batch) => {
-    const batchResults = await Promise.all(
-      batch.map(async (bookmark) => {
-        const result = await checkLink({ bookmarkId: bookmark.id, url: bookmark.url }, opts);
-
-        completed++;
-        if (onProgress) {
-          onProgress({
-            completed,
-            total,
-            current: result,
-            percentage: Math.round((completed / total) * 100),
-          });
-        }
-
-        return result;
-      })
-    );
-
-    return batchResults;
+  // Each worker takes the next unchecked bookmark, so a worker waiting for a busy
+  // host doesn't hold up the others
+  const worker = async () => {
+    while (next < total) {
+      const position = next++;
+      const bookmark = validBookmarks[position];
+
+      await waitForDomain(bookmark.url);
+      const result = await checkLink({ bookmarkId: bookmark.id, url: bookmark.url }, opts);
+      results[position] = result;
+
+      completed++;
+      if (onProgress) {
+        onProgress({
+          completed,
+          total,
+          current: result,
+          percentage: Math.round((completed / total) * 100),
+        });
+      }
+    }
   };
 
-  // Split into batches
-  for (let i = 0; i < validBookmarks.length; i += concurrency) {
-    const batch = validBookmarks.slice(i, i + concurrency);
-    const batchResults = await processBatch(batch);
-    results.push(...batchResults);
-  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, total)) }, worker));
 
   return results;
 }
@@ -312,6 +585,32 @@ export function getRedirectedLinks(results) {
   return filterByStatus(results, LINK_STATUS.REDIRECT);
 }
 
+/**
+ * Bookmarks to point at their new address, for rewriting them in bulk: redirected
+ * links get the URL their redirects lead to. With preferCanonical, links whose page
+ * names another canonical URL get that instead.
+ * @param {Array} results - Array of link check results
+ * @param {Object} [options]
+ * @param {boolean} [options.preferCanonical] - Use canonical URLs when pages have one
+ * @returns {Array<{bookmarkId: string, url: string, newUrl: string}>}
+ */
+export function getUrlRewrites(results, { preferCanonical = false } = {}) {
+  return results.flatMap((result) => {
+    if (result.status !== LINK_STATUS.VALID && result.status !== LINK_STATUS.REDIRECT) {
+      return [];
+    }
+
+    const newUrl =
+      (preferCanonical && result.canonicalUrl) ||
+      (result.status === LINK_STATUS.REDIRECT ? result.redirectUrl : null);
+    if (!isValidUrl(newUrl) || newUrl === result.url) {
+      return [];
+    }
+
+    return [{ bookmarkId: result.bookmarkId, url: result.url, newUrl }];
+  });
+}
+
 export default {
   LINK_STATUS,
   DEFAULT_CHECK_OPTIONS,
@@ -319,10 +618,14 @@ export default {
   extractDomain,
   categorizeStatus,
   createLinkCheckResult,
+  parsePageInfo,
+  isSoftNotFoundPage,
   checkLink,
+  createDomainRateLimiter,
   checkLinks,
   getLinkCheckSummary,
   filterByStatus,
   getBrokenLinks,
   getRedirectedLinks,
+  getUrlRewrites,
 };
@@ -0,0 +1,541 @@
+/**
+ * @fileoverview Rule-based auto-organization
+ * A rule pairs conditions on a bookmark's URL, domain, title, folder and tags with
+ * actions that move, tag, untag, rename or archive it, e.g. "if the domain is
+ * github.com, tag it code and move it to Dev/GitHub". Rules run in order, each one
+ * seeing what the rules before it did, on new bookmarks and on demand over the whole
+ * library; a dry run plans the changes as SyncChanges and previews them with
+ * applyChanges.
+ */
+
+import { CHANGE_TYPE } from '@marksyncr/types';
+import { applyChanges, flattenBookmarks, getParentPath, summarizeChanges } from './diff-engine.js';
+import { normalizeRootPath } from './delta-sync.js';
+import { isTagWithin, renameTagPath } from './tag-hierarchy.js';
+
+/**
+ * @typedef {import('@marksyncr/types').BookmarkData} BookmarkData
+ * @typedef {import('@marksyncr/types').BookmarkItem} BookmarkItem
+ * @typedef {import('@marksyncr/types').SyncChange} SyncChange
+ */
+
+/**
+ * @typedef {Object} RuleCondition
+ * @property {'url'|'domain'|'title'|'folder'|'tags'} field
+ * @property {'is'|'contains'|'startsWith'|'endsWith'|'matches'} operator
+ * @property {string} value - Text to compare, or a regex ("invoice" or "/invoice/i")
+ *   for matches
+ * @property {boolean} [negate] - Match when the comparison fails
+ */
+
+/**
+ * @typedef {Object} RuleAction
+ * @property {'move'|'tag'|'untag'|'rename'|'archive'} type
+ * @property {string} [value] - Folder for move, tag for tag/untag, title template
+ *   for rename; archive takes none
+ */
+
+/**
+ * @typedef {Object} OrganizeRule
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} enabled
+ * @property {'all'|'any'} match - Whether every condition or any one must hold
+ * @property {RuleCondition[]} conditions
+ * @property {RuleAction[]} actions
+ * @property {boolean} stop - Skip the rules after this one when it matches
+ */
+
+/**
+ * Fields a condition can test
+ */
+export const RULE_FIELDS = ['url', 'domain', 'title', 'folder', 'tags'];
+
+/**
+ * Comparisons a condition can make; all ignore case
+ */
+export const RULE_OPERATORS = ['is', 'contains', 'startsWith', 'endsWith', 'matches'];
+
+/**
+ * Actions a rule can take
+ */
+export const RULE_ACTIONS = ['move', 'tag', 'untag', 'rename', 'archive'];
+
+/**
+ * Limits on the rules a user keeps
+ */
+export const RULE_LIMITS = {
+  maxRules: 100,
+  maxConditions: 20,
+  maxActions: 10,
+  maxValueLength: 500,
+};
+
+const ROOT_KEYS = ['toolbar', 'menu', 'other'];
+
+const REGEX_LITERAL_PATTERN = /^\/(.+)\/([a-z]*)$/s;
+
+/**
+ * Compiles the value of a matches condition. "/invoice/i" is a regex literal; any
+ * other text is a pattern that ignores case.
+ * @param {string} value
+ * @returns {RegExp|null} null if the pattern is invalid
+ */
+export const parseRulePattern = (value) => {
+  const literal = REGEX_LITERAL_PATTERN.exec(value ?? '');
+  try {
+    return literal
+      ? new RegExp(literal[1], literal[2].replace(/[gy]/g, ''))
+      : new RegExp(value ?? '', 'i');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Gets a URL's host without a leading www.
+ * @param {string} url
+ * @returns {string} Empty if the URL doesn't parse
+ */
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Gets a tag's name; bookmarks carry tags as names or as {name} objects
+ * @param {string|{name: string}} tag
+ * @returns {string}
+ */
+const getTagName = (tag) => (typeof tag === 'string' ? tag : tag?.name || '');
+
+/**
+ * Normalizes a folder path the way diff-engine paths are written:
+ * toolbar/menu/other roots, no stray slashes
+ * @param {string} [path]
+ * @returns {string}
+ */
+const normalizeFolder = (path) =>
+  normalizeRootPath((path || '').trim().replace(/^\/+/, ''))
+    .split('/')
+    .filter(Boolean)
+    .join('/');
+
+/**
+ * Resolves a move target against the folder a bookmark is in. A path that doesn't
+ * start with a root folder is placed under the bookmark's own root, so "Dev/GitHub"
+ * moves a toolbar bookmark to toolbar/Dev/GitHub.
+ * @param {string} target - Folder from the rule
+ * @param {string} folderPath - Normalized folder the bookmark is in
+ * @returns {string} Normalized folder path
+ */
+export const resolveRuleFolder = (target, folderPath) => {
+  const folder = normalizeFolder(target);
+  const [first] = folder.split('/');
+  if (ROOT_KEYS.includes(first.toLowerCase())) {
+    return [first.toLowerCase(), ...folder.split('/').slice(1)].join('/');
+  }
+  const root = normalizeFolder(folderPath).split('/')[0] || 'other';
+  return folder ? `${root}/${folder}` : root;
+};
+
+/**
+ * Normalizes one rule, filling in defaults
+ * @param {Object} rule
+ * @param {number} [index] - Position, for rules saved without an id
+ * @returns {OrganizeRule}
+ */
+export const normalizeRule = (rule, index = 0) => ({
+  id: rule?.id || `rule-${index + 1}`,
+  name: (rule?.name || '').trim() || `Rule ${index + 1}`,
+  enabled: rule?.enabled !== false,
+  match: rule?.match === 'any' ? 'any' : 'all',
+  conditions: (rule?.conditions || []).map((condition) => ({
+    field: condition.field,
+    operator: condition.operator || 'contains',
+    value: condition.value ?? '',
+    negate: !!condition.negate,
+  })),
+  actions: (rule?.actions || []).map((action) =>
+    action.type === 'archive'
+      ? { type: 'archive' }
+      : { type: action.type, value: action.value ?? '' }
+  ),
+  stop: !!rule?.stop,
+});
+
+/**
+ * Validates rules sent by a client
+ * @param {*} rules
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export const validateRules = (rules) => {
+  const errors = [];
+
+  if (!Array.isArray(rules)) {
+    return { valid: false, errors: ['Rules must be an array'] };
+  }
+  if (rules.length > RULE_LIMITS.maxRules) {
+    errors.push(`At most ${RULE_LIMITS.maxRules} rules are allowed`);
+  }
+
+  const checkValue = (value, where) => {
+    if (typeof value !== 'string') {
+      errors.push(`${where} must be a string`);
+    } else if (value.length > RULE_LIMITS.maxValueLength) {
+      errors.push(`${where} is longer than ${RULE_LIMITS.maxValueLength} characters`);
+    }
+  };
+
+  rules.forEach((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+
+    const { conditions, actions } = rule;
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+      errors.push(`${at} needs at least one condition`);
+    } else if (conditions.length > RULE_LIMITS.maxConditions) {
+      errors.push(`${at} can have at most ${RULE_LIMITS.maxConditions} conditions`);
+    } else {
+      conditions.forEach((condition, j) => {
+        const where = `${at}.conditions[${j}]`;
+        if (!RULE_FIELDS.includes(condition?.field)) {
+          errors.push(`${where} has an unknown field`);
+        }
+        if (condition?.operator !== undefined && !RULE_OPERATORS.includes(condition.operator)) {
+          errors.push(`${where} has an unknown operator`);
+        }
+        checkValue(condition?.value, `${where}.value`);
+        if (condition?.operator === 'matches' && !parseRulePattern(condition.value)) {
+          errors.push(`${where} is not a valid pattern`);
+        }
+      });
+    }
+
+    if (!Array.isArray(actions) || actions.length === 0) {
+      errors.push(`${at} needs at least one action`);
+    } else if (actions.length > RULE_LIMITS.maxActions) {
+      errors.push(`${at} can have at most ${RULE_LIMITS.maxActions} actions`);
+    } else {
+      actions.forEach((action, j) => {
+        const where = `${at}.actions[${j}]`;
+        if (!RULE_ACTIONS.includes(action?.type)) {
+          errors.push(`${where} has an unknown type`);
+        } else if (action.type !== 'archive') {
+          checkValue(action.value, `${where}.value`);
+          if (typeof action.value === 'string' && !action.value.trim()) {
+            errors.push(`${where}.value is required`);
+          }
+        }
+      });
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+// Compiled patterns of matches conditions, so a run over the library compiles each once
+const patternCache = new Map();
+
+/**
+ * Compares one text against a condition
+ * @param {string} text
+ * @param {RuleCondition} condition
+ * @returns {boolean}
+ */
+const compare = (text, { operator, value }) => {
+  const subject = (text || '').toLowerCase();
+  const wanted = (value || '').toLowerCase();
+  switch (operator) {
+    case 'is':
+      return subject === wanted;
+    case 'startsWith':
+      return subject.startsWith(wanted);
+    case 'endsWith':
+      return subject.endsWith(wanted);
+    case 'matches': {
+      if (!patternCache.has(value)) patternCache.set(value, parseRulePattern(value));
+      return patternCache.get(value)?.test(text || '') ?? false;
+    }
+    default:
+      return subject.includes(wanted);
+  }
+};
+
+/**
+ * Tests one condition. A domain "is" a site's domain or any of its subdomains; a
+ * folder is compared with and without its root, so "Reading" and "toolbar/Reading"
+ * both name the toolbar's Reading folder; tags hold when any tag does, and a tag "is"
+ * a parent tag when it is nested under it.
+ * @param {Object} bookmark - {url, title, folderPath, tags}
+ * @param {RuleCondition} condition
+ * @returns {boolean}
+ */
+const testCondition = (bookmark, condition) => {
+  let result;
+  switch (condition.field) {
+    case 'domain': {
+      const domain = getDomain(bookmark.url);
+      const wanted = (condition.value || '').toLowerCase().replace(/^www\./, '');
+      result =
+        condition.operator === 'is'
+          ? !!domain && (domain === wanted || domain.endsWith(`.${wanted}`))
+          : compare(domain, condition);
+      break;
+    }
+    case 'folder': {
+      const folder = normalizeFolder(bookmark.folderPath);
+      const wanted = { ...condition, value: normalizeFolder(condition.value) };
+      const relative = folder.split('/').slice(1).join('/');
+      result =
+        condition.operator === 'matches'
+          ? compare(folder, condition) || compare(relative, condition)
+          : compare(folder, wanted) || compare(relative, wanted);
+      break;
+    }
+    case 'tags':
+      result = (bookmark.tags || []).some((tag) =>
+        condition.operator === 'is'
+          ? isTagWithin(tag, condition.value)
+          : compare(getTagName(tag), condition)
+      );
+      break;
+    case 'url':
+    case 'title':
+      result = compare(bookmark[condition.field], condition);
+      break;
+    default:
+      result = false;
+  }
+  return condition.negate ? !result : result;
+};
+
+/**
+ * Checks whether a normalized rule applies to a bookmark
+ * @param {Object} bookmark
+ * @param {OrganizeRule} rule
+ * @returns {boolean}
+ */
+const ruleApplies = (bookmark, { enabled, match, conditions }) => {
+  if (!enabled || conditions.length === 0) return false;
+  return match === 'any'
+    ? conditions.some((condition) => testCondition(bookmark, condition))
+    : conditions.every((condition) => testCondition(bookmark, condition));
+};
+
+/**
+ * Checks whether a rule applies to a bookmark
+ * @param {Object} bookmark - {url, title, folderPath, tags}
+ * @param {Object} rule
+ * @returns {boolean}
+ */
+export const matchesRule = (bookmark, rule) => ruleApplies(bookmark, normalizeRule(rule));
+
+/**
+ * Fills a rename template: {title} is the current title and {domain} the site
+ * @param {string} template
+ * @param {Object} bookmark
+ * @returns {string}
+ */
+const renameTitle = (template, bookmark) =>
+  template
+    .replace(/\{title\}/gi, bookmark.title || '')
+    .replace(/\{domain\}/gi, getDomain(bookmark.url))
+    .trim();
+
+/**
+ * Runs normalized rules over one bookmark
+ * @param {Object} bookmark
+ * @param {OrganizeRule[]} rules
+ * @returns {{bookmark: Object, changed: boolean, archive: boolean, ruleIds: string[]}}
+ */
+const runRules = (bookmark, rules) => {
+  const before = {
+    title: bookmark.title || '',
+    folderPath: normalizeFolder(bookmark.folderPath),
+    tags: (bookmark.tags || []).map(getTagName).filter(Boolean),
+  };
+  const current = { ...bookmark, ...before, tags: [...before.tags] };
+  const ruleIds = [];
+  let archive = false;
+
+  for (const rule of rules) {
+    if (!ruleApplies(current, rule)) continue;
+    ruleIds.push(rule.id);
+
+    for (const action of rule.actions) {
+      const value = (action.value || '').trim();
+      const has = (tag) => current.tags.some((t) => t.toLowerCase() === tag.toLowerCase());
+      switch (action.type) {
+        case 'move':
+          current.folderPath = resolveRuleFolder(value, current.folderPath);
+          break;
+        case 'tag':
+          if (value && !has(value)) current.tags.push(value);
+          break;
+        case 'untag':
+          current.tags = current.tags.filter((t) => t.toLowerCase() !== value.toLowerCase());
+          break;
+        case 'rename':
+          current.title = renameTitle(value, current) || current.title;
+          break;
+        case 'archive':
+          archive = true;
+          break;
+      }
+    }
+
+    if (rule.stop) break;
+  }
+
+  const changed =
+    current.title !== before.title ||
+    current.folderPath !== before.folderPath ||
+    current.tags.length !== before.tags.length ||
+    current.tags.some((tag, i) => tag !== before.tags[i]);
+
+  return { bookmark: current, changed, archive, ruleIds };
+};
+
+/**
+ * Runs rules over one bookmark
+ * @param {Object} bookmark - {url, title, folderPath, tags}; folderPath may use
+ *   browser root names
+ * @param {Object[]} rules
+ * @returns {{bookmark: Object, changed: boolean, archive: boolean, ruleIds: string[]}}
+ *   The bookmark as the rules leave it, with a normalized folderPath and tag names
+ */
+export const applyRulesToBookmark = (bookmark, rules = []) =>
+  runRules(bookmark, rules.map(normalizeRule));
+
+/**
+ * Plans what rules would do to a library. Each bookmark they change becomes one
+ * SyncChange: MOVED when its folder changes, MODIFIED otherwise, with the rules
+ * that matched in ruleIds.
+ * @param {BookmarkData} bookmarks
+ * @param {Object[]} rules
+ * @returns {{changes: SyncChange[], archive: BookmarkItem[]}} Changes, and the
+ *   bookmarks to save to the web archive
+ */
+export const planRuleChanges = (bookmarks, rules = []) => {
+  const changes = [];
+  const archive = [];
+  const normalized = rules.map(normalizeRule).filter((rule) => rule.enabled);
+  if (normalized.length === 0) {
+    return { changes, archive };
+  }
+
+  for (const { item, path } of flattenBookmarks(bookmarks).values()) {
+    if (!item.url) continue;
+
+    const folderPath = getParentPath(path);
+    const result = runRules({ ...item, folderPath }, normalized);
+    if (result.archive) archive.push(item);
+    if (!result.changed) continue;
+
+    const after = { ...item, title: result.bookmark.title, tags: result.bookmark.tags };
+    const moved = result.bookmark.folderPath !== folderPath;
+    changes.push({
+      type: moved ? CHANGE_TYPE.MOVED : CHANGE_TYPE.MODIFIED,
+      path,
+      ...(moved && { newPath: `${result.bookmark.folderPath}/${after.title}` }),
+      before: item,
+      after,
+      ruleIds: result.ruleIds,
+    });
+  }
+
+  return { changes, archive };
+};
+
+/**
+ * Lists the folder paths in a tree
+ * @param {BookmarkData} bookmarks
+ * @returns {Set<string>}
+ */
+const collectFolderPaths = (bookmarks) => {
+  const paths = new Set();
+  const traverse = (items, path) => {
+    for (const item of items || []) {
+      if (item.url || !item.children) continue;
+      const folderPath = `${path}/${item.title}`;
+      paths.add(folderPath);
+      traverse(item.children, folderPath);
+    }
+  };
+  for (const root of ROOT_KEYS) {
+    traverse(bookmarks?.[root]?.children, root);
+  }
+  return paths;
+};
+
+/**
+ * Dry run: what rules would change, without touching the library
+ * @param {BookmarkData} bookmarks
+ * @param {Object[]} rules
+ * @returns {{changes: SyncChange[], archive: BookmarkItem[], summary: Object,
+ *   newFolders: string[], result: BookmarkData}} The planned changes, their
+ *   summary, folders the moves would create and the library as it would end up
+ */
+export const previewRules = (bookmarks, rules = []) => {
+  const { changes, archive } = planRuleChanges(bookmarks, rules);
+  const result = applyChanges(bookmarks, changes);
+  const existing = collectFolderPaths(bookmarks);
+  const newFolders = [...collectFolderPaths(result)].filter((path) => !existing.has(path));
+
+  return { changes, archive, summary: summarizeChanges(changes), newFolders, result };
+};
+
+/**
+ * Carries tag renames over to rules, so a rule that tagged "js" tags "javascript"
+ * once js was renamed. Patterns are left alone.
+ * @param {OrganizeRule[]} rules
+ * @param {Array<{from: string, to: string}>} renames - Oldest first
+ * @returns {{rules: OrganizeRule[], changed: boolean}}
+ */
+export const renameRuleTags = (rules, renames) => {
+  let changed = false;
+  const rename = (value) => {
+    const renamed = renames.reduce((name, change) => renameTagPath(name, change), value);
+    if (renamed !== value) changed = true;
+    return renamed;
+  };
+
+  const result = (rules || []).map((rule) => ({
+    ...rule,
+    conditions: (rule.conditions || []).map((condition) =>
+      condition.field === 'tags' && condition.operator !== 'matches'
+        ? { ...condition, value: rename(condition.value) }
+        : condition
+    ),
+    actions: (rule.actions || []).map((action) =>
+      action.type === 'tag' || action.type === 'untag'
+        ? { ...action, value: rename(action.value) }
+        : action
+    ),
+  }));
+
+  return { rules: changed ? result : rules, changed };
+};
+
+export default {
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  RULE_ACTIONS,
+  RULE_LIMITS,
+  parseRulePattern,
+  resolveRuleFolder,
+  normalizeRule,
+  validateRules,
+  matchesRule,
+  applyRulesToBookmark,
+  planRuleChanges,
+  previewRules,
+  renameRuleTags,
+};
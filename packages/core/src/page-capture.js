@@ -0,0 +1,488 @@
+/**
+ * @fileoverview Readable page snapshots for offline reading
+ * Turns a page's HTML into a snapshot of what's worth reading in it: the article as
+ * sanitized HTML and plain text, its main image and the page's metadata.
+ *
+ * There is no DOM on the server or in the extension's service worker, so pages are
+ * read with a small tokenizer. Snapshot HTML is never copied from the page: it is
+ * rebuilt from an allowlist of tags and attributes, with every text run and attribute
+ * value escaped again, so it is safe to render.
+ */
+
+import {
+  isValidUrl,
+  parsePageInfo,
+  readBodyText,
+  resolveRedirectLocation,
+} from './link-checker.js';
+
+/**
+ * Longest snapshot content kept, in characters of sanitized HTML
+ */
+export const MAX_SNAPSHOT_CONTENT_LENGTH = 100 * 1024;
+
+const EXCERPT_LENGTH = 200;
+
+const DEFAULT_FETCH_OPTIONS = {
+  timeout: 15000,
+  // Enough for the article of all but the heaviest pages
+  maxBytes: 2 * 1024 * 1024,
+  maxRedirects: 5,
+  isAllowedUrl: isValidUrl,
+  fetch: null,
+};
+
+/**
+ * Elements kept in snapshots, with the attributes each may keep
+ * @type {Record<string, string[]>}
+ */
+const ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  abbr: ['title'],
+  b: [],
+  blockquote: [],
+  br: [],
+  caption: [],
+  code: [],
+  dd: [],
+  del: [],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'title'],
+  li: [],
+  mark: [],
+  ol: [],
+  p: [],
+  pre: [],
+  q: [],
+  s: [],
+  small: [],
+  strong: [],
+  sub: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['colspan', 'rowspan'],
+  tfoot: [],
+  th: ['colspan', 'rowspan'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: [],
+};
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Elements dropped together with everything inside them: code, embedded content,
+// forms and page chrome
+const DROPPED_TAGS = new Set([
+  'aside',
+  'button',
+  'canvas',
+  'embed',
+  'footer',
+  'form',
+  'head',
+  'header',
+  'iframe',
+  'math',
+  'nav',
+  'noscript',
+  'object',
+  'script',
+  'select',
+  'style',
+  'svg',
+  'template',
+  'textarea',
+]);
+
+// Tags that separate words; inline tags like <em> don't
+const BLOCK_TAG_PATTERN =
+  /<\/?(?:blockquote|br|caption|dd|dl|dt|figcaption|figure|h[1-6]|hr|img|li|ol|p|pre|table|tbody|td|tfoot|th|thead|tr|ul)\b[^>]*>/gi;
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const IMAGE_PROTOCOLS = ['http:', 'https:'];
+
+// Comments, tags (attribute values may contain ">"), doctypes and processing instructions
+const TOKEN_PATTERN =
+  /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<![^>]*>|<\?[^>]*>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  copy: '©',
+};
+
+/**
+ * Decode the character references in HTML text
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] !== '#') return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+
+    const point =
+      code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  });
+}
+
+/**
+ * Escape text for HTML content or a quoted attribute value
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Read the attributes of a tag
+ * @param {string} source - Everything between the tag name and its closing ">"
+ * @returns {Map<string, string>} Lowercase names to decoded values; the first wins
+ */
+function parseAttributes(source) {
+  const attributes = new Map();
+  for (const [, name, ...values] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const key = name.toLowerCase();
+    if (!attributes.has(key)) {
+      attributes.set(key, decodeEntities(values.find((value) => value !== undefined) ?? ''));
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Resolve a URL from the page, keeping it only if it uses an allowed protocol
+ * @param {string|undefined} value - Decoded attribute value
+ * @param {string} baseUrl - URL of the page
+ * @param {string[]} protocols
+ * @returns {string|null}
+ */
+function resolvePageUrl(value, baseUrl, protocols) {
+  // Browsers ignore tabs and newlines anywhere in a URL
+  const cleaned = value?.replace(/[\t\n\r]/g, '').trim();
+  if (!cleaned) return null;
+
+  try {
+    const url = new URL(cleaned, baseUrl);
+    return protocols.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rebuild the attributes an allowed tag may keep
+ * @param {string} name - Tag name
+ * @param {string} source - The tag's attribute source
+ * @param {string} baseUrl
+ * @returns {string|null} Attribute markup, or null to drop the tag (an image without a source)
+ */
+function sanitizeAttributes(name, source, baseUrl) {
+  const attributes = parseAttributes(source);
+
+  if (name === 'a') {
+    attributes.set('href', resolvePageUrl(attributes.get('href'), baseUrl, LINK_PROTOCOLS));
+  }
+  if (name === 'img') {
+    // Lazy-loaded images keep the real source in data-src
+    const src =
+      resolvePageUrl(attributes.get('src'), baseUrl, IMAGE_PROTOCOLS) ??
+      resolvePageUrl(attributes.get('data-src'), baseUrl, IMAGE_PROTOCOLS);
+    if (!src) return null;
+    attributes.set('src', src);
+  }
+
+  const markup = ALLOWED_TAGS[name]
+    .filter((key) => attributes.get(key))
+    .map((key) => ` ${key}="${escapeHtml(attributes.get(key))}"`);
+
+  if (name === 'a' && attributes.get('href')) {
+    markup.push(' rel="noopener noreferrer"');
+  }
+  return markup.join('');
+}
+
+/**
+ * Rebuild a page's HTML from allowed tags and attributes only
+ * Unknown tags are removed but their text is kept; DROPPED_TAGS are removed with
+ * their contents. Relative links and image sources are resolved against the page.
+ *
+ * @param {string} html
+ * @param {string} baseUrl - URL of the page
+ * @param {Object} [options]
+ * @param {number} [options.maxLength] - Stop once the output is this long
+ * @returns {{html: string, truncated: boolean}}
+ */
+export function sanitizeHtml(html, baseUrl, { maxLength = Infinity } = {}) {
+  const tokens = new RegExp(TOKEN_PATTERN.source, 'g');
+  const output = [];
+  const open = [];
+  let length = 0;
+  let position = 0;
+  let truncated = false;
+
+  const emit = (markup) => {
+    output.push(markup);
+    length += markup.length;
+  };
+  const emitText = (text) => {
+    const decoded = decodeEntities(text);
+    const room = maxLength - length;
+    if (decoded.length > room) truncated = true;
+    if (decoded && room > 0) emit(escapeHtml(decoded.slice(0, room)));
+  };
+
+  let match;
+  while ((match = tokens.exec(html))) {
+    emitText(html.slice(position, match.index));
+    position = tokens.lastIndex;
+    if (truncated) break;
+
+    const [, closing, rawName, source] = match;
+    if (!rawName) continue;
+    const name = rawName.toLowerCase();
+
+    if (DROPPED_TAGS.has(name)) {
+      if (!closing && !source.trimEnd().endsWith('/')) {
+        const end = new RegExp(`</${name}\\s*>`, 'gi');
+        end.lastIndex = position;
+        position = end.exec(html) ? end.lastIndex : html.length;
+        tokens.lastIndex = position;
+      }
+      continue;
+    }
+
+    if (!Object.hasOwn(ALLOWED_TAGS, name)) continue;
+
+    if (closing) {
+      const index = open.lastIndexOf(name);
+      if (index !== -1) {
+        while (open.length > index) emit(`</${open.pop()}>`);
+      }
+      continue;
+    }
+
+    const attributes = sanitizeAttributes(name, source, baseUrl);
+    if (attributes === null) continue;
+    emit(`<${name}${attributes}>`);
+    if (!VOID_TAGS.has(name)) open.push(name);
+  }
+
+  if (!truncated) emitText(html.slice(position));
+  while (open.length) emit(`</${open.pop()}>`);
+
+  return { html: output.join(''), truncated };
+}
+
+/**
+ * Plain text of sanitized snapshot HTML
+ * @param {string} html - From sanitizeHtml
+ * @returns {string}
+ */
+export function snapshotText(html) {
+  return decodeEntities(html.replace(BLOCK_TAG_PATTERN, ' ').replace(/<[^>]*>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * The part of a page the article is in: its <article>, else its <main>, else its body
+ * @param {string} html
+ * @returns {string}
+ */
+function selectContentArea(html) {
+  for (const tag of ['article', 'main', 'body']) {
+    const start = html.search(new RegExp(`<${tag}\\b`, 'i'));
+    if (start === -1) continue;
+
+    const end = html.toLowerCase().lastIndexOf(`</${tag}`);
+    return html.slice(start, end > start ? end : undefined);
+  }
+  return html;
+}
+
+/**
+ * Read a page's <meta> tags
+ * @param {string} html
+ * @returns {Map<string, string>} property or name, lowercase, to content
+ */
+function readMetaTags(html) {
+  const meta = new Map();
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag.slice(5, -1));
+    const key = (attributes.get('property') || attributes.get('name') || '').toLowerCase();
+    const content = attributes.get('content')?.trim();
+    if (key && content && !meta.has(key)) meta.set(key, content);
+  }
+  return meta;
+}
+
+/**
+ * @typedef {Object} PageSnapshot
+ * @property {string} url - Page the snapshot was taken of
+ * @property {string|null} canonicalUrl
+ * @property {string} title
+ * @property {string|null} byline - Author
+ * @property {string|null} siteName
+ * @property {string|null} description
+ * @property {string|null} imageUrl - Main image
+ * @property {string} excerpt
+ * @property {string} content - Sanitized article HTML
+ * @property {string} textContent - Article text
+ * @property {number} wordCount
+ * @property {boolean} truncated - Whether the article was cut at MAX_SNAPSHOT_CONTENT_LENGTH
+ * @property {string} capturedAt - ISO date
+ */
+
+/**
+ * Take a readable snapshot of a page
+ * @param {string} html - Page source
+ * @param {string} url - URL the page was loaded from
+ * @param {Object} [options]
+ * @param {string} [options.capturedAt] - ISO date, defaults to now
+ * @param {number} [options.maxContentLength]
+ * @returns {PageSnapshot}
+ */
+export function capturePage(
+  html,
+  url,
+  { capturedAt = new Date().toISOString(), maxContentLength = MAX_SNAPSHOT_CONTENT_LENGTH } = {}
+) {
+  const meta = readMetaTags(html);
+  const page = parsePageInfo(html, url);
+  const { html: content, truncated } = sanitizeHtml(selectContentArea(html), url, {
+    maxLength: maxContentLength,
+  });
+  const textContent = snapshotText(content);
+  const description = meta.get('og:description') || meta.get('description') || null;
+
+  const firstImage = content.match(/<img src="([^"]*)"/);
+  const imageUrl =
+    resolvePageUrl(meta.get('og:image') || meta.get('twitter:image'), url, IMAGE_PROTOCOLS) ??
+    (firstImage ? decodeEntities(firstImage[1]) : null);
+
+  const author = meta.get('author') || meta.get('article:author') || null;
+
+  return {
+    url,
+    canonicalUrl: page.canonicalUrl,
+    title: meta.get('og:title') || page.title || page.heading || url,
+    // article:author is often a profile URL rather than a name
+    byline: author && !isValidUrl(author) ? author : null,
+    siteName: meta.get('og:site_name') || (isValidUrl(url) ? new URL(url).hostname : null),
+    description,
+    imageUrl,
+    excerpt:
+      description ||
+      (textContent.length > EXCERPT_LENGTH
+        ? `${textContent.slice(0, EXCERPT_LENGTH).trimEnd()}…`
+        : textContent),
+    content,
+    textContent,
+    wordCount: textContent ? textContent.split(' ').length : 0,
+    truncated,
+    capturedAt,
+  };
+}
+
+/**
+ * Load a page to capture, following its redirects
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds per request
+ * @param {number} [options.maxBytes] - Page source read at most
+ * @param {number} [options.maxRedirects]
+ * @param {(url: string) => boolean} [options.isAllowedUrl] - Checked for the page and
+ *   every redirect target, e.g. to keep a server from loading its own network
+ * @param {typeof fetch} [options.fetch] - Used instead of the global fetch; it is
+ *   never asked to follow redirects
+ * @returns {Promise<{html: string, url: string}>} The page source and the URL it was
+ *   loaded from
+ * @throws {Error} When the page can't be loaded or isn't HTML
+ */
+export async function fetchPage(url, options = {}) {
+  const {
+    timeout,
+    maxBytes,
+    maxRedirects,
+    isAllowedUrl,
+    fetch: load,
+  } = {
+    ...DEFAULT_FETCH_OPTIONS,
+    ...options,
+  };
+  let current = url;
+
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    if (!current || !isAllowedUrl(current)) {
+      throw new Error('Page address is not allowed');
+    }
+
+    const response = await (load ?? fetch)(current, {
+      redirect: 'manual',
+      headers: { Accept: 'text/html,application/xhtml+xml' },
+      signal: AbortSignal.timeout(timeout),
+    });
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      response.body?.cancel?.().catch(() => {});
+      current = resolveRedirectLocation(location, current);
+      continue;
+    }
+
+    if (!response.ok) {
+      response.body?.cancel?.().catch(() => {});
+      throw new Error(`Page returned ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!/^(text\/html|application\/xhtml\+xml)\b/i.test(contentType)) {
+      response.body?.cancel?.().catch(() => {});
+      throw new Error('Page is not HTML');
+    }
+
+    return { html: await readBodyText(response, maxBytes), url: current };
+  }
+
+  throw new Error('Too many redirects');
+}
+
+export default {
+  MAX_SNAPSHOT_CONTENT_LENGTH,
+  sanitizeHtml,
+  snapshotText,
+  capturePage,
+  fetchPage,
+};
@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Per-device selective sync
+ * A sync profile lists the folders a device syncs (include) and the folders it
+ * never syncs (exclude), as folder paths or globs. The device syncs only its view
+ * of the bookmarks; what lies outside the view is left alone on both sides, so an
+ * excluded folder is neither pushed from nor deleted or recreated on the device.
+ */
+
+import { normalizeRootPath } from './delta-sync.js';
+
+/**
+ * @typedef {import('@marksyncr/types').SyncProfile} SyncProfile
+ */
+
+/**
+ * Limits on the size of a sync profile
+ */
+export const SYNC_PROFILE_LIMITS = {
+  maxPatterns: 50,
+  maxPatternLength: 500,
+};
+
+const ROOT_KEYS = ['toolbar', 'menu', 'other'];
+
+/**
+ * Normalizes a folder pattern: browser root names become toolbar/menu/other and
+ * surrounding and repeated slashes are dropped
+ * @param {string} pattern - Folder path or glob, e.g. "Bookmarks Bar/Work" or "Clients/*"
+ * @returns {string} Normalized pattern, empty if the pattern names no folder
+ */
+export const normalizeSyncPattern = (pattern) =>
+  normalizeRootPath(
+    String(pattern ?? '')
+      .trim()
+      .replace(/\/{2,}/g, '/')
+      .replace(/^\//, '')
+  );
+
+/**
+ * Normalizes a sync profile, dropping empty and repeated patterns
+ * @param {*} profile - Stored profile, or null for a device that syncs everything
+ * @returns {SyncProfile}
+ */
+export const normalizeSyncProfile = (profile) => {
+  const clean = (patterns) => [
+    ...new Set((Array.isArray(patterns) ? patterns : []).map(normalizeSyncPattern).filter(Boolean)),
+  ];
+  return {
+    include: clean(profile?.include),
+    exclude: clean(profile?.exclude),
+  };
+};
+
+/**
+ * Checks whether a profile limits what the device syncs
+ * @param {*} profile - Sync profile
+ * @returns {boolean}
+ */
+export const isSyncProfileActive = (profile) => {
+  const { include, exclude } = normalizeSyncProfile(profile);
+  return include.length > 0 || exclude.length > 0;
+};
+
+/**
+ * Validates a sync profile sent by a client
+ * @param {*} profile - Sync profile, or null to sync everything
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export const validateSyncProfile = (profile) => {
+  const errors = [];
+
+  if (profile === null) {
+    return { valid: true, errors };
+  }
+  if (typeof profile !== 'object' || Array.isArray(profile)) {
+    return { valid: false, errors: ['Sync profile must be an object'] };
+  }
+
+  for (const field of ['include', 'exclude']) {
+    const patterns = profile[field];
+    if (patterns === undefined) continue;
+
+    if (!Array.isArray(patterns)) {
+      errors.push(`${field} must be an array of folder paths`);
+      continue;
+    }
+    if (patterns.length > SYNC_PROFILE_LIMITS.maxPatterns) {
+      errors.push(`${field} can have at most ${SYNC_PROFILE_LIMITS.maxPatterns} entries`);
+    }
+    patterns.forEach((pattern, i) => {
+      if (typeof pattern !== 'string') {
+        errors.push(`${field}[${i}] must be a string`);
+      } else if (pattern.length > SYNC_PROFILE_LIMITS.maxPatternLength) {
+        errors.push(
+          `${field}[${i}] is longer than ${SYNC_PROFILE_LIMITS.maxPatternLength} characters`
+        );
+      } else if (!normalizeSyncPattern(pattern)) {
+        errors.push(`${field}[${i}] does not name a folder`);
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Compiles one path segment of a glob: * matches any characters and ? one
+ * character, neither crossing a slash
+ * @param {string} segment
+ * @returns {RegExp}
+ */
+const compileSegment = (segment) => {
+  const source = segment
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * Compiles a normalized pattern into segment matchers. A pattern that doesn't
+ * start with a root folder matches under every root, so "Work" is the top-level
+ * Work folder of the toolbar, the menu and other bookmarks alike.
+ * @param {string} pattern
+ * @returns {Array<RegExp|'**'>}
+ */
+const compilePattern = (pattern) => {
+  const segments = pattern.split('/');
+  if (!ROOT_KEYS.includes(segments[0].toLowerCase()) && segments[0] !== '**') {
+    segments.unshift('*');
+  }
+  return segments.map((segment) => (segment === '**' ? '**' : compileSegment(segment)));
+};
+
+/**
+ * Matches a folder path against a compiled pattern. A pattern covers the folder
+ * it names and everything inside it.
+ * @param {Array<RegExp|'**'>} matchers
+ * @param {string[]} path - Path segments
+ * @param {boolean} partial - Also match a path that the pattern continues below,
+ *   i.e. an ancestor of a matching folder
+ * @returns {boolean}
+ */
+const matchPath = (matchers, path, partial, i = 0, j = 0) => {
+  if (i === matchers.length) return true;
+  if (matchers[i] === '**') {
+    for (let k = j; k <= path.length; k++) {
+      if (matchPath(matchers, path, partial, i + 1, k)) return true;
+    }
+    return false;
+  }
+  if (j === path.length) return partial;
+  return matchers[i].test(path[j]) && matchPath(matchers, path, partial, i + 1, j + 1);
+};
+
+const splitPath = (path) => {
+  const normalized = normalizeRootPath(path);
+  return normalized ? normalized.split('/') : [];
+};
+
+/**
+ * Creates the filter a device applies to flat bookmark lists
+ *
+ * Exclude wins over include. With include patterns, a bookmark is synced when it
+ * lies in an included folder, and a folder when it is included or holds an
+ * included folder (so the path down to it exists on every device).
+ *
+ * @param {*} profile - Sync profile; null syncs everything
+ * @returns {{active: boolean, profile: SyncProfile,
+ *   isFolderContentSynced: (folderPath: string) => boolean,
+ *   isFolderSynced: (folderPath: string) => boolean,
+ *   isItemSynced: (item: Object) => boolean}}
+ */
+export const createSyncFilter = (profile) => {
+  const normalized = normalizeSyncProfile(profile);
+  const include = normalized.include.map(compilePattern);
+  const exclude = normalized.exclude.map(compilePattern);
+  const active = include.length > 0 || exclude.length > 0;
+
+  const isExcluded = (segments) => exclude.some((m) => matchPath(m, segments, false));
+
+  const isFolderContentSynced = (folderPath) => {
+    if (!active) return true;
+    const segments = splitPath(folderPath);
+    if (isExcluded(segments)) return false;
+    return include.length === 0 || include.some((m) => matchPath(m, segments, false));
+  };
+
+  const isFolderSynced = (folderPath) => {
+    if (!active) return true;
+    const segments = splitPath(folderPath);
+    if (isExcluded(segments)) return false;
+    return include.length === 0 || include.some((m) => matchPath(m, segments, true));
+  };
+
+  const isItemSynced = (item) => {
+    if (!active) return true;
+    if (item?.type === 'folder') {
+      const parent = normalizeRootPath(item.folderPath);
+      return isFolderSynced(parent ? `${parent}/${item.title ?? ''}` : (item.title ?? ''));
+    }
+    return isFolderContentSynced(item?.folderPath);
+  };
+
+  return { active, profile: normalized, isFolderContentSynced, isFolderSynced, isItemSynced };
+};
+
+/**
+ * Groups flat items by normalized parent folder, each group sorted by index
+ * @param {Array<Object>} items
+ * @returns {Map<string, Array<Object>>}
+ */
+const groupByFolder = (items) => {
+  const groups = new Map();
+  for (const item of items) {
+    const folder = normalizeRootPath(item.folderPath);
+    if (!groups.has(folder)) groups.set(folder, []);
+    groups.get(folder).push(item);
+  }
+  for (const group of groups.values()) {
+    group.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+  }
+  return groups;
+};
+
+/**
+ * The part of a flat list a device syncs. Indexes are renumbered among the synced
+ * children of each folder, so the view of the browser tree and the view of the
+ * cloud list compare equal when they hold the same synced bookmarks in the same
+ * order, whatever unsynced items sit between them.
+ * @param {Array<Object>} items - Flat bookmark list
+ * @param {ReturnType<typeof createSyncFilter>} filter
+ * @returns {Array<Object>} Synced items; the list itself when the filter is inactive
+ */
+export const getSyncView = (items = [], filter) => {
+  if (!filter?.active) return items;
+
+  const view = [];
+  for (const group of groupByFolder(items.filter(filter.isItemSynced)).values()) {
+    group.forEach((item, index) => {
+      view.push(item.index === index ? item : { ...item, index });
+    });
+  }
+  return view;
+};
+
+/**
+ * Puts a device's view back into the full cloud list before it is pushed. Items
+ * outside the view are kept as they are in the cloud, each keeping its place
+ * among its siblings; the synced items fill the remaining places in their view
+ * order, and items new to a folder go at its end.
+ * @param {Array<Object>} viewItems - Synced items as the device has them
+ * @param {Array<Object>} cloudItems - Full cloud list
+ * @param {ReturnType<typeof createSyncFilter>} filter
+ * @returns {Array<Object>} Full list to push; the view itself when the filter is inactive
+ */
+export const mergeSyncView = (viewItems = [], cloudItems = [], filter) => {
+  if (!filter?.active) return viewItems;
+
+  const cloudByFolder = groupByFolder(cloudItems);
+  const viewByFolder = groupByFolder(viewItems);
+  const folders = new Set([...cloudByFolder.keys(), ...viewByFolder.keys()]);
+  const merged = [];
+
+  for (const folder of folders) {
+    const synced = [...(viewByFolder.get(folder) ?? [])];
+    const ordered = [];
+
+    for (const cloudItem of cloudByFolder.get(folder) ?? []) {
+      if (!filter.isItemSynced(cloudItem)) {
+        ordered.push(cloudItem);
+      } else if (synced.length > 0) {
+        ordered.push(synced.shift());
+      }
+    }
+    ordered.push(...synced);
+
+    ordered.forEach((item, index) => {
+      merged.push(item.index === index ? item : { ...item, index });
+    });
+  }
+
+  return merged;
+};
+
+/**
+ * Splits a flat list into the items a device syncs and the items it leaves alone
+ * @param {Array<Object>} items - Flat bookmark list
+ * @param {*} profile - Sync profile
+ * @returns {{synced: Array<Object>, excluded: Array<Object>}}
+ */
+export const partitionBySyncProfile = (items = [], profile) => {
+  const filter = createSyncFilter(profile);
+  const synced = [];
+  const excluded = [];
+  for (const item of items) {
+    (filter.isItemSynced(item) ? synced : excluded).push(item);
+  }
+  return { synced, excluded };
+};
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Team roles and shared folder edits
+ * A shared folder is a flat bookmark list whose folder paths are relative to the
+ * shared folder ('' for its top level). Members send their edits as delta
+ * operations computed against the copy they last received; the server replays them
+ * on the current list, so edits from several members merge, and stamps each changed
+ * item with who made the change.
+ */
+
+import { DELTA_OP, TEAM_ROLE } from '@marksyncr/types';
+import {
+  applyFlatOperations,
+  diffFlatItems,
+  indexFlatItems,
+  isValidDeltaOperation,
+} from './delta-sync.js';
+
+/**
+ * @typedef {import('@marksyncr/types').TeamRole} TeamRole
+ * @typedef {import('@marksyncr/types').DeltaOperation} DeltaOperation
+ */
+
+/**
+ * Limits on shared folders
+ */
+export const SHARED_FOLDER_LIMITS = {
+  maxItems: 10000,
+  maxOperations: 5000,
+};
+
+/**
+ * Fields a member can set on a shared item; attribution is always set by the server
+ */
+const ITEM_FIELDS = ['type', 'url', 'title', 'folderPath', 'index'];
+
+/**
+ * Checks whether a role can change the bookmarks of the team's shared folders
+ * @param {TeamRole|null} role
+ * @returns {boolean}
+ */
+export const canEditSharedFolders = (role) => role === TEAM_ROLE.OWNER || role === TEAM_ROLE.EDITOR;
+
+/**
+ * Checks whether a role can manage the team: members, invitations and folders
+ * @param {TeamRole|null} role
+ * @returns {boolean}
+ */
+export const canManageTeam = (role) => role === TEAM_ROLE.OWNER;
+
+/**
+ * Checks that a value is a team role
+ * @param {*} role
+ * @returns {boolean}
+ */
+export const isTeamRole = (role) => Object.values(TEAM_ROLE).includes(role);
+
+/**
+ * Keeps only the fields a member can set on a shared item
+ * @param {Object} item - Flat item as sent by a client
+ * @returns {Object}
+ */
+export const toSharedItem = (item) => {
+  const shared = {};
+  for (const field of ITEM_FIELDS) {
+    if (item[field] !== undefined) shared[field] = item[field];
+  }
+  shared.folderPath = shared.folderPath ?? '';
+  return shared;
+};
+
+/**
+ * Computes the operations a member sends for their edits of a shared folder
+ * @param {Array<Object>} base - Shared items as last received
+ * @param {Array<Object>} local - Shared items as the member has them now
+ * @returns {DeltaOperation[]}
+ */
+export const diffSharedFolder = (base = [], local = []) =>
+  diffFlatItems(base, local).map((operation) =>
+    operation.item ? { ...operation, item: toSharedItem(operation.item) } : operation
+  );
+
+/**
+ * Validates operations sent for a shared folder
+ * @param {*} operations
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export const validateSharedFolderOperations = (operations) => {
+  if (!Array.isArray(operations)) {
+    return { valid: false, errors: ['operations must be an array'] };
+  }
+  if (operations.length > SHARED_FOLDER_LIMITS.maxOperations) {
+    return {
+      valid: false,
+      errors: [`at most ${SHARED_FOLDER_LIMITS.maxOperations} operations can be sent at once`],
+    };
+  }
+
+  const errors = [];
+  operations.forEach((operation, i) => {
+    if (!isValidDeltaOperation(operation)) {
+      errors.push(`operations[${i}] is not a valid operation`);
+    } else if (
+      operation.item &&
+      !['string', 'undefined'].includes(typeof operation.item.folderPath)
+    ) {
+      errors.push(`operations[${i}].item.folderPath must be a string`);
+    }
+  });
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Replays a member's operations on the current shared items, recording who made
+ * each change. Added items get addedBy/addedAt; every added, changed or moved item
+ * gets updatedBy/updatedAt. An item keeps who added it when others change it.
+ * @param {Array<Object>} items - Current shared items
+ * @param {DeltaOperation[]} operations - Member's operations
+ * @param {{userId: string, at?: string}} author - Member making the change
+ * @returns {Array<Object>} New shared items
+ */
+export const applySharedFolderOperations = (items = [], operations = [], author) => {
+  const at = author.at ?? new Date().toISOString();
+  const byKey = indexFlatItems(items);
+
+  const stamped = operations.map((operation) => {
+    if (operation.op === DELTA_OP.DELETE) return operation;
+
+    const previous = byKey.get(operation.key);
+    return {
+      ...operation,
+      item: {
+        ...toSharedItem(operation.item),
+        addedBy: previous?.addedBy ?? author.userId,
+        addedAt: previous?.addedAt ?? at,
+        updatedBy: author.userId,
+        updatedAt: at,
+      },
+    };
+  });
+
+  return applyFlatOperations(items, stamped);
+};
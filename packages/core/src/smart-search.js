@@ -1,9 +1,14 @@
 /**
  * @fileoverview Smart Search Engine using Fuse.js
  * Provides fuzzy search, filtering, and advanced search capabilities for bookmarks
+ *
+ * Queries can mix free text with operators, compiled into filters and a Fuse query:
+ *   tag:dev domain:github.com folder:"Work/Reading" before:2024-01 is:broken
+ *   -tag:archived "exact phrase"
  */
 
 import Fuse from 'fuse.js';
+import { isTagWithin } from './tag-hierarchy.js';
 
 /**
  * Default Fuse.js options for bookmark search
@@ -32,6 +37,28 @@ export const DEFAULT_FUSE_OPTIONS = {
   findAllMatches: true,
 };
 
+/**
+ * Query operators and what they match
+ */
+export const SEARCH_OPERATORS = {
+  tag: 'Bookmarks with this tag',
+  domain: 'Bookmarks on this site',
+  folder: 'Bookmarks in this folder or its subfolders',
+  before: 'Added before this date (YYYY, YYYY-MM or YYYY-MM-DD)',
+  after: 'Added after this date (YYYY, YYYY-MM or YYYY-MM-DD)',
+  is: 'Bookmarks with this link status, or tagged/untagged',
+};
+
+/**
+ * Values of the is: operator
+ */
+export const IS_OPERATOR_VALUES = ['broken', 'redirect', 'timeout', 'valid', 'tagged', 'untagged'];
+
+// Optional minus, optional operator name, then a quoted or bare value
+const QUERY_TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S*))/gi;
+
+const DATE_VALUE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+
 /**
  * Create a search engine instance for bookmarks
  * @param {Array} bookmarks - Array of bookmark objects
@@ -95,7 +122,8 @@ export function filterByFolder(bookmarks, folderId) {
 }
 
 /**
- * Filter bookmarks by tag (ID or name)
+ * Filter bookmarks by tag (ID or name). A name also matches the tags nested under
+ * it, so "dev" finds bookmarks tagged "dev/js/react".
  * @param {Array} bookmarks - Array of bookmark objects
  * @param {string|null} tag - Tag ID or name to filter by, or null for all
  * @returns {Array} Filtered bookmarks
@@ -105,14 +133,12 @@ export function filterByTag(bookmarks, tag) {
     return bookmarks;
   }
 
-  const tagLower = tag.toLowerCase();
-
   return bookmarks.filter((bookmark) => {
     if (!bookmark.tags || bookmark.tags.length === 0) {
       return false;
     }
 
-    return bookmark.tags.some((t) => t.id === tag || t.name.toLowerCase() === tagLower);
+    return bookmark.tags.some((t) => t.id === tag || isTagWithin(t, tag));
   });
 }
 
@@ -176,15 +202,78 @@ export function filterByDateRange(bookmarks, startDate, endDate) {
   });
 }
 
+/**
+ * Filter bookmarks by folder path. The path can start anywhere in the bookmark's
+ * path, so "Work/Reading" matches "Bookmarks Bar/Work/Reading" and its subfolders.
+ * @param {Array} bookmarks - Array of bookmark objects with parentPath
+ * @param {string|null} folderPath - Folder path to filter by, or null for all
+ * @returns {Array} Filtered bookmarks
+ */
+export function filterByFolderPath(bookmarks, folderPath) {
+  if (!folderPath) {
+    return bookmarks;
+  }
+
+  const pathLower = `/${folderPath.toLowerCase().replace(/^\/+|\/+$/g, '')}/`;
+
+  return bookmarks.filter((bookmark) =>
+    `/${bookmark.parentPath || ''}/`.toLowerCase().includes(pathLower)
+  );
+}
+
+/**
+ * Filter bookmarks by the status of their last link check
+ * @param {Array} bookmarks - Array of bookmark objects with linkStatus
+ * @param {string|null} status - Link status (see LINK_STATUS), or null for all
+ * @returns {Array} Filtered bookmarks
+ */
+export function filterByLinkStatus(bookmarks, status) {
+  if (!status) {
+    return bookmarks;
+  }
+
+  return bookmarks.filter((bookmark) => bookmark.linkStatus === status);
+}
+
+/**
+ * Filter bookmarks by whether they have tags
+ * @param {Array} bookmarks - Array of bookmark objects
+ * @param {boolean|undefined} tagged - True for tagged bookmarks, false for untagged
+ * @returns {Array} Filtered bookmarks
+ */
+export function filterByTagged(bookmarks, tagged) {
+  if (tagged === undefined || tagged === null) {
+    return bookmarks;
+  }
+
+  return bookmarks.filter((bookmark) => bookmark.tags?.length > 0 === tagged);
+}
+
+/**
+ * Apply a filter for one value or, for a list, for each value in turn
+ * @param {Array} bookmarks
+ * @param {Function} filter - Filter function taking bookmarks and one value
+ * @param {*|Array} values
+ * @returns {Array} Bookmarks that pass every value
+ */
+function filterByEach(bookmarks, filter, values) {
+  return [].concat(values).reduce((result, value) => filter(result, value), bookmarks);
+}
+
 /**
  * Apply multiple filters to bookmarks
  * @param {Array} bookmarks - Array of bookmark objects
  * @param {Object} filters - Filter options
  * @param {string} filters.folder - Folder ID to filter by
- * @param {string} filters.tag - Tag ID or name to filter by
- * @param {string} filters.domain - Domain to filter by
+ * @param {string|string[]} filters.folderPath - Folder path(s) to filter by
+ * @param {string|string[]} filters.tag - Tag ID(s) or name(s) to filter by
+ * @param {string|string[]} filters.domain - Domain(s) to filter by
  * @param {Date} filters.startDate - Start date for date range filter
  * @param {Date} filters.endDate - End date for date range filter
+ * @param {string} filters.status - Link status to filter by
+ * @param {boolean} filters.tagged - Only tagged (true) or untagged (false) bookmarks
+ * @param {Object} filters.exclude - Bookmarks to leave out: folderPath, tag, domain
+ *   and status, each a value or a list of values
  * @returns {Array} Filtered bookmarks
  */
 export function applyFilters(bookmarks, filters = {}) {
@@ -198,35 +287,233 @@ export function applyFilters(bookmarks, filters = {}) {
     result = filterByFolder(result, filters.folder);
   }
 
+  if (filters.folderPath) {
+    result = filterByEach(result, filterByFolderPath, filters.folderPath);
+  }
+
   if (filters.tag) {
-    result = filterByTag(result, filters.tag);
+    result = filterByEach(result, filterByTag, filters.tag);
   }
 
   if (filters.domain) {
-    result = filterByDomain(result, filters.domain);
+    result = filterByEach(result, filterByDomain, filters.domain);
   }
 
   if (filters.startDate || filters.endDate) {
     result = filterByDateRange(result, filters.startDate, filters.endDate);
   }
 
+  if (filters.status) {
+    result = filterByLinkStatus(result, filters.status);
+  }
+
+  if (filters.tagged !== undefined) {
+    result = filterByTagged(result, filters.tagged);
+  }
+
+  if (filters.exclude) {
+    const excluded = [
+      [filterByFolderPath, filters.exclude.folderPath],
+      [filterByTag, filters.exclude.tag],
+      [filterByDomain, filters.exclude.domain],
+      [filterByLinkStatus, filters.exclude.status],
+    ].flatMap(([filter, values]) =>
+      values ? [].concat(values).map((value) => new Set(filter(result, value))) : []
+    );
+    result = result.filter((bookmark) => !excluded.some((matches) => matches.has(bookmark)));
+  }
+
   return result;
 }
 
+/**
+ * First and last day of a YYYY, YYYY-MM or YYYY-MM-DD date, in local time
+ * @param {string} value
+ * @returns {{first: Date, last: Date}|null} Null if the value isn't a valid date
+ */
+export function parseDateValue(value) {
+  const match = DATE_VALUE_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+  if (month !== null && month > 11) {
+    return null;
+  }
+
+  const first = new Date(year, month ?? 0, day ?? 1);
+  if (day !== null && first.getDate() !== day) {
+    return null;
+  }
+
+  let last;
+  if (day !== null) {
+    last = first;
+  } else if (month !== null) {
+    last = new Date(year, month + 1, 0);
+  } else {
+    last = new Date(year, 11, 31);
+  }
+  return { first, last };
+}
+
+/**
+ * Split a query into free words, phrases and operators
+ * @param {string} query - Search query string
+ * @returns {Array<{type: 'word'|'phrase'|'operator', value: string, negated: boolean,
+ *   name?: string, raw: string}>} Tokens in query order
+ */
+export function parseQuery(query) {
+  const tokens = [];
+  if (!query) {
+    return tokens;
+  }
+
+  for (const match of query.matchAll(QUERY_TOKEN_PATTERN)) {
+    const [raw, minus, name, quoted, bare] = match;
+    const value = quoted ?? bare ?? '';
+    const negated = minus === '-';
+
+    if (name && Object.hasOwn(SEARCH_OPERATORS, name.toLowerCase())) {
+      tokens.push({ type: 'operator', name: name.toLowerCase(), value, negated, raw });
+    } else if (name) {
+      // Not an operator, like the scheme of a pasted URL: search for it as typed
+      tokens.push({ type: 'word', value: negated ? raw.slice(1) : raw, negated, raw });
+    } else if (quoted !== undefined) {
+      if (value.trim()) tokens.push({ type: 'phrase', value, negated, raw });
+    } else if (value && value !== '-') {
+      tokens.push({ type: 'word', value, negated, raw });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Add a filter value, collecting repeated operators into a list
+ * @param {Object} target
+ * @param {string} key
+ * @param {string} value
+ */
+function addFilterValue(target, key, value) {
+  target[key] = target[key] === undefined ? value : [].concat(target[key], value);
+}
+
+/**
+ * Compile a query into filters for applyFilters and text for Fuse
+ * @param {string} query - Search query string
+ * @returns {{text: string, filters: Object, phrases: string[], excludedPhrases: string[],
+ *   errors: string[]}} Phrases must appear in the title, URL, notes or tags, and
+ *   excluded phrases (negated words and phrases) must not; errors lists the operators
+ *   that were ignored
+ */
+export function compileSearchQuery(query) {
+  const words = [];
+  const filters = {};
+  const exclude = {};
+  const phrases = [];
+  const excludedPhrases = [];
+  const errors = [];
+
+  for (const token of parseQuery(query)) {
+    if (token.type === 'word') {
+      (token.negated ? excludedPhrases : words).push(token.value);
+      continue;
+    }
+    if (token.type === 'phrase') {
+      (token.negated ? excludedPhrases : phrases).push(token.value);
+      continue;
+    }
+
+    const { name, negated, raw } = token;
+    const value = token.value.trim();
+    const target = negated ? exclude : filters;
+
+    if (!value) {
+      // Still being typed
+      continue;
+    } else if (name === 'tag' || name === 'domain') {
+      addFilterValue(target, name, value);
+    } else if (name === 'folder') {
+      addFilterValue(target, 'folderPath', value);
+    } else if (name === 'is') {
+      const status = value.toLowerCase();
+      if (status === 'tagged' || status === 'untagged') {
+        filters.tagged = (status === 'tagged') !== negated;
+      } else if (IS_OPERATOR_VALUES.includes(status)) {
+        target.status = status;
+      } else {
+        errors.push(raw);
+      }
+    } else {
+      // before: and after:
+      const date = parseDateValue(value);
+      if (!date || negated) {
+        errors.push(raw);
+      } else if (name === 'before') {
+        const endDate = new Date(date.first);
+        endDate.setDate(endDate.getDate() - 1);
+        if (!filters.endDate || endDate < filters.endDate) filters.endDate = endDate;
+      } else {
+        const startDate = new Date(date.last);
+        startDate.setDate(startDate.getDate() + 1);
+        if (!filters.startDate || startDate > filters.startDate) filters.startDate = startDate;
+      }
+    }
+  }
+
+  if (Object.keys(exclude).length > 0) {
+    filters.exclude = exclude;
+  }
+  return { text: words.join(' '), filters, phrases, excludedPhrases, errors };
+}
+
+/**
+ * Whether a bookmark's title, URL, notes or tags contain a phrase
+ * @param {Object} bookmark
+ * @param {string} phrase - Lowercased phrase
+ * @returns {boolean}
+ */
+function containsPhrase(bookmark, phrase) {
+  return [bookmark.title, bookmark.url, bookmark.notes, ...(bookmark.tags || []).map((t) => t.name)]
+    .filter(Boolean)
+    .some((field) => field.toLowerCase().includes(phrase));
+}
+
+/**
+ * Bookmarks that pass a compiled query's filters and phrases, before text search
+ * @param {Array} bookmarks - Array of bookmark objects
+ * @param {Object} compiled - Result of compileSearchQuery
+ * @returns {Array} Matching bookmarks
+ */
+export function filterByQuery(bookmarks, compiled) {
+  const phrases = compiled.phrases.map((phrase) => phrase.toLowerCase());
+  const excludedPhrases = compiled.excludedPhrases.map((phrase) => phrase.toLowerCase());
+
+  return applyFilters(bookmarks, compiled.filters).filter(
+    (bookmark) =>
+      phrases.every((phrase) => containsPhrase(bookmark, phrase)) &&
+      !excludedPhrases.some((phrase) => containsPhrase(bookmark, phrase))
+  );
+}
+
 /**
  * Combined search and filter function
  * @param {Array} bookmarks - Array of bookmark objects
- * @param {string} query - Search query string
- * @param {Object} filters - Filter options
+ * @param {string} query - Search query string, which may contain operators
+ * @param {Object} filters - Filter options, applied before the query's own
  * @param {Object} searchOptions - Search options (limit, threshold)
  * @returns {Array} Search results with filters applied
  */
 export function searchAndFilter(bookmarks, query, filters = {}, searchOptions = {}) {
-  // First apply filters
-  const filteredBookmarks = applyFilters(bookmarks, filters);
+  // First apply filters, then the query's operators and phrases
+  const compiled = compileSearchQuery(query);
+  const filteredBookmarks = filterByQuery(applyFilters(bookmarks, filters), compiled);
 
-  // If no query, return filtered results as-is
-  if (!query || query.trim() === '') {
+  // If no text is left to search for, return filtered results as-is
+  if (compiled.text.trim() === '') {
     return filteredBookmarks.map((item) => ({ item, score: 0 }));
   }
 
@@ -234,7 +521,7 @@ export function searchAndFilter(bookmarks, query, filters = {}, searchOptions =
   const engine = createSearchEngine(filteredBookmarks);
 
   // Perform search
-  return searchBookmarks(engine, query, searchOptions);
+  return searchBookmarks(engine, compiled.text, searchOptions);
 }
 
 /**
@@ -326,16 +613,104 @@ export function getSearchSuggestions(bookmarks, partialQuery, limit = 5) {
   return Array.from(suggestions).slice(0, limit);
 }
 
+/**
+ * Quote an operator value that contains spaces
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteValue(value) {
+  return /\s/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * Autocomplete for the operator or operator value being typed at the end of a query
+ * @param {string} query - Search query string
+ * @param {Object} values - Known values for operators
+ * @param {Array} [values.tags] - Tags (objects with a name, as from extractTags, or names)
+ * @param {string[]} [values.domains] - Domains, as from extractDomains
+ * @param {string[]} [values.folders] - Folder paths
+ * @param {number} [limit=8] - Maximum number of suggestions
+ * @returns {Array<{label: string, description: string, query: string}>} Suggestions,
+ *   each with the query it completes to
+ */
+export function getOperatorSuggestions(query, values = {}, limit = 8) {
+  if (!query || /\s$/.test(query)) {
+    return [];
+  }
+
+  const last = Array.from(query.matchAll(QUERY_TOKEN_PATTERN))
+    .filter((match) => match[0])
+    .pop();
+  if (!last || last.index + last[0].length !== query.length) {
+    return [];
+  }
+
+  const [raw, minus, name, quoted, bare] = last;
+  const before = query.slice(0, last.index);
+  const operator = name?.toLowerCase();
+
+  // Operator names, while the word typed so far could be one
+  if (!name && quoted === undefined) {
+    const partial = (bare || '').toLowerCase();
+    return Object.entries(SEARCH_OPERATORS)
+      .filter(([operatorName]) => partial && operatorName.startsWith(partial))
+      .slice(0, limit)
+      .map(([operatorName, description]) => ({
+        label: `${minus}${operatorName}:`,
+        description,
+        query: `${before}${minus}${operatorName}:`,
+      }));
+  }
+
+  if (!operator || !Object.hasOwn(SEARCH_OPERATORS, operator) || raw.endsWith('"')) {
+    return [];
+  }
+
+  const candidates = {
+    tag: (values.tags || []).map((tag) => (typeof tag === 'string' ? tag : tag.name)),
+    domain: values.domains || [],
+    folder: values.folders || [],
+    is: IS_OPERATOR_VALUES,
+  }[operator];
+  if (!candidates) {
+    return [];
+  }
+
+  const partial = (quoted ?? bare ?? '').toLowerCase();
+  const matching = candidates.filter((value) => value.toLowerCase() !== partial);
+
+  return [
+    ...matching.filter((value) => value.toLowerCase().startsWith(partial)),
+    ...matching.filter(
+      (value) => !value.toLowerCase().startsWith(partial) && value.toLowerCase().includes(partial)
+    ),
+  ]
+    .slice(0, limit)
+    .map((value) => ({
+      label: `${minus}${operator}:${quoteValue(value)}`,
+      description: SEARCH_OPERATORS[operator],
+      query: `${before}${minus}${operator}:${quoteValue(value)} `,
+    }));
+}
+
 export default {
   createSearchEngine,
   searchBookmarks,
   filterByFolder,
+  filterByFolderPath,
   filterByTag,
   filterByDomain,
   filterByDateRange,
+  filterByLinkStatus,
+  filterByTagged,
   applyFilters,
+  parseDateValue,
+  parseQuery,
+  compileSearchQuery,
+  filterByQuery,
   searchAndFilter,
   extractDomains,
   extractTags,
   getSearchSuggestions,
+  getOperatorSuggestions,
 };
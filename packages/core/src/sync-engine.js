@@ -6,6 +6,7 @@ import { SYNC_STATUS, createSyncResult, createErrorSyncResult } from '@marksyncr
 import { generateChecksum, hasContentChanged } from './hash-utils.js';
 import { detectChanges, findConflicts, summarizeChanges } from './diff-engine.js';
 import { resolveAllConflicts } from './conflict-resolver.js';
+import { threeWayMerge, countTreeDifferences } from './three-way-merge.js';
 
 /**
  * @typedef {import('@marksyncr/types').BookmarkFile} BookmarkFile
@@ -23,7 +24,10 @@ import { resolveAllConflicts } from './conflict-resolver.js';
  */
 
 /**
- * Main sync engine class
+ * Main sync engine class, for sources that store whole bookmark files.
+ * The browser extension syncs flat bookmark lists with the API instead; it merges
+ * them with mergeFlatItems (three-way-merge.js) against a base it keeps in
+ * extension storage.
  */
 export class SyncEngine {
   /**
@@ -31,11 +35,15 @@ export class SyncEngine {
    * @param {SyncSource} options.source - The remote sync source
    * @param {string} options.deviceId - Current device identifier
    * @param {SyncState} [options.lastSyncState] - Previous sync state
+   * @param {BookmarkData} [options.baseSnapshot] - Bookmark data after the last successful
+   *   sync, used as the common ancestor for three-way merges. Defaults to
+   *   `lastSyncState.baseSnapshot`. Callers should persist `engine.baseSnapshot` after each sync.
    */
-  constructor({ source, deviceId, lastSyncState = null }) {
+  constructor({ source, deviceId, lastSyncState = null, baseSnapshot = null }) {
     this.source = source;
     this.deviceId = deviceId;
     this.lastSyncState = lastSyncState;
+    this.baseSnapshot = baseSnapshot ?? lastSyncState?.baseSnapshot ?? null;
   }
 
   /**
@@ -68,7 +76,10 @@ export class SyncEngine {
 
       // Step 3: Check if sync is needed
       if (!force && !hasContentChanged(localChecksum, remoteChecksum)) {
-        // No changes detected
+        // No changes detected - both sides now share this state as the ancestor
+        if (!dryRun) {
+          this.baseSnapshot = structuredClone(localBookmarks);
+        }
         return {
           result: createSyncResult({
             status: SYNC_STATUS.SUCCESS,
@@ -78,7 +89,16 @@ export class SyncEngine {
         };
       }
 
-      // Step 4: Detect changes
+      // Step 4: With a known common ancestor, merge field by field
+      if (this.baseSnapshot) {
+        return this.mergeWithAncestor(localBookmarks, remoteBookmarks, {
+          dryRun,
+          defaultConflictResolution,
+        });
+      }
+
+      // Step 4b: No ancestor yet (first sync against existing remote data) -
+      // fall back to a two-way comparison
       const { localChanges, remoteChanges } = detectChanges(localBookmarks, remoteBookmarks);
 
       // Step 5: Find and resolve conflicts
@@ -102,6 +122,7 @@ export class SyncEngine {
         // Write merged data to remote
         const newFile = this.createBookmarkFile(mergedBookmarks, newChecksum);
         await this.source.write(newFile);
+        this.baseSnapshot = structuredClone(mergedBookmarks);
       }
 
       // Step 9: Create result
@@ -125,6 +146,46 @@ export class SyncEngine {
     }
   }
 
+  /**
+   * Merges local and remote bookmarks against the stored ancestor snapshot.
+   * Only fields changed on both sides to different values become conflicts;
+   * they are settled with the configured strategy and reported in the result.
+   * @param {BookmarkData} localBookmarks - Current local bookmarks
+   * @param {BookmarkData} remoteBookmarks - Current remote bookmarks
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Whether to skip writing
+   * @param {string} options.defaultConflictResolution - Strategy for conflicting fields
+   * @returns {Promise<{result: SyncResult, mergedBookmarks: BookmarkData}>}
+   */
+  async mergeWithAncestor(localBookmarks, remoteBookmarks, { dryRun, defaultConflictResolution }) {
+    const { merged, conflicts } = threeWayMerge(
+      this.baseSnapshot,
+      localBookmarks,
+      remoteBookmarks,
+      {
+        strategy: defaultConflictResolution,
+      }
+    );
+
+    const newChecksum = await generateChecksum({ bookmarks: merged });
+
+    if (!dryRun) {
+      const newFile = this.createBookmarkFile(merged, newChecksum);
+      await this.source.write(newFile);
+      this.baseSnapshot = structuredClone(merged);
+    }
+
+    const result = createSyncResult({
+      status: conflicts.length > 0 ? SYNC_STATUS.CONFLICT : SYNC_STATUS.SUCCESS,
+      pushed: countTreeDifferences(remoteBookmarks, merged),
+      pulled: countTreeDifferences(localBookmarks, merged),
+      conflicts,
+      newChecksum,
+    });
+
+    return { result, mergedBookmarks: merged };
+  }
+
   /**
    * Performs initial sync when remote doesn't exist
    * @param {BookmarkData} localBookmarks - Local bookmarks to push
@@ -137,6 +198,7 @@ export class SyncEngine {
     if (!dryRun) {
       const file = this.createBookmarkFile(localBookmarks, checksum);
       await this.source.write(file);
+      this.baseSnapshot = structuredClone(localBookmarks);
     }
 
     return {
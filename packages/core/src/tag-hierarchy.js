@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Nested tags, aliases and renames
+ * A tag name is a path: "dev/js/react" sits under "dev/js", which sits under "dev".
+ * Parents don't have to exist as tags of their own, and filtering by a parent matches
+ * everything nested under it.
+ *
+ * Renaming a tag renames everything nested under it, and renaming onto a tag that
+ * already exists merges the two. The server records each rename, and every device
+ * replays the renames it hasn't seen over the tags it keeps for its bookmarks. The old
+ * name stays behind as an alias of the new one, so a device, rule or import that
+ * still says "js" ends up tagging "javascript".
+ */
+
+/**
+ * Separator between the levels of a tag name
+ */
+export const TAG_SEPARATOR = '/';
+
+/**
+ * Limits on tag names and aliases
+ */
+export const TAG_LIMITS = {
+  maxSegmentLength: 50,
+  maxLength: 100,
+  maxDepth: 5,
+  maxAliases: 20,
+};
+
+/**
+ * @typedef {Object} TagRename
+ * @property {string} from - Old name; tags nested under it move along
+ * @property {string} to - New name
+ */
+
+/**
+ * @typedef {Object} TagTreeNode
+ * @property {string} name - Last level of the path, e.g. "react"
+ * @property {string} path - Full name, e.g. "dev/js/react"
+ * @property {Object|null} tag - The user's tag of this name, null for a parent that
+ *   only exists through its children
+ * @property {TagTreeNode[]} children
+ */
+
+/**
+ * Name of a tag given as a string or a tag object
+ * @param {string|{name: string}} tag
+ * @returns {string}
+ */
+function getTagName(tag) {
+  return typeof tag === 'string' ? tag : tag?.name || '';
+}
+
+/**
+ * Normalize a tag name: lowercase, each level trimmed, no empty levels
+ * @param {string} name
+ * @returns {string} - e.g. " Dev / JS//React " becomes "dev/js/react"
+ */
+export function normalizeTagPath(name) {
+  return String(name ?? '')
+    .toLowerCase()
+    .split(TAG_SEPARATOR)
+    .map((segment) => segment.trim().replace(/\s+/g, ' '))
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
+
+/**
+ * Check a tag name against TAG_LIMITS
+ * @param {string} name
+ * @returns {string|null} - What is wrong with it, or null if it is fine
+ */
+export function validateTagName(name) {
+  if (typeof name !== 'string') {
+    return 'Tag name is required';
+  }
+  const normalized = normalizeTagPath(name);
+  if (normalized.length === 0) {
+    return 'Tag name cannot be empty';
+  }
+  const segments = normalized.split(TAG_SEPARATOR);
+  if (segments.some((segment) => segment.length > TAG_LIMITS.maxSegmentLength)) {
+    return segments.length === 1
+      ? `Tag name must be ${TAG_LIMITS.maxSegmentLength} characters or less`
+      : `Each level of a tag name must be ${TAG_LIMITS.maxSegmentLength} characters or less`;
+  }
+  if (normalized.length > TAG_LIMITS.maxLength) {
+    return `Nested tag names must be ${TAG_LIMITS.maxLength} characters or less`;
+  }
+  if (segments.length > TAG_LIMITS.maxDepth) {
+    return `Tags can be nested at most ${TAG_LIMITS.maxDepth} levels deep`;
+  }
+  return null;
+}
+
+/**
+ * Check and normalize the aliases of a tag
+ * @param {string[]} aliases
+ * @param {string} [name] - The tag's own name, which can't also be an alias
+ * @returns {{valid: boolean, aliases: string[], errors: string[]}}
+ */
+export function validateTagAliases(aliases, name = '') {
+  if (!Array.isArray(aliases)) {
+    return { valid: false, aliases: [], errors: ['aliases must be an array of tag names'] };
+  }
+  const errors = [];
+  if (aliases.length > TAG_LIMITS.maxAliases) {
+    errors.push(`A tag can have at most ${TAG_LIMITS.maxAliases} aliases`);
+  }
+  aliases.forEach((alias, index) => {
+    const error = validateTagName(alias);
+    if (error) errors.push(`aliases[${index}]: ${error}`);
+  });
+  const own = normalizeTagPath(name);
+  const normalized = [
+    ...new Set(
+      aliases.filter((alias) => typeof alias === 'string').map((alias) => normalizeTagPath(alias))
+    ),
+  ].filter((alias) => alias && alias !== own);
+  return { valid: errors.length === 0, aliases: normalized, errors };
+}
+
+/**
+ * Parents of a tag, outermost first
+ * @param {string} name
+ * @returns {string[]} - "dev/js/react" gives ["dev", "dev/js"]
+ */
+export function getTagAncestors(name) {
+  const segments = normalizeTagPath(name).split(TAG_SEPARATOR);
+  return segments.slice(0, -1).map((_, index) => segments.slice(0, index + 1).join(TAG_SEPARATOR));
+}
+
+/**
+ * Whether a tag is a parent tag or nested under it
+ * @param {string|{name: string}} tag
+ * @param {string} parent
+ * @returns {boolean}
+ */
+export function isTagWithin(tag, parent) {
+  const name = normalizeTagPath(getTagName(tag));
+  const wanted = normalizeTagPath(parent);
+  return !!wanted && (name === wanted || name.startsWith(`${wanted}${TAG_SEPARATOR}`));
+}
+
+/**
+ * A tag's name after a rename
+ * @param {string} name
+ * @param {TagRename} rename
+ * @returns {string} - The renamed name, or the name itself if the rename doesn't touch it
+ */
+export function renameTagPath(name, { from, to }) {
+  const normalized = normalizeTagPath(name);
+  return isTagWithin(normalized, from)
+    ? normalizeTagPath(to) + normalized.slice(normalizeTagPath(from).length)
+    : name;
+}
+
+/**
+ * Replay renames, in order, over the tags of each bookmark
+ * @param {Object<string, string[]>} tagsByUrl - Tag names of each bookmark
+ * @param {TagRename[]} renames - Oldest first
+ * @returns {{tagsByUrl: Object<string, string[]>, changed: number}} - changed counts
+ *   the bookmarks whose tags changed
+ */
+export function applyTagRenames(tagsByUrl, renames) {
+  let changed = 0;
+  const result = {};
+  for (const [url, names] of Object.entries(tagsByUrl || {})) {
+    const renamed = [
+      ...new Set(
+        names.map((name) =>
+          renames.reduce((current, rename) => renameTagPath(current, rename), name)
+        )
+      ),
+    ];
+    if (renamed.length !== names.length || renamed.some((name, i) => name !== names[i])) {
+      changed++;
+    }
+    result[url] = renamed;
+  }
+  return { tagsByUrl: result, changed };
+}
+
+/**
+ * Replace aliases with the names of the tags they stand for
+ * @param {Array<string|{name: string}>} names - Tag names or tag objects
+ * @param {Array<{name: string, aliases?: string[]}>} tags - The user's tags
+ * @returns {string[]} - Names without duplicates, aliases resolved anywhere in a path
+ *   ("js/react" becomes "javascript/react" when js is an alias of javascript)
+ */
+export function resolveTagAliases(names, tags) {
+  const canonical = new Map();
+  for (const tag of tags || []) {
+    for (const alias of tag.aliases || []) {
+      canonical.set(normalizeTagPath(alias), normalizeTagPath(tag.name));
+    }
+  }
+
+  const resolve = (name) => {
+    const normalized = normalizeTagPath(name);
+    // The longest aliased prefix wins
+    for (const prefix of [normalized, ...getTagAncestors(normalized).reverse()]) {
+      if (canonical.has(prefix)) {
+        return renameTagPath(normalized, { from: prefix, to: canonical.get(prefix) });
+      }
+    }
+    return name;
+  };
+
+  return [...new Set((names || []).map(getTagName).filter(Boolean).map(resolve))];
+}
+
+/**
+ * Arrange tags into a tree by their names, adding the parents that only exist
+ * through their children
+ * @param {Array<{name: string}>} tags
+ * @returns {TagTreeNode[]} - Sorted by name at every level
+ */
+export function buildTagTree(tags) {
+  const root = { children: [] };
+  const nodes = new Map([['', root]]);
+
+  const nodeFor = (path) => {
+    if (nodes.has(path)) return nodes.get(path);
+    const ancestors = getTagAncestors(path);
+    const parent = nodeFor(ancestors.length ? ancestors[ancestors.length - 1] : '');
+    const node = {
+      name: path.split(TAG_SEPARATOR).pop(),
+      path,
+      tag: null,
+      children: [],
+    };
+    parent.children.push(node);
+    nodes.set(path, node);
+    return node;
+  };
+
+  for (const tag of tags || []) {
+    const path = normalizeTagPath(tag.name);
+    if (path) nodeFor(path).tag = tag;
+  }
+
+  const sort = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach((node) => sort(node.children));
+    return list;
+  };
+  return sort(root.children);
+}
+
+export default {
+  TAG_SEPARATOR,
+  TAG_LIMITS,
+  normalizeTagPath,
+  validateTagName,
+  validateTagAliases,
+  getTagAncestors,
+  isTagWithin,
+  renameTagPath,
+  applyTagRenames,
+  resolveTagAliases,
+  buildTagTree,
+};
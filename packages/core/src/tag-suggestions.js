@@ -0,0 +1,438 @@
+/**
+ * @fileoverview Tag suggestions from a bookmark's URL, title and page metadata
+ * Candidates come from the words of the domain, path and title, and from the keywords
+ * a page declares about itself (keywords, news_keywords, article:tag). The user's own
+ * tagging then decides what is worth suggesting: a model learned from the bookmarks
+ * already tagged counts which tags went with which words and sites, and which tags
+ * were used together. Everything runs locally, with no language model or remote
+ * service.
+ */
+
+import { tokenize } from './full-text-search.js';
+
+/**
+ * Why a tag was suggested
+ */
+export const SUGGESTION_SOURCES = {
+  DOMAIN: 'domain',
+  PATH: 'path',
+  TITLE: 'title',
+  METADATA: 'metadata',
+  HISTORY: 'history',
+  RELATED: 'related',
+};
+
+/**
+ * Default options for suggestTags
+ */
+export const DEFAULT_SUGGESTION_OPTIONS = {
+  limit: 5,
+  minScore: 0.35,
+  newTags: true,
+};
+
+// How strongly a word suggests a tag, by where the word came from: a word naming one
+// of the user's tags counts for more than one that would start a new tag
+const WORD_WEIGHTS = {
+  domain: { existing: 0.75, new: 0.45 },
+  path: { existing: 0.6, new: 0.3 },
+  title: { existing: 0.6, new: 0.3 },
+  metadata: { existing: 0.85, new: 0.7 },
+};
+
+const HISTORY_WEIGHT = 0.8;
+const RELATED_WEIGHT = 0.5;
+
+const MAX_TAG_LENGTH = 40;
+const MAX_KEYWORD_WORDS = 3;
+const MAX_METADATA_KEYWORDS = 20;
+const MAX_PATH_WORDS = 8;
+
+// Meta tags listing keywords or topics of a page
+const KEYWORD_META_KEYS = new Set([
+  'keywords',
+  'news_keywords',
+  'article:tag',
+  'article:section',
+  'book:tag',
+  'video:tag',
+]);
+
+// Second-level labels of country domains, e.g. the "co" of bbc.co.uk
+const SECOND_LEVEL_LABELS = new Set(['ac', 'co', 'com', 'edu', 'gov', 'net', 'or', 'org']);
+
+const GENERIC_SUBDOMAINS = new Set(['www', 'm', 'mobile', 'amp', 'en', 'web']);
+
+// Words of URLs and titles that never make a useful tag
+const NOISE_WORDS = new Set([
+  'about',
+  'all',
+  'amp',
+  'asp',
+  'aspx',
+  'best',
+  'can',
+  'com',
+  'default',
+  'get',
+  'home',
+  'how',
+  'htm',
+  'html',
+  'index',
+  'into',
+  'more',
+  'new',
+  'not',
+  'official',
+  'our',
+  'page',
+  'php',
+  'post',
+  'site',
+  'top',
+  'use',
+  'using',
+  'via',
+  'welcome',
+  'what',
+  'when',
+  'where',
+  'who',
+  'why',
+  'will',
+  'www',
+  'you',
+  'your',
+]);
+
+/**
+ * @typedef {Object} TagModel
+ * @property {Map<string, string>} tags - Name of each known tag, by tagKey
+ * @property {Map<string, number>} tagCounts - How many bookmarks have each tag
+ * @property {Map<string, number>} featureCounts - How many tagged bookmarks have each
+ *   site or word
+ * @property {Map<string, Map<string, number>>} featureTags - For each site or word, how
+ *   many tagged bookmarks with it had each tag
+ * @property {Map<string, Map<string, number>>} pairs - For each tag, how many bookmarks
+ *   had it together with each other tag
+ */
+
+/**
+ * @typedef {Object} TagSuggestion
+ * @property {string} name - Tag name, spelled like the user's tag when they have it
+ * @property {number} score - 0-1
+ * @property {string[]} reasons - SUGGESTION_SOURCES values, strongest first
+ * @property {boolean} isNew - Whether the user has no tag of this name yet
+ */
+
+/**
+ * Turn free text into a tag name: lowercase, without accents, words joined by dashes
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeTagName(name) {
+  return String(name ?? '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^\p{L}\p{N}\-./+#]/gu, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-./]+|[-./]+$/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Key under which two spellings of a tag are the same tag ("Recipes" and "recipe")
+ * @param {string} name
+ * @returns {string}
+ */
+export function tagKey(name) {
+  const normalized = normalizeTagName(name);
+  return normalized.length > 3 && /[^isu]s$/.test(normalized)
+    ? normalized.slice(0, -1)
+    : normalized;
+}
+
+/**
+ * Name of a tag given as a string or a tag object
+ * @param {string|{name: string}} tag
+ * @returns {string}
+ */
+function tagName(tag) {
+  return typeof tag === 'string' ? tag : tag?.name || '';
+}
+
+/**
+ * Whether a word from a URL or title could be a tag
+ * @param {string} word - Normalized word
+ * @returns {boolean}
+ */
+function isUsefulWord(word) {
+  return (
+    word.length >= 2 &&
+    word.length <= 24 &&
+    !/^\d+$/.test(word) &&
+    !/\d{3,}/.test(word) &&
+    !NOISE_WORDS.has(word)
+  );
+}
+
+/**
+ * Words of a bookmark's domain, path and title
+ * @param {{url?: string, title?: string}} bookmark
+ * @returns {{domain: string[], path: string[], title: string[]}}
+ */
+export function extractBookmarkWords(bookmark) {
+  const words = { domain: [], path: [], title: [] };
+
+  let url = null;
+  try {
+    url = new URL(bookmark.url);
+  } catch {
+    // Not a URL; only the title has words
+  }
+
+  if (url && /^https?:$/.test(url.protocol)) {
+    const labels = url.hostname.toLowerCase().split('.');
+    labels.pop();
+    if (labels.length > 1 && SECOND_LEVEL_LABELS.has(labels[labels.length - 1])) {
+      labels.pop();
+    }
+    words.domain = labels
+      .filter((label) => !GENERIC_SUBDOMAINS.has(label) && !/^www\d*$/.test(label))
+      .flatMap((label) => tokenize(label.replace(/-/g, ' ')))
+      .filter(isUsefulWord);
+
+    let path = url.pathname;
+    try {
+      path = decodeURIComponent(path);
+    } catch {
+      // Keep the encoded path
+    }
+    words.path = tokenize(path.replace(/\.[a-z0-9]+$/i, ''))
+      .filter(isUsefulWord)
+      .slice(0, MAX_PATH_WORDS);
+  }
+
+  words.title = tokenize(bookmark.title).filter(isUsefulWord);
+  return words;
+}
+
+/**
+ * Keywords a page declares about itself in its meta tags
+ * @param {Array<[string, string]>|Object<string, string|string[]>} [meta] - Meta tag
+ *   names or properties with their content
+ * @returns {string[]} - Tag names
+ */
+export function readTagMetadata(meta) {
+  if (!meta) return [];
+  const entries = Array.isArray(meta)
+    ? meta
+    : Object.entries(meta).flatMap(([key, value]) =>
+        (Array.isArray(value) ? value : [value]).map((content) => [key, content])
+      );
+
+  const keywords = new Set();
+  for (const [key, content] of entries) {
+    if (!KEYWORD_META_KEYS.has(String(key).toLowerCase()) || typeof content !== 'string') {
+      continue;
+    }
+    for (const keyword of content.split(/[,;|]/)) {
+      const words = keyword.trim().split(/\s+/);
+      if (words.length > MAX_KEYWORD_WORDS || /^[a-z]+:\/\//i.test(keyword.trim())) continue;
+      const name = normalizeTagName(keyword);
+      if (name.length >= 2 && !/^\d+$/.test(name)) keywords.add(name);
+      if (keywords.size === MAX_METADATA_KEYWORDS) return [...keywords];
+    }
+  }
+  return [...keywords];
+}
+
+/**
+ * Sites and words of a bookmark the model learns tags from
+ * @param {{url?: string, title?: string}} bookmark
+ * @returns {Set<string>}
+ */
+function bookmarkFeatures(bookmark) {
+  const { domain, path, title } = extractBookmarkWords(bookmark);
+  const features = new Set([...domain, ...path, ...title].map(tagKey));
+  try {
+    const { hostname } = new URL(bookmark.url);
+    features.add(`site:${hostname.toLowerCase().replace(/^www\d*\./, '')}`);
+  } catch {
+    // No site to learn from
+  }
+  return features;
+}
+
+/**
+ * Increment a count in a map of counts
+ * @param {Map<string, Map<string, number>>} counts
+ * @param {string} outer
+ * @param {string} inner
+ */
+function countPair(counts, outer, inner) {
+  if (!counts.has(outer)) counts.set(outer, new Map());
+  const inners = counts.get(outer);
+  inners.set(inner, (inners.get(inner) || 0) + 1);
+}
+
+/**
+ * Learn how the user tags from the bookmarks they already tagged
+ * @param {Array<{url?: string, title?: string, tags?: Array<string|{name: string}>}>} bookmarks
+ * @param {Array<string|{name: string}>} [vocabulary] - Tags the user has, used or not
+ * @returns {TagModel}
+ */
+export function buildTagModel(bookmarks = [], vocabulary = []) {
+  const model = {
+    tags: new Map(),
+    tagCounts: new Map(),
+    featureCounts: new Map(),
+    featureTags: new Map(),
+    pairs: new Map(),
+  };
+
+  const addTag = (tag) => {
+    const name = tagName(tag).trim();
+    const key = tagKey(name);
+    if (key && !model.tags.has(key)) model.tags.set(key, name);
+    return key;
+  };
+
+  vocabulary.forEach(addTag);
+
+  for (const bookmark of bookmarks) {
+    const keys = [...new Set((bookmark.tags || []).map(addTag).filter(Boolean))];
+    if (keys.length === 0) continue;
+
+    for (const key of keys) {
+      model.tagCounts.set(key, (model.tagCounts.get(key) || 0) + 1);
+      for (const other of keys) {
+        if (other !== key) countPair(model.pairs, key, other);
+      }
+    }
+    for (const feature of bookmarkFeatures(bookmark)) {
+      model.featureCounts.set(feature, (model.featureCounts.get(feature) || 0) + 1);
+      for (const key of keys) countPair(model.featureTags, feature, key);
+    }
+  }
+
+  return model;
+}
+
+/**
+ * Suggest tags for a bookmark
+ * @param {{url?: string, title?: string, tags?: Array<string|{name: string}>}} bookmark
+ * @param {TagModel} [model] - From buildTagModel; without one, only the bookmark's own
+ *   words are suggested
+ * @param {Object} [options]
+ * @param {Array<[string, string]>|Object} [options.meta] - The page's meta tags
+ * @param {Array<string|{name: string}>} [options.selectedTags] - Tags already chosen,
+ *   which are not suggested again; defaults to the bookmark's tags
+ * @param {number} [options.limit]
+ * @param {number} [options.minScore]
+ * @param {boolean} [options.newTags] - Also suggest tags the user doesn't have yet
+ * @returns {TagSuggestion[]}
+ */
+export function suggestTags(bookmark, model = buildTagModel(), options = {}) {
+  const { limit, minScore, newTags, meta, selectedTags } = {
+    ...DEFAULT_SUGGESTION_OPTIONS,
+    ...options,
+  };
+  const selected = new Set(
+    (selectedTags ?? bookmark.tags ?? []).map((tag) => tagKey(tagName(tag)))
+  );
+
+  // Strongest evidence for each tag from each source
+  const candidates = new Map();
+  const consider = (key, name, isNew, source, weight) => {
+    if (!key || selected.has(key) || weight <= 0) return;
+    if (!candidates.has(key)) candidates.set(key, { name, isNew, sources: new Map() });
+    const { sources } = candidates.get(key);
+    sources.set(source, Math.max(sources.get(source) || 0, weight));
+  };
+
+  const considerWord = (word, source) => {
+    const key = tagKey(word);
+    const known = model.tags.get(key);
+    if (known) {
+      consider(key, known, false, source, WORD_WEIGHTS[source].existing);
+    } else if (newTags && word.length >= 3) {
+      consider(key, normalizeTagName(word), true, source, WORD_WEIGHTS[source].new);
+    }
+  };
+
+  const words = extractBookmarkWords(bookmark);
+  for (const source of ['domain', 'path', 'title']) {
+    for (const word of words[source]) considerWord(word, source);
+  }
+  for (const keyword of readTagMetadata(meta)) considerWord(keyword, 'metadata');
+
+  for (const feature of bookmarkFeatures(bookmark)) {
+    const total = model.featureCounts.get(feature);
+    for (const [key, count] of model.featureTags.get(feature) || []) {
+      // One more than seen, so a single tagged bookmark doesn't make a certainty
+      consider(key, model.tags.get(key), false, 'history', (HISTORY_WEIGHT * count) / (total + 1));
+    }
+  }
+
+  for (const chosen of selected) {
+    const total = model.tagCounts.get(chosen);
+    for (const [key, count] of model.pairs.get(chosen) || []) {
+      consider(key, model.tags.get(key), false, 'related', (RELATED_WEIGHT * count) / (total + 1));
+    }
+  }
+
+  return [...candidates.values()]
+    .map(({ name, isNew, sources }) => {
+      const ranked = [...sources].sort((a, b) => b[1] - a[1]);
+      // Independent pieces of evidence add up without passing 1
+      const score = 1 - ranked.reduce((rest, [, weight]) => rest * (1 - weight), 1);
+      return {
+        name,
+        score: Math.round(score * 100) / 100,
+        reasons: ranked.map(([source]) => source),
+        isNew,
+      };
+    })
+    .filter((suggestion) => suggestion.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Suggest tags for every bookmark that has none, learning from the ones that do
+ * @param {Array<{id: string, url: string, title?: string, tags?: Array}>} bookmarks
+ * @param {Object} [options] - suggestTags options, plus:
+ * @param {Array<string|{name: string}>} [options.vocabulary] - Tags the user has
+ * @returns {Array<{id: string, url: string, title: string, suggestions: TagSuggestion[]}>}
+ *   Only bookmarks with at least one suggestion
+ */
+export function suggestTagsForUntagged(bookmarks, options = {}) {
+  const { vocabulary = [], ...suggestOptions } = options;
+  const model = buildTagModel(bookmarks, vocabulary);
+
+  return bookmarks
+    .filter((bookmark) => bookmark.url && !bookmark.tags?.length)
+    .map((bookmark) => ({
+      id: bookmark.id,
+      url: bookmark.url,
+      title: bookmark.title || '',
+      suggestions: suggestTags(bookmark, model, { ...suggestOptions, selectedTags: [] }),
+    }))
+    .filter((result) => result.suggestions.length > 0);
+}
+
+export default {
+  SUGGESTION_SOURCES,
+  DEFAULT_SUGGESTION_OPTIONS,
+  normalizeTagName,
+  tagKey,
+  extractBookmarkWords,
+  readTagMetadata,
+  buildTagModel,
+  suggestTags,
+  suggestTagsForUntagged,
+};
@@ -0,0 +1,767 @@
+/**
+ * @fileoverview Three-way merge of bookmark trees against a common ancestor
+ *
+ * The ancestor (base) is the bookmark data as it was after the last successful
+ * sync. Every item is compared field by field (title, URL, parent folder and
+ * position) against the base, so a change made on only one side is always
+ * applied, and a conflict is reported only when both sides changed the same
+ * field to different values.
+ */
+
+import { CONFLICT_RESOLUTION, MERGE_FIELD } from '@marksyncr/types';
+import { normalizeRootPath, indexFlatItems } from './delta-sync.js';
+
+/**
+ * @typedef {import('@marksyncr/types').BookmarkData} BookmarkData
+ * @typedef {import('@marksyncr/types').BookmarkItem} BookmarkItem
+ * @typedef {import('@marksyncr/types').FieldConflict} FieldConflict
+ */
+
+/**
+ * @typedef {Object} IndexedEntry
+ * @property {BookmarkItem} item - The bookmark item (children are ignored)
+ * @property {string} parentId - Parent folder ID, or the root key for top-level items
+ * @property {string} path - Slash-separated path used for display
+ */
+
+/**
+ * @typedef {Object} TreeIndex
+ * @property {Map<string, IndexedEntry>} entries - Items keyed by ID
+ * @property {Map<string, string[]>} children - Ordered child IDs keyed by parent ID
+ */
+
+/**
+ * Root folders that hold the bookmark tree
+ */
+export const ROOT_KEYS = ['toolbar', 'menu', 'other'];
+
+/**
+ * Item properties that are structural and never merged as plain values
+ */
+const STRUCTURAL_PROPS = new Set(['id', 'children', 'index']);
+
+/**
+ * Compares two values, treating arrays and objects structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if values are equal
+ */
+const isEqualValue = (a, b) => {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Checks whether an item is a folder
+ * @param {BookmarkItem} item - Bookmark item
+ * @returns {boolean}
+ */
+const isFolder = (item) => item?.type === 'folder' || Array.isArray(item?.children);
+
+/**
+ * Indexes a bookmark tree by item ID, recording each item's parent and sibling order
+ * @param {BookmarkData} bookmarks - Bookmark data structure
+ * @returns {TreeIndex}
+ */
+export const indexBookmarkTree = (bookmarks) => {
+  const entries = new Map();
+  const children = new Map();
+
+  const traverse = (items, parentId, parentPath) => {
+    const ids = [];
+    for (const item of items ?? []) {
+      if (!item?.id || entries.has(item.id)) continue;
+
+      const path = `${parentPath}/${item.title ?? ''}`;
+      entries.set(item.id, { item, parentId, path });
+      ids.push(item.id);
+
+      if (isFolder(item)) {
+        traverse(item.children, item.id, path);
+      }
+    }
+    children.set(parentId, ids);
+  };
+
+  for (const rootKey of ROOT_KEYS) {
+    traverse(bookmarks?.[rootKey]?.children, rootKey, rootKey);
+  }
+
+  return { entries, children };
+};
+
+/**
+ * Finds the items that keep their relative order between two sibling lists.
+ * Uses a longest increasing subsequence so that moving one item does not mark
+ * all of its shifted siblings as moved.
+ * @param {string[]} baseOrder - Sibling IDs in the ancestor
+ * @param {string[]} sideOrder - Sibling IDs on one side (same parent)
+ * @returns {Set<string>} IDs whose relative position is unchanged
+ */
+export const findStableItems = (baseOrder, sideOrder) => {
+  const baseRank = new Map(baseOrder.map((id, i) => [id, i]));
+  const sequence = sideOrder.filter((id) => baseRank.has(id));
+
+  // Patience sorting: tails[k] is the index (into sequence) of the smallest
+  // tail of an increasing subsequence of length k + 1
+  const tails = [];
+  const previous = new Array(sequence.length).fill(-1);
+
+  for (let i = 0; i < sequence.length; i++) {
+    const rank = baseRank.get(sequence[i]);
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (baseRank.get(sequence[tails[mid]]) < rank) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    if (lo > 0) previous[i] = tails[lo - 1];
+    tails[lo] = i;
+  }
+
+  const stable = new Set();
+  let cursor = tails.length > 0 ? tails[tails.length - 1] : -1;
+  while (cursor !== -1) {
+    stable.add(sequence[cursor]);
+    cursor = previous[cursor];
+  }
+
+  return stable;
+};
+
+/**
+ * Collects the IDs that one side moved within the same parent folder
+ * @param {TreeIndex} base - Ancestor index
+ * @param {TreeIndex} side - Local or remote index
+ * @returns {Set<string>} IDs repositioned on this side
+ */
+const findRepositionedItems = (base, side) => {
+  const moved = new Set();
+
+  for (const [parentId, sideOrder] of side.children) {
+    const baseOrder = base.children.get(parentId) ?? [];
+    // Only compare items that lived in this parent in both trees
+    const shared = sideOrder.filter((id) => base.entries.get(id)?.parentId === parentId);
+    const sharedSet = new Set(shared);
+    const stable = findStableItems(
+      baseOrder.filter((id) => sharedSet.has(id)),
+      shared
+    );
+    for (const id of shared) {
+      if (!stable.has(id)) moved.add(id);
+    }
+  }
+
+  return moved;
+};
+
+/**
+ * Returns the ID of the sibling immediately before an item, or null if it is first
+ * @param {TreeIndex} index - Tree index
+ * @param {string} id - Item ID
+ * @returns {string|null}
+ */
+const getAnchor = (index, id) => {
+  const entry = index.entries.get(id);
+  const siblings = index.children.get(entry.parentId) ?? [];
+  const position = siblings.indexOf(id);
+  return position > 0 ? siblings[position - 1] : null;
+};
+
+/**
+ * Reads a tracked field from an indexed entry
+ * @param {IndexedEntry} entry - Indexed entry
+ * @param {string} field - Merge field
+ * @returns {*}
+ */
+const readField = (entry, field) => {
+  switch (field) {
+    case MERGE_FIELD.TITLE:
+      return entry.item.title ?? '';
+    case MERGE_FIELD.URL:
+      return entry.item.url ?? null;
+    case MERGE_FIELD.PARENT:
+      return entry.parentId;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Gets the modification time of an item for the 'newest' strategy
+ * @param {BookmarkItem} item - Bookmark item
+ * @returns {number} Milliseconds since epoch (0 if unknown)
+ */
+const getModifiedTime = (item) => {
+  const raw = item?.dateModified ?? item?.dateAdded;
+  const time = typeof raw === 'number' ? raw : new Date(raw ?? 0).getTime();
+  return Number.isFinite(time) ? time : 0;
+};
+
+/**
+ * Picks the winning side for a conflicting field
+ * @param {string} strategy - 'local', 'remote' or 'newest'
+ * @param {IndexedEntry} local - Local entry
+ * @param {IndexedEntry} remote - Remote entry
+ * @returns {'local' | 'remote'}
+ */
+const pickSide = (strategy, local, remote) => {
+  if (strategy === CONFLICT_RESOLUTION.REMOTE) return CONFLICT_RESOLUTION.REMOTE;
+  if (strategy === CONFLICT_RESOLUTION.LOCAL) return CONFLICT_RESOLUTION.LOCAL;
+  return getModifiedTime(remote.item) > getModifiedTime(local.item)
+    ? CONFLICT_RESOLUTION.REMOTE
+    : CONFLICT_RESOLUTION.LOCAL;
+};
+
+/**
+ * Merges the untracked properties of an item (tags, notes, dates, ...).
+ * A property changed on only one side takes that side's value; if both
+ * changed it, the local value is kept.
+ * @param {BookmarkItem|undefined} base - Ancestor item
+ * @param {BookmarkItem} local - Local item
+ * @param {BookmarkItem} remote - Remote item
+ * @returns {Object} Merged properties
+ */
+const mergeProperties = (base, local, remote) => {
+  const merged = {};
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+  for (const key of keys) {
+    if (STRUCTURAL_PROPS.has(key)) continue;
+    const remoteChanged = base ? !isEqualValue(remote[key], base[key]) : !(key in local);
+    const value = isEqualValue(local[key], base?.[key]) && remoteChanged ? remote[key] : local[key];
+    if (value !== undefined) merged[key] = value;
+  }
+
+  return merged;
+};
+
+/**
+ * Copies an item without its structural properties
+ * @param {BookmarkItem} item - Bookmark item
+ * @returns {Object}
+ */
+const copyProperties = (item) => {
+  const copy = {};
+  for (const [key, value] of Object.entries(item)) {
+    if (!STRUCTURAL_PROPS.has(key)) copy[key] = value;
+  }
+  return copy;
+};
+
+/**
+ * Checks whether one side changed an item relative to the ancestor
+ * @param {IndexedEntry} baseEntry - Ancestor entry
+ * @param {IndexedEntry} sideEntry - Side entry
+ * @param {Set<string>} repositioned - IDs moved within their parent on this side
+ * @returns {boolean}
+ */
+const isChangedOnSide = (baseEntry, sideEntry, repositioned) => {
+  if (repositioned.has(sideEntry.item.id)) return true;
+  if (baseEntry.parentId !== sideEntry.parentId) return true;
+  const { item: a } = baseEntry;
+  const { item: b } = sideEntry;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    if (STRUCTURAL_PROPS.has(key)) continue;
+    if (!isEqualValue(a[key], b[key])) return true;
+  }
+  return false;
+};
+
+/**
+ * Performs a three-way merge of local and remote bookmark data against their
+ * common ancestor
+ * @param {BookmarkData} base - Bookmark data as of the last successful sync
+ * @param {BookmarkData} local - Current local bookmark data
+ * @param {BookmarkData} remote - Current remote bookmark data
+ * @param {Object} [options]
+ * @param {string} [options.strategy='newest'] - How to settle conflicting fields ('local', 'remote', 'newest')
+ * @returns {{merged: BookmarkData, conflicts: FieldConflict[]}}
+ */
+export const threeWayMerge = (base, local, remote, { strategy = 'newest' } = {}) => {
+  const baseIndex = indexBookmarkTree(base);
+  const localIndex = indexBookmarkTree(local);
+  const remoteIndex = indexBookmarkTree(remote);
+
+  const localMoved = findRepositionedItems(baseIndex, localIndex);
+  const remoteMoved = findRepositionedItems(baseIndex, remoteIndex);
+
+  /** @type {FieldConflict[]} */
+  const conflicts = [];
+
+  /**
+   * Merged entries: props, parent and which side's ordering places the item
+   * @type {Map<string, {props: Object, parentId: string, placement: string}>}
+   */
+  const mergedEntries = new Map();
+
+  const recordConflict = (id, field, values, resolution, resolvedValue, path) => {
+    conflicts.push({
+      id,
+      field,
+      path,
+      base: values.base,
+      local: values.local,
+      remote: values.remote,
+      resolution,
+      resolvedValue,
+    });
+  };
+
+  /**
+   * Merges one tracked field; returns the value and the side it came from
+   */
+  const mergeField = (id, field, b, l, r) => {
+    const baseValue = b ? readField(b, field) : undefined;
+    const localValue = readField(l, field);
+    const remoteValue = readField(r, field);
+
+    if (isEqualValue(localValue, remoteValue)) {
+      const changed = b && !isEqualValue(localValue, baseValue);
+      return { value: localValue, from: changed ? CONFLICT_RESOLUTION.LOCAL : 'base' };
+    }
+    if (b && isEqualValue(localValue, baseValue)) {
+      return { value: remoteValue, from: CONFLICT_RESOLUTION.REMOTE };
+    }
+    if (b && isEqualValue(remoteValue, baseValue)) {
+      return { value: localValue, from: CONFLICT_RESOLUTION.LOCAL };
+    }
+
+    const side = pickSide(strategy, l, r);
+    const value = side === CONFLICT_RESOLUTION.LOCAL ? localValue : remoteValue;
+    recordConflict(
+      id,
+      field,
+      { base: baseValue, local: localValue, remote: remoteValue },
+      side,
+      value,
+      l.path
+    );
+    return { value, from: side };
+  };
+
+  const ids = new Set([
+    ...baseIndex.entries.keys(),
+    ...localIndex.entries.keys(),
+    ...remoteIndex.entries.keys(),
+  ]);
+
+  for (const id of ids) {
+    const b = baseIndex.entries.get(id);
+    const l = localIndex.entries.get(id);
+    const r = remoteIndex.entries.get(id);
+
+    // Present on one side only: either added there, or deleted on the other side
+    if (!l || !r) {
+      const present = l ?? r;
+      if (!present) continue; // Deleted on both sides
+
+      const presentSide = l ? CONFLICT_RESOLUTION.LOCAL : CONFLICT_RESOLUTION.REMOTE;
+      if (b) {
+        const moved = l ? localMoved : remoteMoved;
+        if (!isChangedOnSide(b, present, moved)) continue; // Clean deletion
+
+        // Deleted on one side, edited on the other: keep the edited copy
+        recordConflict(
+          id,
+          MERGE_FIELD.DELETED,
+          {
+            base: false,
+            local: !l,
+            remote: !r,
+          },
+          presentSide,
+          false,
+          present.path
+        );
+      }
+
+      mergedEntries.set(id, {
+        props: copyProperties(present.item),
+        parentId: present.parentId,
+        placement: presentSide,
+      });
+      continue;
+    }
+
+    const title = mergeField(id, MERGE_FIELD.TITLE, b, l, r);
+    const url = mergeField(id, MERGE_FIELD.URL, b, l, r);
+    const parent = mergeField(id, MERGE_FIELD.PARENT, b, l, r);
+
+    // The side that chose the parent also decides the position inside it
+    let placement = parent.from;
+    if (placement === 'base') {
+      const movedLocally = b ? localMoved.has(id) : true;
+      const movedRemotely = b ? remoteMoved.has(id) : false;
+
+      if (movedLocally && movedRemotely) {
+        const localAnchor = getAnchor(localIndex, id);
+        const remoteAnchor = getAnchor(remoteIndex, id);
+        if (localAnchor === remoteAnchor) {
+          placement = CONFLICT_RESOLUTION.LOCAL;
+        } else {
+          placement = pickSide(strategy, l, r);
+          recordConflict(
+            id,
+            MERGE_FIELD.POSITION,
+            {
+              base: b ? getAnchor(baseIndex, id) : undefined,
+              local: localAnchor,
+              remote: remoteAnchor,
+            },
+            placement,
+            placement === CONFLICT_RESOLUTION.LOCAL ? localAnchor : remoteAnchor,
+            l.path
+          );
+        }
+      } else if (movedLocally) {
+        placement = CONFLICT_RESOLUTION.LOCAL;
+      } else if (movedRemotely) {
+        placement = CONFLICT_RESOLUTION.REMOTE;
+      }
+    }
+
+    const props = mergeProperties(b?.item, l.item, r.item);
+    props.title = title.value;
+    if (url.value !== null) {
+      props.url = url.value;
+    } else {
+      delete props.url;
+    }
+
+    mergedEntries.set(id, { props, parentId: parent.value, placement });
+  }
+
+  // Bring back folders that one side deleted while the other side still put
+  // items in them, so that those items are not lost
+  const findKnownEntry = (id) =>
+    localIndex.entries.get(id) ?? remoteIndex.entries.get(id) ?? baseIndex.entries.get(id);
+
+  for (const id of [...mergedEntries.keys()]) {
+    let parentId = mergedEntries.get(id).parentId;
+    while (!ROOT_KEYS.includes(parentId) && !mergedEntries.has(parentId)) {
+      const parentEntry = findKnownEntry(parentId);
+      if (!parentEntry) {
+        // Unknown parent - fall back to the root the item came from
+        const rootKey = findKnownEntry(id)?.path.split('/')[0] ?? 'other';
+        mergedEntries.get(id).parentId = rootKey;
+        break;
+      }
+
+      recordConflict(
+        parentId,
+        MERGE_FIELD.DELETED,
+        {
+          base: false,
+          local: !localIndex.entries.has(parentId),
+          remote: !remoteIndex.entries.has(parentId),
+        },
+        localIndex.entries.has(parentId) ? CONFLICT_RESOLUTION.LOCAL : CONFLICT_RESOLUTION.REMOTE,
+        false,
+        parentEntry.path
+      );
+      mergedEntries.set(parentId, {
+        props: copyProperties(parentEntry.item),
+        parentId: parentEntry.parentId,
+        placement: localIndex.entries.has(parentId) ? 'local' : 'remote',
+      });
+      parentId = parentEntry.parentId;
+    }
+  }
+
+  // Break cycles created by both sides moving folders into each other
+  for (const [id, entry] of mergedEntries) {
+    const seen = new Set([id]);
+    let parentId = entry.parentId;
+    while (!ROOT_KEYS.includes(parentId)) {
+      if (seen.has(parentId)) {
+        const fallback = baseIndex.entries.get(id) ?? localIndex.entries.get(id);
+        const fallbackParent = fallback.parentId;
+        entry.parentId =
+          ROOT_KEYS.includes(fallbackParent) || mergedEntries.has(fallbackParent)
+            ? fallbackParent
+            : fallback.path.split('/')[0];
+        entry.placement = baseIndex.entries.has(id) ? 'base' : 'local';
+        break;
+      }
+      seen.add(parentId);
+      parentId = mergedEntries.get(parentId)?.parentId ?? 'other';
+    }
+  }
+
+  // Order the children of every folder
+  const childrenByParent = new Map();
+  for (const [id, entry] of mergedEntries) {
+    if (!childrenByParent.has(entry.parentId)) childrenByParent.set(entry.parentId, []);
+    childrenByParent.get(entry.parentId).push(id);
+  }
+
+  const orderChildren = (parentId) => {
+    const members = new Set(childrenByParent.get(parentId) ?? []);
+    const ordered = (baseIndex.children.get(parentId) ?? []).filter(
+      (id) => members.has(id) && mergedEntries.get(id).placement === 'base'
+    );
+    const placed = new Set(ordered);
+
+    for (const [side, index] of [
+      [CONFLICT_RESOLUTION.LOCAL, localIndex],
+      [CONFLICT_RESOLUTION.REMOTE, remoteIndex],
+    ]) {
+      const sideOrder = index.children.get(parentId) ?? [];
+      sideOrder.forEach((id, position) => {
+        if (!members.has(id) || placed.has(id) || mergedEntries.get(id).placement !== side) {
+          return;
+        }
+        // Insert after the nearest preceding sibling that is already placed.
+        // Siblings positioned by the other side are skipped: their place on
+        // this side is stale.
+        let insertAt = 0;
+        for (let i = position - 1; i >= 0; i--) {
+          const anchor = mergedEntries.get(sideOrder[i]);
+          if (anchor && anchor.placement !== side && anchor.placement !== 'base') continue;
+          const anchorPosition = ordered.indexOf(sideOrder[i]);
+          if (anchorPosition !== -1) {
+            insertAt = anchorPosition + 1;
+            break;
+          }
+        }
+        ordered.splice(insertAt, 0, id);
+        placed.add(id);
+      });
+    }
+
+    // Anything left (e.g. a resurrected folder outside its side's parent) goes last
+    for (const id of members) {
+      if (!placed.has(id)) ordered.push(id);
+    }
+
+    return ordered;
+  };
+
+  const buildChildren = (parentId) =>
+    orderChildren(parentId).map((id, position) => {
+      const { props } = mergedEntries.get(id);
+      const original = findKnownEntry(id).item;
+      const node = { id, ...props };
+      if (original.index !== undefined) node.index = position;
+      if (isFolder(original)) node.children = buildChildren(id);
+      return node;
+    });
+
+  const merged = {};
+  for (const rootKey of ROOT_KEYS) {
+    const root = local?.[rootKey] ?? remote?.[rootKey] ?? base?.[rootKey];
+    if (!root) continue;
+    merged[rootKey] = { ...root, children: buildChildren(rootKey) };
+  }
+
+  return { merged, conflicts };
+};
+
+/**
+ * Counts the items that differ between two bookmark trees (added, removed,
+ * edited or moved)
+ * @param {BookmarkData} from - First bookmark data
+ * @param {BookmarkData} to - Second bookmark data
+ * @returns {number} Number of differing items
+ */
+export const countTreeDifferences = (from, to) => {
+  const fromIndex = indexBookmarkTree(from);
+  const toIndex = indexBookmarkTree(to);
+  const moved = findRepositionedItems(fromIndex, toIndex);
+  let count = 0;
+
+  for (const [id, entry] of toIndex.entries) {
+    const previous = fromIndex.entries.get(id);
+    if (!previous || isChangedOnSide(previous, entry, moved)) count++;
+  }
+  for (const id of fromIndex.entries.keys()) {
+    if (!toIndex.entries.has(id)) count++;
+  }
+
+  return count;
+};
+
+/**
+ * @typedef {Object} FlatSide
+ * @property {BookmarkData} tree - The flat list as a tree, keyed by item key
+ * @property {Map<string, {item: Object, parentId: string}>} items - Listed items by key
+ */
+
+/**
+ * Splits a slash-separated folder path into its parent path and last segment
+ * @param {string} path - Folder path
+ * @returns {[string, string]}
+ */
+const splitFolderPath = (path) => {
+  const slash = path.lastIndexOf('/');
+  return slash === -1 ? ['', path] : [path.slice(0, slash), path.slice(slash + 1)];
+};
+
+/**
+ * Builds a tree from a flat bookmark list (see delta-sync.js). Items are keyed by
+ * their flat item key, which is the same on every device, unlike browser IDs.
+ * Folders that a path runs through but the list doesn't contain are added to the
+ * tree, and paths outside the known roots hang under 'other'.
+ * @param {Array<Object>} items - Flat bookmark list
+ * @param {Map<string, string>} folderPaths - Raw folder path by parent ID, filled in
+ *   for parents not seen yet
+ * @returns {FlatSide}
+ */
+const flatItemsToTree = (items, folderPaths) => {
+  const listed = new Map();
+  const nodes = new Map();
+  const children = new Map(ROOT_KEYS.map((rootKey) => [rootKey, []]));
+  const folderKeys = new Map();
+
+  const joinPath = (path, title) => (path ? `${path}/${title}` : title);
+
+  for (const [key, item] of indexFlatItems(items)) {
+    const node =
+      item.type === 'folder'
+        ? { id: key, type: 'folder', title: item.title ?? '' }
+        : { id: key, type: 'bookmark', title: item.title ?? '', url: item.url };
+    nodes.set(key, { node, index: item.index ?? 0 });
+    listed.set(key, { item, parentId: null });
+
+    if (item.type === 'folder') {
+      children.set(key, []);
+      const path = joinPath(normalizeRootPath(item.folderPath), node.title);
+      if (!folderKeys.has(path)) {
+        folderKeys.set(path, key);
+        if (!folderPaths.has(key))
+          folderPaths.set(key, joinPath(item.folderPath ?? '', node.title));
+      }
+    }
+  }
+
+  const resolveParent = (path, rawPath) => {
+    if (ROOT_KEYS.includes(path)) {
+      if (!folderPaths.has(path)) folderPaths.set(path, rawPath);
+      return path;
+    }
+    if (!path) return 'other';
+    if (folderKeys.has(path)) return folderKeys.get(path);
+
+    // A folder the list doesn't contain: add it where its path says
+    const [parentPath, title] = splitFolderPath(path);
+    const [rawParentPath] = splitFolderPath(rawPath);
+    const key = `folder:${parentPath}::${title}`;
+    folderKeys.set(path, key);
+    if (!folderPaths.has(key)) folderPaths.set(key, rawPath);
+    children.set(key, []);
+    nodes.set(key, { node: { id: key, type: 'folder', title }, index: Number.MAX_SAFE_INTEGER });
+    nodes.get(key).parentId = resolveParent(parentPath, rawParentPath);
+    return key;
+  };
+
+  for (const [key, entry] of listed) {
+    const parentId = resolveParent(
+      normalizeRootPath(entry.item.folderPath),
+      entry.item.folderPath ?? ''
+    );
+    entry.parentId = parentId;
+    nodes.get(key).parentId = parentId;
+  }
+
+  for (const [key, { parentId, index }] of nodes) {
+    children.get(parentId).push({ key, index });
+  }
+
+  const buildChildren = (parentId) =>
+    children
+      .get(parentId)
+      .sort((a, b) => a.index - b.index)
+      .map(({ key }) => {
+        const { node } = nodes.get(key);
+        return node.type === 'folder' ? { ...node, children: buildChildren(key) } : node;
+      });
+
+  const tree = {};
+  for (const rootKey of ROOT_KEYS) {
+    tree[rootKey] = { children: buildChildren(rootKey) };
+  }
+
+  return { tree, items: listed };
+};
+
+/**
+ * Three-way merges flat bookmark lists (see delta-sync.js) with threeWayMerge.
+ * Items are matched across sides by their flat item key, so a bookmark is the same
+ * item on every device; conflicts are reported under that key.
+ * @param {Array<Object>} base - Flat list as of the last successful sync
+ * @param {Array<Object>} local - Current local flat list
+ * @param {Array<Object>} remote - Current remote flat list
+ * @param {Object} [options]
+ * @param {string} [options.strategy='newest'] - How to settle conflicting fields ('local', 'remote', 'newest')
+ * @returns {{merged: Array<Object>, conflicts: FieldConflict[]}} The merged flat list,
+ *   and conflicts whose parent values are folder paths
+ */
+export const mergeFlatItems = (base, local, remote, { strategy = 'newest' } = {}) => {
+  // Local paths first, so merged items keep the local names of root folders
+  const folderPaths = new Map();
+  const localSide = flatItemsToTree(local, folderPaths);
+  const remoteSide = flatItemsToTree(remote, folderPaths);
+  const baseSide = flatItemsToTree(base, folderPaths);
+
+  const { merged: mergedTree, conflicts } = threeWayMerge(
+    baseSide.tree,
+    localSide.tree,
+    remoteSide.tree,
+    { strategy }
+  );
+
+  const findListed = (key) =>
+    localSide.items.get(key) ?? remoteSide.items.get(key) ?? baseSide.items.get(key);
+
+  const merged = [];
+  const flatten = (nodes, parentId) => {
+    nodes.forEach((node, index) => {
+      const listed = findListed(node.id);
+      // Folders that were only added for their paths aren't listed again
+      if (listed) {
+        const keepsLocalPath = listed.parentId === parentId && localSide.items.has(node.id);
+        merged.push({
+          ...listed.item,
+          title: node.title,
+          folderPath: keepsLocalPath
+            ? listed.item.folderPath
+            : (folderPaths.get(parentId) ?? listed.item.folderPath),
+          index,
+        });
+      }
+      if (node.children) flatten(node.children, node.id);
+    });
+  };
+  for (const rootKey of ROOT_KEYS) {
+    flatten(mergedTree[rootKey].children, rootKey);
+  }
+
+  const toFolderPath = (parentId) =>
+    parentId === undefined ? undefined : folderPaths.get(parentId);
+
+  return {
+    merged,
+    conflicts: conflicts
+      .filter((conflict) => findListed(conflict.id))
+      .map((conflict) =>
+        conflict.field === MERGE_FIELD.PARENT
+          ? {
+              ...conflict,
+              base: toFolderPath(conflict.base),
+              local: toFolderPath(conflict.local),
+              remote: toFolderPath(conflict.remote),
+              resolvedValue: toFolderPath(conflict.resolvedValue),
+            }
+          : conflict
+      ),
+  };
+};
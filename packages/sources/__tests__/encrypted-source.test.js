@@ -0,0 +1,74 @@
+/**
+ * Tests for EncryptedSource and encrypted sources from createSource
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createKeyring, deriveItemKeys } from '@marksyncr/core/encryption';
+import { BaseSource } from '../src/base-source.js';
+import { EncryptedSource } from '../src/encrypted-source.js';
+
+// Keeps what was written so it can be read back
+class MemorySource extends BaseSource {
+  constructor(config) {
+    super(config);
+    this.stored = null;
+  }
+
+  async read() {
+    return this.stored;
+  }
+
+  async write(data) {
+    this.stored = data;
+  }
+}
+
+const file = {
+  version: '1.1',
+  schemaVersion: 2,
+  metadata: { checksum: 'abc123', lastModified: '2026-01-01T00:00:00.000Z' },
+  bookmarks: {
+    toolbar: {
+      id: 'toolbar',
+      title: 'Bookmarks Bar',
+      children: [{ id: '1', type: 'bookmark', title: 'Bank', url: 'https://bank.example' }],
+    },
+  },
+};
+
+describe('EncryptedSource', () => {
+  let keys;
+
+  beforeAll(async () => {
+    const { dataKey } = await createKeyring('passphrase', { iterations: 1000 });
+    keys = await deriveItemKeys(dataKey);
+  });
+
+  it('should only hand ciphertext to the wrapped source', async () => {
+    const inner = new MemorySource({ type: 'memory', name: 'Memory' });
+    const source = new EncryptedSource(inner, keys);
+
+    await source.write(file);
+
+    expect(JSON.stringify(inner.stored)).not.toContain('bank.example');
+    expect(inner.stored.metadata).toEqual(file.metadata);
+    expect(await source.read()).toEqual(file);
+  });
+
+  it('should read files written before encryption was turned on', async () => {
+    const inner = new MemorySource({ type: 'memory' });
+    inner.stored = file;
+
+    expect(await new EncryptedSource(inner, keys).read()).toEqual(file);
+  });
+
+  it('should use the readable metadata for checksums', async () => {
+    const inner = new MemorySource({ type: 'memory', name: 'Memory' });
+    const source = new EncryptedSource(inner, keys);
+    await source.write(file);
+
+    expect(await source.getChecksum()).toBe('abc123');
+    expect(source.type).toBe('memory');
+    expect(await source.getMetadata()).toMatchObject({ name: 'Memory', encrypted: true });
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Tests for GitForgeSource against a local in-process forge serving the GitHub, Gitea
+ * and GitLab file APIs on one in-memory repository
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { GitForgeSource, buildCommitMessage, syncBookmarksToGitForge } from '../src/git-forge.js';
+import { createSource } from '../src/base-source.js';
+import { SOURCE_TYPE } from '@marksyncr/types';
+
+const TOKEN = 'forge-token';
+const REPOSITORY = 'alice/bookmarks';
+
+const sha1 = (text) => createHash('sha1').update(text).digest('hex');
+
+/**
+ * One repository with a single branch; each commit stores a full snapshot of its files
+ */
+function createForgeServer() {
+  const state = { commits: [], requests: [] };
+
+  const head = () => state.commits.at(-1);
+  const fileAt = (ref, path) => {
+    const commit = !ref || ref === 'main' ? head() : state.commits.find((c) => c.sha === ref);
+    const content = commit?.files[path];
+    return content === undefined ? null : { content, sha: sha1(content), commit };
+  };
+  const lastCommitOf = (path) =>
+    [...state.commits].reverse().find((c, i, all) => c.files[path] !== all[i + 1]?.files[path]);
+  const commit = (path, content, message) => {
+    const sha = sha1(`${state.commits.length}:${message}`);
+    state.commits.push({ sha, message, files: { ...head()?.files, [path]: content } });
+    return sha;
+  };
+  const history = (path) =>
+    state.commits.filter((c, i) => c.files[path] !== state.commits[i - 1]?.files[path]).reverse();
+
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : {};
+      const url = new URL(req.url, 'http://localhost');
+      state.requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+      const json = (status, data, headers = {}) =>
+        res
+          .writeHead(status, { 'Content-Type': 'application/json', ...headers })
+          .end(data === undefined ? undefined : JSON.stringify(data));
+
+      const gitlab = url.pathname.startsWith('/api/v4/');
+      const expected = gitlab || url.pathname.startsWith('/api/v3/') ? 'Bearer' : 'token';
+      if (req.headers.authorization !== `${expected} ${TOKEN}`) {
+        return json(401, { message: 'Bad credentials' });
+      }
+
+      if (gitlab) {
+        const project = `/api/v4/projects/${encodeURIComponent(REPOSITORY)}`;
+        const route = url.pathname.slice(project.length);
+        if (!url.pathname.startsWith(project)) return json(404, { message: '404 Not Found' });
+        if (route === '')
+          return json(200, { permissions: { project_access: { access_level: 40 } } });
+
+        if (route === '/repository/commits') {
+          const commits = history(url.searchParams.get('path'));
+          return json(
+            200,
+            commits.map((c) => ({ id: c.sha, message: c.message, author_name: 'Alice' }))
+          );
+        }
+
+        const path = decodeURIComponent(route.replace('/repository/files/', ''));
+        const file = fileAt(url.searchParams.get('ref'), path);
+        if (req.method === 'GET' || req.method === 'HEAD') {
+          if (!file) return json(404, { message: '404 File Not Found' });
+          const last = lastCommitOf(path).sha;
+          return json(
+            200,
+            req.method === 'GET'
+              ? {
+                  content: Buffer.from(file.content).toString('base64'),
+                  blob_id: file.sha,
+                  last_commit_id: last,
+                }
+              : undefined,
+            { 'X-Gitlab-Blob-Id': file.sha, 'X-Gitlab-Last-Commit-Id': last }
+          );
+        }
+        if (req.method === 'POST' && file) {
+          return json(400, { message: 'A file with this name already exists' });
+        }
+        if (req.method === 'PUT' && body.last_commit_id !== lastCommitOf(path)?.sha) {
+          return json(400, {
+            message:
+              'You are attempting to update a file that has changed since you started editing it.',
+          });
+        }
+        commit(path, Buffer.from(body.content, 'base64').toString(), body.commit_message);
+        return json(req.method === 'POST' ? 201 : 200, { file_path: path, branch: body.branch });
+      }
+
+      // GitHub (/api/v3, as on GitHub Enterprise) and Gitea (/api/v1)
+      const repo = url.pathname.replace(/^\/api\/v[13]\/repos\/alice\/bookmarks/, '');
+      if (repo === url.pathname) return json(404, { message: 'Not Found' });
+      if (repo === '') return json(200, { permissions: { push: true } });
+
+      if (repo === '/commits') {
+        return json(
+          200,
+          history(url.searchParams.get('path')).map((c) => ({
+            sha: c.sha,
+            html_url: `https://forge.test/commit/${c.sha}`,
+            commit: { message: c.message, author: { name: 'Alice', date: '2026-01-01T00:00:00Z' } },
+          }))
+        );
+      }
+
+      const path = decodeURIComponent(repo.replace('/contents/', ''));
+      const file = fileAt(url.searchParams.get('ref'), path);
+      if (req.method === 'GET') {
+        if (!file) return json(404, { message: 'Not Found' });
+        return json(200, {
+          sha: file.sha,
+          encoding: 'base64',
+          content: Buffer.from(file.content)
+            .toString('base64')
+            .replace(/(.{60})/g, '$1\n'),
+        });
+      }
+      if (file && body.sha !== file.sha) {
+        return json(409, { message: 'does not match' });
+      }
+      const content = Buffer.from(body.content, 'base64').toString();
+      const sha = commit(path, content, body.message);
+      return json(200, {
+        content: { sha: sha1(content) },
+        commit: { sha, html_url: `https://forge.test/commit/${sha}` },
+      });
+    });
+  });
+
+  return { server, state };
+}
+
+const bookmarkFile = (bookmarks) => ({
+  version: '1.0',
+  metadata: { createdAt: '2026-01-01T00:00:00.000Z' },
+  bookmarks,
+});
+
+describe('buildCommitMessage', () => {
+  it('should count the changes and list the changed bookmarks', () => {
+    const message = buildCommitMessage(
+      bookmarkFile([
+        { url: 'https://a.com', title: 'A', folderPath: 'toolbar' },
+        { url: 'https://b.com', title: 'B', folderPath: 'toolbar' },
+      ]),
+      bookmarkFile([
+        { url: 'https://a.com', title: 'A', folderPath: 'other' },
+        { url: 'https://c.com', title: 'C', folderPath: 'toolbar' },
+      ])
+    );
+
+    expect(message).toBe('Sync bookmarks: 1 added, 1 moved, 1 deleted\n\n> A → other\n+ C\n- B');
+  });
+
+  it('should say so when only metadata changed', () => {
+    const file = bookmarkFile([{ url: 'https://a.com', title: 'A' }]);
+
+    expect(buildCommitMessage(file, file)).toBe('Sync bookmarks: no bookmark changes');
+  });
+});
+
+describe('GitForgeSource', () => {
+  let server;
+  let state;
+  let baseUrl;
+
+  beforeAll(async () => {
+    ({ server, state } = createForgeServer());
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    state.commits = [];
+    state.requests = [];
+  });
+
+  const createForge = (forge, config = {}, accessToken = TOKEN) =>
+    new GitForgeSource(
+      { forge, baseUrl, repository: REPOSITORY, name: 'Forge', ...config },
+      { accessToken }
+    );
+
+  it('should be created by createSource', async () => {
+    const source = await createSource({ type: SOURCE_TYPE.GIT_FORGE, forge: 'gitlab' });
+    expect(source).toBeInstanceOf(GitForgeSource);
+    expect(source.type).toBe('git-forge');
+  });
+
+  it('should send requests with the given fetch without following redirects', async () => {
+    const requests = [];
+    const source = new GitForgeSource(
+      { forge: 'gitea', baseUrl, repository: REPOSITORY, name: 'Forge' },
+      { accessToken: TOKEN },
+      {
+        fetch: (url, init) => {
+          requests.push(init);
+          return fetch(url, init);
+        },
+      }
+    );
+
+    expect(await source.validateCredentials()).toBe(true);
+    expect(requests.length).toBeGreaterThan(0);
+    expect(requests.every((init) => init.redirect === 'manual')).toBe(true);
+  });
+
+  it('should validate the token and the configuration', async () => {
+    expect(await createForge('github').validateCredentials()).toBe(true);
+    expect(await createForge('github', {}, 'wrong').validateCredentials()).toBe(false);
+    expect(await createForge('gitea', { baseUrl: undefined }).validateCredentials()).toBe(false);
+    expect(await createForge('github', { repository: 'bookmarks' }).validateCredentials()).toBe(
+      false
+    );
+  });
+
+  describe.each(['github', 'gitea', 'forgejo', 'gitlab'])('on %s', (forge) => {
+    it('should commit every sync with a summary and list the history', async () => {
+      const source = createForge(forge);
+
+      await syncBookmarksToGitForge(source, [{ url: 'https://a.com', title: 'A' }], [], 'c1');
+      await syncBookmarksToGitForge(
+        source,
+        [
+          { url: 'https://a.com', title: 'A' },
+          { url: 'https://b.com', title: 'B' },
+        ],
+        [],
+        'c2'
+      );
+      const skipped = await syncBookmarksToGitForge(source, [], [], 'c2');
+
+      expect(skipped.skipped).toBe(true);
+      const history = await source.listHistory();
+      expect(history.map((c) => c.message)).toEqual([
+        'Sync bookmarks: 1 added\n\n+ B',
+        'Sync bookmarks: 1 added\n\n+ A',
+      ]);
+      expect(history[0].id).toBe(source.headCommit);
+    });
+
+    it('should reject a commit based on an outdated file', async () => {
+      const first = createForge(forge);
+      const second = createForge(forge);
+      await first.write(bookmarkFile([]));
+
+      await second.read();
+      await first.write(bookmarkFile([{ url: 'https://a.com', title: 'A' }]));
+
+      await expect(second.write(bookmarkFile([]))).rejects.toMatchObject({ code: 'CONFLICT' });
+    });
+
+    it('should restore an earlier commit as a new commit', async () => {
+      const source = createForge(forge);
+      await source.write(bookmarkFile([{ url: 'https://a.com', title: 'A' }]));
+      const [{ id: first }] = await source.listHistory();
+      await source.write(bookmarkFile([{ url: 'https://b.com', title: 'B' }]));
+
+      const restored = await createForge(forge).restore(first);
+
+      expect(restored.bookmarks).toEqual([{ url: 'https://a.com', title: 'A' }]);
+      expect((await source.read()).bookmarks).toEqual(restored.bookmarks);
+      const [latest] = await source.listHistory();
+      expect(latest.message).toBe(
+        `Restore bookmarks from ${first.slice(0, 7)}\n\nChanges: 1 added, 1 deleted\n\n+ A\n- B`
+      );
+    });
+  });
+
+  it('should create files on Gitea with POST and update them with PUT', async () => {
+    const source = createForge('gitea');
+    await source.write(bookmarkFile([]));
+    await source.write(bookmarkFile([{ url: 'https://a.com', title: 'A' }]));
+
+    const writes = state.requests.filter((r) => r.method === 'POST' || r.method === 'PUT');
+    expect(writes.map((r) => r.method)).toEqual(['POST', 'PUT']);
+    expect(writes[1].body.sha).toBe(sha1(state.commits[0].files['bookmarks.json']));
+  });
+
+  it('should report a rejected token as unauthorized', async () => {
+    await expect(createForge('gitlab', {}, 'wrong').read()).rejects.toMatchObject({
+      code: 'UNAUTHORIZED',
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Tests for WebDavSource against a local in-process WebDAV server
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { WebDavSource, syncBookmarksToWebDav } from '../src/webdav.js';
+import { createSource } from '../src/base-source.js';
+import { SOURCE_TYPE } from '@marksyncr/types';
+
+const USERNAME = 'alice';
+const PASSWORD = 'app-password';
+const REALM = 'marksyncr-test';
+const md5 = (text) => createHash('md5').update(text).digest('hex');
+
+/**
+ * Minimal WebDAV server: files and collections in memory, ETags, If-Match and
+ * either Basic or Digest (MD5, qop=auth) authentication
+ */
+function createWebDavServer() {
+  const state = { auth: 'basic', files: new Map(), collections: new Set(['/dav']), requests: [] };
+  let etagCounter = 0;
+  const nonce = 'abc123nonce';
+
+  const isAuthorized = (req) => {
+    const header = req.headers.authorization ?? '';
+    if (state.auth === 'basic') {
+      return header === `Basic ${Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')}`;
+    }
+
+    const params = Object.fromEntries(
+      [...header.matchAll(/(\w+)=(?:"([^"]*)"|([^\s,]+))/g)].map((m) => [m[1], m[2] ?? m[3]])
+    );
+    if (!header.startsWith('Digest ') || params.nonce !== nonce) return false;
+    const ha1 = md5(`${USERNAME}:${REALM}:${PASSWORD}`);
+    const ha2 = md5(`${req.method}:${params.uri}`);
+    const expected = md5(`${ha1}:${nonce}:${params.nc}:${params.cnonce}:${params.qop}:${ha2}`);
+    return params.username === USERNAME && params.uri === req.url && params.response === expected;
+  };
+
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      state.requests.push({ method: req.method, url: req.url, headers: req.headers });
+
+      if (!isAuthorized(req)) {
+        const challenge =
+          state.auth === 'basic'
+            ? `Basic realm="${REALM}"`
+            : `Digest realm="${REALM}", nonce="${nonce}", qop="auth", algorithm=MD5`;
+        res.writeHead(401, { 'WWW-Authenticate': challenge }).end();
+        return;
+      }
+
+      const path = decodeURIComponent(req.url).replace(/\/$/, '');
+      const file = state.files.get(path);
+      const parent = path.slice(0, path.lastIndexOf('/'));
+
+      switch (req.method) {
+        case 'PROPFIND':
+          res.writeHead(state.collections.has(path) ? 207 : 404).end();
+          return;
+        case 'MKCOL':
+          if (state.collections.has(path)) {
+            res.writeHead(405).end();
+          } else {
+            state.collections.add(path);
+            res.writeHead(201).end();
+          }
+          return;
+        case 'GET':
+        case 'HEAD':
+          if (!file) {
+            res.writeHead(404).end();
+          } else {
+            res.writeHead(200, { ETag: file.etag, 'Content-Length': Buffer.byteLength(file.body) });
+            res.end(req.method === 'GET' ? file.body : undefined);
+          }
+          return;
+        case 'PUT': {
+          const ifMatch = req.headers['if-match'];
+          if ((ifMatch && ifMatch !== file?.etag) || (req.headers['if-none-match'] && file)) {
+            res.writeHead(412).end();
+            return;
+          }
+          if (!state.collections.has(parent)) {
+            res.writeHead(409).end();
+            return;
+          }
+          const etag = `"etag-${++etagCounter}"`;
+          state.files.set(path, { body, etag });
+          res.writeHead(file ? 204 : 201, { ETag: etag }).end();
+          return;
+        }
+        default:
+          res.writeHead(405).end();
+      }
+    });
+  });
+
+  return { server, state };
+}
+
+const bookmarkFile = () => ({
+  version: '1.0',
+  metadata: { createdAt: '2026-01-01T00:00:00.000Z' },
+  bookmarks: { toolbar: { id: 'toolbar', title: 'Bookmarks Bar', children: [] } },
+});
+
+describe('WebDavSource', () => {
+  let server;
+  let state;
+  let baseUrl;
+
+  beforeAll(async () => {
+    ({ server, state } = createWebDavServer());
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/dav`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    state.auth = 'basic';
+    state.files.clear();
+    state.collections = new Set(['/dav']);
+    state.requests = [];
+  });
+
+  const createWebDav = (config = {}, credentials = { username: USERNAME, password: PASSWORD }) =>
+    new WebDavSource({ url: `${baseUrl}/`, name: 'Nextcloud', ...config }, credentials);
+
+  it('should be created by createSource', async () => {
+    const source = await createSource({ type: SOURCE_TYPE.WEBDAV, url: baseUrl });
+    expect(source).toBeInstanceOf(WebDavSource);
+    expect(source.type).toBe('webdav');
+  });
+
+  it('should create missing collections and read back what it wrote', async () => {
+    const source = createWebDav();
+
+    await expect(source.read()).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    await source.write(bookmarkFile());
+
+    expect(state.collections.has('/dav/MarkSyncr')).toBe(true);
+    expect(state.requests.find((r) => r.method === 'PUT').headers['if-none-match']).toBe('*');
+
+    const data = await source.read();
+    expect(data.bookmarks.toolbar.title).toBe('Bookmarks Bar');
+    expect(data.metadata.checksum).toBeTruthy();
+    expect(await source.getChecksum()).toBe(source.etag);
+  });
+
+  it('should reject a write when another client changed the file', async () => {
+    const first = createWebDav();
+    const second = createWebDav();
+    await first.write(bookmarkFile());
+
+    await second.read();
+    await first.write(bookmarkFile());
+
+    await expect(second.write(bookmarkFile())).rejects.toMatchObject({ code: 'CONFLICT' });
+
+    // Reading again picks up the new ETag
+    await second.read();
+    await expect(second.write(bookmarkFile())).resolves.toBeUndefined();
+  });
+
+  it('should answer a Digest challenge without sending the password', async () => {
+    state.auth = 'digest';
+    const source = createWebDav({ authType: 'digest' });
+
+    expect(await source.validateCredentials()).toBe(true);
+    await source.write(bookmarkFile());
+    expect((await source.read()).version).toBe('1.0');
+
+    const authHeaders = state.requests.map((r) => r.headers.authorization ?? '');
+    expect(authHeaders.some((h) => h.startsWith('Basic'))).toBe(false);
+    expect(authHeaders.filter((h) => h.startsWith('Digest')).length).toBeGreaterThan(1);
+  });
+
+  it('should switch to Digest when the server asks for it in auto mode', async () => {
+    state.auth = 'digest';
+    expect(await createWebDav().validateCredentials()).toBe(true);
+  });
+
+  it('should send requests with the given fetch without following redirects', async () => {
+    const requests = [];
+    const source = new WebDavSource(
+      { url: `${baseUrl}/`, name: 'Nextcloud' },
+      { username: USERNAME, password: PASSWORD },
+      {
+        fetch: (url, init) => {
+          requests.push(init);
+          return fetch(url, init);
+        },
+      }
+    );
+
+    expect(await source.validateCredentials()).toBe(true);
+    expect(requests.length).toBeGreaterThan(0);
+    expect(requests.every((init) => init.redirect === 'manual')).toBe(true);
+  });
+
+  it('should report invalid credentials', async () => {
+    const source = createWebDav({}, { username: USERNAME, password: 'wrong' });
+
+    expect(await source.validateCredentials()).toBe(false);
+    await expect(source.read()).rejects.toMatchObject({ code: 'UNAUTHORIZED' });
+  });
+
+  describe('syncBookmarksToWebDav', () => {
+    it('should skip the upload when the file has the same checksum', async () => {
+      const source = createWebDav({ path: 'bookmarks.json' });
+
+      const first = await syncBookmarksToWebDav(source, [{ url: 'https://a.com' }], [], 'c1');
+      const second = await syncBookmarksToWebDav(source, [{ url: 'https://a.com' }], [], 'c1');
+
+      expect(first).toMatchObject({ created: true, skipped: false, bookmarkCount: 1 });
+      expect(second).toMatchObject({ created: false, skipped: true });
+      expect(JSON.parse(state.files.get('/dav/bookmarks.json').body).metadata.checksum).toBe('c1');
+    });
+  });
+});
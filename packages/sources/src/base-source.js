@@ -131,6 +131,17 @@ export class BaseSource {
     return error;
   }
 
+  /**
+   * Creates a conflict error, thrown when the data changed since it was last read
+   * @param {string} [message]
+   * @returns {Error}
+   */
+  createConflictError(message = 'Data was changed by another client') {
+    const error = new Error(message);
+    error.code = 'CONFLICT';
+    return error;
+  }
+
   /**
    * Creates a network error
    * @param {string} [message]
@@ -147,9 +158,29 @@ export class BaseSource {
  * Factory function to create a source instance
  * @param {SourceConfig} config
  * @param {SourceCredentials} [credentials]
+ * @param {Object} [options]
+ * @param {Object} [options.encryptionKeys] - Item keys from deriveItemKeys; when given,
+ *   the source encrypts everything it writes
  * @returns {Promise<BaseSource>}
  */
-export const createSource = async (config, credentials = null) => {
+export const createSource = async (config, credentials = null, { encryptionKeys } = {}) => {
+  const source = await createPlainSource(config, credentials);
+
+  if (encryptionKeys) {
+    const { EncryptedSource } = await import('./encrypted-source.js');
+    return new EncryptedSource(source, encryptionKeys);
+  }
+
+  return source;
+};
+
+/**
+ * Creates the source implementation for a config type
+ * @param {SourceConfig} config
+ * @param {SourceCredentials} [credentials]
+ * @returns {Promise<BaseSource>}
+ */
+const createPlainSource = async (config, credentials) => {
   const { type } = config;
 
   switch (type) {
@@ -169,6 +200,18 @@ export const createSource = async (config, credentials = null) => {
       const { GoogleDriveSource } = await import('./google-drive.js');
       return new GoogleDriveSource(config, credentials);
     }
+    case SOURCE_TYPE.WEBDAV: {
+      const { WebDavSource } = await import('./webdav.js');
+      return new WebDavSource(config, credentials);
+    }
+    case SOURCE_TYPE.S3: {
+      const { S3Source } = await import('./s3.js');
+      return new S3Source(config, credentials);
+    }
+    case SOURCE_TYPE.GIT_FORGE: {
+      const { GitForgeSource } = await import('./git-forge.js');
+      return new GitForgeSource(config, credentials);
+    }
     case SOURCE_TYPE.SUPABASE_CLOUD: {
       const { SupabaseCloudSource } = await import('./supabase-cloud.js');
       return new SupabaseCloudSource(config, credentials);
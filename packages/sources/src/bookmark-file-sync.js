@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Writes the bookmark file to sources that guard writes with an ETag
+ * (WebDAV, S3) or, for git forges, the blob SHA
+ */
+
+/**
+ * @typedef {Object} BookmarkFileSyncResult
+ * @property {boolean} created - The file didn't exist before
+ * @property {boolean} skipped - The file already had the checksum
+ * @property {number} bookmarkCount
+ * @property {string|null} etag - ETag of the file after the sync
+ */
+
+/**
+ * Source that remembers the ETag from its last read and sends it with upload()
+ * @typedef {Object} ETagSource
+ * @property {() => Promise<Object>} read
+ * @property {(content: string) => Promise<string|null>} upload
+ * @property {string|null} etag
+ */
+
+/**
+ * Writes bookmarks from the cloud to the source's file
+ * Skips the upload when the file already has the checksum, and retries once with the
+ * newer ETag when another client wrote the file in between.
+ * @param {ETagSource} source
+ * @param {Array} bookmarks
+ * @param {Array} [tombstones]
+ * @param {string} [checksum]
+ * @returns {Promise<BookmarkFileSyncResult>}
+ */
+export const syncBookmarkFile = async (source, bookmarks, tombstones = [], checksum) => {
+  for (let attempt = 0; ; attempt++) {
+    let existing = null;
+    try {
+      existing = await source.read();
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND') throw error;
+    }
+
+    if (existing && checksum && existing.metadata?.checksum === checksum) {
+      return { created: false, skipped: true, bookmarkCount: bookmarks.length, etag: source.etag };
+    }
+
+    const now = new Date().toISOString();
+    const content = {
+      version: '1.0',
+      metadata: {
+        createdAt: existing?.metadata?.createdAt ?? now,
+        lastModified: now,
+        source: 'marksyncr',
+        checksum,
+      },
+      bookmarks,
+      tombstones,
+    };
+
+    try {
+      const etag = await source.upload(JSON.stringify(content, null, 2));
+      return { created: !existing, skipped: false, bookmarkCount: bookmarks.length, etag };
+    } catch (error) {
+      if (error.code !== 'CONFLICT' || attempt > 0) throw error;
+    }
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Source wrapper that encrypts bookmark data end-to-end
+ * Bookmarks and tags are encrypted before they reach the wrapped source and decrypted
+ * after they are read from it. File metadata stays readable so checksums still work.
+ */
+
+import { decryptBookmarkFile, encryptBookmarkFile } from '@marksyncr/core/encryption';
+import { BaseSource } from './base-source.js';
+
+/**
+ * @typedef {import('@marksyncr/types').BookmarkFile} BookmarkFile
+ * @typedef {import('@marksyncr/core/encryption').ItemKeys} ItemKeys
+ */
+
+/**
+ * Encrypting wrapper around any source
+ */
+export class EncryptedSource extends BaseSource {
+  /**
+   * @param {BaseSource} source - Source to store the encrypted data in
+   * @param {ItemKeys} keys - Keys from deriveItemKeys
+   */
+  constructor(source, keys) {
+    super(source.config, source.credentials);
+    this.source = source;
+    this.keys = keys;
+  }
+
+  /**
+   * Reads and decrypts bookmark data. Files written before encryption was turned on
+   * are returned as they are.
+   * @returns {Promise<BookmarkFile>}
+   */
+  async read() {
+    return decryptBookmarkFile(this.keys, await this.source.read());
+  }
+
+  /**
+   * Encrypts and writes bookmark data
+   * @param {BookmarkFile} data - Bookmark data to write
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    return this.source.write(await encryptBookmarkFile(this.keys, data));
+  }
+
+  /**
+   * Gets the checksum from the wrapped source; metadata is not encrypted
+   * @returns {Promise<string>}
+   */
+  async getChecksum() {
+    return this.source.getChecksum();
+  }
+
+  async isAvailable() {
+    return this.source.isAvailable();
+  }
+
+  validateConfig() {
+    return this.source.validateConfig();
+  }
+
+  async validateCredentials() {
+    return this.source.validateCredentials();
+  }
+
+  async refreshCredentials() {
+    this.credentials = await this.source.refreshCredentials();
+    return this.credentials;
+  }
+
+  async getMetadata() {
+    return { ...(await this.source.getMetadata()), encrypted: true };
+  }
+}
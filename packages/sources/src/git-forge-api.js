@@ -0,0 +1,346 @@
+/**
+ * @fileoverview REST API adapters for the git-forge source
+ * Each adapter reads and commits one file on a branch and lists the commits that
+ * touched it, for GitHub, GitLab and Gitea (which Forgejo shares).
+ */
+
+import { GIT_FORGE } from '@marksyncr/types';
+
+/**
+ * @typedef {Object} ForgeFile
+ * @property {string} content - Decoded file content
+ * @property {string} sha - Blob SHA, sent back with the next commit
+ * @property {string|null} commitId - Last commit that touched the file, if known
+ */
+
+/**
+ * @typedef {Object} ForgeCommit
+ * @property {string} id - Commit SHA
+ * @property {string} message
+ * @property {string|null} author
+ * @property {string|null} date - ISO 8601 timestamp
+ * @property {string|null} url - Commit page in the forge UI
+ */
+
+/**
+ * @typedef {Object} ForgeRequestOptions
+ * @property {Object} [body] - Sent as JSON
+ */
+
+/**
+ * @callback ForgeRequest
+ * @param {string} method
+ * @param {string} url
+ * @param {ForgeRequestOptions} [options]
+ * @returns {Promise<Response>}
+ */
+
+/**
+ * @typedef {Object} ForgeApi
+ * @property {(token: string) => string} authorization - Authorization header value
+ * @property {(ref: string) => Promise<ForgeFile|null>} readFile - null when missing
+ * @property {(commit: {content: string, message: string, sha: string|null}) =>
+ *   Promise<{sha: string, commitId: string|null}>} commitFile - Throws a CONFLICT
+ *   error when the file changed since sha
+ * @property {(limit: number) => Promise<ForgeCommit[]>} listCommits - Newest first
+ * @property {() => Promise<boolean>} canWrite - Whether the token can push to the repository
+ */
+
+const GITHUB_API_BASE = 'https://api.github.com';
+const GITLAB_BASE = 'https://gitlab.com';
+
+/**
+ * Creates the API adapter for a forge
+ * @param {Object} options
+ * @param {import('@marksyncr/types').GitForge} options.forge
+ * @param {string} [options.baseUrl] - Server URL; required for Gitea and Forgejo
+ * @param {string} options.repository - "owner/repo", or a GitLab project path
+ * @param {string} options.branch
+ * @param {string} options.path - File path in the repository
+ * @param {ForgeRequest} options.request
+ * @returns {ForgeApi}
+ */
+export const createForgeApi = ({ forge, baseUrl, ...options }) => {
+  switch (forge) {
+    case GIT_FORGE.GITHUB: {
+      const apiBase =
+        !baseUrl || new URL(baseUrl).hostname === 'github.com'
+          ? GITHUB_API_BASE
+          : `${baseUrl}/api/v3`; // GitHub Enterprise Server
+      return createGitHubApi({ ...options, apiBase });
+    }
+    case GIT_FORGE.GITLAB:
+      return createGitLabApi({ ...options, webBase: baseUrl || GITLAB_BASE });
+    case GIT_FORGE.GITEA:
+    case GIT_FORGE.FORGEJO:
+      if (!baseUrl) throw new Error(`${forge} server URL required`);
+      return createGiteaApi({ ...options, apiBase: `${baseUrl}/api/v1` });
+    default:
+      throw new Error(`Unknown git forge: ${forge}`);
+  }
+};
+
+/**
+ * GitHub contents API
+ */
+const createGitHubApi = ({ apiBase, repository, branch, path, request }) => {
+  const repoUrl = `${apiBase}/repos/${repository}`;
+  const fileUrl = `${repoUrl}/contents/${encodePath(path)}`;
+
+  return {
+    authorization: (token) => `Bearer ${token}`,
+
+    async readFile(ref) {
+      const response = await request('GET', `${fileUrl}?ref=${encodeURIComponent(ref)}`);
+      if (response.status === 404) return null;
+      await assertOk(response, 'GitHub');
+
+      const data = await response.json();
+      // Files over 1 MB come without content; the blob API serves up to 100 MB
+      let content = data.content;
+      if (data.encoding === 'none' || !content) {
+        const blob = await request('GET', `${repoUrl}/git/blobs/${data.sha}`);
+        await assertOk(blob, 'GitHub');
+        content = (await blob.json()).content;
+      }
+      return { content: decodeBase64(content), sha: data.sha, commitId: null };
+    },
+
+    async commitFile({ content, message, sha }) {
+      const response = await request('PUT', fileUrl, {
+        body: { message, content: encodeBase64(content), branch, ...(sha && { sha }) },
+      });
+      // 409 when sha is stale, 422 when the file was created without us knowing
+      if (response.status === 409 || response.status === 422) {
+        throw conflictError();
+      }
+      await assertOk(response, 'GitHub');
+
+      const data = await response.json();
+      return { sha: data.content.sha, commitId: data.commit.sha };
+    },
+
+    async listCommits(limit) {
+      const params = new URLSearchParams({ sha: branch, path, per_page: String(limit) });
+      const response = await request('GET', `${repoUrl}/commits?${params}`);
+      if (response.status === 404 || response.status === 409) return []; // 409: empty repo
+      await assertOk(response, 'GitHub');
+      return (await response.json()).map(toCommit);
+    },
+
+    async canWrite() {
+      const response = await request('GET', repoUrl);
+      if (!response.ok) return false;
+      const data = await response.json();
+      return data.permissions?.push !== false;
+    },
+  };
+};
+
+/**
+ * Gitea contents API, shared by Forgejo
+ */
+const createGiteaApi = ({ apiBase, repository, branch, path, request }) => {
+  const repoUrl = `${apiBase}/repos/${repository}`;
+  const fileUrl = `${repoUrl}/contents/${encodePath(path)}`;
+
+  return {
+    authorization: (token) => `token ${token}`,
+
+    async readFile(ref) {
+      const response = await request('GET', `${fileUrl}?ref=${encodeURIComponent(ref)}`);
+      if (response.status === 404) return null;
+      await assertOk(response, 'Gitea');
+
+      const data = await response.json();
+      return {
+        content: decodeBase64(data.content ?? ''),
+        sha: data.sha,
+        commitId: data.last_commit_sha ?? null,
+      };
+    },
+
+    async commitFile({ content, message, sha }) {
+      // Gitea creates with POST and updates with PUT
+      const response = await request(sha ? 'PUT' : 'POST', fileUrl, {
+        body: { message, content: encodeBase64(content), branch, ...(sha && { sha }) },
+      });
+      // 409 when sha is stale, 422 when creating a file that exists
+      if (response.status === 409 || response.status === 422) {
+        throw conflictError();
+      }
+      await assertOk(response, 'Gitea');
+
+      const data = await response.json();
+      return { sha: data.content.sha, commitId: data.commit.sha };
+    },
+
+    async listCommits(limit) {
+      const params = new URLSearchParams({
+        sha: branch,
+        path,
+        limit: String(limit),
+        stat: 'false',
+        files: 'false',
+      });
+      const response = await request('GET', `${repoUrl}/commits?${params}`);
+      if (response.status === 404 || response.status === 409) return []; // 409: empty repo
+      await assertOk(response, 'Gitea');
+      return (await response.json()).map(toCommit);
+    },
+
+    async canWrite() {
+      const response = await request('GET', repoUrl);
+      if (!response.ok) return false;
+      const data = await response.json();
+      return data.permissions?.push !== false;
+    },
+  };
+};
+
+/**
+ * GitLab repository files API
+ */
+const createGitLabApi = ({ webBase, repository, branch, path, request }) => {
+  const projectUrl = `${webBase}/api/v4/projects/${encodeURIComponent(repository)}`;
+  const fileUrl = `${projectUrl}/repository/files/${encodeURIComponent(path)}`;
+  const branchRef = `ref=${encodeURIComponent(branch)}`;
+
+  return {
+    authorization: (token) => `Bearer ${token}`,
+
+    async readFile(ref) {
+      const response = await request('GET', `${fileUrl}?ref=${encodeURIComponent(ref)}`);
+      if (response.status === 404) return null;
+      await assertOk(response, 'GitLab');
+
+      const data = await response.json();
+      return {
+        content: decodeBase64(data.content),
+        sha: data.blob_id,
+        commitId: data.last_commit_id,
+      };
+    },
+
+    async commitFile({ content, message, sha }) {
+      // GitLab guards updates with the last commit of the file rather than the blob
+      const current = sha ? await this.readFile(branch) : null;
+      if (sha && current?.sha !== sha) {
+        throw conflictError();
+      }
+
+      const response = await request(sha ? 'PUT' : 'POST', fileUrl, {
+        body: {
+          branch,
+          content: encodeBase64(content),
+          encoding: 'base64',
+          commit_message: message,
+          ...(current && { last_commit_id: current.commitId }),
+        },
+      });
+      if (response.status === 400 || response.status === 409) {
+        const { message: error = '' } = await response.json().catch(() => ({}));
+        if (response.status === 409 || /changed since|already exists/i.test(error)) {
+          throw conflictError();
+        }
+        throw new Error(`GitLab API error: ${error || response.status}`);
+      }
+      await assertOk(response, 'GitLab');
+
+      // The response has no commit, so read the new blob and commit IDs from the headers
+      const head = await request('HEAD', `${fileUrl}?${branchRef}`);
+      await assertOk(head, 'GitLab');
+      return {
+        sha: head.headers.get('x-gitlab-blob-id'),
+        commitId: head.headers.get('x-gitlab-last-commit-id'),
+      };
+    },
+
+    async listCommits(limit) {
+      const params = new URLSearchParams({ ref_name: branch, path, per_page: String(limit) });
+      const response = await request('GET', `${projectUrl}/repository/commits?${params}`);
+      if (response.status === 404) return [];
+      await assertOk(response, 'GitLab');
+      return (await response.json()).map((commit) => ({
+        id: commit.id,
+        message: commit.message,
+        author: commit.author_name ?? null,
+        date: commit.authored_date ?? commit.created_at ?? null,
+        url: commit.web_url ?? `${webBase}/${repository}/-/commit/${commit.id}`,
+      }));
+    },
+
+    async canWrite() {
+      const response = await request('GET', projectUrl);
+      if (!response.ok) return false;
+      const { permissions } = await response.json();
+      if (!permissions) return true; // Not reported for this token; the first commit decides
+      const accessLevel = Math.max(
+        permissions.project_access?.access_level ?? 0,
+        permissions.group_access?.access_level ?? 0
+      );
+      return accessLevel >= 30; // Developer, the lowest role that can push
+    },
+  };
+};
+
+/**
+ * Maps a GitHub or Gitea commit to a ForgeCommit
+ * @param {Object} commit
+ * @returns {ForgeCommit}
+ */
+const toCommit = (commit) => ({
+  id: commit.sha,
+  message: commit.commit?.message ?? '',
+  author: commit.commit?.author?.name ?? null,
+  date: commit.commit?.author?.date ?? commit.commit?.committer?.date ?? null,
+  url: commit.html_url ?? null,
+});
+
+/**
+ * Throws for a non-2xx response, with the API's error message when it has one
+ * @param {Response} response
+ * @param {string} forgeName
+ */
+const assertOk = async (response, forgeName) => {
+  if (response.ok) return;
+  const { message } = await response.json().catch(() => ({}));
+  throw new Error(`${forgeName} API error: ${message ?? response.status}`);
+};
+
+/**
+ * @returns {Error}
+ */
+const conflictError = () => {
+  const error = new Error('Bookmark file was changed in the repository');
+  error.code = 'CONFLICT';
+  return error;
+};
+
+/**
+ * Encodes each segment of a repository path, keeping the slashes
+ * @param {string} path
+ * @returns {string}
+ */
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+const encodeBase64 = (text) => {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+};
+
+/**
+ * @param {string} base64 - May contain line breaks, as GitHub sends it
+ * @returns {string}
+ */
+const decodeBase64 = (base64) =>
+  new TextDecoder().decode(
+    Uint8Array.from(atob(base64.replace(/\s/g, '')), (char) => char.charCodeAt(0))
+  );
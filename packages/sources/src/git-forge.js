@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Git forge source for syncing bookmarks with a file in a GitHub, GitLab,
+ * Gitea or Forgejo repository
+ * Every sync is a commit whose message summarizes the bookmark changes, so the history
+ * can be browsed in the forge UI and any commit can be restored.
+ */
+
+import { BaseSource } from './base-source.js';
+import { CHANGE_TYPE, GIT_FORGE, SOURCE_TYPE } from '@marksyncr/types';
+import { diffBookmarkSnapshots, generateChecksum, summarizeChanges } from '@marksyncr/core';
+import { createForgeApi } from './git-forge-api.js';
+import { syncBookmarkFile } from './bookmark-file-sync.js';
+
+/**
+ * @typedef {import('@marksyncr/types').BookmarkFile} BookmarkFile
+ * @typedef {import('@marksyncr/types').SourceConfig} SourceConfig
+ * @typedef {import('@marksyncr/types').SourceCredentials} SourceCredentials
+ * @typedef {import('./git-forge-api.js').ForgeCommit} ForgeCommit
+ */
+
+const DEFAULT_PATH = 'bookmarks.json';
+const DEFAULT_BRANCH = 'main';
+
+/**
+ * Default timeout for forge API requests (30 seconds)
+ */
+const DEFAULT_TIMEOUT_MS = 30_000;
+
+/**
+ * Changes listed by title in the commit message body
+ */
+const MAX_LISTED_CHANGES = 20;
+
+/**
+ * Prefix of each change type in the commit message body
+ */
+const CHANGE_MARKERS = {
+  [CHANGE_TYPE.ADDED]: '+',
+  [CHANGE_TYPE.MODIFIED]: '~',
+  [CHANGE_TYPE.MOVED]: '>',
+  [CHANGE_TYPE.DELETED]: '-',
+};
+
+/**
+ * Git forge source for syncing bookmarks with a file in a repository
+ *
+ * config.forge picks the API (github, gitlab, gitea or forgejo). config.baseUrl is the
+ * server for self-hosted forges; GitHub and GitLab default to github.com and gitlab.com.
+ * credentials.accessToken is a personal access token (or OAuth token) that can push.
+ */
+export class GitForgeSource extends BaseSource {
+  /**
+   * @param {SourceConfig} config
+   * @param {SourceCredentials} credentials
+   * @param {Object} [options]
+   * @param {typeof fetch} [options.fetch] - fetch for requests to the forge, e.g. one
+   *   that only connects to public addresses when the URL comes from a user
+   */
+  constructor(config, credentials, { fetch: fetchImpl = (url, init) => fetch(url, init) } = {}) {
+    super({ ...config, type: SOURCE_TYPE.GIT_FORGE }, credentials);
+
+    this.fetch = fetchImpl;
+
+    this.forge = config.forge ?? GIT_FORGE.GITHUB;
+    this.baseUrl = config.baseUrl ? config.baseUrl.replace(/\/+$/, '') : null;
+    this.repository = config.repository?.replace(/^\/+|\/+$/g, '') ?? '';
+    this.branch = config.branch || DEFAULT_BRANCH;
+    this.path = (config.path || DEFAULT_PATH).replace(/^\/+/, '');
+
+    /** Blob SHA of the file as last read or committed; null when unknown */
+    this.sha = null;
+    /** Last commit on the branch that touched the file, when known */
+    this.headCommit = null;
+    /** File content as last read or committed, to describe the next commit */
+    this.lastData = null;
+    /** @type {import('./git-forge-api.js').ForgeApi | null} */
+    this.forgeApi = null;
+  }
+
+  /**
+   * The blob SHA plays the part of an ETag for syncBookmarkFile
+   * @returns {string|null}
+   */
+  get etag() {
+    return this.sha;
+  }
+
+  /**
+   * API adapter for the forge, created on first use so an invalid config only fails
+   * when the source is used
+   * @returns {import('./git-forge-api.js').ForgeApi}
+   */
+  get api() {
+    this.forgeApi ??= createForgeApi({
+      forge: this.forge,
+      baseUrl: this.baseUrl,
+      repository: this.repository,
+      branch: this.branch,
+      path: this.path,
+      request: (method, url, options) => this.request(method, url, options),
+    });
+    return this.forgeApi;
+  }
+
+  /**
+   * Reads bookmark data from the branch
+   * @returns {Promise<BookmarkFile>}
+   */
+  async read() {
+    const file = await this.api.readFile(this.branch);
+
+    if (!file) {
+      this.sha = null;
+      this.lastData = null;
+      throw this.createNotFoundError('Bookmark file not found in repository');
+    }
+
+    const data = JSON.parse(file.content);
+    this.sha = file.sha;
+    this.headCommit = file.commitId ?? this.headCommit;
+    this.lastData = data;
+    return data;
+  }
+
+  /**
+   * Reads bookmark data as it was at a commit, without changing what the next write
+   * is based on
+   * @param {string} commitId
+   * @returns {Promise<BookmarkFile>}
+   */
+  async readCommit(commitId) {
+    const file = await this.api.readFile(commitId);
+    if (!file) {
+      throw this.createNotFoundError(`Bookmark file not found at commit ${commitId}`);
+    }
+    return JSON.parse(file.content);
+  }
+
+  /**
+   * Writes bookmark data as a new commit
+   * Fails with a CONFLICT error when the file changed since it was last read.
+   * @param {BookmarkFile} data
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    // Update checksum
+    const checksum = await generateChecksum(data);
+    data.metadata.checksum = checksum;
+    data.metadata.lastModified = new Date().toISOString();
+
+    await this.upload(JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Commits the file, guarded by the blob SHA from the last read or commit
+   * @param {string} content
+   * @param {string} [message] - Defaults to a summary of the bookmark changes
+   * @returns {Promise<string>} The new blob SHA
+   */
+  async upload(content, message) {
+    const data = JSON.parse(content);
+    const result = await this.api.commitFile({
+      content,
+      message: message ?? buildCommitMessage(this.lastData, data),
+      sha: this.sha,
+    });
+
+    this.sha = result.sha;
+    this.headCommit = result.commitId;
+    this.lastData = data;
+    return this.sha;
+  }
+
+  /**
+   * Lists the commits that changed the bookmark file, newest first
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Promise<ForgeCommit[]>}
+   */
+  async listHistory({ limit = 30 } = {}) {
+    return this.api.listCommits(Math.min(Math.max(limit, 1), 100));
+  }
+
+  /**
+   * Restores the bookmark file as it was at a commit, as a new commit on the branch
+   * @param {string} commitId
+   * @returns {Promise<BookmarkFile>} The restored data
+   */
+  async restore(commitId) {
+    const restored = await this.readCommit(commitId);
+
+    try {
+      await this.read();
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND') throw error;
+    }
+
+    const summary = buildCommitMessage(this.lastData, restored).replace(/^Sync bookmarks: /, '');
+    await this.upload(
+      JSON.stringify(restored, null, 2),
+      `Restore bookmarks from ${commitId.slice(0, 7)}\n\nChanges: ${summary}`
+    );
+    return restored;
+  }
+
+  /**
+   * Gets the blob SHA of the file, which changes with its content
+   * @returns {Promise<string>} Empty string when the file doesn't exist
+   */
+  async getChecksum() {
+    const file = await this.api.readFile(this.branch);
+    return file?.sha ?? '';
+  }
+
+  /**
+   * Validates the token by checking it can push to the repository
+   * @returns {Promise<boolean>}
+   */
+  async validateCredentials() {
+    if (!this.credentials?.accessToken || !this.validateConfig()) return false;
+
+    try {
+      return await this.api.canWrite();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Validates the source configuration
+   * @returns {boolean}
+   */
+  validateConfig() {
+    const needsServer = this.forge === GIT_FORGE.GITEA || this.forge === GIT_FORGE.FORGEJO;
+    return (
+      super.validateConfig() &&
+      Object.values(GIT_FORGE).includes(this.forge) &&
+      this.repository.includes('/') &&
+      (!needsServer || Boolean(this.baseUrl))
+    );
+  }
+
+  /**
+   * Gets metadata about the repository file
+   * @returns {Promise<Object>}
+   */
+  async getMetadata() {
+    const base = await super.getMetadata();
+
+    return {
+      ...base,
+      forge: this.forge,
+      repository: this.repository,
+      branch: this.branch,
+      path: this.path,
+      headCommit: this.headCommit,
+    };
+  }
+
+  /**
+   * Sends an authenticated request to the forge API
+   * @param {string} method
+   * @param {string} url
+   * @param {import('./git-forge-api.js').ForgeRequestOptions} [options]
+   * @returns {Promise<Response>}
+   */
+  async request(method, url, { body } = {}) {
+    if (!this.credentials?.accessToken) {
+      throw this.createUnauthorizedError('Git forge access token required');
+    }
+
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method,
+        headers: {
+          Authorization: this.api.authorization(this.credentials.accessToken),
+          Accept: 'application/json',
+          ...(body && { 'Content-Type': 'application/json' }),
+        },
+        body: body && JSON.stringify(body),
+        signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS),
+        // A redirect could send the credentials on to a host nobody checked
+        redirect: 'manual',
+      });
+    } catch (error) {
+      throw this.createNetworkError(`Failed to reach ${this.forge}: ${error.message}`);
+    }
+
+    if (response.status === 401) {
+      throw this.createUnauthorizedError(`${this.forge} rejected the access token`);
+    }
+
+    return response;
+  }
+}
+
+/**
+ * Builds a commit message summarizing the bookmark changes between two versions of
+ * the file: a count per change type, then the changed bookmarks by title
+ * @param {BookmarkFile|null} previous
+ * @param {BookmarkFile} next
+ * @returns {string}
+ */
+export const buildCommitMessage = (previous, next) => {
+  const changes = diffBookmarkSnapshots(previous?.bookmarks ?? null, next.bookmarks);
+  const summary = summarizeChanges(changes);
+
+  const counts = ['added', 'modified', 'moved', 'deleted']
+    .filter((key) => summary[key] > 0)
+    .map((key) => `${summary[key]} ${key}`);
+  if (counts.length === 0) {
+    return 'Sync bookmarks: no bookmark changes';
+  }
+
+  const lines = changes.slice(0, MAX_LISTED_CHANGES).map((change) => {
+    const item = change.after ?? change.before;
+    const title = item.title || item.url || 'Untitled';
+    const where = change.type === CHANGE_TYPE.MOVED ? ` → ${change.path || '/'}` : '';
+    return `${CHANGE_MARKERS[change.type]} ${title}${where}`;
+  });
+  if (changes.length > MAX_LISTED_CHANGES) {
+    lines.push(`… and ${changes.length - MAX_LISTED_CHANGES} more`);
+  }
+
+  return `Sync bookmarks: ${counts.join(', ')}\n\n${lines.join('\n')}`;
+};
+
+/**
+ * Commits bookmarks from the cloud to the repository file
+ * @param {GitForgeSource} source
+ * @param {Array} bookmarks
+ * @param {Array} [tombstones]
+ * @param {string} [checksum]
+ * @returns {Promise<import('./bookmark-file-sync.js').BookmarkFileSyncResult>}
+ */
+export const syncBookmarksToGitForge = (source, bookmarks, tombstones, checksum) =>
+  syncBookmarkFile(source, bookmarks, tombstones, checksum);
@@ -6,12 +6,16 @@
 
 // Base source
 export { BaseSource, createSource } from './base-source.js';
+export { EncryptedSource } from './encrypted-source.js';
 
 // Source implementations
 export { LocalFileSource } from './local-file.js';
 export { GitHubSource } from './github.js';
 export { DropboxSource } from './dropbox.js';
 export { GoogleDriveSource } from './google-drive.js';
+export { WebDavSource, syncBookmarksToWebDav } from './webdav.js';
+export { S3Source, syncBookmarksToS3 } from './s3.js';
+export { GitForgeSource, buildCommitMessage, syncBookmarksToGitForge } from './git-forge.js';
 export {
   SupabaseCloudSource,
   createSupabaseCloudSource,
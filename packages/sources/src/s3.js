@@ -0,0 +1,280 @@
+/**
+ * @fileoverview S3 source for syncing bookmarks with an object in any S3-compatible
+ * bucket (AWS S3, MinIO, Cloudflare R2, Backblaze B2)
+ * Uses the ETag as checksum and conditional PUTs to detect writes from other clients
+ */
+
+import { BaseSource } from './base-source.js';
+import { SOURCE_TYPE } from '@marksyncr/types';
+import { generateChecksum } from '@marksyncr/core';
+import { encodeS3Path, signRequest } from './s3-signature.js';
+import { syncBookmarkFile } from './bookmark-file-sync.js';
+
+/**
+ * @typedef {import('@marksyncr/types').BookmarkFile} BookmarkFile
+ * @typedef {import('@marksyncr/types').SourceConfig} SourceConfig
+ * @typedef {import('@marksyncr/types').SourceCredentials} SourceCredentials
+ */
+
+const DEFAULT_KEY = 'marksyncr/bookmarks.json';
+const DEFAULT_REGION = 'us-east-1';
+
+/**
+ * Default timeout for S3 requests (60 seconds)
+ */
+const DEFAULT_TIMEOUT_MS = 60_000;
+
+/**
+ * S3 source for syncing bookmarks with an object in a bucket
+ *
+ * config.endpoint is the service URL, e.g. https://s3.us-east-1.amazonaws.com,
+ * https://minio.example.com or https://<account>.r2.cloudflarestorage.com.
+ * Buckets are addressed path-style (endpoint/bucket/key) unless config.pathStyle is
+ * false, which AWS needs for some buckets and most other services don't support.
+ */
+export class S3Source extends BaseSource {
+  /**
+   * @param {SourceConfig} config
+   * @param {SourceCredentials} credentials
+   * @param {Object} [options]
+   * @param {typeof fetch} [options.fetch] - fetch for requests to the S3 endpoint, e.g. one
+   *   that only connects to public addresses when the URL comes from a user
+   */
+  constructor(config, credentials, { fetch: fetchImpl = (url, init) => fetch(url, init) } = {}) {
+    super({ ...config, type: SOURCE_TYPE.S3 }, credentials);
+
+    this.fetch = fetchImpl;
+
+    this.endpoint = (config.endpoint ?? '').replace(/\/+$/, '');
+    this.region = config.region || DEFAULT_REGION;
+    this.bucket = config.bucket ?? '';
+    this.key = (config.path ?? DEFAULT_KEY).replace(/^\/+/, '');
+    this.pathStyle = config.pathStyle ?? true;
+
+    /** ETag of the object as last read or written; null when unknown */
+    this.etag = null;
+    /** The last read found no object, so a write must not replace one */
+    this.missing = false;
+  }
+
+  /**
+   * URL of the bucket
+   * @returns {string}
+   */
+  get bucketUrl() {
+    if (this.pathStyle) {
+      return `${this.endpoint}/${encodeS3Path(this.bucket)}`;
+    }
+    const url = new URL(this.endpoint);
+    url.hostname = `${this.bucket}.${url.hostname}`;
+    return url.href.replace(/\/+$/, '');
+  }
+
+  /**
+   * URL of the bookmark object
+   * @returns {string}
+   */
+  get objectUrl() {
+    return `${this.bucketUrl}/${encodeS3Path(this.key)}`;
+  }
+
+  /**
+   * Reads bookmark data from the bucket
+   * @returns {Promise<BookmarkFile>}
+   */
+  async read() {
+    const response = await this.request('GET', this.objectUrl);
+
+    if (response.status === 404) {
+      this.etag = null;
+      this.missing = true;
+      throw this.createNotFoundError('Bookmark file not found in bucket');
+    }
+
+    if (!response.ok) {
+      throw await this.createS3Error(response);
+    }
+
+    const data = JSON.parse(await response.text());
+    this.etag = response.headers.get('etag');
+    this.missing = false;
+    return data;
+  }
+
+  /**
+   * Writes bookmark data to the bucket
+   * Fails with a CONFLICT error when the object changed since it was last read.
+   * @param {BookmarkFile} data
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    // Update checksum
+    const checksum = await generateChecksum(data);
+    data.metadata.checksum = checksum;
+    data.metadata.lastModified = new Date().toISOString();
+
+    await this.upload(JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Uploads the object, guarded by the ETag from the last read or write
+   * @param {string} content
+   * @returns {Promise<string|null>} The new ETag
+   */
+  async upload(content) {
+    const headers = { 'content-type': 'application/json' };
+    if (this.etag) {
+      headers['if-match'] = this.etag;
+    } else if (this.missing) {
+      headers['if-none-match'] = '*';
+    }
+
+    const response = await this.request('PUT', this.objectUrl, { headers, body: content });
+
+    // 412 for a failed precondition, 409 when a concurrent conditional write won
+    if (response.status === 412 || response.status === 409) {
+      throw this.createConflictError('Bookmark file was changed in the bucket');
+    }
+
+    if (!response.ok) {
+      throw await this.createS3Error(response);
+    }
+
+    this.etag = response.headers.get('etag');
+    this.missing = false;
+    return this.etag;
+  }
+
+  /**
+   * Gets the ETag of the object without downloading it
+   * @returns {Promise<string>} Empty string when the object doesn't exist
+   */
+  async getChecksum() {
+    const response = await this.head();
+    return response?.headers.get('etag') ?? '';
+  }
+
+  /**
+   * Validates credentials by checking access to the bucket
+   * @returns {Promise<boolean>}
+   */
+  async validateCredentials() {
+    if (!this.endpoint || !this.bucket || !this.credentials?.accessKeyId) return false;
+
+    try {
+      const response = await this.request('HEAD', this.bucketUrl);
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Gets metadata about the bookmark object
+   * @returns {Promise<Object>}
+   */
+  async getMetadata() {
+    const base = await super.getMetadata();
+    const location = { bucket: this.bucket, path: this.key };
+
+    try {
+      const response = await this.head();
+      if (response) {
+        const size = response.headers.get('content-length');
+        return {
+          ...base,
+          ...location,
+          size: size === null ? undefined : Number(size),
+          lastModified: response.headers.get('last-modified'),
+          etag: response.headers.get('etag'),
+        };
+      }
+    } catch {
+      // Return base metadata if the bucket can't be reached
+    }
+
+    return { ...base, ...location };
+  }
+
+  /**
+   * Sends a HEAD request for the object
+   * @returns {Promise<Response|null>} null when the object doesn't exist
+   */
+  async head() {
+    const response = await this.request('HEAD', this.objectUrl);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw await this.createS3Error(response);
+    }
+    return response;
+  }
+
+  /**
+   * Sends a SigV4-signed request
+   * @param {string} method
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {Record<string, string>} [options.headers]
+   * @param {string} [options.body]
+   * @returns {Promise<Response>}
+   */
+  async request(method, url, { headers = {}, body } = {}) {
+    if (!this.endpoint || !this.bucket) {
+      throw new Error('S3 endpoint and bucket required');
+    }
+    if (!this.credentials?.accessKeyId || !this.credentials?.secretAccessKey) {
+      throw this.createUnauthorizedError('S3 access key ID and secret access key required');
+    }
+
+    const signedHeaders = await signRequest({
+      method,
+      url,
+      headers,
+      body,
+      region: this.region,
+      credentials: this.credentials,
+    });
+
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method,
+        headers: signedHeaders,
+        body,
+        signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS),
+        // A redirect could send the credentials on to a host nobody checked
+        redirect: 'manual',
+      });
+    } catch (error) {
+      throw this.createNetworkError(`Failed to reach S3 endpoint: ${error.message}`);
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw this.createUnauthorizedError('S3 endpoint rejected the credentials');
+    }
+
+    return response;
+  }
+
+  /**
+   * Creates an error from an S3 error response, using its <Code> when there is one
+   * @param {Response} response
+   * @returns {Promise<Error>}
+   */
+  async createS3Error(response) {
+    const text = await response.text().catch(() => '');
+    const code = text.match(/<Code>([^<]+)<\/Code>/)?.[1];
+    return new Error(`S3 error: ${code ?? response.status}`);
+  }
+}
+
+/**
+ * Writes bookmarks from the cloud to the S3 object
+ * @param {S3Source} source
+ * @param {Array} bookmarks
+ * @param {Array} [tombstones]
+ * @param {string} [checksum]
+ * @returns {Promise<import('./bookmark-file-sync.js').BookmarkFileSyncResult>}
+ */
+export const syncBookmarksToS3 = (source, bookmarks, tombstones, checksum) =>
+  syncBookmarkFile(source, bookmarks, tombstones, checksum);
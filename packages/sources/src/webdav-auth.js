@@ -0,0 +1,195 @@
+/**
+ * @fileoverview HTTP Basic and Digest authentication for the WebDAV source
+ * Digest follows RFC 7616 (MD5, SHA-256 and their -sess variants, qop=auth)
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * @typedef {Object} DigestChallenge
+ * @property {string} realm
+ * @property {string} nonce
+ * @property {string} [opaque]
+ * @property {string} [qop] - Comma-separated qop options offered by the server
+ * @property {string} [algorithm]
+ * @property {boolean} [stale] - The nonce expired; retry without asking for new credentials
+ */
+
+/**
+ * Builds a Basic Authorization header value
+ * @param {string} username
+ * @param {string} password
+ * @returns {string}
+ */
+export const buildBasicAuthorization = (username, password) => {
+  const bytes = encoder.encode(`${username}:${password}`);
+  return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+};
+
+/**
+ * Parses a Digest challenge out of a WWW-Authenticate header
+ * @param {string|null} header
+ * @returns {DigestChallenge|null} null when the server doesn't offer Digest
+ */
+export const parseDigestChallenge = (header) => {
+  const match = header?.match(/Digest\s+(.*)/i);
+  if (!match) return null;
+
+  const params = {};
+  const paramPattern = /(\w+)=(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+  let param;
+  while ((param = paramPattern.exec(match[1])) !== null) {
+    params[param[1].toLowerCase()] = param[2] ?? param[3];
+  }
+
+  if (!params.nonce) return null;
+
+  return {
+    realm: params.realm ?? '',
+    nonce: params.nonce,
+    opaque: params.opaque,
+    qop: params.qop,
+    algorithm: params.algorithm,
+    stale: params.stale?.toLowerCase() === 'true',
+  };
+};
+
+/**
+ * Builds a Digest Authorization header value for one request
+ * @param {DigestChallenge} challenge
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.uri - Request path and query
+ * @param {string} request.username
+ * @param {string} request.password
+ * @param {number} request.nonceCount - 1 for the first request with this nonce
+ * @param {string} [request.cnonce] - Client nonce; random when omitted
+ * @returns {Promise<string>}
+ */
+export const buildDigestAuthorization = async (
+  challenge,
+  { method, uri, username, password, nonceCount, cnonce = randomHex(8) }
+) => {
+  const algorithm = challenge.algorithm ?? 'MD5';
+  const baseAlgorithm = algorithm.replace(/-sess$/i, '').toUpperCase();
+  const hash = baseAlgorithm === 'SHA-256' ? sha256Hex : md5Hex;
+  const qop = challenge.qop
+    ?.split(',')
+    .map((option) => option.trim())
+    .includes('auth')
+    ? 'auth'
+    : null;
+  const nc = nonceCount.toString(16).padStart(8, '0');
+
+  let ha1 = await hash(`${username}:${challenge.realm}:${password}`);
+  if (/-sess$/i.test(algorithm)) {
+    ha1 = await hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+  }
+  const ha2 = await hash(`${method}:${uri}`);
+  const response = qop
+    ? await hash(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+    : await hash(`${ha1}:${challenge.nonce}:${ha2}`);
+
+  const fields = [
+    `username="${username}"`,
+    `realm="${challenge.realm}"`,
+    `nonce="${challenge.nonce}"`,
+    `uri="${uri}"`,
+    `algorithm=${algorithm}`,
+    `response="${response}"`,
+  ];
+  if (challenge.opaque) fields.push(`opaque="${challenge.opaque}"`);
+  if (qop) fields.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+
+  return `Digest ${fields.join(', ')}`;
+};
+
+/**
+ * @param {number} byteCount
+ * @returns {string}
+ */
+const randomHex = (byteCount) => toHex(crypto.getRandomValues(new Uint8Array(byteCount)));
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+const sha256Hex = async (text) =>
+  toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(text))));
+
+// Per-round shift amounts and sine-derived constants from RFC 1321
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14,
+  20, 5, 9, 14, 20, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 6, 10, 15, 21, 6,
+  10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21,
+];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) =>
+  Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32)
+);
+
+/**
+ * MD5 of a UTF-8 string. Web Crypto has no MD5, and Digest auth servers still default to it.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+const md5Hex = async (text) => {
+  const input = encoder.encode(text);
+  const paddedLength = (((input.length + 8) >> 6) + 1) << 6;
+  const bytes = new Uint8Array(paddedLength);
+  bytes.set(input);
+  bytes[input.length] = 0x80;
+  const view = new DataView(bytes.buffer);
+  view.setUint32(paddedLength - 8, (input.length * 8) >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(input.length / 0x20000000), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const sum = (a + f + MD5_CONSTANTS[i] + view.getUint32(offset + g * 4, true)) | 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) | 0;
+    }
+
+    a0 = (a0 + a) | 0;
+    b0 = (b0 + b) | 0;
+    c0 = (c0 + c) | 0;
+    d0 = (d0 + d) | 0;
+  }
+
+  const digest = new DataView(new ArrayBuffer(16));
+  [a0, b0, c0, d0].forEach((word, i) => digest.setUint32(i * 4, word, true));
+  return toHex(new Uint8Array(digest.buffer));
+};
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview WebDAV source for syncing bookmarks with Nextcloud, ownCloud or any
+ * other WebDAV server
+ * Uses the ETag as checksum and If-Match to detect writes from other clients
+ */
+
+import { BaseSource } from './base-source.js';
+import { SOURCE_TYPE } from '@marksyncr/types';
+import { generateChecksum } from '@marksyncr/core';
+import {
+  buildBasicAuthorization,
+  buildDigestAuthorization,
+  parseDigestChallenge,
+} from './webdav-auth.js';
+import { syncBookmarkFile } from './bookmark-file-sync.js';
+
+/**
+ * @typedef {import('@marksyncr/types').BookmarkFile} BookmarkFile
+ * @typedef {import('@marksyncr/types').SourceConfig} SourceConfig
+ * @typedef {import('@marksyncr/types').SourceCredentials} SourceCredentials
+ */
+
+const DEFAULT_PATH = '/MarkSyncr/bookmarks.json';
+
+/**
+ * Default timeout for WebDAV requests (60 seconds)
+ */
+const DEFAULT_TIMEOUT_MS = 60_000;
+
+/**
+ * WebDAV source for syncing bookmarks with a file on a WebDAV server
+ *
+ * config.url is the WebDAV root, e.g. https://cloud.example.com/remote.php/dav/files/alice
+ * for Nextcloud, and config.path the file below it.
+ */
+export class WebDavSource extends BaseSource {
+  /**
+   * @param {SourceConfig} config
+   * @param {SourceCredentials} credentials
+   * @param {Object} [options]
+   * @param {typeof fetch} [options.fetch] - fetch for requests to the WebDAV server, e.g. one
+   *   that only connects to public addresses when the URL comes from a user
+   */
+  constructor(config, credentials, { fetch: fetchImpl = (url, init) => fetch(url, init) } = {}) {
+    super({ ...config, type: SOURCE_TYPE.WEBDAV }, credentials);
+
+    this.fetch = fetchImpl;
+
+    this.url = (config.url ?? '').replace(/\/+$/, '');
+    this.path = `/${(config.path ?? DEFAULT_PATH).replace(/^\/+/, '')}`;
+    this.authType = config.authType ?? 'auto';
+
+    /** ETag of the file as last read or written; null when unknown */
+    this.etag = null;
+    /** The last read found no file, so a write must not replace one */
+    this.missing = false;
+
+    this.digestChallenge = null;
+    this.nonceCount = 0;
+  }
+
+  /**
+   * URL of the bookmark file
+   * @returns {string}
+   */
+  get fileUrl() {
+    return `${this.url}${this.path.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Reads bookmark data from the WebDAV server
+   * @returns {Promise<BookmarkFile>}
+   */
+  async read() {
+    const response = await this.request('GET', this.fileUrl);
+
+    if (response.status === 404) {
+      this.etag = null;
+      this.missing = true;
+      throw this.createNotFoundError('Bookmark file not found on WebDAV server');
+    }
+
+    if (!response.ok) {
+      throw new Error(`WebDAV server error: ${response.status}`);
+    }
+
+    const data = JSON.parse(await response.text());
+    this.etag = response.headers.get('etag');
+    this.missing = false;
+    return data;
+  }
+
+  /**
+   * Writes bookmark data to the WebDAV server
+   * Fails with a CONFLICT error when the file changed since it was last read.
+   * @param {BookmarkFile} data
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    // Update checksum
+    const checksum = await generateChecksum(data);
+    data.metadata.checksum = checksum;
+    data.metadata.lastModified = new Date().toISOString();
+
+    await this.upload(JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Uploads the file content, guarded by the ETag from the last read or write
+   * @param {string} content
+   * @returns {Promise<string|null>} The new ETag
+   */
+  async upload(content) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.etag) {
+      headers['If-Match'] = this.etag;
+    } else if (this.missing) {
+      headers['If-None-Match'] = '*';
+    }
+
+    let response = await this.request('PUT', this.fileUrl, { headers, body: content });
+
+    // 409 means a parent collection is missing
+    if (response.status === 409) {
+      await this.createParentCollections();
+      response = await this.request('PUT', this.fileUrl, { headers, body: content });
+    }
+
+    if (response.status === 412) {
+      throw this.createConflictError('Bookmark file was changed on the WebDAV server');
+    }
+
+    if (!response.ok) {
+      throw new Error(`WebDAV server error: ${response.status}`);
+    }
+
+    // Not every server returns the ETag on PUT
+    this.etag = response.headers.get('etag') ?? (await this.head())?.headers.get('etag') ?? null;
+    this.missing = false;
+    return this.etag;
+  }
+
+  /**
+   * Gets the ETag of the file without downloading it
+   * @returns {Promise<string>} Empty string when the file doesn't exist
+   */
+  async getChecksum() {
+    const response = await this.head();
+    return response?.headers.get('etag') ?? '';
+  }
+
+  /**
+   * Validates credentials by listing the WebDAV root
+   * @returns {Promise<boolean>}
+   */
+  async validateCredentials() {
+    if (!this.url || !this.credentials?.username) return false;
+
+    try {
+      const response = await this.request('PROPFIND', `${this.url}/`, {
+        headers: { Depth: '0', 'Content-Type': 'application/xml' },
+      });
+      return response.status === 207 || response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Gets metadata about the WebDAV file
+   * @returns {Promise<Object>}
+   */
+  async getMetadata() {
+    const base = await super.getMetadata();
+
+    try {
+      const response = await this.head();
+      if (response) {
+        const size = response.headers.get('content-length');
+        return {
+          ...base,
+          path: this.path,
+          size: size === null ? undefined : Number(size),
+          lastModified: response.headers.get('last-modified'),
+          etag: response.headers.get('etag'),
+        };
+      }
+    } catch {
+      // Return base metadata if the server can't be reached
+    }
+
+    return { ...base, path: this.path };
+  }
+
+  /**
+   * Sends a HEAD request for the file
+   * @returns {Promise<Response|null>} null when the file doesn't exist
+   */
+  async head() {
+    const response = await this.request('HEAD', this.fileUrl);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`WebDAV server error: ${response.status}`);
+    }
+    return response;
+  }
+
+  /**
+   * Creates the collections above the file, e.g. /MarkSyncr
+   * @returns {Promise<void>}
+   */
+  async createParentCollections() {
+    const segments = this.path.split('/').filter(Boolean).slice(0, -1);
+    let collection = '';
+
+    for (const segment of segments) {
+      collection += `/${encodeURIComponent(segment)}`;
+      const response = await this.request('MKCOL', `${this.url}${collection}/`);
+      // 405 means the collection already exists
+      if (!response.ok && response.status !== 405) {
+        throw new Error(`Failed to create WebDAV collection ${collection}: ${response.status}`);
+      }
+    }
+  }
+
+  /**
+   * Sends an authenticated request, answering a Digest challenge when the server sends one
+   * @param {string} method
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {Record<string, string>} [options.headers]
+   * @param {string} [options.body]
+   * @returns {Promise<Response>}
+   */
+  async request(method, url, { headers = {}, body } = {}) {
+    if (!this.url) {
+      throw new Error('WebDAV server URL required');
+    }
+    if (!this.credentials?.username) {
+      throw this.createUnauthorizedError('WebDAV username and password required');
+    }
+
+    const send = async () =>
+      this.fetch(url, {
+        method,
+        headers: { ...headers, ...(await this.authorizationHeader(method, url)) },
+        body,
+        signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS),
+        // A redirect could send the credentials on to a host nobody checked
+        redirect: 'manual',
+      });
+
+    let response;
+    try {
+      response = await send();
+
+      if (response.status === 401 && this.authType !== 'basic') {
+        const challenge = parseDigestChallenge(response.headers.get('www-authenticate'));
+        // Retry once with a new challenge: the first one, or a replacement for an expired nonce
+        if (challenge && (!this.digestChallenge || challenge.stale)) {
+          this.digestChallenge = challenge;
+          this.nonceCount = 0;
+          response = await send();
+        }
+      }
+    } catch (error) {
+      throw this.createNetworkError(`Failed to reach WebDAV server: ${error.message}`);
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw this.createUnauthorizedError('WebDAV server rejected the credentials');
+    }
+
+    return response;
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} url
+   * @returns {Promise<Record<string, string>>}
+   */
+  async authorizationHeader(method, url) {
+    const { username, password = '' } = this.credentials;
+
+    if (this.digestChallenge) {
+      const { pathname, search } = new URL(url);
+      this.nonceCount += 1;
+      return {
+        Authorization: await buildDigestAuthorization(this.digestChallenge, {
+          method,
+          uri: `${pathname}${search}`,
+          username,
+          password,
+          nonceCount: this.nonceCount,
+        }),
+      };
+    }
+
+    // Digest-only servers get the password from the challenge response, never in the clear
+    if (this.authType === 'digest') {
+      return {};
+    }
+
+    return { Authorization: buildBasicAuthorization(username, password) };
+  }
+}
+
+/**
+ * Writes bookmarks from the cloud to the WebDAV file
+ * @param {WebDavSource} source
+ * @param {Array} bookmarks
+ * @param {Array} [tombstones]
+ * @param {string} [checksum]
+ * @returns {Promise<import('./bookmark-file-sync.js').BookmarkFileSyncResult>}
+ */
+export const syncBookmarksToWebDav = (source, bookmarks, tombstones, checksum) =>
+  syncBookmarkFile(source, bookmarks, tombstones, checksum);
@@ -17,6 +17,9 @@ describe('source types', () => {
       expect(SOURCE_TYPE.GITHUB).toBe('github');
       expect(SOURCE_TYPE.DROPBOX).toBe('dropbox');
       expect(SOURCE_TYPE.GOOGLE_DRIVE).toBe('google-drive');
+      expect(SOURCE_TYPE.WEBDAV).toBe('webdav');
+      expect(SOURCE_TYPE.S3).toBe('s3');
+      expect(SOURCE_TYPE.GIT_FORGE).toBe('git-forge');
       expect(SOURCE_TYPE.SUPABASE_CLOUD).toBe('supabase-cloud');
     });
 
@@ -32,6 +35,8 @@ describe('source types', () => {
       expect(SOURCE_INFO[SOURCE_TYPE.GITHUB]).toBeDefined();
       expect(SOURCE_INFO[SOURCE_TYPE.DROPBOX]).toBeDefined();
       expect(SOURCE_INFO[SOURCE_TYPE.GOOGLE_DRIVE]).toBeDefined();
+      expect(SOURCE_INFO[SOURCE_TYPE.WEBDAV]).toBeDefined();
+      expect(SOURCE_INFO[SOURCE_TYPE.S3]).toBeDefined();
       expect(SOURCE_INFO[SOURCE_TYPE.SUPABASE_CLOUD]).toBeDefined();
     });
 
@@ -140,11 +145,14 @@ describe('source types', () => {
     it('should return all free tier sources', () => {
       const freeSources = getFreeTierSources();
 
-      expect(freeSources).toHaveLength(4);
+      expect(freeSources).toHaveLength(7);
       expect(freeSources.map((s) => s.type)).toContain(SOURCE_TYPE.LOCAL);
       expect(freeSources.map((s) => s.type)).toContain(SOURCE_TYPE.GITHUB);
       expect(freeSources.map((s) => s.type)).toContain(SOURCE_TYPE.DROPBOX);
       expect(freeSources.map((s) => s.type)).toContain(SOURCE_TYPE.GOOGLE_DRIVE);
+      expect(freeSources.map((s) => s.type)).toContain(SOURCE_TYPE.WEBDAV);
+      expect(freeSources.map((s) => s.type)).toContain(SOURCE_TYPE.S3);
+      expect(freeSources.map((s) => s.type)).toContain(SOURCE_TYPE.GIT_FORGE);
     });
 
     it('should not include paid tier sources', () => {
@@ -3,6 +3,9 @@ import {
   SYNC_STATUS,
   CHANGE_TYPE,
   CONFLICT_RESOLUTION,
+  MERGE_FIELD,
+  CONFLICT_STATUS,
+  DELTA_OP,
   createSyncState,
   createSyncResult,
   createErrorSyncResult,
@@ -30,6 +33,27 @@ describe('sync types', () => {
       expect(CONFLICT_RESOLUTION.REMOTE).toBe('remote');
       expect(CONFLICT_RESOLUTION.MERGED).toBe('merged');
     });
+
+    it('should have correct MERGE_FIELD values', () => {
+      expect(MERGE_FIELD.TITLE).toBe('title');
+      expect(MERGE_FIELD.URL).toBe('url');
+      expect(MERGE_FIELD.PARENT).toBe('parentId');
+      expect(MERGE_FIELD.POSITION).toBe('position');
+      expect(MERGE_FIELD.DELETED).toBe('deleted');
+    });
+
+    it('should have correct CONFLICT_STATUS values', () => {
+      expect(CONFLICT_STATUS.PENDING).toBe('pending');
+      expect(CONFLICT_STATUS.RESOLVED).toBe('resolved');
+      expect(CONFLICT_STATUS.SUPERSEDED).toBe('superseded');
+    });
+
+    it('should have correct DELTA_OP values', () => {
+      expect(DELTA_OP.ADD).toBe('add');
+      expect(DELTA_OP.UPDATE).toBe('update');
+      expect(DELTA_OP.MOVE).toBe('move');
+      expect(DELTA_OP.DELETE).toBe('delete');
+    });
   });
 
   describe('createSyncState', () => {
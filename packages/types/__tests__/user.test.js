@@ -2,6 +2,7 @@ import { describe, it, expect } from 'vitest';
 import {
   SUBSCRIPTION_PLAN,
   SUBSCRIPTION_STATUS,
+  TEAM_ROLE,
   PLAN_FEATURES,
   hasActiveSubscription,
   canUseCloudStorage,
@@ -23,6 +24,12 @@ describe('user types', () => {
       expect(SUBSCRIPTION_STATUS.PAST_DUE).toBe('past_due');
       expect(SUBSCRIPTION_STATUS.TRIALING).toBe('trialing');
     });
+
+    it('should have correct TEAM_ROLE values', () => {
+      expect(TEAM_ROLE.OWNER).toBe('owner');
+      expect(TEAM_ROLE.EDITOR).toBe('editor');
+      expect(TEAM_ROLE.VIEWER).toBe('viewer');
+    });
   });
 
   describe('PLAN_FEATURES', () => {
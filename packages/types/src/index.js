@@ -18,6 +18,9 @@ export {
   SYNC_STATUS,
   CHANGE_TYPE,
   CONFLICT_RESOLUTION,
+  MERGE_FIELD,
+  CONFLICT_STATUS,
+  DELTA_OP,
   createSyncState,
   createSyncResult,
   createErrorSyncResult,
@@ -27,6 +30,7 @@ export {
 export {
   SOURCE_TYPE,
   SOURCE_TIER,
+  GIT_FORGE,
   SOURCE_INFO,
   createSourceConfig,
   sourceRequiresAuth,
@@ -39,6 +43,7 @@ export {
 export {
   SUBSCRIPTION_PLAN,
   SUBSCRIPTION_STATUS,
+  TEAM_ROLE,
   PLAN_FEATURES,
   hasActiveSubscription,
   canUseCloudStorage,
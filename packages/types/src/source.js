@@ -3,30 +3,47 @@
  */
 
 /**
- * @typedef {'local' | 'github' | 'dropbox' | 'google-drive' | 'supabase-cloud'} SourceType
+ * @typedef {'local' | 'github' | 'dropbox' | 'google-drive' | 'webdav' | 's3' | 'git-forge' | 'supabase-cloud'} SourceType
  */
 
 /**
  * @typedef {'free' | 'paid'} SourceTier
  */
 
+/**
+ * @typedef {'github' | 'gitlab' | 'gitea' | 'forgejo'} GitForge
+ */
+
 /**
  * @typedef {Object} SourceConfig
  * @property {SourceType} type - Type of source
  * @property {string} name - Display name for the source
  * @property {string} [path] - Path to file (for local/github)
- * @property {string} [repository] - Repository name (for github)
- * @property {string} [branch] - Branch name (for github)
+ * @property {string} [repository] - Repository name, e.g. "owner/repo" (for github/git-forge)
+ * @property {string} [branch] - Branch name (for github/git-forge)
  * @property {string} [folderId] - Folder ID (for google-drive/dropbox)
  * @property {string} [fileName] - File name in cloud storage
+ * @property {string} [url] - Server URL (for webdav)
+ * @property {'auto' | 'basic' | 'digest'} [authType] - HTTP auth scheme (for webdav)
+ * @property {string} [endpoint] - Service URL (for s3)
+ * @property {string} [region] - Signing region (for s3)
+ * @property {string} [bucket] - Bucket name (for s3)
+ * @property {boolean} [pathStyle] - Address the bucket as endpoint/bucket (for s3)
+ * @property {GitForge} [forge] - Hosting service API (for git-forge)
+ * @property {string} [baseUrl] - Server URL for self-hosted forges (for git-forge)
  */
 
 /**
  * @typedef {Object} SourceCredentials
- * @property {string} [accessToken] - OAuth access token
+ * @property {string} [accessToken] - OAuth access token or personal access token (for git-forge)
  * @property {string} [refreshToken] - OAuth refresh token
  * @property {string} [expiresAt] - Token expiration ISO timestamp
  * @property {string} [apiKey] - API key (if applicable)
+ * @property {string} [username] - Username (for webdav)
+ * @property {string} [password] - Password or app password (for webdav)
+ * @property {string} [accessKeyId] - Access key ID (for s3)
+ * @property {string} [secretAccessKey] - Secret access key (for s3)
+ * @property {string} [sessionToken] - Session token for temporary credentials (for s3)
  */
 
 /**
@@ -46,9 +63,20 @@ export const SOURCE_TYPE = {
   GITHUB: 'github',
   DROPBOX: 'dropbox',
   GOOGLE_DRIVE: 'google-drive',
+  WEBDAV: 'webdav',
+  S3: 's3',
+  GIT_FORGE: 'git-forge',
   SUPABASE_CLOUD: 'supabase-cloud',
 };
 
+// Git hosting services supported by the git-forge source
+export const GIT_FORGE = {
+  GITHUB: 'github',
+  GITLAB: 'gitlab',
+  GITEA: 'gitea',
+  FORGEJO: 'forgejo',
+};
+
 // Source tier constants
 export const SOURCE_TIER = {
   FREE: 'free',
@@ -95,6 +123,30 @@ export const SOURCE_INFO = {
     authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
     icon: 'google-drive',
   },
+  [SOURCE_TYPE.WEBDAV]: {
+    type: SOURCE_TYPE.WEBDAV,
+    name: 'WebDAV',
+    description: 'Sync with a file on a WebDAV server such as Nextcloud',
+    tier: SOURCE_TIER.FREE,
+    requiresAuth: true,
+    icon: 'webdav',
+  },
+  [SOURCE_TYPE.S3]: {
+    type: SOURCE_TYPE.S3,
+    name: 'S3 Storage',
+    description: 'Sync with an object in an S3-compatible bucket (AWS, MinIO, R2, B2)',
+    tier: SOURCE_TIER.FREE,
+    requiresAuth: true,
+    icon: 's3',
+  },
+  [SOURCE_TYPE.GIT_FORGE]: {
+    type: SOURCE_TYPE.GIT_FORGE,
+    name: 'Git Repository',
+    description: 'Keep a commit per sync in a GitHub, GitLab, Gitea or Forgejo repository',
+    tier: SOURCE_TIER.FREE,
+    requiresAuth: true,
+    icon: 'git',
+  },
   [SOURCE_TYPE.SUPABASE_CLOUD]: {
     type: SOURCE_TYPE.SUPABASE_CLOUD,
     name: 'MarkSyncr Cloud',
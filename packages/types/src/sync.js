@@ -33,6 +33,66 @@
  * @property {Object} [resolvedValue] - The resolved bookmark value
  */
 
+/**
+ * @typedef {'title' | 'url' | 'parentId' | 'position' | 'deleted'} MergeField
+ */
+
+/**
+ * @typedef {Object} FieldConflict
+ * @property {string} id - Bookmark ID with conflict
+ * @property {MergeField} field - Field that both sides changed
+ * @property {string} path - Path to the bookmark in the tree
+ * @property {*} base - Value in the common ancestor (undefined if added on both sides)
+ * @property {*} local - Local value
+ * @property {*} remote - Remote value
+ * @property {ConflictResolution} resolution - Side whose value was applied
+ * @property {*} resolvedValue - The value that ended up in the merged tree
+ */
+
+/**
+ * @typedef {'add' | 'update' | 'move' | 'delete'} DeltaOp
+ */
+
+/**
+ * @typedef {Object} DeltaOperation
+ * @property {DeltaOp} op - Operation type
+ * @property {string} key - Stable item key (URL for bookmarks, parent path and title for folders)
+ * @property {Object} [item] - Full flat item after the change (omitted for deletes)
+ */
+
+/**
+ * @typedef {Object} EncryptionKeyring
+ * @property {number} version - Keyring format version
+ * @property {string} keyId - Identifies the data key; changes when the key is rotated
+ * @property {{name: 'PBKDF2', hash: 'SHA-256', iterations: number, salt: string}} kdf -
+ *   Passphrase key derivation parameters
+ * @property {{iv: string, ciphertext: string}} wrappedKey - Data key encrypted with the
+ *   passphrase key (base64url)
+ * @property {string} createdAt - ISO 8601 timestamp
+ */
+
+/**
+ * @typedef {'pending' | 'resolved' | 'superseded'} ConflictStatus
+ */
+
+/**
+ * @typedef {Object} ConflictRecord
+ * @property {string} id - Record ID
+ * @property {string} bookmarkId - Bookmark the conflict belongs to (URL for flat bookmark lists)
+ * @property {string} [title] - Bookmark title for display
+ * @property {MergeField} field - Field that both sides changed
+ * @property {string} path - Path to the bookmark in the tree
+ * @property {*} baseValue - Value in the common ancestor
+ * @property {*} localValue - Value on the device that reported the conflict
+ * @property {*} remoteValue - Value in the cloud when the conflict was detected
+ * @property {ConflictStatus} status - Whether the conflict still needs a decision
+ * @property {ConflictResolution|null} resolution - Side the user picked
+ * @property {*} resolvedValue - Value the user settled on
+ * @property {string} [deviceId] - Device that reported the conflict
+ * @property {string} createdAt - ISO 8601 timestamp of detection
+ * @property {string|null} resolvedAt - ISO 8601 timestamp of resolution
+ */
+
 /**
  * @typedef {Object} SyncResult
  * @property {SyncStatus} status - Overall sync status
@@ -51,6 +111,7 @@
  * @property {string} sourcePath - Path/identifier for the source
  * @property {string} lastChecksum - Last known checksum
  * @property {string} lastSyncAt - ISO 8601 timestamp of last sync
+ * @property {Object} [baseSnapshot] - Bookmark data as of the last successful sync (merge ancestor)
  * @property {Object} [metadata] - Additional sync metadata
  */
 
@@ -86,6 +147,30 @@ export const CONFLICT_RESOLUTION = {
   MERGED: 'merged',
 };
 
+// Per-item fields compared during a three-way merge
+export const MERGE_FIELD = {
+  TITLE: 'title',
+  URL: 'url',
+  PARENT: 'parentId',
+  POSITION: 'position',
+  DELETED: 'deleted',
+};
+
+// Operations exchanged by the delta sync protocol
+export const DELTA_OP = {
+  ADD: 'add',
+  UPDATE: 'update',
+  MOVE: 'move',
+  DELETE: 'delete',
+};
+
+// Lifecycle of a stored conflict record
+export const CONFLICT_STATUS = {
+  PENDING: 'pending',
+  RESOLVED: 'resolved',
+  SUPERSEDED: 'superseded',
+};
+
 /**
  * Creates an initial sync state
  * @param {Object} params
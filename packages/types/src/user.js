@@ -51,8 +51,71 @@
  * @property {string} [os] - Operating system
  * @property {string} lastSeenAt - ISO 8601 timestamp
  * @property {string} createdAt - ISO 8601 timestamp
+ * @property {SyncProfile | null} [syncProfile] - Folders this device syncs
+ * @property {string} [collectionId] - Collection the device syncs with
  */
 
+/**
+ * @typedef {Object} Collection
+ * @property {string} id - Collection UUID; the default collection's id is the user's id
+ * @property {string} name - Collection name, unique per user
+ * @property {boolean} isDefault - Whether this is the collection used when none is named
+ * @property {string} createdAt - ISO 8601 timestamp
+ */
+
+/**
+ * @typedef {Object} SyncProfile
+ * @property {string[]} include - Folder paths or globs to sync; empty syncs everything
+ * @property {string[]} exclude - Folder paths or globs never to sync; wins over include
+ */
+
+/**
+ * @typedef {'owner' | 'editor' | 'viewer'} TeamRole
+ */
+
+/**
+ * @typedef {Object} Team
+ * @property {string} id - Team UUID
+ * @property {string} name - Team name
+ * @property {TeamRole} role - Role of the current user in the team
+ * @property {string} createdAt - ISO 8601 timestamp
+ */
+
+/**
+ * @typedef {Object} TeamMember
+ * @property {string} userId - User UUID
+ * @property {string} [email] - Member's email address
+ * @property {TeamRole} role - Member's role
+ * @property {string} joinedAt - ISO 8601 timestamp
+ */
+
+/**
+ * @typedef {Object} TeamInvitation
+ * @property {string} id - Invitation UUID
+ * @property {string} email - Invited email address
+ * @property {'editor' | 'viewer'} role - Role the invitee gets on accepting
+ * @property {string} expiresAt - ISO 8601 timestamp
+ * @property {string} [inviteUrl] - Link that accepts the invitation
+ */
+
+/**
+ * @typedef {Object} SharedFolder
+ * @property {string} id - Shared folder UUID
+ * @property {string} teamId - Team UUID
+ * @property {string} name - Folder name, used for the folder in members' browsers
+ * @property {Array<Object>} items - Flat bookmark list; folder paths are relative
+ *   to the shared folder, and each item records who added and last changed it
+ * @property {number} version - Incremented on every change
+ * @property {TeamRole} [role] - Role of the current user in the folder's team
+ */
+
+// Team role constants
+export const TEAM_ROLE = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer',
+};
+
 // Subscription plan constants
 export const SUBSCRIPTION_PLAN = {
   FREE: 'free',
@@ -0,0 +1,69 @@
+-- Migration: 016_sync_conflicts
+-- Description: Store per-field sync conflicts so users can resolve them later
+--
+-- When two devices change the same field of a bookmark (e.g. both rename it)
+-- since their last common sync, the extension keeps syncing with a provisional
+-- winner and records the conflict here. The popup lists pending conflicts and
+-- lets the user pick the local value, the remote value or an edited merge.
+--
+-- A newer conflict for the same bookmark and field supersedes the older one,
+-- so at most one conflict per bookmark field is pending at a time.
+
+-- ============================================
+-- Sync Conflicts Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.sync_conflicts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+
+    -- Bookmark identity (URL for the flat bookmark format) and display info
+    bookmark_id TEXT NOT NULL,
+    title TEXT,
+    field TEXT NOT NULL CHECK (field IN ('title', 'url', 'parentId', 'position', 'deleted')),
+    path TEXT NOT NULL DEFAULT '',
+
+    -- Values on each side of the conflict
+    base_value JSONB,
+    local_value JSONB,
+    remote_value JSONB,
+
+    -- Resolution lifecycle
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'superseded')),
+    resolution TEXT CHECK (resolution IN ('local', 'remote', 'merged')),
+    resolved_value JSONB,
+
+    device_id TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ
+);
+
+-- Pending conflicts are listed per user, newest first
+CREATE INDEX IF NOT EXISTS idx_sync_conflicts_user_pending
+    ON public.sync_conflicts(user_id, created_at DESC)
+    WHERE status = 'pending';
+
+-- Only one pending conflict per bookmark field
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_conflicts_pending_field
+    ON public.sync_conflicts(user_id, bookmark_id, field)
+    WHERE status = 'pending';
+
+-- Enable Row Level Security
+ALTER TABLE public.sync_conflicts ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for sync_conflicts table
+CREATE POLICY "Users can view own sync conflicts" ON public.sync_conflicts
+    FOR SELECT USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can insert own sync conflicts" ON public.sync_conflicts
+    FOR INSERT WITH CHECK ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can update own sync conflicts" ON public.sync_conflicts
+    FOR UPDATE USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can delete own sync conflicts" ON public.sync_conflicts
+    FOR DELETE USING ((select auth.uid()) = user_id);
+
+COMMENT ON TABLE public.sync_conflicts IS 'Per-field bookmark conflicts awaiting or after user resolution';
+COMMENT ON COLUMN public.sync_conflicts.bookmark_id IS 'Bookmark identifier (URL in the flat sync format)';
+COMMENT ON COLUMN public.sync_conflicts.base_value IS 'Field value as of the last common sync';
+COMMENT ON COLUMN public.sync_conflicts.status IS 'pending, resolved, or superseded by a newer conflict on the same field';
@@ -0,0 +1,55 @@
+-- Migration: 017_bookmark_changes
+-- Description: Change log for cursor-based delta sync of bookmarks
+--
+-- Every write to cloud_bookmarks appends the add/update/move/delete operations
+-- it made to this log under a per-user sequence number, and stores the latest
+-- sequence number on cloud_bookmarks.change_seq. Clients keep the sequence number
+-- they last saw as a cursor and fetch only the operations after it
+-- (GET /api/bookmarks?since=<cursor>) instead of the whole bookmark array.
+--
+-- Old entries are pruned; a client whose cursor is older than the oldest kept
+-- entry falls back to a full fetch.
+
+-- ============================================
+-- Change sequence on cloud_bookmarks
+-- ============================================
+ALTER TABLE public.cloud_bookmarks
+ADD COLUMN IF NOT EXISTS change_seq BIGINT NOT NULL DEFAULT 0;
+
+-- ============================================
+-- Bookmark Changes Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.bookmark_changes (
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    seq BIGINT NOT NULL,
+    op TEXT NOT NULL CHECK (op IN ('add', 'update', 'move', 'delete')),
+
+    -- Item key (URL for bookmarks, folder:<path>::<title> for folders)
+    item_key TEXT NOT NULL,
+    -- Full flat item after the change; NULL for deletes
+    item JSONB,
+
+    -- Extension source that made the change (chrome, firefox, ...)
+    source TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (user_id, seq)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.bookmark_changes ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for bookmark_changes table
+CREATE POLICY "Users can view own bookmark changes" ON public.bookmark_changes
+    FOR SELECT USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can insert own bookmark changes" ON public.bookmark_changes
+    FOR INSERT WITH CHECK ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can delete own bookmark changes" ON public.bookmark_changes
+    FOR DELETE USING ((select auth.uid()) = user_id);
+
+COMMENT ON TABLE public.bookmark_changes IS 'Per-user log of bookmark operations for delta sync';
+COMMENT ON COLUMN public.bookmark_changes.seq IS 'Per-user sequence number; matches cloud_bookmarks.change_seq after the write';
+COMMENT ON COLUMN public.bookmark_changes.item_key IS 'Bookmark URL, or folder:<path>::<title> for folders';
+COMMENT ON COLUMN public.cloud_bookmarks.change_seq IS 'Sequence number of the latest bookmark_changes entry (delta sync cursor)';
@@ -0,0 +1,109 @@
+-- Migration: 018_bookmark_items
+-- Description: Store cloud bookmarks one row per item instead of a single JSONB blob
+--
+-- Writing the whole library as one cloud_bookmarks.bookmark_data document loses
+-- updates when two devices sync at once: the later write replaces the earlier
+-- one wholesale. bookmark_items holds one row per bookmark or folder, and the
+-- API only writes the rows that changed.
+--
+-- Each row has a stable id, a reference to its parent folder, a position within
+-- that folder, and the change sequence number of its last write. Sequence
+-- numbers are handed out by reserve_bookmark_seq(), which increments
+-- cloud_bookmarks.change_seq under the row lock.
+--
+-- cloud_bookmarks.bookmark_data is still written as a mirror for version history,
+-- rollback and external sync. items_checksum records which blob the rows match;
+-- when a blob is written without updating the rows (existing data, a version
+-- rollback), the API reads the blob and rebuilds the rows on the next write.
+
+-- ============================================
+-- Bookmark Items Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.bookmark_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+
+    -- Sync identity: URL for bookmarks, folder:<path>::<title> for folders
+    item_key TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'bookmark' CHECK (type IN ('bookmark', 'folder')),
+    url TEXT,
+    title TEXT NOT NULL DEFAULT '',
+
+    -- Location: parent folder row (NULL for items directly under a root) and the
+    -- browser folder path, which also names the root folder
+    parent_id UUID REFERENCES public.bookmark_items(id) ON DELETE SET NULL,
+    folder_path TEXT NOT NULL DEFAULT '',
+    position INTEGER NOT NULL DEFAULT 0,
+
+    date_added BIGINT NOT NULL DEFAULT 0,
+    source TEXT,
+
+    -- Change sequence number of the last write to this row
+    seq BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    UNIQUE (user_id, item_key)
+);
+
+-- Items are read per user in folder order
+CREATE INDEX IF NOT EXISTS idx_bookmark_items_user_order
+    ON public.bookmark_items(user_id, folder_path, position);
+
+CREATE INDEX IF NOT EXISTS idx_bookmark_items_parent_id
+    ON public.bookmark_items(parent_id);
+
+-- Enable Row Level Security
+ALTER TABLE public.bookmark_items ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for bookmark_items table
+CREATE POLICY "Users can view own bookmark items" ON public.bookmark_items
+    FOR SELECT USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can insert own bookmark items" ON public.bookmark_items
+    FOR INSERT WITH CHECK ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can update own bookmark items" ON public.bookmark_items
+    FOR UPDATE USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can delete own bookmark items" ON public.bookmark_items
+    FOR DELETE USING ((select auth.uid()) = user_id);
+
+-- ============================================
+-- Blob compatibility marker
+-- ============================================
+ALTER TABLE public.cloud_bookmarks
+ADD COLUMN IF NOT EXISTS items_checksum TEXT;
+
+-- ============================================
+-- Change sequence allocation
+-- ============================================
+
+-- Reserve p_count change sequence numbers for a user and return the last one.
+-- Creates an empty cloud_bookmarks row for new users so the counter has a home.
+CREATE OR REPLACE FUNCTION public.reserve_bookmark_seq(
+    p_user_id UUID,
+    p_count INTEGER
+)
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+DECLARE
+    new_seq BIGINT;
+BEGIN
+    INSERT INTO public.cloud_bookmarks (user_id, bookmark_data, checksum, change_seq)
+    VALUES (p_user_id, '[]'::jsonb, '', p_count)
+    ON CONFLICT (user_id) DO UPDATE SET
+        change_seq = public.cloud_bookmarks.change_seq + p_count
+    RETURNING change_seq INTO new_seq;
+
+    RETURN new_seq;
+END;
+$$;
+
+COMMENT ON TABLE public.bookmark_items IS 'Cloud bookmarks and folders, one row per item';
+COMMENT ON COLUMN public.bookmark_items.item_key IS 'Bookmark URL, or folder:<path>::<title> for folders; #n suffix for duplicates';
+COMMENT ON COLUMN public.bookmark_items.seq IS 'Change sequence number (cloud_bookmarks.change_seq) of the last write';
+COMMENT ON COLUMN public.cloud_bookmarks.items_checksum IS 'Checksum of the list bookmark_items was last written with';
+COMMENT ON FUNCTION public.reserve_bookmark_seq IS 'Atomically reserves change sequence numbers for a bookmark write';
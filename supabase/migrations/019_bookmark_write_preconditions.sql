@@ -0,0 +1,70 @@
+-- Migration: 019_bookmark_write_preconditions
+-- Description: Let bookmark writes require the version they were based on
+--
+-- POST /api/bookmarks accepts an expected version (or checksum) and rejects the
+-- write with 409 when cloud_bookmarks has moved on. The API compares the version
+-- when it reads the row, but two requests can both pass that check before either
+-- writes. reserve_bookmark_seq() therefore takes the expected version as well and
+-- claims the next version as a compare-and-set under the row lock, so only one of
+-- two writes based on the same version gets through.
+
+-- The signature changes, so the old function has to go first
+DROP FUNCTION IF EXISTS public.reserve_bookmark_seq(UUID, INTEGER);
+
+-- Reserve p_count change sequence numbers for a user and return the last one.
+-- Creates an empty cloud_bookmarks row for new users so the counter has a home.
+-- With p_expected_version, the reservation also moves version from
+-- p_expected_version to p_expected_version + 1, and fails with
+-- serialization_failure (40001) when the row is at any other version.
+CREATE OR REPLACE FUNCTION public.reserve_bookmark_seq(
+    p_user_id UUID,
+    p_count INTEGER,
+    p_expected_version INTEGER DEFAULT NULL
+)
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+DECLARE
+    new_seq BIGINT;
+BEGIN
+    IF p_expected_version IS NULL THEN
+        INSERT INTO public.cloud_bookmarks (user_id, bookmark_data, checksum, change_seq)
+        VALUES (p_user_id, '[]'::jsonb, '', p_count)
+        ON CONFLICT (user_id) DO UPDATE SET
+            change_seq = public.cloud_bookmarks.change_seq + p_count
+        RETURNING change_seq INTO new_seq;
+
+        RETURN new_seq;
+    END IF;
+
+    UPDATE public.cloud_bookmarks
+    SET change_seq = change_seq + p_count,
+        version = version + 1
+    WHERE user_id = p_user_id
+      AND version = p_expected_version
+    RETURNING change_seq INTO new_seq;
+
+    IF FOUND THEN
+        RETURN new_seq;
+    END IF;
+
+    -- Version 0 stands for "no bookmarks stored yet"
+    IF p_expected_version = 0 THEN
+        INSERT INTO public.cloud_bookmarks (user_id, bookmark_data, checksum, change_seq, version)
+        VALUES (p_user_id, '[]'::jsonb, '', p_count, 1)
+        ON CONFLICT (user_id) DO NOTHING
+        RETURNING change_seq INTO new_seq;
+
+        IF FOUND THEN
+            RETURN new_seq;
+        END IF;
+    END IF;
+
+    RAISE EXCEPTION 'Bookmarks are no longer at version %', p_expected_version
+        USING ERRCODE = '40001';
+END;
+$$;
+
+COMMENT ON FUNCTION public.reserve_bookmark_seq IS 'Atomically reserves change sequence numbers for a bookmark write, optionally only at an expected version';
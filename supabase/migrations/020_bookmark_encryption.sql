@@ -0,0 +1,62 @@
+-- Migration: 020_bookmark_encryption
+-- Description: Optional end-to-end encryption of bookmark data
+--
+-- With encryption on, the extension encrypts bookmarks before they are sent.
+-- URLs, titles and folder names arrive as keyed tokens (equal values give equal
+-- tokens, so rows, delta operations and tombstones still line up) and the real
+-- values travel in an encrypted payload the server can't read.
+--
+-- The data key is generated in the extension. encryption_keyrings stores it
+-- wrapped with a key derived from the user's passphrase, so a new device can
+-- unlock it; the server never sees the passphrase or the data key.
+--
+-- cloud_bookmarks.encryption_key_id records which key the stored data is
+-- encrypted with (NULL for plaintext). While it differs from the keyring's key
+-- (encryption just turned on, off or rotated), the API only accepts a full
+-- replace encrypted with the keyring's key.
+
+-- ============================================
+-- Encryption Keyrings Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.encryption_keyrings (
+    user_id UUID PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+
+    -- ID of the data key, derived from the key itself
+    key_id TEXT NOT NULL,
+
+    -- Wrapped data key and KDF parameters (EncryptionKeyring in @marksyncr/types)
+    keyring JSONB NOT NULL,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.encryption_keyrings ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for encryption_keyrings table
+CREATE POLICY "Users can view own encryption keyring" ON public.encryption_keyrings
+    FOR SELECT USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can insert own encryption keyring" ON public.encryption_keyrings
+    FOR INSERT WITH CHECK ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can update own encryption keyring" ON public.encryption_keyrings
+    FOR UPDATE USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can delete own encryption keyring" ON public.encryption_keyrings
+    FOR DELETE USING ((select auth.uid()) = user_id);
+
+-- ============================================
+-- Encrypted item payloads
+-- ============================================
+ALTER TABLE public.bookmark_items
+ADD COLUMN IF NOT EXISTS payload TEXT;
+
+ALTER TABLE public.cloud_bookmarks
+ADD COLUMN IF NOT EXISTS encryption_key_id TEXT;
+
+COMMENT ON TABLE public.encryption_keyrings IS 'Passphrase-wrapped bookmark encryption keys';
+COMMENT ON COLUMN public.encryption_keyrings.key_id IS 'ID of the wrapped data key';
+COMMENT ON COLUMN public.bookmark_items.payload IS 'Encrypted URL, title and folder path; NULL for plaintext items';
+COMMENT ON COLUMN public.cloud_bookmarks.encryption_key_id IS 'Key the stored bookmarks are encrypted with; NULL for plaintext';
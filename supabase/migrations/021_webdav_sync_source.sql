@@ -0,0 +1,14 @@
+-- Migration: 021_webdav_sync_source
+-- Description: Allow WebDAV servers (Nextcloud, ownCloud, ...) as sync sources
+--
+-- WebDAV sources are connected with a username and password instead of OAuth.
+-- They reuse the existing columns: provider_username holds the username,
+-- access_token the password (ideally an app password), file_path the path of the
+-- bookmark file and config the server URL and auth scheme:
+--   { "url": "https://cloud.example.com/remote.php/dav/files/alice", "authType": "auto" }
+
+ALTER TABLE public.sync_sources DROP CONSTRAINT IF EXISTS sync_sources_provider_check;
+ALTER TABLE public.sync_sources ADD CONSTRAINT sync_sources_provider_check
+    CHECK (provider IN ('github', 'dropbox', 'google-drive', 'webdav', 'marksyncr-cloud'));
+
+COMMENT ON COLUMN public.sync_sources.access_token IS 'OAuth access token, or the password for WebDAV sources';
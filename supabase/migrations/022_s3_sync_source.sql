@@ -0,0 +1,14 @@
+-- Migration: 022_s3_sync_source
+-- Description: Allow S3-compatible buckets (AWS S3, MinIO, R2, B2) as sync sources
+--
+-- S3 sources are connected with an access key pair. Like WebDAV (021), they reuse
+-- the existing columns: provider_username holds the access key ID, access_token the
+-- secret access key, file_path the object key and config the endpoint and bucket:
+--   { "endpoint": "https://minio.example.com", "region": "us-east-1",
+--     "bucket": "backups", "pathStyle": true }
+
+ALTER TABLE public.sync_sources DROP CONSTRAINT IF EXISTS sync_sources_provider_check;
+ALTER TABLE public.sync_sources ADD CONSTRAINT sync_sources_provider_check
+    CHECK (provider IN ('github', 'dropbox', 'google-drive', 'webdav', 's3', 'marksyncr-cloud'));
+
+COMMENT ON COLUMN public.sync_sources.access_token IS 'OAuth access token, the password for WebDAV sources or the secret access key for S3 sources';
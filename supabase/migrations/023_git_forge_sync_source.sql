@@ -0,0 +1,14 @@
+-- Migration: 023_git_forge_sync_source
+-- Description: Allow git repositories on GitHub, GitLab, Gitea or Forgejo as sync sources
+--
+-- Git forge sources commit the bookmark file on every sync. They are connected with a
+-- personal access token and reuse the existing columns: access_token holds the token,
+-- repository, branch and file_path locate the file, and config picks the forge:
+--   { "forge": "gitea", "baseUrl": "https://git.example.com" }
+-- baseUrl is omitted for github.com and gitlab.com.
+
+ALTER TABLE public.sync_sources DROP CONSTRAINT IF EXISTS sync_sources_provider_check;
+ALTER TABLE public.sync_sources ADD CONSTRAINT sync_sources_provider_check
+    CHECK (provider IN ('github', 'dropbox', 'google-drive', 'webdav', 's3', 'git-forge', 'marksyncr-cloud'));
+
+COMMENT ON COLUMN public.sync_sources.access_token IS 'OAuth access token, the password for WebDAV sources, the secret access key for S3 sources or the personal access token for git forge sources';
@@ -0,0 +1,229 @@
+-- Migration: 024_sync_jobs
+-- Description: Durable queue of pushes to external sync sources, with per-source health
+--
+-- After a bookmark write, POST /api/bookmarks queues one job per connected external
+-- source (GitHub, Dropbox, WebDAV, S3, git forges) and answers without waiting for
+-- them. Jobs don't carry the bookmarks: a job pushes whatever the cloud holds when
+-- it runs, so a source needs at most one pending job however many writes pile up.
+--
+-- Job lifecycle:
+--   pending  -> running   claimed by a worker (the request that queued it, or the
+--                         sync-jobs cron), with a lease so a crashed worker's job is
+--                         claimed again once the lease runs out
+--   running  -> (deleted) pushed; the source's last_success_at is set
+--   running  -> pending   failed; retried at next_attempt_at (exponential backoff)
+--   running  -> dead      failed max_attempts times; kept as a dead letter until the
+--                         user retries it or a later push to the source succeeds
+
+-- ============================================
+-- Per-source health
+-- ============================================
+ALTER TABLE public.sync_sources
+    ADD COLUMN IF NOT EXISTS last_success_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS last_error TEXT,
+    ADD COLUMN IF NOT EXISTS last_error_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.sync_sources.last_success_at IS 'When bookmarks were last pushed to the source';
+COMMENT ON COLUMN public.sync_sources.last_error IS 'Error of the last failed push, cleared by the next successful one';
+
+-- ============================================
+-- Sync Jobs Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.sync_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    source_id UUID NOT NULL REFERENCES public.sync_sources(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_until TIMESTAMPTZ,
+    last_error TEXT,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One pending job per source; further writes ride along with it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_jobs_pending_source
+    ON public.sync_jobs(source_id)
+    WHERE status = 'pending';
+
+-- The cron claims due jobs across all users
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_due
+    ON public.sync_jobs(next_attempt_at)
+    WHERE status IN ('pending', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_user
+    ON public.sync_jobs(user_id);
+
+-- Enable Row Level Security
+ALTER TABLE public.sync_jobs ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for sync_jobs table
+CREATE POLICY "Users can view own sync jobs" ON public.sync_jobs
+    FOR SELECT USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can insert own sync jobs" ON public.sync_jobs
+    FOR INSERT WITH CHECK ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can update own sync jobs" ON public.sync_jobs
+    FOR UPDATE USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can delete own sync jobs" ON public.sync_jobs
+    FOR DELETE USING ((select auth.uid()) = user_id);
+
+COMMENT ON TABLE public.sync_jobs IS 'Queued pushes of the cloud bookmarks to external sync sources';
+COMMENT ON COLUMN public.sync_jobs.attempts IS 'Number of times the job has been claimed';
+COMMENT ON COLUMN public.sync_jobs.locked_until IS 'Lease of the worker running the job';
+
+-- ============================================
+-- Queue functions
+-- ============================================
+
+-- Queue a push to each of the user's connected sources of the given providers.
+-- Sources that already have a pending job keep it, including its backoff.
+CREATE OR REPLACE FUNCTION public.enqueue_sync_jobs(
+    p_user_id UUID,
+    p_providers TEXT[]
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+DECLARE
+    queued INTEGER;
+BEGIN
+    INSERT INTO public.sync_jobs (user_id, source_id, provider)
+    SELECT s.user_id, s.id, s.provider
+    FROM public.sync_sources s
+    WHERE s.user_id = p_user_id
+      AND s.access_token IS NOT NULL
+      AND s.provider = ANY(p_providers)
+    ON CONFLICT (source_id) WHERE status = 'pending' DO NOTHING;
+
+    GET DIAGNOSTICS queued = ROW_COUNT;
+    RETURN queued;
+END;
+$$;
+
+-- Claim due jobs, of one user or (p_user_id NULL, service role) of everyone.
+-- A source never has two jobs running at once: a pending job waits while another
+-- job of its source holds a live lease, and a running job whose lease ran out is
+-- dropped when a pending job will push the newer state anyway.
+CREATE OR REPLACE FUNCTION public.claim_sync_jobs(
+    p_user_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50,
+    p_lease_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF public.sync_jobs
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+BEGIN
+    DELETE FROM public.sync_jobs r
+    WHERE r.status = 'running'
+      AND r.locked_until < NOW()
+      AND (p_user_id IS NULL OR r.user_id = p_user_id)
+      AND EXISTS (
+          SELECT 1 FROM public.sync_jobs p
+          WHERE p.source_id = r.source_id AND p.status = 'pending'
+      );
+
+    RETURN QUERY
+    UPDATE public.sync_jobs j
+    SET status = 'running',
+        attempts = j.attempts + 1,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        updated_at = NOW()
+    WHERE j.id IN (
+        SELECT c.id
+        FROM public.sync_jobs c
+        WHERE (p_user_id IS NULL OR c.user_id = p_user_id)
+          AND (
+              (c.status = 'pending' AND c.next_attempt_at <= NOW())
+              OR (c.status = 'running' AND c.locked_until < NOW())
+          )
+          AND NOT EXISTS (
+              SELECT 1 FROM public.sync_jobs o
+              WHERE o.source_id = c.source_id
+                AND o.id <> c.id
+                AND o.status = 'running'
+                AND o.locked_until >= NOW()
+          )
+        ORDER BY c.next_attempt_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$;
+
+-- Record the outcome of a claimed job and the health of its source.
+-- Without p_error the job is done and removed, along with the source's dead letters.
+-- With p_error it is retried at p_retry_at, or becomes a dead letter when that is NULL.
+-- When another write queued a pending job meanwhile, that job takes over the retry.
+CREATE OR REPLACE FUNCTION public.finish_sync_job(
+    p_job_id UUID,
+    p_error TEXT DEFAULT NULL,
+    p_retry_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+DECLARE
+    job public.sync_jobs%ROWTYPE;
+BEGIN
+    SELECT * INTO job FROM public.sync_jobs WHERE id = p_job_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF p_error IS NULL THEN
+        DELETE FROM public.sync_jobs
+        WHERE id = p_job_id
+           OR (source_id = job.source_id AND status = 'dead');
+
+        UPDATE public.sync_sources
+        SET last_success_at = NOW(), last_error = NULL
+        WHERE id = job.source_id;
+        RETURN;
+    END IF;
+
+    UPDATE public.sync_sources
+    SET last_error = p_error, last_error_at = NOW()
+    WHERE id = job.source_id;
+
+    IF p_retry_at IS NULL THEN
+        UPDATE public.sync_jobs
+        SET status = 'dead', locked_until = NULL, last_error = p_error, updated_at = NOW()
+        WHERE id = p_job_id;
+        RETURN;
+    END IF;
+
+    UPDATE public.sync_jobs
+    SET attempts = GREATEST(attempts, job.attempts),
+        next_attempt_at = GREATEST(next_attempt_at, p_retry_at),
+        last_error = p_error,
+        updated_at = NOW()
+    WHERE source_id = job.source_id AND status = 'pending';
+
+    IF FOUND THEN
+        DELETE FROM public.sync_jobs WHERE id = p_job_id;
+    ELSE
+        UPDATE public.sync_jobs
+        SET status = 'pending', next_attempt_at = p_retry_at, locked_until = NULL,
+            last_error = p_error, updated_at = NOW()
+        WHERE id = p_job_id;
+    END IF;
+END;
+$$;
+
+COMMENT ON FUNCTION public.enqueue_sync_jobs IS 'Queues a push of the cloud bookmarks to each connected external source';
+COMMENT ON FUNCTION public.claim_sync_jobs IS 'Leases due sync jobs to a worker';
+COMMENT ON FUNCTION public.finish_sync_job IS 'Completes, reschedules or dead-letters a sync job and updates the source health';
@@ -0,0 +1,12 @@
+-- Migration: 025_device_sync_profiles
+-- Description: Per-device selective sync rules
+--
+-- A device's sync profile lists the folders it syncs and the folders it leaves out,
+-- as folder paths or globs (see packages/core/src/selective-sync.js):
+--   { "include": [], "exclude": ["Work", "toolbar/Archive/**"] }
+-- NULL syncs the whole bookmark tree, as every device did before.
+
+ALTER TABLE public.devices
+    ADD COLUMN IF NOT EXISTS sync_profile JSONB;
+
+COMMENT ON COLUMN public.devices.sync_profile IS 'Folder include/exclude rules applied when this device syncs; NULL syncs everything';
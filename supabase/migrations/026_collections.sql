@@ -0,0 +1,522 @@
+-- Migration: 026_collections
+-- Description: Named bookmark collections, each with its own bookmarks, versions, sources and devices
+--
+-- Until now an account had exactly one set of cloud bookmarks, so work and personal
+-- browsers always ended up merged. A collection is an independent set of bookmarks
+-- under one account: it has its own cloud_bookmarks row, item rows, change log,
+-- version history, conflicts and connected sources, and each device syncs with one
+-- collection at a time.
+--
+-- Every account has a default collection whose id is the user id. All existing rows
+-- belong to it, and a client that doesn't name a collection keeps syncing with it,
+-- so older extensions work unchanged. Rows written without a collection_id are put
+-- in the default collection by the set_default_collection trigger.
+--
+-- Each collection_id column references collections(id, user_id), so a row can only
+-- belong to a collection of its own user.
+
+-- ============================================
+-- Collections Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.collections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(btrim(name)) BETWEEN 1 AND 100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    UNIQUE (user_id, name),
+    -- Target of the composite foreign keys below
+    UNIQUE (id, user_id)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.collections ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for collections table
+CREATE POLICY "Users can view own collections" ON public.collections
+    FOR SELECT USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can insert own collections" ON public.collections
+    FOR INSERT WITH CHECK ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can update own collections" ON public.collections
+    FOR UPDATE USING ((select auth.uid()) = user_id);
+
+-- The default collection can't be deleted
+CREATE POLICY "Users can delete own collections" ON public.collections
+    FOR DELETE USING ((select auth.uid()) = user_id AND id <> user_id);
+
+CREATE TRIGGER update_collections_updated_at
+    BEFORE UPDATE ON public.collections
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+COMMENT ON TABLE public.collections IS 'Named, independently synced bookmark collections of an account';
+COMMENT ON COLUMN public.collections.id IS 'Equals user_id for the default collection';
+
+-- ============================================
+-- Default collection of every user
+-- ============================================
+INSERT INTO public.collections (id, user_id, name)
+SELECT id, id, 'Default'
+FROM public.users
+ON CONFLICT DO NOTHING;
+
+CREATE OR REPLACE FUNCTION public.create_default_collection()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    INSERT INTO public.collections (id, user_id, name)
+    VALUES (NEW.id, NEW.id, 'Default')
+    ON CONFLICT DO NOTHING;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_user_created_default_collection ON public.users;
+CREATE TRIGGER on_user_created_default_collection
+    AFTER INSERT ON public.users
+    FOR EACH ROW EXECUTE FUNCTION public.create_default_collection();
+
+-- Rows inserted without a collection go to the default collection
+CREATE OR REPLACE FUNCTION public.set_default_collection()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+BEGIN
+    NEW.collection_id := COALESCE(NEW.collection_id, NEW.user_id);
+    RETURN NEW;
+END;
+$$;
+
+-- ============================================
+-- collection_id on the per-collection tables
+-- ============================================
+DO $$
+DECLARE
+    tbl TEXT;
+BEGIN
+    FOREACH tbl IN ARRAY ARRAY[
+        'cloud_bookmarks', 'bookmark_items', 'bookmark_changes', 'bookmark_versions',
+        'sync_conflicts', 'sync_sources', 'sync_jobs', 'devices'
+    ] LOOP
+        EXECUTE format('ALTER TABLE public.%I ADD COLUMN IF NOT EXISTS collection_id UUID', tbl);
+        EXECUTE format('UPDATE public.%I SET collection_id = user_id WHERE collection_id IS NULL', tbl);
+        EXECUTE format('ALTER TABLE public.%I ALTER COLUMN collection_id SET NOT NULL', tbl);
+        EXECUTE format(
+            'ALTER TABLE public.%I ADD CONSTRAINT %I FOREIGN KEY (collection_id, user_id) '
+            'REFERENCES public.collections(id, user_id) ON DELETE CASCADE',
+            tbl, tbl || '_collection_fkey'
+        );
+        EXECUTE format(
+            'CREATE TRIGGER %I BEFORE INSERT ON public.%I '
+            'FOR EACH ROW EXECUTE FUNCTION public.set_default_collection()',
+            'set_' || tbl || '_collection', tbl
+        );
+    END LOOP;
+END;
+$$;
+
+-- ============================================
+-- Per-collection uniqueness
+-- ============================================
+
+-- One cloud_bookmarks row per collection
+ALTER TABLE public.cloud_bookmarks DROP CONSTRAINT IF EXISTS cloud_bookmarks_user_id_key;
+ALTER TABLE public.cloud_bookmarks ADD CONSTRAINT cloud_bookmarks_collection_id_key UNIQUE (collection_id);
+
+ALTER TABLE public.bookmark_items DROP CONSTRAINT IF EXISTS bookmark_items_user_id_item_key_key;
+ALTER TABLE public.bookmark_items ADD CONSTRAINT bookmark_items_collection_id_item_key_key UNIQUE (collection_id, item_key);
+
+DROP INDEX IF EXISTS public.idx_bookmark_items_user_order;
+CREATE INDEX IF NOT EXISTS idx_bookmark_items_collection_order
+    ON public.bookmark_items(collection_id, folder_path, position);
+
+-- Sequence numbers count per collection
+ALTER TABLE public.bookmark_changes DROP CONSTRAINT IF EXISTS bookmark_changes_pkey;
+ALTER TABLE public.bookmark_changes ADD PRIMARY KEY (collection_id, seq);
+
+ALTER TABLE public.bookmark_versions DROP CONSTRAINT IF EXISTS bookmark_versions_user_id_version_key;
+ALTER TABLE public.bookmark_versions ADD CONSTRAINT bookmark_versions_collection_id_version_key UNIQUE (collection_id, version);
+
+DROP INDEX IF EXISTS public.idx_bookmark_versions_user_version;
+CREATE INDEX IF NOT EXISTS idx_bookmark_versions_collection_version
+    ON public.bookmark_versions(collection_id, version DESC);
+
+-- A provider can be connected once per collection
+ALTER TABLE public.sync_sources DROP CONSTRAINT IF EXISTS sync_sources_user_id_provider_key;
+ALTER TABLE public.sync_sources ADD CONSTRAINT sync_sources_collection_id_provider_key UNIQUE (collection_id, provider);
+
+DROP INDEX IF EXISTS public.idx_sync_conflicts_pending_field;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_conflicts_pending_field
+    ON public.sync_conflicts(collection_id, bookmark_id, field)
+    WHERE status = 'pending';
+
+COMMENT ON COLUMN public.devices.collection_id IS 'Collection the device syncs with';
+
+-- ============================================
+-- Version and change functions, per collection
+-- ============================================
+-- The collection is a new required argument, so the old signatures are dropped
+-- rather than left behind as overloads.
+DROP FUNCTION IF EXISTS public.get_next_version(UUID);
+DROP FUNCTION IF EXISTS public.save_bookmark_version(UUID, JSONB, TEXT, TEXT, TEXT, TEXT, TEXT, JSONB);
+DROP FUNCTION IF EXISTS public.rollback_to_version(UUID, INTEGER);
+DROP FUNCTION IF EXISTS public.get_version_data(UUID, INTEGER);
+DROP FUNCTION IF EXISTS public.get_version_history(UUID, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS public.reserve_bookmark_seq(UUID, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS public.enqueue_sync_jobs(UUID, TEXT[]);
+
+CREATE FUNCTION public.get_next_version(p_user_id UUID, p_collection_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    next_version INTEGER;
+BEGIN
+    SELECT COALESCE(MAX(version), 0) + 1 INTO next_version
+    FROM public.bookmark_versions
+    WHERE user_id = p_user_id AND collection_id = p_collection_id;
+
+    RETURN next_version;
+END;
+$$;
+
+CREATE FUNCTION public.save_bookmark_version(
+    p_user_id UUID,
+    p_collection_id UUID,
+    p_bookmark_data JSONB,
+    p_checksum TEXT,
+    p_source_type TEXT,
+    p_source_name TEXT DEFAULT NULL,
+    p_device_id TEXT DEFAULT NULL,
+    p_device_name TEXT DEFAULT NULL,
+    p_change_summary JSONB DEFAULT '{}'
+)
+RETURNS public.bookmark_versions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+SET statement_timeout = '30s'
+AS $$
+DECLARE
+    new_version INTEGER;
+    existing_checksum TEXT;
+    result public.bookmark_versions;
+BEGIN
+    -- Skip creating a new version when the latest one has the same checksum
+    SELECT checksum INTO existing_checksum
+    FROM public.bookmark_versions
+    WHERE user_id = p_user_id AND collection_id = p_collection_id
+    ORDER BY version DESC
+    LIMIT 1;
+
+    IF existing_checksum IS NOT NULL AND existing_checksum = p_checksum THEN
+        SELECT * INTO result
+        FROM public.bookmark_versions
+        WHERE user_id = p_user_id AND collection_id = p_collection_id
+        ORDER BY version DESC
+        LIMIT 1;
+
+        UPDATE public.cloud_bookmarks
+        SET last_modified = NOW()
+        WHERE user_id = p_user_id AND collection_id = p_collection_id;
+
+        RETURN result;
+    END IF;
+
+    new_version := public.get_next_version(p_user_id, p_collection_id);
+
+    INSERT INTO public.bookmark_versions (
+        user_id,
+        collection_id,
+        version,
+        bookmark_data,
+        checksum,
+        source_type,
+        source_name,
+        device_id,
+        device_name,
+        change_summary
+    ) VALUES (
+        p_user_id,
+        p_collection_id,
+        new_version,
+        p_bookmark_data,
+        p_checksum,
+        p_source_type,
+        p_source_name,
+        p_device_id,
+        p_device_name,
+        p_change_summary
+    )
+    RETURNING * INTO result;
+
+    INSERT INTO public.cloud_bookmarks (user_id, collection_id, bookmark_data, checksum, version)
+    VALUES (p_user_id, p_collection_id, p_bookmark_data, p_checksum, new_version)
+    ON CONFLICT (collection_id) DO UPDATE SET
+        bookmark_data = EXCLUDED.bookmark_data,
+        checksum = EXCLUDED.checksum,
+        version = EXCLUDED.version,
+        last_modified = NOW();
+
+    RETURN result;
+END;
+$$;
+
+CREATE FUNCTION public.rollback_to_version(
+    p_user_id UUID,
+    p_collection_id UUID,
+    p_target_version INTEGER
+)
+RETURNS public.bookmark_versions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target_data public.bookmark_versions;
+    new_version INTEGER;
+    result public.bookmark_versions;
+BEGIN
+    SELECT * INTO target_data
+    FROM public.bookmark_versions
+    WHERE user_id = p_user_id
+      AND collection_id = p_collection_id
+      AND version = p_target_version;
+
+    IF target_data IS NULL THEN
+        RAISE EXCEPTION 'Version % not found for user', p_target_version;
+    END IF;
+
+    new_version := public.get_next_version(p_user_id, p_collection_id);
+
+    INSERT INTO public.bookmark_versions (
+        user_id,
+        collection_id,
+        version,
+        bookmark_data,
+        checksum,
+        source_type,
+        source_name,
+        device_id,
+        device_name,
+        change_summary
+    ) VALUES (
+        p_user_id,
+        p_collection_id,
+        new_version,
+        target_data.bookmark_data,
+        target_data.checksum,
+        'rollback',
+        'Rollback to version ' || p_target_version,
+        target_data.device_id,
+        target_data.device_name,
+        jsonb_build_object(
+            'type', 'rollback',
+            'from_version', (
+                SELECT version FROM public.cloud_bookmarks
+                WHERE user_id = p_user_id AND collection_id = p_collection_id
+            ),
+            'to_version', p_target_version
+        )
+    )
+    RETURNING * INTO result;
+
+    UPDATE public.cloud_bookmarks
+    SET
+        bookmark_data = target_data.bookmark_data,
+        checksum = target_data.checksum,
+        version = new_version,
+        last_modified = NOW()
+    WHERE user_id = p_user_id AND collection_id = p_collection_id;
+
+    RETURN result;
+END;
+$$;
+
+CREATE FUNCTION public.get_version_data(
+    p_user_id UUID,
+    p_collection_id UUID,
+    p_version INTEGER
+)
+RETURNS public.bookmark_versions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    result public.bookmark_versions;
+BEGIN
+    SELECT * INTO result
+    FROM public.bookmark_versions
+    WHERE user_id = p_user_id
+      AND collection_id = p_collection_id
+      AND version = p_version;
+
+    RETURN result;
+END;
+$$;
+
+CREATE FUNCTION public.get_version_history(
+    p_user_id UUID,
+    p_collection_id UUID,
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    version INTEGER,
+    checksum TEXT,
+    source_type TEXT,
+    source_name TEXT,
+    device_name TEXT,
+    change_summary JSONB,
+    created_at TIMESTAMPTZ,
+    bookmark_count INTEGER,
+    folder_count INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+SET statement_timeout = '30s'
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        bv.id,
+        bv.version,
+        bv.checksum,
+        bv.source_type,
+        bv.source_name,
+        bv.device_name,
+        bv.change_summary,
+        bv.created_at,
+        (
+            SELECT COUNT(*)::INTEGER
+            FROM (
+                SELECT jsonb_array_elements_recursive(
+                    COALESCE(bv.bookmark_data->'roots'->'toolbar'->'children', '[]'::jsonb) ||
+                    COALESCE(bv.bookmark_data->'roots'->'menu'->'children', '[]'::jsonb) ||
+                    COALESCE(bv.bookmark_data->'roots'->'other'->'children', '[]'::jsonb)
+                ) as elem
+            ) sub
+            WHERE sub.elem->>'type' = 'bookmark' OR sub.elem->>'url' IS NOT NULL
+        ) as bookmark_count,
+        (
+            SELECT COUNT(*)::INTEGER
+            FROM (
+                SELECT jsonb_array_elements_recursive(
+                    COALESCE(bv.bookmark_data->'roots'->'toolbar'->'children', '[]'::jsonb) ||
+                    COALESCE(bv.bookmark_data->'roots'->'menu'->'children', '[]'::jsonb) ||
+                    COALESCE(bv.bookmark_data->'roots'->'other'->'children', '[]'::jsonb)
+                ) as elem
+            ) sub
+            WHERE sub.elem->>'type' = 'folder' OR (sub.elem->>'url' IS NULL AND sub.elem->'children' IS NOT NULL)
+        ) as folder_count
+    FROM public.bookmark_versions bv
+    WHERE bv.user_id = p_user_id
+      AND bv.collection_id = p_collection_id
+    ORDER BY bv.version DESC
+    LIMIT p_limit
+    OFFSET p_offset;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.save_bookmark_version(UUID, UUID, JSONB, TEXT, TEXT, TEXT, TEXT, TEXT, JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_version_history(UUID, UUID, INTEGER, INTEGER) TO authenticated;
+
+-- Reserve p_count change sequence numbers for a collection and return the last one,
+-- optionally only at an expected version (see 019_bookmark_write_preconditions)
+CREATE FUNCTION public.reserve_bookmark_seq(
+    p_user_id UUID,
+    p_collection_id UUID,
+    p_count INTEGER,
+    p_expected_version INTEGER DEFAULT NULL
+)
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+DECLARE
+    new_seq BIGINT;
+BEGIN
+    IF p_expected_version IS NULL THEN
+        INSERT INTO public.cloud_bookmarks (user_id, collection_id, bookmark_data, checksum, change_seq)
+        VALUES (p_user_id, p_collection_id, '[]'::jsonb, '', p_count)
+        ON CONFLICT (collection_id) DO UPDATE SET
+            change_seq = public.cloud_bookmarks.change_seq + p_count
+        RETURNING change_seq INTO new_seq;
+
+        RETURN new_seq;
+    END IF;
+
+    UPDATE public.cloud_bookmarks
+    SET change_seq = change_seq + p_count,
+        version = version + 1
+    WHERE user_id = p_user_id
+      AND collection_id = p_collection_id
+      AND version = p_expected_version
+    RETURNING change_seq INTO new_seq;
+
+    IF FOUND THEN
+        RETURN new_seq;
+    END IF;
+
+    -- Version 0 stands for "no bookmarks stored yet"
+    IF p_expected_version = 0 THEN
+        INSERT INTO public.cloud_bookmarks (user_id, collection_id, bookmark_data, checksum, change_seq, version)
+        VALUES (p_user_id, p_collection_id, '[]'::jsonb, '', p_count, 1)
+        ON CONFLICT (collection_id) DO NOTHING
+        RETURNING change_seq INTO new_seq;
+
+        IF FOUND THEN
+            RETURN new_seq;
+        END IF;
+    END IF;
+
+    RAISE EXCEPTION 'Bookmarks are no longer at version %', p_expected_version
+        USING ERRCODE = '40001';
+END;
+$$;
+
+COMMENT ON FUNCTION public.reserve_bookmark_seq IS 'Atomically reserves change sequence numbers for a bookmark write to a collection, optionally only at an expected version';
+
+-- Queue a push to each connected source of a collection with the given providers
+CREATE FUNCTION public.enqueue_sync_jobs(
+    p_user_id UUID,
+    p_collection_id UUID,
+    p_providers TEXT[]
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+DECLARE
+    queued INTEGER;
+BEGIN
+    INSERT INTO public.sync_jobs (user_id, collection_id, source_id, provider)
+    SELECT s.user_id, s.collection_id, s.id, s.provider
+    FROM public.sync_sources s
+    WHERE s.user_id = p_user_id
+      AND s.collection_id = p_collection_id
+      AND s.access_token IS NOT NULL
+      AND s.provider = ANY(p_providers)
+    ON CONFLICT (source_id) WHERE status = 'pending' DO NOTHING;
+
+    GET DIAGNOSTICS queued = ROW_COUNT;
+    RETURN queued;
+END;
+$$;
+
+COMMENT ON FUNCTION public.enqueue_sync_jobs IS 'Queues a push of a collection''s cloud bookmarks to each of its connected external sources';
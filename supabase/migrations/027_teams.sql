@@ -0,0 +1,255 @@
+-- Migration: 027_teams
+-- Description: Teams with owners, editors and viewers, invitations, and shared folders
+--
+-- A team shares bookmark folders between its members. Each shared folder syncs into
+-- every member's browser as a subtree; owners and editors can change it, viewers only
+-- receive it. Owners manage the team: they invite people, change roles and remove
+-- members.
+--
+-- A shared folder keeps its bookmarks as a flat list (folder paths relative to the
+-- shared folder), like cloud_bookmarks. Members push their edits as delta operations,
+-- and every item records who added it and who last changed it.
+--
+-- Policies look up the caller's role with team_role(), a SECURITY DEFINER function,
+-- because a policy on team_members that queried team_members would recurse.
+
+-- ============================================
+-- Teams Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.teams (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL CHECK (char_length(btrim(name)) BETWEEN 1 AND 100),
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================
+-- Team Members Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.team_members (
+    team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    -- Copied when the member joins, so members can see each other without reading users
+    email TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (team_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_members_user
+    ON public.team_members(user_id);
+
+-- ============================================
+-- Team Invitations Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.team_invitations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('editor', 'viewer')),
+    -- SHA-256 of the token in the invitation link; the token itself is never stored
+    token_hash TEXT NOT NULL UNIQUE,
+    invited_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '7 days',
+    accepted_at TIMESTAMPTZ,
+    accepted_by UUID REFERENCES public.users(id) ON DELETE SET NULL
+);
+
+-- One open invitation per address and team
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_invitations_open_email
+    ON public.team_invitations(team_id, lower(email))
+    WHERE accepted_at IS NULL;
+
+-- ============================================
+-- Shared Folders Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.shared_folders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(btrim(name)) BETWEEN 1 AND 100),
+    items JSONB NOT NULL DEFAULT '[]'::jsonb,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    UNIQUE (team_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shared_folders_team
+    ON public.shared_folders(team_id);
+
+COMMENT ON TABLE public.teams IS 'Teams that share bookmark folders';
+COMMENT ON TABLE public.team_members IS 'Team membership with the member''s role';
+COMMENT ON TABLE public.team_invitations IS 'Invitations to join a team, accepted through a link';
+COMMENT ON TABLE public.shared_folders IS 'Bookmark folders synced into the browsers of all team members';
+COMMENT ON COLUMN public.shared_folders.items IS 'Flat bookmark list with folder paths relative to the shared folder; items carry addedBy/updatedBy attribution';
+
+-- ============================================
+-- Role lookup
+-- ============================================
+CREATE OR REPLACE FUNCTION public.team_role(p_team_id UUID)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+    SELECT role
+    FROM public.team_members
+    WHERE team_id = p_team_id
+      AND user_id = (select auth.uid());
+$$;
+
+COMMENT ON FUNCTION public.team_role(UUID) IS 'Role of the current user in a team, NULL for non-members';
+
+-- The creator of a team becomes its first owner
+CREATE OR REPLACE FUNCTION public.add_team_owner()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+BEGIN
+    INSERT INTO public.team_members (team_id, user_id, email, role)
+    SELECT NEW.id, u.id, u.email, 'owner'
+    FROM public.users u
+    WHERE u.id = NEW.created_by;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_team_created_add_owner ON public.teams;
+CREATE TRIGGER on_team_created_add_owner
+    AFTER INSERT ON public.teams
+    FOR EACH ROW EXECUTE FUNCTION public.add_team_owner();
+
+CREATE TRIGGER update_teams_updated_at
+    BEFORE UPDATE ON public.teams
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+CREATE TRIGGER update_team_members_updated_at
+    BEFORE UPDATE ON public.team_members
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+CREATE TRIGGER update_shared_folders_updated_at
+    BEFORE UPDATE ON public.shared_folders
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+-- ============================================
+-- Accepting invitations
+-- ============================================
+-- Invitees can't read invitations or add themselves to a team, so joining goes
+-- through this function. The invitation must be open, unexpired and addressed to
+-- the caller's email. An existing member keeps their role.
+CREATE OR REPLACE FUNCTION public.accept_team_invitation(p_token_hash TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_invitation public.team_invitations%ROWTYPE;
+    v_user_id UUID := (select auth.uid());
+    v_email TEXT;
+BEGIN
+    SELECT * INTO v_invitation
+    FROM public.team_invitations
+    WHERE token_hash = p_token_hash
+      AND accepted_at IS NULL
+      AND expires_at > NOW()
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invitation not found or expired' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT email INTO v_email FROM public.users WHERE id = v_user_id;
+
+    IF v_email IS NULL OR lower(v_email) <> lower(v_invitation.email) THEN
+        RAISE EXCEPTION 'Invitation is for another email address' USING ERRCODE = '42501';
+    END IF;
+
+    INSERT INTO public.team_members (team_id, user_id, email, role)
+    VALUES (v_invitation.team_id, v_user_id, v_email, v_invitation.role)
+    ON CONFLICT (team_id, user_id) DO NOTHING;
+
+    UPDATE public.team_invitations
+    SET accepted_at = NOW(), accepted_by = v_user_id
+    WHERE id = v_invitation.id;
+
+    RETURN v_invitation.team_id;
+END;
+$$;
+
+-- ============================================
+-- Row Level Security
+-- ============================================
+ALTER TABLE public.teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.team_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.team_invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shared_folders ENABLE ROW LEVEL SECURITY;
+
+-- The creator can read the team back before the owner trigger's row is visible
+CREATE POLICY "Members can view their teams" ON public.teams
+    FOR SELECT USING (
+        (select auth.uid()) = created_by OR public.team_role(id) IS NOT NULL
+    );
+
+CREATE POLICY "Users can create teams" ON public.teams
+    FOR INSERT WITH CHECK ((select auth.uid()) = created_by);
+
+CREATE POLICY "Owners can update their teams" ON public.teams
+    FOR UPDATE USING (public.team_role(id) = 'owner');
+
+CREATE POLICY "Owners can delete their teams" ON public.teams
+    FOR DELETE USING (public.team_role(id) = 'owner');
+
+CREATE POLICY "Members can view team members" ON public.team_members
+    FOR SELECT USING (public.team_role(team_id) IS NOT NULL);
+
+CREATE POLICY "Owners can change member roles" ON public.team_members
+    FOR UPDATE USING (public.team_role(team_id) = 'owner');
+
+-- Owners remove members; members can leave
+CREATE POLICY "Owners and the member can remove a member" ON public.team_members
+    FOR DELETE USING (
+        public.team_role(team_id) = 'owner' OR (select auth.uid()) = user_id
+    );
+
+CREATE POLICY "Owners can view invitations" ON public.team_invitations
+    FOR SELECT USING (public.team_role(team_id) = 'owner');
+
+CREATE POLICY "Owners can create invitations" ON public.team_invitations
+    FOR INSERT WITH CHECK (public.team_role(team_id) = 'owner');
+
+CREATE POLICY "Owners can revoke invitations" ON public.team_invitations
+    FOR DELETE USING (public.team_role(team_id) = 'owner');
+
+CREATE POLICY "Members can view shared folders" ON public.shared_folders
+    FOR SELECT USING (public.team_role(team_id) IS NOT NULL);
+
+CREATE POLICY "Owners can create shared folders" ON public.shared_folders
+    FOR INSERT WITH CHECK (public.team_role(team_id) = 'owner');
+
+CREATE POLICY "Owners and editors can change shared folders" ON public.shared_folders
+    FOR UPDATE
+    USING (public.team_role(team_id) IN ('owner', 'editor'))
+    WITH CHECK (public.team_role(team_id) IN ('owner', 'editor'));
+
+CREATE POLICY "Owners can delete shared folders" ON public.shared_folders
+    FOR DELETE USING (public.team_role(team_id) = 'owner');
+
+-- A folder stays in the team it was created in: members can only change its name
+-- and contents, never move it (or its items) into another team
+REVOKE UPDATE ON public.shared_folders FROM anon, authenticated;
+GRANT UPDATE (name, items, version, updated_by) ON public.shared_folders TO authenticated;
+
+GRANT EXECUTE ON FUNCTION public.team_role(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.accept_team_invitation(TEXT) TO authenticated;
@@ -0,0 +1,86 @@
+-- Migration: 028_share_links
+-- Description: Public read-only links to a bookmark folder
+--
+-- A share link publishes one folder of a collection at /s/<slug>, for people who
+-- don't use MarkSyncr. A snapshot link shows the folder as it was when the link was
+-- created; a live link reads the collection's current bookmarks on every visit.
+-- Links can have a password and an expiry date, and the owner revokes a link by
+-- deleting it.
+--
+-- Visitors aren't signed in, so the public page reads links with the service role.
+-- The slug is random and is the only thing a visitor needs; it is kept in plain text
+-- so the owner can copy the link again from the dashboard.
+
+-- ============================================
+-- Share Links Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.share_links (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    collection_id UUID NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    title TEXT NOT NULL CHECK (char_length(btrim(title)) BETWEEN 1 AND 100),
+    -- Full path of the shared folder in the collection, e.g. "Bookmarks Bar/Reading"
+    folder_path TEXT NOT NULL,
+    mode TEXT NOT NULL CHECK (mode IN ('snapshot', 'live')),
+    -- Flat bookmark list with folder paths relative to the shared folder (snapshot links)
+    snapshot JSONB,
+    -- scrypt "salt:hash" of the password, null when the link is open
+    password_hash TEXT,
+    expires_at TIMESTAMPTZ,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    FOREIGN KEY (collection_id, user_id)
+        REFERENCES public.collections(id, user_id) ON DELETE CASCADE,
+    CHECK (mode = 'live' OR snapshot IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_links_user_collection
+    ON public.share_links(user_id, collection_id);
+
+-- Enable Row Level Security
+ALTER TABLE public.share_links ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for share_links table
+CREATE POLICY "Users can view own share links" ON public.share_links
+    FOR SELECT USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can insert own share links" ON public.share_links
+    FOR INSERT WITH CHECK ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can update own share links" ON public.share_links
+    FOR UPDATE USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can delete own share links" ON public.share_links
+    FOR DELETE USING ((select auth.uid()) = user_id);
+
+CREATE TRIGGER update_share_links_updated_at
+    BEFORE UPDATE ON public.share_links
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+COMMENT ON TABLE public.share_links IS 'Public read-only links to a folder of a bookmark collection';
+COMMENT ON COLUMN public.share_links.slug IS 'Random URL segment of the public page /s/<slug>';
+COMMENT ON COLUMN public.share_links.snapshot IS 'Folder contents at creation for snapshot links, null for live links';
+
+-- ============================================
+-- View counter
+-- ============================================
+-- Counts a visit without a read-modify-write race between concurrent visitors.
+-- Only the public page calls it, with the service role.
+CREATE OR REPLACE FUNCTION public.record_share_link_view(p_link_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+    UPDATE public.share_links
+    SET view_count = view_count + 1,
+        last_viewed_at = NOW()
+    WHERE id = p_link_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.record_share_link_view(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_share_link_view(UUID) TO service_role;
@@ -0,0 +1,146 @@
+-- Migration: 029_link_health_scans
+-- Description: Scheduled server-side link health scans with a history of status changes
+--
+-- The link-health cron (app/api/cron/link-health) scans the bookmarks of every Pro and
+-- Team account in the background. Each run checks the links that were never checked
+-- or whose last check is old, a few hundred at a time and spaced out per host, so a
+-- large library is covered over several runs.
+--
+-- link_checks (migration 004) keeps the latest result of each link; server scans key
+-- it by the bookmark's sync identity, its URL. link_check_history records every
+-- status change, so the dashboard can show when a link broke and links that broke
+-- since the previous run can be reported.
+--
+-- Run lifecycle:
+--   running   -> completed  the worker checked its links and stored the results
+--   running   -> failed     the worker reported an error, or its lease ran out
+
+-- ============================================
+-- Latest results
+-- ============================================
+ALTER TABLE public.link_checks
+    ADD COLUMN IF NOT EXISTS broken_since TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.link_checks.broken_since IS 'When the link stopped working, null while it works';
+
+-- ============================================
+-- Scan Runs Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.link_scan_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    checked INTEGER NOT NULL DEFAULT 0,
+    -- Links broken after the run, across the whole library
+    broken INTEGER NOT NULL DEFAULT 0,
+    newly_broken INTEGER NOT NULL DEFAULT 0,
+    recovered INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    -- Set when links broke and the user had notifications.brokenLinks on
+    notify BOOLEAN NOT NULL DEFAULT FALSE,
+    notified_at TIMESTAMPTZ
+);
+
+-- One running scan per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_link_scan_runs_running_user
+    ON public.link_scan_runs(user_id)
+    WHERE status = 'running';
+
+CREATE INDEX IF NOT EXISTS idx_link_scan_runs_user_started
+    ON public.link_scan_runs(user_id, started_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE public.link_scan_runs ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for link_scan_runs table; runs are written by the cron (service role)
+CREATE POLICY "Users can view own link scan runs" ON public.link_scan_runs
+    FOR SELECT USING ((select auth.uid()) = user_id);
+
+-- Acknowledging a notification sets notified_at
+CREATE POLICY "Users can update own link scan runs" ON public.link_scan_runs
+    FOR UPDATE USING ((select auth.uid()) = user_id);
+
+COMMENT ON TABLE public.link_scan_runs IS 'Scheduled link health scans of a user''s bookmarks';
+
+-- ============================================
+-- Link Check History Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.link_check_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    run_id UUID REFERENCES public.link_scan_runs(id) ON DELETE SET NULL,
+    url TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('valid', 'broken', 'redirect', 'timeout', 'unknown')),
+    -- Null for the first check of a link
+    previous_status TEXT,
+    status_code INTEGER,
+    error_message TEXT,
+    checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_link_check_history_user_checked
+    ON public.link_check_history(user_id, checked_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_link_check_history_run
+    ON public.link_check_history(run_id);
+
+-- Enable Row Level Security
+ALTER TABLE public.link_check_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own link check history" ON public.link_check_history
+    FOR SELECT USING ((select auth.uid()) = user_id);
+
+COMMENT ON TABLE public.link_check_history IS 'Status changes of bookmark links found by link health scans';
+
+-- ============================================
+-- Scheduling
+-- ============================================
+
+-- Start a run for each Pro or Team account whose last run started more than
+-- p_interval_seconds ago, longest waiting first. Runs whose worker died are failed
+-- first, and old runs and history are pruned.
+CREATE OR REPLACE FUNCTION public.claim_link_scans(
+    p_limit INTEGER DEFAULT 3,
+    p_interval_seconds INTEGER DEFAULT 21600,
+    p_lease_seconds INTEGER DEFAULT 600
+)
+RETURNS SETOF public.link_scan_runs
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+BEGIN
+    UPDATE public.link_scan_runs
+    SET status = 'failed', finished_at = NOW(), error = 'Scan did not finish'
+    WHERE status = 'running'
+      AND started_at < NOW() - make_interval(secs => p_lease_seconds);
+
+    DELETE FROM public.link_scan_runs WHERE started_at < NOW() - INTERVAL '90 days';
+    DELETE FROM public.link_check_history WHERE checked_at < NOW() - INTERVAL '1 year';
+
+    RETURN QUERY
+    INSERT INTO public.link_scan_runs (user_id)
+    SELECT s.user_id
+    FROM public.subscriptions s
+    LEFT JOIN LATERAL (
+        SELECT MAX(r.started_at) AS started_at
+        FROM public.link_scan_runs r
+        WHERE r.user_id = s.user_id
+    ) last_run ON TRUE
+    WHERE s.plan IN ('pro', 'team')
+      AND s.status IN ('active', 'trialing')
+      AND (
+          last_run.started_at IS NULL
+          OR last_run.started_at < NOW() - make_interval(secs => p_interval_seconds)
+      )
+    ORDER BY last_run.started_at NULLS FIRST
+    LIMIT p_limit
+    ON CONFLICT (user_id) WHERE status = 'running' DO NOTHING
+    RETURNING *;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.claim_link_scans(INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_link_scans(INTEGER, INTEGER, INTEGER) TO service_role;
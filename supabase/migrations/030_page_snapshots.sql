@@ -0,0 +1,64 @@
+-- Migration: 030_page_snapshots
+-- Description: Readable copies of bookmarked pages for offline reading
+--
+-- With page capture on, the extension asks the server to capture each page the user
+-- bookmarks (POST /api/snapshots). The server loads the page and keeps what's worth
+-- reading in it: the article as sanitized HTML and plain text, its main image and the
+-- page's metadata (see packages/core/src/page-capture.js). The extension keeps the
+-- latest snapshots in the browser for reading offline; the dashboard shows them all.
+--
+-- A user has at most one snapshot per URL; capturing a page again replaces it. The
+-- number of snapshots a user can keep depends on their plan (PAGE_CAPTURE_LIMITS in
+-- packages/core/src/feature-gate.js).
+
+-- ============================================
+-- Page Snapshots Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.page_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    canonical_url TEXT,
+    title TEXT NOT NULL,
+    byline TEXT,
+    site_name TEXT,
+    description TEXT,
+    image_url TEXT,
+    excerpt TEXT,
+    -- Sanitized article HTML, safe to render
+    content TEXT NOT NULL,
+    text_content TEXT NOT NULL,
+    word_count INTEGER NOT NULL DEFAULT 0,
+    truncated BOOLEAN NOT NULL DEFAULT FALSE,
+    captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    UNIQUE (user_id, url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_page_snapshots_user_captured
+    ON public.page_snapshots(user_id, captured_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE public.page_snapshots ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for page_snapshots table
+CREATE POLICY "Users can view own page snapshots" ON public.page_snapshots
+    FOR SELECT USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can insert own page snapshots" ON public.page_snapshots
+    FOR INSERT WITH CHECK ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can update own page snapshots" ON public.page_snapshots
+    FOR UPDATE USING ((select auth.uid()) = user_id);
+
+CREATE POLICY "Users can delete own page snapshots" ON public.page_snapshots
+    FOR DELETE USING ((select auth.uid()) = user_id);
+
+CREATE TRIGGER update_page_snapshots_updated_at
+    BEFORE UPDATE ON public.page_snapshots
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+COMMENT ON TABLE public.page_snapshots IS 'Readable copies of bookmarked pages for offline reading';
+COMMENT ON COLUMN public.page_snapshots.content IS 'Article HTML rebuilt from an allowlist of tags and attributes';
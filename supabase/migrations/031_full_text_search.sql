@@ -0,0 +1,125 @@
+-- Migration: 031_full_text_search
+-- Description: Full-text search over cloud bookmarks and the text of their saved pages
+--
+-- GET /api/search searches a user's bookmarks by title and URL, and by the title,
+-- description and article text of the page snapshots taken of them
+-- (030_page_snapshots). Both tables get a stored tsvector, so nothing is parsed at
+-- query time. Title matches weigh most (A), then URLs and descriptions (B), then
+-- article text (C).
+--
+-- The 'simple' configuration lowercases words without stemming them, like the
+-- extension's local index (packages/core/src/full-text-search.js), so a query finds
+-- the same bookmarks in both places whatever language the pages are in.
+--
+-- search_bookmarks() returns the best text matches with a highlighted excerpt, and
+-- the dates and visit counts the API blends into the final ranking.
+
+-- ============================================
+-- Search vectors
+-- ============================================
+
+-- URLs are split on punctuation so hosts and path segments are found as words
+ALTER TABLE public.bookmark_items
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', title), 'A') ||
+    setweight(to_tsvector('simple', regexp_replace(COALESCE(url, ''), '[^[:alnum:]]+', ' ', 'g')), 'B')
+) STORED;
+
+ALTER TABLE public.page_snapshots
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', title), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(description, '')), 'B') ||
+    setweight(to_tsvector('simple', text_content), 'C')
+) STORED;
+
+-- ============================================
+-- Search
+-- ============================================
+
+-- Bookmarks of the current user that match a web search style query
+-- ("quoted phrases", -excluded, or). A query word can match in the bookmark or in
+-- its page snapshot. Headlines are only built for the rows returned; matches in
+-- them are wrapped in chr(2) and chr(3), which can't occur in page text.
+CREATE OR REPLACE FUNCTION public.search_bookmarks(
+    p_query TEXT,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    id UUID,
+    url TEXT,
+    title TEXT,
+    folder_path TEXT,
+    date_added BIGINT,
+    snapshot_id UUID,
+    captured_at TIMESTAMPTZ,
+    visit_count INTEGER,
+    last_visited_at TIMESTAMPTZ,
+    rank REAL,
+    headline TEXT
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+    WITH query AS (
+        SELECT websearch_to_tsquery('simple', p_query) AS q
+    ),
+    matches AS (
+        SELECT
+            b.id,
+            b.url,
+            b.title,
+            b.folder_path,
+            b.date_added,
+            s.id AS snapshot_id,
+            s.captured_at,
+            COALESCE(NULLIF(s.text_content, ''), s.description, '') AS body,
+            ts_rank_cd(
+                b.search_vector || COALESCE(s.search_vector, ''::pg_catalog.tsvector),
+                query.q
+            ) AS rank
+        FROM public.bookmark_items b
+        CROSS JOIN query
+        LEFT JOIN public.page_snapshots s
+            ON s.user_id = b.user_id AND s.url = b.url
+        WHERE b.user_id = (select auth.uid())
+          AND b.type = 'bookmark'
+          AND (b.search_vector || COALESCE(s.search_vector, ''::pg_catalog.tsvector)) @@ query.q
+        ORDER BY rank DESC
+        LIMIT LEAST(GREATEST(p_limit, 1), 200)
+    )
+    SELECT
+        m.id,
+        m.url,
+        m.title,
+        m.folder_path,
+        m.date_added,
+        m.snapshot_id,
+        m.captured_at,
+        COALESCE(v.visit_count, 0)::INTEGER,
+        v.last_visited_at,
+        m.rank,
+        CASE WHEN m.body = '' THEN NULL ELSE ts_headline(
+            'simple',
+            m.body,
+            query.q,
+            'StartSel=' || chr(2) || ', StopSel=' || chr(3) ||
+                ', MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "'
+        ) END
+    FROM matches m
+    CROSS JOIN query
+    LEFT JOIN LATERAL (
+        SELECT SUM(a.visit_count) AS visit_count, MAX(a.last_visited_at) AS last_visited_at
+        FROM public.bookmark_analytics a
+        WHERE a.user_id = (select auth.uid()) AND a.url = m.url
+    ) v ON TRUE
+    ORDER BY m.rank DESC;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.search_bookmarks(TEXT, INTEGER) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.search_bookmarks(TEXT, INTEGER) TO authenticated;
+
+COMMENT ON COLUMN public.bookmark_items.search_vector IS 'Title (A) and URL words (B) for full-text search';
+COMMENT ON COLUMN public.page_snapshots.search_vector IS 'Title (A), description (B) and article text (C) for full-text search';
+COMMENT ON FUNCTION public.search_bookmarks(TEXT, INTEGER) IS 'Full-text search over the current user''s bookmarks and saved pages, with highlighted excerpts';
@@ -0,0 +1,161 @@
+-- Migration: 032_hierarchical_tags
+-- Description: Nested tags, tag aliases, and cascading renames that every device replays
+--
+-- Tag names are paths: "dev/js/react" is nested under "dev/js" and "dev". Parents
+-- don't need rows of their own; the nesting lives in the names (see
+-- packages/core/src/tag-hierarchy.js).
+--
+-- Bookmarks are tagged in each browser, not here, so a rename can't rewrite them in
+-- place. rename_user_tag() renames a tag and everything nested under it, merges into
+-- tags that already have the new name, and appends the rename to tag_renames.
+-- Devices read the renames after their last cursor on their next sync and apply them
+-- to their own bookmarks. The old name becomes an alias of the new one, so anything
+-- that still uses it resolves to the renamed tag.
+
+-- ============================================
+-- Aliases
+-- ============================================
+ALTER TABLE public.user_tags
+ADD COLUMN IF NOT EXISTS aliases TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+DROP TRIGGER IF EXISTS update_user_tags_updated_at ON public.user_tags;
+CREATE TRIGGER update_user_tags_updated_at
+    BEFORE UPDATE ON public.user_tags
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at();
+
+COMMENT ON COLUMN public.user_tags.name IS 'Tag name; "/" separates nesting levels';
+COMMENT ON COLUMN public.user_tags.aliases IS 'Other names that mean this tag, including names it was renamed from';
+
+-- ============================================
+-- Tag Renames Table
+-- ============================================
+-- Append-only; the id is the cursor devices sync from
+CREATE TABLE IF NOT EXISTS public.tag_renames (
+    id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    from_name TEXT NOT NULL,
+    to_name TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tag_renames_user_cursor
+    ON public.tag_renames(user_id, id);
+
+ALTER TABLE public.tag_renames ENABLE ROW LEVEL SECURITY;
+
+-- Rows are only written by rename_user_tag()
+DROP POLICY IF EXISTS "Users can view own tag renames" ON public.tag_renames;
+CREATE POLICY "Users can view own tag renames" ON public.tag_renames
+    FOR SELECT USING ((select auth.uid()) = user_id);
+
+COMMENT ON TABLE public.tag_renames IS 'Tag renames in order, replayed by each device over its bookmark tags';
+COMMENT ON COLUMN public.tag_renames.from_name IS 'Old name; tags nested under it were renamed along with it';
+
+-- ============================================
+-- Renaming
+-- ============================================
+-- Renames one of the caller's tags and the tags nested under it. A tag whose new
+-- name is taken is merged: the existing tag takes over its name and aliases as
+-- aliases, and the renamed row goes away. Shorter names go first, so when a tag
+-- moves up into its own parent ("dev/js" to "dev"), a nested tag is renamed before
+-- another one takes its name. The API normalizes and validates p_name.
+CREATE OR REPLACE FUNCTION public.rename_user_tag(p_tag_id UUID, p_name TEXT)
+RETURNS public.user_tags
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = ''
+AS $$
+DECLARE
+    v_user_id UUID := (select auth.uid());
+    v_tag public.user_tags%ROWTYPE;
+    v_row public.user_tags%ROWTYPE;
+    v_target public.user_tags%ROWTYPE;
+    v_prefix TEXT;
+    v_new_name TEXT;
+    v_result public.user_tags%ROWTYPE;
+BEGIN
+    SELECT * INTO v_tag
+    FROM public.user_tags
+    WHERE id = p_tag_id
+      AND user_id = v_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Tag not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF p_name = v_tag.name THEN
+        RETURN v_tag;
+    END IF;
+
+    v_prefix := v_tag.name || '/';
+
+    IF left(p_name, char_length(v_prefix)) = v_prefix THEN
+        RAISE EXCEPTION 'A tag cannot be nested under itself' USING ERRCODE = '22023';
+    END IF;
+
+    FOR v_row IN
+        SELECT *
+        FROM public.user_tags
+        WHERE user_id = v_user_id
+          AND (name = v_tag.name OR left(name, char_length(v_prefix)) = v_prefix)
+        ORDER BY char_length(name), name
+        FOR UPDATE
+    LOOP
+        v_new_name := p_name || substr(v_row.name, char_length(v_tag.name) + 1);
+
+        SELECT * INTO v_target
+        FROM public.user_tags
+        WHERE user_id = v_user_id
+          AND name = v_new_name
+        FOR UPDATE;
+
+        IF FOUND THEN
+            UPDATE public.user_tags
+            SET aliases = ARRAY(
+                SELECT DISTINCT a
+                FROM unnest(v_target.aliases || v_row.name || v_row.aliases) AS a
+                WHERE a <> v_new_name
+                ORDER BY a
+            )
+            WHERE id = v_target.id
+            RETURNING * INTO v_target;
+
+            DELETE FROM public.user_tags WHERE id = v_row.id;
+        ELSE
+            -- Nested tags don't need their old names as aliases: the alias of the
+            -- renamed tag resolves everything under it
+            UPDATE public.user_tags
+            SET name = v_new_name,
+                aliases = ARRAY(
+                    SELECT DISTINCT a
+                    FROM unnest(
+                        CASE WHEN v_row.id = v_tag.id
+                            THEN v_row.aliases || v_row.name
+                            ELSE v_row.aliases
+                        END
+                    ) AS a
+                    WHERE a <> v_new_name
+                    ORDER BY a
+                )
+            WHERE id = v_row.id
+            RETURNING * INTO v_target;
+        END IF;
+
+        IF v_row.id = v_tag.id THEN
+            v_result := v_target;
+        END IF;
+    END LOOP;
+
+    INSERT INTO public.tag_renames (user_id, from_name, to_name)
+    VALUES (v_user_id, v_tag.name, p_name);
+
+    RETURN v_result;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.rename_user_tag(UUID, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.rename_user_tag(UUID, TEXT) TO authenticated;
+
+COMMENT ON FUNCTION public.rename_user_tag(UUID, TEXT) IS 'Rename or merge a tag and its nested tags, and record the rename for other devices';
@@ -0,0 +1,16 @@
+-- Migration: 033_bookmark_blob_on_demand
+-- Description: Stop mirroring every bookmark write into cloud_bookmarks.bookmark_data
+--
+-- bookmark_items is the source of truth (see 018_bookmark_items.sql). Rewriting the
+-- whole library into the JSONB blob on every write made each sync as expensive as the
+-- library is large, so the bookmarks API now leaves the blob alone. Only version saves
+-- and rollbacks write it, and they also set checksum without touching items_checksum,
+-- which marks the blob as the newer copy until the next write rebuilds the rows.
+--
+-- While items_checksum equals checksum the blob may be stale; readers go through
+-- loadBookmarkItems() in apps/web/lib/bookmark-store.js instead of reading it.
+--
+-- A collection's first write no longer supplies a blob, so it defaults to empty.
+
+ALTER TABLE public.cloud_bookmarks
+ALTER COLUMN bookmark_data SET DEFAULT '[]'::jsonb;